@@ -0,0 +1,250 @@
+// Snippets embutidos por linguagem, no mesmo formato dos arquivos de snippets do VS Code.
+
+export const BUILTIN_SNIPPETS = {
+  javascript: {
+    'Console Log': {
+      prefix: 'log',
+      body: 'console.log($1);$0',
+      description: 'Log output to the console',
+    },
+    'Console Log Selection': {
+      prefix: 'logv',
+      body: "console.log('${1:${TM_SELECTED_TEXT:value}}:', ${1});$0",
+      description: 'Log a labelled value',
+    },
+    'Import Named': {
+      prefix: 'imp',
+      body: "import { $2 } from '${1:module}';$0",
+      description: 'Import named bindings from a module',
+    },
+    'Import Default': {
+      prefix: 'impd',
+      body: "import ${2:name} from '${1:module}';$0",
+      description: 'Import the default export of a module',
+    },
+    'Arrow Function': {
+      prefix: 'afn',
+      body: ['const ${1:name} = (${2:params}) => {', '\t$0', '};'],
+      description: 'Arrow function assigned to a constant',
+    },
+    'Async Function': {
+      prefix: 'asyncfn',
+      body: ['async function ${1:name}(${2:params}) {', '\t$0', '}'],
+      description: 'Async function declaration',
+    },
+    'For Each': {
+      prefix: 'fore',
+      body: ['${1:array}.forEach((${2:item}) => {', '\t$0', '});'],
+      description: 'Array forEach loop',
+    },
+    'Variable Declaration': {
+      prefix: 'var',
+      body: '${1|const,let,var|} ${2:name} = ${3:value};$0',
+      description: 'Declare a variable',
+    },
+    'Switch Statement': {
+      prefix: 'switch',
+      body: ['switch (${1:key}) {', '\tcase ${2:value}:', '\t\t$0', '\t\tbreak;', '\tdefault:', '\t\tbreak;', '}'],
+      description: 'Switch statement',
+    },
+    'New Promise': {
+      prefix: 'prom',
+      body: ['new Promise((resolve, reject) => {', '\t$0', '});'],
+      description: 'Create a new Promise',
+    },
+    'Set Timeout': {
+      prefix: 'timeout',
+      body: ['setTimeout(() => {', '\t$0', '}, ${1:1000});'],
+      description: 'Run code after a delay',
+    },
+    'Event Listener': {
+      prefix: 'listener',
+      body: ["${1:element}.addEventListener('${2|click,input,change,keydown,submit|}', (${3:e}) => {", '\t$0', '});'],
+      description: 'Add a DOM event listener',
+    },
+    'File Header': {
+      prefix: 'header',
+      body: ['/**', ' * ${TM_FILENAME}', ' * Created on ${CURRENT_YEAR}-${CURRENT_MONTH}-${CURRENT_DATE}', ' */', '$0'],
+      description: 'Comment with file name and creation date',
+    },
+    Region: {
+      prefix: 'region',
+      body: ['// #region ${1:name}', '${TM_SELECTED_TEXT}$0', '// #endregion'],
+      description: 'Folding region around the selection',
+    },
+  },
+  typescript: {
+    'Type Alias': {
+      prefix: 'typea',
+      body: 'type ${1:Name} = ${2:string};$0',
+      description: 'Type alias',
+    },
+    'Interface Property': {
+      prefix: 'prop',
+      body: '${1:name}${2|,?|}: ${3:string};$0',
+      description: 'Interface or type member',
+    },
+    'Generic Function': {
+      prefix: 'genfn',
+      body: ['function ${1:name}<${2:T}>(${3:value}: ${2}): ${2} {', '\t$0', '}'],
+      description: 'Function with a type parameter',
+    },
+  },
+  javascriptreact: {
+    'Function Component': {
+      prefix: 'rfc',
+      body: [
+        'export default function ${1:${TM_FILENAME_BASE}}(${2:props}) {',
+        '\treturn (',
+        '\t\t<div>$0</div>',
+        '\t);',
+        '}',
+      ],
+      description: 'React function component named after the file',
+    },
+    'useState Hook': {
+      prefix: 'ust',
+      body: 'const [${1:state}, set${2:State}] = useState(${3:initialValue});$0',
+      description: 'React useState hook',
+    },
+    'useEffect Hook': {
+      prefix: 'uef',
+      body: ['useEffect(() => {', '\t$0', '}, [${1}]);'],
+      description: 'React useEffect hook',
+    },
+  },
+  html: {
+    'HTML Document': {
+      prefix: '!',
+      body: [
+        '<!DOCTYPE html>',
+        '<html lang="${1:en}">',
+        '<head>',
+        '\t<meta charset="UTF-8">',
+        '\t<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+        '\t<title>${2:${TM_FILENAME_BASE}}</title>',
+        '</head>',
+        '<body>',
+        '\t$0',
+        '</body>',
+        '</html>',
+      ],
+      description: 'HTML5 document skeleton',
+    },
+    Link: {
+      prefix: 'a',
+      body: '<a href="${1:#}">${2:${TM_SELECTED_TEXT}}</a>$0',
+      description: 'Anchor element',
+    },
+    Script: {
+      prefix: 'script',
+      body: '<script${1| type="module",|} src="${2:script.js}"></script>$0',
+      description: 'External script',
+    },
+    Stylesheet: {
+      prefix: 'link',
+      body: '<link rel="stylesheet" href="${1:style.css}">$0',
+      description: 'External stylesheet',
+    },
+    'Wrap With Element': {
+      prefix: 'wrap',
+      body: '<${1:div}>${TM_SELECTED_TEXT}$0</${1}>',
+      description: 'Wrap the selection in an element',
+    },
+  },
+  css: {
+    'Media Query': {
+      prefix: 'media',
+      body: ['@media (${1|max-width,min-width|}: ${2:768px}) {', '\t$0', '}'],
+      description: 'Media query',
+    },
+    'Flex Center': {
+      prefix: 'flexc',
+      body: ['display: flex;', 'align-items: center;', 'justify-content: center;$0'],
+      description: 'Center children with flexbox',
+    },
+    Grid: {
+      prefix: 'grid',
+      body: ['display: grid;', 'grid-template-columns: ${1:repeat(${2:3}, 1fr)};', 'gap: ${3:16px};$0'],
+      description: 'Grid container',
+    },
+    Keyframes: {
+      prefix: 'keyframes',
+      body: ['@keyframes ${1:name} {', '\tfrom {', '\t\t$2', '\t}', '\tto {', '\t\t$0', '\t}', '}'],
+      description: 'Animation keyframes',
+    },
+  },
+  python: {
+    'Main Guard': {
+      prefix: 'ifmain',
+      body: ["if __name__ == '__main__':", '\t${1:main()}$0'],
+      description: 'Run code only when executed as a script',
+    },
+    'Function With Docstring': {
+      prefix: 'defd',
+      body: ['def ${1:name}(${2}):', '\t"""${3:Description}."""', '\t$0'],
+      description: 'Function with a docstring',
+    },
+    'With Open': {
+      prefix: 'with',
+      body: ["with open(${1:path}, '${2|r,w,a,rb,wb|}', encoding='utf-8') as ${3:f}:", '\t$0'],
+      description: 'Open a file with a context manager',
+    },
+    'Data Class': {
+      prefix: 'dataclass',
+      body: ['@dataclass', 'class ${1:Name}:', '\t${2:field}: ${3:str}$0'],
+      description: 'Data class',
+    },
+  },
+  markdown: {
+    'Code Block': {
+      prefix: 'code',
+      body: ['```${1|js,ts,html,css,python,json,bash|}', '${TM_SELECTED_TEXT}$0', '```'],
+      description: 'Fenced code block',
+    },
+    Link: {
+      prefix: 'link',
+      body: '[${1:${TM_SELECTED_TEXT:text}}](${2:url})$0',
+      description: 'Link',
+    },
+    Image: {
+      prefix: 'img',
+      body: '![${1:alt}](${2:url})$0',
+      description: 'Image',
+    },
+    Table: {
+      prefix: 'table',
+      body: ['| ${1:Column} | ${2:Column} |', '| --- | --- |', '| $3 | $4 |$0'],
+      description: 'Table with two columns',
+    },
+    'Date Heading': {
+      prefix: 'today',
+      body: '## ${CURRENT_YEAR}-${CURRENT_MONTH}-${CURRENT_DATE}$0',
+      description: "Heading with today's date",
+    },
+  },
+  json: {
+    'Key Value': {
+      prefix: 'kv',
+      body: '"${1:key}": ${2|"value",true,false,null,0|}$0',
+      description: 'Key/value pair',
+    },
+  },
+  sql: {
+    Select: {
+      prefix: 'sel',
+      body: ['SELECT ${1:*}', 'FROM ${2:table}', 'WHERE ${3:condition};$0'],
+      description: 'SELECT statement',
+    },
+    'Create Table': {
+      prefix: 'ctable',
+      body: ['CREATE TABLE ${1:name} (', '\tid ${2|INTEGER,SERIAL,UUID|} PRIMARY KEY,', '\t$0', ');'],
+      description: 'CREATE TABLE statement',
+    },
+    Join: {
+      prefix: 'join',
+      body: '${1|INNER,LEFT,RIGHT,FULL|} JOIN ${2:table} ON ${3:condition}$0',
+      description: 'JOIN clause',
+    },
+  },
+};
@@ -0,0 +1,5 @@
+import {
+  require_buffer
+} from "./chunk-7LH6LFRR.js";
+import "./chunk-Q7DBXPQN.js";
+export default require_buffer();
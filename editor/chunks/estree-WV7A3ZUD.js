@@ -0,0 +1,4951 @@
+import {
+  __esm
+} from "./chunk-Q7DBXPQN.js";
+
+// node_modules/prettier/plugins/estree.mjs
+function rc(e) {
+  return Array.isArray(e) && e.length > 0;
+}
+function B(e) {
+  let t = new Set(e);
+  return (r) => t.has(r?.type);
+}
+function oc(e) {
+  return this[e < 0 ? this.length + e : e];
+}
+function Z(e, t, r) {
+  if (!e.has(t)) {
+    let n = r(t);
+    e.set(t, n);
+  }
+  return e.get(t);
+}
+function sc(e) {
+  let t = [];
+  return e.this && t.push(e.this), t.push(...e.params), e.rest && t.push(e.rest), t;
+}
+function ee(e) {
+  return Z(uc, e, sc);
+}
+function _i(e, t) {
+  let { node: r } = e, n = 0, o = () => t(e, n++);
+  r.this && e.call(o, "this"), e.each(o, "params"), r.rest && e.call(o, "rest");
+}
+function Ni(e) {
+  if (e.rest) return true;
+  let t = ee(e);
+  return w(0, t, -1)?.type === "RestElement";
+}
+function Qt({ node: e, parent: t }) {
+  return e?.type !== "EmptyStatement" ? false : t.type === "IfStatement" ? t.consequent === e || t.alternate === e : t.type === "DoWhileStatement" || t.type === "ForInStatement" || t.type === "ForOfStatement" || t.type === "ForStatement" || t.type === "LabeledStatement" || t.type === "WithStatement" || t.type === "WhileStatement" ? t.body === e : false;
+}
+function $e(e) {
+  return e.method && e.kind === "init" || e.kind === "get" || e.kind === "set";
+}
+function It(e) {
+  return e.range?.[1] ?? e.end;
+}
+function b(e) {
+  let t = e.range?.[0] ?? e.start, r = (e.declaration?.decorators ?? e.decorators)?.[0];
+  return r ? Math.min(b(r), t) : t;
+}
+function S(e) {
+  let { type: t } = e;
+  return t === "IfStatement" ? S(e.alternate ?? e.consequent) : t === "ForInStatement" || t === "ForOfStatement" || t === "ForStatement" || t === "LabeledStatement" || t === "WithStatement" || t === "WhileStatement" ? S(e.body) : mc.get(t)?.(e) ?? It(e);
+}
+function kt(e, t) {
+  let r = b(e);
+  return xo(r) && r === b(t);
+}
+function fc(e, t) {
+  let r = S(e);
+  return xo(r) && r === S(t);
+}
+function Ao(e, t) {
+  return kt(e, t) && fc(e, t);
+}
+function ye(e) {
+  return e.extra?.raw ?? e.raw;
+}
+function Ji(e) {
+  return e.type === "BigIntLiteral" || e.type === "Literal" && !!e.bigint;
+}
+function Gi(e) {
+  return e.type === "BooleanLiteral" || e.type === "Literal" && typeof e.value == "boolean";
+}
+function Ee(e) {
+  return e.type === "NumericLiteral" || e.type === "Literal" && typeof e.value == "number";
+}
+function Xr(e) {
+  return e.type === "RegExpLiteral" || e.type === "Literal" && !!e.regex;
+}
+function q(e) {
+  return e?.type === "StringLiteral" || e?.type === "Literal" && typeof e.value == "string";
+}
+function Ir(e) {
+  if (e.type !== "ImportSpecifier" && e.type !== "ExportSpecifier") return false;
+  let { local: t, [e.type === "ImportSpecifier" ? "imported" : "exported"]: r } = e;
+  return t.type !== r.type || !Ao(t, r) ? false : q(t) ? t.value === r.value && ye(t) === ye(r) : t.type === "Identifier" ? t.name === r.name : false;
+}
+function Cc(e, t) {
+  return Dc(e) || yc(e, t) || Ec(e, t) ? false : e.type === "EmptyStatement" ? Qt({ node: e, parent: t[0] }) : !(dc(e, t) || e.type === "TSTypeAnnotation" && t[0].type === "TSPropertySignature");
+}
+function Fc(e) {
+  let t = e.type || e.kind || "(unknown type)", r = String(e.name || e.id && (typeof e.id == "object" ? e.id.name : e.id) || e.key && (typeof e.key == "object" ? e.key.name : e.key) || e.value && (typeof e.value == "object" ? "" : String(e.value)) || e.operator || "");
+  return r.length > 20 && (r = r.slice(0, 19) + "\u2026"), t + (r ? " " + r : "");
+}
+function To(e, t) {
+  (e.comments ?? (e.comments = [])).push(t), t.printed = false, t.nodeDescription = Fc(e);
+}
+function K(e, t) {
+  t.leading = true, t.trailing = false, To(e, t);
+}
+function ge(e, t, r) {
+  t.leading = false, t.trailing = false, r && (t.marker = r), To(e, t);
+}
+function X(e, t) {
+  t.leading = false, t.trailing = true, To(e, t);
+}
+function Kr(e) {
+  return (t, r, n) => {
+    if (r === false) return false;
+    let o = !!n?.backwards, { length: i } = t, s = r;
+    for (; s >= 0 && s < i; ) {
+      let u = t.charAt(s);
+      if (e instanceof RegExp) {
+        if (!e.test(u)) return s;
+      } else if (!e.includes(u)) return s;
+      o ? s-- : s++;
+    }
+    return s === -1 || s === i ? s : false;
+  };
+}
+function xc(e, t) {
+  if (t === false) return false;
+  if (e.charAt(t) === "/" && e.charAt(t + 1) === "*") {
+    for (let r = t + 2; r < e.length; ++r) if (e.charAt(r) === "*" && e.charAt(r + 1) === "/") return r + 2;
+  }
+  return t;
+}
+function Ac(e, t, r) {
+  if (t === false) return false;
+  let n = !!r?.backwards, o = e.charAt(t);
+  if (n) {
+    if (e.charAt(t - 1) === "\r" && o === `
+`) return t - 2;
+    if (Qi(o)) return t - 1;
+  } else {
+    if (o === "\r" && e.charAt(t + 1) === `
+`) return t + 2;
+    if (Qi(o)) return t + 1;
+  }
+  return t;
+}
+function Tc(e, t) {
+  return t === false ? false : e.charAt(t) === "/" && e.charAt(t + 1) === "/" ? $i(e, t) : t;
+}
+function gc(e, t) {
+  let r = null, n = t;
+  for (; n !== r; ) r = n, n = at(e, n), n = er(e, n), n = tr(e, n), n = pt(e, n);
+  return n;
+}
+function hc(e, t) {
+  let r = Rt(e, t);
+  return r === false ? "" : e.charAt(r);
+}
+function Sc(e, t, r = {}) {
+  let n = at(e, r.backwards ? t - 1 : t, r), o = pt(e, n, r);
+  return n !== o;
+}
+function Bc(e, t, r) {
+  for (let n = t; n < r; ++n) if (e.charAt(n) === `
+`) return true;
+  return false;
+}
+function Pc(e) {
+  let t;
+  return e.type === "ImportExpression" || e.type === "TSImportType" ? (t = [e.source], e.options && t.push(e.options)) : e.type === "TSExternalModuleReference" ? t = [e.expression] : t = e.arguments, t;
+}
+function se(e) {
+  return Z(bc, e, Pc);
+}
+function kr(e, t) {
+  let { node: r } = e;
+  r.type === "ImportExpression" || r.type === "TSImportType" ? (e.call(() => t(e, 0), "source"), r.options && e.call(() => t(e, 1), "options")) : r.type === "TSExternalModuleReference" ? e.call(() => t(e, 0), "expression") : e.each(t, "arguments");
+}
+function go(e, t) {
+  if (e.type === "ImportExpression" || e.type === "TSImportType") {
+    if (t === 0 || t === (e.options ? -2 : -1)) return ["source"];
+    if (e.options && (t === 1 || t === -1)) return ["options"];
+    throw new RangeError("Invalid argument index");
+  }
+  if (e.type === "TSExternalModuleReference") {
+    if (t === 0 || t === -1) return ["expression"];
+  } else if (t < 0 && (t = e.arguments.length + t), t >= 0 && t < e.arguments.length) return ["arguments", t];
+  throw new RangeError("Invalid argument index");
+}
+function wc(e) {
+  return V(0, e, /[^\n]/g, " ");
+}
+function Lc(e, t) {
+  for (let r of t) {
+    let n = b(r), o = S(r);
+    e = e.slice(0, n) + Zi(e.slice(n, o)) + e.slice(o);
+  }
+  return e;
+}
+function ce(e) {
+  let t = e[zi];
+  return Z(Oc, t, (r) => Lc(e.originalText, r));
+}
+function es(e, t) {
+  let r = S(e) - 1;
+  if (t.originalText[r] === ")") return r;
+}
+function Mc(e, t) {
+  if (es(e, t) === void 0) return;
+  let n = ce(t), o = S(e.typeArguments ?? e.callee), i = n.indexOf("(", o);
+  if (i !== -1) return i;
+}
+function ts(e, t, r) {
+  let n = es(e, r);
+  if (n === void 0 || S(t) > n) return false;
+  let o = Mc(e, r);
+  return o === void 0 ? false : b(t) > o;
+}
+function Ge(e) {
+  return e?.type === "ObjectProperty" || e?.type === "Property" && !$e(e);
+}
+function yt(e) {
+  return e.value.trim() === "prettier-ignore" && !e.unignore;
+}
+function rr(e) {
+  return Z(_c, e, (t) => le(t) && t.value[0] === "*" && /@(?:type|satisfies)\b/.test(t.value));
+}
+function $r({ comment: e, enclosingNode: t, followingNode: r, options: n }) {
+  if ((t?.type === "ForInStatement" || t?.type === "ForOfStatement" || t?.type === "ForStatement") && r && r === t.body) {
+    let o = ce(n).lastIndexOf(")", b(r));
+    if (b(e) > o) return K(r, e), true;
+  }
+  return false;
+}
+function Qr(e, t) {
+  e.type === "BlockStatement" ? nr(e, t) : K(e, t);
+}
+function nr(e, t) {
+  let r = (e.body || e.properties).find(({ type: n }) => n !== "EmptyStatement");
+  r ? K(r, t) : ge(e, t);
+}
+function zr({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o, options: i }) {
+  return r?.type !== "IfStatement" || !n ? false : Je(o, S(e)) === ")" ? (X(t, e), true) : n === r.consequent ? (K(n, e), true) : t === r.consequent && n === r.alternate ? Nc({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o, options: i }) : false;
+}
+function Nc({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o, options: i }) {
+  let s = ce(i).indexOf("else", S(r.consequent));
+  return b(e) >= s ? (K(n, e), true) : !(t.type === "BlockStatement") && wr(e, o) && !te(o, S(t), b(e)) ? (X(t, e), true) : (ge(r, e), true);
+}
+function Zr({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o }) {
+  return r?.type === "SwitchStatement" && r.cases.length === 0 && !n && t === r.discriminant && Je(o, S(e)) === "}" ? (ge(r, e), true) : false;
+}
+function en({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o }) {
+  return (r?.type === "WhileStatement" || r?.type === "WithStatement") && n ? Je(o, S(e)) === ")" ? (X(t, e), true) : r.body === n ? (K(n, e), true) : false : false;
+}
+function So(e, { comment: t, text: r, options: n }) {
+  if (pe(e) && ho(t, r) && !yt(t)) {
+    let i = ce(n).slice(S(t), b(e));
+    return /^[ \t]*$/.test(i);
+  }
+  return false;
+}
+function Bo(e, t) {
+  return K(So(e, t) ? e.types[0] : e, t.comment), true;
+}
+function jc(e) {
+  return [bo, fs, is, ps, Jc, zr, en, Zr, os, ss, $r, Vc, Kc, Po, ls, Qc, us, cs, Gc, ol, Io, ko, ys].some((t) => t(e));
+}
+function vc(e) {
+  return [bo, Wc, ps, is, ls, zr, en, Zr, os, ss, $r, cs, Xc, $c, Po, ms, rl, nl, il, Io, al, Ds, sl, ko].some((t) => t(e));
+}
+function Rc(e) {
+  return [bo, fs, zr, en, Zr, $r, us, Po, ms, Io, Yc, qc, el, Ds, ko, ys].some((t) => t(e));
+}
+function Wc({ comment: e, followingNode: t }) {
+  return t && rr(e) ? (K(t, e), true) : false;
+}
+function os({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n }) {
+  return r?.type !== "TryStatement" && r?.type !== "CatchClause" || !n ? false : r.type === "CatchClause" && t ? (X(t, e), true) : n.type === "BlockStatement" ? (nr(n, e), true) : n.type === "TryStatement" ? (Qr(n.finalizer, e), true) : n.type === "CatchClause" ? (Qr(n.body, e), true) : false;
+}
+function Jc({ comment: e, enclosingNode: t, followingNode: r }) {
+  return N(t) && r?.type === "Identifier" ? (K(t, e), true) : false;
+}
+function Gc({ comment: e, enclosingNode: t, followingNode: r, options: n }) {
+  return !n.experimentalTernaries || !(t?.type === "ConditionalExpression" || Qe(t)) ? false : r?.type === "ConditionalExpression" || Qe(r) ? (ge(t, e), true) : false;
+}
+function is({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o, options: i }) {
+  let s = t && !te(o, S(t), b(e));
+  return (!t || !s) && (r?.type === "ConditionalExpression" || Qe(r)) && n ? i.experimentalTernaries && r.alternate === n && !(le(e) && !te(i.originalText, b(e), S(e))) ? (ge(r, e), true) : (K(n, e), true) : false;
+}
+function ss({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n }) {
+  if (Uc(r)) {
+    let { decorators: o } = r;
+    if (j(o) && n?.type !== "Decorator") return X(w(0, o, -1), e), true;
+    if (r.body && n === r.body) return nr(r.body, e), true;
+    if (n) {
+      let { superClass: i } = r;
+      if (i && n === i && t && (t === r.id || t === r.typeParameters)) return X(t, e), true;
+      for (let s of ["implements", "extends", "mixins"]) if (r[s] && n === r[s][0]) return t && (t === r.id || t === r.typeParameters || t === i) ? X(t, e) : ge(r, e, s), true;
+    }
+  }
+  return false;
+}
+function us({ placement: e, comment: t, precedingNode: r, enclosingNode: n, followingNode: o, text: i }) {
+  return n && r && Je(i, S(t)) === "(" && (n.type === "Property" || n.type === "TSDeclareMethod" || n.type === "TSAbstractMethodDefinition") && r.type === "Identifier" && n.key === r && Je(i, S(r)) !== ":" ? (X(r, t), true) : rs(n) && !o && e === "remaining" ? (X(Je(i, S(t)) === "(" ? r : n, t), true) : r?.type === "Decorator" && rs(n) && (Le(t) || e === "ownLine") ? (X(r, t), true) : false;
+}
+function qc({ comment: e, precedingNode: t, enclosingNode: r, text: n }) {
+  return Je(n, S(e)) !== "(" ? false : t && as(r) ? (X(t, e), true) : false;
+}
+function Yc({ comment: e, enclosingNode: t, text: r }) {
+  if (t?.type !== "ArrowFunctionExpression") return false;
+  let n = Rt(r, S(e));
+  return n !== false && r.slice(n, n + 2) === "=>" ? (ge(t, e, "commentBeforeArrow"), true) : false;
+}
+function ns(e, t, r) {
+  let n = b(t), o = S(e);
+  if (n >= o) return false;
+  let i = S(t), s = b(e);
+  if (i <= s) return false;
+  let u = ce(r);
+  return u.slice(0, b(t)).trimEnd().endsWith("(") && u.slice(S(t)).trimStart().startsWith(")");
+}
+function bo({ comment: e, enclosingNode: t, options: r }) {
+  if (!t) return false;
+  if (Dt(t) && se(t).length === 0 && ns(t, e, r)) return ge(t, e), true;
+  let n = Es(t) || Hc(t) || t.type === "HookTypeAnnotation" ? t : t.type === "MethodDefinition" || t.type === "TSAbstractMethodDefinition" || t.type === "Property" && $e(t) ? t.value : void 0;
+  return n && ee(n).length === 0 && ns(n, e, r) ? (ge(n, e), true) : false;
+}
+function ps({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o }) {
+  return t?.type === "FunctionTypeParam" && r?.type === "FunctionTypeAnnotation" && n?.type !== "FunctionTypeParam" ? (X(t, e), true) : t?.type === "ComponentTypeParameter" && (r?.type === "DeclareComponent" || r?.type === "ComponentTypeAnnotation") && n?.type !== "ComponentTypeParameter" ? (X(t, e), true) : (t?.type === "Identifier" || t?.type === "AssignmentPattern" || t?.type === "ObjectPattern" || t?.type === "ArrayPattern" || t?.type === "RestElement" || t?.type === "TSParameterProperty") && (Es(r) || (r?.type === "TSAbstractMethodDefinition" || r?.type === "MethodDefinition") && r.value.type === "TSEmptyBodyFunctionExpression") && Je(o, S(e)) === ")" ? (X(t, e), true) : (t?.type === "ComponentParameter" || t?.type === "RestElement") && (r?.type === "ComponentDeclaration" || r?.type === "DeclareComponent") && Je(o, S(e)) === ")" ? (X(t, e), true) : !le(e) && n?.type === "BlockStatement" && as(r) && (r.type === "MethodDefinition" ? r.value.body : r.body) === n && Rt(o, S(e)) === b(n) ? (nr(n, e), true) : false;
+}
+function cs({ comment: e, enclosingNode: t }) {
+  return t?.type === "LabeledStatement" ? (K(t, e), true) : false;
+}
+function Xc({ comment: e, precedingNode: t, enclosingNode: r, options: n }) {
+  return Tt(r) && r.callee === t && r.arguments.length > 0 && ts(r, e, n) ? (K(r.arguments[0], e), true) : false;
+}
+function Vc({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n }) {
+  return pe(r) ? (yt(e) && (n.prettierIgnore = true, e.unignore = true), t ? (X(t, e), true) : false) : (pe(n) && yt(e) && (n.types[0].prettierIgnore = true, e.unignore = true), false);
+}
+function Kc({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n }) {
+  return r && r.type === "MatchOrPattern" ? (yt(e) && (n.prettierIgnore = true, e.unignore = true), t ? (X(t, e), true) : false) : (n && n.type === "MatchOrPattern" && yt(e) && (n.types[0].prettierIgnore = true, e.unignore = true), false);
+}
+function $c({ comment: e, enclosingNode: t }) {
+  return Ge(t) ? (K(t, e), true) : false;
+}
+function Po({ comment: e, enclosingNode: t, ast: r, isLastComment: n }) {
+  return r?.body?.length === 0 ? (n ? ge(r, e) : K(r, e), true) : t?.type === "Program" && t.body.length === 0 && !j(t.directives) ? (n ? ge(t, e) : K(t, e), true) : false;
+}
+function ls({ comment: e, precedingNode: t, enclosingNode: r, text: n }) {
+  if (r?.type === "ImportSpecifier" || r?.type === "ExportSpecifier") return K(r, e), true;
+  let o = t?.type === "ImportSpecifier" && r?.type === "ImportDeclaration", i = t?.type === "ExportSpecifier" && r?.type === "ExportNamedDeclaration";
+  return (o || i) && J(n, S(e)) ? (X(t, e), true) : false;
+}
+function Qc({ comment: e, enclosingNode: t }) {
+  return t?.type === "AssignmentPattern" ? (K(t, e), true) : false;
+}
+function ms(e) {
+  let { comment: t, enclosingNode: r, followingNode: n, options: o, placement: i } = e;
+  if (zc(r) && n && i === "endOfLine" && (Zc(n) || le(t))) return Bo(n, e);
+  if (Vr(r) && n) {
+    let s = r.id, u = ce(o).indexOf("=", S(s));
+    if (b(t) >= u) return Bo(n, e);
+  }
+  return false;
+}
+function el({ comment: e, enclosingNode: t, precedingNode: r, followingNode: n, text: o }) {
+  return !n && (t?.type === "TSMethodSignature" || t?.type === "TSDeclareFunction" || t?.type === "TSAbstractMethodDefinition") && (!r || r !== t.returnType) && Je(o, S(e)) === ";" ? (X(t, e), true) : false;
+}
+function fs({ comment: e, enclosingNode: t, followingNode: r }) {
+  if (yt(e) && t?.type === "TSMappedType" && r === t.key) return t.prettierIgnore = true, e.unignore = true, true;
+}
+function tl(e, t, r) {
+  let n = ce(r).indexOf("[", b(e));
+  return S(t) < n;
+}
+function Io({ comment: e, enclosingNode: t, options: r }) {
+  if (t?.type === "TSMappedType" && tl(t, e, r)) return ge(t, e), true;
+}
+function rl({ comment: e, enclosingNode: t, followingNode: r }) {
+  return !t || t.type !== "SwitchCase" || t.test || !r || r !== t.consequent[0] ? false : (r.type === "BlockStatement" && Le(e) ? nr(r, e) : ge(t, e), true);
+}
+function nl({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n }) {
+  return pe(t) && (Yi(r) && !n || At(r) || pe(r)) ? (X(w(0, t.types, -1), e), true) : false;
+}
+function ol({ comment: e, enclosingNode: t, precedingNode: r, followingNode: n }) {
+  if ((t?.type === "ObjectPattern" || t?.type === "ArrayPattern") && n?.type === "TSTypeAnnotation") return r ? X(r, e) : ge(t, e), true;
+}
+function il({ comment: e, precedingNode: t, enclosingNode: r, followingNode: n, text: o }) {
+  return !n && r?.type === "UnaryExpression" && (t?.type === "LogicalExpression" || t?.type === "BinaryExpression") && te(o, b(r.argument), b(t.right)) && wr(e, o) && !te(o, b(t.right), b(e)) ? (X(t.right, e), true) : false;
+}
+function sl({ enclosingNode: e, followingNode: t, comment: r }) {
+  if (e && (e.type === "TSPropertySignature" || e.type === "ObjectTypeProperty") && (pe(t) || At(t))) return K(t, r), true;
+}
+function ko({ enclosingNode: e, precedingNode: t, followingNode: r, comment: n, text: o }) {
+  if (de(e) && t === e.expression && !wr(n, o)) return r ? K(r, n) : X(e, n), true;
+}
+function ul(e, t, r) {
+  let n = ce(r).lastIndexOf("=>", b(t.body));
+  return S(e) < n;
+}
+function al({ comment: e, enclosingNode: t, followingNode: r, precedingNode: n, options: o }) {
+  return t?.type !== "ArrowFunctionExpression" || !r || !n || ul(e, t, o) ? false : (Qr(r, e), true);
+}
+function Ds({ comment: e, enclosingNode: t, precedingNode: r, followingNode: n }) {
+  if (!n && t && r) {
+    if (t.type === "ExpressionStatement" && t.expression === r) return X(t, e), true;
+    let o = r.type === "SequenceExpression", i = r.type === "AssignmentExpression";
+    if ((o || i) && (t.type === "ArrowFunctionExpression" && t.body === r || t.type === "VariableDeclarator" && t.init === r || t.type === "ReturnStatement" && t.argument === r || t.type === "AssignmentExpression" && t.right === r)) return X(o ? w(0, r.expressions, -1) : r.right, e), true;
+  }
+  return false;
+}
+function ys(e) {
+  let { followingNode: t, comment: r } = e;
+  return So(t, e) ? (K(t.types[0], r), true) : false;
+}
+function cl(e, { parser: t }) {
+  if (t === "flow" || t === "hermes" || t === "babel-flow") return e = V(0, e, /[\s(]/g, ""), e === "" || e === "/*" || e === "/*::";
+}
+function x(e, t, r) {
+  if (!j(e?.comments)) return false;
+  let n = Fs(t, r);
+  return n ? e.comments.some(n) : true;
+}
+function re(e, t, r) {
+  if (!Array.isArray(e?.comments)) return [];
+  let n = Fs(t, r);
+  return n ? e.comments.filter(n) : e.comments;
+}
+function Lt(e) {
+  return e?.prettierIgnore || x(e, g.PrettierIgnore);
+}
+function tn(e) {
+  let { node: t } = e;
+  return (t.type === "FunctionExpression" || t.type === "ArrowFunctionExpression") && (e.key === "callee" && M(e.parent) || e.key === "tag" && e.parent.type === "TaggedTemplateExpression");
+}
+function or(e) {
+  return ll.get(e);
+}
+function Lr(e, t) {
+  return !(or(t) !== or(e) || e === "**" || xs[e] && xs[t] || t === "%" && rn[e] || e === "%" && rn[t] || t !== e && rn[t] && rn[e] || nn[e] && nn[t]);
+}
+function As(e) {
+  return !!nn[e] || e === "|" || e === "^" || e === "&";
+}
+function Ts(e) {
+  return e.type === "LogicalExpression" && e.operator === "??";
+}
+function Ce(e, t) {
+  switch (e.type) {
+    case "BinaryExpression":
+    case "LogicalExpression":
+    case "AssignmentExpression":
+    case "NGPipeExpression":
+      return Ce(e.left, t);
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      return Ce(e.object, t);
+    case "TaggedTemplateExpression":
+      return e.tag.type === "FunctionExpression" ? false : Ce(e.tag, t);
+    case "CallExpression":
+    case "OptionalCallExpression":
+      return e.callee.type === "FunctionExpression" ? false : Ce(e.callee, t);
+    case "ConditionalExpression":
+      return Ce(e.test, t);
+    case "UpdateExpression":
+      return !e.prefix && Ce(e.argument, t);
+    case "BindExpression":
+      return e.object && Ce(e.object, t);
+    case "SequenceExpression":
+      return Ce(e.expressions[0], t);
+    case "ChainExpression":
+    case "TSNonNullExpression":
+    case "TSSatisfiesExpression":
+    case "TSAsExpression":
+    case "AsExpression":
+    case "AsConstExpression":
+    case "SatisfiesExpression":
+      return Ce(e.expression, t);
+    default:
+      return t(e);
+  }
+}
+function ml(e) {
+  let { key: t, parent: r } = e;
+  return t === "expression" && r.type === "TSNonNullExpression" || t === "object" && r.type === "MemberExpression" && !r.optional || t === "callee" && r.type === "CallExpression" && !r.optional || t === "callee" && r.type === "NewExpression" || t === "tag" && r.type === "TaggedTemplateExpression";
+}
+function Dl(e) {
+  let { node: t } = e, r = t;
+  for (; r.type === "TSNonNullExpression"; ) if (r = r.expression, gs(r)) return false;
+  return fl(r) ? gs(t) ? true : !(e.key === "expression" && e.parent.type === "TSNonNullExpression") : false;
+}
+function hs(e) {
+  return (e.node.type === "ChainExpression" || Dl(e)) && ml(e);
+}
+function Ss(e) {
+  let { node: t } = e;
+  if (t.type !== "Identifier") return false;
+  if (t.extra?.parenthesized && /^PRETTIER_HTML_PLACEHOLDER_\d+_\d+_IN_JS$/.test(t.name)) return true;
+  let { key: r, parent: n } = e;
+  if (r === "left" && (t.name === "async" && !n.await || t.name === "let") && n.type === "ForOfStatement") return true;
+  if (t.name === "let") {
+    let o = e.findAncestor((i) => i.type === "ForOfStatement" || i.type === "ForInStatement")?.left;
+    if (o && Ce(o, (i) => i === t)) return true;
+  }
+  if (r === "object" && t.name === "let" && n.type === "MemberExpression" && n.computed && !n.optional) {
+    let o = e.findAncestor((s) => s.type === "ExpressionStatement" || s.type === "ForStatement" || s.type === "ForInStatement"), i = o ? o.type === "ExpressionStatement" ? o.expression : o.type === "ForStatement" ? o.init : o.left : void 0;
+    if (i && Ce(i, (s) => s === t)) return true;
+  }
+  if (r === "expression") switch (t.name) {
+    case "await":
+    case "interface":
+    case "module":
+    case "using":
+    case "yield":
+    case "let":
+    case "component":
+    case "hook":
+    case "type": {
+      let o = e.findAncestor((i) => !de(i));
+      if (o !== n && o.type === "ExpressionStatement") return true;
+    }
+  }
+  return false;
+}
+function yl(e) {
+  return e !== null && typeof e == "object";
+}
+function* El(e, t) {
+  let { getVisitorKeys: r, filter: n = () => true } = t, o = (i) => on(i) && n(i);
+  for (let i of r(e)) {
+    let s = e[i];
+    if (Array.isArray(s)) for (let u of s) o(u) && (yield u);
+    else o(s) && (yield s);
+  }
+}
+function* dl(e, t) {
+  let r = [e];
+  for (let n = 0; n < r.length; n++) {
+    let o = r[n];
+    for (let i of El(o, t)) yield i, r.push(i);
+  }
+}
+function Bs(e, { getVisitorKeys: t, predicate: r }) {
+  for (let n of dl(e, { getVisitorKeys: t })) if (r(n)) return true;
+  return false;
+}
+function Mr(e) {
+  if (Or !== null && typeof Or.property) {
+    let t = Or;
+    return Or = Mr.prototype = null, t;
+  }
+  return Or = Mr.prototype = e ?? /* @__PURE__ */ Object.create(null), new Mr();
+}
+function wo(e) {
+  return Mr(e);
+}
+function Fl(e, t = "type") {
+  wo(e);
+  function r(n) {
+    let o = n[t], i = e[o];
+    if (!Array.isArray(i)) throw Object.assign(new Error(`Missing visitor keys for '${o}'.`), { node: n });
+    return i;
+  }
+  return r;
+}
+function _r(e, t) {
+  return t(e) || Bs(e, { getVisitorKeys: un, predicate: t });
+}
+function ir(e) {
+  return e.type === "AssignmentExpression" || e.type === "BinaryExpression" || e.type === "LogicalExpression" || e.type === "NGPipeExpression" || e.type === "ConditionalExpression" || M(e) || N(e) || e.type === "SequenceExpression" || e.type === "TaggedTemplateExpression" || e.type === "BindExpression" || e.type === "UpdateExpression" && !e.prefix || de(e) || We(e);
+}
+function Ps(e) {
+  return e.expressions ? e.expressions[0] : e.left ?? e.test ?? e.callee ?? e.object ?? e.tag ?? e.argument ?? e.expression;
+}
+function an(e) {
+  if (e.expressions) return ["expressions", 0];
+  if (e.left) return ["left"];
+  if (e.test) return ["test"];
+  if (e.object) return ["object"];
+  if (e.callee) return ["callee"];
+  if (e.tag) return ["tag"];
+  if (e.argument) return ["argument"];
+  if (e.expression) return ["expression"];
+  throw new Error("Unexpected node has no left side.");
+}
+function Oe(e, t) {
+  return H(t) ? Lt(t) : x(t, g.Leading, (r) => J(e, S(r)));
+}
+function Al(e, t) {
+  if (Oe(t.originalText, e) || x(e, g.Leading, (r) => te(t.originalText, b(r), S(r))) && !H(e)) return true;
+  if (ir(e)) {
+    let r = e, n;
+    for (; n = Ps(r); ) if (r = n, Oe(t.originalText, r)) return true;
+  }
+  return false;
+}
+function pn(e, t) {
+  return Z(Tl, e, (r) => Al(r, t));
+}
+function Pe(e) {
+  for (; We(e); ) e = e.expression;
+  return e;
+}
+function Is(e, t, r) {
+  let { node: n, key: o, parent: i } = e;
+  switch (i.type) {
+    case "ReturnStatement":
+    case "ThrowStatement":
+      if (gl(e, t)) return false;
+      break;
+    case "ParenthesizedExpression":
+      return false;
+    case "ClassDeclaration":
+    case "ClassExpression":
+      if (o === "superClass") {
+        let s = Pe(n);
+        if (s.type === "ArrowFunctionExpression" || s.type === "AssignmentExpression" || s.type === "AwaitExpression" || s.type === "BinaryExpression" || s.type === "ConditionalExpression" || s.type === "LogicalExpression" || s.type === "NewExpression" || s.type === "ObjectExpression" || s.type === "SequenceExpression" || s.type === "TaggedTemplateExpression" || s.type === "UnaryExpression" || s.type === "UpdateExpression" || s.type === "YieldExpression" || s.type === "ClassExpression" && j(s.decorators)) return true;
+      }
+      break;
+    case "ExportDefaultDeclaration":
+      if (ks(e, t, r)) return true;
+      break;
+    case "Decorator":
+      if (o === "expression" && !hl(n)) return true;
+      break;
+    case "TypeAnnotation":
+      if (e.match(void 0, void 0, (s, u) => u === "returnType" && s.type === "ArrowFunctionExpression") && !(n.type === "NullableTypeAnnotation" && e.call(() => r(e, t), "typeAnnotation")) && Sl(n)) return true;
+      break;
+    case "VariableDeclarator":
+      if (o === "init" && e.match(void 0, void 0, (s, u) => u === "declarations" && s.type === "VariableDeclaration", (s, u) => u === "left" && s.type === "ForInStatement")) return true;
+      break;
+    case "TSInstantiationExpression":
+      if (o === "expression" && (n.type === "AwaitExpression" || n.type === "YieldExpression")) return true;
+      break;
+  }
+}
+function gl(e, t) {
+  let { key: r, parent: n } = e;
+  if (!(r === "argument" && ut(n))) return false;
+  let { node: o } = e;
+  return !!((o.type === "SequenceExpression" || o.type === "AssignmentExpression") && pn(o, t));
+}
+function ks(e, t, r) {
+  let { node: n, parent: o } = e;
+  return n.type === "FunctionExpression" || n.type === "ClassExpression" ? o.type === "ExportDefaultDeclaration" || !r(e, t) : !ir(n) || o.type !== "ExportDefaultDeclaration" && r(e, t) ? false : e.call(() => ks(e, t, r), ...an(n));
+}
+function hl(e) {
+  return e.type === "ChainExpression" && (e = e.expression), Lo(e) || M(e) && !e.optional && Lo(e.callee);
+}
+function Lo(e) {
+  return e.type === "Identifier" ? true : N(e) ? !e.computed && !e.optional && e.property.type === "Identifier" && Lo(e.object) : false;
+}
+function Sl(e) {
+  return _r(e, (t) => t.type === "ObjectTypeAnnotation" && _r(t, (r) => r.type === "FunctionTypeAnnotation"));
+}
+function ws(e, t) {
+  if (e.isRoot) return false;
+  let { node: r, key: n, parent: o } = e;
+  if (t.__isInHtmlInterpolation && !t.bracketSpacing && Pl(r) && Nr(e)) return true;
+  if (Bl(r)) return false;
+  if (r.type === "Identifier") return Ss(e);
+  if (r.type === "ObjectExpression" || r.type === "FunctionExpression" || r.type === "ClassExpression" || r.type === "DoExpression") {
+    let s = e.findAncestor((u) => u.type === "ExpressionStatement")?.expression;
+    if (s && Ce(s, (u) => u === r)) return true;
+  }
+  if (r.type === "ObjectExpression") {
+    let s = e.findAncestor((u) => u.type === "ArrowFunctionExpression")?.body;
+    if (s && s.type !== "SequenceExpression" && s.type !== "AssignmentExpression" && Ce(s, (u) => u === r)) return true;
+  }
+  let i = Is(e, t, ws);
+  if (typeof i == "boolean") return i;
+  switch (r.type) {
+    case "UpdateExpression":
+      if (o.type === "UnaryExpression") return r.prefix && (r.operator === "++" && o.operator === "+" || r.operator === "--" && o.operator === "-");
+    case "UnaryExpression":
+      switch (o.type) {
+        case "UnaryExpression":
+          return r.operator === o.operator && (r.operator === "+" || r.operator === "-");
+        case "BindExpression":
+          return true;
+        case "MemberExpression":
+        case "OptionalMemberExpression":
+          return n === "object";
+        case "TaggedTemplateExpression":
+          return true;
+        case "NewExpression":
+        case "CallExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "BinaryExpression":
+          return n === "left" && r.type === "UnaryExpression" && (o.operator === "in" || o.operator === "instanceof") ? true : n === "left" && o.operator === "**";
+        case "TSNonNullExpression":
+          return true;
+        default:
+          return false;
+      }
+    case "BinaryExpression":
+      if (o.type === "UpdateExpression" || r.operator === "in" && bl(e)) return true;
+      if (r.operator === "|>" && r.extra?.parenthesized) {
+        let s = e.grandparent;
+        if (s.type === "BinaryExpression" && s.operator === "|>") return true;
+      }
+    case "TSTypeAssertion":
+    case "TSAsExpression":
+    case "TSSatisfiesExpression":
+    case "AsExpression":
+    case "AsConstExpression":
+    case "SatisfiesExpression":
+    case "LogicalExpression":
+      switch (o.type) {
+        case "TSAsExpression":
+        case "TSSatisfiesExpression":
+        case "AsExpression":
+        case "AsConstExpression":
+        case "SatisfiesExpression":
+          return !de(r);
+        case "ConditionalExpression":
+          return de(r) || Ts(r);
+        case "CallExpression":
+        case "NewExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "ClassExpression":
+        case "ClassDeclaration":
+          return n === "superClass";
+        case "TSTypeAssertion":
+        case "TaggedTemplateExpression":
+        case "JSXSpreadAttribute":
+        case "SpreadElement":
+        case "BindExpression":
+        case "AwaitExpression":
+        case "TSNonNullExpression":
+        case "UpdateExpression":
+          return true;
+        case "UnaryExpression":
+          if (!x(r)) return true;
+          break;
+        case "MemberExpression":
+        case "OptionalMemberExpression":
+          return n === "object";
+        case "AssignmentExpression":
+        case "AssignmentPattern":
+          return n === "left" && (r.type === "TSTypeAssertion" || de(r));
+        case "LogicalExpression":
+          if (r.type === "LogicalExpression") return o.operator !== r.operator;
+        case "BinaryExpression": {
+          let { operator: s, type: u } = r;
+          if (!s && u !== "TSTypeAssertion") return true;
+          let a = or(s), c = o.operator, f = or(c);
+          return !!(f > a || n === "right" && f === a || f === a && !Lr(c, s) || f < a && s === "%" && (c === "+" || c === "-") || As(c));
+        }
+        default:
+          return false;
+      }
+      break;
+    case "SequenceExpression":
+      return o.type !== "ForStatement";
+    case "YieldExpression":
+      if (o.type === "AwaitExpression" || o.type === "TSTypeAssertion") return true;
+    case "AwaitExpression":
+      switch (o.type) {
+        case "TaggedTemplateExpression":
+        case "UnaryExpression":
+        case "LogicalExpression":
+        case "SpreadElement":
+        case "TSAsExpression":
+        case "TSSatisfiesExpression":
+        case "TSNonNullExpression":
+        case "AsExpression":
+        case "AsConstExpression":
+        case "SatisfiesExpression":
+        case "BindExpression":
+          return true;
+        case "MemberExpression":
+        case "OptionalMemberExpression":
+          return n === "object";
+        case "NewExpression":
+        case "CallExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "ConditionalExpression":
+          return n === "test";
+        case "BinaryExpression":
+          return !(!r.argument && o.operator === "|>");
+        default:
+          return false;
+      }
+    case "TSFunctionType":
+      if (e.match((s) => s.type === "TSFunctionType", (s, u) => u === "typeAnnotation" && s.type === "TSTypeAnnotation", (s, u) => u === "returnType" && s.type === "ArrowFunctionExpression")) return true;
+    case "TSConditionalType":
+    case "TSConstructorType":
+    case "ConditionalTypeAnnotation":
+      if (n === "extendsType" && Qe(r) && o.type === r.type || n === "constraint" && r.type === "TSConditionalType" && o.type === "TSTypeParameter" || n === "typeAnnotation" && r.type === "ConditionalTypeAnnotation" && o.type === "TypeAnnotation" && e.grandparent.type === "TypeParameter" && e.grandparent.bound === o && e.grandparent.usesExtendsBound || n === "checkType" && Qe(o)) return true;
+      if (n === "extendsType" && o.type === "TSConditionalType") {
+        let { typeAnnotation: s } = r.returnType || r.typeAnnotation;
+        if (s.type === "TSTypePredicate" && s.typeAnnotation && (s = s.typeAnnotation.typeAnnotation), s.type === "TSInferType" && s.typeParameter.constraint) return true;
+      }
+    case "TSUnionType":
+    case "TSIntersectionType":
+      if (pe(o) || At(o)) return true;
+    case "TSInferType":
+      if (r.type === "TSInferType") {
+        if (o.type === "TSRestType") return false;
+        if (n === "types" && (o.type === "TSUnionType" || o.type === "TSIntersectionType") && r.typeParameter.type === "TSTypeParameter" && r.typeParameter.constraint) return true;
+      }
+    case "TSTypeOperator":
+      return o.type === "TSArrayType" || o.type === "TSOptionalType" || o.type === "TSRestType" || n === "objectType" && o.type === "TSIndexedAccessType" || o.type === "TSTypeOperator" || o.type === "TSTypeAnnotation" && e.grandparent.type.startsWith("TSJSDoc");
+    case "TSTypeQuery":
+      return n === "objectType" && o.type === "TSIndexedAccessType" || n === "elementType" && o.type === "TSArrayType";
+    case "TypeOperator":
+      return o.type === "ArrayTypeAnnotation" || o.type === "NullableTypeAnnotation" || n === "objectType" && (o.type === "IndexedAccessType" || o.type === "OptionalIndexedAccessType") || o.type === "TypeOperator";
+    case "TypeofTypeAnnotation":
+    case "KeyofTypeAnnotation":
+      return n === "objectType" && (o.type === "IndexedAccessType" || o.type === "OptionalIndexedAccessType") || n === "elementType" && o.type === "ArrayTypeAnnotation";
+    case "ArrayTypeAnnotation":
+      return o.type === "NullableTypeAnnotation";
+    case "IntersectionTypeAnnotation":
+    case "UnionTypeAnnotation":
+      return o.type === "TypeOperator" || o.type === "KeyofTypeAnnotation" || o.type === "ArrayTypeAnnotation" || o.type === "NullableTypeAnnotation" || o.type === "IntersectionTypeAnnotation" || o.type === "UnionTypeAnnotation" || n === "objectType" && (o.type === "IndexedAccessType" || o.type === "OptionalIndexedAccessType");
+    case "InferTypeAnnotation":
+    case "NullableTypeAnnotation":
+      if (o.type === "ArrayTypeAnnotation" || n === "objectType" && (o.type === "IndexedAccessType" || o.type === "OptionalIndexedAccessType")) return true;
+      break;
+    case "ComponentTypeAnnotation":
+    case "FunctionTypeAnnotation": {
+      if (r.type === "ComponentTypeAnnotation" && (r.rendersType === null || r.rendersType === void 0)) return false;
+      if (e.match(void 0, (u, a) => a === "typeAnnotation" && u.type === "TypeAnnotation", (u, a) => a === "returnType" && u.type === "ArrowFunctionExpression") || e.match(void 0, (u, a) => a === "typeAnnotation" && u.type === "NullableTypeAnnotation", (u, a) => a === "typeAnnotation" && u.type === "TypeAnnotation", (u, a) => a === "returnType" && u.type === "ArrowFunctionExpression") || e.match(void 0, (u, a) => a === "typeAnnotation" && u.type === "TypePredicate", (u, a) => a === "typeAnnotation" && u.type === "TypeAnnotation", (u, a) => a === "returnType" && u.type === "ArrowFunctionExpression")) return true;
+      let s = o.type === "NullableTypeAnnotation" ? e.grandparent : o;
+      return s.type === "UnionTypeAnnotation" || s.type === "IntersectionTypeAnnotation" || s.type === "ArrayTypeAnnotation" || n === "objectType" && (s.type === "IndexedAccessType" || s.type === "OptionalIndexedAccessType") || n === "checkType" && o.type === "ConditionalTypeAnnotation" || n === "extendsType" && o.type === "ConditionalTypeAnnotation" && r.returnType?.type === "InferTypeAnnotation" && r.returnType.typeParameter.bound || s.type === "NullableTypeAnnotation" || o.type === "FunctionTypeParam" && o.name === null && ee(r).some((u) => u.typeAnnotation?.type === "NullableTypeAnnotation");
+    }
+    case "OptionalIndexedAccessType":
+      return n === "objectType" && o.type === "IndexedAccessType";
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "Literal":
+      if (typeof r.value == "string" && o.type === "ExpressionStatement" && typeof o.directive != "string") {
+        let s = e.grandparent;
+        return s.type === "Program" || s.type === "BlockStatement";
+      }
+      return n === "object" && N(o) && Ee(r);
+    case "AssignmentExpression":
+      return !((n === "init" || n === "update") && o.type === "ForStatement" || n === "expression" && r.left.type !== "ObjectPattern" && o.type === "ExpressionStatement" || n === "key" && o.type === "TSPropertySignature" || o.type === "AssignmentExpression" || n === "expressions" && o.type === "SequenceExpression" && e.match(void 0, void 0, (s, u) => (u === "init" || u === "update") && s.type === "ForStatement") || n === "value" && o.type === "Property" && e.match(void 0, void 0, (s, u) => u === "properties" && s.type === "ObjectPattern") || o.type === "NGChainedExpression" || n === "node" && o.type === "JsExpressionRoot");
+    case "ConditionalExpression":
+      switch (o.type) {
+        case "TaggedTemplateExpression":
+        case "UnaryExpression":
+        case "SpreadElement":
+        case "BinaryExpression":
+        case "LogicalExpression":
+        case "NGPipeExpression":
+        case "AwaitExpression":
+        case "JSXSpreadAttribute":
+        case "TSTypeAssertion":
+        case "TypeCastExpression":
+        case "TSAsExpression":
+        case "TSSatisfiesExpression":
+        case "AsExpression":
+        case "AsConstExpression":
+        case "SatisfiesExpression":
+        case "TSNonNullExpression":
+          return true;
+        case "NewExpression":
+        case "CallExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "ConditionalExpression":
+          return t.experimentalTernaries ? false : n === "test";
+        case "MemberExpression":
+        case "OptionalMemberExpression":
+          return n === "object";
+        default:
+          return false;
+      }
+    case "FunctionExpression":
+      switch (o.type) {
+        case "NewExpression":
+        case "CallExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "TaggedTemplateExpression":
+          return true;
+        case "ExportDefaultDeclaration":
+          return n === "declaration";
+        default:
+          return false;
+      }
+    case "ArrowFunctionExpression":
+      switch (o.type) {
+        case "BinaryExpression":
+          return o.operator !== "|>" || r.extra?.parenthesized;
+        case "NewExpression":
+        case "CallExpression":
+        case "OptionalCallExpression":
+          return n === "callee";
+        case "MemberExpression":
+        case "OptionalMemberExpression":
+          return n === "object";
+        case "TSAsExpression":
+        case "TSSatisfiesExpression":
+        case "AsExpression":
+        case "AsConstExpression":
+        case "SatisfiesExpression":
+        case "TSNonNullExpression":
+        case "BindExpression":
+        case "TaggedTemplateExpression":
+        case "UnaryExpression":
+        case "LogicalExpression":
+        case "AwaitExpression":
+        case "TSTypeAssertion":
+        case "MatchExpressionCase":
+          return true;
+        case "TSInstantiationExpression":
+          return n === "expression";
+        case "ConditionalExpression":
+          return n === "test";
+        default:
+          return false;
+      }
+    case "ClassExpression":
+      switch (o.type) {
+        case "NewExpression":
+          return n === "callee";
+        case "ExportDefaultDeclaration":
+          return n === "declaration";
+        default:
+          return false;
+      }
+    case "OptionalMemberExpression":
+    case "OptionalCallExpression":
+    case "ChainExpression":
+    case "TSNonNullExpression":
+      if (hs(e)) return true;
+    case "CallExpression":
+    case "MemberExpression":
+    case "TaggedTemplateExpression":
+    case "ImportExpression":
+      if (n === "callee" && (o.type === "BindExpression" || o.type === "NewExpression")) {
+        let s = r;
+        for (; s; ) switch (s.type) {
+          case "CallExpression":
+          case "ImportExpression":
+            return true;
+          case "MemberExpression":
+          case "OptionalMemberExpression":
+          case "BindExpression":
+            s = s.object;
+            break;
+          case "TaggedTemplateExpression":
+            s = s.tag;
+            break;
+          case "TSNonNullExpression":
+            s = s.expression;
+            break;
+          default:
+            return false;
+        }
+      }
+      return false;
+    case "BindExpression":
+      return n === "callee" && (o.type === "BindExpression" || o.type === "NewExpression") || n === "object" && N(o);
+    case "NGPipeExpression":
+      return !(o.type === "NGRoot" || o.type === "NGMicrosyntaxExpression" || o.type === "ObjectProperty" && !r.extra?.parenthesized || Y(o) || n === "arguments" && M(o) || n === "right" && o.type === "NGPipeExpression" || n === "property" && o.type === "MemberExpression" || o.type === "AssignmentExpression");
+    case "JSXFragment":
+    case "JSXElement":
+      return n === "callee" || n === "left" && o.type === "BinaryExpression" && o.operator === "<" || !Y(o) && o.type !== "ArrowFunctionExpression" && o.type !== "AssignmentExpression" && o.type !== "AssignmentPattern" && o.type !== "BinaryExpression" && o.type !== "ConditionalExpression" && o.type !== "ExpressionStatement" && o.type !== "JsExpressionRoot" && o.type !== "JSXAttribute" && o.type !== "JSXElement" && o.type !== "JSXExpressionContainer" && o.type !== "JSXFragment" && o.type !== "LogicalExpression" && !Tt(o) && !Ge(o) && !ut(o) && o.type !== "TypeCastExpression" && o.type !== "VariableDeclarator" && o.type !== "YieldExpression" && o.type !== "MatchExpressionCase" && !(n === "declaration" && o.type === "ExportDefaultDeclaration");
+    case "TSInstantiationExpression":
+      return n === "object" && N(o);
+    case "MatchOrPattern":
+      return o.type === "MatchAsPattern";
+  }
+  return false;
+}
+function bl(e) {
+  let t = 0, { node: r } = e;
+  for (; r; ) {
+    let n = e.getParentNode(t++);
+    if (n?.type === "ForStatement" && n.init === r) return true;
+    r = n;
+  }
+  return false;
+}
+function Pl(e) {
+  return ie(e);
+}
+function Nr(e) {
+  let { parent: t, key: r } = e;
+  switch (t.type) {
+    case "NGPipeExpression":
+      if (r === "arguments" && e.isLast) return e.callParent(Nr);
+      break;
+    case "ObjectProperty":
+      if (r === "value") return e.callParent(() => e.key === "properties" && e.isLast);
+      break;
+    case "BinaryExpression":
+    case "LogicalExpression":
+      if (r === "right") return e.callParent(Nr);
+      break;
+    case "ConditionalExpression":
+      if (r === "alternate") return e.callParent(Nr);
+      break;
+    case "UnaryExpression":
+      if (t.prefix && e.callParent(Nr)) return true;
+      break;
+  }
+  return false;
+}
+function Il(e) {
+  if (typeof e == "string") return ze;
+  if (Array.isArray(e)) return Me;
+  if (!e) return;
+  let { type: t } = e;
+  if (cn.has(t)) return t;
+}
+function wl(e) {
+  let t = e === null ? "null" : typeof e;
+  if (t !== "string" && t !== "object") return `Unexpected doc '${t}', 
+Expected it to be 'string' or 'object'.`;
+  if (Xe(e)) throw new Error("doc is valid.");
+  let r = Object.prototype.toString.call(e);
+  if (r !== "[object Object]") return `Unexpected doc '${r}'.`;
+  let n = kl([...cn].map((o) => `'${o}'`));
+  return `Unexpected doc.type '${e.type}'.
+Expected it to be ${n}.`;
+}
+function Ll(e, t, r, n) {
+  let o = [e];
+  for (; o.length > 0; ) {
+    let i = o.pop();
+    if (i === Ls) {
+      r(o.pop());
+      continue;
+    }
+    r && o.push(i, Ls);
+    let s = Xe(i);
+    if (!s) throw new Ot(i);
+    if (t?.(i) !== false) switch (s) {
+      case Me:
+      case Ue: {
+        let u = s === Me ? i : i.parts;
+        for (let a = u.length, c = a - 1; c >= 0; --c) o.push(u[c]);
+        break;
+      }
+      case _e:
+        o.push(i.flatContents, i.breakContents);
+        break;
+      case he:
+        if (n && i.expandedStates) for (let u = i.expandedStates.length, a = u - 1; a >= 0; --a) o.push(i.expandedStates[a]);
+        else o.push(i.contents);
+        break;
+      case et:
+      case Ze:
+      case tt:
+      case Ne:
+      case rt:
+        o.push(i.contents);
+        break;
+      case ze:
+      case ct:
+      case lt:
+      case He:
+      case Fe:
+      case qe:
+        break;
+      default:
+        throw new Ot(i);
+    }
+  }
+}
+function gt(e, t) {
+  if (typeof e == "string") return t(e);
+  let r = /* @__PURE__ */ new Map();
+  return n(e);
+  function n(i) {
+    return Z(r, i, o);
+  }
+  function o(i) {
+    switch (Xe(i)) {
+      case Me:
+        return t(i.map(n));
+      case Ue:
+        return t({ ...i, parts: i.parts.map(n) });
+      case _e:
+        return t({ ...i, breakContents: n(i.breakContents), flatContents: n(i.flatContents) });
+      case he: {
+        let { expandedStates: s, contents: u } = i;
+        return s ? (s = s.map(n), u = s[0]) : u = n(u), t({ ...i, contents: u, expandedStates: s });
+      }
+      case et:
+      case Ze:
+      case tt:
+      case Ne:
+      case rt:
+        return t({ ...i, contents: n(i.contents) });
+      case ze:
+      case ct:
+      case lt:
+      case He:
+      case Fe:
+      case qe:
+        return t(i);
+      default:
+        throw new Ot(i);
+    }
+  }
+}
+function Ms(e, t, r) {
+  let n = r, o = false;
+  function i(s) {
+    if (o) return false;
+    let u = t(s);
+    u !== void 0 && (o = true, n = u);
+  }
+  return ln(e, i), n;
+}
+function Ol(e) {
+  if (e.type === he && e.break || e.type === Fe && e.hard || e.type === qe) return true;
+}
+function ue(e) {
+  return Ms(e, Ol, false);
+}
+function Os(e) {
+  if (e.length > 0) {
+    let t = w(0, e, -1);
+    !t.expandedStates && !t.break && (t.break = "propagated");
+  }
+  return null;
+}
+function _s(e) {
+  let t = /* @__PURE__ */ new Set(), r = [];
+  function n(i) {
+    if (i.type === qe && Os(r), i.type === he) {
+      if (r.push(i), t.has(i)) return false;
+      t.add(i);
+    }
+  }
+  function o(i) {
+    i.type === he && r.pop().break && Os(r);
+  }
+  ln(e, n, o, true);
+}
+function Ml(e) {
+  return e.type === Fe && !e.hard ? e.soft ? "" : " " : e.type === _e ? e.flatContents : e;
+}
+function Wt(e) {
+  return gt(e, Ml);
+}
+function _l(e) {
+  switch (Xe(e)) {
+    case Ue: {
+      let { parts: t } = e;
+      if (t.every((r) => r === "")) return "";
+      if (t.length === 1) return t[0];
+      break;
+    }
+    case he:
+      if (!e.contents && !e.id && !e.break && !e.expandedStates) return "";
+      if (e.contents.type === he && e.contents.id === e.id && e.contents.break === e.break && e.contents.expandedStates === e.expandedStates) return e.contents;
+      break;
+    case et:
+    case Ze:
+    case tt:
+    case rt:
+      if (!e.contents) return "";
+      break;
+    case _e:
+      if (!e.flatContents && !e.breakContents) return "";
+      break;
+    case Me: {
+      let t = [];
+      for (let r of e) {
+        if (!r) continue;
+        let [n, ...o] = Array.isArray(r) ? r : [r];
+        typeof n == "string" && typeof w(0, t, -1) == "string" ? t[t.length - 1] += n : t.push(n), t.push(...o);
+      }
+      return t.length === 0 ? "" : t.length === 1 ? t[0] : t;
+    }
+    case ze:
+    case ct:
+    case lt:
+    case He:
+    case Fe:
+    case Ne:
+    case qe:
+      break;
+    default:
+      throw new Ot(e);
+  }
+  return e;
+}
+function sr(e) {
+  return gt(e, (t) => _l(t));
+}
+function Ve(e, t = ur) {
+  return gt(e, (r) => typeof r == "string" ? L(t, r.split(`
+`)) : r);
+}
+function Nl(e) {
+  if (e.type === Fe) return true;
+}
+function Ns(e) {
+  return Ms(e, Nl, false);
+}
+function mn(e, t) {
+  return e.type === Ne ? { ...e, contents: t(e.contents) } : t(e);
+}
+function js(e) {
+  let t = true;
+  return ln(e, (r) => {
+    switch (Xe(r)) {
+      case ze:
+        if (r === "") break;
+      case lt:
+      case He:
+      case Fe:
+      case qe:
+        return t = false, false;
+    }
+  }), t;
+}
+function m(e) {
+  return Se(e), { type: Ze, contents: e };
+}
+function Be(e, t) {
+  return Rs(e), Se(t), { type: et, contents: t, n: e };
+}
+function Ws(e) {
+  return Be(Number.NEGATIVE_INFINITY, e);
+}
+function Js(e) {
+  return Be({ type: "root" }, e);
+}
+function Dn(e) {
+  return Be(-1, e);
+}
+function Gs(e, t, r) {
+  Se(e);
+  let n = e;
+  if (t > 0) {
+    for (let o = 0; o < Math.floor(t / r); ++o) n = m(n);
+    n = Be(t % r, n), n = Be(Number.NEGATIVE_INFINITY, n);
+  }
+  return n;
+}
+function yn(e) {
+  return vs(e), { type: Ue, parts: e };
+}
+function p(e, t = {}) {
+  return Se(e), fn(t.expandedStates, true), { type: he, id: t.id, contents: e, break: !!t.shouldBreak, expandedStates: t.expandedStates };
+}
+function mt(e, t) {
+  return p(e[0], { ...t, expandedStates: e });
+}
+function O(e, t = "", r = {}) {
+  return Se(e), t !== "" && Se(t), { type: _e, breakContents: e, flatContents: t, groupId: r.groupId };
+}
+function ht(e, t) {
+  return Se(e), { type: tt, contents: e, groupId: t.groupId, negate: t.negate };
+}
+function L(e, t) {
+  Se(e), fn(t);
+  let r = [];
+  for (let n = 0; n < t.length; n++) n !== 0 && r.push(e), r.push(t[n]);
+  return r;
+}
+function Et(e, t) {
+  return Se(t), e ? { type: Ne, label: e, contents: t } : t;
+}
+function _o(e) {
+  return Se(e), { type: rt, contents: e };
+}
+function Us(e) {
+  return e === vl ? Wl : e === Rl ? Jl : Ul;
+}
+function Hl(e) {
+  let t = e[0], r = e[1];
+  for (let n = 0; n < e.length; n += 2) {
+    let o = e[n], i = e[n + 1];
+    if ($s >= o && $s <= i) return [o, i];
+    i - o > r - t && (t = o, r = i);
+  }
+  return [t, r];
+}
+function Kl(e) {
+  if (!e) return 0;
+  if (!Vl.test(e)) return e.length;
+  let t = 0;
+  e = e.replace(qs(), (r) => (t += Qs(r) ? 1 : 2, ""));
+  for (let r of e) {
+    let n = r.codePointAt(0);
+    n <= 31 || n >= 127 && n <= 159 || n >= 768 && n <= 879 || n >= 65024 && n <= 65039 || (t += vo(n) || Ro(n) ? 2 : 1);
+  }
+  return t;
+}
+function zs(e, t, r) {
+  let n = t.type === 1 ? e.queue.slice(0, -1) : [...e.queue, t], o = "", i = 0, s = 0, u = 0;
+  for (let D of n) switch (D.type) {
+    case 0:
+      f(), r.useTabs ? a(1) : c(r.tabWidth);
+      break;
+    case 3: {
+      let { string: P } = D;
+      f(), o += P, i += P.length;
+      break;
+    }
+    case 2: {
+      let { width: P } = D;
+      s += 1, u += P;
+      break;
+    }
+    default:
+      throw new Error(`Unexpected indent comment '${D.type}'.`);
+  }
+  return C(), { ...e, value: o, length: i, queue: n };
+  function a(D) {
+    o += "	".repeat(D), i += r.tabWidth * D;
+  }
+  function c(D) {
+    o += " ".repeat(D), i += D;
+  }
+  function f() {
+    r.useTabs ? E() : C();
+  }
+  function E() {
+    s > 0 && a(s), A();
+  }
+  function C() {
+    u > 0 && c(u), A();
+  }
+  function A() {
+    s = 0, u = 0;
+  }
+}
+function Zs(e, t, r) {
+  if (!t) return e;
+  if (t.type === "root") return { ...e, root: e };
+  if (t === Number.NEGATIVE_INFINITY) return e.root;
+  let n;
+  return typeof t == "number" ? t < 0 ? n = Ql : n = { type: 2, width: t } : n = { type: 3, string: t }, zs(e, n, r);
+}
+function eu(e, t) {
+  return zs(e, $l, t);
+}
+function zl(e) {
+  let t = 0;
+  for (let r = e.length - 1; r >= 0; r--) {
+    let n = e[r];
+    if (n === " " || n === "	") t++;
+    else break;
+  }
+  return t;
+}
+function En(e) {
+  let t = zl(e);
+  return { text: t === 0 ? e : e.slice(0, e.length - t), count: t };
+}
+function dn(e, t, r, n, o, i) {
+  if (r === Number.POSITIVE_INFINITY) return true;
+  let s = t.length, u = false, a = [e], c = "";
+  for (; r >= 0; ) {
+    if (a.length === 0) {
+      if (s === 0) return true;
+      a.push(t[--s]);
+      continue;
+    }
+    let { mode: f, doc: E } = a.pop(), C = Xe(E);
+    switch (C) {
+      case ze:
+        E && (u && (c += " ", r -= 1, u = false), c += E, r -= dt(E));
+        break;
+      case Me:
+      case Ue: {
+        let A = C === Me ? E : E.parts, D = E[Go] ?? 0;
+        for (let P = A.length - 1; P >= D; P--) a.push({ mode: f, doc: A[P] });
+        break;
+      }
+      case Ze:
+      case et:
+      case tt:
+      case Ne:
+        a.push({ mode: f, doc: E.contents });
+        break;
+      case lt: {
+        let { text: A, count: D } = En(c);
+        c = A, r += D;
+        break;
+      }
+      case he: {
+        if (i && E.break) return false;
+        let A = E.break ? nt : f, D = E.expandedStates && A === nt ? w(0, E.expandedStates, -1) : E.contents;
+        a.push({ mode: A, doc: D });
+        break;
+      }
+      case _e: {
+        let D = (E.groupId ? o[E.groupId] || Ct : f) === nt ? E.breakContents : E.flatContents;
+        D && a.push({ mode: f, doc: D });
+        break;
+      }
+      case Fe:
+        if (f === nt || E.hard) return true;
+        E.soft || (u = true);
+        break;
+      case rt:
+        n = true;
+        break;
+      case He:
+        if (n) return false;
+        break;
+    }
+  }
+  return false;
+}
+function Uo(e, t) {
+  let r = /* @__PURE__ */ Object.create(null), n = t.printWidth, o = Us(t.endOfLine), i = 0, s = [{ indent: Wo, mode: nt, doc: e }], u = false, a = [], c = new tu();
+  for (_s(e); s.length > 0; ) {
+    let { indent: D, mode: P, doc: F } = s.pop();
+    switch (Xe(F)) {
+      case ze: {
+        let I = o !== `
+` ? V(0, F, `
+`, o) : F;
+        I && (c.write(I), s.length > 0 && (i += dt(I)));
+        break;
+      }
+      case Me:
+        for (let I = F.length - 1; I >= 0; I--) s.push({ indent: D, mode: P, doc: F[I] });
+        break;
+      case ct:
+        c.markPosition();
+        break;
+      case Ze:
+        s.push({ indent: eu(D, t), mode: P, doc: F.contents });
+        break;
+      case et:
+        s.push({ indent: Zs(D, F.n, t), mode: P, doc: F.contents });
+        break;
+      case lt:
+        i -= c.trim();
+        break;
+      case he: {
+        let I = (function() {
+          if (P === Ct && !u) return { indent: D, mode: F.break ? nt : Ct, doc: F.contents };
+          u = false;
+          let h = n - i, v = a.length > 0, U = { indent: D, mode: Ct, doc: F.contents };
+          if (!F.break && dn(U, s, h, v, r)) return U;
+          if (!F.expandedStates) return { indent: D, mode: nt, doc: F.contents };
+          if (!F.break) for (let ae = 1; ae < F.expandedStates.length - 1; ae++) {
+            let fe = { indent: D, mode: Ct, doc: F.expandedStates[ae] };
+            if (dn(fe, s, h, v, r)) return fe;
+          }
+          return { indent: D, mode: nt, doc: w(0, F.expandedStates, -1) };
+        })();
+        s.push(I), F.id && (r[F.id] = I.mode);
+        break;
+      }
+      case Ue: {
+        let I = n - i, k = F[Go] ?? 0, { parts: h } = F, v = h.length - k;
+        if (v === 0) break;
+        let U = h[k + 0], ae = h[k + 1], fe = { indent: D, mode: Ct, doc: U }, z = { indent: D, mode: nt, doc: U }, Ae = dn(fe, [], I, a.length > 0, r, true);
+        if (v === 1) {
+          Ae ? s.push(fe) : s.push(z);
+          break;
+        }
+        let De = { indent: D, mode: Ct, doc: ae }, xt = { indent: D, mode: nt, doc: ae };
+        if (v === 2) {
+          Ae ? s.push(De, fe) : s.push(xt, z);
+          break;
+        }
+        let bt = h[k + 2], _ = { indent: D, mode: P, doc: { ...F, [Go]: k + 2 } }, we = dn({ indent: D, mode: Ct, doc: [U, ae, bt] }, [], I, a.length > 0, r, true);
+        s.push(_), we ? s.push(De, fe) : Ae ? s.push(xt, fe) : s.push(xt, z);
+        break;
+      }
+      case _e:
+      case tt: {
+        let I = F.groupId ? r[F.groupId] : P;
+        if (I === nt) {
+          let k = F.type === _e ? F.breakContents : F.negate ? F.contents : m(F.contents);
+          k && s.push({ indent: D, mode: P, doc: k });
+        }
+        if (I === Ct) {
+          let k = F.type === _e ? F.flatContents : F.negate ? m(F.contents) : F.contents;
+          k && s.push({ indent: D, mode: P, doc: k });
+        }
+        break;
+      }
+      case rt:
+        a.push({ indent: D, mode: P, doc: F.contents });
+        break;
+      case He:
+        a.length > 0 && s.push({ indent: D, mode: P, doc: Mo });
+        break;
+      case Fe:
+        switch (P) {
+          case Ct:
+            if (!F.hard) {
+              F.soft || (c.write(" "), i += 1);
+              break;
+            }
+            u = true;
+          case nt:
+            if (a.length > 0) {
+              s.push({ indent: D, mode: P, doc: F }, ...a.reverse()), a.length = 0;
+              break;
+            }
+            F.literal ? (c.write(o), i = 0, D.root && (D.root.value && c.write(D.root.value), i = D.root.length)) : (c.trim(), c.write(o + D.value), i = D.length);
+            break;
+        }
+        break;
+      case Ne:
+        s.push({ indent: D, mode: P, doc: F.contents });
+        break;
+      case qe:
+        break;
+      default:
+        throw new Ot(F);
+    }
+    s.length === 0 && a.length > 0 && (s.push(...a.reverse()), a.length = 0);
+  }
+  let { text: f, positions: E } = c.finish();
+  if (E.length !== 2) return { formatted: f };
+  let [C, A] = E;
+  return { formatted: f, cursorNodeStart: C, cursorNodeText: f.slice(C, A) };
+}
+function ar(e) {
+  return (e.type === "ObjectTypeProperty" || e.type === "ObjectTypeInternalSlot") && !e.static && !e.method && e.kind !== "get" && e.kind !== "set" && e.value.type === "FunctionTypeAnnotation";
+}
+function Zl(e, t) {
+  let r = null, n = t;
+  for (; n !== r; ) r = n, n = Ki(e, n), n = er(e, n), n = at(e, n);
+  return n = tr(e, n), n = pt(e, n), n !== false && J(e, n);
+}
+function tm({ type: e }) {
+  return e.startsWith("TS") && e.endsWith("Keyword");
+}
+function pr(e) {
+  return Fn(e) || Cn(e) || ru(e) || e.type === "GenericTypeAnnotation" && !e.typeParameters || e.type === "TSTypeReference" && !e.typeArguments;
+}
+function nu(e) {
+  return (e.type === "TypeAnnotation" || e.type === "TSTypeAnnotation") && e.typeAnnotation.type === "FunctionTypeAnnotation" && !e.static && !kt(e, e.typeAnnotation);
+}
+function rm(e, t) {
+  let r = t.split(".");
+  for (let n = r.length - 1; n >= 0; n--) {
+    let o = r[n];
+    if (n === 0) return e.type === "Identifier" && e.name === o;
+    if (n === 1 && e.type === "MetaProperty" && e.property.type === "Identifier" && e.property.name === o) {
+      e = e.meta;
+      continue;
+    }
+    if (e.type === "MemberExpression" && !e.optional && !e.computed && e.property.type === "Identifier" && e.property.name === o) {
+      e = e.object;
+      continue;
+    }
+    return false;
+  }
+}
+function cr(e, t) {
+  return t.some((r) => rm(e, r));
+}
+function om(e) {
+  return cr(e, nm);
+}
+function im(e) {
+  return e.type === "Identifier" && (e.name === "beforeEach" || e.name === "beforeAll" || e.name === "afterEach" || e.name === "afterAll");
+}
+function qo(e) {
+  return M(e) && e.callee.type === "Identifier" && ["async", "inject", "fakeAsync", "waitForAsync"].includes(e.callee.name);
+}
+function sm(e) {
+  return e.type === "FunctionExpression" || e.type === "ArrowFunctionExpression" && e.body.type === "BlockStatement";
+}
+function Gt(e, t) {
+  if (e?.type !== "CallExpression" || e.optional) return false;
+  let r = se(e);
+  if (r.length === 1) {
+    if (qo(e) && Gt(t)) return wt(r[0]);
+    if (im(e.callee)) return qo(r[0]);
+  } else if ((r.length === 2 || r.length === 3) && (r[0].type === "TemplateLiteral" || q(r[0])) && om(e.callee)) return r[2] && !Ee(r[2]) ? false : (r.length === 2 ? wt(r[1]) : sm(r[1]) && ee(r[1]).length <= 1) || qo(r[1]);
+  return false;
+}
+function um(e, t) {
+  let r = t - 1;
+  r = at(e, r, { backwards: true }), r = pt(e, r, { backwards: true }), r = at(e, r, { backwards: true });
+  let n = pt(e, r, { backwards: true });
+  return r !== n;
+}
+function Ho(e, t) {
+  let r = e.node;
+  return r.printed = true, t.printer.printComment(e, t);
+}
+function am(e, t) {
+  let r = e.node, n = [Ho(e, t)], { printer: o, originalText: i, locStart: s, locEnd: u } = t;
+  if (o.isBlockComment?.(r)) {
+    let f = " ";
+    J(i, u(r)) && (J(i, s(r), { backwards: true }) ? f = d : f = T), n.push(f);
+  } else n.push(d);
+  let c = pt(i, at(i, u(r)));
+  return c !== false && J(i, c) && n.push(d), n;
+}
+function pm(e, t, r) {
+  let n = e.node, o = Ho(e, t), { printer: i, originalText: s, locStart: u } = t, a = i.isBlockComment?.(n);
+  if (r?.hasLineSuffix && !r?.isBlock || J(s, u(n), { backwards: true })) {
+    let c = xn(s, u(n));
+    return { doc: _o([d, c ? d : "", o]), isBlock: a, hasLineSuffix: true };
+  }
+  return !a || r?.hasLineSuffix ? { doc: [_o([" ", o]), je], isBlock: a, hasLineSuffix: true } : { doc: [" ", o], isBlock: a, hasLineSuffix: false };
+}
+function W(e, t, r = {}) {
+  let { indent: n = false, marker: o, filter: i = Yo } = r, s = new Set(e.node?.comments?.filter((c) => !(c.leading || c.trailing || c.marker !== o || !i(c))));
+  if (s.size === 0) return "";
+  let u = e.map(({ node: c }) => s.has(c) ? Ho(e, t) : "", "comments").filter(Boolean), a = L(d, u);
+  return n ? m([d, a]) : a;
+}
+function An(e, t, r) {
+  let n = t[/* @__PURE__ */ Symbol.for("printedComments")], o = r?.filter ?? Yo, i = new Set(e.node?.comments?.filter((s) => !n?.has(s) && s.leading && o(s)));
+  return i.size === 0 ? "" : e.map(({ node: s }) => i.has(s) ? am(e, t) : "", "comments").filter(Boolean);
+}
+function ou(e, t, r) {
+  let n = e.node?.comments, o = new Set(n?.filter((f) => f.trailing)), i = t[/* @__PURE__ */ Symbol.for("printedComments")], s = r?.filter ?? Yo, u = new Set(n?.filter((f) => o.has(f) && !i?.has(f) && s(f)));
+  if (u.size === 0) return "";
+  let a = [], c;
+  return e.each(({ node: f }) => {
+    o.has(f) && (c = pm(e, t, c), u.has(f) && a.push(c.doc));
+  }, "comments"), a;
+}
+function Tn(e, t, r) {
+  return { leading: An(e, t, r), trailing: ou(e, t, r) };
+}
+function Q(e, t, r, n) {
+  let o = An(e, r, n), i = ou(e, r, n);
+  return o || i ? mn(t, (s) => [o, s, i]) : t;
+}
+function gn(e, t = "es5") {
+  return e.trailingComma === "es5" && t === "es5" || e.trailingComma === "all" && (t === "all" || t === "es5");
+}
+function $(e) {
+  let { node: t } = e;
+  return !t.optional || t.type === "Identifier" && t === e.parent.key ? "" : M(t) || N(t) && t.computed || t.type === "OptionalIndexedAccessType" ? "?." : "?";
+}
+function hn(e) {
+  return e.node.definite || e.match(void 0, (t, r) => r === "id" && t.type === "VariableDeclarator" && t.definite) ? "!" : "";
+}
+function ne(e) {
+  return lm(e) ? "declare " : "";
+}
+function lr({ node: e }) {
+  return e.abstract || mm(e) ? "abstract " : "";
+}
+function Ut(e) {
+  return e.accessibility ? e.accessibility + " " : "";
+}
+function fm(e) {
+  return x(e) || !iu(e) ? false : (e = e.argument, e = iu(e) ? e.argument : e, e.type === "LogicalExpression");
+}
+function mr(e, t, r) {
+  let { node: n } = e, o = n.type === "WithStatement" ? "object" : "test", i = r(o);
+  return fm(n[o]) ? i : p([m([y, i]), y]);
+}
+function Mt(e, t, r) {
+  let { node: n } = e;
+  return x(n, g.Dangling, r) ? [m([y, W(e, t, { filter: r })]), x(n, g.Dangling | g.Line, r) ? d : y] : "";
+}
+function Ie(e, t = "es5") {
+  return gn(e, t) ? O(",") : "";
+}
+function R(e) {
+  return e.semi ? ";" : "";
+}
+function Ke(e, t, r, n, o) {
+  let i = e.node, s = ee(i), u = o && i.typeParameters ? r("typeParameters") : "";
+  if (s.length === 0) return [u, "(", Mt(e, t, Dm), ")"];
+  let { parent: a } = e, c = Gt(a), f = su(i), E = [];
+  if (_i(e, (D, P) => {
+    let F = P === s.length - 1;
+    F && i.rest && E.push("..."), E.push(r()), !F && (E.push(","), c || f ? E.push(" ") : me(s[P], t) ? E.push(d, d) : E.push(T));
+  }), n && !Em(e)) {
+    if (ue(u) || ue(E)) throw new St();
+    return p([Wt(u), "(", Wt(E), ")"]);
+  }
+  let C = s.every((D) => !j(D.decorators));
+  return f && C ? [u, "(", ...E, ")"] : c ? [u, "(", ...E, ")"] : (ar(a) || nu(a) || a.type === "TypeAlias" || a.type === "UnionTypeAnnotation" || a.type === "IntersectionTypeAnnotation" || a.type === "FunctionTypeAnnotation" && a.returnType === i) && s.length === 1 && s[0].name === null && i.this !== s[0] && s[0].typeAnnotation && i.typeParameters === null && pr(s[0].typeAnnotation) && !i.rest ? t.arrowParens === "always" || i.type === "HookTypeAnnotation" ? ["(", ...E, ")"] : E : [u, "(", m([y, ...E]), !Ni(i) && e.root.type !== "NGRoot" ? Ie(t, "all") : "", y, ")"];
+}
+function su(e) {
+  if (!e) return false;
+  let t = ee(e);
+  if (t.length !== 1) return false;
+  let [r] = t;
+  return !x(r) && (r.type === "ObjectPattern" || r.type === "ArrayPattern" || r.type === "Identifier" && r.typeAnnotation && (r.typeAnnotation.type === "TypeAnnotation" || r.typeAnnotation.type === "TSTypeAnnotation") && Ye(r.typeAnnotation.typeAnnotation) || r.type === "FunctionTypeParam" && Ye(r.typeAnnotation) && r !== e.rest || r.type === "AssignmentPattern" && (r.left.type === "ObjectPattern" || r.left.type === "ArrayPattern") && (r.right.type === "Identifier" || ie(r.right) && r.right.properties.length === 0 || Y(r.right) && r.right.elements.length === 0));
+}
+function ym(e) {
+  let t;
+  return e.returnType ? (t = e.returnType, t.typeAnnotation && (t = t.typeAnnotation)) : e.typeAnnotation && (t = e.typeAnnotation), t;
+}
+function Bt(e, t) {
+  let r = ym(e);
+  if (!r) return false;
+  let n = e.typeParameters?.params;
+  if (n) {
+    if (n.length > 1) return false;
+    if (n.length === 1) {
+      let o = n[0];
+      if (o.constraint || o.default) return false;
+    }
+  }
+  return ee(e).length === 1 && (Ye(r) || ue(t));
+}
+function Em(e) {
+  return e.match((t) => t.type === "ArrowFunctionExpression" && t.body.type === "BlockStatement", (t, r) => {
+    if (t.type === "CallExpression" && r === "arguments" && t.arguments.length === 1 && t.callee.type === "CallExpression") {
+      let n = t.callee.callee;
+      return n.type === "Identifier" || n.type === "MemberExpression" && !n.computed && n.object.type === "Identifier" && n.property.type === "Identifier";
+    }
+    return false;
+  }, (t, r) => t.type === "VariableDeclarator" && r === "init" || t.type === "ExportDefaultDeclaration" && r === "declaration" || t.type === "TSExportAssignment" && r === "expression" || t.type === "AssignmentExpression" && r === "right" && t.left.type === "MemberExpression" && t.left.object.type === "Identifier" && t.left.object.name === "module" && t.left.property.type === "Identifier" && t.left.property.name === "exports", (t) => t.type !== "VariableDeclaration" || t.kind === "const" && t.declarations.length === 1);
+}
+function uu(e) {
+  let t = ee(e);
+  return t.length > 1 && t.some((r) => r.type === "TSParameterProperty");
+}
+function qt(e, t) {
+  return (t === "params" || t === "this" || t === "rest") && su(e);
+}
+function Fm(e) {
+  return e.length === 1 ? e : e.toLowerCase().replace(/^([+-]?[\d.]+e)(?:\+|(-))?0*(?=\d)/, "$1$2").replace(/^([+-]?[\d.]+)e[+-]?0+$/, "$1").replace(/^([+-])?\./, "$10.").replace(/(\.\d+?)0+(?=e|$)/, "$1").replace(/\.(?=e|$)/, "");
+}
+function Sn(e, t) {
+  let { preferred: r, alternate: n } = t === true || t === "'" ? xm : Am, { length: o } = e, i = 0, s = 0;
+  for (let u = 0; u < o; u++) {
+    let a = e.charCodeAt(u);
+    a === r.codePoint ? i++ : a === n.codePoint && s++;
+  }
+  return (i > s ? n : r).character;
+}
+function gm(e, t) {
+  let r = t === '"' ? "'" : '"', n = V(0, e, Tm, (o, i, s) => i ? i === r ? r : o : s === t ? "\\" + s : s);
+  return t + n + t;
+}
+function hm(e, t) {
+  Re(/^(?<quote>["']).*\k<quote>$/s.test(e));
+  let r = e.slice(1, -1), n;
+  return t.parser === "json" || t.parser === "jsonc" || t.parser === "json-stringify" || t.parser === "json5" && t.quoteProps === "preserve" && !t.singleQuote ? n = '"' : t.__isInHtmlAttribute ? n = "'" : n = Sn(r, t.singleQuote), e.charAt(0) === n ? e : mu(r, n);
+}
+function Eu(e) {
+  return /^(?:\d+|\d+\.\d+)$/.test(e);
+}
+function Bm(e, t) {
+  let r = vr(e);
+  if (r.type === "Identifier") return true;
+  if (!Ee(r) || Sm(t)) return false;
+  let n = _t(ye(r));
+  return String(r.value) === n && Eu(n);
+}
+function du(e, t) {
+  let { parser: r } = t;
+  if (r === "json" || r === "jsonc") return false;
+  let n = vr(e);
+  if (!q(n)) return false;
+  let { value: o } = n;
+  return ot(ye(n), t).slice(1, -1) !== o || e.type === "TSMethodSignature" && o === "new" ? false : !!(!(r === "babel-ts" && e.type === "ClassProperty" || (r === "typescript" || r === "oxc-ts" || r === "yuku-ts") && e.type === "PropertyDefinition") && au(o) || (r === "babel" || r === "acorn" || r === "oxc" || r === "yuku" || r === "espree" || r === "meriyah" || r === "__babel_estree") && e.type !== "ImportAttribute" && Eu(o) && String(Number(o)) === o);
+}
+function Cu(e, t) {
+  return Z(bm, e.parent, () => e.siblings.some((r) => {
+    if (yu(r)) return false;
+    let n = vr(r);
+    return q(n) && !du(r, t);
+  }));
+}
+function Pm(e, t) {
+  return (t.parser === "json" || t.parser === "jsonc" || t.quoteProps === "consistent" && Cu(e, t)) && Bm(e.node, t);
+}
+function Im(e, t) {
+  return (t.quoteProps === "as-needed" || t.quoteProps === "consistent" && !Cu(e, t)) && du(e.node, t);
+}
+function ve(e, t, r) {
+  let { node: n } = e, o = Du(n);
+  if (yu(n)) return ["[", r(o), "]"];
+  if (Pm(e, t)) {
+    let i = vr(n), s = ot(JSON.stringify(i.type === "Identifier" ? i.name : String(i.value)), t);
+    return e.call(() => Q(e, s, t), o);
+  }
+  if (Im(e, t)) {
+    let { value: i } = vr(n), s = /^\d/.test(i) ? _t(i) : i;
+    return e.call(() => Q(e, s, t), o);
+  }
+  return r(o);
+}
+function Vo(e) {
+  return e.key === "elementTypes" && zt(e.parent) && e.parent.elementTypes.length > 1;
+}
+function Yt(e) {
+  let { types: t } = e;
+  if (t.some((n) => x(n))) return false;
+  let r = t.find((n) => wm(n));
+  return r ? t.every((n) => n === r || km(n)) : false;
+}
+function Bn(e) {
+  let { key: t, node: r, parent: n } = e;
+  return !(Yt(r) || t === "types" && pe(n) || t === "types" && At(n) || Vo(e));
+}
+function bn(e, t, r, n) {
+  let { node: o } = e;
+  if (Yt(o)) return L(" | ", e.map(r, "types"));
+  let i = p(e.map(({ isFirst: s }) => {
+    let u = s ? O("| ") : [T, "| "], a = r();
+    return x(e.node, g.Leading) ? [u, Be(2, Q(e, a, t))] : [u, Q(e, Be(2, a), t)];
+  }, "types"));
+  return Bn(e) && (i = Q(e, i, t)), oe(e, t) ? p([m([y, i]), y]) : Vo(e) ? p([m([O(["(", y]), i]), y, O(")")]) : n?.assignmentLayout === "break-after-operator" || !Lm(e) ? i : p(m([y, i]));
+}
+function Lm(e) {
+  let { key: t, parent: r } = e;
+  return !(t === "typeAnnotation" && r.type === "TSTypeAssertion" || t === "elementTypes" && zt(r) || (t === "trueType" || t === "falseType") && Qe(r) || t === "params" && Hi(r) || t === "typeAnnotation" && r.type === "FunctionTypeParam" && !r.name && e.grandparent.this !== r || e.match(void 0, (n, o) => o === "typeAnnotation" && n.type === "FunctionTypeParam", (n, o) => o === "params" && n.type === "FunctionTypeAnnotation", (n, o) => o === "value" && n.type === "ObjectTypeProperty" && ar(n)));
+}
+function Fu(e) {
+  return pr(e) || Ye(e) ? true : pe(e) ? Yt(e) : false;
+}
+function G(e, t, r = "typeAnnotation") {
+  let { node: { [r]: n } } = e;
+  if (!n) return "";
+  let o = false;
+  if (n.type === "TSTypeAnnotation" || n.type === "TypeAnnotation") {
+    let i = e.call(xu, r);
+    (i === "=>" || i === ":" && x(n, g.Leading)) && (o = true), Om.add(n);
+  }
+  return o ? [" ", t(r)] : t(r);
+}
+function Pn(e, t, r) {
+  let n = xu(e);
+  return n ? [n, " ", r("typeAnnotation")] : r("typeAnnotation");
+}
+function fr(e, t, r, n) {
+  if (Mm(e)) return In(e, t, r);
+  let { node: o } = e, i = false;
+  if (o.type === "FunctionExpression" && n?.expandLastArg) {
+    let { parent: E } = e;
+    M(E) && (se(E).length > 1 || ee(o).every((C) => C.type === "Identifier" && !C.typeAnnotation)) && (i = true);
+  }
+  let s = Ke(e, t, r, i), u = wn(e, r), a = Bt(o, u), f = o.type === "HookDeclaration" ? "hook" : "function";
+  return [ne(e), o.async ? "async " : "", f, o.generator ? "*" : "", " ", o.id ? r("id") : "", r("typeParameters"), p([a ? p(s) : s, u]), o.body ? " " : "", r("body"), o.declare || !o.body ? R(t) : ""];
+}
+function Rr(e, t, r) {
+  let { node: n } = e, { kind: o } = n, i = n.value || n, s = [];
+  return !o || o === "init" || o === "method" || o === "constructor" ? i.async && s.push("async ") : (Re(o === "get" || o === "set"), s.push(o, " ")), i.generator && s.push("*"), s.push(ve(e, t, r), n.optional ? "?" : "", n === i ? In(e, t, r) : r("value")), s;
+}
+function In(e, t, r) {
+  let { node: n } = e, o = Ke(e, t, r), i = wn(e, r), s = uu(n), u = Bt(n, i), a = [r("typeParameters"), p([s ? p(o, { shouldBreak: true }) : u ? p(o) : o, i])];
+  return n.body ? a.push(" ", r("body")) : a.push(R(t)), a;
+}
+function _m(e) {
+  let t = ee(e);
+  return t.length === 1 && !e.typeParameters && !x(e, g.Dangling) && t[0].type === "Identifier" && !t[0].typeAnnotation && !x(t[0]) && !t[0].optional && !e.predicate && !e.returnType;
+}
+function kn(e, t) {
+  if (t.arrowParens === "always") return false;
+  if (t.arrowParens === "avoid") {
+    let { node: r } = e;
+    return _m(r);
+  }
+  return false;
+}
+function wn(e, t) {
+  let { node: r } = e, o = [G(e, t, "returnType")];
+  return r.predicate && o.push(t("predicate")), o;
+}
+function Dr(e, t) {
+  if (t.semi) return false;
+  let { node: r } = e;
+  if (r.type !== "ExpressionStatement" || $o(e, t) || zo(e, t) || Qo(e, t)) return false;
+  let { key: n, parent: o } = e;
+  return !!((n === "body" && (o.type === "Program" || o.type === "BlockStatement" || o.type === "StaticBlock" || o.type === "TSModuleBlock") || n === "consequent" && o.type === "SwitchCase") && e.call(() => Au(e, t), "expression"));
+}
+function Au(e, t) {
+  let { node: r } = e;
+  switch (r.type) {
+    case "ParenthesizedExpression":
+    case "TypeCastExpression":
+    case "TSTypeAssertion":
+    case "ArrayExpression":
+    case "ArrayPattern":
+    case "TemplateLiteral":
+    case "TemplateElement":
+    case "RegExpLiteral":
+      return true;
+    case "ArrowFunctionExpression":
+      if (!kn(e, t)) return true;
+      break;
+    case "UnaryExpression": {
+      let { prefix: n, operator: o } = r;
+      if (n && (o === "+" || o === "-")) return true;
+      break;
+    }
+    case "BindExpression":
+      if (!r.object) return true;
+      break;
+    case "Literal":
+      if (r.regex) return true;
+      break;
+    default:
+      if (H(r)) return true;
+  }
+  return oe(e, t) ? true : ir(r) ? e.call(() => Au(e, t), ...an(r)) : false;
+}
+function $o(e, t) {
+  return (t.parentParser === "markdown" || t.parentParser === "mdx") && Ko(e) && H(e.node.expression);
+}
+function Qo(e, t) {
+  return t.__isHtmlInlineEventHandler && Ko(e);
+}
+function zo(e, t) {
+  return (t.parser === "__vue_event_binding" || t.parser === "__vue_ts_event_binding") && Ko(e);
+}
+function Ln(e, t) {
+  if (!Dr(e, t)) return false;
+  let r = w(0, re(e.node, g.Leading), -1);
+  return !!(r && rr(r));
+}
+function jm(e, t) {
+  let { key: r, parent: n } = e;
+  if (r === "types" && pe(n) || r === "argument" && n.type === "JSXSpreadAttribute" || r === "expression" && n.type === "JSXSpreadChild" || r === "superClass" && (n.type === "ClassDeclaration" || n.type === "ClassExpression") || (r === "id" || r === "typeParameters") && Nm(n) || r === "patterns" && n.type === "MatchOrPattern" || tn(e)) return true;
+  let { node: o } = e;
+  return Lt(o) ? false : o.type === "ExpressionStatement" ? Ln(e, t) : pe(o) ? Bn(e) : !!H(o);
+}
+function vm(e, t, r = 0) {
+  let n = 0;
+  for (let o = r; o < e.length; ++o) e[o] === "	" ? n = n + t - n % t : n++;
+  return n;
+}
+function Rm(e, t) {
+  let r = e.lastIndexOf(`
+`);
+  return r === -1 ? 0 : gu(e.slice(r + 1).match(/^[\t ]*/)[0], t);
+}
+function On(e, t, r) {
+  if (Um(e)) {
+    let i = Wm(e, t, r);
+    if (i) return i;
+  }
+  let n = Pu(e, t, r), o = e.map(({ isLast: i, index: s }) => [r(), i ? "" : n[s]], "quasis");
+  return [xe, "`", ...o, "`"];
+}
+function Bu(e, t, r) {
+  let n = r("quasi"), { node: o } = e, i = "", s = re(o.quasi, g.Leading)[0];
+  return s && (te(t.originalText, S(o.typeArguments ?? o.tag), b(s)) ? i = y : i = " "), Et(n.label && { tagged: true, ...n.label }, [r("tag"), r("typeArguments"), i, xe, n]);
+}
+function Wm(e, t, r) {
+  let { node: n } = e, o = n.quasis[0].value.raw.trim().split(/\s*\|\s*/);
+  if (o.length > 1 || o.some((i) => i.length > 0)) {
+    t.__inJestEach = true;
+    let i = Pu(e, t, r);
+    t.__inJestEach = false;
+    let s = i.map((E) => Uo(E, { ...t, printWidth: Number.POSITIVE_INFINITY, endOfLine: "lf" }).formatted), u = [{ hasLineBreak: false, cells: [] }];
+    for (let E = 1; E < n.quasis.length; E++) {
+      let C = w(0, u, -1), A = s[E - 1];
+      C.cells.push(A), A.includes(`
+`) && (C.hasLineBreak = true), n.quasis[E].value.raw.includes(`
+`) && u.push({ hasLineBreak: false, cells: [] });
+    }
+    let a = Math.max(o.length, ...u.map((E) => E.cells.length)), c = Array.from({ length: a }, () => 0), f = [{ cells: o }, ...u.filter((E) => E.cells.length > 0)];
+    for (let E of f) if (!E.hasLineBreak) for (let [C, A] of E.cells.entries()) c[C] = Math.max(c[C], dt(A));
+    return [xe, "`", m([d, L(d, f.map((E) => L(" | ", E.cells.map((C, A) => E.hasLineBreak ? C : C + " ".repeat(c[A] - dt(C))))))]), d, "`"];
+  }
+}
+function Gm(e, t) {
+  let { parent: r, index: n } = e;
+  return Z(Jm, r, (i) => {
+    let { tabWidth: s } = t, u = 0;
+    return i.quasis.map((c) => {
+      let f = c.value.raw, E = f.includes(`
+`) ? hu(f, s) : u;
+      return u = E, { indentSize: E, previousQuasiText: f };
+    });
+  })[n];
+}
+function bu(e, t, r, n = true) {
+  let { node: o, index: i } = e, s = r(), u = e.parent, { quasis: a } = u, c = S(a[i]), f = b(a[i + 1]), E = te(t.originalText, c, f);
+  if (!E) {
+    let D = Uo(s, { ...t, printWidth: Number.POSITIVE_INFINITY }).formatted;
+    D.includes(`
+`) ? E = true : s = D;
+  }
+  if (E && (x(o) || o.type === "Identifier" || N(Pe(o)) || o.type === "ConditionalExpression" || o.type === "SequenceExpression" || de(o) || be(o)) && (s = [m([y, s]), y]), !n) return p(["${", s, xe, "}"]);
+  let { indentSize: C, previousQuasiText: A } = Gm(e, t);
+  return t.__inJestEach && (C = Math.max(C, t.tabWidth)), s = C === 0 && A.endsWith(`
+`) ? Be(Number.NEGATIVE_INFINITY, s) : Gs(s, C, t.tabWidth), p(["${", s, xe, "}"]);
+}
+function Pu(e, t, r) {
+  return e.map(() => bu(e, t, r), e.node.type === "TSTemplateLiteralType" ? "types" : "expressions");
+}
+function yr(e, t, r) {
+  return e.map(() => bu(e, t, r, false), "expressions");
+}
+function Mn(e, t) {
+  return gt(e, (r) => typeof r == "string" ? t ? V(0, r, /(\\*)`/g, "$1$1\\`") : Zo(r) : r);
+}
+function Zo(e) {
+  return V(0, e, /([\\`]|\$\{)/g, "\\$1");
+}
+function Um({ node: e, parent: t }) {
+  return e.type === "TemplateLiteral" && t.type === "TaggedTemplateExpression" && t.quasi === e && t.tag.type === "MemberExpression" && t.tag.property.type === "Identifier" && t.tag.property.name === "each" && (t.tag.object.type === "Identifier" && Su.test(t.tag.object.name) || t.tag.object.type === "MemberExpression" && t.tag.object.property.type === "Identifier" && (t.tag.object.property.name === "only" || t.tag.object.property.name === "skip") && t.tag.object.object.type === "Identifier" && Su.test(t.tag.object.object.name));
+}
+function Iu(e) {
+  let t = (n) => n.type === "TemplateLiteral", r = (n, o) => Ge(n) && !n.computed && n.key.type === "Identifier" && n.key.name === "styles" && o === "value";
+  return e.match(t, (n, o) => Y(n) && o === "elements", r, ...ti) || e.match(t, r, ...ti);
+}
+function ri(e) {
+  return e.match((t) => t.type === "TemplateLiteral", (t, r) => Ge(t) && !t.computed && t.key.type === "Identifier" && t.key.name === "template" && r === "value", ...ti);
+}
+function ei(e, t) {
+  return x(e, g.Block | g.Leading, ({ value: r }) => r === ` ${t} `);
+}
+function _n({ node: e, parent: t }, r) {
+  return ei(e, r) || qm(t) && ei(t, r) || t.type === "ExpressionStatement" && ei(t, r);
+}
+function qm(e) {
+  return e.type === "AsConstExpression" || e.type === "TSAsExpression" && e.typeAnnotation.type === "TSTypeReference" && e.typeAnnotation.typeName.type === "Identifier" && e.typeAnnotation.typeName.name === "const";
+}
+async function wu(e, t, r, n) {
+  let { node: o } = r, i = "";
+  for (let [c, f] of o.quasis.entries()) {
+    let { raw: E } = f.value;
+    c > 0 && (i += "@prettier-placeholder-" + (c - 1) + "-id"), i += E;
+  }
+  let s = await e(i, { parser: "scss" }), u = yr(r, n, t), a = Ym(s, u);
+  if (!a) throw new Error("Couldn't insert all the expressions");
+  return ["`", m([d, a]), y, "`"];
+}
+function Ym(e, t) {
+  if (!j(t)) return e;
+  let r = 0, n = gt(sr(e), (o) => typeof o != "string" || !o.includes("@prettier-placeholder") ? o : o.split(/@prettier-placeholder-(\d+)-id/).map((i, s) => s % 2 === 0 ? Ve(i) : (r++, t[i])));
+  return t.length === r ? n : null;
+}
+function Hm(e) {
+  return e.match(void 0, (t, r) => r === "quasi" && t.type === "TaggedTemplateExpression" && cr(t.tag, ["css", "css.global", "css.resolve"])) || e.match(void 0, (t, r) => r === "expression" && t.type === "JSXExpressionContainer", (t, r) => r === "children" && t.type === "JSXElement" && t.openingElement.name.type === "JSXIdentifier" && t.openingElement.name.name === "style" && t.openingElement.attributes.some((n) => n.type === "JSXAttribute" && n.name.type === "JSXIdentifier" && n.name.name === "jsx"));
+}
+function Nn(e) {
+  return e.type === "Identifier" && e.name === "styled";
+}
+function ku(e) {
+  return /^[A-Z]/.test(e.object.name) && e.property.name === "extend";
+}
+function Xm({ parent: e }) {
+  if (!e || e.type !== "TaggedTemplateExpression") return false;
+  let t = e.tag.type === "ParenthesizedExpression" ? e.tag.expression : e.tag;
+  switch (t.type) {
+    case "MemberExpression":
+      return Nn(t.object) || ku(t);
+    case "CallExpression":
+      return Nn(t.callee) || t.callee.type === "MemberExpression" && (t.callee.object.type === "MemberExpression" && (Nn(t.callee.object.object) || ku(t.callee.object)) || t.callee.object.type === "CallExpression" && Nn(t.callee.object.callee));
+    case "Identifier":
+      return t.name === "css";
+    default:
+      return false;
+  }
+}
+function Vm({ parent: e, grandparent: t }) {
+  return t?.type === "JSXAttribute" && e.type === "JSXExpressionContainer" && t.name.type === "JSXIdentifier" && t.name.name === "css";
+}
+async function Ou(e, t, r, n) {
+  let { node: o } = r, i = o.quasis.length, s = yr(r, n, t), u = [];
+  for (let a = 0; a < i; a++) {
+    let c = o.quasis[a], f = a === 0, E = a === i - 1, C = c.value.cooked, A = C.split(`
+`), D = A.length;
+    if (!E && /#[^\n\r]*$/.test(A[D - 1])) return null;
+    let P = D > 2 && A[0].trim() === "" && A[1].trim() === "", F = D > 2 && A[D - 1].trim() === "" && A[D - 2].trim() === "", I = A.every((h) => /^\s*(?:#[^\n\r]*)?$/.test(h)), k;
+    I ? k = Km(A) : k = await e(C, { parser: "graphql" }), k ? (k = Mn(k, false), !f && P && u.push(""), u.push(k), !E && F && u.push("")) : !f && !E && P && u.push(""), E || u.push(s[a]);
+  }
+  return ["`", m([d, L(d, u)]), d, "`"];
+}
+function Km(e) {
+  let t = [], r = false, n = e.map((o) => o.trim());
+  for (let [o, i] of n.entries()) i !== "" && (n[o - 1] === "" && r ? t.push([d, i]) : t.push(i), r = true);
+  return t.length === 0 ? null : L(d, t);
+}
+function Mu({ node: e, parent: t }) {
+  return _n({ node: e, parent: t }, "GraphQL") || t && (t.type === "TaggedTemplateExpression" && (t.tag.type === "MemberExpression" && t.tag.object.name === "graphql" && t.tag.property.name === "experimental" || t.tag.type === "Identifier" && (t.tag.name === "gql" || t.tag.name === "graphql")) || t.type === "CallExpression" && t.callee.type === "Identifier" && t.callee.name === "graphql");
+}
+async function _u(e, t, r, n, o) {
+  let { node: i } = n, s = ni;
+  ni = ni + 1 >>> 0;
+  let u = (I) => `PRETTIER_HTML_PLACEHOLDER_${I}_${s}_IN_JS`, a = i.quasis.map((I, k, h) => k === h.length - 1 ? I.value.cooked : I.value.cooked + u(k)).join(""), c = yr(n, o, r), f = new RegExp(u("(\\d+)"), "g"), E = 0, C = await t(a, { parser: e, __onHtmlRoot(I) {
+    E = I.children.length;
+  } }), A = gt(C, (I) => {
+    if (typeof I != "string") return I;
+    let k = [], h = I.split(f);
+    for (let v = 0; v < h.length; v++) {
+      let U = h[v];
+      if (v % 2 === 0) {
+        U && (U = Zo(U), o.__embeddedInHtml && (U = V(0, U, /<\/(?=script\b)/gi, "<\\/")), k.push(U));
+        continue;
+      }
+      let ae = Number(U);
+      k.push(c[ae]);
+    }
+    return k;
+  }), D = /^\s/.test(a) ? " " : "", P = /\s$/.test(a) ? " " : "", F = o.htmlWhitespaceSensitivity === "ignore" ? d : D && P ? T : null;
+  return F ? p(["`", m([F, p(A)]), F, "`"]) : Et({ hug: false }, p(["`", D, E > 1 ? m(p(A)) : p(A), P, "`"]));
+}
+function Nu(e) {
+  return _n(e, "HTML") || e.match((t) => t.type === "TemplateLiteral", (t, r) => t.type === "TaggedTemplateExpression" && t.tag.type === "Identifier" && t.tag.name === "html" && r === "quasi");
+}
+async function Ru(e, t, r) {
+  let { node: n } = r, o = V(0, n.quasis[0].value.raw, /((?:\\\\)*)\\`/g, (a, c) => "\\".repeat(c.length / 2) + "`"), i = $m(o), s = i !== "";
+  s && (o = V(0, o, new RegExp(`^${i}`, "gm"), ""));
+  let u = Mn(await e(o, { parser: "markdown", __inJsTemplate: true }), true);
+  return ["`", s ? m([y, u]) : [ur, Ws(u)], y, "`"];
+}
+function $m(e) {
+  let t = e.match(/^([^\S\n]*)\S/m);
+  return t === null ? "" : t[1];
+}
+function Wu({ node: e, parent: t }) {
+  return t?.type === "TaggedTemplateExpression" && e.quasis.length === 1 && t.tag.type === "Identifier" && (t.tag.name === "md" || t.tag.name === "markdown");
+}
+function zm(e) {
+  let { node: t } = e;
+  if (t.type !== "TemplateLiteral" || ef(t)) return;
+  let r = Qm.find(({ test: n }) => n(e));
+  if (r) return t.quasis.length === 1 && t.quasis[0].value.raw.trim() === "" ? "``" : r.print;
+}
+function Zm(e) {
+  return async (...t) => {
+    let r = await e(...t);
+    return r && Et({ embed: true, ...r.label }, r);
+  };
+}
+function ef({ quasis: e }) {
+  return e.some(({ value: { cooked: t } }) => t === null);
+}
+function Gu(e, t) {
+  e.type === "ChainExpression" ? tf(t) : (e.type === "OptionalMemberExpression" || e.type === "OptionalCallExpression") && rf(t);
+}
+function Uu(e) {
+  if (N(e)) return "object";
+  if (M(e)) return "callee";
+  if (We(e)) return "expression";
+}
+function jn(e) {
+  let t = Uu(e);
+  if (t) return e[t];
+}
+function tf(e) {
+  for (e = jn(e); e.type === "MemberExpression" || e.type === "CallExpression" || e.type === "TSNonNullExpression"; e = jn(e)) {
+    let t = Uu(e), r = e[t];
+    r.type === "ChainExpression" && (e[t] = r.expression);
+  }
+}
+function rf(e) {
+  for (e = jn(e); e.type === "MemberExpression" || e.type === "CallExpression"; e = jn(e)) e.type = `Optional${e.type}`;
+}
+function qu(e, t, r) {
+  let n = t[r];
+  (q(n) || Ee(n)) && (e[r] = String(n.value)), n.type === "Identifier" && (e[r] = n.name);
+}
+function Yu(e, t) {
+  (e.type === "Property" || e.type === "ObjectProperty" || e.type === "MethodDefinition" || e.type === "ClassProperty" || e.type === "ClassMethod" || e.type === "PropertyDefinition" || e.type === "TSDeclareMethod" || e.type === "TSPropertySignature" || e.type === "TSMethodSignature" || e.type === "ObjectTypeProperty" || e.type === "ImportAttribute" || e.type === "RecordDeclarationProperty" || e.type === "RecordDeclarationStaticProperty") && !e.computed && qu(t, e, "key"), e.type === "TSEnumMember" && qu(t, e, "id");
+}
+function Hu(e, t) {
+  e.type === "RegExpLiteral" && (t.flags = [...e.flags].sort().join("")), e.type === "Literal" && "regex" in e && (t.regex.flags = [...e.regex.flags].sort().join(""));
+}
+function oi(e, t, r) {
+  if (e.type === "Program" && delete t.sourceType, Gu(e, t), Yu(e, t), Hu(e, t), (Ji(e) || e.type === "BigIntLiteralTypeAnnotation") && "bigint" in e && (t.bigint = e.bigint.toLowerCase()), e.type === "EmptyStatement" && !Qt({ node: e, parent: r }) || e.type === "JSXText" || e.type === "JSXExpressionContainer" && (e.expression.type === "Literal" || e.expression.type === "StringLiteral") && e.expression.value === " ") return null;
+  if (e.type === "JSXElement" && e.openingElement.name.type === "JSXIdentifier" && e.openingElement.name.name === "style" && e.openingElement.attributes.some((o) => o.type === "JSXAttribute" && o.name.name === "jsx")) for (let { type: o, expression: i } of t.children) o === "JSXExpressionContainer" && i.type === "TemplateLiteral" && Er(i);
+  e.type === "JSXAttribute" && e.name.name === "css" && e.value.type === "JSXExpressionContainer" && e.value.expression.type === "TemplateLiteral" && Er(t.value.expression), e.type === "JSXAttribute" && q(e.value) && /["']|&quot;|&apos;/.test(e.value.value) && (t.value.value = V(0, e.value.value, /["']|&quot;|&apos;/g, '"'));
+  let n = e.expression || e.callee;
+  if (e.type === "Decorator" && n.type === "CallExpression" && n.callee.name === "Component" && n.arguments.length === 1) {
+    let o = e.expression.arguments[0].properties;
+    for (let [i, s] of t.expression.arguments[0].properties.entries()) switch (o[i].key.name) {
+      case "styles":
+        Y(s.value) && Er(s.value.elements[0]);
+        break;
+      case "template":
+        s.value.type === "TemplateLiteral" && Er(s.value);
+        break;
+    }
+  }
+  e.type === "TaggedTemplateExpression" && (e.tag.type === "MemberExpression" || e.tag.type === "Identifier" && (e.tag.name === "gql" || e.tag.name === "graphql" || e.tag.name === "css" || e.tag.name === "md" || e.tag.name === "markdown" || e.tag.name === "html") || e.tag.type === "CallExpression") && Er(t.quasi), (e.type === "CallExpression" || e.type === "MemberExpression") && !e.optional && delete t.optional, e.type === "TemplateLiteral" && Er(t);
+}
+function zu(e) {
+  let t = e.match($u);
+  return t ? t[0].trimStart() : "";
+}
+function Zu(e) {
+  let r = e.match($u)?.[0];
+  return r == null ? e : e.slice(r.length);
+}
+function ea(e) {
+  e = V(0, e.replace(sf, "").replace(of, ""), pf, "$1");
+  let r = "";
+  for (; r !== e; ) r = e, e = V(0, e, af, `
+$1 $2
+`);
+  e = e.replace(Xu, "").trimEnd();
+  let n = /* @__PURE__ */ Object.create(null), o = V(0, e, Vu, "").replace(Xu, "").trimEnd(), i;
+  for (; i = Vu.exec(e); ) {
+    let s = V(0, i[2], uf, "");
+    if (typeof n[i[1]] == "string" || Array.isArray(n[i[1]])) {
+      let u = n[i[1]];
+      n[i[1]] = [...Qu, ...Array.isArray(u) ? u : [u], s];
+    } else n[i[1]] = s;
+  }
+  return { comments: o, pragmas: n };
+}
+function ta({ comments: e = "", pragmas: t = {} }) {
+  let s = Object.keys(t), u = s.flatMap((c) => Ku(c, t[c])).map((c) => ` * ${c}
+`).join("");
+  if (!e) {
+    if (s.length === 0) return "";
+    if (s.length === 1 && !Array.isArray(t[s[0]])) {
+      let c = t[s[0]];
+      return `/** ${Ku(s[0], c)[0]} */`;
+    }
+  }
+  let a = e.split(`
+`).map((c) => ` * ${c}`).join(`
+`) + `
+`;
+  return `/**
+` + (e ? a : "") + (e && s.length > 0 ? ` *
+` : "") + u + " */";
+}
+function Ku(e, t) {
+  return [...Qu, ...Array.isArray(t) ? t : [t]].map((r) => `@${e} ${r}`.trim());
+}
+function cf(e) {
+  if (!e.startsWith("#!")) return "";
+  let t = e.indexOf(`
+`);
+  return t === -1 ? e : e.slice(0, t);
+}
+function lf(e) {
+  let t = na(e);
+  t && (e = e.slice(t.length + 1));
+  let r = zu(e), { pragmas: n, comments: o } = ea(r);
+  return { shebang: t, text: e, pragmas: n, comments: o };
+}
+function oa(e) {
+  let { shebang: t, text: r, pragmas: n, comments: o } = lf(e), i = Zu(r), s = ta({ pragmas: { [ra]: "", ...n }, comments: o.trimStart() });
+  return (t ? `${t}
+` : "") + s + (i.startsWith(`
+`) ? `
+` : `
+
+`) + i;
+}
+function mf(e) {
+  if (!le(e)) return [];
+  if (!e.value.includes(`
+`)) return [];
+  let t = [];
+  for (let r of `*${e.value}*`.split(`
+`)) {
+    if (r = r.trimStart(), !r.startsWith("*")) return [];
+    t.push(r);
+  }
+  return t;
+}
+function ii(e) {
+  return Z(ff, e, mf);
+}
+function vn(e) {
+  return ii(e).length > 0;
+}
+function ia(e, t) {
+  let r = e.node;
+  if (Le(r)) return t.originalText.slice(b(r), S(r)).trimEnd();
+  if (vn(r)) return Df(r);
+  if (le(r)) return ["/*", Ve(r.value), "*/"];
+  throw new Error("Not a comment: " + JSON.stringify(r));
+}
+function Df(e) {
+  let t = ii(e), r = e.value[0] === "*" && e.value[1] !== "*";
+  return ["/", t.map((n, o) => {
+    if (o === 0) return [n.trimEnd(), d];
+    if (o === t.length - 1) return [" ", n];
+    let i = n.trimEnd(), s = [" ", i];
+    return r && i !== "*" && n.endsWith("  ") ? [s, "  ", Js(ur)] : [s, d];
+  }), "/"];
+}
+function si(e) {
+  if (typeof e != "string") throw new TypeError("Expected a string");
+  return e.replace(/[|\\{}()[\]^$+*?.]/g, "\\$&").replace(/-/g, "\\x2d");
+}
+function Ht(e) {
+  return e.type === "JSXText" && (dr.hasNonWhitespaceCharacter(ye(e)) || !/\n/.test(ye(e)));
+}
+function ua(e) {
+  let { node: t, parent: r } = e;
+  if (!H(t) || !H(r)) return false;
+  let { index: n, siblings: o } = e, i;
+  for (let s = n; s > 0; s--) {
+    let u = o[s - 1];
+    if (!(u.type === "JSXText" && !Ht(u))) {
+      i = u;
+      break;
+    }
+  }
+  return i?.type === "JSXExpressionContainer" && i.expression.type === "JSXEmptyExpression" && Lt(i.expression);
+}
+function yf(e) {
+  return Lt(e.node) || ua(e);
+}
+function aa(e) {
+  return e.type === "CallExpression" && !e.optional && e.arguments.length === 1 && e.callee.type === "Identifier" && e.callee.name === "Boolean";
+}
+function Rn(e, t, r) {
+  let { node: n, parent: o, grandparent: i, key: s } = e, u = s !== "body" && (o.type === "IfStatement" || o.type === "WhileStatement" || o.type === "SwitchStatement" || o.type === "DoWhileStatement"), a = n.operator === "|>" && e.root.extra?.__isUsingHackPipeline, c = pi(e, t, r, false, u);
+  if (u) return c;
+  if (a) return p(c);
+  if (s === "callee" && Tt(o) || o.type === "UnaryExpression" && !x(n) || N(o) && !o.computed) return p([m([y, ...c]), y]);
+  let f = ut(o) || o.type === "JSXExpressionContainer" && i.type === "JSXAttribute" || n.operator !== "|" && o.type === "JsExpressionRoot" || n.type !== "NGPipeExpression" && (o.type === "NGRoot" && t.parser === "__ng_binding" || o.type === "NGMicrosyntaxExpression" && i.type === "NGMicrosyntax" && i.body.length === 1) || n === o.body && o.type === "ArrowFunctionExpression" || n !== o.body && o.type === "ForStatement" || o.type === "ConditionalExpression" && !ut(i) && !Tt(i) || o.type === "TemplateLiteral" || s === "argument" && o.type === "UnaryExpression" || s === "arguments" && aa(o), E = o.type === "AssignmentExpression" || o.type === "VariableDeclarator" || o.type === "ClassProperty" || o.type === "PropertyDefinition" || o.type === "TSAbstractPropertyDefinition" || o.type === "ClassPrivateProperty" || Ge(o), C = be(n.left) && Lr(n.operator, n.left.operator);
+  if (f || Fr(n) && !C || !Fr(n) && E) return p(c);
+  if (c.length === 0) return "";
+  let A = H(n.right), D = c.findIndex((v) => typeof v != "string" && !Array.isArray(v) && v.type === he), P = c.slice(0, D === -1 ? 1 : D + 1), F = c.slice(P.length, A ? -1 : void 0), I = /* @__PURE__ */ Symbol("logicalChain-" + ++Ef), k = p([...P, m(F)], { id: I });
+  if (!A) return k;
+  let h = w(0, c, -1);
+  return p([k, ht(h, { groupId: I })]);
+}
+function pi(e, t, r, n, o) {
+  let { node: i } = e;
+  if (!be(i)) return [p(r())];
+  let s = [];
+  Lr(i.operator, i.left.operator) ? s = e.call(() => pi(e, t, r, true, o), "left") : s.push(p(r("left")));
+  let u = Fr(i), a = i.right.type === "ChainExpression" ? i.right.expression : i.right, c = (i.type === "NGPipeExpression" || i.operator === "|>" || df(e, t)) && !Oe(t.originalText, a), E = !x(a, g.Leading, rr) && Oe(t.originalText, a), C = i.type === "NGPipeExpression" ? "|" : i.operator, A = i.type === "NGPipeExpression" && i.arguments.length > 0 ? p(m([y, ": ", L([T, ": "], e.map(() => Be(2, p(r())), "arguments"))])) : "", D;
+  if (u) D = [C, Oe(t.originalText, a) ? m([T, r("right"), A]) : [" ", r("right"), A]];
+  else {
+    let h = C === "|>" && e.root.extra?.__isUsingHackPipeline ? e.call(() => pi(e, t, r, true, o), "right") : r("right");
+    if (t.experimentalOperatorPosition === "start") {
+      let v = "";
+      if (E) switch (Xe(h)) {
+        case Me:
+          v = h[0], h.shift();
+          break;
+        case Ne:
+          v = h.contents[0], h.contents.shift();
+          break;
+      }
+      D = [T, v, C, " ", h, A];
+    } else D = [c ? T : "", C, c ? " " : T, h, A];
+  }
+  let { parent: P } = e, F = x(i.left, g.Trailing | g.Line);
+  if ((F || !(o && i.type === "LogicalExpression") && P.type !== i.type && i.left.type !== i.type && i.right.type !== i.type) && (D = p(D, { shouldBreak: F })), t.experimentalOperatorPosition === "start" ? s.push(u || E ? " " : "", D) : s.push(c ? "" : " ", D), n && x(i)) {
+    let k = sr(Q(e, s, t));
+    return k.type === Ue ? k.parts : Array.isArray(k) ? k : [k];
+  }
+  return s;
+}
+function Fr(e) {
+  return e.type !== "LogicalExpression" ? false : !!(ie(e.right) && e.right.properties.length > 0 || Y(e.right) && e.right.elements.length > 0 || H(e.right));
+}
+function df(e, t) {
+  return (t.parser === "__vue_expression" || t.parser === "__vue_ts_expression") && pa(e.node) && !e.hasAncestor((r) => !pa(r) && r.type !== "JsExpressionRoot");
+}
+function la(e, t, r) {
+  let { node: n } = e;
+  if (n.type.startsWith("NG")) switch (n.type) {
+    case "NGRoot":
+      return r("node");
+    case "NGPipeExpression":
+      return Rn(e, t, r);
+    case "NGChainedExpression":
+      return p(L([";", T], e.map(() => xf(e) ? r() : ["(", r(), ")"], "expressions")));
+    case "NGEmptyExpression":
+      return "";
+    case "NGMicrosyntax":
+      return e.map(() => [e.isFirst ? "" : ca(e) ? " " : [";", T], r()], "body");
+    case "NGMicrosyntaxKey":
+      return /^[$_a-z][\w$]*(?:-[$_a-z][\w$])*$/i.test(n.name) ? n.name : JSON.stringify(n.name);
+    case "NGMicrosyntaxExpression":
+      return [r("expression"), n.alias === null ? "" : [" as ", r("alias")]];
+    case "NGMicrosyntaxKeyedExpression": {
+      let { index: o, parent: i } = e, s = ca(e) || Cf(e) || (o === 1 && (n.key.name === "then" || n.key.name === "else" || n.key.name === "as") || o === 2 && (n.key.name === "else" && i.body[o - 1].type === "NGMicrosyntaxKeyedExpression" && i.body[o - 1].key.name === "then" || n.key.name === "track")) && i.body[0].type === "NGMicrosyntaxExpression";
+      return [r("key"), s ? " " : ": ", r("expression")];
+    }
+    case "NGMicrosyntaxLet":
+      return ["let ", r("key"), n.value === null ? "" : [" = ", r("value")]];
+    case "NGMicrosyntaxAs":
+      return [r("key"), " as ", r("alias")];
+    default:
+      throw new it(n, "Angular");
+  }
+}
+function ca({ node: e, index: t }) {
+  return e.type === "NGMicrosyntaxKeyedExpression" && e.key.name === "of" && t === 1;
+}
+function Cf(e) {
+  let { node: t } = e;
+  return e.parent.body[1].key.name === "of" && t.type === "NGMicrosyntaxKeyedExpression" && t.key.name === "track" && t.key.type === "NGMicrosyntaxKey";
+}
+function xf({ node: e }) {
+  return _r(e, Ff);
+}
+function ci(e, t, r) {
+  let { node: n } = e;
+  return p([L(T, e.map(r, "decorators")), fa(n, t) ? d : T]);
+}
+function ma(e, t, r) {
+  return Da(e.node) ? [L(d, e.map(r, "declaration", "decorators")), d] : "";
+}
+function Wn(e, t, r) {
+  let { node: n, parent: o } = e, { decorators: i } = n;
+  if (!j(i) || Da(o) || Cr(e)) return "";
+  let s = n.type === "ClassExpression" || n.type === "ClassDeclaration" || fa(n, t);
+  return [e.key === "declaration" && qi(o) ? d : s ? je : "", L(T, e.map(r, "decorators")), T];
+}
+function fa(e, t) {
+  return e.decorators.some((r) => J(t.originalText, S(r)));
+}
+function Da(e) {
+  if (e.type !== "ExportDefaultDeclaration" && e.type !== "ExportNamedDeclaration" && e.type !== "DeclareExportDeclaration") return false;
+  let t = e.declaration?.decorators;
+  return j(t) && kt(e, t[0]);
+}
+function Jn(e) {
+  return e.type === "UnaryExpression" && (e.operator === "+" || e.operator === "-") && Ee(e.argument);
+}
+function xr(e, t, r) {
+  let { node: n } = e, o = [], i = zt(n) ? "elementTypes" : "elements", s = n[i];
+  if (s.length === 0 && !n.inexact) o.push(p(["[", Mt(e, t), "]"]));
+  else {
+    let u = w(0, s, -1), a = u?.type !== "RestElement" && !n.inexact, c = u === null, f = /* @__PURE__ */ Symbol("array"), E = !t.__inJestEach && s.length > 1 && s.every((D, P, F) => {
+      if (!Y(D) && !ie(D)) return false;
+      let I = D?.type, k = F[P + 1];
+      if (k && I !== k.type) return false;
+      let h = Y(D) ? "elements" : "properties";
+      return D[h] && D[h].length > 1;
+    }) || x(n, g.Dangling | g.Line), C = li(n, t), A = a ? c ? "," : gn(t) ? C ? O(",", "", { groupId: f }) : O(",") : "" : "";
+    o.push(p(["[", m([y, C ? Tf(e, t, r, A) : [Af(e, t, r, i, n.inexact), A], W(e, t)]), y, "]"], { shouldBreak: E, id: f }));
+  }
+  return o.push($(e), G(e, r)), o;
+}
+function li(e, t) {
+  return Y(e) && e.elements.length > 0 && e.elements.every((r) => r && (Ee(r) || Jn(r) && !x(r.argument)) && !x(r, g.Trailing | g.Line, (n) => !J(t.originalText, b(n), { backwards: true })));
+}
+function ya({ node: e }, { originalText: t }) {
+  let r = S(e);
+  if (r === b(e)) return false;
+  let { length: n } = t;
+  for (; r < n && t[r] !== ","; ) r = er(t, tr(t, r + 1));
+  return Jt(t, r);
+}
+function Af(e, t, r, n, o) {
+  let i = [];
+  return e.each(({ node: s, isLast: u }) => {
+    i.push(s ? p(r()) : ""), (!u || o) && i.push([",", T, s && ya(e, t) ? y : ""]);
+  }, n), o && i.push("..."), i;
+}
+function Tf(e, t, r, n) {
+  let o = [];
+  return e.each(({ isLast: i, next: s }) => {
+    o.push([r(), i ? n : ","]), i || o.push(ya(e, t) ? [d, d] : x(s, g.Leading | g.Line) ? d : T);
+  }, "elements"), yn(o);
+}
+function mi(e) {
+  return e.quasis.some((t) => t.value.raw.includes(`
+`));
+}
+function Gn(e, t) {
+  return (e.type === "TemplateLiteral" && mi(e) || e.type === "TaggedTemplateExpression" && mi(e.quasi)) && !J(t, b(e), { backwards: true });
+}
+function Ea(e) {
+  return Z(gf, e, (t) => t.type === "ConditionalExpression" && !Ce(t, (r) => r.type === "ObjectExpression"));
+}
+function da(e, t, r, n = {}) {
+  let o = [], i, s = [], u = false, a = !n.expandLastArg && e.node.body.type === "ArrowFunctionExpression", c;
+  (function I() {
+    let { node: k } = e, h = Sf(e, t, r, n);
+    if (o.length === 0) o.push(h);
+    else {
+      let { leading: v, trailing: U } = Tn(e, t);
+      o.push([v, h]), s.unshift(U);
+    }
+    a && (u || (u = k.returnType && ee(k).length > 0 || k.typeParameters || ee(k).some((v) => v.type !== "Identifier"))), !a || k.body.type !== "ArrowFunctionExpression" ? (i = r("body", n), c = k.body) : e.call(I, "body");
+  })();
+  let f = !Oe(t.originalText, c) && (hf(c) || Bf(c, i, t) || !u && Ea(c)), E = e.key === "callee" && Dt(e.parent), C = /* @__PURE__ */ Symbol("arrow-chain"), A = bf(e, n, { signatureDocs: o, shouldBreak: u }), D = false, P = false, F = false;
+  return a && (E || n.assignmentLayout) && (P = true, F = !x(e.node, g.Leading & g.Line), D = n.assignmentLayout === "chain-tail-arrow-chain" || E && !f), i = Pf(e, t, n, { bodyDoc: i, bodyComments: s, functionBody: c, shouldPutBodyOnSameLine: f }), p([p(P ? m([F ? y : "", A]) : A, { shouldBreak: D, id: C }), " =>", a ? ht(i, { groupId: C }) : p(i), a && E ? O(y, "", { groupId: C }) : ""]);
+}
+function Sf(e, t, r, n) {
+  let { node: o } = e, i = [];
+  if (o.async && i.push("async "), kn(e, t)) i.push(r(["params", 0]));
+  else {
+    let u = n.expandLastArg || n.expandFirstArg, a = wn(e, r);
+    if (u) {
+      if (ue(a)) throw new St();
+      a = p(Wt(a));
+    }
+    i.push(p([Ke(e, t, r, u, true), a]));
+  }
+  let s = W(e, t, { marker: "commentBeforeArrow" });
+  return s && i.push(" ", s), i;
+}
+function Bf(e, t, r) {
+  return Y(e) || ie(e) || e.type === "ArrowFunctionExpression" || e.type === "DoExpression" || e.type === "BlockStatement" || H(e) || t.label?.hug !== false && (t.label?.embed || Gn(e, r.originalText));
+}
+function bf(e, t, { signatureDocs: r, shouldBreak: n }) {
+  if (r.length === 1) return r[0];
+  let { parent: o, key: i } = e;
+  return i !== "callee" && Dt(o) || be(o) ? p([r[0], " =>", m([T, L([" =>", T], r.slice(1))])], { shouldBreak: n }) : i === "callee" && Dt(o) || t.assignmentLayout ? p(L([" =>", T], r), { shouldBreak: n }) : p(m(L([" =>", T], r)), { shouldBreak: n });
+}
+function Pf(e, t, r, { bodyDoc: n, bodyComments: o, functionBody: i, shouldPutBodyOnSameLine: s }) {
+  let { node: u, parent: a } = e, c = r.expandLastArg ? Ie(t, "all") : "", f = (r.expandLastArg || a.type === "JSXExpressionContainer") && !x(u) ? y : "";
+  return s && Ea(i) ? [" ", p([O("", "("), m([y, n]), O("", ")"), c, f]), o] : s ? [" ", n, o] : [m([T, n, o]), c, f];
+}
+function Wr(e, t) {
+  let { printWidth: r } = t;
+  if (x(e)) return false;
+  let n = r * If;
+  if (e.type === "ThisExpression" || e.type === "Identifier" && e.name.length <= n || Jn(e) && !x(e.argument)) return true;
+  let o = e.type === "Literal" && "regex" in e && e.regex.pattern || e.type === "RegExpLiteral" && e.pattern;
+  return o ? o.length <= n : q(e) ? ot(ye(e), t).length <= n : e.type === "TemplateLiteral" ? e.expressions.length === 0 && e.quasis[0].value.raw.length <= n && !e.quasis[0].value.raw.includes(`
+`) : e.type === "UnaryExpression" ? Wr(e.argument, { printWidth: r }) : e.type === "CallExpression" && e.arguments.length === 0 && e.callee.type === "Identifier" ? e.callee.name.length <= n - 2 : Zt(e);
+}
+function Nt(e) {
+  return N(e) || e.type === "BindExpression" && !!e.object;
+}
+function Ca(e) {
+  if (e.length <= 1) return false;
+  let t = 0;
+  for (let r of e) if (wt(r)) {
+    if (t += 1, t > 1) return true;
+  } else if (r = Pe(r), M(r)) {
+    for (let n of se(r)) if (wt(n)) return true;
+  }
+  return false;
+}
+function Un(e) {
+  let { node: t, parent: r, key: n } = e;
+  return n === "callee" && M(t) && M(r) && r.arguments.length > 0 && t.arguments.length > r.arguments.length;
+}
+function st(e, t = 2) {
+  if (t <= 0) return false;
+  let r = (n) => st(n, t - 1);
+  if (e = Pe(e), Xr(e)) return dt(e.pattern ?? e.regex.pattern) <= 5;
+  if (Zt(e) || wf(e) || e.type === "ArgumentPlaceholder") return true;
+  if (e.type === "TemplateLiteral") return e.quasis.every((n) => !n.value.raw.includes(`
+`)) && e.expressions.every(r);
+  if (ie(e)) return e.properties.every((n) => !n.computed && (n.shorthand || n.value && r(n.value)));
+  if (Y(e)) return e.elements.every((n) => n === null || r(n));
+  if (Dt(e)) {
+    if (e.type === "ImportExpression" || st(e.callee, t)) {
+      let n = se(e);
+      return n.length <= t && n.every(r);
+    }
+    return false;
+  }
+  return N(e) ? st(e.object, t) && st(e.property, t) : e.type === "UnaryExpression" && kf.has(e.operator) || e.type === "UpdateExpression" ? st(e.argument, t) : false;
+}
+function Lf(e, t, r) {
+  let { node: n } = e, o = se(n);
+  if (o.length === 0) return p(["(", Mt(e, t), ")"]);
+  let i = o.length - 1;
+  if (_f(o)) {
+    let E = ["("];
+    return kr(e, (C, A) => {
+      E.push(r()), A !== i && E.push(", ");
+    }), E.push(")"), E;
+  }
+  let s = false, u = [];
+  kr(e, ({ node: E }, C) => {
+    let A = r();
+    C === i || (me(E, t) ? (s = true, A = [A, ",", d, d]) : A = [A, ",", T]), u.push(A);
+  });
+  let a = e.root.type !== "NGRoot" && n.type !== "ImportExpression" && n.type !== "TSImportType" && n.type !== "TSExternalModuleReference" ? Ie(t, "all") : "";
+  function c() {
+    return p(["(", m([T, ...u]), a, T, ")"], { shouldBreak: true });
+  }
+  if (s || e.parent.type !== "Decorator" && Ca(o)) return c();
+  if (Mf(o)) {
+    let E = u.slice(1);
+    if (E.some(ue)) return c();
+    let C;
+    try {
+      C = r(go(n, 0), { expandFirstArg: true });
+    } catch (A) {
+      if (A instanceof St) return c();
+      throw A;
+    }
+    return ue(C) ? [je, mt([["(", p(C, { shouldBreak: true }), ", ", ...E, ")"], c()])] : mt([["(", C, ", ", ...E, ")"], ["(", p(C, { shouldBreak: true }), ", ", ...E, ")"], c()]);
+  }
+  if (Of(o, u, t)) {
+    let E = u.slice(0, -1);
+    if (E.some(ue)) return c();
+    let C;
+    try {
+      C = r(go(n, -1), { expandLastArg: true });
+    } catch (A) {
+      if (A instanceof St) return c();
+      throw A;
+    }
+    return ue(C) ? [je, mt([["(", ...E, p(C, { shouldBreak: true }), ")"], c()])] : mt([["(", ...E, C, ")"], ["(", ...E, p(C, { shouldBreak: true }), ")"], c()]);
+  }
+  let f = ["(", m([y, ...u]), a, y, ")"];
+  return Un(e) ? f : p(f, { shouldBreak: u.some(ue) || s });
+}
+function qn(e, t = false) {
+  if (ie(e) && (e.properties.length > 0 || x(e)) || Y(e) && (e.elements.length > 0 || x(e)) || (de(e) || e.type === "TSTypeAssertion") && qn(e.expression) || e.type === "FunctionExpression" || e.type === "DoExpression" || e.type === "ModuleExpression") return true;
+  if (e.type === "ArrowFunctionExpression") {
+    let { body: r } = e;
+    if (r.type === "BlockStatement" || H(r) || ie(r) || Y(r) || r.type === "ArrowFunctionExpression" && qn(r, true) || !t && (r.type === "ConditionalExpression" || M(Pe(r)))) return true;
+  }
+  return false;
+}
+function Of(e, t, r) {
+  if (e.length === 1) {
+    let i = w(0, t, -1);
+    if (i.label?.embed && i.label?.hug !== false) return true;
+  }
+  let n = w(0, e, -1), o = w(0, e, -2);
+  return !x(n, g.Leading) && !x(n, g.Trailing) && qn(n) && (!o || o.type !== n.type) && (e.length !== 2 || o.type !== "ArrowFunctionExpression" || !Y(n)) && !(e.length > 1 && li(n, r));
+}
+function Mf(e) {
+  if (e.length !== 2) return false;
+  let [t, r] = e;
+  return t.type === "ModuleExpression" && Nf(r) ? true : !x(t) && (t.type === "FunctionExpression" || t.type === "ArrowFunctionExpression" && t.body.type === "BlockStatement") && r.type !== "FunctionExpression" && r.type !== "ArrowFunctionExpression" && r.type !== "ConditionalExpression" && xa(r) && !qn(r);
+}
+function xa(e) {
+  if (e.type === "ParenthesizedExpression") return xa(e.expression);
+  if (de(e) || e.type === "TypeCastExpression") {
+    let { typeAnnotation: t } = e;
+    if (t.type === "TypeAnnotation" && (t = t.typeAnnotation), t.type === "TSArrayType" && (t = t.elementType, t.type === "TSArrayType" && (t = t.elementType)), t.type === "GenericTypeAnnotation" || t.type === "TSTypeReference") {
+      let r = t.type === "GenericTypeAnnotation" ? t.typeParameters : t.typeArguments;
+      r?.params.length === 1 && (t = r.params[0]);
+    }
+    return pr(t) && st(e.expression, 1);
+  }
+  return Dt(e) && se(e).length > 1 ? false : be(e) ? st(e.left, 1) && st(e.right, 1) : Xr(e) || st(e);
+}
+function _f(e) {
+  return e.length === 2 ? Fa(e, 0) : e.length === 3 ? e[0].type === "Identifier" && Fa(e, 1) : false;
+}
+function Fa(e, t) {
+  let r = e[t], n = e[t + 1];
+  return r.type === "ArrowFunctionExpression" && ee(r).length === 0 && r.body.type === "BlockStatement" && n.type === "ArrayExpression" && e.every((o) => !x(o));
+}
+function Nf(e) {
+  if (!(e.type === "ObjectExpression" && e.properties.length === 1)) return false;
+  let [t] = e.properties;
+  return Ge(t) ? !t.computed && (t.key.type === "Identifier" && t.key.name === "type" || q(t.key) && t.key.value === "type") && q(t.value) && t.value.value === "module" : false;
+}
+function Aa(e, t, r) {
+  return [r("object"), p(m([y, fi(e, t, r)]))];
+}
+function fi(e, t, r) {
+  return ["::", r("callee")];
+}
+function vf(e) {
+  let { node: t, ancestors: r } = e;
+  for (let n of r) {
+    if (!(N(n) && n.object === t || n.type === "TSNonNullExpression" && n.expression === t)) return n.type === "NewExpression" && n.callee === t;
+    t = n;
+  }
+  return false;
+}
+function Ta(e, t, r) {
+  let n = r("object"), o = Di(e, t, r), { node: i } = e, s = e.findAncestor((c) => !(N(c) || c.type === "TSNonNullExpression")), u = e.findAncestor((c) => !We(c)), a = s.type === "BindExpression" || s.type === "AssignmentExpression" && s.left.type !== "Identifier" || vf(e) || i.computed || i.object.type === "Identifier" && i.property.type === "Identifier" && !N(u) || (u.type === "AssignmentExpression" || u.type === "VariableDeclarator") && (jf(Pe(i.object)) || n.label?.memberChain);
+  return Et(n.label, [n, xe, a ? o : p(m([y, o]))]);
+}
+function Di(e, t, r) {
+  let n = r("property"), { node: o } = e, i = $(e);
+  return o.computed ? !o.property || Ee(o.property) ? [i, "[", n, "]"] : p([i, "[", m([y, n]), y, "]"]) : [i, ".", n];
+}
+function Rf(e, t, r) {
+  let n = (e.parent.type === "ChainExpression" ? e.grandparent : e.parent).type === "ExpressionStatement", o = [];
+  function i(_) {
+    let { originalText: Te } = t, we = Rt(Te, S(_));
+    return Te.charAt(we) === ")" ? we !== false && Jt(Te, we + 1) : me(_, t);
+  }
+  function s() {
+    let { node: _ } = e;
+    if (M(_) && (Nt(_.callee) || M(_.callee)) && !oe(e, t)) {
+      let Te = i(_);
+      o.unshift({ node: _, hasTrailingEmptyLine: Te, printed: [Q(e, [$(e), r("typeArguments"), Jr(e, t, r)], t), Te ? d : ""] }), e.call(s, "callee");
+    } else Nt(_) && !oe(e, t) ? (o.unshift({ node: _, printed: Q(e, N(_) ? Di(e, t, r) : fi(e, t, r), t) }), e.call(s, "object")) : _.type === "ChainExpression" && !oe(e, t) ? e.call(s, "expression") : _.type === "TSNonNullExpression" && !oe(e, t) ? (o.unshift({ node: _, printed: Q(e, "!", t) }), e.call(s, "expression")) : o.unshift({ node: _, printed: r() });
+  }
+  let { node: u } = e;
+  o.unshift({ node: u, printed: [$(e), r("typeArguments"), Jr(e, t, r)] }), u.callee && e.call(s, "callee");
+  let a = [], c = [o[0]], f = 1;
+  for (; f < o.length && (o[f].node.type === "TSNonNullExpression" || o[f].node.type === "ChainExpression" || M(o[f].node) || N(o[f].node) && o[f].node.computed && Ee(o[f].node.property)); ++f) c.push(o[f]);
+  if (!M(o[0].node)) for (; f + 1 < o.length && (Nt(o[f].node) && Nt(o[f + 1].node)); ++f) c.push(o[f]);
+  a.push(c), c = [];
+  let E = false;
+  for (; f < o.length; ++f) {
+    if (E && Nt(o[f].node)) {
+      if (o[f].node.computed && Ee(o[f].node.property)) {
+        c.push(o[f]);
+        continue;
+      }
+      a.push(c), c = [], E = false;
+    }
+    (M(o[f].node) || o[f].node.type === "ImportExpression") && (E = true), c.push(o[f]), x(o[f].node, g.Trailing) && (a.push(c), c = [], E = false);
+  }
+  c.length > 0 && a.push(c);
+  function C(_) {
+    return /^[A-Z]|^[$_]+$/.test(_);
+  }
+  function A(_) {
+    return _.length <= t.tabWidth;
+  }
+  function D(_) {
+    let Te = _[1][0]?.node.computed;
+    if (_[0].length === 1) {
+      let Pt = _[0][0].node;
+      return Pt.type === "ThisExpression" || Pt.type === "Identifier" && (C(Pt.name) || n && A(Pt.name) || Te);
+    }
+    let we = w(0, _[0], -1).node;
+    return N(we) && we.property.type === "Identifier" && (C(we.property.name) || Te);
+  }
+  let P = a.length >= 2 && !x(a[1][0].node) && D(a);
+  function F(_) {
+    return _.map((Te) => Te.printed);
+  }
+  function I(_) {
+    return _.length === 0 ? "" : m([d, L(d, _.map(F))]);
+  }
+  let k = a.map(F), h = k, v = P ? 3 : 2, U = a.flat(), ae = U.slice(1, -1).some((_) => x(_.node, g.Leading)) || U.slice(0, -1).some((_) => x(_.node, g.Trailing)) || a[v] && x(a[v][0].node, g.Leading);
+  if (a.length <= v && !ae && a.every((_) => !w(0, _, -1).hasTrailingEmptyLine)) return Un(e) ? h : p(h);
+  let fe = w(0, a[P ? 1 : 0], -1).node, z = !M(fe) && i(fe), Ae = [F(a[0]), P ? a.slice(1, 2).map(F) : "", z ? d : "", I(a.slice(P ? 2 : 1))], De = o.map(({ node: _ }) => _).filter(M);
+  function xt() {
+    let _ = w(0, w(0, a, -1), -1).node, Te = w(0, k, -1);
+    return M(_) && ue(Te) && De.slice(0, -1).some((we) => we.arguments.some(wt));
+  }
+  let bt;
+  return ae || De.length > 2 && De.some((_) => _.arguments.some((Te) => !st(Te))) || k.slice(0, -1).some(ue) || xt() ? bt = p(Ae) : bt = [ue(h) || z ? je : "", mt([h, Ae])], Et({ memberChain: true }, bt);
+}
+function Xt(e, t, r) {
+  let { node: n } = e, o = n.type === "NewExpression", i = $(e), s = se(n), u = n.type !== "TSImportType" && n.typeArguments ? [r("typeArguments"), xe] : "", a = s.length === 1 && Gn(s[0], t.originalText);
+  if (a || Jf(e) || Gf(e) || Gt(n, e.parent)) {
+    let E = [];
+    if (kr(e, () => {
+      E.push(r());
+    }), !(a && E[0].label?.embed)) return [ha(e, r), i, u, "(", L(", ", E), ")"];
+  }
+  let c = n.type === "ImportExpression" || n.type === "TSImportType" || n.type === "TSExternalModuleReference";
+  if (!c && !o && Nt(n.callee) && !e.call(() => oe(e, t), "callee", ...n.callee.type === "ChainExpression" ? ["expression"] : [])) return ga(e, t, r);
+  let f = [ha(e, r), i, u, Jr(e, t, r)];
+  return c || M(n.callee) ? p(f) : f;
+}
+function ha(e, t) {
+  let { node: r } = e;
+  return r.type === "ImportExpression" ? `import${r.phase ? `.${r.phase}` : ""}` : r.type === "TSImportType" ? "import" : r.type === "TSExternalModuleReference" ? "require" : [r.type === "NewExpression" ? "new " : "", t("callee"), xe];
+}
+function Jf(e) {
+  let { node: t } = e;
+  if (!(t.type === "ImportExpression" || t.type === "TSImportType" || t.type === "TSExternalModuleReference" || t.type === "CallExpression" && !t.optional && cr(t.callee, Wf))) return false;
+  let r = se(t);
+  return r.length === 1 && q(r[0]) && !x(r[0]);
+}
+function Gf(e) {
+  let { node: t } = e;
+  if (t.type !== "CallExpression" || t.optional || t.callee.type !== "Identifier") return false;
+  let r = se(t);
+  return t.callee.name === "require" ? (r.length === 1 && q(r[0]) || r.length > 1) && !x(r[0]) : t.callee.name === "define" && e.parent.type === "ExpressionStatement" ? r.length === 1 || r.length === 2 && r[0].type === "ArrayExpression" || r.length === 3 && q(r[0]) && r[1].type === "ArrayExpression" : false;
+}
+function jt(e, t, r, n, o, i) {
+  let s = Uf(e, t, r, n, i), u = i ? r(i, { assignmentLayout: s }) : "";
+  switch (s) {
+    case "break-after-operator":
+      return p([p(n), o, p(m([T, u]))]);
+    case "never-break-after-operator":
+      return p([p(n), o, " ", u]);
+    case "fluid": {
+      let a = /* @__PURE__ */ Symbol("assignment");
+      return p([p(n), o, p(m(T), { id: a }), xe, ht(u, { groupId: a })]);
+    }
+    case "break-lhs":
+      return p([n, o, " ", p(u)]);
+    case "chain":
+      return [p(n), o, T, u];
+    case "chain-tail":
+      return [p(n), o, m([T, u])];
+    case "chain-tail-arrow-chain":
+      return [p(n), o, u];
+    case "only-left":
+      return n;
+  }
+}
+function ba(e, t, r) {
+  let { node: n } = e;
+  return jt(e, t, r, r("left"), [" ", n.operator], "right");
+}
+function Pa(e, t, r) {
+  return jt(e, t, r, r("id"), " =", "init");
+}
+function Uf(e, t, r, n, o) {
+  let { node: i } = e, s = i[o];
+  if (!s) return "only-left";
+  let u = !Yn(s);
+  if (e.match(Yn, Ia, (C) => !u || C.type !== "ExpressionStatement" && C.type !== "VariableDeclaration")) return u ? s.type === "ArrowFunctionExpression" && s.body.type === "ArrowFunctionExpression" ? "chain-tail-arrow-chain" : "chain-tail" : "chain";
+  if (!u && Yn(s.right) || pe(s) && !Yt(s) || Oe(t.originalText, s) || x(s, g.Leading, vn)) return "break-after-operator";
+  if (i.type === "ImportAttribute" || s.type === "CallExpression" && s.callee.name === "require" || e.root.type === "JsonRoot") return "never-break-after-operator";
+  let f = Ns(n);
+  if (Yf(i) || Vf(i) || yi(i) && f) return "break-lhs";
+  let E = Kf(i, n, t);
+  return e.call(() => qf(e, t, r, E), o) ? "break-after-operator" : Hf(i) ? "break-lhs" : !f && (E || s.type === "TemplateLiteral" || s.type === "TaggedTemplateExpression" || Gi(s) || Ee(s) || s.type === "ClassExpression") ? "never-break-after-operator" : "fluid";
+}
+function qf(e, t, r, n) {
+  let o = e.node;
+  if (be(o) && !Fr(o)) return true;
+  switch (o.type) {
+    case "StringLiteralTypeAnnotation":
+    case "SequenceExpression":
+      return true;
+    case "TSConditionalType":
+    case "ConditionalTypeAnnotation":
+      if (!t.experimentalTernaries && !Qf(o)) break;
+      return true;
+    case "ConditionalExpression": {
+      if (!t.experimentalTernaries) {
+        let { test: c } = o;
+        return be(c) && !Fr(c);
+      }
+      let { consequent: u, alternate: a } = o;
+      return u.type === "ConditionalExpression" || a.type === "ConditionalExpression";
+    }
+    case "ClassExpression":
+      return j(o.decorators);
+  }
+  if (n) return false;
+  let i = o, s = [];
+  for (; ; ) if (i.type === "UnaryExpression" || i.type === "AwaitExpression" || i.type === "YieldExpression" && i.argument !== null) i = i.argument, s.push("argument");
+  else if (i.type === "TSNonNullExpression") i = i.expression, s.push("expression");
+  else break;
+  return !!(q(i) || e.call(() => ka(e, t, r), ...s));
+}
+function Yf(e) {
+  if (Ia(e)) {
+    let t = e.left || e.id;
+    return t.type === "ObjectPattern" && t.properties.length > 2 && t.properties.some((r) => Ge(r) && (!r.shorthand || r.value?.type === "AssignmentPattern"));
+  }
+  return false;
+}
+function Yn(e) {
+  return e.type === "AssignmentExpression";
+}
+function Ia(e) {
+  return Yn(e) || e.type === "VariableDeclarator";
+}
+function Hf(e) {
+  let t = Xf(e);
+  if (j(t)) {
+    let r = e.type === "TSTypeAliasDeclaration" ? "constraint" : "bound";
+    if (t.length > 1 && t.some((n) => n[r] || n.default)) return true;
+  }
+  return false;
+}
+function Xf(e) {
+  if (Vr(e)) return e.typeParameters?.params;
+}
+function Vf(e) {
+  if (e.type !== "VariableDeclarator") return false;
+  let { typeAnnotation: t } = e.id;
+  if (!t || !t.typeAnnotation) return false;
+  let r = Sa(t.typeAnnotation);
+  return j(r) && r.length > 1 && r.some((n) => j(Sa(n)) || n.type === "TSConditionalType");
+}
+function yi(e) {
+  return e.type === "VariableDeclarator" && e.init?.type === "ArrowFunctionExpression";
+}
+function Sa(e) {
+  let t;
+  switch (e.type) {
+    case "GenericTypeAnnotation":
+      t = e.typeParameters;
+      break;
+    case "TSTypeReference":
+      t = e.typeArguments;
+      break;
+  }
+  return t?.params;
+}
+function ka(e, t, r, n = false) {
+  let { node: o } = e, i = () => ka(e, t, r, true);
+  if (We(o)) return e.call(i, "expression");
+  if (M(o)) {
+    if (Xt(e, t, r).label?.memberChain) return false;
+    let u = se(o);
+    return !(u.length === 0 || u.length === 1 && Wr(u[0], t)) || $f(o, r) ? false : e.call(i, "callee");
+  }
+  return N(o) ? e.call(i, "object") : n && (o.type === "Identifier" || o.type === "ThisExpression");
+}
+function Kf(e, t, r) {
+  return Ge(e) ? (t = sr(t), typeof t == "string" && dt(t) < r.tabWidth + 3) : false;
+}
+function $f(e, t) {
+  let r = e.typeArguments?.params;
+  if (j(r)) {
+    if (r.length > 1) return true;
+    if (r.length === 1) {
+      let n = r[0];
+      if (pe(n) || At(n) || n.type === "TSTypeLiteral" || n.type === "ObjectTypeAnnotation") return true;
+    }
+    if (ue(t("typeArguments"))) return true;
+  }
+  return false;
+}
+function Ba(e) {
+  switch (e.type) {
+    case "FunctionTypeAnnotation":
+    case "GenericTypeAnnotation":
+    case "TSFunctionType":
+      return !!e.typeParameters;
+    case "TSTypeReference":
+      return !!e.typeArguments;
+    default:
+      return false;
+  }
+}
+function Qf(e) {
+  return Ba(e.checkType) || Ba(e.extendsType);
+}
+function wa(e, t, r) {
+  let { node: n } = e, o = ["await"];
+  if (n.argument) {
+    o.push(" ", r("argument"));
+    let { parent: i } = e;
+    if (M(i) && i.callee === n || N(i) && i.object === n) {
+      o = [m([y, ...o]), y];
+      let s = e.findAncestor((u) => u.type === "AwaitExpression" || u.type === "BlockStatement");
+      if (s?.type !== "AwaitExpression" || !Ce(s.argument, (u) => u === n)) return p(o);
+    }
+  }
+  return o;
+}
+function Gr(e, t, r, n) {
+  let { node: o } = e, i = [], s = La(0, o[n], (u) => u.type !== "EmptyStatement");
+  return e.each(({ node: u }) => {
+    u.type !== "EmptyStatement" && (i.push(r()), u !== s && (i.push(d), me(u, t) && i.push(d)));
+  }, n), i;
+}
+function Hn(e, t, r) {
+  let n = eD(e, t, r), { node: o, parent: i } = e;
+  if (o.type === "Program" && i?.type !== "ModuleExpression") return n ? [n, d] : "";
+  let s = [];
+  if (o.type === "StaticBlock" && s.push("static "), s.push("{"), n) s.push(m([d, n]), d);
+  else {
+    let u = e.grandparent;
+    i.type === "ArrowFunctionExpression" || i.type === "FunctionExpression" || i.type === "FunctionDeclaration" || i.type === "ComponentDeclaration" || i.type === "HookDeclaration" || i.type === "ObjectMethod" || i.type === "ClassMethod" || i.type === "ClassPrivateMethod" || i.type === "ForStatement" || i.type === "WhileStatement" || i.type === "DoWhileStatement" || i.type === "DoExpression" || i.type === "ModuleExpression" || i.type === "CatchClause" && !u.finalizer || i.type === "TSModuleDeclaration" || i.type === "DeclareModule" || i.type === "MatchStatementCase" || o.type === "StaticBlock" || s.push(d);
+  }
+  return s.push("}"), s;
+}
+function eD(e, t, r) {
+  let { node: n } = e, o = j(n.directives), i = n.body.some((a) => a.type !== "EmptyStatement"), s = x(n, g.Dangling);
+  if (!o && !i && !s) return "";
+  let u = [];
+  return o && (u.push(Gr(e, t, r, "directives")), (i || s) && (u.push(d), me(w(0, n.directives, -1), t) && u.push(d))), i && u.push(Gr(e, t, r, "body")), s && u.push(W(e, t)), u;
+}
+function tD(e) {
+  let t = /* @__PURE__ */ new WeakMap();
+  return (r) => Z(t, r, () => Symbol(e));
+}
+function _a(e, t) {
+  let { node: r } = e;
+  if (r.type === "ClassBody" || r.type === "TSInterfaceBody") {
+    e.each(t, "body");
+    return;
+  }
+  if (r.type === "TSTypeLiteral") {
+    e.each(t, "members");
+    return;
+  }
+  if (r.type === "RecordDeclarationBody") {
+    e.each(t, "elements");
+    return;
+  }
+  if (r.type === "ObjectTypeAnnotation") {
+    let n = Ma.flatMap((o) => e.map(({ node: i, index: s }) => ({ node: i, loc: b(i), selector: [o, s] }), o)).sort((o, i) => o.loc - i.loc);
+    for (let [o, { node: i, selector: s }] of n.entries()) e.call(() => t({ node: i, next: n[o + 1]?.node, isLast: o === n.length - 1 }), ...s);
+  }
+}
+function Na(e) {
+  if (e.type === "ObjectTypeAnnotation") return Ma.some((r) => j(e[r]));
+  let t = e.type === "RecordDeclarationBody" ? e.elements : e.body;
+  return j(t);
+}
+function Vt(e, t, r) {
+  let { node: n } = e, o = [], i = n.type === "ObjectTypeAnnotation", s = n.type === "RecordDeclarationBody", u = !va(e), a = u ? T : d, c = x(n, g.Dangling), [f, E] = i && n.exact ? ["{|", "|}"] : "{}", C = true, A;
+  if (_a(e, ({ node: D, next: P, isLast: F }) => {
+    if (A ?? (A = D), C && (C = false), o.push(r()), !s && u && i) {
+      let { parent: I } = e;
+      I.inexact || !F ? o.push(",") : o.push(Ie(t));
+    }
+    s && D.type !== "MethodDefinition" && o.push(","), !s && !u && (rD({ node: D, next: P }, t) || Wa({ node: D, next: P }, t)) && o.push(";"), F || (o.push(a), me(D, t) && o.push(d));
+  }), c && o.push(W(e, t)), n.type === "ObjectTypeAnnotation" && n.inexact) {
+    C && (C = false);
+    let D;
+    x(n, g.Dangling) ? D = [x(n, g.Line) || J(t.originalText, S(w(0, re(n), -1))) ? d : T, "..."] : D = [A ? T : "", "..."], o.push(D);
+  }
+  if (u) {
+    let D = x(n, g.Dangling | g.Line) || t.objectWrap === "preserve" && A && te(t.originalText, b(n), b(A)), P;
+    if (o.length === 0) P = f + E;
+    else {
+      let F = !t.bracketSpacing || C && !D ? y : T;
+      P = [f, m([F, ...o]), F, E];
+    }
+    return e.match(void 0, (F, I) => I === "typeAnnotation", (F, I) => I === "typeAnnotation", qt) || e.match(void 0, (F, I) => F.type === "FunctionTypeParam" && I === "typeAnnotation", qt) ? P : p(P, { shouldBreak: D });
+  }
+  return [f, o.length > 0 ? [m([d, o]), d] : "", E];
+}
+function va(e) {
+  let { node: t } = e;
+  if (t.type === "ObjectTypeAnnotation") {
+    let { key: r, parent: n } = e;
+    return r === "body" && (n.type === "InterfaceDeclaration" || n.type === "DeclareInterface" || n.type === "DeclareClass");
+  }
+  return t.type === "ClassBody" || t.type === "TSInterfaceBody" || t.type === "RecordDeclarationBody";
+}
+function ke(e, t) {
+  let { parent: r } = e;
+  return e.callParent(va) ? r.type === "ObjectTypeAnnotation" ? ";" : R(t) : r.type === "TSTypeLiteral" ? e.isLast ? t.semi ? O(";") : "" : t.semi || Wa({ node: e.node, next: e.next }, t) ? ";" : O("", ";") : "";
+}
+function rD({ node: e, next: t }, r) {
+  if (r.semi || !ja(e)) return false;
+  if (!e.value && Ra(e)) return true;
+  if (!t || t.static || t.accessibility || t.readonly) return false;
+  if (!t.computed) {
+    let n = t.key?.name;
+    if (n === "in" || n === "instanceof") return true;
+  }
+  if (ja(t) && !t.static && t.variance && !t.declare) return true;
+  switch (t.type) {
+    case "ClassProperty":
+    case "PropertyDefinition":
+    case "TSAbstractPropertyDefinition":
+      return t.computed;
+    case "MethodDefinition":
+    case "TSAbstractMethodDefinition":
+    case "ClassMethod":
+    case "ClassPrivateMethod": {
+      if ((t.value ? t.value.async : t.async) || t.kind === "get" || t.kind === "set") return false;
+      let o = t.value ? t.value.generator : t.generator;
+      return !!(t.computed || o);
+    }
+    case "TSIndexSignature":
+      return true;
+  }
+  return false;
+}
+function Wa({ node: e, next: t }, r) {
+  return r.semi || !nD(e) ? false : Ra(e) ? true : t && t.type === "TSCallSignatureDeclaration" ? !(e.type === "TSPropertySignature" && e.typeAnnotation) : false;
+}
+function Ar(e, t, r) {
+  let n = sD(e, t, r), { node: o } = e;
+  if (o.type === "ClassExpression" && j(o.decorators)) {
+    let i = Wn(e, t, r);
+    return oe(e, t) ? [m([y, i, n]), y] : [i, n];
+  }
+  return n;
+}
+function sD(e, t, r) {
+  let { node: n } = e, o = iD(n), i = n.type === "RecordDeclaration", s = o ? "interface" : i ? "record" : "class", u = [ne(e), lr(e), s], a = Ga(e), c = [], f = [];
+  if (n.type !== "InterfaceTypeAnnotation") {
+    n.id && c.push(" ");
+    for (let C of ["id", "typeParameters"]) if (n[C]) {
+      let { leading: A, trailing: D } = e.call(() => Tn(e, t), C);
+      c.push(A, r(C), m(D));
+    }
+  }
+  if (n.superClass) {
+    let C = [pD(e, t, r), r("superTypeArguments")], A = e.call(() => ["extends ", Q(e, C, t)], "superClass");
+    a ? f.push(T, p(A)) : f.push(" ", A);
+  } else f.push(Ei(e, t, r, "extends"));
+  f.push(Ei(e, t, r, "mixins"), Ei(e, t, r, "implements"));
+  let E;
+  return a ? (E = oD(n), u.push(p([...c, m(f)], { id: E }))) : u.push(...c, ...f), !o && a && Na(n.body) ? u.push(O(d, " ", { groupId: E })) : u.push(" "), u.push(r("body")), u;
+}
+function Ja(e) {
+  let t = e.superClass ? 1 : 0;
+  for (let r of ["extends", "mixins", "implements"]) if (Array.isArray(e[r]) && (t += e[r].length), t > 1) return true;
+  return t > 1;
+}
+function uD(e) {
+  let { node: t } = e;
+  if (x(t.id, g.Trailing) || x(t.typeParameters, g.Trailing) || x(t.superClass) || Ja(t)) return true;
+  if (t.superClass) return e.parent.type === "AssignmentExpression" ? false : !t.superTypeArguments && N(Pe(t.superClass));
+  let r = t.extends?.[0] ?? t.mixins?.[0] ?? t.implements?.[0];
+  return r ? r.type === "InterfaceExtends" && r.id.type === "QualifiedTypeIdentifier" && !r.typeParameters || (r.type === "TSClassImplements" || r.type === "TSInterfaceHeritage") && N(r.expression) && !r.typeArguments : false;
+}
+function Ga(e) {
+  return Z(aD, e.node, () => uD(e));
+}
+function Ei(e, t, r, n) {
+  let { node: o } = e;
+  if (!j(o[n])) return "";
+  let i = W(e, t, { marker: n }), s = L([",", T], e.map(r, n));
+  if (!Ja(o)) {
+    let u = [`${n} `, i, s];
+    return Ga(e) ? [T, p(u)] : [" ", u];
+  }
+  return [T, i, i && d, n, p(m([T, s]))];
+}
+function pD(e, t, r) {
+  let n = r("superClass"), { parent: o } = e;
+  return o.type === "AssignmentExpression" ? p(O(["(", m([y, n]), y, ")"], n)) : n;
+}
+function Xn(e, t, r) {
+  let { node: n } = e, o = [];
+  return j(n.decorators) && o.push(ci(e, t, r)), o.push(Ut(n)), n.static && o.push("static "), o.push(lr(e)), n.override && o.push("override "), o.push(Rr(e, t, r)), o;
+}
+function Vn(e, t, r) {
+  let { node: n } = e, o = [];
+  j(n.decorators) && o.push(ci(e, t, r)), o.push(ne(e), Ut(n)), n.static && o.push("static "), o.push(lr(e)), n.override && o.push("override "), n.readonly && o.push("readonly "), n.variance && o.push(r("variance")), (n.type === "ClassAccessorProperty" || n.type === "AccessorProperty" || n.type === "TSAbstractAccessorProperty") && o.push("accessor "), o.push(ve(e, t, r), $(e), hn(e), G(e, r));
+  let i = n.type === "TSAbstractPropertyDefinition" || n.type === "TSAbstractAccessorProperty";
+  return [jt(e, t, r, o, " =", i ? void 0 : "value"), R(t)];
+}
+function cD(e, t) {
+  let r = re(e, g.Leading);
+  if (r.length === 0) return false;
+  let [n] = r, o = t.originalText, i = b(n);
+  return te(o, i, S(n)) || J(o, i, { backwards: true });
+}
+function Ft(e, t, r, n = "body") {
+  return e.call(({ node: o }) => {
+    let i = r();
+    if (o.type === "EmptyStatement") return x(o, g.Leading) ? [" ", i] : i;
+    let s = o.type === "BlockStatement";
+    return cD(o, t) ? s ? [d, i] : m([d, i]) : s || o.type === "IfStatement" && e.parent.type === "IfStatement" && e.key === "alternate" ? [" ", i] : m([T, i]);
+  }, n);
+}
+function Ya(e, t, r) {
+  return [p(["do", Ft(e, t, r)]), e.node.body.type === "BlockStatement" ? " " : d, "while (", mr(e, t, r), ")", R(t)];
+}
+function di(e) {
+  return lD(e) ? di(e.expression) : e;
+}
+function Xa(e) {
+  return e.type === "MemberExpression" || e.type === "OptionalMemberExpression" || e.type === "Identifier" && e.name !== "undefined";
+}
+function mD(e, t) {
+  if (zo(e, t)) {
+    let r = di(e.node.expression);
+    return Ha(r) || Xa(r);
+  }
+  return !(!t.semi || $o(e, t) || Qo(e, t));
+}
+function Va(e, t, r) {
+  let n = [r("expression")];
+  if (Dr(e, t)) {
+    if (Ln(e, t)) {
+      let { node: o } = e, i = w(0, re(o, g.Leading), -1), s = An(e, t, { filter: (u) => u === i });
+      return Q(e, [";", s, ...n], t, { filter: (u) => u !== i });
+    }
+    n.unshift(";");
+  } else mD(e, t) && n.push(";");
+  return n;
+}
+function Ka(e, t, r) {
+  let { node: n } = e, o = Ft(e, t, r), i = W(e, t), s = i ? [i, y] : "";
+  return !n.init && !n.test && !n.update ? [s, p(["for (;;)", o])] : [s, p(["for (", p([m([y, r("init"), ";", T, r("test"), ";", n.update ? [T, r("update")] : ""]), y]), ")", o])];
+}
+function $a(e, t, r) {
+  let { node: n } = e, o = n.type === "ForOfStatement";
+  return p(["for", o && n.await ? " await" : "", " (", r("left"), " ", o ? "of" : "in", " ", r("right"), ")", Ft(e, t, r)]);
+}
+function Qa(e, t, r) {
+  if (t.__isVueBindings || t.__isVueForBindingLeft) {
+    let n = e.map(r, "program", "body", 0, "params");
+    if (n.length === 1) return n[0];
+    let o = L([",", T], n);
+    return t.__isVueForBindingLeft ? ["(", m([y, p(o)]), y, ")"] : o;
+  }
+  if (t.__isEmbeddedTypescriptGenericParameters) {
+    let n = e.map(r, "program", "body", 0, "typeParameters", "params");
+    return L([",", T], n);
+  }
+}
+function Kn(e) {
+  return Le(w(0, re(e, g.Dangling), -1));
+}
+function Za(e, t, r) {
+  let { node: n } = e, o = p(["if (", mr(e, t, r), ")", Ua(e, t, r)]);
+  if (!n.alternate) return o;
+  let { consequent: i } = n, s = i.type === "BlockStatement", u = [o], a = s;
+  s || (u.push(d), a = false);
+  let c = re(n, g.Dangling);
+  if (c.length > 0) {
+    let [f] = c;
+    za(f, t) ? u.push(s ? [d, d] : d) : J(t.originalText, b(f), { backwards: true }) ? u.push(s ? d : "") : u.push(" "), u.push(W(e, t), Kn(n) || J(t.originalText, S(w(0, c, -1))) ? d : " "), a = false;
+  }
+  return u.push(a ? " " : "", "else", p(qa(e, t, r))), u;
+}
+function rp(e, t) {
+  let { node: r } = e;
+  switch (r.type) {
+    case "RegExpLiteral":
+      return ep(r);
+    case "BigIntLiteral":
+      return $n(r.extra.raw);
+    case "NumericLiteral":
+      return _t(r.extra.raw);
+    case "StringLiteral":
+      return Ve(ot(r.extra.raw, t));
+    case "NullLiteral":
+      return "null";
+    case "BooleanLiteral":
+      return String(r.value);
+    case "DirectiveLiteral":
+      return tp(r.extra.raw, t);
+    case "Literal": {
+      if (r.regex) return ep(r.regex);
+      if (r.bigint) return $n(r.raw);
+      let { value: n } = r;
+      return typeof n == "number" ? _t(r.raw) : typeof n == "string" ? fD(e) ? tp(r.raw, t) : Ve(ot(r.raw, t)) : String(n);
+    }
+  }
+}
+function fD(e) {
+  if (e.key !== "expression") return;
+  let { parent: t } = e;
+  return t.type === "ExpressionStatement" && typeof t.directive == "string";
+}
+function $n(e) {
+  return e.toLowerCase();
+}
+function ep({ pattern: e, flags: t }) {
+  return t = [...t].sort().join(""), `/${e}/${t}`;
+}
+function tp(e, t) {
+  let r = e.slice(1, -1);
+  if (r === DD || !(r.includes('"') || r.includes("'"))) {
+    let n = t.singleQuote ? "'" : '"';
+    return n + r + n;
+  }
+  return e;
+}
+function ft(e, t, r) {
+  let { node: n, parent: o } = e, i = yD(n), s = n.type === "TSEnumBody" || i, u = np(n), a = i && n.hasUnknownMembers, c = s ? "members" : u ? "attributes" : "properties", f = n[c], E = s || n.type === "ObjectPattern" && o.type !== "FunctionDeclaration" && o.type !== "FunctionExpression" && o.type !== "ArrowFunctionExpression" && o.type !== "ObjectMethod" && o.type !== "ClassMethod" && o.type !== "ClassPrivateMethod" && o.type !== "AssignmentPattern" && o.type !== "CatchClause" && n.properties.some((F) => F.value && (F.value.type === "ObjectPattern" || F.value.type === "ArrayPattern")) || n.type !== "ObjectPattern" && t.objectWrap === "preserve" && f.length > 0 && ED(n, f[0], t), C = [], A = e.map(({ node: F }) => {
+    let I = [...C, r()];
+    return C = [",", T], me(F, t) && C.push(d), I;
+  }, c);
+  if (a) {
+    let F;
+    if (x(n, g.Dangling)) {
+      let I = x(n, g.Line);
+      F = [W(e, t), I || J(t.originalText, S(w(0, re(n), -1))) ? d : T, "..."];
+    } else F = ["..."];
+    A.push([...C, ...F]);
+  }
+  let D = !(a || w(0, f, -1)?.type === "RestElement"), P;
+  if (A.length === 0) P = p(["{", Mt(e, t), "}", $(e), G(e, r)]);
+  else {
+    let F = t.bracketSpacing ? T : y;
+    P = ["{", m([F, ...A]), D ? Ie(t) : "", F, "}", $(e), G(e, r)];
+  }
+  return e.match((F) => F.type === "ObjectPattern" && !j(F.decorators), qt) || Ye(n) && (e.match(void 0, (F, I) => I === "typeAnnotation", (F, I) => I === "typeAnnotation", qt) || e.match(void 0, (F, I) => F.type === "FunctionTypeParam" && I === "typeAnnotation", qt)) || !E && e.match((F) => F.type === "ObjectPattern", (F) => F.type === "AssignmentExpression" || F.type === "VariableDeclarator") ? P : p(P, { shouldBreak: E });
+}
+function ED(e, t, r) {
+  let n = r.originalText, o = b(t), i = b(e);
+  return np(e) && (i = ce(r).lastIndexOf("{", o)), te(n, i, o);
+}
+function op(e, t, r) {
+  let { node: n } = e;
+  return ["import", n.phase ? ` ${n.phase}` : "", Fi(n), up(e, t, r), sp(e, t, r), pp(e, t, r), R(t)];
+}
+function Qn(e, t, r) {
+  let { node: n } = e, o = [ma(e, t, r), ne(e), "export", ip(n) ? " default" : ""], { declaration: i, exported: s } = n;
+  return x(n, g.Dangling) && (o.push(" ", W(e, t)), Kn(n) && o.push(d)), i ? o.push(" ", r("declaration")) : (o.push(FD(n)), n.type === "ExportAllDeclaration" || n.type === "DeclareExportAllDeclaration" ? (o.push(" *"), s && o.push(" as ", r("exported"))) : o.push(up(e, t, r)), o.push(sp(e, t, r), pp(e, t, r))), o.push(CD(n, t)), o;
+}
+function CD(e, t) {
+  return !e.declaration || ip(e) && !dD(e.declaration) ? R(t) : "";
+}
+function Ci(e, t = true) {
+  return e && e !== "value" ? `${t ? " " : ""}${e}${t ? "" : " "}` : "";
+}
+function Fi(e, t) {
+  return Ci(e.importKind, t);
+}
+function FD(e) {
+  return Ci(e.exportKind);
+}
+function sp(e, t, r) {
+  let { node: n } = e;
+  return n.source ? [ap(n, t) ? " from" : "", " ", r("source")] : "";
+}
+function up(e, t, r) {
+  let { node: n } = e;
+  if (!ap(n, t)) return "";
+  let o = [" "];
+  if (j(n.specifiers)) {
+    let i = [], s = [];
+    e.each(() => {
+      let u = e.node.type;
+      if (u === "ExportNamespaceSpecifier" || u === "ExportDefaultSpecifier" || u === "ImportNamespaceSpecifier" || u === "ImportDefaultSpecifier") i.push(r());
+      else if (u === "ExportSpecifier" || u === "ImportSpecifier") s.push(r());
+      else throw new it(n, "specifier");
+    }, "specifiers"), o.push(L(", ", i)), s.length > 0 && (i.length > 0 && o.push(", "), s.length > 1 || i.length > 0 || n.specifiers.some((a) => x(a)) ? o.push(p(["{", m([t.bracketSpacing ? T : y, L([",", T], s)]), Ie(t), t.bracketSpacing ? T : y, "}"])) : o.push(["{", t.bracketSpacing ? " " : "", ...s, t.bracketSpacing ? " " : "", "}"]));
+  } else o.push("{}");
+  return o;
+}
+function ap(e, t) {
+  return e.type !== "ImportDeclaration" || j(e.specifiers) || e.importKind === "type" ? true : ce(t).slice(b(e), b(e.source)).trimEnd().endsWith("from");
+}
+function xD(e, t) {
+  let r = ce(t).slice(S(e.source), e.attributes?.[0] ? b(e.attributes[0]) : S(e)).trimStart();
+  return r.startsWith("assert") ? "assert" : r.startsWith("with") || j(e.attributes) ? "with" : void 0;
+}
+function pp(e, t, r) {
+  let { node: n } = e;
+  if (!n.source) return "";
+  let o = xD(n, t);
+  if (!o) return "";
+  let i = ft(e, t, r);
+  return AD(n) && (i = Wt(i)), [` ${o} `, i];
+}
+function cp(e, t, r) {
+  let { node: n } = e, { type: o } = n, i = o.startsWith("Import"), s = i ? "imported" : "local", u = i ? "local" : "exported", a = n[s], c = n[u], f = "", E = "";
+  return o === "ExportNamespaceSpecifier" || o === "ImportNamespaceSpecifier" ? f = "*" : a && (f = r(s)), c && !Ir(n) && (E = r(u)), [Ci(o === "ImportSpecifier" ? n.importKind : n.exportKind, false), f, f && E ? " as " : "", E];
+}
+function zn(e, t, r) {
+  let { node: n } = e;
+  return n.shorthand ? r("value") : jt(e, t, r, ve(e, t, r), ":", "value");
+}
+function Tr(e, t) {
+  return ["...", t("argument"), G(e, t)];
+}
+function TD(e, t, r) {
+  let { node: n } = e, o = r();
+  return pn(n, t) ? ["(", m([d, o]), d, ")"] : be(n) || t.experimentalTernaries && n.type === "ConditionalExpression" && (n.consequent.type === "ConditionalExpression" || n.alternate.type === "ConditionalExpression") ? p([O("("), m([y, o]), y, O(")")]) : o;
+}
+function Zn(e, t, r) {
+  let { node: n } = e;
+  return [n.type === "ThrowStatement" ? "throw" : "return", n.argument ? [" ", e.call(() => TD(e, t, r), "argument")] : "", R(t)];
+}
+function gD(e, t) {
+  let { key: r, parent: n } = e;
+  return !!(r === "argument" && ut(n) && oe(e, t) || r === "body" && n.type === "ArrowFunctionExpression");
+}
+function lp(e, t, r) {
+  let { parent: n } = e;
+  if (n.type === "ExpressionStatement" || n.type === "ForStatement") {
+    let i = [];
+    return e.each(({ isFirst: s }) => {
+      s ? i.push(r()) : i.push(",", m([T, r()]));
+    }, "expressions"), p(i);
+  }
+  let o = L([",", T], e.map(r, "expressions"));
+  return gD(e, t) ? p(O([m([y, o]), y], o)) : p(o);
+}
+function mp(e, t, r) {
+  return [p(["switch (", m([y, r("discriminant")]), y, ")"]), " {", e.node.cases.length > 0 ? m([d, L(d, e.map(({ node: n, isLast: o }) => [r(), !o && me(n, t) ? d : ""], "cases"))]) : W(e, t, { indent: true }), d, "}"];
+}
+function fp(e, t, r) {
+  let { node: n } = e, o = [];
+  n.test ? o.push("case ", r("test"), ":") : o.push("default:"), x(n, g.Dangling) && o.push(" ", W(e, t));
+  let i = n.consequent.filter((s) => s.type !== "EmptyStatement");
+  if (i.length > 0) {
+    let s = Gr(e, t, r, "consequent");
+    o.push(i.length === 1 && i[0].type === "BlockStatement" ? [" ", s] : m([d, s]));
+  }
+  return o;
+}
+function Dp(e, t) {
+  let r = 0;
+  for (let n in e) {
+    let o = e[n];
+    if (on(o) && typeof o.type == "string" && (r++, r += Dp(o, t - r)), r > t) return r;
+  }
+  return r;
+}
+function xi(e, t = 5) {
+  return Dp(e, t) <= t;
+}
+function hD(e) {
+  let t = [e];
+  for (let r = 0; r < t.length; r++) {
+    let n = t[r];
+    for (let o of ["test", "consequent", "alternate"]) {
+      let i = n[o];
+      if (H(i)) return true;
+      i.type === "ConditionalExpression" && t.push(i);
+    }
+  }
+  return false;
+}
+function SD(e, t, r) {
+  let { node: n } = e, o = n.type === "ConditionalExpression", i = o ? "alternate" : "falseType", { parent: s } = e, u = o ? r("test") : [r("checkType"), " ", "extends", " ", r("extendsType")];
+  return s.type === n.type && s[i] === n ? Be(2, u) : u;
+}
+function bD(e) {
+  let { node: t } = e;
+  if (t.type !== "ConditionalExpression") return false;
+  let r, n = t;
+  for (let o = 0; !r; o++) {
+    let i = e.getParentNode(o);
+    if (We(i) && i.expression === n || M(i) && i.callee === n || N(i) && i.object === n) {
+      n = i;
+      continue;
+    }
+    i.type === "NewExpression" && i.callee === n || de(i) && i.expression === n ? (r = e.getParentNode(o + 1), n = i) : r = i;
+  }
+  return n === t ? false : r[BD.get(r.type)] === n;
+}
+function yp(e, t, r) {
+  let { node: n } = e, o = n.type === "ConditionalExpression", i = o ? "consequent" : "trueType", s = o ? "alternate" : "falseType", u = o ? ["test"] : ["checkType", "extendsType"], a = n[i], c = n[s], f = [], E = false, { parent: C } = e, A = C.type === n.type && u.some((z) => C[z] === n), D = C.type === n.type && !A, P, F, I = 0;
+  do
+    F = P || n, P = e.getParentNode(I), I++;
+  while (P && P.type === n.type && u.every((z) => P[z] !== F));
+  let k = P || C, h = F;
+  if (o && (H(n[u[0]]) || H(a) || H(c) || hD(h))) {
+    E = true, D = true;
+    let z = (De) => [O("("), m([y, De]), y, O(")")], Ae = (De) => De.type === "NullLiteral" || De.type === "Literal" && De.value === null || De.type === "Identifier" && De.name === "undefined";
+    f.push(" ? ", Ae(a) ? r(i) : z(r(i)), " : ", c.type === n.type || Ae(c) ? r(s) : z(r(s)));
+  } else {
+    let z = (De) => t.useTabs ? m(r(De)) : Be(2, r(De)), Ae = [T, "? ", a.type === n.type ? O("", "(") : "", z(i), a.type === n.type ? O("", ")") : "", T, ": ", z(s)];
+    f.push(C.type !== n.type || C[s] === n || A ? Ae : t.useTabs ? Dn(m(Ae)) : Be(Math.max(0, t.tabWidth - 2), Ae));
+  }
+  let v = (z) => C === k ? p(z) : z, U = !E && (N(C) || C.type === "NGPipeExpression" && C.left === n) && !C.computed, ae = bD(e), fe = v([SD(e, t, r), D ? f : m(f), o && U && !ae ? y : ""]);
+  return A || ae ? p([m([y, fe]), y]) : fe;
+}
+function PD(e, t) {
+  return (N(t) || t.type === "NGPipeExpression" && t.left === e) && !t.computed;
+}
+function ID(e, t, r, n) {
+  return [...e.map((i) => re(i)), re(t), re(r)].flat().some((i) => le(i) && te(n.originalText, b(i), S(i)));
+}
+function wD(e) {
+  let { node: t } = e;
+  if (t.type !== "ConditionalExpression") return false;
+  let r, n = t;
+  for (let o = 0; !r; o++) {
+    let i = e.getParentNode(o);
+    if (We(i) && i.expression === n || M(i) && i.callee === n || N(i) && i.object === n) {
+      n = i;
+      continue;
+    }
+    i.type === "NewExpression" && i.callee === n || de(i) && i.expression === n ? (r = e.getParentNode(o + 1), n = i) : r = i;
+  }
+  return n === t ? false : r[kD.get(r.type)] === n;
+}
+function gr(e, t, r, n) {
+  if (!t.experimentalTernaries) return yp(e, t, r);
+  let { node: o } = e, i = o.type === "ConditionalExpression", s = Qe(o), u = i ? "consequent" : "trueType", a = i ? "alternate" : "falseType", c = i ? ["test"] : ["checkType", "extendsType"], f = o[u], E = o[a], C = c.map((br) => o[br]), { parent: A } = e, D = A.type === o.type, P = D && c.some((br) => A[br] === o), F = D && A[a] === o, I = f.type === o.type, k = E.type === o.type, h = k || F, v = t.tabWidth > 2 || t.useTabs, U, ae, fe = 0;
+  do
+    ae = U || o, U = e.getParentNode(fe), fe++;
+  while (U && U.type === o.type && c.every((br) => U[br] !== ae));
+  let z = U || A, Ae = n && n.assignmentLayout && n.assignmentLayout !== "break-after-operator" && (A.type === "AssignmentExpression" || A.type === "VariableDeclarator" || A.type === "ClassProperty" || A.type === "PropertyDefinition" || A.type === "ClassPrivateProperty" || A.type === "ObjectProperty" || A.type === "Property"), De = ut(A) && !(I || k), xt = i && z.type === "JSXExpressionContainer" && e.grandparent.type !== "JSXAttribute", bt = wD(e), _ = PD(o, A), Te = s && oe(e, t), we = v ? t.useTabs ? "	" : " ".repeat(t.tabWidth - 1) : "", Pt = ID(C, f, E, t) || I || k, Sr = !h && !D && !s && (xt ? f.type === "NullLiteral" || f.type === "Literal" && f.value === null : Wr(f, t) && xi(o.test, 3)), ki = h || F || s && !D || D && i && xi(o.test, 1) || Sr, qr = [];
+  x(o.test, g.Dangling) && e.call(() => {
+    qr.push(W(e, t));
+  }, "test"), x(o, g.Dangling) && qr.push(W(e, t));
+  let wi = /* @__PURE__ */ Symbol("test"), Qp = /* @__PURE__ */ Symbol("consequent"), Yr = /* @__PURE__ */ Symbol("test-and-consequent"), zp = i ? [Ai(r("test")), o.test.type === "ConditionalExpression" ? je : ""] : [r("checkType"), " ", "extends", " ", Qe(o.extendsType) || o.extendsType.type === "TSMappedType" ? r("extendsType") : p(Ai(r("extendsType")))], Li = p([zp, " ?"], { id: wi }), Zp = r(u), Hr = m([I || xt && (H(f) || D || h) ? d : T, Zp]), ec = ki ? p([Li, h ? Hr : O(Hr, p(Hr, { id: Qp }), { groupId: wi })], { id: Yr }) : [Li, Hr], Eo = r(a), Oi = Sr ? O(Eo, Dn(Ai(Eo)), { groupId: Yr }) : Eo, Br = [ec, qr.length > 0 ? [m([d, qr]), d] : k ? d : Sr ? O(T, " ", { groupId: Yr }) : T, ":", k || !v ? " " : ki ? O(we, O(h || Sr ? " " : we, " "), { groupId: Yr }) : O(we, " "), k ? Oi : p([m(Oi), xt && !Sr ? y : ""]), _ && !bt ? y : "", Pt ? je : ""];
+  return Ae && !Pt ? p(m([y, p(Br)])) : Ae || De ? p(m(Br)) : bt || s && P ? p([m([y, Br]), Te ? y : ""]) : A === z ? p(Br) : Br;
+}
+function Ep(e, t, r) {
+  let { node: n } = e;
+  return ["try ", r("block"), n.handler ? [" ", r("handler")] : "", n.finalizer ? [" finally ", r("finalizer")] : ""];
+}
+function dp(e, t, r) {
+  let { node: n } = e;
+  if (n.param) {
+    let o = x(n.param, (s) => !le(s) || s.leading && J(t.originalText, S(s)) || s.trailing && J(t.originalText, b(s), { backwards: true })), i = r("param");
+    return ["catch ", o ? ["(", m([y, i]), y, ") "] : ["(", i, ") "], r("body")];
+  }
+  return ["catch ", r("body")];
+}
+function eo(e, t, r) {
+  let { node: n } = e, o = e.map(r, "declarations"), i = e.key === "init" && e.parent.type === "ForStatement" || e.key === "left" && (e.parent.type === "ForInStatement" || e.parent.type === "ForOfStatement"), s = n.declarations.some((a) => a.init), u;
+  return o.length === 1 && !x(n.declarations[0]) ? u = o[0] : u = m(o[0]), p([ne(e), n.kind, u ? [" ", u] : "", m(o.slice(1).map((a) => [",", s && !i ? d : T, a])), i ? "" : R(t)]);
+}
+function Cp(e, t, r) {
+  let { node: n } = e, o = n.type === "WithStatement" ? "with" : "while";
+  return p([o, " (", mr(e, t, r), ")", Ft(e, t, r)]);
+}
+function Fp(e, t, r, n) {
+  let { node: o } = e;
+  if (Zt(o)) return rp(e, t);
+  switch (o.type) {
+    case "JsExpressionRoot":
+      return r("node");
+    case "JsonRoot":
+      return [W(e, t), r("node"), d];
+    case "File":
+      return Qa(e, t, r) ?? r("program");
+    case "ExpressionStatement":
+      return Va(e, t, r);
+    case "ChainExpression":
+      return r("expression");
+    case "ParenthesizedExpression":
+      return !x(o.expression) && (ie(o.expression) || Y(o.expression)) ? ["(", r("expression"), ")"] : p(["(", m([y, r("expression")]), y, ")"]);
+    case "AssignmentExpression":
+      return ba(e, t, r);
+    case "VariableDeclarator":
+      return Pa(e, t, r);
+    case "BinaryExpression":
+    case "LogicalExpression":
+      return Rn(e, t, r);
+    case "AssignmentPattern":
+      return [r("left"), " = ", r("right")];
+    case "OptionalMemberExpression":
+    case "MemberExpression":
+      return Ta(e, t, r);
+    case "MetaProperty":
+      return [r("meta"), ".", r("property")];
+    case "BindExpression":
+      return Aa(e, t, r);
+    case "Identifier":
+      return [o.name, $(e), hn(e), G(e, r)];
+    case "V8IntrinsicIdentifier":
+      return ["%", o.name];
+    case "SpreadElement":
+      return Tr(e, r);
+    case "RestElement":
+      return Tr(e, r);
+    case "FunctionDeclaration":
+    case "FunctionExpression":
+      return fr(e, t, r, n);
+    case "ArrowFunctionExpression":
+      return da(e, t, r, n);
+    case "YieldExpression":
+      return [`yield${o.delegate ? "*" : ""}`, o.argument ? [" ", r("argument")] : ""];
+    case "AwaitExpression":
+      return wa(e, t, r);
+    case "ExportDefaultDeclaration":
+    case "ExportNamedDeclaration":
+    case "ExportAllDeclaration":
+      return Qn(e, t, r);
+    case "ImportDeclaration":
+      return op(e, t, r);
+    case "ImportSpecifier":
+    case "ExportSpecifier":
+    case "ImportNamespaceSpecifier":
+    case "ExportNamespaceSpecifier":
+    case "ImportDefaultSpecifier":
+    case "ExportDefaultSpecifier":
+      return cp(e, t, r);
+    case "ImportAttribute":
+      return zn(e, t, r);
+    case "Program":
+    case "BlockStatement":
+    case "StaticBlock":
+      return Hn(e, t, r);
+    case "ClassBody":
+      return Vt(e, t, r);
+    case "ThrowStatement":
+      return Zn(e, t, r);
+    case "ReturnStatement":
+      return Zn(e, t, r);
+    case "NewExpression":
+    case "ImportExpression":
+    case "OptionalCallExpression":
+    case "CallExpression":
+      return Xt(e, t, r);
+    case "ObjectExpression":
+    case "ObjectPattern":
+      return ft(e, t, r);
+    case "Property":
+      return $e(o) ? Rr(e, t, r) : zn(e, t, r);
+    case "ObjectProperty":
+      return zn(e, t, r);
+    case "ObjectMethod":
+      return Rr(e, t, r);
+    case "Decorator":
+      return ["@", r("expression")];
+    case "ArrayExpression":
+    case "ArrayPattern":
+      return xr(e, t, r);
+    case "SequenceExpression":
+      return lp(e, t, r);
+    case "ThisExpression":
+      return "this";
+    case "Super":
+      return "super";
+    case "Directive":
+      return [r("value"), R(t)];
+    case "UnaryExpression": {
+      let i = [o.operator];
+      /[a-z]$/.test(o.operator) && i.push(" ");
+      let s = r("argument");
+      return x(o.argument) ? i.push(p(["(", m([y, s]), y, ")"])) : i.push(s), i;
+    }
+    case "UpdateExpression":
+      return [o.prefix ? o.operator : "", r("argument"), o.prefix ? "" : o.operator];
+    case "ConditionalExpression":
+      return gr(e, t, r, n);
+    case "VariableDeclaration":
+      return eo(e, t, r);
+    case "IfStatement":
+      return Za(e, t, r);
+    case "ForStatement":
+      return Ka(e, t, r);
+    case "WithStatement":
+    case "WhileStatement":
+      return Cp(e, t, r);
+    case "DoWhileStatement":
+      return Ya(e, t, r);
+    case "ForInStatement":
+    case "ForOfStatement":
+      return $a(e, t, r);
+    case "DoExpression":
+      return [o.async ? "async " : "", "do ", r("body")];
+    case "BreakStatement":
+    case "ContinueStatement":
+      return [o.type === "BreakStatement" ? "break" : "continue", o.label ? [" ", r("label")] : "", R(t)];
+    case "LabeledStatement":
+      return [r("label"), `:${o.body.type === "EmptyStatement" && !x(o.body, g.Leading) ? "" : " "}`, r("body")];
+    case "TryStatement":
+      return Ep(e, t, r);
+    case "CatchClause":
+      return dp(e, t, r);
+    case "SwitchStatement":
+      return mp(e, t, r);
+    case "SwitchCase":
+      return fp(e, t, r);
+    case "DebuggerStatement":
+      return ["debugger", R(t)];
+    case "ClassDeclaration":
+    case "ClassExpression":
+      return Ar(e, t, r);
+    case "ClassMethod":
+    case "ClassPrivateMethod":
+    case "MethodDefinition":
+      return Xn(e, t, r);
+    case "ClassProperty":
+    case "PropertyDefinition":
+    case "ClassPrivateProperty":
+    case "ClassAccessorProperty":
+    case "AccessorProperty":
+      return Vn(e, t, r);
+    case "TemplateElement":
+      return Ve(o.value.raw);
+    case "TemplateLiteral":
+      return On(e, t, r);
+    case "TaggedTemplateExpression":
+      return Bu(e, t, r);
+    case "PrivateIdentifier":
+      return ["#", o.name];
+    case "PrivateName":
+      return ["#", r("id")];
+    case "TopicReference":
+      return "%";
+    case "ArgumentPlaceholder":
+      return "?";
+    case "ModuleExpression":
+      return ["module ", r("body")];
+    case "VoidPattern":
+      return "void";
+    case "EmptyStatement":
+      if (Qt(e)) return ";";
+    default:
+      throw new it(o, "ESTree");
+  }
+}
+function to(e) {
+  return [e("elementType"), "[]"];
+}
+function ro(e, t, r) {
+  let { parent: n, node: o, key: i } = e, u = o.type === "AsConstExpression" ? "const" : r("typeAnnotation"), a = [r("expression"), " ", Ui(o) ? "satisfies" : "as", " ", u];
+  return i === "callee" && Tt(n) || i === "object" && N(n) ? p([m([y, ...a]), y]) : a;
+}
+function xp(e, t, r) {
+  let { node: n } = e, o = [ne(e), n.async ? "async " : "", "component"];
+  n.id && o.push(" ", r("id")), o.push(r("typeParameters"));
+  let i = Ke(e, t, r);
+  return n.rendersType ? o.push(p([i, " ", r("rendersType")])) : o.push(p([i])), n.body && o.push(" ", r("body")), n.type === "DeclareComponent" && o.push(R(t)), o;
+}
+function Ap(e, t, r) {
+  let { node: n } = e;
+  return n.shorthand ? r("local") : [r("name"), " as ", r("local")];
+}
+function Tp(e, t, r) {
+  let { node: n } = e, o = [];
+  return n.name && o.push(r("name"), n.optional ? "?: " : ": "), o.push(r("typeAnnotation")), o;
+}
+function gp(e, t, r) {
+  let { node: n } = e;
+  return [n.explicitType ? `of ${n.explicitType} ` : "", ft(e, t, r)];
+}
+function hp(e, t, r) {
+  let { node: n } = e;
+  return [n.type === "EnumSymbolBody" || n.explicitType ? `of ${n.type.slice(4, -4).toLowerCase()} ` : "", ft(e, t, r)];
+}
+function no(e, t, r) {
+  let { node: n } = e, o = n.type === "TSEnumMember", i = o ? ve(e, t, r) : r("id"), s = o ? "initializer" : "init";
+  return n[s] ? [i, " = ", r(s)] : i;
+}
+function oo(e, t) {
+  let { node: r } = e;
+  return [ne(e), r.const ? "const " : "", "enum ", t("id"), " ", t("body")];
+}
+function io(e, t, r) {
+  let { node: n } = e, o = [lr(e)];
+  (n.type === "TSConstructorType" || n.type === "TSConstructSignatureDeclaration") && o.push("new ");
+  let i = Ke(e, t, r, false, true), s = [];
+  return n.type === "FunctionTypeAnnotation" ? s.push(LD(e) ? " => " : ": ", r("returnType")) : s.push(G(e, r, "returnType")), Bt(n, s) && (i = p(i)), o.push(i, s), [p(o), n.type === "TSConstructSignatureDeclaration" || n.type === "TSCallSignatureDeclaration" ? ke(e, t) : ""];
+}
+function LD(e) {
+  let { node: t, parent: r } = e;
+  return t.type === "FunctionTypeAnnotation" && (ar(r) || !((r.type === "ObjectTypeProperty" || r.type === "ObjectTypeInternalSlot") && !r.variance && !r.optional && kt(r, t) || r.type === "ObjectTypeCallProperty" || e.getParentNode(2)?.type === "DeclareFunction"));
+}
+function Bp(e, t, r) {
+  return [ne(e), "hook", e.node.id ? [" ", r("id")] : "", R(t)];
+}
+function Sp(e) {
+  let { node: t } = e;
+  return t.type === "HookTypeAnnotation" && e.getParentNode(2)?.type === "DeclareHook";
+}
+function bp(e, t, r) {
+  let { node: n } = e, o = Ke(e, t, r, false, true), i = [Sp(e) ? ": " : " => ", r("returnType")];
+  return p([Sp(e) ? "" : "hook ", Bt(n, i) ? p(o) : o, i]);
+}
+function so(e, t, r) {
+  return [r("objectType"), $(e), "[", r("indexType"), "]"];
+}
+function uo(e, t, r) {
+  return ["infer ", r("typeParameter")];
+}
+function ao(e, t, r) {
+  let n = false;
+  return p(e.map(({ isFirst: o, previous: i, node: s, index: u }) => {
+    let a = r();
+    if (o) return a;
+    let c = Ye(s), f = Ye(i);
+    return f && c ? [" & ", n ? m(a) : a] : !f && !c || Oe(t.originalText, s) ? t.experimentalOperatorPosition === "start" ? m([T, "& ", a]) : m([" &", T, a]) : (u > 1 && (n = true), [" & ", u > 1 ? m(a) : a]);
+  }, "types"));
+}
+function OD(e) {
+  switch (e) {
+    case null:
+      return "";
+    case "PlusOptional":
+      return "+?";
+    case "MinusOptional":
+      return "-?";
+    case "Optional":
+      return "?";
+  }
+}
+function Ip(e, t, r) {
+  let { node: n } = e;
+  return [p([n.variance ? r("variance") : "", p(["[", m([y, r("keyTparam"), " in ", r("sourceType")]), y, "]"]), OD(n.optional), ": ", r("propType")]), ke(e, t)];
+}
+function Pp(e, t) {
+  return e === "+" || e === "-" ? e + t : t;
+}
+function kp(e, t, r) {
+  let { node: n } = e, o = false;
+  if (t.objectWrap === "preserve") {
+    let u = ce(t), a = b(n) + 1, c = u.slice(a), f = a + c.search(/\S/);
+    te(t.originalText, a, f) && (o = true);
+  }
+  let i = [], s = re(n, g.Dangling);
+  if (s.length > 0) {
+    let u = w(0, s, -1), a = W(e, t);
+    i.push(...a.slice(0, -1), p([w(0, a, -1), Le(u) || J(t.originalText, S(u)) ? d : T]));
+  }
+  return p(["{", m([t.bracketSpacing ? T : y, ...i, n.readonly ? [Pp(n.readonly, "readonly"), " "] : "", p(["[", m([y, r("key"), " in ", r("constraint"), n.nameType ? [" as ", r("nameType")] : ""]), y, "]"]), n.optional ? Pp(n.optional, "?") : "", n.typeAnnotation ? ": " : "", r("typeAnnotation"), t.semi ? O(";") : ""]), t.bracketSpacing ? T : y, "}"], { shouldBreak: o });
+}
+function wp(e, t, r) {
+  let { node: n } = e;
+  return [p(["match (", m([y, r("argument")]), y, ")"]), " {", n.cases.length > 0 ? m([d, L(d, e.map(({ node: o, isLast: i }) => [r(), !i && me(o, t) ? d : ""], "cases"))]) : "", d, "}"];
+}
+function Lp(e, t, r) {
+  let { node: n } = e, o = x(n, g.Dangling) ? [" ", W(e, t)] : [], i = n.type === "MatchStatementCase" ? [" ", r("body")] : m([T, r("body"), ","]);
+  return [r("pattern"), n.guard ? p([m([T, "if (", r("guard"), ")"])]) : "", p([" =>", o, i])];
+}
+function Op(e, t, r) {
+  let { node: n } = e;
+  switch (n.type) {
+    case "MatchOrPattern":
+      return jD(e, t, r);
+    case "MatchAsPattern":
+      return [r("pattern"), " as ", r("target")];
+    case "MatchWildcardPattern":
+      return ["_"];
+    case "MatchLiteralPattern":
+      return r("literal");
+    case "MatchUnaryPattern":
+      return [n.operator, r("argument")];
+    case "MatchIdentifierPattern":
+      return r("id");
+    case "MatchMemberPattern": {
+      let o = n.property.type === "Identifier" ? [".", r("property")] : ["[", m([y, r("property")]), y, "]"];
+      return p([r("base"), o]);
+    }
+    case "MatchBindingPattern":
+      return [n.kind, " ", r("id")];
+    case "MatchObjectPattern":
+    case "MatchInstanceObjectPattern":
+      return MD(e, t, r);
+    case "MatchInstancePattern":
+      return p([r("targetConstructor"), " ", r("properties")]);
+    case "MatchArrayPattern": {
+      let o = e.map(r, "elements");
+      return n.rest && o.push(r("rest")), p(["[", m([y, L([",", T], o)]), n.rest ? "" : O(","), y, "]"]);
+    }
+    case "MatchObjectPatternProperty":
+      return n.shorthand ? r("pattern") : p([r("key"), ":", m([T, r("pattern")])]);
+    case "MatchRestPattern": {
+      let o = ["..."];
+      return n.argument && o.push(r("argument")), o;
+    }
+  }
+}
+function MD(e, t, r) {
+  let { node: n } = e, o = e.map(r, "properties");
+  return n.rest && o.push(r("rest")), p(["{", m([y, L([",", T], o)]), n.rest ? "" : O(","), y, "}"]);
+}
+function _D(e) {
+  let { patterns: t } = e;
+  if (t.some((n) => x(n))) return false;
+  let r = t.find((n) => n.type === "MatchObjectPattern");
+  return r ? t.every((n) => n === r || Mp(n)) : false;
+}
+function ND(e) {
+  return Mp(e) || e.type === "MatchObjectPattern" ? true : e.type === "MatchOrPattern" ? _D(e) : false;
+}
+function jD(e, t, r) {
+  let { node: n } = e, { parent: o } = e, i = o.type !== "MatchStatementCase" && o.type !== "MatchExpressionCase" && o.type !== "MatchArrayPattern" && o.type !== "MatchObjectPatternProperty" && !Oe(t.originalText, n), s = ND(n), u = e.map(() => {
+    let c = r();
+    return s || (c = Be(2, c)), Q(e, c, t);
+  }, "patterns");
+  if (s) return L(" | ", u);
+  let a = [O(["| "]), L([T, "| "], u)];
+  return oe(e, t) ? p([m([O([y]), a]), y]) : o.type === "MatchArrayPattern" && o.elements.length > 1 ? p([m([O(["(", y]), a]), y, O(")")]) : p(i ? m(a) : a);
+}
+function _p(e, t, r) {
+  let { node: n } = e, o = [ne(e), "opaque type ", r("id"), r("typeParameters")];
+  if (n.supertype && o.push(": ", r("supertype")), n.lowerBound || n.upperBound) {
+    let i = [];
+    n.lowerBound && i.push(m([T, "super ", r("lowerBound")])), n.upperBound && i.push(m([T, "extends ", r("upperBound")])), o.push(p(i));
+  }
+  return n.impltype && o.push(" = ", r("impltype")), o.push(R(t)), o;
+}
+function po(e, t, r) {
+  let { node: n } = e;
+  return ["...", ...n.type === "TupleTypeSpreadElement" && n.label ? [r("label"), ": "] : [], r("typeAnnotation")];
+}
+function co(e, t, r) {
+  let { node: n } = e;
+  return [n.variance ? r("variance") : "", r("label"), n.optional ? "?" : "", ": ", r("elementType")];
+}
+function lo(e, t, r) {
+  let { node: n } = e, o = [ne(e), "type ", r("id"), r("typeParameters")], i = n.type === "TSTypeAliasDeclaration" ? "typeAnnotation" : "right";
+  return [jt(e, t, r, o, " =", i), R(t)];
+}
+function vD(e, t, r) {
+  let { node: n } = e;
+  return ee(n).length === 1 && n.type.startsWith("TS") && !n[r][0].constraint && e.parent.type === "ArrowFunctionExpression" && !(t.filepath && /\.ts$/.test(t.filepath));
+}
+function Kt(e, t, r, n) {
+  let { node: o } = e, i = o[n];
+  if (!i) return "";
+  if (!Array.isArray(i)) return r(n);
+  let s = Gt(e.grandparent), u = e.match((f) => !(f[n].length === 1 && Ye(f[n][0])), void 0, (f, E) => E === "typeAnnotation", (f) => f.type === "Identifier", yi);
+  if (i.length === 0 || !u && (s || i.length === 1 && (i[0].type === "NullableTypeAnnotation" || Fu(i[0]))) && !i.some((f) => {
+    let E = re(f, (C) => C.leading || C.trailing);
+    return E.length > 0 && (E.some((C) => Le(C)) || J(t.originalText, S(w(0, E, -1))));
+  })) return ["<", L(", ", e.map(r, n)), RD(e, t), ">"];
+  let c = o.type === "TSTypeParameterInstantiation" ? "" : vD(e, t, n) ? "," : Ie(t);
+  return p(["<", m([y, L([",", T], e.map(r, n))]), c, y, ">"]);
+}
+function RD(e, t) {
+  let { node: r } = e;
+  if (!x(r, g.Dangling)) return "";
+  let n = !x(r, g.Line), o = W(e, t, { indent: !n });
+  return n ? o : [o, d];
+}
+function mo(e, t, r) {
+  let { node: n } = e, o = [n.const ? "const " : ""], i = n.type === "TSTypeParameter" ? r("name") : n.name;
+  if (n.variance && o.push(r("variance")), n.in && o.push("in "), n.out && o.push("out "), o.push(i), n.bound && (n.usesExtendsBound && o.push(" extends "), o.push(G(e, r, "bound"))), n.constraint) {
+    let s = /* @__PURE__ */ Symbol("constraint");
+    o.push(" extends", p(m(T), { id: s }), xe, ht(r("constraint"), { groupId: s }));
+  }
+  if (n.default) {
+    let s = /* @__PURE__ */ Symbol("default");
+    o.push(" =", p(m(T), { id: s }), xe, ht(r("default"), { groupId: s }));
+  }
+  return p(o);
+}
+function fo(e, t) {
+  let { node: r } = e;
+  return [r.type === "TSTypePredicate" && r.asserts ? "asserts " : r.type === "TypePredicate" && r.kind ? `${r.kind} ` : "", t("parameterName"), r.typeAnnotation ? [" is ", G(e, t)] : ""];
+}
+function Do({ node: e }, t) {
+  let r = e.type === "TSTypeQuery" ? "exprName" : "argument";
+  return ["typeof ", t(r), t("typeArguments")];
+}
+function Np(e, t, r, n) {
+  let { node: o } = e;
+  if (Cn(o)) return o.type.slice(0, -14).toLowerCase();
+  switch (o.type) {
+    case "ComponentDeclaration":
+    case "DeclareComponent":
+    case "ComponentTypeAnnotation":
+      return xp(e, t, r);
+    case "ComponentParameter":
+      return Ap(e, t, r);
+    case "ComponentTypeParameter":
+      return Tp(e, t, r);
+    case "HookDeclaration":
+      return fr(e, t, r);
+    case "DeclareHook":
+      return Bp(e, t, r);
+    case "HookTypeAnnotation":
+      return bp(e, t, r);
+    case "DeclareFunction":
+      return [ne(e), "function ", r("id"), r("predicate"), R(t)];
+    case "DeclareModule":
+      return ["declare module ", r("id"), " ", r("body")];
+    case "DeclareModuleExports":
+      return ["declare module.exports", G(e, r), R(t)];
+    case "DeclareNamespace":
+      return ["declare namespace ", r("id"), " ", r("body")];
+    case "DeclareVariable":
+      return Array.isArray(o.declarations) ? eo(e, t, r) : [ne(e), o.kind ?? "var", " ", r("id"), R(t)];
+    case "DeclareExportDeclaration":
+    case "DeclareExportAllDeclaration":
+      return Qn(e, t, r);
+    case "DeclareOpaqueType":
+    case "OpaqueType":
+      return _p(e, t, r);
+    case "DeclareTypeAlias":
+    case "TypeAlias":
+      return lo(e, t, r);
+    case "IntersectionTypeAnnotation":
+      return ao(e, t, r);
+    case "UnionTypeAnnotation":
+      return bn(e, t, r, n);
+    case "ConditionalTypeAnnotation":
+      return gr(e, t, r);
+    case "InferTypeAnnotation":
+      return uo(e, t, r);
+    case "FunctionTypeAnnotation":
+      return io(e, t, r);
+    case "TupleTypeAnnotation":
+      return xr(e, t, r);
+    case "TupleTypeLabeledElement":
+      return co(e, t, r);
+    case "TupleTypeSpreadElement":
+      return po(e, t, r);
+    case "GenericTypeAnnotation":
+      return [r("id"), Kt(e, t, r, "typeParameters")];
+    case "IndexedAccessType":
+    case "OptionalIndexedAccessType":
+      return so(e, t, r);
+    case "TypeAnnotation":
+      return Pn(e, t, r);
+    case "TypeParameter":
+      return mo(e, t, r);
+    case "TypeofTypeAnnotation":
+      return Do(e, r);
+    case "ExistsTypeAnnotation":
+      return "*";
+    case "ArrayTypeAnnotation":
+      return to(r);
+    case "DeclareEnum":
+    case "EnumDeclaration":
+      return oo(e, r);
+    case "EnumBody":
+      return gp(e, t, r);
+    case "EnumBooleanBody":
+    case "EnumNumberBody":
+    case "EnumBigIntBody":
+    case "EnumStringBody":
+    case "EnumSymbolBody":
+      return hp(e, t, r);
+    case "EnumBooleanMember":
+    case "EnumNumberMember":
+    case "EnumBigIntMember":
+    case "EnumStringMember":
+    case "EnumDefaultedMember":
+      return no(e, t, r);
+    case "FunctionTypeParam": {
+      let i = o.name ? r("name") : e.parent.this === o ? "this" : "";
+      return [i, $(e), i ? ": " : "", r("typeAnnotation")];
+    }
+    case "DeclareClass":
+    case "DeclareInterface":
+    case "InterfaceDeclaration":
+    case "InterfaceTypeAnnotation":
+    case "RecordDeclaration":
+      return Ar(e, t, r);
+    case "ObjectTypeAnnotation":
+    case "RecordDeclarationBody":
+      return Vt(e, t, r);
+    case "ClassImplements":
+    case "InterfaceExtends":
+      return [r("id"), r("typeParameters")];
+    case "RecordDeclarationImplements":
+      return [r("id"), r("typeArguments")];
+    case "NullableTypeAnnotation":
+      return ["?", r("typeAnnotation")];
+    case "Variance": {
+      let { kind: i } = o;
+      return Re(i === "plus" || i === "minus" || i === "readonly" || i === "writeonly" || i === "in" || i === "out"), i === "plus" ? "+" : i === "minus" ? "-" : `${i} `;
+    }
+    case "KeyofTypeAnnotation":
+      return ["keyof ", r("argument")];
+    case "ObjectTypeCallProperty":
+      return [o.static ? "static " : "", r("value"), ke(e, t)];
+    case "ObjectTypeMappedTypeProperty":
+      return Ip(e, t, r);
+    case "ObjectTypeIndexer":
+      return [o.static ? "static " : "", o.variance ? r("variance") : "", "[", r("id"), o.id ? ": " : "", r("key"), "]: ", r("value"), ke(e, t)];
+    case "ObjectTypeProperty": {
+      let i = "";
+      return o.proto ? i = "proto " : o.static && (i = "static "), [i, o.kind !== "init" ? o.kind + " " : "", o.variance ? r("variance") : "", ve(e, t, r), $(e), $e(o) ? "" : ": ", r("value"), ke(e, t)];
+    }
+    case "ObjectTypeInternalSlot":
+      return [o.static ? "static " : "", "[[", r("id"), "]]", $(e), o.method ? "" : ": ", r("value"), ke(e, t)];
+    case "ObjectTypeSpreadProperty":
+      return Tr(e, r);
+    case "QualifiedTypeofIdentifier":
+    case "QualifiedTypeIdentifier":
+      return [r("qualification"), ".", r("id")];
+    case "NullLiteralTypeAnnotation":
+      return "null";
+    case "BooleanLiteralTypeAnnotation":
+      return String(o.value);
+    case "StringLiteralTypeAnnotation":
+      return Ve(ot(ye(o), t));
+    case "NumberLiteralTypeAnnotation":
+      return _t(ye(o));
+    case "BigIntLiteralTypeAnnotation":
+      return $n(ye(o));
+    case "TypeCastExpression":
+      return ["(", r("expression"), G(e, r), ")"];
+    case "TypePredicate":
+      return fo(e, r);
+    case "TypeOperator":
+      return [o.operator, " ", r("typeAnnotation")];
+    case "TypeParameterDeclaration":
+    case "TypeParameterInstantiation":
+      return Kt(e, t, r, "params");
+    case "InferredPredicate":
+    case "DeclaredPredicate":
+      return [e.key === "predicate" && e.parent.type !== "DeclareFunction" && !e.parent.returnType ? ": " : " ", "%checks", ...o.type === "DeclaredPredicate" ? ["(", r("value"), ")"] : []];
+    case "AsExpression":
+    case "AsConstExpression":
+    case "SatisfiesExpression":
+      return ro(e, t, r);
+    case "MatchExpression":
+    case "MatchStatement":
+      return wp(e, t, r);
+    case "MatchExpressionCase":
+    case "MatchStatementCase":
+      return Lp(e, t, r);
+    case "MatchOrPattern":
+    case "MatchAsPattern":
+    case "MatchWildcardPattern":
+    case "MatchLiteralPattern":
+    case "MatchUnaryPattern":
+    case "MatchIdentifierPattern":
+    case "MatchInstancePattern":
+    case "MatchInstanceObjectPattern":
+    case "MatchMemberPattern":
+    case "MatchBindingPattern":
+    case "MatchObjectPattern":
+    case "MatchObjectPatternProperty":
+    case "MatchRestPattern":
+    case "MatchArrayPattern":
+      return Op(e, t, r);
+    case "RecordExpression":
+      return [r("recordConstructor"), r("typeArguments"), " ", r("properties")];
+    case "RecordExpressionProperties":
+      return ft(e, t, r);
+    case "RecordDeclarationProperty":
+    case "RecordDeclarationStaticProperty": {
+      let i = o.type === "RecordDeclarationStaticProperty", s = i ? "value" : "defaultValue";
+      return [i ? "static " : "", ve(e, t, r), G(e, r), o[s] ? [" = ", r(s)] : ""];
+    }
+  }
+}
+function jp(e, t) {
+  let { node: r } = e, n = t.originalText.slice(b(r), S(r));
+  return t.semi && Pr(r) ? n += ";" : Dr(e, t) && (n = `;${n}`), r.type === "ClassExpression" && j(r.decorators) ? [m([y, n]), y] : n;
+}
+function WD(e, t, r) {
+  let { node: n } = e;
+  if (n.type === "JSXElement" && ty(n)) return [r("openingElement"), r("closingElement")];
+  let o = n.type === "JSXElement" ? r("openingElement") : r("openingFragment"), i = n.type === "JSXElement" ? r("closingElement") : r("closingFragment");
+  if (n.children.length === 1 && n.children[0].type === "JSXExpressionContainer" && (n.children[0].expression.type === "TemplateLiteral" || n.children[0].expression.type === "TaggedTemplateExpression")) return [o, ...e.map(r, "children"), i];
+  n.children = n.children.map((h) => ry(h) ? { type: "JSXText", value: " ", raw: " " } : h);
+  let s = n.children.some(H), u = n.children.filter((h) => h.type === "JSXExpressionContainer").length > 1, a = n.type === "JSXElement" && n.openingElement.attributes.length > 1, c = ue(o) || s || a || u, f = e.parent.rootMarker === "mdx", E = t.singleQuote ? "{' '}" : '{" "}', C = f ? T : O([E, y], " "), A = n.openingElement?.name?.name === "fbt", D = JD(e, t, r, C, A), P = n.children.some((h) => Ht(h));
+  for (let h = D.length - 2; h >= 0; h--) {
+    let v = D[h] === "" && D[h + 1] === "", U = D[h] === d && D[h + 1] === "" && D[h + 2] === d, ae = (D[h] === y || D[h] === d) && D[h + 1] === "" && D[h + 2] === C, fe = D[h] === C && D[h + 1] === "" && (D[h + 2] === y || D[h + 2] === d), z = D[h] === C && D[h + 1] === "" && D[h + 2] === C, Ae = D[h] === y && D[h + 1] === "" && D[h + 2] === d || D[h] === d && D[h + 1] === "" && D[h + 2] === y;
+    U && P || v || ae || z || Ae ? D.splice(h, 2) : fe && D.splice(h + 1, 2);
+  }
+  for (; D.length > 0 && Ti(w(0, D, -1)); ) D.pop();
+  for (; D.length > 1 && Ti(D[0]) && Ti(D[1]); ) D.shift(), D.shift();
+  let F = [""];
+  for (let [h, v] of D.entries()) {
+    if (v === C) {
+      if (h === 1 && js(D[h - 1])) {
+        if (D.length === 2) {
+          F.push([F.pop(), E]);
+          continue;
+        }
+        F.push([E, d], "");
+        continue;
+      }
+      if (h === D.length - 1) {
+        F.push([F.pop(), E]);
+        continue;
+      }
+      if (D[h - 1] === "" && D[h - 2] === d) {
+        F.push([F.pop(), E]);
+        continue;
+      }
+    }
+    h % 2 === 0 ? F.push([F.pop(), v]) : F.push(v, ""), ue(v) && (c = true);
+  }
+  let I = P ? yn(F) : p(F, { shouldBreak: true });
+  if (t.cursorNode?.type === "JSXText" && n.children.includes(t.cursorNode) ? I = [jr, I, jr] : t.nodeBeforeCursor?.type === "JSXText" && n.children.includes(t.nodeBeforeCursor) ? I = [jr, I] : t.nodeAfterCursor?.type === "JSXText" && n.children.includes(t.nodeAfterCursor) && (I = [I, jr]), f) return I;
+  let k = p([o, m([d, I]), d, i]);
+  return c ? k : mt([p([o, ...D, i]), k]);
+}
+function JD(e, t, r, n, o) {
+  let i = "", s = [i];
+  function u(c) {
+    i = c, s.push([s.pop(), c]);
+  }
+  function a(c) {
+    c !== "" && (i = c, s.push(c, ""));
+  }
+  return e.each(({ node: c, next: f }) => {
+    if (c.type === "JSXText") {
+      let E = ye(c);
+      if (Ht(c)) {
+        let C = dr.split(E, true);
+        C[0] === "" && (C.shift(), /\n/.test(C[0]) ? a(Rp(o, C[1], c, f)) : a(n), C.shift());
+        let A;
+        if (w(0, C, -1) === "" && (C.pop(), A = C.pop()), C.length === 0) return;
+        for (let [D, P] of C.entries()) D % 2 === 1 ? a(T) : u(P);
+        A !== void 0 ? /\n/.test(A) ? a(Rp(o, i, c, f)) : a(n) : a(vp(o, i, c, f));
+      } else /\n/.test(E) ? E.match(/\n/g).length > 1 && a(d) : a(n);
+    } else {
+      let E = r();
+      if (u(E), f && Ht(f)) {
+        let A = dr.trim(ye(f)), [D] = dr.split(A);
+        a(vp(o, D, c, f));
+      } else a(d);
+    }
+  }, "children"), s;
+}
+function vp(e, t, r, n) {
+  return e ? "" : r.type === "JSXElement" && !r.closingElement || n?.type === "JSXElement" && !n.closingElement ? t.length === 1 ? y : d : y;
+}
+function Rp(e, t, r, n) {
+  return e ? d : t.length === 1 ? r.type === "JSXElement" && !r.closingElement || n?.type === "JSXElement" && !n.closingElement ? d : y : d;
+}
+function UD(e, t, r) {
+  let { parent: n } = e;
+  if (GD(n)) return t;
+  let o = qD(e), i = oe(e, r);
+  return p([i ? "" : O("("), m([y, t]), y, i ? "" : O(")")], { shouldBreak: o });
+}
+function qD(e) {
+  return e.match(void 0, (t, r) => r === "body" && t.type === "ArrowFunctionExpression", (t, r) => r === "arguments" && M(t)) && (e.match(void 0, void 0, void 0, (t, r) => r === "expression" && t.type === "JSXExpressionContainer") || e.match(void 0, void 0, void 0, (t, r) => r === "expression" && t.type === "ChainExpression", (t, r) => r === "expression" && t.type === "JSXExpressionContainer"));
+}
+function YD(e, t, r) {
+  let { node: n } = e, o = [r("name")];
+  if (n.value) {
+    let i;
+    if (q(n.value)) {
+      let s = ye(n.value), u = V(0, V(0, s.slice(1, -1), "&apos;", "'"), "&quot;", '"'), a = Sn(u, t.jsxSingleQuote);
+      u = a === '"' ? V(0, u, '"', "&quot;") : V(0, u, "'", "&apos;"), i = e.call(() => Q(e, Ve(a + u + a), t), "value");
+    } else i = r("value");
+    o.push("=", i);
+  }
+  return o;
+}
+function HD(e, t, r) {
+  let { node: n } = e, o = (i, s) => i.type === "JSXEmptyExpression" || !x(i) && (Y(i) || ie(i) || i.type === "ArrowFunctionExpression" || i.type === "AwaitExpression" && (o(i.argument, i) || i.argument.type === "JSXElement") || M(Pe(i)) || i.type === "FunctionExpression" || i.type === "TemplateLiteral" || i.type === "TaggedTemplateExpression" || i.type === "DoExpression" || H(s) && (i.type === "ConditionalExpression" || be(i)));
+  return o(n.expression, e.parent) ? p(["{", r("expression"), xe, "}"]) : p(["{", m([y, r("expression")]), y, xe, "}"]);
+}
+function XD(e, t, r) {
+  let { node: n } = e, o = x(n.name) || x(n.typeArguments);
+  if (n.selfClosing && n.attributes.length === 0 && !o) return ["<", r("name"), r("typeArguments"), " />"];
+  if (n.attributes?.length === 1 && q(n.attributes[0].value) && !n.attributes[0].value.value.includes(`
+`) && !o && !x(n.attributes[0])) return p(["<", r("name"), r("typeArguments"), " ", ...e.map(r, "attributes"), n.selfClosing ? " />" : ">"]);
+  let i = n.attributes?.some((u) => q(u.value) && u.value.value.includes(`
+`)), s = t.singleAttributePerLine && n.attributes.length > 1 ? d : T;
+  return p(["<", r("name"), r("typeArguments"), m(e.map(({ isFirst: u, previous: a }) => [u ? s : me(a, t) ? [d, d] : s, r()], "attributes")), ...VD(n, t, o)], { shouldBreak: i });
+}
+function VD(e, t, r) {
+  return e.selfClosing ? [T, "/>"] : KD(e, t, r) ? [">"] : [y, ">"];
+}
+function KD(e, t, r) {
+  let n = e.attributes.length > 0 && x(w(0, e.attributes, -1), g.Trailing);
+  return e.attributes.length === 0 && !r || (t.bracketSameLine || t.jsxBracketSameLine) && (!r || e.attributes.length > 0) && !n;
+}
+function $D(e, t, r) {
+  let { node: n } = e, o = ["</"], i = r("name");
+  return x(n.name, g.Leading | g.Line) ? o.push(m([d, i]), d) : x(n.name, g.Leading | g.Block) ? o.push(" ", i) : o.push(i), o.push(">"), o;
+}
+function QD(e, t) {
+  let { node: r } = e, n = x(r), o = x(r, g.Line), i = r.type === "JSXOpeningFragment";
+  return [i ? "<" : "</", m([o ? d : n && !i ? " " : "", W(e, t)]), o ? d : "", ">"];
+}
+function zD(e, t, r) {
+  let n = Q(e, WD(e, t, r), t);
+  return UD(e, n, t);
+}
+function ZD(e, t) {
+  let { node: r } = e, n = x(r, g.Line);
+  return [W(e, t, { indent: n }), n ? d : ""];
+}
+function ey(e, t, r) {
+  let { node: n } = e;
+  return ["{", e.call(({ node: o }) => {
+    let i = ["...", r()];
+    return x(o) ? [m([y, Q(e, i, t)]), y] : i;
+  }, n.type === "JSXSpreadAttribute" ? "argument" : "expression"), "}"];
+}
+function Wp(e, t, r) {
+  let { node: n } = e;
+  if (n.type.startsWith("JSX")) switch (n.type) {
+    case "JSXAttribute":
+      return YD(e, t, r);
+    case "JSXIdentifier":
+      return n.name;
+    case "JSXNamespacedName":
+      return L(":", [r("namespace"), r("name")]);
+    case "JSXMemberExpression":
+      return L(".", [r("object"), r("property")]);
+    case "JSXSpreadAttribute":
+    case "JSXSpreadChild":
+      return ey(e, t, r);
+    case "JSXExpressionContainer":
+      return HD(e, t, r);
+    case "JSXFragment":
+    case "JSXElement":
+      return zD(e, t, r);
+    case "JSXOpeningElement":
+      return XD(e, t, r);
+    case "JSXClosingElement":
+      return $D(e, t, r);
+    case "JSXOpeningFragment":
+    case "JSXClosingFragment":
+      return QD(e, t);
+    case "JSXEmptyExpression":
+      return ZD(e, t);
+    case "JSXText":
+      throw new Error("JSXText should be handled by JSXElement");
+    default:
+      throw new it(n, "JSX");
+  }
+}
+function ty(e) {
+  if (e.children.length === 0) return true;
+  if (e.children.length > 1) return false;
+  let t = e.children[0];
+  return t.type === "JSXText" && !Ht(t);
+}
+function ry(e) {
+  return e.type === "JSXExpressionContainer" && q(e.expression) && e.expression.value === " " && !x(e.expression);
+}
+function Jp(e, t, r) {
+  let { node: n } = e, o = n.parameters.length > 1 ? Ie(t) : "", i = p([m([y, L([", ", y], e.map(r, "parameters"))]), o, y]);
+  return [e.key === "body" && e.parent.type === "ClassBody" && n.static ? "static " : "", n.readonly ? "readonly " : "", "[", n.parameters ? i : "", "]", G(e, r), ke(e, t)];
+}
+function gi(e, t, r) {
+  let { node: n } = e;
+  return [n.postfix ? "" : r, G(e, t), n.postfix ? r : ""];
+}
+function Gp(e, t, r) {
+  let { node: n } = e, o = [], i = n.kind && n.kind !== "method" ? `${n.kind} ` : "";
+  o.push(Ut(n), i, ve(e, t, r), $(e));
+  let s = Ke(e, t, r, false, true), u = G(e, r, "returnType"), a = Bt(n, u);
+  return o.push(a ? p(s) : s), n.returnType && o.push(p(u)), [p(o), ke(e, t)];
+}
+function Up(e, t, r) {
+  let { node: n } = e;
+  return [ne(e), n.kind === "global" ? "" : `${n.kind} `, r("id"), n.body ? [" ", p(r("body"))] : R(t)];
+}
+function qp(e, t, r) {
+  let { node: n } = e, o = !(Y(n.expression) || ie(n.expression)), i = p(["<", m([y, r("typeAnnotation")]), y, ">"]), s = [O("("), m([y, r("expression")]), y, O(")")];
+  return o ? mt([[i, r("expression")], [i, p(s, { shouldBreak: true })], [i, r("expression")]]) : p([i, r("expression")]);
+}
+function Yp(e, t, r, n) {
+  let { node: o } = e;
+  if (o.type.startsWith("TS")) {
+    if (Fn(o)) return o.type.slice(2, -7).toLowerCase();
+    switch (o.type) {
+      case "TSThisType":
+        return "this";
+      case "TSTypeAssertion":
+        return qp(e, t, r);
+      case "TSDeclareFunction":
+        return fr(e, t, r);
+      case "TSExportAssignment":
+        return ["export = ", r("expression"), R(t)];
+      case "TSModuleBlock":
+        return Hn(e, t, r);
+      case "TSInterfaceBody":
+      case "TSTypeLiteral":
+        return Vt(e, t, r);
+      case "TSTypeAliasDeclaration":
+        return lo(e, t, r);
+      case "TSQualifiedName":
+        return [r("left"), ".", r("right")];
+      case "TSAbstractMethodDefinition":
+      case "TSDeclareMethod":
+        return Xn(e, t, r);
+      case "TSAbstractAccessorProperty":
+      case "TSAbstractPropertyDefinition":
+        return Vn(e, t, r);
+      case "TSInterfaceHeritage":
+      case "TSClassImplements":
+      case "TSInstantiationExpression":
+        return [r("expression"), r("typeArguments")];
+      case "TSTemplateLiteralType":
+        return On(e, t, r);
+      case "TSNamedTupleMember":
+        return co(e, t, r);
+      case "TSRestType":
+        return po(e, t, r);
+      case "TSOptionalType":
+        return [r("typeAnnotation"), "?"];
+      case "TSInterfaceDeclaration":
+        return Ar(e, t, r);
+      case "TSTypeParameterDeclaration":
+      case "TSTypeParameterInstantiation":
+        return Kt(e, t, r, "params");
+      case "TSTypeParameter":
+        return mo(e, t, r);
+      case "TSAsExpression":
+      case "TSSatisfiesExpression":
+        return ro(e, t, r);
+      case "TSArrayType":
+        return to(r);
+      case "TSPropertySignature":
+        return [o.readonly ? "readonly " : "", ve(e, t, r), $(e), G(e, r), ke(e, t)];
+      case "TSParameterProperty":
+        return [Ut(o), o.static ? "static " : "", o.override ? "override " : "", o.readonly ? "readonly " : "", r("parameter")];
+      case "TSTypeQuery":
+        return Do(e, r);
+      case "TSIndexSignature":
+        return Jp(e, t, r);
+      case "TSTypePredicate":
+        return fo(e, r);
+      case "TSNonNullExpression":
+        return [r("expression"), "!"];
+      case "TSImportType":
+        return [Xt(e, t, r), o.qualifier ? [".", r("qualifier")] : "", Kt(e, t, r, "typeArguments")];
+      case "TSLiteralType":
+        return r("literal");
+      case "TSIndexedAccessType":
+        return so(e, t, r);
+      case "TSTypeOperator":
+        return [o.operator, " ", r("typeAnnotation")];
+      case "TSMappedType":
+        return kp(e, t, r);
+      case "TSMethodSignature":
+        return Gp(e, t, r);
+      case "TSNamespaceExportDeclaration":
+        return ["export as namespace ", r("id"), R(t)];
+      case "TSEnumDeclaration":
+        return oo(e, r);
+      case "TSEnumBody":
+        return ft(e, t, r);
+      case "TSEnumMember":
+        return no(e, t, r);
+      case "TSImportEqualsDeclaration":
+        return ["import ", Fi(o, false), r("id"), " = ", r("moduleReference"), R(t)];
+      case "TSExternalModuleReference":
+        return Xt(e, t, r);
+      case "TSModuleDeclaration":
+        return Up(e, t, r);
+      case "TSConditionalType":
+        return gr(e, t, r);
+      case "TSInferType":
+        return uo(e, t, r);
+      case "TSIntersectionType":
+        return ao(e, t, r);
+      case "TSUnionType":
+        return bn(e, t, r, n);
+      case "TSFunctionType":
+      case "TSCallSignatureDeclaration":
+      case "TSConstructorType":
+      case "TSConstructSignatureDeclaration":
+        return io(e, t, r);
+      case "TSTupleType":
+        return xr(e, t, r);
+      case "TSTypeReference":
+        return [r("typeName"), Kt(e, t, r, "typeArguments")];
+      case "TSTypeAnnotation":
+        return Pn(e, t, r);
+      case "TSEmptyBodyFunctionExpression":
+        return In(e, t, r);
+      case "TSJSDocAllType":
+        return "*";
+      case "TSJSDocUnknownType":
+        return "?";
+      case "TSJSDocNullableType":
+        return gi(e, r, "?");
+      case "TSJSDocNonNullableType":
+        return gi(e, r, "!");
+      default:
+        throw new it(o, "TypeScript");
+    }
+  }
+}
+function ny(e, t, r, n) {
+  for (let o of [la, Wp, Np, Yp, Fp]) {
+    let i = o(e, t, r, n);
+    if (i !== void 0) return i;
+  }
+}
+function hi(e, t, r, n) {
+  e.isRoot && t.__onHtmlBindingRoot?.(e.node, t);
+  let { node: o } = e, i = Cr(e) ? jp(e, t) : ny(e, t, r, n);
+  if (!i) return "";
+  if (oy(o)) return i;
+  i = iy(e, t, i);
+  let s = o.type !== "ClassExpression" && j(o.decorators) ? Wn(e, t, r) : "", u = oe(e, t);
+  return !s && !u ? i : mn(i, (a) => [u ? "(" : "", s ? p([s, a]) : a, u ? ")" : ""]);
+}
+function iy(e, t, r) {
+  let { node: n } = e;
+  return (x(n, g.Leading) || x(n, g.Trailing)) && tn(e) ? [m([y, Q(e, r, t)]), y] : r;
+}
+function Ur(e) {
+  return e.extra.raw;
+}
+function Pi(e, t) {
+  let { type: r } = e;
+  if (r === "ObjectProperty") {
+    let { key: n } = e;
+    if (n.type === "Identifier") {
+      let { name: o } = n;
+      t.key = { type: "StringLiteral", value: o, extra: { rawValue: o } };
+    } else if (n.type === "NumericLiteral") {
+      let o = Ur(n);
+      String(Number(o)) === o && (t.key = { type: "StringLiteral", value: o, extra: { rawValue: o } });
+    }
+  }
+  if (r === "StringLiteral" && delete t.extra.raw, r === "UnaryExpression" && e.operator === "+") return t.argument;
+  if ((r === "ArrayExpression" || r === "ObjectExpression") && (t.extra ?? (t.extra = {}), e.extra?.trailingComma && delete t.extra.trailingComma), r === "ArrayExpression") {
+    for (let [n, o] of e.elements.entries()) o === null && t.elements.splice(n, 0, { type: "NullLiteral" });
+    return;
+  }
+  if (r === "TemplateLiteral") {
+    let n = e.quasis[0].value.cooked;
+    return { type: "StringLiteral", value: n, extra: { rawValue: n } };
+  }
+}
+function Ii(e, t, r) {
+  let { node: n } = e;
+  switch (n.type) {
+    case "JsonRoot":
+      return [r("node"), d];
+    case "ArrayExpression": {
+      if (n.elements.length === 0) return "[]";
+      let o = e.map(() => e.node === null ? "null" : r(), "elements");
+      return ["[", m([d, L([",", d], o)]), d, "]"];
+    }
+    case "ObjectExpression":
+      return n.properties.length === 0 ? "{}" : ["{", m([d, L([",", d], e.map(r, "properties"))]), d, "}"];
+    case "ObjectProperty":
+      return [r("key"), ": ", r("value")];
+    case "UnaryExpression":
+      return [n.operator === "+" ? "" : n.operator, r("argument")];
+    case "NullLiteral":
+      return "null";
+    case "BooleanLiteral":
+      return n.value ? "true" : "false";
+    case "StringLiteral":
+      return ot(Ur(n), t);
+    case "NumericLiteral": {
+      let o = Ur(n);
+      return Vp(e) && String(Number(o)) === o ? `"${o}"` : o;
+    }
+    case "Identifier":
+      return Vp(e) ? JSON.stringify(n.name) : n.name;
+    case "TemplateLiteral":
+      return r(["quasis", 0]);
+    case "TemplateElement":
+      return JSON.stringify(n.value.cooked);
+    default:
+      throw new it(n, "JSON");
+  }
+}
+function Vp(e) {
+  return e.key === "key" && e.parent.type === "ObjectProperty";
+}
+var tc, Co, $p, Mi, Bi, j, nc, Re, $t, ic, w, uc, ji, xo, ac, pc, cc, vi, lc, Ri, mc, Wi, Pr, de, Ui, pe, At, zt, Qe, Vr, ut, qi, Y, ie, Zt, Ye, wt, H, be, M, N, Tt, Dt, We, Yi, Hi, Dc, yc, Ec, Xi, dc, Vi, lE, at, Ki, $i, er, Qi, pt, tr, Rt, Je, J, te, bc, zi, Ic, kc, V, Zi, Oc, le, Le, _c, ho, wr, Uc, rs, as, Hc, zc, Zc, Es, pl, ds, Cs, g, Fs, ll, xs, rn, nn, gs, fl, on, Or, Cl, sn, l, bs, xl, un, Tl, Bl, oe, ze, Me, ct, Ze, et, lt, he, Ue, _e, tt, rt, He, Fe, Ne, qe, cn, Xe, kl, Oo, Ot, Ls, ln, Se, fn, vs, Rs, je, jr, T, y, Mo, d, jl, ur, xe, vl, Rl, Wl, Jl, Gl, Ul, qs, Ys, Hs, Xs, Vs, Ks, No, jo, $s, ql, Yl, vo, Ro, Xl, Qs, Vl, dt, $l, Ql, Wo, Jo, tu, nt, Ct, Go, St, Jt, me, em, Cn, ru, Fn, nm, xn, Yo, cm, lm, mm, iu, Dm, dm, Cm, au, _t, pu, cu, xm, Am, Tm, mu, ot, fu, Du, vr, yu, Sm, bm, km, wm, Om, xu, Mm, Ko, Nm, Tu, gu, hu, Jm, Su, ti, Lu, ni, ju, vu, Qm, Ju, nf, Er, of, sf, $u, uf, Xu, af, Vu, pf, Qu, ra, na, ff, ui, sa, dr, Cr, ai, it, Ef, pa, Ff, gf, hf, If, kf, wf, Jr, jf, ga, Wf, zf, Zf, La, Oa, Ma, ja, Ra, nD, oD, iD, aD, Ua, qa, lD, Ha, za, DD, np, yD, ip, dD, AD, BD, kD, Ai, Mp, Ti, GD, oy, sy, Si, bi, yo, Hp, uy, Xp, ay, py, hr, vt, cy, Kp, ly, my;
+var init_estree = __esm({
+  "node_modules/prettier/plugins/estree.mjs"() {
+    tc = Object.defineProperty;
+    Co = (e, t) => {
+      for (var r in t) tc(e, r, { get: t[r], enumerable: true });
+    };
+    $p = {};
+    Co($p, { languages: () => my, options: () => Kp, printers: () => ly });
+    Mi = [{ name: "JavaScript", type: "programming", aceMode: "javascript", extensions: [".js", "._js", ".bones", ".cjs", ".es", ".es6", ".gs", ".jake", ".javascript", ".jsb", ".jscad", ".jsfl", ".jslib", ".jsm", ".jspre", ".jss", ".mjs", ".njs", ".pac", ".sjs", ".ssjs", ".xsjs", ".xsjslib", ".start.frag", ".end.frag", ".wxs"], filenames: ["Jakefile", "start.frag", "end.frag"], tmScope: "source.js", aliases: ["js", "node"], codemirrorMode: "javascript", codemirrorMimeType: "text/javascript", interpreters: ["bun", "chakra", "d8", "deno", "gjs", "js", "node", "nodejs", "qjs", "rhino", "v8", "v8-shell", "zx"], parsers: ["babel", "acorn", "espree", "meriyah", "babel-flow", "babel-ts", "flow", "typescript"], vscodeLanguageIds: ["javascript", "mongo"], linguistLanguageId: 183 }, { name: "Flow", type: "programming", aceMode: "javascript", extensions: [".js.flow"], filenames: [], tmScope: "source.js", aliases: [], codemirrorMode: "javascript", codemirrorMimeType: "text/javascript", interpreters: ["bun", "chakra", "d8", "deno", "gjs", "js", "node", "nodejs", "qjs", "rhino", "v8", "v8-shell"], parsers: ["flow", "babel-flow"], vscodeLanguageIds: ["javascript"], linguistLanguageId: 183 }, { name: "JSX", type: "programming", aceMode: "javascript", extensions: [".jsx"], filenames: void 0, tmScope: "source.js.jsx", aliases: void 0, codemirrorMode: "jsx", codemirrorMimeType: "text/jsx", interpreters: void 0, parsers: ["babel", "babel-flow", "babel-ts", "flow", "typescript", "espree", "meriyah"], vscodeLanguageIds: ["javascriptreact"], group: "JavaScript", linguistLanguageId: 183 }, { name: "TypeScript", type: "programming", aceMode: "typescript", extensions: [".ts", ".cts", ".mts"], tmScope: "source.ts", aliases: ["ts"], codemirrorMode: "javascript", codemirrorMimeType: "application/typescript", interpreters: ["bun", "deno", "ts-node", "tsx"], parsers: ["typescript", "babel-ts"], vscodeLanguageIds: ["typescript"], linguistLanguageId: 378 }, { name: "TSX", type: "programming", aceMode: "tsx", extensions: [".tsx"], tmScope: "source.tsx", aliases: ["typescriptreact"], codemirrorMode: "jsx", codemirrorMimeType: "text/typescript-jsx", group: "TypeScript", parsers: ["typescript", "babel-ts"], vscodeLanguageIds: ["typescriptreact"], linguistLanguageId: 94901924 }];
+    Bi = {};
+    Co(Bi, { estree: () => Si });
+    j = rc;
+    nc = () => {
+    };
+    Re = nc;
+    $t = (e, t) => (r, n, ...o) => r | 1 && n == null ? void 0 : (t.call(n) ?? n[e]).apply(n, o);
+    ic = $t("at", function() {
+      if (Array.isArray(this) || typeof this == "string") return oc;
+    });
+    w = ic;
+    uc = /* @__PURE__ */ new WeakMap();
+    ji = (e) => e?.type === "TSAsExpression" && e.typeAnnotation.type === "TSTypeReference" && e.typeAnnotation.typeName.type === "Identifier" && e.typeAnnotation.typeName.name === "const";
+    xo = (e) => Number.isSafeInteger(e) && e >= 0;
+    ac = 5;
+    pc = 8;
+    cc = 8;
+    vi = (e) => (t) => t.label ? S(t.label) : b(t) + e;
+    lc = (e) => e.__contentEnd ?? It(e);
+    Ri = ["ExpressionStatement", "Directive", "ImportDeclaration", "ExportDefaultDeclaration", "ExportNamedDeclaration", "ExportAllDeclaration", "ReturnStatement", "ThrowStatement", "DoWhileStatement"];
+    mc = new Map([["BreakStatement", vi(ac)], ["ContinueStatement", vi(pc)], ["DebuggerStatement", (e) => b(e) + cc], ["VariableDeclaration", (e) => S(w(0, e.declarations, -1))], ...Ri.map((e) => [e, lc])]);
+    Wi = B(Ri);
+    Pr = (e) => {
+      if (Wi(e) && e.__contentEnd) return true;
+      let { type: t } = e;
+      return t === "BreakStatement" || t === "ContinueStatement" || t === "DebuggerStatement" || t === "VariableDeclaration" ? true : t === "IfStatement" ? Pr(e.alternate ?? e.consequent) : t === "ForInStatement" || t === "ForOfStatement" || t === "ForStatement" || t === "LabeledStatement" || t === "WithStatement" || t === "WhileStatement" ? Pr(e.body) : false;
+    };
+    de = B(["TSAsExpression", "TSSatisfiesExpression", "AsExpression", "AsConstExpression", "SatisfiesExpression"]);
+    Ui = B(["SatisfiesExpression", "TSSatisfiesExpression"]);
+    pe = B(["TSUnionType", "UnionTypeAnnotation"]);
+    At = B(["TSIntersectionType", "IntersectionTypeAnnotation"]);
+    zt = B(["TupleTypeAnnotation", "TSTupleType"]);
+    Qe = B(["TSConditionalType", "ConditionalTypeAnnotation"]);
+    Vr = B(["TSTypeAliasDeclaration", "TypeAlias"]);
+    ut = B(["ReturnStatement", "ThrowStatement"]);
+    qi = B(["ExportDefaultDeclaration", "DeclareExportDeclaration", "ExportNamedDeclaration", "ExportAllDeclaration", "DeclareExportAllDeclaration"]);
+    Y = B(["ArrayExpression"]);
+    ie = B(["ObjectExpression"]);
+    Zt = B(["Literal", "BooleanLiteral", "BigIntLiteral", "DirectiveLiteral", "NullLiteral", "NumericLiteral", "RegExpLiteral", "StringLiteral"]);
+    Ye = B(["ObjectTypeAnnotation", "TSTypeLiteral", "TSMappedType"]);
+    wt = B(["FunctionExpression", "ArrowFunctionExpression"]);
+    H = B(["JSXElement", "JSXFragment"]);
+    be = B(["BinaryExpression", "LogicalExpression", "NGPipeExpression"]);
+    M = B(["CallExpression", "OptionalCallExpression"]);
+    N = B(["MemberExpression", "OptionalMemberExpression"]);
+    Tt = B(["CallExpression", "OptionalCallExpression", "NewExpression"]);
+    Dt = B(["CallExpression", "OptionalCallExpression", "NewExpression", "ImportExpression"]);
+    We = B(["ChainExpression", "TSNonNullExpression"]);
+    Yi = B(["TSArrayType", "ArrayTypeAnnotation"]);
+    Hi = B(["TSTypeParameterInstantiation", "TypeParameterInstantiation"]);
+    Dc = B(["File", "TemplateElement", "TSEmptyBodyFunctionExpression", "ChainExpression"]);
+    yc = (e, [t]) => t?.type === "ComponentParameter" && t.shorthand && t.name === e && t.local !== t.name || t?.type === "MatchObjectPatternProperty" && t.shorthand && t.key === e || t?.type === "ObjectProperty" && t.shorthand && t.key === e && t.value !== t.key || t?.type === "Property" && t.shorthand && t.key === e && !$e(t) && t.value !== t.key || t?.type === "ImportSpecifier" && Ir(t) && t.local === e && t.local !== t.imported || t?.type === "ExportSpecifier" && Ir(t) && t.exported === e && t.local !== t.exported;
+    Ec = (e, [t]) => !!(e.type === "FunctionExpression" && t.type === "MethodDefinition" && t.value === e && ee(e).length === 0 && !e.returnType && !j(e.typeParameters) && e.body);
+    Xi = (e, [t]) => t?.typeAnnotation === e && ji(t);
+    dc = (e, [t, ...r]) => Xi(e, [t]) || t?.typeName === e && Xi(t, r);
+    Vi = Cc;
+    lE = Kr(/\s/);
+    at = Kr(" 	");
+    Ki = Kr(",; 	");
+    $i = Kr(/[^\n\r]/);
+    er = xc;
+    Qi = (e) => e === `
+` || e === "\r" || e === "\u2028" || e === "\u2029";
+    pt = Ac;
+    tr = Tc;
+    Rt = gc;
+    Je = hc;
+    J = Sc;
+    te = Bc;
+    bc = /* @__PURE__ */ new WeakMap();
+    zi = /* @__PURE__ */ Symbol.for("comments");
+    Ic = String.prototype.replaceAll ?? function(e, t) {
+      return e.global ? this.replace(e, t) : this.split(e).join(t);
+    };
+    kc = $t("replaceAll", function() {
+      if (typeof this == "string") return Ic;
+    });
+    V = kc;
+    Zi = wc;
+    Oc = /* @__PURE__ */ new WeakMap();
+    le = B(["Block", "CommentBlock", "MultiLine"]);
+    Le = B(["Line", "CommentLine", "SingleLine", "HashbangComment", "HTMLOpen", "HTMLClose", "Hashbang", "InterpreterDirective"]);
+    _c = /* @__PURE__ */ new WeakMap();
+    ho = (e, t) => le(e) && !te(t, b(e), S(e));
+    wr = (e, t) => Le(e) || ho(e, t);
+    Uc = B(["ClassDeclaration", "ClassExpression", "DeclareClass", "DeclareInterface", "InterfaceDeclaration", "TSInterfaceDeclaration"]);
+    rs = B(["ClassMethod", "ClassProperty", "PropertyDefinition", "TSAbstractPropertyDefinition", "TSAbstractMethodDefinition", "TSDeclareMethod", "MethodDefinition", "ClassAccessorProperty", "AccessorProperty", "TSAbstractAccessorProperty", "TSParameterProperty"]);
+    as = B(["FunctionDeclaration", "FunctionExpression", "ClassMethod", "MethodDefinition", "ObjectMethod"]);
+    Hc = B(["ComponentDeclaration", "DeclareComponent", "ComponentTypeAnnotation"]);
+    zc = B(["VariableDeclarator", "AssignmentExpression", "TypeAlias", "TSTypeAliasDeclaration"]);
+    Zc = B(["ObjectExpression", "ArrayExpression", "TemplateLiteral", "TaggedTemplateExpression", "ObjectTypeAnnotation", "TSTypeLiteral"]);
+    Es = B(["ArrowFunctionExpression", "FunctionExpression", "FunctionDeclaration", "ObjectMethod", "ClassMethod", "TSDeclareFunction", "TSCallSignatureDeclaration", "TSConstructSignatureDeclaration", "TSMethodSignature", "TSConstructorType", "TSFunctionType", "TSDeclareMethod", "HookDeclaration"]);
+    pl = { endOfLine: vc, ownLine: jc, remaining: Rc };
+    ds = pl;
+    Cs = cl;
+    g = { Leading: 2, Trailing: 4, Dangling: 8, Block: 16, Line: 32, PrettierIgnore: 64, First: 128, Last: 256 };
+    Fs = (e, t) => {
+      if (typeof e == "function" && (t = e, e = 0), e || t) return (r, n, o) => !(e & g.Leading && !r.leading || e & g.Trailing && !r.trailing || e & g.Dangling && (r.leading || r.trailing) || e & g.Block && !le(r) || e & g.Line && !Le(r) || e & g.First && n !== 0 || e & g.Last && n !== o.length - 1 || e & g.PrettierIgnore && !yt(r) || t && !t(r));
+    };
+    ll = new Map([["|>"], ["??"], ["||"], ["&&"], ["|"], ["^"], ["&"], ["==", "===", "!=", "!=="], ["<", ">", "<=", ">=", "in", "instanceof"], [">>", "<<", ">>>"], ["+", "-"], ["*", "/", "%"], ["**"]].flatMap((e, t) => e.map((r) => [r, t])));
+    xs = { "==": true, "!=": true, "===": true, "!==": true };
+    rn = { "*": true, "/": true, "%": true };
+    nn = { ">>": true, ">>>": true, "<<": true };
+    gs = (e) => e.extra?.parenthesized;
+    fl = B(["OptionalCallExpression", "OptionalMemberExpression"]);
+    on = yl;
+    Or = null;
+    Cl = 10;
+    for (let e = 0; e <= Cl; e++) Mr();
+    sn = Fl;
+    l = [["elements"], ["left", "right"], ["value"], ["directives", "body"], ["label"], ["callee", "typeArguments", "arguments"], ["test", "consequent", "alternate"], ["body", "test"], ["expression"], ["left", "right", "body"], ["id", "typeParameters", "params", "predicate", "returnType", "body"], ["object", "property"], ["properties"], ["decorators", "key", "typeParameters", "params", "returnType", "body"], ["decorators", "key", "value"], ["argument"], ["expressions"], ["id", "init"], ["body"], ["decorators", "id", "typeParameters", "superClass", "superTypeArguments", "mixins", "implements", "body"], ["declaration", "specifiers", "source", "attributes"], ["local"], ["exported"], ["decorators", "variance", "key", "typeAnnotation", "value"], ["id"], ["key", "value"], ["elementType"], ["id", "typeParameters"], ["id", "typeParameters", "extends", "body"], ["id", "body"], ["typeAnnotation"], ["id", "typeParameters", "right"], ["name", "typeAnnotation"], ["types"], ["qualification", "id"], ["elementTypes"], ["expression", "typeAnnotation"], ["params"], ["members"], ["objectType", "indexType"], ["decorators", "key", "typeAnnotation", "value"], ["id", "typeParameters", "params", "returnType", "body"], ["key", "typeParameters", "params", "returnType"], ["typeParameters", "params", "returnType"], ["parameterName", "typeAnnotation"], ["checkType", "extendsType", "trueType", "falseType"], ["typeParameter"], ["literal"], ["expression", "typeArguments"], ["decorators", "key", "typeAnnotation"], ["argument", "cases"], ["pattern", "body", "guard"], ["properties", "rest"], ["node"]];
+    bs = { ArrayExpression: l[0], AssignmentExpression: l[1], BinaryExpression: l[1], InterpreterDirective: [], Directive: l[2], DirectiveLiteral: [], BlockStatement: l[3], BreakStatement: l[4], CallExpression: l[5], CatchClause: ["param", "body"], ConditionalExpression: l[6], ContinueStatement: l[4], DebuggerStatement: [], DoWhileStatement: l[7], EmptyStatement: [], ExpressionStatement: l[8], File: ["program"], ForInStatement: l[9], ForStatement: ["init", "test", "update", "body"], FunctionDeclaration: l[10], FunctionExpression: l[10], Identifier: ["typeAnnotation", "decorators"], IfStatement: l[6], LabeledStatement: ["label", "body"], StringLiteral: [], NumericLiteral: [], NullLiteral: [], BooleanLiteral: [], RegExpLiteral: [], LogicalExpression: l[1], MemberExpression: l[11], NewExpression: l[5], Program: l[3], ObjectExpression: l[12], ObjectMethod: l[13], ObjectProperty: l[14], RestElement: ["argument", "typeAnnotation", "decorators"], ReturnStatement: l[15], SequenceExpression: l[16], ParenthesizedExpression: l[8], SwitchCase: ["test", "consequent"], SwitchStatement: ["discriminant", "cases"], ThisExpression: [], ThrowStatement: l[15], TryStatement: ["block", "handler", "finalizer"], UnaryExpression: l[15], UpdateExpression: l[15], VariableDeclaration: ["declarations"], VariableDeclarator: l[17], WhileStatement: l[7], WithStatement: ["object", "body"], AssignmentPattern: ["left", "right", "decorators", "typeAnnotation"], ArrayPattern: ["elements", "typeAnnotation", "decorators"], ArrowFunctionExpression: ["typeParameters", "params", "predicate", "returnType", "body"], ClassBody: l[18], ClassExpression: l[19], ClassDeclaration: l[19], ExportAllDeclaration: ["source", "attributes", "exported"], ExportDefaultDeclaration: ["declaration"], ExportNamedDeclaration: l[20], ExportSpecifier: ["local", "exported"], ForOfStatement: l[9], ImportDeclaration: ["specifiers", "source", "attributes"], ImportDefaultSpecifier: l[21], ImportNamespaceSpecifier: l[21], ImportSpecifier: ["imported", "local"], MetaProperty: ["meta", "property"], ClassMethod: l[13], ObjectPattern: ["decorators", "properties", "typeAnnotation"], SpreadElement: l[15], Super: [], TaggedTemplateExpression: ["tag", "typeArguments", "quasi"], TemplateElement: [], TemplateLiteral: ["quasis", "expressions"], YieldExpression: l[15], AwaitExpression: l[15], ImportExpression: ["source", "options"], BigIntLiteral: [], ExportNamespaceSpecifier: l[22], OptionalMemberExpression: l[11], OptionalCallExpression: l[5], ClassProperty: l[23], ClassPrivateProperty: l[23], ClassPrivateMethod: l[13], PrivateName: l[24], StaticBlock: l[18], ImportAttribute: l[25], AnyTypeAnnotation: [], ArrayTypeAnnotation: l[26], BooleanTypeAnnotation: [], BooleanLiteralTypeAnnotation: [], NullLiteralTypeAnnotation: [], ClassImplements: l[27], DeclareClass: ["id", "typeParameters", "extends", "mixins", "implements", "body"], DeclareFunction: ["id", "predicate"], DeclareInterface: l[28], DeclareModule: l[29], DeclareModuleExports: l[30], DeclareTypeAlias: l[31], DeclareOpaqueType: ["id", "typeParameters", "supertype", "lowerBound", "upperBound"], DeclareVariable: ["id", "declarations"], DeclareExportDeclaration: l[20], DeclareExportAllDeclaration: ["source", "attributes"], DeclaredPredicate: l[2], ExistsTypeAnnotation: [], FunctionTypeAnnotation: ["typeParameters", "this", "params", "rest", "returnType"], FunctionTypeParam: l[32], GenericTypeAnnotation: l[27], InferredPredicate: [], InterfaceExtends: l[27], InterfaceDeclaration: l[28], InterfaceTypeAnnotation: ["extends", "body"], IntersectionTypeAnnotation: l[33], MixedTypeAnnotation: [], EmptyTypeAnnotation: [], NullableTypeAnnotation: l[30], NumberLiteralTypeAnnotation: [], BigIntLiteralTypeAnnotation: [], NumberTypeAnnotation: [], ObjectTypeAnnotation: ["properties", "indexers", "callProperties", "internalSlots"], ObjectTypeInternalSlot: ["id", "value"], ObjectTypeCallProperty: l[2], ObjectTypeIndexer: ["variance", "id", "key", "value"], ObjectTypeProperty: ["key", "value", "variance"], ObjectTypeSpreadProperty: l[15], OpaqueType: ["id", "typeParameters", "supertype", "impltype", "lowerBound", "upperBound"], QualifiedTypeIdentifier: l[34], StringLiteralTypeAnnotation: [], StringTypeAnnotation: [], SymbolTypeAnnotation: [], ThisTypeAnnotation: [], TupleTypeAnnotation: l[35], TypeofTypeAnnotation: ["argument", "typeArguments"], TypeAlias: l[31], TypeAnnotation: l[30], TypeCastExpression: l[36], TypeParameter: ["bound", "default", "variance"], TypeParameterDeclaration: l[37], TypeParameterInstantiation: l[37], UnionTypeAnnotation: l[33], Variance: [], VoidTypeAnnotation: [], EnumDeclaration: l[29], EnumBooleanBody: l[38], EnumNumberBody: l[38], EnumStringBody: l[38], EnumSymbolBody: l[38], EnumBooleanMember: l[17], EnumNumberMember: l[17], EnumStringMember: l[17], EnumDefaultedMember: l[24], IndexedAccessType: l[39], OptionalIndexedAccessType: l[39], JSXAttribute: ["name", "value"], JSXClosingElement: ["name"], JSXElement: ["openingElement", "children", "closingElement"], JSXEmptyExpression: [], JSXExpressionContainer: l[8], JSXSpreadChild: l[8], JSXIdentifier: [], JSXMemberExpression: l[11], JSXNamespacedName: ["namespace", "name"], JSXOpeningElement: ["name", "typeArguments", "attributes"], JSXSpreadAttribute: l[15], JSXText: [], JSXFragment: ["openingFragment", "children", "closingFragment"], JSXOpeningFragment: [], JSXClosingFragment: [], Placeholder: [], V8IntrinsicIdentifier: [], ArgumentPlaceholder: [], BindExpression: ["object", "callee"], ClassAccessorProperty: l[40], Decorator: l[8], DoExpression: l[18], ExportDefaultSpecifier: l[22], ModuleExpression: l[18], TopicReference: [], VoidPattern: [], TSParameterProperty: ["parameter", "decorators"], TSDeclareFunction: l[41], TSDeclareMethod: l[42], TSQualifiedName: l[1], TSCallSignatureDeclaration: l[43], TSConstructSignatureDeclaration: l[43], TSPropertySignature: ["key", "typeAnnotation"], TSMethodSignature: l[42], TSIndexSignature: ["parameters", "typeAnnotation"], TSAnyKeyword: [], TSBooleanKeyword: [], TSBigIntKeyword: [], TSIntrinsicKeyword: [], TSNeverKeyword: [], TSNullKeyword: [], TSNumberKeyword: [], TSObjectKeyword: [], TSStringKeyword: [], TSSymbolKeyword: [], TSUndefinedKeyword: [], TSUnknownKeyword: [], TSVoidKeyword: [], TSThisType: [], TSFunctionType: l[43], TSConstructorType: l[43], TSTypeReference: ["typeName", "typeArguments"], TSTypePredicate: l[44], TSTypeQuery: ["exprName", "typeArguments"], TSTypeLiteral: l[38], TSArrayType: l[26], TSTupleType: l[35], TSOptionalType: l[30], TSRestType: l[30], TSNamedTupleMember: ["label", "elementType"], TSUnionType: l[33], TSIntersectionType: l[33], TSConditionalType: l[45], TSInferType: l[46], TSParenthesizedType: l[30], TSTypeOperator: l[30], TSIndexedAccessType: l[39], TSMappedType: ["key", "constraint", "nameType", "typeAnnotation"], TSTemplateLiteralType: ["quasis", "types"], TSLiteralType: l[47], TSClassImplements: l[48], TSInterfaceHeritage: l[48], TSInterfaceDeclaration: l[28], TSInterfaceBody: l[18], TSTypeAliasDeclaration: ["id", "typeParameters", "typeAnnotation"], TSInstantiationExpression: l[48], TSAsExpression: l[36], TSSatisfiesExpression: l[36], TSTypeAssertion: l[36], TSEnumBody: l[38], TSEnumDeclaration: l[29], TSEnumMember: ["id", "initializer"], TSModuleDeclaration: l[29], TSModuleBlock: l[18], TSImportType: ["source", "options", "qualifier", "typeArguments"], TSImportEqualsDeclaration: ["id", "moduleReference"], TSExternalModuleReference: l[8], TSNonNullExpression: l[8], TSExportAssignment: l[8], TSNamespaceExportDeclaration: l[24], TSTypeAnnotation: l[30], TSTypeParameterInstantiation: l[37], TSTypeParameterDeclaration: l[37], TSTypeParameter: ["name", "constraint", "default"], ChainExpression: l[8], Literal: [], MethodDefinition: l[14], PrivateIdentifier: [], Property: l[25], PropertyDefinition: l[23], AccessorProperty: l[40], TSAbstractAccessorProperty: l[49], TSAbstractKeyword: [], TSAbstractMethodDefinition: l[25], TSAbstractPropertyDefinition: l[49], TSAsyncKeyword: [], TSDeclareKeyword: [], TSEmptyBodyFunctionExpression: ["id", "typeParameters", "params", "returnType"], TSExportKeyword: [], TSPrivateKeyword: [], TSProtectedKeyword: [], TSPublicKeyword: [], TSReadonlyKeyword: [], TSStaticKeyword: [], AsConstExpression: l[8], AsExpression: l[36], BigIntTypeAnnotation: [], ComponentDeclaration: ["id", "params", "body", "typeParameters", "rendersType"], ComponentParameter: ["name", "local"], ComponentTypeAnnotation: ["params", "rest", "typeParameters", "rendersType"], ComponentTypeParameter: l[32], ConditionalTypeAnnotation: l[45], DeclareComponent: ["id", "params", "rest", "typeParameters", "rendersType"], DeclareEnum: l[29], DeclareHook: l[24], DeclareNamespace: l[29], EnumBigIntBody: l[38], EnumBigIntMember: l[17], EnumBody: l[38], HookDeclaration: l[41], HookTypeAnnotation: ["params", "returnType", "rest", "typeParameters"], InferTypeAnnotation: l[46], KeyofTypeAnnotation: l[15], MatchArrayPattern: ["elements", "rest"], MatchAsPattern: ["pattern", "target"], MatchBindingPattern: l[24], MatchExpression: l[50], MatchExpressionCase: l[51], MatchIdentifierPattern: l[24], MatchInstanceObjectPattern: l[52], MatchInstancePattern: ["targetConstructor", "properties"], MatchLiteralPattern: l[47], MatchMemberPattern: ["base", "property"], MatchObjectPattern: l[52], MatchObjectPatternProperty: ["key", "pattern"], MatchOrPattern: ["patterns"], MatchRestPattern: l[15], MatchStatement: l[50], MatchStatementCase: l[51], MatchUnaryPattern: l[15], MatchWildcardPattern: [], NeverTypeAnnotation: [], ObjectTypeMappedTypeProperty: ["keyTparam", "propType", "sourceType", "variance"], QualifiedTypeofIdentifier: l[34], RecordDeclaration: ["id", "typeParameters", "implements", "body"], RecordDeclarationBody: l[0], RecordDeclarationImplements: ["id", "typeArguments"], RecordDeclarationProperty: ["key", "typeAnnotation", "defaultValue"], RecordDeclarationStaticProperty: ["key", "typeAnnotation", "value"], RecordExpression: ["recordConstructor", "typeArguments", "properties"], RecordExpressionProperties: l[12], SatisfiesExpression: l[36], TupleTypeLabeledElement: ["label", "elementType", "variance"], TupleTypeSpreadElement: ["label", "typeAnnotation"], TypeOperator: l[30], TypePredicate: l[44], UndefinedTypeAnnotation: [], UnknownTypeAnnotation: [], NGChainedExpression: l[16], NGEmptyExpression: [], NGPipeExpression: ["left", "right", "arguments"], NGMicrosyntax: l[18], NGMicrosyntaxAs: ["key", "alias"], NGMicrosyntaxExpression: ["expression", "alias"], NGMicrosyntaxKey: [], NGMicrosyntaxKeyedExpression: ["key", "expression"], NGMicrosyntaxLet: l[25], NGRoot: l[53], JsExpressionRoot: l[53], JsonRoot: l[53], TSJSDocAllType: [], TSJSDocUnknownType: [], TSJSDocNullableType: l[30], TSJSDocNonNullableType: l[30] };
+    xl = sn(bs);
+    un = xl;
+    Tl = /* @__PURE__ */ new WeakMap();
+    Bl = B(["BlockStatement", "BreakStatement", "ComponentDeclaration", "ClassBody", "ClassDeclaration", "ClassMethod", "ClassProperty", "PropertyDefinition", "ClassPrivateProperty", "ContinueStatement", "DebuggerStatement", "DeclareComponent", "DeclareClass", "DeclareExportAllDeclaration", "DeclareExportDeclaration", "DeclareFunction", "DeclareHook", "DeclareInterface", "DeclareModule", "DeclareModuleExports", "DeclareNamespace", "DeclareVariable", "DeclareEnum", "DoWhileStatement", "EnumDeclaration", "ExportAllDeclaration", "ExportDefaultDeclaration", "ExportNamedDeclaration", "ExpressionStatement", "ForInStatement", "ForOfStatement", "ForStatement", "FunctionDeclaration", "HookDeclaration", "IfStatement", "ImportDeclaration", "InterfaceDeclaration", "LabeledStatement", "MethodDefinition", "ReturnStatement", "SwitchStatement", "ThrowStatement", "TryStatement", "TSDeclareFunction", "TSEnumDeclaration", "TSImportEqualsDeclaration", "TSInterfaceDeclaration", "TSModuleDeclaration", "TSNamespaceExportDeclaration", "TypeAlias", "VariableDeclaration", "WhileStatement", "WithStatement"]);
+    oe = ws;
+    ze = "string";
+    Me = "array";
+    ct = "cursor";
+    Ze = "indent";
+    et = "align";
+    lt = "trim";
+    he = "group";
+    Ue = "fill";
+    _e = "if-break";
+    tt = "indent-if-break";
+    rt = "line-suffix";
+    He = "line-suffix-boundary";
+    Fe = "line";
+    Ne = "label";
+    qe = "break-parent";
+    cn = /* @__PURE__ */ new Set([ct, Ze, et, lt, he, Ue, _e, tt, rt, He, Fe, Ne, qe]);
+    Xe = Il;
+    kl = (e) => new Intl.ListFormat("en-US", { type: "disjunction" }).format(e);
+    Oo = class extends Error {
+      name = "InvalidDocError";
+      constructor(t) {
+        super(wl(t)), this.doc = t;
+      }
+    };
+    Ot = Oo;
+    Ls = {};
+    ln = Ll;
+    Se = Re;
+    fn = Re;
+    vs = Re;
+    Rs = Re;
+    je = { type: qe };
+    jr = { type: ct };
+    T = { type: Fe };
+    y = { type: Fe, soft: true };
+    Mo = { type: Fe, hard: true };
+    d = [Mo, je];
+    jl = { type: Fe, hard: true, literal: true };
+    ur = [jl, je];
+    xe = { type: He };
+    vl = "cr";
+    Rl = "crlf";
+    Wl = "\r";
+    Jl = `\r
+`;
+    Gl = `
+`;
+    Ul = Gl;
+    qs = () => /[#*0-9]\uFE0F?\u20E3|[\xA9\xAE\u203C\u2049\u2122\u2139\u2194-\u2199\u21A9\u21AA\u231A\u231B\u2328\u23CF\u23ED-\u23EF\u23F1\u23F2\u23F8-\u23FA\u24C2\u25AA\u25AB\u25B6\u25C0\u25FB\u25FC\u25FE\u2600-\u2604\u260E\u2611\u2614\u2615\u2618\u2620\u2622\u2623\u2626\u262A\u262E\u262F\u2638-\u263A\u2640\u2642\u2648-\u2653\u265F\u2660\u2663\u2665\u2666\u2668\u267B\u267E\u267F\u2692\u2694-\u2697\u2699\u269B\u269C\u26A0\u26A7\u26AA\u26B0\u26B1\u26BD\u26BE\u26C4\u26C8\u26CF\u26D1\u26E9\u26F0-\u26F5\u26F7\u26F8\u26FA\u2702\u2708\u2709\u270F\u2712\u2714\u2716\u271D\u2721\u2733\u2734\u2744\u2747\u2757\u2763\u27A1\u2934\u2935\u2B05-\u2B07\u2B1B\u2B1C\u2B55\u3030\u303D\u3297\u3299]\uFE0F?|[\u261D\u270C\u270D](?:\uD83C[\uDFFB-\uDFFF]|\uFE0F)?|[\u270A\u270B](?:\uD83C[\uDFFB-\uDFFF])?|[\u23E9-\u23EC\u23F0\u23F3\u25FD\u2693\u26A1\u26AB\u26C5\u26CE\u26D4\u26EA\u26FD\u2705\u2728\u274C\u274E\u2753-\u2755\u2795-\u2797\u27B0\u27BF\u2B50]|\u26D3\uFE0F?(?:\u200D\uD83D\uDCA5)?|\u26F9(?:\uD83C[\uDFFB-\uDFFF]|\uFE0F)?(?:\u200D[\u2640\u2642]\uFE0F?)?|\u2764\uFE0F?(?:\u200D(?:\uD83D\uDD25|\uD83E\uDE79))?|\uD83C(?:[\uDC04\uDD70\uDD71\uDD7E\uDD7F\uDE02\uDE37\uDF21\uDF24-\uDF2C\uDF36\uDF7D\uDF96\uDF97\uDF99-\uDF9B\uDF9E\uDF9F\uDFCD\uDFCE\uDFD4-\uDFDF\uDFF5\uDFF7]\uFE0F?|[\uDF85\uDFC2\uDFC7](?:\uD83C[\uDFFB-\uDFFF])?|[\uDFC4\uDFCA](?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D[\u2640\u2642]\uFE0F?)?|[\uDFCB\uDFCC](?:\uD83C[\uDFFB-\uDFFF]|\uFE0F)?(?:\u200D[\u2640\u2642]\uFE0F?)?|[\uDCCF\uDD8E\uDD91-\uDD9A\uDE01\uDE1A\uDE2F\uDE32-\uDE36\uDE38-\uDE3A\uDE50\uDE51\uDF00-\uDF20\uDF2D-\uDF35\uDF37-\uDF43\uDF45-\uDF4A\uDF4C-\uDF7C\uDF7E-\uDF84\uDF86-\uDF93\uDFA0-\uDFC1\uDFC5\uDFC6\uDFC8\uDFC9\uDFCF-\uDFD3\uDFE0-\uDFF0\uDFF8-\uDFFF]|\uDDE6\uD83C[\uDDE8-\uDDEC\uDDEE\uDDF1\uDDF2\uDDF4\uDDF6-\uDDFA\uDDFC\uDDFD\uDDFF]|\uDDE7\uD83C[\uDDE6\uDDE7\uDDE9-\uDDEF\uDDF1-\uDDF4\uDDF6-\uDDF9\uDDFB\uDDFC\uDDFE\uDDFF]|\uDDE8\uD83C[\uDDE6\uDDE8\uDDE9\uDDEB-\uDDEE\uDDF0-\uDDF7\uDDFA-\uDDFF]|\uDDE9\uD83C[\uDDEA\uDDEC\uDDEF\uDDF0\uDDF2\uDDF4\uDDFF]|\uDDEA\uD83C[\uDDE6\uDDE8\uDDEA\uDDEC\uDDED\uDDF7-\uDDFA]|\uDDEB\uD83C[\uDDEE-\uDDF0\uDDF2\uDDF4\uDDF7]|\uDDEC\uD83C[\uDDE6\uDDE7\uDDE9-\uDDEE\uDDF1-\uDDF3\uDDF5-\uDDFA\uDDFC\uDDFE]|\uDDED\uD83C[\uDDF0\uDDF2\uDDF3\uDDF7\uDDF9\uDDFA]|\uDDEE\uD83C[\uDDE8-\uDDEA\uDDF1-\uDDF4\uDDF6-\uDDF9]|\uDDEF\uD83C[\uDDEA\uDDF2\uDDF4\uDDF5]|\uDDF0\uD83C[\uDDEA\uDDEC-\uDDEE\uDDF2\uDDF3\uDDF5\uDDF7\uDDFC\uDDFE\uDDFF]|\uDDF1\uD83C[\uDDE6-\uDDE8\uDDEE\uDDF0\uDDF7-\uDDFB\uDDFE]|\uDDF2\uD83C[\uDDE6\uDDE8-\uDDED\uDDF0-\uDDFF]|\uDDF3\uD83C[\uDDE6\uDDE8\uDDEA-\uDDEC\uDDEE\uDDF1\uDDF4\uDDF5\uDDF7\uDDFA\uDDFF]|\uDDF4\uD83C\uDDF2|\uDDF5\uD83C[\uDDE6\uDDEA-\uDDED\uDDF0-\uDDF3\uDDF7-\uDDF9\uDDFC\uDDFE]|\uDDF6\uD83C\uDDE6|\uDDF7\uD83C[\uDDEA\uDDF4\uDDF8\uDDFA\uDDFC]|\uDDF8\uD83C[\uDDE6-\uDDEA\uDDEC-\uDDF4\uDDF7-\uDDF9\uDDFB\uDDFD-\uDDFF]|\uDDF9\uD83C[\uDDE6\uDDE8\uDDE9\uDDEB-\uDDED\uDDEF-\uDDF4\uDDF7\uDDF9\uDDFB\uDDFC\uDDFF]|\uDDFA\uD83C[\uDDE6\uDDEC\uDDF2\uDDF3\uDDF8\uDDFE\uDDFF]|\uDDFB\uD83C[\uDDE6\uDDE8\uDDEA\uDDEC\uDDEE\uDDF3\uDDFA]|\uDDFC\uD83C[\uDDEB\uDDF8]|\uDDFD\uD83C\uDDF0|\uDDFE\uD83C[\uDDEA\uDDF9]|\uDDFF\uD83C[\uDDE6\uDDF2\uDDFC]|\uDF44(?:\u200D\uD83D\uDFEB)?|\uDF4B(?:\u200D\uD83D\uDFE9)?|\uDFC3(?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D(?:[\u2640\u2642]\uFE0F?(?:\u200D\u27A1\uFE0F?)?|\u27A1\uFE0F?))?|\uDFF3\uFE0F?(?:\u200D(?:\u26A7\uFE0F?|\uD83C\uDF08))?|\uDFF4(?:\u200D\u2620\uFE0F?|\uDB40\uDC67\uDB40\uDC62\uDB40(?:\uDC65\uDB40\uDC6E\uDB40\uDC67|\uDC73\uDB40\uDC63\uDB40\uDC74|\uDC77\uDB40\uDC6C\uDB40\uDC73)\uDB40\uDC7F)?)|\uD83D(?:[\uDC3F\uDCFD\uDD49\uDD4A\uDD6F\uDD70\uDD73\uDD76-\uDD79\uDD87\uDD8A-\uDD8D\uDDA5\uDDA8\uDDB1\uDDB2\uDDBC\uDDC2-\uDDC4\uDDD1-\uDDD3\uDDDC-\uDDDE\uDDE1\uDDE3\uDDE8\uDDEF\uDDF3\uDDFA\uDECB\uDECD-\uDECF\uDEE0-\uDEE5\uDEE9\uDEF0\uDEF3]\uFE0F?|[\uDC42\uDC43\uDC46-\uDC50\uDC66\uDC67\uDC6B-\uDC6D\uDC72\uDC74-\uDC76\uDC78\uDC7C\uDC83\uDC85\uDC8F\uDC91\uDCAA\uDD7A\uDD95\uDD96\uDE4C\uDE4F\uDEC0\uDECC](?:\uD83C[\uDFFB-\uDFFF])?|[\uDC6E-\uDC71\uDC73\uDC77\uDC81\uDC82\uDC86\uDC87\uDE45-\uDE47\uDE4B\uDE4D\uDE4E\uDEA3\uDEB4\uDEB5](?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D[\u2640\u2642]\uFE0F?)?|[\uDD74\uDD90](?:\uD83C[\uDFFB-\uDFFF]|\uFE0F)?|[\uDC00-\uDC07\uDC09-\uDC14\uDC16-\uDC25\uDC27-\uDC3A\uDC3C-\uDC3E\uDC40\uDC44\uDC45\uDC51-\uDC65\uDC6A\uDC79-\uDC7B\uDC7D-\uDC80\uDC84\uDC88-\uDC8E\uDC90\uDC92-\uDCA9\uDCAB-\uDCFC\uDCFF-\uDD3D\uDD4B-\uDD4E\uDD50-\uDD67\uDDA4\uDDFB-\uDE2D\uDE2F-\uDE34\uDE37-\uDE41\uDE43\uDE44\uDE48-\uDE4A\uDE80-\uDEA2\uDEA4-\uDEB3\uDEB7-\uDEBF\uDEC1-\uDEC5\uDED0-\uDED2\uDED5-\uDED8\uDEDC-\uDEDF\uDEEB\uDEEC\uDEF4-\uDEFC\uDFE0-\uDFEB\uDFF0]|\uDC08(?:\u200D\u2B1B)?|\uDC15(?:\u200D\uD83E\uDDBA)?|\uDC26(?:\u200D(?:\u2B1B|\uD83D\uDD25))?|\uDC3B(?:\u200D\u2744\uFE0F?)?|\uDC41\uFE0F?(?:\u200D\uD83D\uDDE8\uFE0F?)?|\uDC68(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDC68\uDC69]\u200D\uD83D(?:\uDC66(?:\u200D\uD83D\uDC66)?|\uDC67(?:\u200D\uD83D[\uDC66\uDC67])?)|[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC66(?:\u200D\uD83D\uDC66)?|\uDC67(?:\u200D\uD83D[\uDC66\uDC67])?)|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]))|\uD83C(?:\uDFFB(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC68\uD83C[\uDFFC-\uDFFF])|\uD83E(?:[\uDD1D\uDEEF]\u200D\uD83D\uDC68\uD83C[\uDFFC-\uDFFF]|[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3])))?|\uDFFC(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC68\uD83C[\uDFFB\uDFFD-\uDFFF])|\uD83E(?:[\uDD1D\uDEEF]\u200D\uD83D\uDC68\uD83C[\uDFFB\uDFFD-\uDFFF]|[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3])))?|\uDFFD(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC68\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])|\uD83E(?:[\uDD1D\uDEEF]\u200D\uD83D\uDC68\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF]|[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3])))?|\uDFFE(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC68\uD83C[\uDFFB-\uDFFD\uDFFF])|\uD83E(?:[\uDD1D\uDEEF]\u200D\uD83D\uDC68\uD83C[\uDFFB-\uDFFD\uDFFF]|[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3])))?|\uDFFF(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?\uDC68\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC68\uD83C[\uDFFB-\uDFFE])|\uD83E(?:[\uDD1D\uDEEF]\u200D\uD83D\uDC68\uD83C[\uDFFB-\uDFFE]|[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3])))?))?|\uDC69(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:\uDC8B\u200D\uD83D)?[\uDC68\uDC69]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC66(?:\u200D\uD83D\uDC66)?|\uDC67(?:\u200D\uD83D[\uDC66\uDC67])?|\uDC69\u200D\uD83D(?:\uDC66(?:\u200D\uD83D\uDC66)?|\uDC67(?:\u200D\uD83D[\uDC66\uDC67])?))|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]))|\uD83C(?:\uDFFB(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:[\uDC68\uDC69]|\uDC8B\u200D\uD83D[\uDC68\uDC69])\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC69\uD83C[\uDFFC-\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]|\uDD1D\u200D\uD83D[\uDC68\uDC69]\uD83C[\uDFFC-\uDFFF]|\uDEEF\u200D\uD83D\uDC69\uD83C[\uDFFC-\uDFFF])))?|\uDFFC(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:[\uDC68\uDC69]|\uDC8B\u200D\uD83D[\uDC68\uDC69])\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC69\uD83C[\uDFFB\uDFFD-\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]|\uDD1D\u200D\uD83D[\uDC68\uDC69]\uD83C[\uDFFB\uDFFD-\uDFFF]|\uDEEF\u200D\uD83D\uDC69\uD83C[\uDFFB\uDFFD-\uDFFF])))?|\uDFFD(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:[\uDC68\uDC69]|\uDC8B\u200D\uD83D[\uDC68\uDC69])\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC69\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]|\uDD1D\u200D\uD83D[\uDC68\uDC69]\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF]|\uDEEF\u200D\uD83D\uDC69\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])))?|\uDFFE(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:[\uDC68\uDC69]|\uDC8B\u200D\uD83D[\uDC68\uDC69])\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC69\uD83C[\uDFFB-\uDFFD\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]|\uDD1D\u200D\uD83D[\uDC68\uDC69]\uD83C[\uDFFB-\uDFFD\uDFFF]|\uDEEF\u200D\uD83D\uDC69\uD83C[\uDFFB-\uDFFD\uDFFF])))?|\uDFFF(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D\uD83D(?:[\uDC68\uDC69]|\uDC8B\u200D\uD83D[\uDC68\uDC69])\uD83C[\uDFFB-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83D\uDC69\uD83C[\uDFFB-\uDFFE])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3]|\uDD1D\u200D\uD83D[\uDC68\uDC69]\uD83C[\uDFFB-\uDFFE]|\uDEEF\u200D\uD83D\uDC69\uD83C[\uDFFB-\uDFFE])))?))?|\uDD75(?:\uD83C[\uDFFB-\uDFFF]|\uFE0F)?(?:\u200D[\u2640\u2642]\uFE0F?)?|\uDE2E(?:\u200D\uD83D\uDCA8)?|\uDE35(?:\u200D\uD83D\uDCAB)?|\uDE36(?:\u200D\uD83C\uDF2B\uFE0F?)?|\uDE42(?:\u200D[\u2194\u2195]\uFE0F?)?|\uDEB6(?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D(?:[\u2640\u2642]\uFE0F?(?:\u200D\u27A1\uFE0F?)?|\u27A1\uFE0F?))?)|\uD83E(?:[\uDD0C\uDD0F\uDD18-\uDD1F\uDD30-\uDD34\uDD36\uDD77\uDDB5\uDDB6\uDDBB\uDDD2\uDDD3\uDDD5\uDEC3-\uDEC5\uDEF0\uDEF2-\uDEF8](?:\uD83C[\uDFFB-\uDFFF])?|[\uDD26\uDD35\uDD37-\uDD39\uDD3C-\uDD3E\uDDB8\uDDB9\uDDCD\uDDCF\uDDD4\uDDD6-\uDDDD](?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D[\u2640\u2642]\uFE0F?)?|[\uDDDE\uDDDF](?:\u200D[\u2640\u2642]\uFE0F?)?|[\uDD0D\uDD0E\uDD10-\uDD17\uDD20-\uDD25\uDD27-\uDD2F\uDD3A\uDD3F-\uDD45\uDD47-\uDD76\uDD78-\uDDB4\uDDB7\uDDBA\uDDBC-\uDDCC\uDDD0\uDDE0-\uDDFF\uDE70-\uDE7C\uDE80-\uDE8A\uDE8E-\uDEC2\uDEC6\uDEC8\uDECD-\uDEDC\uDEDF-\uDEEA\uDEEF]|\uDDCE(?:\uD83C[\uDFFB-\uDFFF])?(?:\u200D(?:[\u2640\u2642]\uFE0F?(?:\u200D\u27A1\uFE0F?)?|\u27A1\uFE0F?))?|\uDDD1(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1|\uDDD1\u200D\uD83E\uDDD2(?:\u200D\uD83E\uDDD2)?|\uDDD2(?:\u200D\uD83E\uDDD2)?))|\uD83C(?:\uDFFB(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D(?:\uD83D\uDC8B\u200D)?\uD83E\uDDD1\uD83C[\uDFFC-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83E\uDDD1\uD83C[\uDFFC-\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFF]|\uDEEF\u200D\uD83E\uDDD1\uD83C[\uDFFC-\uDFFF])))?|\uDFFC(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D(?:\uD83D\uDC8B\u200D)?\uD83E\uDDD1\uD83C[\uDFFB\uDFFD-\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83E\uDDD1\uD83C[\uDFFB\uDFFD-\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFF]|\uDEEF\u200D\uD83E\uDDD1\uD83C[\uDFFB\uDFFD-\uDFFF])))?|\uDFFD(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D(?:\uD83D\uDC8B\u200D)?\uD83E\uDDD1\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83E\uDDD1\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFF]|\uDEEF\u200D\uD83E\uDDD1\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])))?|\uDFFE(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D(?:\uD83D\uDC8B\u200D)?\uD83E\uDDD1\uD83C[\uDFFB-\uDFFD\uDFFF]|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFD\uDFFF])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFF]|\uDEEF\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFD\uDFFF])))?|\uDFFF(?:\u200D(?:[\u2695\u2696\u2708]\uFE0F?|\u2764\uFE0F?\u200D(?:\uD83D\uDC8B\u200D)?\uD83E\uDDD1\uD83C[\uDFFB-\uDFFE]|\uD83C[\uDF3E\uDF73\uDF7C\uDF84\uDF93\uDFA4\uDFA8\uDFEB\uDFED]|\uD83D(?:[\uDCBB\uDCBC\uDD27\uDD2C\uDE80\uDE92]|\uDC30\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFE])|\uD83E(?:[\uDDAF\uDDBC\uDDBD](?:\u200D\u27A1\uFE0F?)?|[\uDDB0-\uDDB3\uDE70]|\uDD1D\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFF]|\uDEEF\u200D\uD83E\uDDD1\uD83C[\uDFFB-\uDFFE])))?))?|\uDEF1(?:\uD83C(?:\uDFFB(?:\u200D\uD83E\uDEF2\uD83C[\uDFFC-\uDFFF])?|\uDFFC(?:\u200D\uD83E\uDEF2\uD83C[\uDFFB\uDFFD-\uDFFF])?|\uDFFD(?:\u200D\uD83E\uDEF2\uD83C[\uDFFB\uDFFC\uDFFE\uDFFF])?|\uDFFE(?:\u200D\uD83E\uDEF2\uD83C[\uDFFB-\uDFFD\uDFFF])?|\uDFFF(?:\u200D\uD83E\uDEF2\uD83C[\uDFFB-\uDFFE])?))?)/g;
+    Ys = 12288;
+    Hs = 65510;
+    Xs = [12288, 12288, 65281, 65376, 65504, 65510];
+    Vs = 4352;
+    Ks = 262141;
+    No = [4352, 4447, 8986, 8987, 9001, 9002, 9193, 9196, 9200, 9200, 9203, 9203, 9725, 9726, 9748, 9749, 9776, 9783, 9800, 9811, 9855, 9855, 9866, 9871, 9875, 9875, 9889, 9889, 9898, 9899, 9917, 9918, 9924, 9925, 9934, 9934, 9940, 9940, 9962, 9962, 9970, 9971, 9973, 9973, 9978, 9978, 9981, 9981, 9989, 9989, 9994, 9995, 10024, 10024, 10060, 10060, 10062, 10062, 10067, 10069, 10071, 10071, 10133, 10135, 10160, 10160, 10175, 10175, 11035, 11036, 11088, 11088, 11093, 11093, 11904, 11929, 11931, 12019, 12032, 12245, 12272, 12287, 12289, 12350, 12353, 12438, 12441, 12543, 12549, 12591, 12593, 12686, 12688, 12773, 12783, 12830, 12832, 12871, 12880, 42124, 42128, 42182, 43360, 43388, 44032, 55203, 63744, 64255, 65040, 65049, 65072, 65106, 65108, 65126, 65128, 65131, 94176, 94180, 94192, 94198, 94208, 101589, 101631, 101662, 101760, 101874, 110576, 110579, 110581, 110587, 110589, 110590, 110592, 110882, 110898, 110898, 110928, 110930, 110933, 110933, 110948, 110951, 110960, 111355, 119552, 119638, 119648, 119670, 126980, 126980, 127183, 127183, 127374, 127374, 127377, 127386, 127488, 127490, 127504, 127547, 127552, 127560, 127568, 127569, 127584, 127589, 127744, 127776, 127789, 127797, 127799, 127868, 127870, 127891, 127904, 127946, 127951, 127955, 127968, 127984, 127988, 127988, 127992, 128062, 128064, 128064, 128066, 128252, 128255, 128317, 128331, 128334, 128336, 128359, 128378, 128378, 128405, 128406, 128420, 128420, 128507, 128591, 128640, 128709, 128716, 128716, 128720, 128722, 128725, 128728, 128732, 128735, 128747, 128748, 128756, 128764, 128992, 129003, 129008, 129008, 129292, 129338, 129340, 129349, 129351, 129535, 129648, 129660, 129664, 129674, 129678, 129734, 129736, 129736, 129741, 129756, 129759, 129770, 129775, 129784, 131072, 196605, 196608, 262141];
+    jo = (e, t) => {
+      let r = 0, n = Math.floor(e.length / 2) - 1;
+      for (; r <= n; ) {
+        let o = Math.floor((r + n) / 2), i = o * 2;
+        if (t < e[i]) n = o - 1;
+        else if (t > e[i + 1]) r = o + 1;
+        else return true;
+      }
+      return false;
+    };
+    $s = 19968;
+    [ql, Yl] = Hl(No);
+    vo = (e) => e < Ys || e > Hs ? false : jo(Xs, e);
+    Ro = (e) => e >= ql && e <= Yl ? true : e < Vs || e > Ks ? false : jo(No, e);
+    Xl = /^(?:[\xA9\xAE\u203C\u2049\u2122\u2139\u2194-\u2199\u21A9\u21AA\u2328\u23CF\u23ED-\u23EF\u23F1\u23F2\u23F8-\u23FA\u24C2\u25AA\u25AB\u25B6\u25C0\u25FB\u25FC\u2600-\u2604\u260E\u2611\u2618\u2620\u2622\u2623\u2626\u262A\u262E\u262F\u2638-\u263A\u2640\u2642\u265F\u2660\u2663\u2665\u2666\u2668\u267B\u267E\u2692\u2694-\u2697\u2699\u269B\u269C\u26A0\u26A7\u26B0\u26B1\u26C8\u26CF\u26D1\u26D3\u26E9\u26F0\u26F1\u26F4\u26F7\u26F8\u2702\u2708\u2709\u270F\u2712\u2714\u2716\u271D\u2721\u2733\u2734\u2744\u2747\u2763\u2764\u27A1\u2934\u2935\u2B05-\u2B07]|\uD83C[\uDD70\uDD71\uDD7E\uDD7F\uDF21\uDF24-\uDF2C\uDF36\uDF7D\uDF96\uDF97\uDF99-\uDF9B\uDF9E\uDF9F\uDFCD\uDFCE\uDFD4-\uDFDF\uDFF3\uDFF5\uDFF7]|\uD83D[\uDC3F\uDC41\uDCFD\uDD49\uDD4A\uDD6F\uDD70\uDD73\uDD76-\uDD79\uDD87\uDD8A-\uDD8D\uDDA5\uDDA8\uDDB1\uDDB2\uDDBC\uDDC2-\uDDC4\uDDD1-\uDDD3\uDDDC-\uDDDE\uDDE1\uDDE3\uDDE8\uDDEF\uDDF3\uDDFA\uDECB\uDECD-\uDECF\uDEE0-\uDEE5\uDEE9\uDEF0\uDEF3])$/;
+    Qs = (e) => Xl.test(e);
+    Vl = /[^\x20-\x7F]/;
+    dt = Kl;
+    $l = { type: 0 };
+    Ql = { type: 1 };
+    Wo = { value: "", length: 0, queue: [], get root() {
+      return Wo;
+    } };
+    Jo = class {
+      #e = [];
+      #t = "";
+      #n = 0;
+      #o = [];
+      #r = [];
+      #i() {
+        let t = this.#t;
+        t !== "" && (this.#e.push(t), this.#n += t.length, this.#t = "");
+        for (let r of this.#r) this.#o.push(Math.min(r, this.#n));
+        this.#r.length = 0;
+      }
+      markPosition() {
+        if (this.#o.length + this.#r.length >= 2) throw new Error("There are too many 'cursor' in doc.");
+        this.#r.push(this.#n + this.#t.length);
+      }
+      write(t) {
+        this.#t += t;
+      }
+      trim() {
+        let { text: t, count: r } = En(this.#t);
+        return this.#t = t, this.#i(), r;
+      }
+      finish() {
+        return this.#i(), { text: this.#e.join(""), positions: this.#o };
+      }
+    };
+    tu = Jo;
+    nt = /* @__PURE__ */ Symbol("MODE_BREAK");
+    Ct = /* @__PURE__ */ Symbol("MODE_FLAT");
+    Go = /* @__PURE__ */ Symbol("DOC_FILL_PRINTED_LENGTH");
+    St = class extends Error {
+      name = "ArgExpansionBailout";
+    };
+    Jt = Zl;
+    me = (e, { originalText: t }) => {
+      let r = S(e);
+      if (Jt(t, r)) return true;
+      let n = It(e);
+      return n === r ? false : Jt(t, n);
+    };
+    em = B(["AnyTypeAnnotation", "ThisTypeAnnotation", "NumberTypeAnnotation", "VoidTypeAnnotation", "BooleanTypeAnnotation", "BigIntTypeAnnotation", "SymbolTypeAnnotation", "StringTypeAnnotation", "NeverTypeAnnotation", "UndefinedTypeAnnotation", "UnknownTypeAnnotation", "EmptyTypeAnnotation", "MixedTypeAnnotation"]);
+    Cn = em;
+    ru = B(["TSThisType", "NullLiteralTypeAnnotation", "BooleanLiteralTypeAnnotation", "StringLiteralTypeAnnotation", "BigIntLiteralTypeAnnotation", "NumberLiteralTypeAnnotation", "TSLiteralType", "TSTemplateLiteralType"]);
+    Fn = tm;
+    nm = ["it", "it.only", "it.skip", "describe", "describe.only", "describe.skip", "test", "test.only", "test.skip", "test.fixme", "test.step", "test.describe", "test.describe.only", "test.describe.skip", "test.describe.fixme", "test.describe.parallel", "test.describe.parallel.only", "test.describe.serial", "test.describe.serial.only", "skip", "xit", "xdescribe", "xtest", "fit", "fdescribe", "ftest"];
+    xn = um;
+    Yo = () => true;
+    cm = B(["DeclareClass", "DeclareComponent", "DeclareFunction", "DeclareHook", "DeclareVariable", "DeclareExportDeclaration", "DeclareExportAllDeclaration", "DeclareOpaqueType", "DeclareTypeAlias", "DeclareEnum", "DeclareInterface"]);
+    lm = (e) => {
+      let { node: t } = e;
+      return cm(t) ? e.parent.type !== "DeclareExportDeclaration" && !t.implicitDeclare : t.declare;
+    };
+    mm = B(["TSAbstractMethodDefinition", "TSAbstractPropertyDefinition", "TSAbstractAccessorProperty"]);
+    iu = (e) => e.type === "UnaryExpression" && e.operator === "!";
+    Dm = (e) => e.mark !== "commentBeforeArrow";
+    dm = /^[\$A-Z_a-z\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0561-\u0587\u05D0-\u05EA\u05F0-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u08A0-\u08B4\u08B6-\u08BD\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1877\u1880-\u1884\u1887-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C88\u1CE9-\u1CEC\u1CEE-\u1CF1\u1CF5\u1CF6\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2E2F\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312D\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FD5\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7AE\uA7B0-\uA7B7\uA7F7-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB65\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC][\$0-9A-Z_a-z\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0300-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u0483-\u0487\u048A-\u052F\u0531-\u0556\u0559\u0561-\u0587\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u05D0-\u05EA\u05F0-\u05F2\u0610-\u061A\u0620-\u0669\u066E-\u06D3\u06D5-\u06DC\u06DF-\u06E8\u06EA-\u06FC\u06FF\u0710-\u074A\u074D-\u07B1\u07C0-\u07F5\u07FA\u0800-\u082D\u0840-\u085B\u08A0-\u08B4\u08B6-\u08BD\u08D4-\u08E1\u08E3-\u0963\u0966-\u096F\u0971-\u0983\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BC-\u09C4\u09C7\u09C8\u09CB-\u09CE\u09D7\u09DC\u09DD\u09DF-\u09E3\u09E6-\u09F1\u0A01-\u0A03\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A59-\u0A5C\u0A5E\u0A66-\u0A75\u0A81-\u0A83\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABC-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AD0\u0AE0-\u0AE3\u0AE6-\u0AEF\u0AF9\u0B01-\u0B03\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3C-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B56\u0B57\u0B5C\u0B5D\u0B5F-\u0B63\u0B66-\u0B6F\u0B71\u0B82\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD0\u0BD7\u0BE6-\u0BEF\u0C00-\u0C03\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C58-\u0C5A\u0C60-\u0C63\u0C66-\u0C6F\u0C80-\u0C83\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBC-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CDE\u0CE0-\u0CE3\u0CE6-\u0CEF\u0CF1\u0CF2\u0D01-\u0D03\u0D05-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D-\u0D44\u0D46-\u0D48\u0D4A-\u0D4E\u0D54-\u0D57\u0D5F-\u0D63\u0D66-\u0D6F\u0D7A-\u0D7F\u0D82\u0D83\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E01-\u0E3A\u0E40-\u0E4E\u0E50-\u0E59\u0E81\u0E82\u0E84\u0E87\u0E88\u0E8A\u0E8D\u0E94-\u0E97\u0E99-\u0E9F\u0EA1-\u0EA3\u0EA5\u0EA7\u0EAA\u0EAB\u0EAD-\u0EB9\u0EBB-\u0EBD\u0EC0-\u0EC4\u0EC6\u0EC8-\u0ECD\u0ED0-\u0ED9\u0EDC-\u0EDF\u0F00\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E-\u0F47\u0F49-\u0F6C\u0F71-\u0F84\u0F86-\u0F97\u0F99-\u0FBC\u0FC6\u1000-\u1049\u1050-\u109D\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u135D-\u135F\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1714\u1720-\u1734\u1740-\u1753\u1760-\u176C\u176E-\u1770\u1772\u1773\u1780-\u17D3\u17D7\u17DC\u17DD\u17E0-\u17E9\u180B-\u180D\u1810-\u1819\u1820-\u1877\u1880-\u18AA\u18B0-\u18F5\u1900-\u191E\u1920-\u192B\u1930-\u193B\u1946-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u19D0-\u19D9\u1A00-\u1A1B\u1A20-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AA7\u1AB0-\u1ABD\u1B00-\u1B4B\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1BF3\u1C00-\u1C37\u1C40-\u1C49\u1C4D-\u1C7D\u1C80-\u1C88\u1CD0-\u1CD2\u1CD4-\u1CF6\u1CF8\u1CF9\u1D00-\u1DF5\u1DFB-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u200C\u200D\u203F\u2040\u2054\u2071\u207F\u2090-\u209C\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2102\u2107\u210A-\u2113\u2115\u2119-\u211D\u2124\u2126\u2128\u212A-\u212D\u212F-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D7F-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u2DE0-\u2DFF\u2E2F\u3005-\u3007\u3021-\u302F\u3031-\u3035\u3038-\u303C\u3041-\u3096\u3099\u309A\u309D-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312D\u3131-\u318E\u31A0-\u31BA\u31F0-\u31FF\u3400-\u4DB5\u4E00-\u9FD5\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA62B\uA640-\uA66F\uA674-\uA67D\uA67F-\uA6F1\uA717-\uA71F\uA722-\uA788\uA78B-\uA7AE\uA7B0-\uA7B7\uA7F7-\uA827\uA840-\uA873\uA880-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F7\uA8FB\uA8FD\uA900-\uA92D\uA930-\uA953\uA960-\uA97C\uA980-\uA9C0\uA9CF-\uA9D9\uA9E0-\uA9FE\uAA00-\uAA36\uAA40-\uAA4D\uAA50-\uAA59\uAA60-\uAA76\uAA7A-\uAAC2\uAADB-\uAADD\uAAE0-\uAAEF\uAAF2-\uAAF6\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB65\uAB70-\uABEA\uABEC\uABED\uABF0-\uABF9\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFE70-\uFE74\uFE76-\uFEFC\uFF10-\uFF19\uFF21-\uFF3A\uFF3F\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC]*$/;
+    Cm = (e) => dm.test(e);
+    au = Cm;
+    _t = Fm;
+    pu = Object.freeze({ character: "'", codePoint: 39 });
+    cu = Object.freeze({ character: '"', codePoint: 34 });
+    xm = Object.freeze({ preferred: pu, alternate: cu });
+    Am = Object.freeze({ preferred: cu, alternate: pu });
+    Tm = /\\(["'\\])|(["'])/g;
+    mu = gm;
+    ot = hm;
+    fu = (e) => e.type === "TSEnumMember";
+    Du = (e) => fu(e) ? "id" : "key";
+    vr = (e) => e[Du(e)];
+    yu = (e) => !fu(e) && e.computed;
+    Sm = ({ parser: e }) => e === "typescript" || e === "babel-ts" || e === "oxc-ts" || e === "yuku-ts";
+    bm = /* @__PURE__ */ new WeakMap();
+    km = B(["VoidTypeAnnotation", "TSVoidKeyword", "NullLiteralTypeAnnotation", "TSNullKeyword"]);
+    wm = B(["ObjectTypeAnnotation", "TSTypeLiteral", "GenericTypeAnnotation", "TSTypeReference"]);
+    Om = /* @__PURE__ */ new WeakSet();
+    xu = (e) => e.match((t) => t.type === "TSTypeAnnotation", (t, r) => (r === "returnType" || r === "typeAnnotation") && (t.type === "TSFunctionType" || t.type === "TSConstructorType")) ? "=>" : e.match((t) => t.type === "TSTypeAnnotation", (t, r) => r === "typeAnnotation" && (t.type === "TSJSDocNullableType" || t.type === "TSJSDocNonNullableType" || t.type === "TSTypePredicate")) || e.match((t) => t.type === "TypeAnnotation", (t, r) => r === "typeAnnotation" && t.type === "Identifier", (t, r) => r === "id" && t.type === "DeclareFunction") || e.match((t) => t.type === "TypeAnnotation", (t, r) => r === "typeAnnotation" && t.type === "Identifier", (t, r) => r === "id" && t.type === "DeclareHook") || e.match((t) => t.type === "TypeAnnotation", (t, r) => r === "bound" && t.type === "TypeParameter" && t.usesExtendsBound) ? "" : ":";
+    Mm = ({ node: e, key: t, parent: r }) => t === "value" && e.type === "FunctionExpression" && (r.type === "ObjectMethod" || r.type === "ClassMethod" || r.type === "ClassPrivateMethod" || r.type === "MethodDefinition" || r.type === "TSAbstractMethodDefinition" || r.type === "TSDeclareMethod" || r.type === "Property" && $e(r));
+    Ko = ({ node: e, parent: t }) => e.type === "ExpressionStatement" && t.type === "Program" && t.body.length === 1 && (Array.isArray(t.directives) && t.directives.length === 0 || !t.directives);
+    Nm = B(["ClassDeclaration", "ClassExpression", "DeclareClass", "DeclareInterface", "InterfaceDeclaration", "TSInterfaceDeclaration"]);
+    Tu = jm;
+    gu = vm;
+    hu = Rm;
+    Jm = /* @__PURE__ */ new WeakMap();
+    Su = /^[fx]?(?:describe|it|test)$/;
+    ti = [(e, t) => t === "properties" && e.type === "ObjectExpression", (e, t) => t === "arguments" && e.type === "CallExpression" && e.callee.type === "Identifier" && e.callee.name === "Component", (e, t) => t === "expression" && e.type === "Decorator"];
+    Lu = (e) => Hm(e) || Xm(e) || Vm(e) || Iu(e);
+    ni = 0;
+    ju = _u.bind(void 0, "html");
+    vu = _u.bind(void 0, "angular");
+    Qm = [{ test: Lu, print: wu }, { test: Mu, print: Ou }, { test: Nu, print: ju }, { test: ri, print: vu }, { test: Wu, print: Ru }].map(({ test: e, print: t }) => ({ test: e, print: Zm(t) }));
+    Ju = zm;
+    nf = /* @__PURE__ */ new Set(["range", "raw", "comments", "extra", "start", "end", "loc", "errors", "tokens", "trailingComma", "docblock", "__contentEnd"]);
+    Er = (e) => {
+      for (let t of e.quasis) delete t.value;
+    };
+    oi.ignoredProperties = nf;
+    of = /\*\/$/;
+    sf = /^\/\*\*?/;
+    $u = /^\s*(\/\*\*?(.|\r?\n)*?\*\/)/;
+    uf = /(^|\s+)\/\/([^\n\r]*)/g;
+    Xu = /^(\r?\n)+/;
+    af = /(?:^|\r?\n) *(@[^\n\r]*?) *\r?\n *(?![^\n\r@]*\/\/[^]*)([^\s@][^\n\r@]+?) *\r?\n/g;
+    Vu = /(?:^|\r?\n) *@(\S+) *([^\n\r]*)/g;
+    pf = /(\r?\n|^) *\* ?/g;
+    Qu = [];
+    ra = "format";
+    na = cf;
+    ff = /* @__PURE__ */ new WeakMap();
+    ui = class {
+      #e;
+      constructor(t) {
+        this.#e = new Set(t);
+      }
+      getLeadingWhitespaceCount(t) {
+        let r = this.#e, n = 0;
+        for (let o = 0; o < t.length && r.has(t.charAt(o)); o++) n++;
+        return n;
+      }
+      getTrailingWhitespaceCount(t) {
+        let r = this.#e, n = 0;
+        for (let o = t.length - 1; o >= 0 && r.has(t.charAt(o)); o--) n++;
+        return n;
+      }
+      getLeadingWhitespace(t) {
+        let r = this.getLeadingWhitespaceCount(t);
+        return t.slice(0, r);
+      }
+      getTrailingWhitespace(t) {
+        let r = this.getTrailingWhitespaceCount(t);
+        return t.slice(t.length - r);
+      }
+      hasLeadingWhitespace(t) {
+        return this.#e.has(t.charAt(0));
+      }
+      hasTrailingWhitespace(t) {
+        return this.#e.has(w(0, t, -1));
+      }
+      trimStart(t) {
+        let r = this.getLeadingWhitespaceCount(t);
+        return t.slice(r);
+      }
+      trimEnd(t) {
+        let r = this.getTrailingWhitespaceCount(t);
+        return t.slice(0, t.length - r);
+      }
+      trim(t) {
+        return this.trimEnd(this.trimStart(t));
+      }
+      split(t, r = false) {
+        let n = `[${si([...this.#e].join(""))}]+`, o = new RegExp(r ? `(${n})` : n);
+        return t.split(o);
+      }
+      hasWhitespaceCharacter(t) {
+        let r = this.#e;
+        return Array.prototype.some.call(t, (n) => r.has(n));
+      }
+      hasNonWhitespaceCharacter(t) {
+        let r = this.#e;
+        return Array.prototype.some.call(t, (n) => !r.has(n));
+      }
+      isWhitespaceOnly(t) {
+        let r = this.#e;
+        return Array.prototype.every.call(t, (n) => r.has(n));
+      }
+      #t(t) {
+        let r = Number.POSITIVE_INFINITY;
+        for (let n of t.split(`
+`)) {
+          if (n.length === 0) continue;
+          let o = this.getLeadingWhitespaceCount(n);
+          if (o === 0) return 0;
+          n.length !== o && o < r && (r = o);
+        }
+        return r === Number.POSITIVE_INFINITY ? 0 : r;
+      }
+      dedentString(t) {
+        let r = this.#t(t);
+        return r === 0 ? t : t.split(`
+`).map((n) => n.slice(r)).join(`
+`);
+      }
+    };
+    sa = ui;
+    dr = new sa(` 
+\r	`);
+    Cr = yf;
+    ai = class extends Error {
+      name = "UnexpectedNodeError";
+      constructor(t, r, n = "type") {
+        super(`Unexpected ${r} node ${n}: ${JSON.stringify(t[n])}.`), this.node = t;
+      }
+    };
+    it = ai;
+    Ef = 0;
+    pa = (e) => e.type === "BinaryExpression" && e.operator === "|";
+    Ff = B(["CallExpression", "OptionalCallExpression", "AssignmentExpression"]);
+    gf = /* @__PURE__ */ new WeakMap();
+    hf = (e) => e.type === "SequenceExpression";
+    If = 0.25;
+    kf = /* @__PURE__ */ new Set(["!", "-", "+", "~"]);
+    wf = B(["Identifier", "ThisExpression", "Super", "PrivateName", "PrivateIdentifier"]);
+    Jr = Lf;
+    jf = (e) => M(e) && se(e).length > 0;
+    ga = Rf;
+    Wf = ["require", "require.resolve", "require.resolve.paths", "import.meta.resolve"];
+    zf = Array.prototype.findLast ?? function(e) {
+      for (let t = this.length - 1; t >= 0; t--) {
+        let r = this[t];
+        if (e(r, t, this)) return r;
+      }
+    };
+    Zf = $t("findLast", function() {
+      if (Array.isArray(this)) return zf;
+    });
+    La = Zf;
+    Oa = tD;
+    Ma = ["properties", "indexers", "callProperties", "internalSlots"];
+    ja = B(["ClassProperty", "PropertyDefinition", "ClassPrivateProperty", "ClassAccessorProperty", "AccessorProperty", "TSAbstractPropertyDefinition", "TSAbstractAccessorProperty"]);
+    Ra = (e) => {
+      if (e.computed || e.typeAnnotation) return false;
+      let { type: t, name: r } = e.key;
+      return t === "Identifier" && (r === "static" || r === "get" || r === "set");
+    };
+    nD = B(["TSPropertySignature"]);
+    oD = Oa("heritageGroup");
+    iD = B(["TSInterfaceDeclaration", "DeclareInterface", "InterfaceDeclaration", "InterfaceTypeAnnotation"]);
+    aD = /* @__PURE__ */ new WeakMap();
+    Ua = (e, t, r) => Ft(e, t, r, "consequent");
+    qa = (e, t, r) => Ft(e, t, r, "alternate");
+    lD = B(["TSAsExpression", "TSTypeAssertion", "TSNonNullExpression", "TSInstantiationExpression", "TSSatisfiesExpression"]);
+    Ha = B(["FunctionExpression", "ArrowFunctionExpression"]);
+    za = (e, { originalText: t }) => xn(t, b(e));
+    DD = "use strict";
+    np = B(["ImportDeclaration", "ExportDefaultDeclaration", "ExportNamedDeclaration", "ExportAllDeclaration", "DeclareExportDeclaration", "DeclareExportAllDeclaration"]);
+    yD = B(["EnumBody", "EnumBooleanBody", "EnumNumberBody", "EnumBigIntBody", "EnumStringBody", "EnumSymbolBody"]);
+    ip = (e) => e.type === "ExportDefaultDeclaration" || e.type === "DeclareExportDeclaration" && e.default;
+    dD = B(["ClassDeclaration", "ComponentDeclaration", "FunctionDeclaration", "TSInterfaceDeclaration", "DeclareClass", "DeclareComponent", "DeclareFunction", "DeclareHook", "HookDeclaration", "TSDeclareFunction", "EnumDeclaration"]);
+    AD = (e) => {
+      let { attributes: t } = e;
+      if (t.length !== 1) return false;
+      let [r] = t, { type: n, key: o, value: i } = r;
+      return n === "ImportAttribute" && (o.type === "Identifier" && o.name === "type" || q(o) && o.value === "type") && q(i) && !x(r) && !x(o) && !x(i);
+    };
+    BD = /* @__PURE__ */ new Map([["AssignmentExpression", "right"], ["VariableDeclarator", "init"], ["ReturnStatement", "argument"], ["ThrowStatement", "argument"], ["UnaryExpression", "argument"], ["YieldExpression", "argument"], ["AwaitExpression", "argument"]]);
+    kD = /* @__PURE__ */ new Map([["AssignmentExpression", "right"], ["VariableDeclarator", "init"], ["ReturnStatement", "argument"], ["ThrowStatement", "argument"], ["UnaryExpression", "argument"], ["YieldExpression", "argument"], ["AwaitExpression", "argument"]]);
+    Ai = (e) => [O("("), m([y, e]), y, O(")")];
+    Mp = B(["MatchWildcardPattern", "MatchLiteralPattern", "MatchUnaryPattern", "MatchIdentifierPattern"]);
+    Ti = (e) => e === "" || e === T || e === d || e === y;
+    GD = B(["ArrayExpression", "JSXAttribute", "JSXElement", "JSXExpressionContainer", "JSXFragment", "ExpressionStatement", "NewExpression", "CallExpression", "OptionalCallExpression", "ConditionalExpression", "JsExpressionRoot", "MatchExpressionCase"]);
+    oy = B(["ClassMethod", "ClassPrivateMethod", "ClassProperty", "ClassAccessorProperty", "AccessorProperty", "TSAbstractAccessorProperty", "PropertyDefinition", "TSAbstractPropertyDefinition", "ClassPrivateProperty", "MethodDefinition", "TSAbstractMethodDefinition", "TSDeclareMethod"]);
+    sy = { experimental_avoidAstMutation: true, experimental_locForRangeFormat: { locStart: b, locEnd: It } };
+    Si = { features: sy, massageAstNode: oi, canAttachComment: Vi, handleComments: ds, isGap: Cs, willPrintOwnComments: Tu, embed: Ju, insertPragma: oa, printComment: ia, printPrettierIgnored: hi, print: hi, getVisitorKeys: un, isBlockComment: le, hasPrettierIgnore: Cr };
+    bi = [{ name: "JSON.stringify", type: "data", aceMode: "json", extensions: [".importmap"], filenames: ["package.json", "package-lock.json", "composer.json"], tmScope: "source.json", aliases: ["geojson", "jsonl", "sarif", "topojson"], codemirrorMode: "javascript", codemirrorMimeType: "application/json", parsers: ["json-stringify"], vscodeLanguageIds: ["json"], linguistLanguageId: 174 }, { name: "JSON", type: "data", aceMode: "json", extensions: [".json", ".4DForm", ".4DProject", ".avsc", ".geojson", ".gltf", ".har", ".ice", ".JSON-tmLanguage", ".json.example", ".mcmeta", ".sarif", ".slnlaunch", ".tact", ".tfstate", ".tfstate.backup", ".topojson", ".webapp", ".webmanifest", ".yy", ".yyp"], filenames: [".all-contributorsrc", ".arcconfig", ".auto-changelog", ".c8rc", ".htmlhintrc", ".imgbotconfig", ".nycrc", ".tern-config", ".tern-project", ".watchmanconfig", ".babelrc", ".jscsrc", ".jshintrc", ".jslintrc", ".swcrc"], tmScope: "source.json", aliases: ["geojson", "jsonl", "sarif", "topojson"], codemirrorMode: "javascript", codemirrorMimeType: "application/json", parsers: ["json"], vscodeLanguageIds: ["json"], linguistLanguageId: 174 }, { name: "JSON with Comments", type: "data", aceMode: "javascript", extensions: [".jsonc", ".code-snippets", ".code-workspace", ".sublime-build", ".sublime-color-scheme", ".sublime-commands", ".sublime-completions", ".sublime-keymap", ".sublime-macro", ".sublime-menu", ".sublime-mousemap", ".sublime-project", ".sublime-settings", ".sublime-theme", ".sublime-workspace", ".sublime_metrics", ".sublime_session"], filenames: [], tmScope: "source.json.comments", aliases: ["jsonc"], codemirrorMode: "javascript", codemirrorMimeType: "text/javascript", group: "JSON", parsers: ["jsonc"], vscodeLanguageIds: ["jsonc"], linguistLanguageId: 423 }, { name: "JSON5", type: "data", aceMode: "json5", extensions: [".json5"], tmScope: "source.js", codemirrorMode: "javascript", codemirrorMimeType: "application/json", parsers: ["json5"], vscodeLanguageIds: ["json5"], linguistLanguageId: 175 }];
+    yo = {};
+    Co(yo, { estree: () => Si, "estree-json": () => py });
+    Hp = { JsonRoot: ["node"], ArrayExpression: ["elements"], ObjectExpression: ["properties"], ObjectProperty: ["key", "value"], UnaryExpression: ["argument"], NullLiteral: [], BooleanLiteral: [], StringLiteral: [], NumericLiteral: [], Identifier: [], TemplateLiteral: ["quasis"], TemplateElement: [] };
+    uy = sn(Hp);
+    Xp = uy;
+    ay = /* @__PURE__ */ new Set(["start", "end", "loc", "comments", "leadingComments", "trailingComments", "innerComments", "errors", "range", "tokens"]);
+    Pi.ignoredProperties = ay;
+    py = { massageAstNode: Pi, print: Ii, getVisitorKeys: Xp };
+    hr = { bracketSpacing: { category: "Common", type: "boolean", default: true, description: "Print spaces between brackets.", oppositeDescription: "Do not print spaces between brackets." }, objectWrap: { category: "Common", type: "choice", default: "preserve", description: "How to wrap object literals.", choices: [{ value: "preserve", description: "Keep as multi-line, if there is a newline between the opening brace and first property." }, { value: "collapse", description: "Fit to a single line when possible." }] }, singleQuote: { category: "Common", type: "boolean", default: false, description: "Use single quotes instead of double quotes." }, proseWrap: { category: "Common", type: "choice", default: "preserve", description: "How to wrap prose.", choices: [{ value: "always", description: "Wrap prose if it exceeds the print width." }, { value: "never", description: "Do not wrap prose." }, { value: "preserve", description: "Wrap prose as-is." }] }, bracketSameLine: { category: "Common", type: "boolean", default: false, description: "Put > of opening tags on the last line instead of on a new line." }, singleAttributePerLine: { category: "Common", type: "boolean", default: false, description: "Enforce single attribute per line in HTML, Vue and JSX." } };
+    vt = "JavaScript";
+    cy = { arrowParens: { category: vt, type: "choice", default: "always", description: "Include parentheses around a sole arrow function parameter.", choices: [{ value: "always", description: "Always include parens. Example: `(x) => x`" }, { value: "avoid", description: "Omit parens when possible. Example: `x => x`" }] }, bracketSameLine: hr.bracketSameLine, objectWrap: hr.objectWrap, bracketSpacing: hr.bracketSpacing, jsxBracketSameLine: { category: vt, type: "boolean", description: "Put > on the last line instead of at a new line.", deprecated: "2.4.0" }, semi: { category: vt, type: "boolean", default: true, description: "Print semicolons.", oppositeDescription: "Do not print semicolons, except at the beginning of lines which may need them." }, experimentalOperatorPosition: { category: vt, type: "choice", default: "end", description: "Where to print operators when binary expressions wrap lines.", choices: [{ value: "start", description: "Print operators at the start of new lines." }, { value: "end", description: "Print operators at the end of previous lines." }] }, experimentalTernaries: { category: vt, type: "boolean", default: false, description: "Use curious ternaries, with the question mark after the condition.", oppositeDescription: "Default behavior of ternaries; keep question marks on the same line as the consequent." }, singleQuote: hr.singleQuote, jsxSingleQuote: { category: vt, type: "boolean", default: false, description: "Use single quotes in JSX." }, quoteProps: { category: vt, type: "choice", default: "as-needed", description: "Change when properties in objects are quoted.", choices: [{ value: "as-needed", description: "Only add quotes around object properties where required." }, { value: "consistent", description: "If at least one property in an object requires quotes, quote all properties." }, { value: "preserve", description: "Respect the input use of quotes in object properties." }] }, trailingComma: { category: vt, type: "choice", default: "all", description: "Print trailing commas wherever possible when multi-line.", choices: [{ value: "all", description: "Trailing commas wherever possible (including function arguments)." }, { value: "es5", description: "Trailing commas where valid in ES5 (objects, arrays, etc.)" }, { value: "none", description: "No trailing commas." }] }, singleAttributePerLine: hr.singleAttributePerLine };
+    Kp = cy;
+    ly = { ...Bi, ...yo };
+    my = [...Mi, ...bi];
+  }
+});
+init_estree();
+export {
+  $p as default,
+  my as languages,
+  Kp as options,
+  ly as printers
+};
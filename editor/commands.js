@@ -0,0 +1,162 @@
+import { fuzzyMatch } from './fuzzy.js';
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+const MAX_RECENT = 12;
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+  PageUp: 'PgUp',
+  PageDown: 'PgDn',
+};
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+    this.recent = [];
+  }
+
+  async init() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['recentCommands'], (result) => {
+        this.recent = Array.isArray(result.recentCommands) ? result.recentCommands : [];
+        resolve();
+      });
+    });
+  }
+
+  register(command) {
+    this.commands.set(command.id, {
+      category: '',
+      icon: '⚡',
+      keybinding: null,
+      menu: null,
+      when: null,
+      checked: null,
+      ...command,
+    });
+  }
+
+  get(id) {
+    return this.commands.get(id) || null;
+  }
+
+  getAll() {
+    return [...this.commands.values()];
+  }
+
+  getMenu(menuName) {
+    return this.getAll().filter((command) => command.menu === menuName);
+  }
+
+  isEnabled(command) {
+    return !command.when || Boolean(command.when());
+  }
+
+  isChecked(command) {
+    return Boolean(command.checked && command.checked());
+  }
+
+  getLabel(command) {
+    return command.category ? `${command.category}: ${command.title}` : command.title;
+  }
+
+  async execute(id) {
+    const command = this.get(id);
+    if (!command || !this.isEnabled(command)) return false;
+
+    this.recent = [id, ...this.recent.filter((item) => item !== id)].slice(0, MAX_RECENT);
+    chrome.storage.local.set({ recentCommands: this.recent });
+    await command.run();
+    return true;
+  }
+
+  search(query) {
+    const q = query.trim();
+    const recentRank = (id) => {
+      const idx = this.recent.indexOf(id);
+      return idx === -1 ? Infinity : idx;
+    };
+
+    const results = [];
+    this.getAll().forEach((command) => {
+      if (!this.isEnabled(command)) return;
+
+      const label = this.getLabel(command);
+      const match = fuzzyMatch(q, label);
+      if (!match) return;
+
+      const rank = recentRank(command.id);
+      const recentBonus = rank === Infinity ? 0 : (MAX_RECENT - rank) * 2;
+      results.push({ command, label, positions: match.positions, score: match.score + recentBonus, rank });
+    });
+
+    if (!q) {
+      return results.sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label));
+    }
+    return results.sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+  }
+
+  formatKeybinding(keybinding) {
+    if (!keybinding) return '';
+
+    const parts = keybinding.split('-');
+    const key = parts.pop();
+    const keyLabel = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    const modifiers = parts.map((part) => {
+      if (part === 'Mod') return IS_MAC ? '⌘' : 'Ctrl';
+      if (part === 'Shift') return IS_MAC ? '⇧' : 'Shift';
+      if (part === 'Alt') return IS_MAC ? '⌥' : 'Alt';
+      if (part === 'Ctrl') return IS_MAC ? '⌃' : 'Ctrl';
+      return part;
+    });
+
+    return IS_MAC ? [...modifiers, keyLabel].join('') : [...modifiers, keyLabel].join('+');
+  }
+
+  matchesKeyEvent(keybinding, event) {
+    const parts = keybinding.split('-');
+    const key = parts.pop();
+    const wantsMod = parts.includes('Mod');
+    const wantsCtrl = parts.includes('Ctrl');
+
+    // fora do macOS, Mod e Ctrl são a mesma tecla
+    if (IS_MAC) {
+      if (wantsMod !== event.metaKey || wantsCtrl !== event.ctrlKey) return false;
+    } else if ((wantsMod || wantsCtrl) !== event.ctrlKey) {
+      return false;
+    }
+    if (parts.includes('Shift') !== event.shiftKey) return false;
+    if (parts.includes('Alt') !== event.altKey) return false;
+
+    if (key.length === 1) {
+      const code = /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : null;
+      return event.key.toLowerCase() === key.toLowerCase() || (code !== null && event.code === code);
+    }
+    return event.key === key || (key === 'Space' && event.key === ' ');
+  }
+
+  findByKeyEvent(event) {
+    return this.getAll().find((command) => (
+      command.keybinding && this.matchesKeyEvent(command.keybinding, event)
+    )) || null;
+  }
+
+  toKeymap() {
+    return this.getAll()
+      .filter((command) => command.keybinding)
+      .map((command) => ({
+        key: command.keybinding,
+        run: () => {
+          if (!this.isEnabled(command)) return false;
+          this.execute(command.id);
+          return true;
+        },
+      }));
+  }
+}
+
+export const commands = new CommandRegistry();
@@ -0,0 +1,257 @@
+import { EditorState } from '@codemirror/state';
+import { autocompletion, snippetCompletion } from '@codemirror/autocomplete';
+import { fileTree } from './fileTree.js';
+import { JSON_SCHEMAS } from './jsonSchemas.js';
+
+const MAX_WORDS_DOC_LENGTH = 500000;
+const MAX_WORD_OPTIONS = 300;
+const WORD_PATTERN = /[A-Za-z_$][\w$]{2,}/g;
+const IMPORT_PATH_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|@import\s+(?:url\()?)(['"])[^'"\n]*$/;
+
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+function normalizePath(path) {
+  const parts = [];
+  path.split('/').forEach((part) => {
+    if (!part || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+// Varre o JSON até o cursor e devolve a pilha de objetos/arrays abertos,
+// se o cursor está numa chave ou num valor e onde começa a string atual.
+function scanJson(text) {
+  const stack = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const top = stack[stack.length - 1];
+
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) {
+        return { stack, stringFrom: i + 1 };
+      }
+      if (top?.type === 'object' && top.expect === 'key') {
+        top.key = text.slice(i + 1, end);
+        top.keys.add(top.key);
+      }
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '{' || ch === '[') {
+      const name = top ? (top.type === 'object' ? top.key : '[]') : null;
+      stack.push({ type: ch === '{' ? 'object' : 'array', name, key: null, expect: 'key', keys: new Set() });
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ':' && top?.type === 'object') {
+      top.expect = 'value';
+    } else if (ch === ',' && top?.type === 'object') {
+      top.expect = 'key';
+      top.key = null;
+    }
+    i += 1;
+  }
+
+  return { stack, stringFrom: -1 };
+}
+
+function resolveSchema(schema, stack) {
+  let node = schema;
+  for (const frame of stack.slice(1)) {
+    node = frame.name === '[]' ? node?.items : node?.properties?.[frame.name];
+    if (!node) return null;
+  }
+  return node;
+}
+
+function keyTemplate(name, schema) {
+  const key = JSON.stringify(name);
+  if (schema?.type === 'object') return `${key}: {\n\t\${}\n}`;
+  if (schema?.type === 'array') return `${key}: [\${}]`;
+  if (schema?.type === 'string') return `${key}: "\${}"`;
+  return `${key}: \${}`;
+}
+
+class Completion {
+  constructor() {
+    this.editor = null;
+    this.wordCache = new WeakMap();
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+  }
+
+  getExtensions() {
+    return [
+      autocompletion({ maxRenderedOptions: 100 }),
+      EditorState.languageData.of(() => [
+        { autocomplete: (context) => this.completeJsonSchema(context) },
+        { autocomplete: (context) => this.completeImportPath(context) },
+        { autocomplete: (context) => this.completeOpenTabWords(context) },
+      ]),
+    ];
+  }
+
+  getTab(context) {
+    if (!this.editor || !context.view) return null;
+    return this.editor.getGroupForView(context.view)?.activeTab || null;
+  }
+
+  getWords(doc) {
+    if (doc.length > MAX_WORDS_DOC_LENGTH) return [];
+    let words = this.wordCache.get(doc);
+    if (!words) {
+      words = new Set(doc.toString().match(WORD_PATTERN));
+      this.wordCache.set(doc, words);
+    }
+    return words;
+  }
+
+  // palavras de todas as abas abertas, com as do arquivo atual primeiro
+  completeOpenTabWords(context) {
+    const word = context.matchBefore(/[\w$]+/);
+    if (!word || (word.from === word.to && !context.explicit)) return null;
+
+    const typed = word.text;
+    const currentTab = this.getTab(context);
+    const docs = [context.state.doc];
+    this.editor?.openTabs.forEach((tab) => {
+      if (tab !== currentTab && !tab.viewer && tab.state) docs.push(tab.state.doc);
+    });
+
+    const seen = new Set([typed]);
+    const options = [];
+    docs.forEach((doc, index) => {
+      for (const candidate of this.getWords(doc)) {
+        if (options.length >= MAX_WORD_OPTIONS) return;
+        if (seen.has(candidate)) continue;
+        seen.add(candidate);
+        options.push({
+          label: candidate,
+          type: 'text',
+          detail: index === 0 ? undefined : 'open tabs',
+          boost: index === 0 ? -1 : -2,
+        });
+      }
+    });
+
+    return { from: word.from, options, validFor: /^[\w$]*$/ };
+  }
+
+  // chaves e valores de package.json, tsconfig.json e manifest.json
+  completeJsonSchema(context) {
+    const tab = this.getTab(context);
+    const schema = tab && JSON_SCHEMAS[tab.name];
+    if (!schema) return null;
+
+    const { stack, stringFrom } = scanJson(context.state.sliceDoc(0, context.pos));
+    const top = stack[stack.length - 1];
+    if (!top) return null;
+
+    const node = resolveSchema(schema, stack);
+    const inString = stringFrom !== -1;
+
+    if (top.type === 'object' && top.expect === 'key') {
+      const properties = Object.entries(node?.properties || {}).filter(([name]) => !top.keys.has(name));
+      if (!properties.length) return null;
+
+      if (inString) {
+        return {
+          from: stringFrom,
+          options: properties.map(([name, property]) => ({ label: name, type: 'property', info: property.description })),
+          validFor: /^[^"]*$/,
+        };
+      }
+
+      const word = context.matchBefore(/[\w$-]*/);
+      if (word.from === word.to && !context.explicit) return null;
+      return {
+        from: word.from,
+        options: properties.map(([name, property]) => snippetCompletion(keyTemplate(name, property), {
+          label: name,
+          type: 'property',
+          info: property.description,
+        })),
+      };
+    }
+
+    const property = top.type === 'array' ? node?.items : node?.properties?.[top.key];
+    const values = property?.values || [];
+    if (!values.length) return null;
+
+    if (inString) {
+      return {
+        from: stringFrom,
+        options: values.filter((value) => typeof value === 'string').map((value) => ({ label: value, type: 'enum' })),
+        validFor: /^[^"]*$/,
+      };
+    }
+
+    const word = context.matchBefore(/[\w$-]*/);
+    if (word.from === word.to && !context.explicit) return null;
+    return {
+      from: word.from,
+      options: values.map((value) => ({ label: JSON.stringify(value), type: 'enum' })),
+    };
+  }
+
+  // caminhos relativos dentro de strings de import, require e @import
+  async completeImportPath(context) {
+    const tab = this.getTab(context);
+    const match = context.matchBefore(IMPORT_PATH_PATTERN);
+    if (!tab || !match) return null;
+
+    const quote = match.text.search(/['"][^'"]*$/);
+    const typed = match.text.slice(quote + 1);
+    if (!typed.startsWith('.')) return null;
+
+    const slash = typed.lastIndexOf('/');
+    const from = match.from + quote + 1 + slash + 1;
+    if (slash === -1) {
+      return {
+        from: match.from + quote + 1,
+        options: [{ label: './', type: 'folder' }, { label: '../', type: 'folder' }],
+      };
+    }
+
+    const directory = normalizePath(`${dirname(tab.path)}/${typed.slice(0, slash)}`);
+    const prefix = directory ? `${directory}/` : '';
+    const files = await fileTree.getAllFiles();
+    if (context.aborted) return null;
+
+    const entries = new Map();
+    files.forEach((file) => {
+      if (!file.path.startsWith(prefix) || file.path === tab.path) return;
+      const rest = file.path.slice(prefix.length);
+      const separator = rest.indexOf('/');
+      const name = separator === -1 ? rest : rest.slice(0, separator);
+      if (!entries.has(name) || separator !== -1) {
+        entries.set(name, separator !== -1);
+      }
+    });
+
+    const options = [...entries].map(([name, isDirectory]) => (isDirectory
+      ? { label: `${name}/`, type: 'folder', boost: 1 }
+      : { label: name, type: 'file' }));
+    if (!options.length) return null;
+
+    return { from, options, validFor: /^[^/'"]*$/ };
+  }
+}
+
+export const completion = new Completion();
@@ -0,0 +1,348 @@
+import { linter, lintGutter, forceLinting } from '@codemirror/lint';
+import { ensureSyntaxTree, syntaxTree } from '@codemirror/language';
+import { eslintConfig, TYPESCRIPT_PARSER } from './eslintConfig.js';
+import { stripJsonc } from './jsonc.js';
+
+const LINT_DELAY = 500;
+const REFRESH_DELAY = 600;
+const MAX_SYNTAX_ERRORS = 100;
+const SEVERITY_ICONS = { error: '⊗', warning: '⚠', info: 'ℹ' };
+
+const ESLINT_EXTENSIONS = new Set(['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts']);
+const SYNTAX_EXTENSIONS = new Set(['css', 'scss', 'less', 'py', 'python']);
+// arquivos JSON que aceitam comentários e vírgulas finais
+const JSONC_FILES = /^(?:[tj]sconfig(?:\..+)?\.json|\.eslintrc(?:\.json)?|\.babelrc|settings\.json|.+\.jsonc|.+\.code-snippets)$/i;
+
+function getLintKind(path) {
+  const name = path.split('/').pop();
+  if (JSONC_FILES.test(name)) return 'jsonc';
+  const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (ext === 'json') return 'json';
+  if (ESLINT_EXTENSIONS.has(ext)) return 'eslint';
+  if (SYNTAX_EXTENSIONS.has(ext)) return 'syntax';
+  return null;
+}
+
+// nós de erro do Lezer; erros vizinhos viram um só
+function syntaxDiagnostics(state) {
+  const tree = ensureSyntaxTree(state, state.doc.length, 1000) || syntaxTree(state);
+  const diagnostics = [];
+  let lastEnd = -1;
+
+  tree.iterate({
+    enter: (node) => {
+      if (!node.type.isError || diagnostics.length >= MAX_SYNTAX_ERRORS) return;
+      if (node.from <= lastEnd) return;
+
+      let { from, to } = node;
+      const line = state.doc.lineAt(from);
+      const token = state.sliceDoc(from, Math.min(to, line.to)).trim();
+      if (from === to) {
+        if (to < line.to) to += 1;
+        else if (from > line.from) from -= 1;
+      }
+      diagnostics.push({
+        from,
+        to,
+        severity: 'error',
+        source: 'syntax',
+        message: token ? `Syntax error: unexpected "${token.slice(0, 40)}"` : 'Syntax error',
+      });
+      lastEnd = Math.max(node.to, to);
+    },
+  });
+  return diagnostics;
+}
+
+// posição do erro do JSON.parse ("at position N" ou "line L column C")
+function jsonErrorPosition(err, doc) {
+  const position = /at position (\d+)/.exec(err.message);
+  if (position) return Math.min(Number(position[1]), doc.length);
+  const lineColumn = /line (\d+) column (\d+)/.exec(err.message);
+  if (lineColumn) {
+    const line = doc.line(Math.min(Number(lineColumn[1]), doc.lines));
+    return Math.min(line.from + Number(lineColumn[2]) - 1, line.to);
+  }
+  return doc.length;
+}
+
+function jsonDiagnostics(state, allowComments) {
+  const text = state.doc.toString();
+  if (!text.trim()) return [];
+  try {
+    JSON.parse(allowComments ? stripJsonc(text) : text);
+    return [];
+  } catch (err) {
+    const from = jsonErrorPosition(err, state.doc);
+    return [{
+      from,
+      to: Math.min(from + 1, state.doc.length),
+      severity: 'error',
+      source: 'json',
+      message: err.message.replace(/^JSON\.parse: /, ''),
+    }];
+  }
+}
+
+function toPosition(doc, line, column) {
+  const lineInfo = doc.line(Math.max(1, Math.min(line, doc.lines)));
+  return Math.min(lineInfo.from + Math.max(0, column - 1), lineInfo.to);
+}
+
+class Diagnostics {
+  constructor() {
+    this.editor = null;
+    this.results = new WeakMap();
+    this.problems = new Map();
+    this.entries = [];
+    this.linter = null;
+    this.typescriptParser = null;
+    this.refreshTimer = null;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+
+    document.getElementById('problemsList')?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-problem-index]');
+      const entry = this.entries[Number(item?.dataset.problemIndex)];
+      if (entry) {
+        this.editor.openFile(entry.tab.handle, entry.tab.path, { line: entry.line, column: entry.column });
+      }
+    });
+    document.getElementById('problemsStatus')?.addEventListener('click', () => {
+      this.editor.showSidebarView('problems');
+    });
+    this.render();
+  }
+
+  getExtensions() {
+    return [
+      linter((view) => this.lintView(view), { delay: LINT_DELAY }),
+      lintGutter(),
+    ];
+  }
+
+  lintView(view) {
+    const tab = this.editor?.getGroupForView(view)?.activeTab;
+    if (!tab || tab.viewer) return [];
+    return this.lint(tab, view.state);
+  }
+
+  // o resultado fica guardado por documento, então abas divididas e o painel reaproveitam a análise
+  lint(tab, state) {
+    const kind = getLintKind(tab.path);
+    const cached = this.results.get(state.doc);
+    if (cached?.path === tab.path) return cached.promise;
+
+    const promise = this.compute(kind, tab.path, state)
+      .catch((err) => {
+        console.error('Lint failed:', err);
+        return [];
+      })
+      .then((diagnostics) => {
+        if (this.editor?.openTabs.includes(tab) && tab.state.doc === state.doc) {
+          this.problems.set(tab, { doc: state.doc, diagnostics });
+          this.render();
+        }
+        return diagnostics;
+      });
+    this.results.set(state.doc, { path: tab.path, promise });
+    return promise;
+  }
+
+  async compute(kind, path, state) {
+    switch (kind) {
+      case 'eslint':
+        return this.eslintDiagnostics(path, state);
+      case 'syntax':
+        return syntaxDiagnostics(state);
+      case 'json':
+      case 'jsonc':
+        return jsonDiagnostics(state, kind === 'jsonc');
+      default:
+        return [];
+    }
+  }
+
+  async loadLinter() {
+    if (!this.linter) {
+      this.linter = import('eslint-linter-browserify').then(({ Linter }) => {
+        const instance = new Linter({ configType: 'eslintrc' });
+        return { instance, rules: instance.getRules() };
+      });
+      this.linter.catch(() => {
+        this.linter = null;
+      });
+    }
+    return this.linter;
+  }
+
+  // o parser do typescript-eslint traz o compilador do TypeScript inteiro; só é baixado no primeiro arquivo TS
+  async loadTypescriptParser() {
+    if (!this.typescriptParser) {
+      this.typescriptParser = Promise.all([this.loadLinter(), import('process')])
+        .then(async ([{ instance }, { default: process }]) => {
+          // o typescript-estree lê process.env e process.cwd() a cada análise
+          globalThis.process = globalThis.process || process;
+          const { parseForESLint } = await import('@typescript-eslint/parser');
+          instance.defineParser(TYPESCRIPT_PARSER, { parseForESLint });
+        });
+      this.typescriptParser.catch(() => {
+        this.typescriptParser = null;
+      });
+    }
+    return this.typescriptParser;
+  }
+
+  async eslintDiagnostics(path, state) {
+    const { instance, rules } = await this.loadLinter();
+    const config = await eslintConfig.getLinterConfig(path, rules);
+    if (config.parser === TYPESCRIPT_PARSER) {
+      await this.loadTypescriptParser();
+    }
+    const { doc } = state;
+    let messages;
+    try {
+      messages = instance.verify(doc.toString(), config, { filename: path });
+    } catch (err) {
+      return [{ from: 0, to: 0, severity: 'warning', source: 'eslint', message: `ESLint configuration error: ${err.message}` }];
+    }
+
+    return messages.map((message) => {
+      const from = toPosition(doc, message.line || 1, message.column || 1);
+      let to = message.endLine ? toPosition(doc, message.endLine, message.endColumn || 1) : from;
+      if (to <= from) to = Math.min(from + 1, doc.lineAt(from).to);
+      return {
+        from,
+        to: Math.max(from, to),
+        severity: message.severity === 2 ? 'error' : 'warning',
+        source: 'eslint',
+        message: message.ruleId ? `${message.message} (${message.ruleId})` : message.message,
+      };
+    });
+  }
+
+  // também analisa as abas abertas que não estão visíveis, para o painel Problems
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+  }
+
+  refresh() {
+    clearTimeout(this.refreshTimer);
+    if (!this.editor) return;
+    const openTabs = this.editor.openTabs;
+    [...this.problems.keys()].forEach((tab) => {
+      if (!openTabs.includes(tab) || tab.viewer) this.problems.delete(tab);
+    });
+    openTabs.forEach((tab) => {
+      if (!tab.viewer && tab.state) this.lint(tab, tab.state);
+    });
+    this.render();
+  }
+
+  // descarta os resultados guardados (por exemplo, depois de salvar uma configuração do ESLint)
+  relintAll() {
+    this.results = new WeakMap();
+    this.editor?.groups.forEach((group) => {
+      if (group.view) forceLinting(group.view);
+    });
+    this.refresh();
+  }
+
+  getCounts() {
+    let errors = 0;
+    let warnings = 0;
+    this.problems.forEach(({ diagnostics }) => {
+      diagnostics.forEach((diagnostic) => {
+        if (diagnostic.severity === 'error') errors += 1;
+        else warnings += 1;
+      });
+    });
+    return { errors, warnings };
+  }
+
+  render() {
+    const { errors, warnings } = this.getCounts();
+    const status = document.getElementById('problemsStatus');
+    if (status) {
+      status.textContent = `${SEVERITY_ICONS.error} ${errors} ${SEVERITY_ICONS.warning} ${warnings}`;
+      status.title = `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+    }
+    this.renderList();
+  }
+
+  renderList() {
+    const list = document.getElementById('problemsList');
+    if (!list) return;
+    list.innerHTML = '';
+    this.entries = [];
+
+    const files = [...this.problems.entries()]
+      .filter(([, { diagnostics }]) => diagnostics.length)
+      .sort(([a], [b]) => a.path.localeCompare(b.path));
+    if (!files.length) {
+      const empty = document.createElement('div');
+      empty.className = 'outline-empty';
+      empty.textContent = 'No problems have been detected in the open files.';
+      list.appendChild(empty);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    files.forEach(([tab, { doc, diagnostics }]) => {
+      const header = document.createElement('div');
+      header.className = 'search-file-header';
+      header.title = tab.path;
+
+      const name = document.createElement('span');
+      name.className = 'search-file-name';
+      name.textContent = tab.name;
+
+      const dir = document.createElement('span');
+      dir.className = 'search-file-dir';
+      dir.textContent = tab.path.split('/').slice(0, -1).join('/');
+
+      const count = document.createElement('span');
+      count.className = 'search-file-count';
+      count.textContent = String(diagnostics.length);
+
+      header.appendChild(name);
+      header.appendChild(dir);
+      header.appendChild(count);
+      fragment.appendChild(header);
+
+      [...diagnostics].sort((a, b) => a.from - b.from).forEach((diagnostic) => {
+        const line = doc.lineAt(Math.min(diagnostic.from, doc.length));
+        const entry = { tab, line: line.number, column: diagnostic.from - line.from + 1 };
+        this.entries.push(entry);
+
+        const item = document.createElement('div');
+        item.className = 'problem-item';
+        item.dataset.problemIndex = String(this.entries.length - 1);
+        item.title = diagnostic.message;
+
+        const icon = document.createElement('span');
+        icon.className = `problem-icon problem-${diagnostic.severity}`;
+        icon.textContent = SEVERITY_ICONS[diagnostic.severity] || SEVERITY_ICONS.info;
+
+        const message = document.createElement('span');
+        message.className = 'problem-message';
+        message.textContent = diagnostic.message;
+
+        const position = document.createElement('span');
+        position.className = 'outline-line';
+        position.textContent = `Ln ${entry.line}, Col ${entry.column}`;
+
+        item.appendChild(icon);
+        item.appendChild(message);
+        item.appendChild(position);
+        fragment.appendChild(item);
+      });
+    });
+    list.appendChild(fragment);
+  }
+}
+
+export const diagnostics = new Diagnostics();
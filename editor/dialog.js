@@ -0,0 +1,100 @@
+class Dialog {
+  constructor() {
+    this.overlay = null;
+    this.pending = null;
+  }
+
+  init() {
+    this.overlay = document.getElementById('dialogOverlay');
+    if (!this.overlay) return;
+
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) {
+        this.close(this.pending?.cancelValue);
+      }
+    });
+
+    this.overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.close(this.pending?.cancelValue);
+      }
+    });
+  }
+
+  show({ title, message = '', detail = [], body = null, buttons = [], cancelValue = 'cancel' }) {
+    if (!this.overlay) {
+      return Promise.resolve(cancelValue);
+    }
+
+    if (this.pending) {
+      this.close(this.pending.cancelValue);
+    }
+
+    document.getElementById('dialogTitle').textContent = title;
+    document.getElementById('dialogMessage').textContent = message;
+
+    const detailEl = document.getElementById('dialogDetail');
+    detailEl.innerHTML = '';
+    detail.forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      detailEl.appendChild(item);
+    });
+
+    const bodyEl = document.getElementById('dialogBody');
+    bodyEl.innerHTML = '';
+    if (body) {
+      bodyEl.appendChild(body);
+    }
+    this.overlay.querySelector('.dialog')?.classList.toggle('dialog-wide', Boolean(body));
+
+    const buttonsEl = document.getElementById('dialogButtons');
+    buttonsEl.innerHTML = '';
+    let primaryButton = null;
+    buttons.forEach((def) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = def.primary ? 'btn-confirm' : 'btn-cancel';
+      button.textContent = def.label;
+      button.addEventListener('click', () => this.close(def.value));
+      buttonsEl.appendChild(button);
+      if (def.primary) primaryButton = button;
+    });
+
+    this.overlay.classList.remove('hidden');
+    (primaryButton || buttonsEl.lastElementChild)?.focus();
+
+    return new Promise((resolve) => {
+      this.pending = { resolve, cancelValue };
+    });
+  }
+
+  close(value) {
+    if (!this.pending) return;
+    const { resolve } = this.pending;
+    this.pending = null;
+    this.overlay.classList.add('hidden');
+    resolve(value);
+  }
+
+  confirmUnsavedChanges(tabs) {
+    const title = tabs.length === 1
+      ? `Do you want to save the changes you made to ${tabs[0].name}?`
+      : `Do you want to save the changes to the following ${tabs.length} files?`;
+
+    return this.show({
+      title,
+      message: "Your changes will be lost if you don't save them.",
+      detail: tabs.length === 1 ? [] : tabs.map((tab) => tab.path),
+      buttons: [
+        { label: "Don't Save", value: 'discard' },
+        { label: 'Cancel', value: 'cancel' },
+        { label: tabs.length === 1 ? 'Save' : 'Save All', value: 'save', primary: true },
+      ],
+    });
+  }
+}
+
+export const dialog = new Dialog();
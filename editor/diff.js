@@ -0,0 +1,162 @@
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  const middle = myersDiff(a.slice(start, endA), b.slice(start, endB));
+  middle.forEach((op) => {
+    ops.push({
+      ...op,
+      oldLine: op.oldLine === null ? null : op.oldLine + start,
+      newLine: op.newLine === null ? null : op.newLine + start,
+    });
+  });
+
+  for (let i = 0; i < a.length - endA; i++) {
+    ops.push({ type: 'equal', text: a[endA + i], oldLine: endA + i + 1, newLine: endB + i + 1 });
+  }
+
+  return ops;
+}
+
+const MAX_EDIT_DISTANCE = 2000;
+
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return [
+    ...a.map((text, i) => ({ type: 'removed', text, oldLine: i + 1, newLine: null })),
+    ...b.map((text, i) => ({ type: 'added', text, oldLine: null, newLine: i + 1 })),
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      ops.unshift({ type: 'equal', text: a[x], oldLine: x + 1, newLine: y + 1 });
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        y -= 1;
+        ops.unshift({ type: 'added', text: b[y], oldLine: null, newLine: y + 1 });
+      } else {
+        x -= 1;
+        ops.unshift({ type: 'removed', text: a[x], oldLine: x + 1, newLine: null });
+      }
+    }
+  }
+
+  return ops;
+}
+
+export function createDiffLine(kind, lineNumber, text) {
+  const row = document.createElement('div');
+  row.className = `diff-line diff-line-${kind}`;
+
+  const gutter = document.createElement('span');
+  gutter.className = 'diff-line-number';
+  const prefix = { removed: '-', added: '+', equal: ' ' }[kind] || ' ';
+  gutter.textContent = `${prefix}${lineNumber ?? ''}`;
+
+  const content = document.createElement('span');
+  content.className = 'diff-line-text';
+  content.textContent = text;
+
+  row.appendChild(gutter);
+  row.appendChild(content);
+  return row;
+}
+
+export function createDiffView(ops, { context = 3 } = {}) {
+  const container = document.createElement('div');
+  container.className = 'diff-view';
+
+  const visible = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    for (let i = from; i <= to; i++) {
+      visible[i] = true;
+    }
+  });
+
+  let skipped = 0;
+  ops.forEach((op, index) => {
+    if (!visible[index]) {
+      skipped += 1;
+      return;
+    }
+    if (skipped) {
+      container.appendChild(createDiffLine('skipped', null, `⋯ ${skipped} unchanged line${skipped === 1 ? '' : 's'}`));
+      skipped = 0;
+    }
+    const lineNumber = op.type === 'added' ? op.newLine : op.oldLine;
+    container.appendChild(createDiffLine(op.type, lineNumber, op.text));
+  });
+
+  if (skipped && container.childElementCount) {
+    container.appendChild(createDiffLine('skipped', null, `⋯ ${skipped} unchanged line${skipped === 1 ? '' : 's'}`));
+  }
+
+  if (!container.childElementCount) {
+    container.appendChild(createDiffLine('skipped', null, 'No differences.'));
+  }
+
+  return container;
+}
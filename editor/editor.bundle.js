@@ -1,10 +1,7 @@
-var __getOwnPropNames = Object.getOwnPropertyNames;
-var __esm = (fn, res) => function __init() {
-  return fn && (res = (0, fn[__getOwnPropNames(fn)[0]])(fn = 0)), res;
-};
-var __commonJS = (cb, mod) => function __require() {
-  return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
-};
+import {
+  __commonJS,
+  __esm
+} from "./chunks/chunk-Q7DBXPQN.js";
 
 // node_modules/@marijn/find-cluster-break/src/index.js
 function isExtendingChar(code) {
@@ -86,15 +83,15 @@ var init_src = __esm({
 });
 
 // node_modules/@codemirror/state/dist/index.js
-function textLength(text) {
+function textLength(text3) {
   let length = -1;
-  for (let line of text)
+  for (let line of text3)
     length += line.length + 1;
   return length;
 }
-function appendText(text, target, from = 0, to = 1e9) {
-  for (let pos = 0, i = 0, first = true; i < text.length && pos <= to; i++) {
-    let line = text[i], end = pos + line.length;
+function appendText(text3, target, from = 0, to = 1e9) {
+  for (let pos = 0, i = 0, first = true; i < text3.length && pos <= to; i++) {
+    let line = text3[i], end = pos + line.length;
     if (end >= from) {
       if (end > to)
         line = line.slice(0, to - pos);
@@ -110,12 +107,12 @@ function appendText(text, target, from = 0, to = 1e9) {
   }
   return target;
 }
-function sliceText(text, from, to) {
-  return appendText(text, [""], from, to);
+function sliceText(text3, from, to) {
+  return appendText(text3, [""], from, to);
 }
-function clip(text, from, to) {
-  from = Math.max(0, Math.min(text.length, from));
-  return [from, Math.max(from, Math.min(text.length, to))];
+function clip(text3, from, to) {
+  from = Math.max(0, Math.min(text3.length, from));
+  return [from, Math.max(from, Math.min(text3.length, to))];
 }
 function findClusterBreak2(str, pos, forward = true, includeExtending = true) {
   return findClusterBreak(str, pos, forward, includeExtending);
@@ -147,14 +144,14 @@ function codePointSize2(code) {
 function addSection(sections, len, ins, forceJoin = false) {
   if (len == 0 && ins <= 0)
     return;
-  let last = sections.length - 2;
-  if (last >= 0 && ins <= 0 && ins == sections[last + 1])
-    sections[last] += len;
-  else if (last >= 0 && len == 0 && sections[last] == 0)
-    sections[last + 1] += ins;
+  let last2 = sections.length - 2;
+  if (last2 >= 0 && ins <= 0 && ins == sections[last2 + 1])
+    sections[last2] += len;
+  else if (last2 >= 0 && len == 0 && sections[last2] == 0)
+    sections[last2 + 1] += ins;
   else if (forceJoin) {
-    sections[last] += len;
-    sections[last + 1] += ins;
+    sections[last2] += len;
+    sections[last2 + 1] += ins;
   } else
     sections.push(len, ins);
 }
@@ -178,18 +175,18 @@ function iterChanges(desc, f, individual) {
       posA += len;
       posB += len;
     } else {
-      let endA = posA, endB = posB, text = Text.empty;
+      let endA = posA, endB = posB, text3 = Text.empty;
       for (; ; ) {
         endA += len;
         endB += ins;
         if (ins && inserted)
-          text = text.append(inserted[i - 2 >> 1]);
+          text3 = text3.append(inserted[i - 2 >> 1]);
         if (individual || i == desc.sections.length || desc.sections[i + 1] < 0)
           break;
         len = desc.sections[i++];
         ins = desc.sections[i++];
       }
-      f(posA, endA, posB, endB, text);
+      f(posA, endA, posB, endB, text3);
       posA = endA;
       posB = endB;
     }
@@ -400,6 +397,8 @@ function flatten(extension, compartments, newCompartments) {
     } else {
       let content2 = ext.extension;
       if (!content2)
+        throw new Error(`Unrecognized extension value in extension set (${ext}).`);
+      if (content2 == ext)
         throw new Error(`Unrecognized extension value in extension set (${ext}). This sometimes happens because multiple instances of @codemirror/state are loaded, breaking instanceof checks.`);
       inner(content2, prec2);
     }
@@ -580,13 +579,16 @@ function cmpVal(a, b) {
 function cmpRange(a, b) {
   return a.from - b.from || a.value.startSide - b.value.startSide;
 }
+function last(arr) {
+  return arr[arr.length - 1];
+}
 function lazySort(ranges) {
   if (ranges.length > 1)
     for (let prev = ranges[0], i = 1; i < ranges.length; i++) {
-      let cur = ranges[i];
-      if (cmpRange(prev, cur) > 0)
+      let cur2 = ranges[i];
+      if (cmpRange(prev, cur2) > 0)
         return ranges.slice().sort(cmpRange);
-      prev = cur;
+      prev = cur2;
     }
   return ranges;
 }
@@ -606,7 +608,7 @@ function findSharedChunks(a, b, textDiff) {
   return shared;
 }
 function heapBubble(heap, index) {
-  for (let cur = heap[index]; ; ) {
+  for (let cur2 = heap[index]; ; ) {
     let childIndex = (index << 1) + 1;
     if (childIndex >= heap.length)
       break;
@@ -615,9 +617,9 @@ function heapBubble(heap, index) {
       child = heap[childIndex + 1];
       childIndex++;
     }
-    if (cur.compare(child) < 0)
+    if (cur2.compare(child) < 0)
       break;
-    heap[childIndex] = cur;
+    heap[childIndex] = cur2;
     heap[index] = child;
     index = childIndex;
   }
@@ -637,8 +639,10 @@ function compare(a, startA, b, startB, length, comparator) {
         comparator.comparePoint(pos, clipEnd, a.point, b.point);
       boundChange = false;
     } else {
-      if (boundChange)
+      if (boundChange) {
         comparator.boundChange(pos);
+        boundChange = false;
+      }
       if (clipEnd > pos && !sameValues(a.active, b.active))
         comparator.compareRange(pos, clipEnd, a.active, b.active);
       if (bounds && clipEnd < endB && (dEnd || a.openEnd(end) != b.openEnd(end)))
@@ -661,48 +665,48 @@ function sameValues(a, b) {
       return false;
   return true;
 }
-function remove(array, index) {
-  for (let i = index, e = array.length - 1; i < e; i++)
-    array[i] = array[i + 1];
-  array.pop();
+function remove(array2, index) {
+  for (let i = index, e = array2.length - 1; i < e; i++)
+    array2[i] = array2[i + 1];
+  array2.pop();
 }
-function insert(array, index, value) {
-  for (let i = array.length - 1; i >= index; i--)
-    array[i + 1] = array[i];
-  array[index] = value;
+function insert(array2, index, value) {
+  for (let i = array2.length - 1; i >= index; i--)
+    array2[i + 1] = array2[i];
+  array2[index] = value;
 }
-function findMinIndex(value, array) {
+function findMinIndex(value, array2) {
   let found = -1, foundPos = 1e9;
-  for (let i = 0; i < array.length; i++)
-    if ((array[i] - foundPos || value[i].endSide - value[found].endSide) < 0) {
+  for (let i = 0; i < array2.length; i++)
+    if ((array2[i] - foundPos || value[i].endSide - value[found].endSide) < 0) {
       found = i;
-      foundPos = array[i];
+      foundPos = array2[i];
     }
   return found;
 }
-function countColumn(string2, tabSize, to = string2.length) {
+function countColumn(string3, tabSize, to = string3.length) {
   let n = 0;
-  for (let i = 0; i < to && i < string2.length; ) {
-    if (string2.charCodeAt(i) == 9) {
+  for (let i = 0; i < to && i < string3.length; ) {
+    if (string3.charCodeAt(i) == 9) {
       n += tabSize - n % tabSize;
       i++;
     } else {
       n++;
-      i = findClusterBreak2(string2, i);
+      i = findClusterBreak2(string3, i);
     }
   }
   return n;
 }
-function findColumn(string2, col, tabSize, strict) {
+function findColumn(string3, col, tabSize, strict) {
   for (let i = 0, n = 0; ; ) {
     if (n >= col)
       return i;
-    if (i == string2.length)
+    if (i == string3.length)
       break;
-    n += string2.charCodeAt(i) == 9 ? tabSize - n % tabSize : 1;
-    i = findClusterBreak2(string2, i);
+    n += string3.charCodeAt(i) == 9 ? tabSize - n % tabSize : 1;
+    i = findClusterBreak2(string3, i);
   }
-  return strict === true ? -1 : string2.length;
+  return strict === true ? -1 : string3.length;
 }
 var Text, TextLeaf, TextNode, RawTextCursor, PartialTextCursor, LineCursor, Line, DefaultSplit, MapMode, ChangeDesc, ChangeSet, SectionIter, SelectionRange, EditorSelection, nextID, Facet, FacetProvider, initField, StateField, Prec_, Prec, PrecExtension, Compartment, CompartmentInstance, Configuration, languageData, allowMultipleSelections, lineSeparator, changeFilter, transactionFilter, transactionExtender, readOnly, Annotation, AnnotationType, StateEffectType, StateEffect, Transaction, none, CharCategory, nonASCIISingleCaseWordChar, wordChar, EditorState, RangeValue, Range, Chunk, RangeSet, RangeSetBuilder, LayerCursor, HeapCursor, SpanCursor;
 var init_dist = __esm({
@@ -728,7 +732,7 @@ var init_dist = __esm({
       /**
       Replace a range of the text with the given content.
       */
-      replace(from, to, text) {
+      replace(from, to, text3) {
         [from, to] = clip(this, from, to);
         let parts = [];
         this.decompose(
@@ -738,10 +742,10 @@ var init_dist = __esm({
           2
           /* Open.To */
         );
-        if (text.length)
-          text.decompose(
+        if (text3.length)
+          text3.decompose(
             0,
-            text.length,
+            text3.length,
             parts,
             1 | 2
             /* Open.To */
@@ -753,7 +757,7 @@ var init_dist = __esm({
           1
           /* Open.From */
         );
-        return TextNode.from(parts, this.length - (to - from) + text.length);
+        return TextNode.from(parts, this.length - (to - from) + text3.length);
       }
       /**
       Append another document to this one.
@@ -849,18 +853,18 @@ var init_dist = __esm({
       /**
       Create a `Text` instance for the given array of lines.
       */
-      static of(text) {
-        if (text.length == 0)
+      static of(text3) {
+        if (text3.length == 0)
           throw new RangeError("A document must have at least one line");
-        if (text.length == 1 && !text[0])
+        if (text3.length == 1 && !text3[0])
           return _Text.empty;
-        return text.length <= 32 ? new TextLeaf(text) : TextNode.from(TextLeaf.split(text, []));
+        return text3.length <= 32 ? new TextLeaf(text3) : TextNode.from(TextLeaf.split(text3, []));
       }
     };
     TextLeaf = class _TextLeaf extends Text {
-      constructor(text, length = textLength(text)) {
+      constructor(text3, length = textLength(text3)) {
         super();
-        this.text = text;
+        this.text = text3;
         this.length = length;
       }
       get lines() {
@@ -871,34 +875,34 @@ var init_dist = __esm({
       }
       lineInner(target, isLine, line, offset) {
         for (let i = 0; ; i++) {
-          let string2 = this.text[i], end = offset + string2.length;
+          let string3 = this.text[i], end = offset + string3.length;
           if ((isLine ? line : end) >= target)
-            return new Line(offset, end, line, string2);
+            return new Line(offset, end, line, string3);
           offset = end + 1;
           line++;
         }
       }
       decompose(from, to, target, open) {
-        let text = from <= 0 && to >= this.length ? this : new _TextLeaf(sliceText(this.text, from, to), Math.min(to, this.length) - Math.max(0, from));
+        let text3 = from <= 0 && to >= this.length ? this : new _TextLeaf(sliceText(this.text, from, to), Math.min(to, this.length) - Math.max(0, from));
         if (open & 1) {
           let prev = target.pop();
-          let joined = appendText(text.text, prev.text.slice(), 0, text.length);
+          let joined = appendText(text3.text, prev.text.slice(), 0, text3.length);
           if (joined.length <= 32) {
-            target.push(new _TextLeaf(joined, prev.length + text.length));
+            target.push(new _TextLeaf(joined, prev.length + text3.length));
           } else {
             let mid = joined.length >> 1;
             target.push(new _TextLeaf(joined.slice(0, mid)), new _TextLeaf(joined.slice(mid)));
           }
         } else {
-          target.push(text);
+          target.push(text3);
         }
       }
-      replace(from, to, text) {
-        if (!(text instanceof _TextLeaf))
-          return super.replace(from, to, text);
+      replace(from, to, text3) {
+        if (!(text3 instanceof _TextLeaf))
+          return super.replace(from, to, text3);
         [from, to] = clip(this, from, to);
-        let lines = appendText(this.text, appendText(text.text, sliceText(this.text, 0, from)), to);
-        let newLen = this.length + text.length - (to - from);
+        let lines = appendText(this.text, appendText(text3.text, sliceText(this.text, 0, from)), to);
+        let newLen = this.length + text3.length - (to - from);
         if (lines.length <= 32)
           return new _TextLeaf(lines, newLen);
         return TextNode.from(_TextLeaf.split(lines, []), newLen);
@@ -923,9 +927,9 @@ var init_dist = __esm({
       scanIdentical() {
         return 0;
       }
-      static split(text, target) {
+      static split(text3, target) {
         let part = [], len = -1;
-        for (let line of text) {
+        for (let line of text3) {
           part.push(line);
           len += line.length + 1;
           if (part.length == 32) {
@@ -970,24 +974,24 @@ var init_dist = __esm({
           pos = end + 1;
         }
       }
-      replace(from, to, text) {
+      replace(from, to, text3) {
         [from, to] = clip(this, from, to);
-        if (text.lines < this.lines)
+        if (text3.lines < this.lines)
           for (let i = 0, pos = 0; i < this.children.length; i++) {
             let child = this.children[i], end = pos + child.length;
             if (from >= pos && to <= end) {
-              let updated = child.replace(from - pos, to - pos, text);
+              let updated = child.replace(from - pos, to - pos, text3);
               let totalLines = this.lines - child.lines + updated.lines;
               if (updated.lines < totalLines >> 5 - 1 && updated.lines > totalLines >> 5 + 1) {
                 let copy = this.children.slice();
                 copy[i] = updated;
-                return new _TextNode(copy, this.length - (to - from) + text.length);
+                return new _TextNode(copy, this.length - (to - from) + text3.length);
               }
               return super.replace(pos, end, updated);
             }
             pos = end + 1;
           }
-        return super.replace(from, to, text);
+        return super.replace(from, to, text3);
       }
       sliceString(from, to = this.length, lineSep = "\n") {
         [from, to] = clip(this, from, to);
@@ -1020,7 +1024,7 @@ var init_dist = __esm({
           length += chA.length + 1;
         }
       }
-      static from(children, length = children.reduce((l, ch) => l + ch.length + 1, -1)) {
+      static from(children, length = children.reduce((l3, ch) => l3 + ch.length + 1, -1)) {
         let lines = 0;
         for (let ch of children)
           lines += ch.lines;
@@ -1037,17 +1041,17 @@ var init_dist = __esm({
         ), maxChunk = chunk << 1, minChunk = chunk >> 1;
         let chunked = [], currentLines = 0, currentLen = -1, currentChunk = [];
         function add2(child) {
-          let last;
+          let last2;
           if (child.lines > maxChunk && child instanceof _TextNode) {
             for (let node of child.children)
               add2(node);
           } else if (child.lines > minChunk && (currentLines > minChunk || !currentLines)) {
             flush();
             chunked.push(child);
-          } else if (child instanceof TextLeaf && currentLines && (last = currentChunk[currentChunk.length - 1]) instanceof TextLeaf && child.lines + last.lines <= 32) {
+          } else if (child instanceof TextLeaf && currentLines && (last2 = currentChunk[currentChunk.length - 1]) instanceof TextLeaf && child.lines + last2.lines <= 32) {
             currentLines += child.lines;
             currentLen += child.length + 1;
-            currentChunk[currentChunk.length - 1] = new TextLeaf(last.text.concat(child.text), last.length + 1 + child.length);
+            currentChunk[currentChunk.length - 1] = new TextLeaf(last2.text.concat(child.text), last2.length + 1 + child.length);
           } else {
             if (currentLines + child.lines > chunk)
               flush();
@@ -1071,32 +1075,32 @@ var init_dist = __esm({
     };
     Text.empty = /* @__PURE__ */ new TextLeaf([""], 0);
     RawTextCursor = class {
-      constructor(text, dir = 1) {
+      constructor(text3, dir = 1) {
         this.dir = dir;
         this.done = false;
         this.lineBreak = false;
         this.value = "";
-        this.nodes = [text];
-        this.offsets = [dir > 0 ? 1 : (text instanceof TextLeaf ? text.text.length : text.children.length) << 1];
+        this.nodes = [text3];
+        this.offsets = [dir > 0 ? 1 : (text3 instanceof TextLeaf ? text3.text.length : text3.children.length) << 1];
       }
       nextInner(skip, dir) {
         this.done = this.lineBreak = false;
         for (; ; ) {
-          let last = this.nodes.length - 1;
-          let top2 = this.nodes[last], offsetValue = this.offsets[last], offset = offsetValue >> 1;
+          let last2 = this.nodes.length - 1;
+          let top2 = this.nodes[last2], offsetValue = this.offsets[last2], offset = offsetValue >> 1;
           let size = top2 instanceof TextLeaf ? top2.text.length : top2.children.length;
           if (offset == (dir > 0 ? size : 0)) {
-            if (last == 0) {
+            if (last2 == 0) {
               this.done = true;
               this.value = "";
               return this;
             }
             if (dir > 0)
-              this.offsets[last - 1]++;
+              this.offsets[last2 - 1]++;
             this.nodes.pop();
             this.offsets.pop();
           } else if ((offsetValue & 1) == (dir > 0 ? 0 : 1)) {
-            this.offsets[last] += dir;
+            this.offsets[last2] += dir;
             if (skip == 0) {
               this.lineBreak = true;
               this.value = "\n";
@@ -1105,7 +1109,7 @@ var init_dist = __esm({
             skip--;
           } else if (top2 instanceof TextLeaf) {
             let next = top2.text[offset + (dir < 0 ? -1 : 0)];
-            this.offsets[last] += dir;
+            this.offsets[last2] += dir;
             if (next.length > Math.max(0, skip)) {
               this.value = skip == 0 ? next : dir > 0 ? next.slice(skip) : next.slice(0, next.length - skip);
               return this;
@@ -1115,10 +1119,10 @@ var init_dist = __esm({
             let next = top2.children[offset + (dir < 0 ? -1 : 0)];
             if (skip > next.length) {
               skip -= next.length;
-              this.offsets[last] += dir;
+              this.offsets[last2] += dir;
             } else {
               if (dir < 0)
-                this.offsets[last]--;
+                this.offsets[last2]--;
               this.nodes.push(next);
               this.offsets.push(dir > 0 ? 1 : (next instanceof TextLeaf ? next.text.length : next.children.length) << 1);
             }
@@ -1134,11 +1138,11 @@ var init_dist = __esm({
       }
     };
     PartialTextCursor = class {
-      constructor(text, start, end) {
+      constructor(text3, start, end) {
         this.value = "";
         this.done = false;
-        this.cursor = new RawTextCursor(text, start > end ? -1 : 1);
-        this.pos = start > end ? text.length : 0;
+        this.cursor = new RawTextCursor(text3, start > end ? -1 : 1);
+        this.pos = start > end ? text3.length : 0;
         this.from = Math.min(start, end);
         this.to = Math.max(start, end);
       }
@@ -1214,11 +1218,11 @@ var init_dist = __esm({
       /**
       @internal
       */
-      constructor(from, to, number2, text) {
+      constructor(from, to, number2, text3) {
         this.from = from;
         this.to = to;
         this.number = number2;
-        this.text = text;
+        this.text = text3;
       }
       /**
       The length of the line (not including any line break after it).
@@ -1416,7 +1420,7 @@ var init_dist = __esm({
       apply(doc2) {
         if (this.length != doc2.length)
           throw new RangeError("Applying change set to a document with the wrong length");
-        iterChanges(this, (fromA, toA, fromB, _toB, text) => doc2 = doc2.replace(fromB, fromB + (toA - fromA), text), false);
+        iterChanges(this, (fromA, toA, fromB, _toB, text3) => doc2 = doc2.replace(fromB, fromB + (toA - fromA), text3), false);
         return doc2;
       }
       mapDesc(other, before = false) {
@@ -1677,10 +1681,11 @@ var init_dist = __esm({
       }
     };
     SelectionRange = class _SelectionRange {
-      constructor(from, to, flags) {
+      constructor(from, to, flags, goalColumn) {
         this.from = from;
         this.to = to;
         this.flags = flags;
+        this.goalColumn = goalColumn;
       }
       /**
       The anchor of the range—the side that doesn't move when you
@@ -1712,6 +1717,16 @@ var init_dist = __esm({
         return this.flags & 8 ? -1 : this.flags & 16 ? 1 : 0;
       }
       /**
+      A flag that, when set, makes some selection-extending commands
+      treat the range's head and anchor as exchangeable, so that for
+      example Shift-ArrowUp will make the lower side of the selection
+      the anchor, even if that was the head before. Used to implement
+      MacOS-style undirectional selections.
+      */
+      get undirectional() {
+        return (this.flags & 64) > 0;
+      }
+      /**
       The bidirectional text level associated with this cursor, if
       any.
       */
@@ -1720,16 +1735,6 @@ var init_dist = __esm({
         return level == 7 ? null : level;
       }
       /**
-      The goal column (stored vertical offset) associated with a
-      cursor. This is used to preserve the vertical position when
-      [moving](https://codemirror.net/6/docs/ref/#view.EditorView.moveVertically) across
-      lines of different length.
-      */
-      get goalColumn() {
-        let value = this.flags >> 6;
-        return value == 16777215 ? void 0 : value;
-      }
-      /**
       Map this range through a change, producing a valid range in the
       updated document.
       */
@@ -1741,16 +1746,16 @@ var init_dist = __esm({
           from = change.mapPos(this.from, 1);
           to = change.mapPos(this.to, -1);
         }
-        return from == this.from && to == this.to ? this : new _SelectionRange(from, to, this.flags);
+        return from == this.from && to == this.to ? this : new _SelectionRange(from, to, this.flags, this.goalColumn);
       }
       /**
       Extend this range to cover at least `from` to `to`.
       */
-      extend(from, to = from) {
+      extend(from, to = from, assoc = 0) {
         if (from <= this.anchor && to >= this.anchor)
-          return EditorSelection.range(from, to);
+          return EditorSelection.range(from, to, void 0, void 0, assoc);
         let head = Math.abs(from - this.anchor) > Math.abs(to - this.anchor) ? from : to;
-        return EditorSelection.range(this.anchor, head);
+        return EditorSelection.range(this.anchor, head, void 0, void 0, assoc);
       }
       /**
       Compare this range to another range.
@@ -1776,8 +1781,8 @@ var init_dist = __esm({
       /**
       @internal
       */
-      static create(from, to, flags) {
-        return new _SelectionRange(from, to, flags);
+      static create(from, to, flags, goalColumn) {
+        return new _SelectionRange(from, to, flags, goalColumn);
       }
     };
     EditorSelection = class _EditorSelection {
@@ -1879,14 +1884,25 @@ var init_dist = __esm({
       safely ignore the optional arguments in most situations.
       */
       static cursor(pos, assoc = 0, bidiLevel, goalColumn) {
-        return SelectionRange.create(pos, pos, (assoc == 0 ? 0 : assoc < 0 ? 8 : 16) | (bidiLevel == null ? 7 : Math.min(6, bidiLevel)) | (goalColumn !== null && goalColumn !== void 0 ? goalColumn : 16777215) << 6);
+        return SelectionRange.create(pos, pos, (assoc == 0 ? 0 : assoc < 0 ? 8 : 16) | (bidiLevel == null ? 7 : Math.min(6, bidiLevel)), goalColumn);
       }
       /**
       Create a selection range.
       */
-      static range(anchor, head, goalColumn, bidiLevel) {
-        let flags = (goalColumn !== null && goalColumn !== void 0 ? goalColumn : 16777215) << 6 | (bidiLevel == null ? 7 : Math.min(6, bidiLevel));
-        return head < anchor ? SelectionRange.create(head, anchor, 32 | 16 | flags) : SelectionRange.create(anchor, head, (head > anchor ? 8 : 0) | flags);
+      static range(anchor, head, goalColumn, bidiLevel, assoc) {
+        let flags = bidiLevel == null ? 7 : Math.min(6, bidiLevel);
+        if (!assoc && anchor != head)
+          assoc = head < anchor ? 1 : -1;
+        if (assoc)
+          flags |= assoc < 0 ? 8 : 16;
+        return head < anchor ? SelectionRange.create(head, anchor, flags | 32, goalColumn) : SelectionRange.create(anchor, head, flags, goalColumn);
+      }
+      /**
+      Create an [undirectional](https://codemirror.net/6/docs/ref/#state.SelectionRange.undirectional)
+      selection range.
+      */
+      static undirectionalRange(from, to) {
+        return SelectionRange.create(from, to, 64, void 0);
       }
       /**
       @internal
@@ -1962,7 +1978,7 @@ var init_dist = __esm({
       }
       from(field, get) {
         if (!get)
-          get = (x) => x;
+          get = (x2) => x2;
         return this.compute([field], (state) => get(state.field(field)));
       }
     };
@@ -2021,6 +2037,9 @@ var init_dist = __esm({
           }
         };
       }
+      get extension() {
+        return this;
+      }
     };
     initField = /* @__PURE__ */ Facet.define({ static: true });
     StateField = class _StateField {
@@ -2083,8 +2102,8 @@ var init_dist = __esm({
       way it is initialized. Can be useful when you need to provide a
       non-default starting value for the field.
       */
-      init(create) {
-        return [this, initField.of({ field: this, create })];
+      init(create2) {
+        return [this, initField.of({ field: this, create: create2 })];
       }
       /**
       State field instances can be used as
@@ -2127,6 +2146,9 @@ var init_dist = __esm({
         this.inner = inner;
         this.prec = prec2;
       }
+      get extension() {
+        return this;
+      }
     };
     Compartment = class _Compartment {
       /**
@@ -2156,6 +2178,9 @@ var init_dist = __esm({
         this.compartment = compartment;
         this.inner = inner;
       }
+      get extension() {
+        return this;
+      }
     };
     Configuration = class _Configuration {
       constructor(base2, compartments, dynamicSlots, address, staticValues, facets) {
@@ -2330,13 +2355,13 @@ var init_dist = __esm({
     StateEffect.reconfigure = /* @__PURE__ */ StateEffect.define();
     StateEffect.appendConfig = /* @__PURE__ */ StateEffect.define();
     Transaction = class _Transaction {
-      constructor(startState, changes, selection2, effects, annotations, scrollIntoView2) {
+      constructor(startState, changes, selection2, effects, annotations, scrollIntoView3) {
         this.startState = startState;
         this.changes = changes;
         this.selection = selection2;
         this.effects = effects;
         this.annotations = annotations;
-        this.scrollIntoView = scrollIntoView2;
+        this.scrollIntoView = scrollIntoView3;
         this._doc = null;
         this._state = null;
         if (selection2)
@@ -2347,8 +2372,8 @@ var init_dist = __esm({
       /**
       @internal
       */
-      static create(startState, changes, selection2, effects, annotations, scrollIntoView2) {
-        return new _Transaction(startState, changes, selection2, effects, annotations, scrollIntoView2);
+      static create(startState, changes, selection2, effects, annotations, scrollIntoView3) {
+        return new _Transaction(startState, changes, selection2, effects, annotations, scrollIntoView3);
       }
       /**
       The new document produced by the transaction. Contrary to
@@ -2431,7 +2456,7 @@ var init_dist = __esm({
     nonASCIISingleCaseWordChar = /[\u00df\u0587\u0590-\u05f4\u0600-\u06ff\u3040-\u309f\u30a0-\u30ff\u3400-\u4db5\u4e00-\u9fcc\uac00-\ud7af]/;
     try {
       wordChar = /* @__PURE__ */ new RegExp("[\\p{Alphabetic}\\p{Number}_]", "u");
-    } catch (_) {
+    } catch (_2) {
     }
     EditorState = class _EditorState {
       constructor(config2, doc2, selection2, values2, computeSlot, tr) {
@@ -2511,12 +2536,12 @@ var init_dist = __esm({
       Create a [transaction spec](https://codemirror.net/6/docs/ref/#state.TransactionSpec) that
       replaces every selection range with the given content.
       */
-      replaceSelection(text) {
-        if (typeof text == "string")
-          text = this.toText(text);
+      replaceSelection(text3) {
+        if (typeof text3 == "string")
+          text3 = this.toText(text3);
         return this.changeByRange((range) => ({
-          changes: { from: range.from, to: range.to, insert: text },
-          range: EditorSelection.cursor(range.from + text.length)
+          changes: { from: range.from, to: range.to, insert: text3 },
+          range: EditorSelection.cursor(range.from + text3.length, -1)
         }));
       }
       /**
@@ -2538,8 +2563,8 @@ var init_dist = __esm({
         for (let i = 1; i < sel.ranges.length; i++) {
           let result = f(sel.ranges[i]);
           let newChanges = this.changes(result.changes), newMapped = newChanges.map(changes);
-          for (let j = 0; j < i; j++)
-            ranges[j] = ranges[j].map(newMapped);
+          for (let j2 = 0; j2 < i; j2++)
+            ranges[j2] = ranges[j2].map(newMapped);
           let mapBy = changes.mapDesc(newChanges, true);
           ranges.push(result.range.map(mapBy));
           changes = changes.compose(newMapped);
@@ -2566,8 +2591,8 @@ var init_dist = __esm({
       separator](https://codemirror.net/6/docs/ref/#state.EditorState^lineSeparator), create a
       [`Text`](https://codemirror.net/6/docs/ref/#state.Text) instance from the given string.
       */
-      toText(string2) {
-        return Text.of(string2.split(this.facet(_EditorState.lineSeparator) || DefaultSplit));
+      toText(string3) {
+        return Text.of(string3.split(this.facet(_EditorState.lineSeparator) || DefaultSplit));
       }
       /**
       Return the given range of the document as a string.
@@ -2724,8 +2749,8 @@ var init_dist = __esm({
        - Space (contains only whitespace)
        - Other (anything else)
       */
-      charCategorizer(at) {
-        let chars = this.languageDataAt("wordChars", at);
+      charCategorizer(at2) {
+        let chars = this.languageDataAt("wordChars", at2);
         return makeCategorizer(chars.length ? chars[0] : "");
       }
       /**
@@ -2735,18 +2760,18 @@ var init_dist = __esm({
       this returns null.
       */
       wordAt(pos) {
-        let { text, from, length } = this.doc.lineAt(pos);
+        let { text: text3, from, length } = this.doc.lineAt(pos);
         let cat = this.charCategorizer(pos);
         let start = pos - from, end = pos - from;
         while (start > 0) {
-          let prev = findClusterBreak2(text, start, false);
-          if (cat(text.slice(prev, start)) != CharCategory.Word)
+          let prev = findClusterBreak2(text3, start, false);
+          if (cat(text3.slice(prev, start)) != CharCategory.Word)
             break;
           start = prev;
         }
         while (end < length) {
-          let next = findClusterBreak2(text, end);
-          if (cat(text.slice(end, next)) != CharCategory.Word)
+          let next = findClusterBreak2(text3, end);
+          if (cat(text3.slice(end, next)) != CharCategory.Word)
             break;
           end = next;
         }
@@ -2762,7 +2787,7 @@ var init_dist = __esm({
     EditorState.phrases = /* @__PURE__ */ Facet.define({
       compare(a, b) {
         let kA = Object.keys(a), kB = Object.keys(b);
-        return kA.length == kB.length && kA.every((k) => a[k] == b[k]);
+        return kA.length == kB.length && kA.every((k2) => a[k2] == b[k2]);
       }
     });
     EditorState.languageData = languageData;
@@ -2812,7 +2837,7 @@ var init_dist = __esm({
         this.maxPoint = maxPoint;
       }
       get length() {
-        return this.to[this.to.length - 1];
+        return last(this.to);
       }
       // Find the index of the given position and side. Use the ranges'
       // `from` pos when `end == false`, `to` when `end == true`.
@@ -2836,9 +2861,9 @@ var init_dist = __esm({
           if (f(this.from[i] + offset, this.to[i] + offset, this.value[i]) === false)
             return false;
       }
-      map(offset, changes) {
+      map(offset, changes, basePos, baseSide, spill) {
         let value = [], from = [], to = [], newPos = -1, maxPoint = -1;
-        for (let i = 0; i < this.value.length; i++) {
+        iter: for (let i = 0; i < this.value.length; i++) {
           let val = this.value[i], curFrom = this.from[i] + offset, curTo = this.to[i] + offset, newFrom, newTo;
           if (curFrom == curTo) {
             let mapped = changes.mapPos(curFrom, val.startSide, val.mapMode);
@@ -2862,9 +2887,27 @@ var init_dist = __esm({
             newPos = newFrom;
           if (val.point)
             maxPoint = Math.max(maxPoint, newTo - newFrom);
-          value.push(val);
-          from.push(newFrom - newPos);
-          to.push(newTo - newPos);
+          if ((newFrom - basePos || val.startSide - baseSide) >= 0) {
+            value.push(val);
+            from.push(newFrom - newPos);
+            to.push(newTo - newPos);
+            basePos = newTo;
+            baseSide = val.endSide;
+          } else {
+            if (newFrom == newTo) {
+              for (let i2 = value.length; i2 > 0; i2--) {
+                if ((newFrom - (to[i2 - 1] + newPos) || val.startSide - value[i2 - 1].endSide) >= 0) {
+                  value.splice(i2, 0, val);
+                  from.splice(i2, 0, newFrom - newPos);
+                  to.splice(i2, 0, newTo - newPos);
+                  continue iter;
+                }
+                if ((newFrom - (from[i2 - 1] + newPos) || val.endSide - value[i2 - 1].startSide) > 0)
+                  break;
+              }
+            }
+            spill(newFrom, newTo, val);
+          }
         }
         return { mapped: value.length ? new _Chunk(from, to, value, maxPoint) : null, pos: newPos };
       }
@@ -2886,8 +2929,8 @@ var init_dist = __esm({
       @internal
       */
       get length() {
-        let last = this.chunk.length - 1;
-        return last < 0 ? 0 : Math.max(this.chunkEnd(last), this.nextLayer.length);
+        let last2 = this.chunk.length - 1;
+        return last2 < 0 ? 0 : Math.max(this.chunkEnd(last2), this.nextLayer.length);
       }
       /**
       The number of ranges in the set.
@@ -2924,21 +2967,21 @@ var init_dist = __esm({
           add2 = add2.slice().sort(cmpRange);
         if (this.isEmpty)
           return add2.length ? _RangeSet.of(add2) : this;
-        let cur = new LayerCursor(this, null, -1).goto(0), i = 0, spill = [];
+        let cur2 = new LayerCursor(this, null, -1).goto(0), i = 0, spill = [];
         let builder = new RangeSetBuilder();
-        while (cur.value || i < add2.length) {
-          if (i < add2.length && (cur.from - add2[i].from || cur.startSide - add2[i].value.startSide) >= 0) {
+        while (cur2.value || i < add2.length) {
+          if (i < add2.length && (cur2.from - add2[i].from || cur2.startSide - add2[i].value.startSide) >= 0) {
             let range = add2[i++];
-            if (!builder.addInner(range.from, range.to, range.value))
+            if (!builder.addInner(range.from, range.to, range.value, false))
               spill.push(range);
-          } else if (cur.rangeIndex == 1 && cur.chunkIndex < this.chunk.length && (i == add2.length || this.chunkEnd(cur.chunkIndex) < add2[i].from) && (!filter || filterFrom > this.chunkEnd(cur.chunkIndex) || filterTo < this.chunkPos[cur.chunkIndex]) && builder.addChunk(this.chunkPos[cur.chunkIndex], this.chunk[cur.chunkIndex])) {
-            cur.nextChunk();
+          } else if (cur2.rangeIndex == 1 && cur2.chunkIndex < this.chunk.length && (i == add2.length || this.chunkEnd(cur2.chunkIndex) < add2[i].from) && (!filter || filterFrom > this.chunkEnd(cur2.chunkIndex) || filterTo < this.chunkPos[cur2.chunkIndex]) && builder.addChunk(this.chunkPos[cur2.chunkIndex], this.chunk[cur2.chunkIndex])) {
+            cur2.nextChunk();
           } else {
-            if (!filter || filterFrom > cur.to || filterTo < cur.from || filter(cur.from, cur.to, cur.value)) {
-              if (!builder.addInner(cur.from, cur.to, cur.value))
-                spill.push(Range.create(cur.from, cur.to, cur.value));
+            if (!filter || filterFrom > cur2.to || filterTo < cur2.from || filter(cur2.from, cur2.to, cur2.value)) {
+              if (!builder.addInner(cur2.from, cur2.to, cur2.value, false))
+                spill.push(Range.create(cur2.from, cur2.to, cur2.value));
             }
-            cur.next();
+            cur2.next();
           }
         }
         return builder.finishInner(this.nextLayer.isEmpty && !spill.length ? _RangeSet.empty : this.nextLayer.update({ add: spill, filter, filterFrom, filterTo }));
@@ -2950,6 +2993,12 @@ var init_dist = __esm({
         if (changes.empty || this.isEmpty)
           return this;
         let chunks = [], chunkPos = [], maxPoint = -1;
+        let spilled;
+        let spill = (from, to, value) => {
+          if (!spilled)
+            spilled = new RangeSetBuilder();
+          spilled.addRange(from, to, value, false);
+        };
         for (let i = 0; i < this.chunk.length; i++) {
           let start = this.chunkPos[i], chunk = this.chunk[i];
           let touch = changes.touchesRange(start, start + chunk.length);
@@ -2958,7 +3007,8 @@ var init_dist = __esm({
             chunks.push(chunk);
             chunkPos.push(changes.mapPos(start));
           } else if (touch === true) {
-            let { mapped, pos } = chunk.map(start, changes);
+            let [prevPos, prevSide] = !chunks.length ? [-1, -1] : [last(chunkPos) + last(chunks).length, last(last(chunks).value).endSide];
+            let { mapped, pos } = chunk.map(start, changes, prevPos, prevSide, spill);
             if (mapped) {
               maxPoint = Math.max(maxPoint, mapped.maxPoint);
               chunks.push(mapped);
@@ -2967,6 +3017,8 @@ var init_dist = __esm({
           }
         }
         let next = this.nextLayer.map(changes);
+        if (spilled)
+          next = spilled.finishInner(next);
         return chunks.length == 0 ? next : new _RangeSet(chunkPos, chunks, next || _RangeSet.empty, maxPoint);
       }
       /**
@@ -3089,7 +3141,7 @@ var init_dist = __esm({
       static join(sets) {
         if (!sets.length)
           return _RangeSet.empty;
-        let result = sets[sets.length - 1];
+        let result = last(sets);
         for (let i = sets.length - 2; i >= 0; i--) {
           for (let layer = sets[i]; layer != _RangeSet.empty; layer = layer.nextLayer)
             result = new _RangeSet(layer.chunkPos, layer.chunk, result, Math.max(layer.maxPoint, result.maxPoint));
@@ -3134,15 +3186,21 @@ var init_dist = __esm({
       `value.startSide`) order.
       */
       add(from, to, value) {
-        if (!this.addInner(from, to, value))
-          (this.nextLayer || (this.nextLayer = new _RangeSetBuilder())).add(from, to, value);
+        this.addRange(from, to, value, true);
+      }
+      /**
+      @internal
+      */
+      addRange(from, to, value, strict) {
+        if (!this.addInner(from, to, value, strict))
+          (this.nextLayer || (this.nextLayer = new _RangeSetBuilder())).addRange(from, to, value, strict);
       }
       /**
       @internal
       */
-      addInner(from, to, value) {
+      addInner(from, to, value, strict) {
         let diff = from - this.lastTo || value.startSide - this.last.endSide;
-        if (diff <= 0 && (from - this.lastFrom || value.startSide - this.last.startSide) < 0)
+        if (strict && diff <= 0 && (from - this.lastFrom || value.startSide - this.last.startSide) < 0)
           throw new Error("Ranges must be added sorted by `from` position and `startSide`");
         if (diff < 0)
           return false;
@@ -3171,10 +3229,10 @@ var init_dist = __esm({
         this.setMaxPoint = Math.max(this.setMaxPoint, chunk.maxPoint);
         this.chunks.push(chunk);
         this.chunkPos.push(from);
-        let last = chunk.value.length - 1;
-        this.last = chunk.value[last];
-        this.lastFrom = chunk.from[last] + from;
-        this.lastTo = chunk.to[last] + from;
+        let last2 = chunk.value.length - 1;
+        this.last = chunk.value[last2];
+        this.lastFrom = chunk.from[last2] + from;
+        this.lastTo = chunk.to[last2] + from;
         return true;
       }
       /**
@@ -3280,9 +3338,9 @@ var init_dist = __esm({
       static from(sets, skip = null, minPoint = -1) {
         let heap = [];
         for (let i = 0; i < sets.length; i++) {
-          for (let cur = sets[i]; !cur.isEmpty; cur = cur.nextLayer) {
-            if (cur.maxPoint >= minPoint)
-              heap.push(new LayerCursor(cur, skip, minPoint, i));
+          for (let cur2 = sets[i]; !cur2.isEmpty; cur2 = cur2.nextLayer) {
+            if (cur2.maxPoint >= minPoint)
+              heap.push(new LayerCursor(cur2, skip, minPoint, i));
           }
         }
         return heap.length == 1 ? heap[0] : new _HeapCursor(heap);
@@ -3291,16 +3349,16 @@ var init_dist = __esm({
         return this.value ? this.value.startSide : 0;
       }
       goto(pos, side = -1e9) {
-        for (let cur of this.heap)
-          cur.goto(pos, side);
+        for (let cur2 of this.heap)
+          cur2.goto(pos, side);
         for (let i = this.heap.length >> 1; i >= 0; i--)
           heapBubble(this.heap, i);
         this.next();
         return this;
       }
       forward(pos, side) {
-        for (let cur of this.heap)
-          cur.forward(pos, side);
+        for (let cur2 of this.heap)
+          cur2.forward(pos, side);
         for (let i = this.heap.length >> 1; i >= 0; i--)
           heapBubble(this.heap, i);
         if ((this.to - pos || this.value.endSide - side) < 0)
@@ -3476,7 +3534,7 @@ var init_style_mod = __esm({
               if (!isAt) throw new RangeError("The value of a property (" + prop + ") should be a primitive value.");
               render(splitSelector(prop), value, local, keyframes);
             } else if (value != null) {
-              local.push(prop.replace(/_.*/, "").replace(/[A-Z]/g, (l) => "-" + l.toLowerCase()) + ": " + value + ";");
+              local.push(prop.replace(/_.*/, "").replace(/[A-Z]/g, (l3) => "-" + l3.toLowerCase()) + ": " + value + ";");
             }
           }
           if (local.length || keyframes) {
@@ -3538,32 +3596,32 @@ var init_style_mod = __esm({
       }
       mount(modules, root) {
         let sheet = this.sheet;
-        let pos = 0, j = 0;
+        let pos = 0, j2 = 0;
         for (let i = 0; i < modules.length; i++) {
           let mod = modules[i], index = this.modules.indexOf(mod);
-          if (index < j && index > -1) {
+          if (index < j2 && index > -1) {
             this.modules.splice(index, 1);
-            j--;
+            j2--;
             index = -1;
           }
           if (index == -1) {
-            this.modules.splice(j++, 0, mod);
-            if (sheet) for (let k = 0; k < mod.rules.length; k++)
-              sheet.insertRule(mod.rules[k], pos++);
+            this.modules.splice(j2++, 0, mod);
+            if (sheet) for (let k2 = 0; k2 < mod.rules.length; k2++)
+              sheet.insertRule(mod.rules[k2], pos++);
           } else {
-            while (j < index) pos += this.modules[j++].rules.length;
+            while (j2 < index) pos += this.modules[j2++].rules.length;
             pos += mod.rules.length;
-            j++;
+            j2++;
           }
         }
         if (sheet) {
           if (root.adoptedStyleSheets.indexOf(this.sheet) < 0)
             root.adoptedStyleSheets = [this.sheet, ...root.adoptedStyleSheets];
         } else {
-          let text = "";
+          let text3 = "";
           for (let i = 0; i < this.modules.length; i++)
-            text += this.modules[i].getRules() + "\n";
-          this.styleTag.textContent = text;
+            text3 += this.modules[i].getRules() + "\n";
+          this.styleTag.textContent = text3;
           let target = root.head || root;
           if (this.styleTag.parentNode != target)
             target.insertBefore(this.styleTag, target.firstChild);
@@ -3803,9 +3861,9 @@ function widgetsEq(a, b) {
   return a == b || !!(a && b && a.compare(b));
 }
 function addRange(from, to, ranges, margin = 0) {
-  let last = ranges.length - 1;
-  if (last >= 0 && ranges[last] + margin >= from)
-    ranges[last] = Math.max(ranges[last], to);
+  let last2 = ranges.length - 1;
+  if (last2 >= 0 && ranges[last2] + margin >= from)
+    ranges[last2] = Math.max(ranges[last2], to);
   else
     ranges.push(from, to);
 }
@@ -3826,7 +3884,7 @@ function hasSelection(dom, selection2) {
     return false;
   try {
     return contains(dom, selection2.anchorNode);
-  } catch (_) {
+  } catch (_2) {
     return false;
   }
 }
@@ -3876,9 +3934,12 @@ function scanFor(node, off, targetNode, targetOff, dir) {
 function maxOffset(node) {
   return node.nodeType == 3 ? node.nodeValue.length : node.childNodes.length;
 }
-function flattenRect(rect, left) {
-  let x = left ? rect.left : rect.right;
-  return { left: x, right: x, top: rect.top, bottom: rect.bottom };
+function flattenRect(rect, toLeft) {
+  let { left, right } = rect;
+  if (left == right)
+    return rect;
+  let x2 = toLeft ? left : right;
+  return { left: x2, right: x2, top: rect.top, bottom: rect.bottom };
 }
 function windowRect(win) {
   let vp = win.visualViewport;
@@ -3905,58 +3966,58 @@ function getScale(elt2, rect) {
     scaleY = 1;
   return { scaleX, scaleY };
 }
-function scrollRectIntoView(dom, rect, side, x, y, xMargin, yMargin, ltr) {
+function scrollRectIntoView(dom, rect, side, x2, y2, xMargin, yMargin, ltr) {
   let doc2 = dom.ownerDocument, win = doc2.defaultView || window;
-  for (let cur = dom, stop = false; cur && !stop; ) {
-    if (cur.nodeType == 1) {
-      let bounding, top2 = cur == doc2.body;
+  for (let cur2 = dom, stop = false; cur2 && !stop; ) {
+    if (cur2.nodeType == 1) {
+      let bounding, top2 = cur2 == doc2.body;
       let scaleX = 1, scaleY = 1;
       if (top2) {
         bounding = windowRect(win);
       } else {
-        if (/^(fixed|sticky)$/.test(getComputedStyle(cur).position))
+        if (/^(fixed|sticky)$/.test(getComputedStyle(cur2).position))
           stop = true;
-        if (cur.scrollHeight <= cur.clientHeight && cur.scrollWidth <= cur.clientWidth) {
-          cur = cur.assignedSlot || cur.parentNode;
+        if (cur2.scrollHeight <= cur2.clientHeight && cur2.scrollWidth <= cur2.clientWidth) {
+          cur2 = cur2.assignedSlot || cur2.parentNode;
           continue;
         }
-        let rect2 = cur.getBoundingClientRect();
-        ({ scaleX, scaleY } = getScale(cur, rect2));
+        let rect2 = cur2.getBoundingClientRect();
+        ({ scaleX, scaleY } = getScale(cur2, rect2));
         bounding = {
           left: rect2.left,
-          right: rect2.left + cur.clientWidth * scaleX,
+          right: rect2.left + cur2.clientWidth * scaleX,
           top: rect2.top,
-          bottom: rect2.top + cur.clientHeight * scaleY
+          bottom: rect2.top + cur2.clientHeight * scaleY
         };
       }
       let moveX = 0, moveY = 0;
-      if (y == "nearest") {
-        if (rect.top < bounding.top) {
+      if (y2 == "nearest") {
+        if (rect.top < bounding.top + yMargin) {
           moveY = rect.top - (bounding.top + yMargin);
           if (side > 0 && rect.bottom > bounding.bottom + moveY)
             moveY = rect.bottom - bounding.bottom + yMargin;
-        } else if (rect.bottom > bounding.bottom) {
+        } else if (rect.bottom > bounding.bottom - yMargin) {
           moveY = rect.bottom - bounding.bottom + yMargin;
           if (side < 0 && rect.top - moveY < bounding.top)
             moveY = rect.top - (bounding.top + yMargin);
         }
       } else {
         let rectHeight = rect.bottom - rect.top, boundingHeight = bounding.bottom - bounding.top;
-        let targetTop = y == "center" && rectHeight <= boundingHeight ? rect.top + rectHeight / 2 - boundingHeight / 2 : y == "start" || y == "center" && side < 0 ? rect.top - yMargin : rect.bottom - boundingHeight + yMargin;
+        let targetTop = y2 == "center" && rectHeight <= boundingHeight ? rect.top + rectHeight / 2 - boundingHeight / 2 : y2 == "start" || y2 == "center" && side < 0 ? rect.top - yMargin : rect.bottom - boundingHeight + yMargin;
         moveY = targetTop - bounding.top;
       }
-      if (x == "nearest") {
-        if (rect.left < bounding.left) {
+      if (x2 == "nearest") {
+        if (rect.left < bounding.left + xMargin) {
           moveX = rect.left - (bounding.left + xMargin);
           if (side > 0 && rect.right > bounding.right + moveX)
             moveX = rect.right - bounding.right + xMargin;
-        } else if (rect.right > bounding.right) {
+        } else if (rect.right > bounding.right - xMargin) {
           moveX = rect.right - bounding.right + xMargin;
           if (side < 0 && rect.left < bounding.left + moveX)
             moveX = rect.left - (bounding.left + xMargin);
         }
       } else {
-        let targetLeft = x == "center" ? rect.left + (rect.right - rect.left) / 2 - (bounding.right - bounding.left) / 2 : x == "start" == ltr ? rect.left - xMargin : rect.right - (bounding.right - bounding.left) + xMargin;
+        let targetLeft = x2 == "center" ? rect.left + (rect.right - rect.left) / 2 - (bounding.right - bounding.left) / 2 : x2 == "start" == ltr ? rect.left - xMargin : rect.right - (bounding.right - bounding.left) + xMargin;
         moveX = targetLeft - bounding.left;
       }
       if (moveX || moveY) {
@@ -3965,14 +4026,14 @@ function scrollRectIntoView(dom, rect, side, x, y, xMargin, yMargin, ltr) {
         } else {
           let movedX = 0, movedY = 0;
           if (moveY) {
-            let start = cur.scrollTop;
-            cur.scrollTop += moveY / scaleY;
-            movedY = (cur.scrollTop - start) * scaleY;
+            let start = cur2.scrollTop;
+            cur2.scrollTop += moveY / scaleY;
+            movedY = (cur2.scrollTop - start) * scaleY;
           }
           if (moveX) {
-            let start = cur.scrollLeft;
-            cur.scrollLeft += moveX / scaleX;
-            movedX = (cur.scrollLeft - start) * scaleX;
+            let start = cur2.scrollLeft;
+            cur2.scrollLeft += moveX / scaleX;
+            movedX = (cur2.scrollLeft - start) * scaleX;
           }
           rect = {
             left: rect.left - movedX,
@@ -3981,9 +4042,9 @@ function scrollRectIntoView(dom, rect, side, x, y, xMargin, yMargin, ltr) {
             bottom: rect.bottom - movedY
           };
           if (movedX && Math.abs(movedX - moveX) < 1)
-            x = "nearest";
+            x2 = "nearest";
           if (movedY && Math.abs(movedY - moveY) < 1)
-            y = "nearest";
+            y2 = "nearest";
         }
       }
       if (top2)
@@ -3995,44 +4056,55 @@ function scrollRectIntoView(dom, rect, side, x, y, xMargin, yMargin, ltr) {
           top: Math.max(rect.top, bounding.top),
           bottom: Math.min(rect.bottom, bounding.bottom)
         };
-      cur = cur.assignedSlot || cur.parentNode;
-    } else if (cur.nodeType == 11) {
-      cur = cur.host;
+      cur2 = cur2.assignedSlot || cur2.parentNode;
+    } else if (cur2.nodeType == 11) {
+      cur2 = cur2.host;
     } else {
       break;
     }
   }
 }
-function scrollableParents(dom) {
-  let doc2 = dom.ownerDocument, x, y;
-  for (let cur = dom.parentNode; cur; ) {
-    if (cur == doc2.body || x && y) {
+function scrollableParents(dom, getX = true) {
+  let doc2 = dom.ownerDocument, x2 = null, y2 = null;
+  for (let cur2 = dom.parentNode; cur2; ) {
+    if (cur2 == doc2.body || (!getX || x2) && y2) {
       break;
-    } else if (cur.nodeType == 1) {
-      if (!y && cur.scrollHeight > cur.clientHeight)
-        y = cur;
-      if (!x && cur.scrollWidth > cur.clientWidth)
-        x = cur;
-      cur = cur.assignedSlot || cur.parentNode;
-    } else if (cur.nodeType == 11) {
-      cur = cur.host;
+    } else if (cur2.nodeType == 1) {
+      if (!y2 && cur2.scrollHeight > cur2.clientHeight)
+        y2 = cur2;
+      if (getX && !x2 && cur2.scrollWidth > cur2.clientWidth)
+        x2 = cur2;
+      cur2 = cur2.assignedSlot || cur2.parentNode;
+    } else if (cur2.nodeType == 11) {
+      cur2 = cur2.host;
     } else {
       break;
     }
   }
-  return { x, y };
+  return { x: x2, y: y2 };
+}
+function getScrollStack(target) {
+  let stack = [];
+  for (let cur2 = target; cur2; cur2 = cur2.nodeType == 11 ? cur2.host : cur2.parentNode) {
+    if (cur2.nodeType == 1)
+      stack.push({ node: cur2, left: cur2.scrollLeft, top: cur2.scrollTop });
+  }
+  return stack;
+}
+function restoreScrollStack(stack, vert = true) {
+  for (let { node, left, top: top2 } of stack) {
+    if (vert && node.scrollTop != top2)
+      node.scrollTop = top2;
+    if (node.scrollLeft != left)
+      node.scrollLeft = left;
+  }
 }
 function focusPreventScroll(dom) {
   if (dom.setActive)
     return dom.setActive();
   if (preventScrollSupported)
     return dom.focus(preventScrollSupported);
-  let stack = [];
-  for (let cur = dom; cur; cur = cur.parentNode) {
-    stack.push(cur, cur.scrollTop, cur.scrollLeft);
-    if (cur == cur.ownerDocument)
-      break;
-  }
+  let stack = getScrollStack(dom);
   dom.focus(preventScrollSupported == null ? {
     get preventScroll() {
       preventScrollSupported = { preventScroll: true };
@@ -4041,13 +4113,7 @@ function focusPreventScroll(dom) {
   } : void 0);
   if (!preventScrollSupported) {
     preventScrollSupported = false;
-    for (let i = 0; i < stack.length; ) {
-      let elt2 = stack[i++], top2 = stack[i++], left = stack[i++];
-      if (elt2.scrollTop != top2)
-        elt2.scrollTop = top2;
-      if (elt2.scrollLeft != left)
-        elt2.scrollLeft = left;
-    }
+    restoreScrollStack(stack);
   }
 }
 function textRange(node, from, to = from) {
@@ -4101,6 +4167,8 @@ function atElementStart(doc2, selection2) {
   }
 }
 function isScrolledToBottom(elt2) {
+  if (elt2 instanceof Window)
+    return elt2.pageYOffset > Math.max(0, elt2.document.documentElement.scrollHeight - elt2.innerHeight - 4);
   return elt2.scrollTop > Math.max(1, elt2.scrollHeight - elt2.clientHeight - 4);
 }
 function textNodeBefore(startNode, startOffset) {
@@ -4183,8 +4251,8 @@ function computeCharTypes(line, rFrom, rTo, isolates, outerType) {
         while (end < to && types[end] == 64)
           end++;
         let replace2 = i && prev == 8 || end < rTo && types[end] == 8 ? prevStrong == 1 ? 1 : 8 : 256;
-        for (let j = i; j < end; j++)
-          types[j] = replace2;
+        for (let j2 = i; j2 < end; j2++)
+          types[j2] = replace2;
         i = end - 1;
       } else if (type == 8 && prevStrong == 1) {
         types[i] = 1;
@@ -4223,13 +4291,13 @@ function processBracketPairs(line, rFrom, rTo, isolates, outerType) {
         let embed = type == outerType;
         context = embed ? 0 : 1;
         for (let sJ = sI - 3; sJ >= 0; sJ -= 3) {
-          let cur = BracketStack[sJ + 2];
-          if (cur & 2)
+          let cur2 = BracketStack[sJ + 2];
+          if (cur2 & 2)
             break;
           if (embed) {
             BracketStack[sJ + 2] |= 2;
           } else {
-            if (cur & 4)
+            if (cur2 & 4)
               break;
             BracketStack[sJ + 2] |= 4;
           }
@@ -4260,12 +4328,12 @@ function processNeutrals(rFrom, rTo, isolates, outerType) {
         let beforeL = prev == 1;
         let afterL = (end < rTo ? types[end] : outerType) == 1;
         let replace2 = beforeL == afterL ? beforeL ? 1 : 2 : outerType;
-        for (let j = end, jI = iI, fromJ = jI ? isolates[jI - 1].to : rFrom; j > i; ) {
-          if (j == fromJ) {
-            j = isolates[--jI].from;
+        for (let j2 = end, jI = iI, fromJ = jI ? isolates[jI - 1].to : rFrom; j2 > i; ) {
+          if (j2 == fromJ) {
+            j2 = isolates[--jI].from;
             fromJ = jI ? isolates[jI - 1].to : rFrom;
           }
-          types[--j] = replace2;
+          types[--j2] = replace2;
         }
         i = end;
       } else {
@@ -4406,8 +4474,20 @@ function trivialOrder(length) {
 }
 function moveVisually(line, order, dir, start, forward) {
   var _a2;
-  let startIndex = start.head - line.from;
-  let spanI = BidiSpan.find(order, startIndex, (_a2 = start.bidiLevel) !== null && _a2 !== void 0 ? _a2 : -1, start.assoc);
+  if (!line.length)
+    return null;
+  let startIndex = start.head - line.from, spanI;
+  if (start.head == line.from && start.assoc < 0) {
+    if (!forward)
+      return null;
+    startIndex = order[spanI = 0].side(false, dir);
+  } else if (start.head == line.to && start.assoc > 0) {
+    if (forward)
+      return null;
+    startIndex = order[spanI = order.length - 1].side(true, dir);
+  } else {
+    spanI = BidiSpan.find(order, startIndex, (_a2 = start.bidiLevel) !== null && _a2 !== void 0 ? _a2 : -1, start.assoc);
+  }
   let span = order[spanI], spanEnd = span.side(forward, dir);
   if (startIndex == spanEnd) {
     let nextI = spanI += forward ? 1 : -1;
@@ -4422,13 +4502,17 @@ function moveVisually(line, order, dir, start, forward) {
     nextIndex = spanEnd;
   movedOver = line.text.slice(Math.min(startIndex, nextIndex), Math.max(startIndex, nextIndex));
   let nextSpan = spanI == (forward ? order.length - 1 : 0) ? null : order[spanI + (forward ? 1 : -1)];
-  if (nextSpan && nextIndex == spanEnd && nextSpan.level + (forward ? 0 : 1) < span.level)
-    return EditorSelection.cursor(nextSpan.side(!forward, dir) + line.from, nextSpan.forward(forward, dir) ? 1 : -1, nextSpan.level);
+  if (nextIndex == spanEnd) {
+    if (!nextSpan)
+      return forward ? EditorSelection.cursor(line.to, 1) : EditorSelection.cursor(line.from, -1);
+    if (nextSpan.level + (forward ? 0 : 1) < span.level)
+      return EditorSelection.cursor(nextSpan.side(!forward, dir) + line.from, nextSpan.forward(forward, dir) ? 1 : -1, nextSpan.level);
+  }
   return EditorSelection.cursor(nextIndex + line.from, span.forward(forward, dir) ? -1 : 1, span.level);
 }
-function autoDirection(text, from, to) {
+function autoDirection(text3, from, to) {
   for (let i = from; i < to; i++) {
-    let type = charType(text.charCodeAt(i));
+    let type = charType(text3.charCodeAt(i));
     if (type == 1)
       return LTR;
     if (type == 2 || type == 4)
@@ -4498,10 +4582,10 @@ function rm$1(dom) {
   return next;
 }
 function fallbackRect(tile) {
-  let last = tile.dom.lastChild;
-  if (!last)
+  let last2 = tile.dom.lastChild;
+  if (!last2)
     return tile.dom.getBoundingClientRect();
-  let rects = clientRectsFor(last);
+  let rects = clientRectsFor(last2);
   return rects[rects.length - 1] || null;
 }
 function onSameLine(a, b) {
@@ -4589,10 +4673,10 @@ function findCompositionRange(view, changes, headPos) {
   let found = findCompositionNode(view, headPos);
   if (!found)
     return null;
-  let { node: textNode, from, to } = found, text = textNode.nodeValue;
-  if (/[\n\r]/.test(text))
+  let { node: textNode, from, to } = found, text3 = textNode.nodeValue;
+  if (/[\n\r]/.test(text3))
     return null;
-  if (view.state.doc.sliceString(found.from, found.to) != text)
+  if (view.state.doc.sliceString(found.from, found.to) != text3)
     return null;
   let inv = changes.invertedDesc;
   return { range: new ChangedRange(inv.mapPos(from), inv.mapPos(to), from, to), text: textNode };
@@ -4613,8 +4697,8 @@ function findChangedWrappers(a, b, diff) {
   return comp.changes;
 }
 function inUneditable(node, inside) {
-  for (let cur = node; cur && cur != inside; cur = cur.assignedSlot || cur.parentNode) {
-    if (cur.nodeType == 1 && cur.contentEditable == "false") {
+  for (let cur2 = node; cur2 && cur2 != inside; cur2 = cur2.assignedSlot || cur2.parentNode) {
+    if (cur2.nodeType == 1 && cur2.contentEditable == "false") {
       return true;
     }
   }
@@ -4656,13 +4740,13 @@ function groupAt(state, pos, bias = 1) {
       break;
     to = next;
   }
-  return EditorSelection.range(from + line.from, to + line.from);
+  return EditorSelection.undirectionalRange(from + line.from, to + line.from);
 }
-function posAtCoordsImprecise(view, contentRect, block, x, y) {
-  let into = Math.round((x - contentRect.left) * view.defaultCharacterWidth);
+function posAtCoordsImprecise(view, contentRect, block, x2, y2) {
+  let into = Math.round((x2 - contentRect.left) * view.defaultCharacterWidth);
   if (view.lineWrapping && block.height > view.defaultLineHeight * 1.5) {
     let textHeight = view.viewState.heightOracle.textHeight;
-    let line = Math.floor((y - block.top - (view.defaultLineHeight - textHeight) * 0.5) / textHeight);
+    let line = Math.floor((y2 - block.top - (view.defaultLineHeight - textHeight) * 0.5) / textHeight);
     into += line * view.viewState.heightOracle.lineLength;
   }
   let content2 = view.state.sliceDoc(block.from, block.to);
@@ -4672,26 +4756,26 @@ function blockAt(view, pos, side) {
   let line = view.lineBlockAt(pos);
   if (Array.isArray(line.type)) {
     let best;
-    for (let l of line.type) {
-      if (l.from > pos)
+    for (let l3 of line.type) {
+      if (l3.from > pos)
         break;
-      if (l.to < pos)
+      if (l3.to < pos)
         continue;
-      if (l.from < pos && l.to > pos)
-        return l;
-      if (!best || l.type == BlockType.Text && (best.type != l.type || (side < 0 ? l.from < pos : l.to > pos)))
-        best = l;
+      if (l3.from < pos && l3.to > pos)
+        return l3;
+      if (!best || l3.type == BlockType.Text && (best.type != l3.type || (side < 0 ? l3.from < pos : l3.to > pos)))
+        best = l3;
     }
     return best || line;
   }
   return line;
 }
 function moveToLineBoundary(view, start, forward, includeWrap) {
-  let line = blockAt(view, start.head, start.assoc || -1);
-  let coords = !includeWrap || line.type != BlockType.Text || !(view.lineWrapping || line.widgetLineBreaks) ? null : view.coordsAtPos(start.assoc < 0 && start.head > line.from ? start.head - 1 : start.head);
+  let block = blockAt(view, start.head, start.assoc || -1);
+  let coords = !includeWrap || block.type != BlockType.Text || !(view.lineWrapping || block.widgetLineBreaks) ? null : view.coordsAtPos(start.assoc < 0 && start.head > block.from ? start.head - 1 : start.head);
   if (coords) {
     let editorRect = view.dom.getBoundingClientRect();
-    let direction = view.textDirectionAt(line.from);
+    let direction = view.textDirectionAt(block.from);
     let pos = view.posAtCoords({
       x: forward == (direction == Direction.LTR) ? editorRect.right - 1 : editorRect.left + 1,
       y: (coords.top + coords.bottom) / 2
@@ -4699,29 +4783,29 @@ function moveToLineBoundary(view, start, forward, includeWrap) {
     if (pos != null)
       return EditorSelection.cursor(pos, forward ? -1 : 1);
   }
-  return EditorSelection.cursor(forward ? line.to : line.from, forward ? -1 : 1);
+  return EditorSelection.cursor(forward ? block.to : block.from, forward ? -1 : 1);
 }
 function moveByChar(view, start, forward, by) {
   let line = view.state.doc.lineAt(start.head), spans = view.bidiSpans(line);
   let direction = view.textDirectionAt(line.from);
-  for (let cur = start, check = null; ; ) {
-    let next = moveVisually(line, spans, direction, cur, forward), char = movedOver;
+  for (let cur2 = start, check = null; ; ) {
+    let next = moveVisually(line, spans, direction, cur2, forward), char = movedOver;
     if (!next) {
       if (line.number == (forward ? view.state.doc.lines : 1))
-        return cur;
+        return cur2;
       char = "\n";
       line = view.state.doc.line(line.number + (forward ? 1 : -1));
       spans = view.bidiSpans(line);
-      next = view.visualLineSide(line, !forward);
+      next = forward ? EditorSelection.cursor(line.from, -1) : EditorSelection.cursor(line.to, 1);
     }
     if (!check) {
       if (!by)
         return next;
       check = by(char);
     } else if (!check(char)) {
-      return cur;
+      return cur2;
     }
-    cur = next;
+    cur2 = next;
   }
 }
 function byGroup(view, pos, start) {
@@ -4740,7 +4824,8 @@ function moveVertically(view, start, forward, distance) {
     return EditorSelection.cursor(startPos, start.assoc);
   let goal = start.goalColumn, startY;
   let rect = view.contentDOM.getBoundingClientRect();
-  let startCoords = view.coordsAtPos(startPos, (start.empty ? start.assoc : 0) || (forward ? 1 : -1)), docTop = view.documentTop;
+  let startCoords = view.coordsAtPos(startPos, start.assoc || ((start.empty ? forward : start.head == start.from) ? 1 : -1));
+  let docTop = view.documentTop;
   if (startCoords) {
     if (goal == null)
       goal = startCoords.left - rect.left;
@@ -4752,9 +4837,16 @@ function moveVertically(view, start, forward, distance) {
     startY = (dir < 0 ? line.top : line.bottom) + docTop;
   }
   let resolvedGoal = rect.left + goal;
-  let dist2 = distance !== null && distance !== void 0 ? distance : view.viewState.heightOracle.textHeight >> 1;
-  let pos = posAtCoords(view, { x: resolvedGoal, y: startY + dist2 * dir }, false, dir);
-  return EditorSelection.cursor(pos.pos, pos.assoc, void 0, goal);
+  let halfText = view.viewState.heightOracle.textHeight >> 1, dist2 = distance !== null && distance !== void 0 ? distance : halfText;
+  for (let scan = 0; ; scan += halfText) {
+    let y2 = startY + (dist2 + scan) * dir;
+    let pos = posAtCoords(view, { x: resolvedGoal, y: y2 }, false, dir);
+    if (forward ? y2 > rect.bottom : y2 < rect.top)
+      return EditorSelection.cursor(pos.pos, pos.assoc);
+    let posCoords = view.coordsAtPos(pos.pos, pos.assoc), mid = posCoords ? (posCoords.top + posCoords.bottom) / 2 : 0;
+    if (!posCoords || (forward ? mid > startY : mid < startY))
+      return EditorSelection.cursor(pos.pos, pos.assoc, void 0, goal);
+  }
 }
 function skipAtomicRanges(atoms, pos, bias) {
   for (; ; ) {
@@ -4783,8 +4875,12 @@ function skipAtomsForSelection(atoms, sel) {
     } else {
       let from = skipAtomicRanges(atoms, range.from, -1);
       let to = skipAtomicRanges(atoms, range.to, 1);
-      if (from != range.from || to != range.to)
-        updated = EditorSelection.range(range.from == range.anchor ? from : to, range.from == range.head ? from : to);
+      if (from != range.from || to != range.to) {
+        if (range.undirectional)
+          updated = EditorSelection.undirectionalRange(range.from, range.to);
+        else
+          updated = EditorSelection.range(range.from == range.anchor ? from : to, range.from == range.head ? from : to);
+      }
     }
     if (updated) {
       if (!ranges)
@@ -4800,7 +4896,7 @@ function skipAtoms(view, oldPos, pos) {
 }
 function posAtCoords(view, coords, precise, scanY) {
   let content2 = view.contentDOM.getBoundingClientRect(), docTop = content2.top + view.viewState.paddingTop;
-  let { x, y } = coords, yOffset = y - docTop, block;
+  let { x: x2, y: y2 } = coords, yOffset = y2 - docTop, block;
   for (; ; ) {
     if (yOffset < 0)
       return new PosAssoc(0, 1);
@@ -4823,7 +4919,7 @@ function posAtCoords(view, coords, precise, scanY) {
     if (precise)
       return null;
     if (block.type == BlockType.Text) {
-      let pos = posAtCoordsImprecise(view, content2, block, x, y);
+      let pos = posAtCoordsImprecise(view, content2, block, x2, y2);
       return new PosAssoc(pos, pos == block.from ? 1 : -1);
     }
   }
@@ -4832,7 +4928,7 @@ function posAtCoords(view, coords, precise, scanY) {
   let line = view.docView.lineAt(block.from, 2);
   if (!line || line.length != block.length)
     line = view.docView.lineAt(block.from, -2);
-  return new InlineCoordsScan(view, x, y, view.textDirectionAt(block.from)).scanTile(line, block.from);
+  return new InlineCoordsScan(view, x2, y2, view.textDirectionAt(block.from)).scanTile(line, block.from);
 }
 function isAtEnd(parent, node, offset) {
   for (; ; ) {
@@ -4896,7 +4992,7 @@ function domBoundsAround(tile, from, to, offset) {
 }
 function applyDOMChange(view, domChange) {
   let change;
-  let { newSel } = domChange, sel = view.state.selection.main;
+  let { newSel } = domChange, { state } = view, sel = state.selection.main;
   let lastKey = view.inputState.lastKeyTime > Date.now() - 100 ? view.inputState.lastKeyCode : -1;
   if (domChange.bounds) {
     let { from, to } = domChange.bounds;
@@ -4905,8 +5001,14 @@ function applyDOMChange(view, domChange) {
       preferredPos = sel.to;
       preferredSide = "end";
     }
-    let diff = findDiff(view.state.doc.sliceString(from, to, LineBreakPlaceholder), domChange.text, preferredPos - from, preferredSide);
-    if (diff) {
+    let cmp = state.doc.sliceString(from, to, LineBreakPlaceholder), selEnd, diff;
+    if (!sel.empty && sel.from >= from && sel.to <= to && (domChange.typeOver || cmp != domChange.text) && cmp.slice(0, sel.from - from) == domChange.text.slice(0, sel.from - from) && cmp.slice(sel.to - from) == domChange.text.slice(selEnd = domChange.text.length - (cmp.length - (sel.to - from)))) {
+      change = {
+        from: sel.from,
+        to: sel.to,
+        insert: Text.of(domChange.text.slice(sel.from - from, selEnd).split(LineBreakPlaceholder))
+      };
+    } else if (diff = findDiff(cmp, domChange.text, preferredPos - from, preferredSide)) {
       if (browser.chrome && lastKey == 13 && diff.toB == diff.from + 2 && domChange.text.slice(diff.from, diff.toB) == LineBreakPlaceholder + LineBreakPlaceholder)
         diff.toB--;
       change = {
@@ -4915,28 +5017,20 @@ function applyDOMChange(view, domChange) {
         insert: Text.of(domChange.text.slice(diff.from, diff.toB).split(LineBreakPlaceholder))
       };
     }
-  } else if (newSel && (!view.hasFocus && view.state.facet(editable) || sameSelPos(newSel, sel))) {
+  } else if (newSel && (!view.hasFocus && state.facet(editable) || sameSelPos(newSel, sel))) {
     newSel = null;
   }
   if (!change && !newSel)
     return false;
-  if (!change && domChange.typeOver && !sel.empty && newSel && newSel.main.empty) {
-    change = { from: sel.from, to: sel.to, insert: view.state.doc.slice(sel.from, sel.to) };
-  } else if ((browser.mac || browser.android) && change && change.from == change.to && change.from == sel.head - 1 && /^\. ?$/.test(change.insert.toString()) && view.contentDOM.getAttribute("autocorrect") == "off") {
+  if ((browser.mac || browser.android) && change && change.from == change.to && change.from == sel.head - 1 && /^\. ?$/.test(change.insert.toString()) && view.contentDOM.getAttribute("autocorrect") == "off") {
     if (newSel && change.insert.length == 2)
       newSel = EditorSelection.single(newSel.main.anchor - 1, newSel.main.head - 1);
     change = { from: change.from, to: change.to, insert: Text.of([change.insert.toString().replace(".", " ")]) };
-  } else if (change && change.from >= sel.from && change.to <= sel.to && (change.from != sel.from || change.to != sel.to) && sel.to - sel.from - (change.to - change.from) <= 4) {
-    change = {
-      from: sel.from,
-      to: sel.to,
-      insert: view.state.doc.slice(sel.from, change.from).append(change.insert).append(view.state.doc.slice(change.to, sel.to))
-    };
-  } else if (view.state.doc.lineAt(sel.from).to < sel.to && view.docView.lineHasWidget(sel.to) && view.inputState.insertingTextAt > Date.now() - 50) {
+  } else if (state.doc.lineAt(sel.from).to < sel.to && view.docView.lineHasWidget(sel.to) && view.inputState.insertingTextAt > Date.now() - 50) {
     change = {
       from: sel.from,
       to: sel.to,
-      insert: view.state.toText(view.inputState.insertingText)
+      insert: state.toText(view.inputState.insertingText)
     };
   } else if (browser.chrome && change && change.from == change.to && change.from == sel.head && change.insert.toString() == "\n " && view.lineWrapping) {
     if (newSel)
@@ -4946,15 +5040,15 @@ function applyDOMChange(view, domChange) {
   if (change) {
     return applyDOMChangeInner(view, change, newSel, lastKey);
   } else if (newSel && !sameSelPos(newSel, sel)) {
-    let scrollIntoView2 = false, userEvent = "select";
+    let scrollIntoView3 = false, userEvent = "select";
     if (view.inputState.lastSelectionTime > Date.now() - 50) {
       if (view.inputState.lastSelectionOrigin == "select")
-        scrollIntoView2 = true;
+        scrollIntoView3 = true;
       userEvent = view.inputState.lastSelectionOrigin;
       if (userEvent == "select.pointer")
-        newSel = skipAtomsForSelection(view.state.facet(atomicRanges).map((f) => f(view)), newSel);
+        newSel = skipAtomsForSelection(state.facet(atomicRanges).map((f) => f(view)), newSel);
     }
-    view.dispatch({ selection: newSel, scrollIntoView: scrollIntoView2, userEvent });
+    view.dispatch({ selection: newSel, scrollIntoView: scrollIntoView3, userEvent });
     return true;
   } else {
     return false;
@@ -4968,12 +5062,12 @@ function applyDOMChangeInner(view, change, newSel, lastKey = -1) {
   // after a completion when you press enter
   (change.from == sel.from || change.from == sel.from - 1 && view.state.sliceDoc(change.from, sel.from) == " ") && change.insert.length == 1 && change.insert.lines == 2 && dispatchKey(view.contentDOM, "Enter", 13) || (change.from == sel.from - 1 && change.to == sel.to && change.insert.length == 0 || lastKey == 8 && change.insert.length < change.to - change.from && change.to > sel.head) && dispatchKey(view.contentDOM, "Backspace", 8) || change.from == sel.from && change.to == sel.to + 1 && change.insert.length == 0 && dispatchKey(view.contentDOM, "Delete", 46)))
     return true;
-  let text = change.insert.toString();
+  let text3 = change.insert.toString();
   if (view.inputState.composing >= 0)
     view.inputState.composing++;
   let defaultTr;
   let defaultInsert = () => defaultTr || (defaultTr = applyDefaultInsert(view, change, newSel));
-  if (!view.state.facet(inputHandler).some((h) => h(view, change.from, change.to, text, defaultInsert)))
+  if (!view.state.facet(inputHandler).some((h2) => h2(view, change.from, change.to, text3, defaultInsert)))
     view.dispatch(defaultInsert());
   return true;
 }
@@ -5086,11 +5180,16 @@ function selectionFromPoints(points, base2) {
   if (points.length == 0)
     return null;
   let anchor = points[0].pos, head = points.length == 2 ? points[1].pos : anchor;
-  return anchor > -1 && head > -1 ? EditorSelection.single(anchor + base2, head + base2) : null;
+  return anchor < 0 || head < 0 ? null : anchor == head ? EditorSelection.create([EditorSelection.cursor(head + base2, -1)]) : EditorSelection.single(anchor + base2, head + base2);
 }
 function sameSelPos(selection2, range) {
   return range.head == selection2.main.head && range.anchor == selection2.main.anchor;
 }
+function iosVirtualKeyboardOpen(win) {
+  if (!win.visualViewport)
+    return false;
+  return win.visualViewport.height * win.visualViewport.scale / win.document.documentElement.clientHeight < 0.85;
+}
 function bindHandler(plugin, handler) {
   return (view, event) => {
     try {
@@ -5178,16 +5277,16 @@ function capturePaste(view) {
     doPaste(view, target.value);
   }, 50);
 }
-function textFilter(state, facet, text) {
+function textFilter(state, facet, text3) {
   for (let filter of state.facet(facet))
-    text = filter(text, state);
-  return text;
+    text3 = filter(text3, state);
+  return text3;
 }
 function doPaste(view, input) {
   input = textFilter(view.state, clipboardInputFilter, input);
-  let { state } = view, changes, i = 1, text = state.toText(input);
-  let byLine = text.lines == state.selection.ranges.length;
-  let linewise = lastLinewiseCopy != null && state.selection.ranges.every((r) => r.empty) && lastLinewiseCopy == text.toString();
+  let { state } = view, changes, i = 1, text3 = state.toText(input);
+  let byLine = text3.lines == state.selection.ranges.length;
+  let linewise = lastLinewiseCopy != null && state.selection.ranges.every((r) => r.empty) && lastLinewiseCopy == text3.toString();
   if (linewise) {
     let lastLine = -1;
     changes = state.changeByRange((range) => {
@@ -5195,22 +5294,22 @@ function doPaste(view, input) {
       if (line.from == lastLine)
         return { range };
       lastLine = line.from;
-      let insert2 = state.toText((byLine ? text.line(i++).text : input) + state.lineBreak);
+      let insert2 = state.toText((byLine ? text3.line(i++).text : input) + state.lineBreak);
       return {
         changes: { from: line.from, insert: insert2 },
-        range: EditorSelection.cursor(range.from + insert2.length)
+        range: EditorSelection.cursor(range.from + insert2.length, -1)
       };
     });
   } else if (byLine) {
     changes = state.changeByRange((range) => {
-      let line = text.line(i++);
+      let line = text3.line(i++);
       return {
         changes: { from: range.from, to: range.to, insert: line.text },
-        range: EditorSelection.cursor(range.from + line.length)
+        range: EditorSelection.cursor(range.from + line.length, -1)
       };
     });
   } else {
-    changes = state.replaceSelection(text);
+    changes = state.replaceSelection(text3);
   }
   view.dispatch(changes, {
     userEvent: "input.paste",
@@ -5227,16 +5326,16 @@ function rangeForClick(view, pos, bias, type) {
     let from = visual ? visual.posAtStart : line.from, to = visual ? visual.posAtEnd : line.to;
     if (to < view.state.doc.length && to == line.to)
       to++;
-    return EditorSelection.range(from, to);
+    return EditorSelection.undirectionalRange(from, to);
   }
 }
 function getClickType(event) {
   if (!BadMouseDetail)
     return event.detail;
-  let last = lastMouseDown, lastTime = lastMouseDownTime;
+  let last2 = lastMouseDown, lastTime = lastMouseDownTime;
   lastMouseDown = event;
   lastMouseDownTime = Date.now();
-  return lastMouseDownCount = !last || lastTime > Date.now() - 400 && Math.abs(last.clientX - event.clientX) < 2 && Math.abs(last.clientY - event.clientY) < 2 ? (lastMouseDownCount + 1) % 3 : 1;
+  return lastMouseDownCount = !last2 || lastTime > Date.now() - 400 && Math.abs(last2.clientX - event.clientX) < 2 && Math.abs(last2.clientY - event.clientY) < 2 ? (lastMouseDownCount + 1) % 3 : 1;
 }
 function basicMouseSelection(view, event) {
   let start = view.posAndSideAtCoords({ x: event.clientX, y: event.clientY }, false), type = getClickType(event);
@@ -5249,16 +5348,16 @@ function basicMouseSelection(view, event) {
       }
     },
     get(event2, extend, multiple) {
-      let cur = view.posAndSideAtCoords({ x: event2.clientX, y: event2.clientY }, false), removed;
-      let range = rangeForClick(view, cur.pos, cur.assoc, type);
-      if (start.pos != cur.pos && !extend) {
+      let cur2 = view.posAndSideAtCoords({ x: event2.clientX, y: event2.clientY }, false), removed;
+      let range = rangeForClick(view, cur2.pos, cur2.assoc, type);
+      if (start.pos != cur2.pos && !extend) {
         let startRange = rangeForClick(view, start.pos, start.assoc, type);
         let from = Math.min(startRange.from, range.from), to = Math.max(startRange.to, range.to);
-        range = from < range.from ? EditorSelection.range(from, to) : EditorSelection.range(to, from);
+        range = from < range.from ? EditorSelection.range(from, to, range.assoc) : EditorSelection.range(to, from, range.assoc);
       }
       if (extend)
-        return startSel.replaceRange(startSel.main.extend(range.from, range.to));
-      else if (multiple && type == 1 && startSel.ranges.length > 1 && (removed = removeRangeAround(startSel, cur.pos)))
+        return startSel.replaceRange(startSel.main.extend(range.from, range.to, range.assoc));
+      else if (multiple && type == 1 && startSel.ranges.length > 1 && (removed = removeRangeAround(startSel, cur2.pos)))
         return removed;
       else if (multiple)
         return startSel.addRange(range);
@@ -5275,14 +5374,14 @@ function removeRangeAround(sel, pos) {
   }
   return null;
 }
-function dropText(view, event, text, direct) {
-  text = textFilter(view.state, clipboardInputFilter, text);
-  if (!text)
+function dropText(view, event, text3, direct) {
+  text3 = textFilter(view.state, clipboardInputFilter, text3);
+  if (!text3)
     return;
   let dropPos = view.posAtCoords({ x: event.clientX, y: event.clientY }, false);
   let { draggedContent } = view.inputState;
   let del = direct && draggedContent && dragMovesSelection(view, event) ? { from: draggedContent.from, to: draggedContent.to } : null;
-  let ins = { from: dropPos, insert: text };
+  let ins = { from: dropPos, insert: text3 };
   let changes = view.state.changes(del ? [del, ins] : ins);
   view.focus();
   view.dispatch({
@@ -5292,15 +5391,15 @@ function dropText(view, event, text, direct) {
   });
   view.inputState.draggedContent = null;
 }
-function captureCopy(view, text) {
+function captureCopy(view, text3) {
   let parent = view.dom.parentNode;
   if (!parent)
     return;
   let target = parent.appendChild(document.createElement("textarea"));
   target.style.cssText = "position: fixed; left: -10000px; top: 10px";
-  target.value = text;
+  target.value = text3;
   target.focus();
-  target.selectionEnd = text.length;
+  target.selectionEnd = text3.length;
   target.selectionStart = 0;
   setTimeout(() => {
     target.remove();
@@ -5464,8 +5563,8 @@ function findFraction(structure, pos) {
   }
   return counted / structure.total;
 }
-function find(array, f) {
-  for (let val of array)
+function find(array2, f) {
+  for (let val of array2)
     if (f(val))
       return val;
   return void 0;
@@ -5607,7 +5706,7 @@ function buildKeymap(bindings, platform = currentPlatform) {
   let add2 = (scope, key, command3, preventDefault, stopPropagation) => {
     var _a2, _b;
     let scopeObj = bound[scope] || (bound[scope] = /* @__PURE__ */ Object.create(null));
-    let parts = key.split(/ (?!$)/).map((k) => normalizeKeyName(k, platform));
+    let parts = key.split(/ (?!$)/).map((k2) => normalizeKeyName(k2, platform));
     for (let i = 1; i < parts.length; i++) {
       let prefix = parts.slice(0, i).join(" ");
       checkPrefix(prefix, true);
@@ -5721,6 +5820,114 @@ function runHandlers(map, event, view, scope) {
 function highlightActiveLine() {
   return activeLineHighlighter;
 }
+function windowSpace(view) {
+  let docElt = view.dom.ownerDocument.documentElement;
+  return { top: 0, left: 0, bottom: docElt.clientHeight, right: docElt.clientWidth };
+}
+function setLeftStyle(elt2, value) {
+  let current = parseInt(elt2.style.left, 10);
+  if (isNaN(current) || Math.abs(value - current) > 1)
+    elt2.style.left = value + "px";
+}
+function isInTooltip(tooltip, event) {
+  let { left, right, top: top2, bottom } = tooltip.getBoundingClientRect(), arrow;
+  if (arrow = tooltip.querySelector(".cm-tooltip-arrow")) {
+    let arrowRect = arrow.getBoundingClientRect();
+    top2 = Math.min(arrowRect.top, top2);
+    bottom = Math.max(arrowRect.bottom, bottom);
+  }
+  return event.clientX >= left - tooltipMargin && event.clientX <= right + tooltipMargin && event.clientY >= top2 - tooltipMargin && event.clientY <= bottom + tooltipMargin;
+}
+function isOverRange(view, from, to, x2, y2, margin) {
+  let rect = view.scrollDOM.getBoundingClientRect();
+  let docBottom = view.documentTop + view.documentPadding.top + view.contentHeight;
+  if (rect.left > x2 || rect.right < x2 || rect.top > y2 || Math.min(rect.bottom, docBottom) < y2)
+    return false;
+  let pos = view.posAtCoords({ x: x2, y: y2 }, false);
+  return pos >= from && pos <= to;
+}
+function hoverTooltip(source, options = {}) {
+  let setHover = StateEffect.define();
+  let locked = /* @__PURE__ */ new WeakMap();
+  let hoverState = StateField.define({
+    create() {
+      return [];
+    },
+    update(value, tr) {
+      let lock = locked.get(value);
+      if (value.length) {
+        if (options.hideOnChange && (tr.docChanged || tr.selection))
+          value = [];
+        else if (lock && lock(tr))
+          value = [];
+        else if (options.hideOn)
+          value = value.filter((v) => !options.hideOn(tr, v));
+      }
+      if (tr.docChanged && value.length) {
+        let mapped = [];
+        for (let tooltip of value) {
+          let newPos = tr.changes.mapPos(tooltip.pos, -1, MapMode.TrackDel);
+          if (newPos != null) {
+            let copy = Object.assign(/* @__PURE__ */ Object.create(null), tooltip);
+            copy.pos = newPos;
+            if (copy.end != null)
+              copy.end = tr.changes.mapPos(copy.end);
+            mapped.push(copy);
+          }
+        }
+        value = mapped;
+      }
+      for (let effect of tr.effects) {
+        if (effect.is(setHover)) {
+          value = effect.value;
+          lock = void 0;
+        }
+        if (effect.is(closeHoverTooltipEffect) && !effect.value || effect.value == hoverState)
+          value = [];
+      }
+      if (value.length && lock)
+        locked.set(value, lock);
+      return value;
+    },
+    provide: (f) => showHoverTooltip.from(f)
+  });
+  const plugin = ViewPlugin.define((view) => new HoverPlugin(
+    view,
+    source,
+    hoverState,
+    locked,
+    setHover,
+    options.hoverTime || 300
+    /* Hover.Time */
+  ));
+  return {
+    active: hoverState,
+    extension: [
+      hoverState,
+      plugin,
+      hoverPlugin.of(plugin),
+      showHoverTooltipHost
+    ]
+  };
+}
+function activateHover(view, pos, side, options = {}) {
+  var _a2;
+  let plugins = view.state.facet(hoverPlugin).map((p) => view.plugin(p)).filter((p) => !!p);
+  if (options.tooltip && options.tooltip.active) {
+    let found = plugins.find((p) => p.field == options.tooltip.active);
+    if (found)
+      plugins = [found];
+  }
+  for (let plugin of plugins)
+    plugin.activateHover(view, pos, side, (_a2 = options.until) !== null && _a2 !== void 0 ? _a2 : (() => false));
+}
+function getTooltip(view, tooltip) {
+  let plugin = view.plugin(tooltipPlugin);
+  if (!plugin)
+    return null;
+  let found = plugin.manager.tooltips.indexOf(tooltip);
+  return found < 0 ? null : plugin.manager.tooltipViews[found];
+}
 function getPanel(view, panel) {
   let plugin = view.plugin(panelPlugin);
   let index = plugin ? plugin.specs.indexOf(panel) : -1;
@@ -5856,15 +6063,15 @@ function lineNumbers(config2 = {}) {
   ];
 }
 function maxLineNumber(lines) {
-  let last = 9;
-  while (last < lines)
-    last = last * 10 + 9;
-  return last;
+  let last2 = 9;
+  while (last2 < lines)
+    last2 = last2 * 10 + 9;
+  return last2;
 }
 function highlightActiveLineGutter() {
   return activeLineGutterHighlighter;
 }
-var nav, doc, ie_edge, ie_upto10, ie_11up, ie2, gecko, chrome2, webkit, safari, ios, browser, noAttrs, WidgetType, BlockType, Decoration, MarkDecoration, LineDecoration, PointDecoration, BlockWrapper, DOMSelectionState, preventScrollSupported, scratchRange, DOMPos, Direction, LTR, RTL, LowTypes, ArabicTypes, Brackets, BracketStack, BidiRE, BidiSpan, types, movedOver, clickAddsSelectionRange, dragMovesSelection$1, mouseSelectionStyle, exceptionSink, updateListener, inputHandler, focusChangeEffect, clipboardInputFilter, clipboardOutputFilter, perLineTextDirection, nativeSelectionHidden, scrollHandler, ScrollTarget, scrollIntoView, setEditContextFormatting, editable, nextPluginID, viewPlugin, ViewPlugin, PluginInstance, editorAttributes, contentAttributes, decorations, blockWrappers, outerDecorations, atomicRanges, bidiIsolatedRanges, scrollMargins, styleModule, ChangedRange, ViewUpdate, noChildren, Tile, CompositeTile, DocTile, BlockWrapperTile, LineTile, MarkTile, TextTile, WidgetTile, WidgetBufferTile, TilePointer, OpenWrapper, TileBuilder, TextStream, buckets, TileCache, TileUpdate, lineBaseAttrs, NullWidget, BreakWidget, DocView, DecorationComparator$1, WrapperComparator, BlockGapWidget, PosAssoc, InlineCoordsScan, LineBreakPlaceholder, DOMReader, DOMPoint, DOMChange, InputState, PendingKeys, EmacsyPendingKeys, modifierCodes, dragScrollMargin, MouseSelection, handlers, observers, brokenClipboardAPI, BadMouseDetail, lastMouseDown, lastMouseDownCount, lastMouseDownTime, lastLinewiseCopy, isFocusChange, appliedFirefoxHack, wrappingWhiteSpace, heightChangeFlag, HeightOracle, MeasuredHeights, BlockInfo, QueryType, Epsilon, HeightMap, SpaceDeco, HeightMapBlock, HeightMapText, HeightMapGap, HeightMapBranch, relevantWidgetHeight, NodeBuilder, DecorationComparator2, LineGap, LineGapWidget, ViewState, Viewport, IdScaler, BigScaler, theme, darkTheme, baseThemeID, baseLightID, baseDarkID, lightDarkIDs, baseTheme$1, observeOptions, useCharData, DOMObserver, EditContextManager, EditorView, MaxBidiLine, BadMeasure, CachedOrder, currentPlatform, handleKeyEvents, keymap, Keymaps, storedPrefix, PrefixTimeout, currentKeyEvent, UnicodeRegexpSupport, lineDeco, activeLineHighlighter, baseTheme, panelConfig, panelPlugin, PanelGroup, showPanel, dialogField, openDialogEffect, closeDialogEffect, GutterMarker, gutterLineClass, gutterWidgetClass, defaults, activeGutters, unfixGutters, gutterView, UpdateContext, SingleGutterView, GutterElement, lineNumberMarkers, lineNumberWidgetMarker, lineNumberConfig, NumberMarker, lineNumberGutter, activeLineGutterMarker, activeLineGutterHighlighter;
+var nav, doc, ie_edge, ie_upto10, ie_11up, ie2, gecko, chrome2, webkit, safari, ios, browser, noAttrs, WidgetType, BlockType, Decoration, MarkDecoration, LineDecoration, PointDecoration, BlockWrapper, DOMSelectionState, preventScrollSupported, scratchRange, DOMPos, Direction, LTR, RTL, LowTypes, ArabicTypes, Brackets, BracketStack, BidiRE, BidiSpan, types, movedOver, clickAddsSelectionRange, dragMovesSelection$1, mouseSelectionStyle, exceptionSink, updateListener, inputHandler, focusChangeEffect, clipboardInputFilter, clipboardOutputFilter, perLineTextDirection, nativeSelectionHidden, scrollHandler, ScrollTarget, scrollIntoView, setEditContextFormatting, editable, nextPluginID, viewPlugin, ViewPlugin, PluginInstance, editorAttributes, contentAttributes, decorations, blockWrappers, outerDecorations, atomicRanges, bidiIsolatedRanges, scrollMargins, styleModule, ChangedRange, ViewUpdate, noChildren, Tile, CompositeTile, DocTile, BlockWrapperTile, LineTile, MarkTile, TextTile, WidgetTile, WidgetBufferTile, TilePointer, OpenWrapper, TileBuilder, TextStream, buckets, TileCache, TileUpdate, lineBaseAttrs, NullWidget, BreakWidget, DocView, DecorationComparator$1, WrapperComparator, BlockGapWidget, PosAssoc, InlineCoordsScan, LineBreakPlaceholder, DOMReader, DOMPoint, DOMChange, InputState, PendingKeys, EmacsyPendingKeys, modifierCodes, dragScrollMargin, MouseSelection, handlers, observers, brokenClipboardAPI, BadMouseDetail, lastMouseDown, lastMouseDownCount, lastMouseDownTime, lastLinewiseCopy, isFocusChange, appliedFirefoxHack, wrappingWhiteSpace, heightChangeFlag, HeightOracle, MeasuredHeights, BlockInfo, QueryType, Epsilon, HeightMap, SpaceDeco, HeightMapBlock, HeightMapText, HeightMapGap, HeightMapBranch, relevantWidgetHeight, NodeBuilder, DecorationComparator2, LineGap, LineGapWidget, ViewState, Viewport, IdScaler, BigScaler, theme, darkTheme, baseThemeID, baseLightID, baseDarkID, lightDarkIDs, baseTheme$1, observeOptions, useCharData, DOMObserver, EditContextManager, EditorView, MaxBidiLine, BadMeasure, CachedOrder, currentPlatform, handleKeyEvents, keymap, Keymaps, storedPrefix, PrefixTimeout, currentKeyEvent, selectionBg, hideNativeSelection, UnicodeRegexpSupport, lineDeco, activeLineHighlighter, Outside, TooltipViewManager, tooltipConfig, knownHeight, tooltipPlugin, baseTheme, noOffset, showTooltip, showHoverTooltip, HoverTooltipHost, showHoverTooltipHost, hoverPlugin, HoverPlugin, tooltipMargin, closeHoverTooltipEffect, panelConfig, panelPlugin, PanelGroup, showPanel, dialogField, openDialogEffect, closeDialogEffect, GutterMarker, gutterLineClass, gutterWidgetClass, defaults, activeGutters, unfixGutters, gutterView, UpdateContext, SingleGutterView, GutterElement, lineNumberMarkers, lineNumberWidgetMarker, lineNumberConfig, NumberMarker, lineNumberGutter, activeLineGutterMarker, activeLineGutterHighlighter;
 var init_dist2 = __esm({
   "node_modules/@codemirror/view/dist/index.js"() {
     init_dist();
@@ -5921,7 +6128,7 @@ var init_dist2 = __esm({
       couldn't (in which case the widget will be redrawn). The default
       implementation just returns false.
       */
-      updateDOM(dom, view) {
+      updateDOM(dom, view, from) {
         return false;
       }
       /**
@@ -6125,10 +6332,11 @@ var init_dist2 = __esm({
     };
     PointDecoration.prototype.point = true;
     BlockWrapper = class _BlockWrapper extends RangeValue {
-      constructor(tagName, attributes) {
+      constructor(tagName, attributes, rank) {
         super();
         this.tagName = tagName;
         this.attributes = attributes;
+        this.rank = rank;
       }
       eq(other) {
         return other == this || other instanceof _BlockWrapper && this.tagName == other.tagName && attrsEq(this.attributes, other.attributes);
@@ -6138,7 +6346,7 @@ var init_dist2 = __esm({
       attributes.
       */
       static create(spec) {
-        return new _BlockWrapper(spec.tagName, spec.attributes || noAttrs);
+        return new _BlockWrapper(spec.tagName, spec.attributes || noAttrs, spec.rank == null ? 50 : Math.max(0, Math.min(spec.rank, 100)));
       }
       /**
       Create a range set from the given block wrapper ranges.
@@ -6197,9 +6405,9 @@ var init_dist2 = __esm({
     Brackets = /* @__PURE__ */ Object.create(null);
     BracketStack = [];
     for (let p of ["()", "[]", "{}"]) {
-      let l = /* @__PURE__ */ p.charCodeAt(0), r = /* @__PURE__ */ p.charCodeAt(1);
-      Brackets[l] = r;
-      Brackets[r] = -l;
+      let l3 = /* @__PURE__ */ p.charCodeAt(0), r = /* @__PURE__ */ p.charCodeAt(1);
+      Brackets[l3] = r;
+      Brackets[r] = -l3;
     }
     BidiRE = /[\u0590-\u05f4\u0600-\u06ff\u0700-\u08ac\ufb50-\ufdff]/;
     BidiSpan = class {
@@ -6260,17 +6468,17 @@ var init_dist2 = __esm({
     clipboardInputFilter = /* @__PURE__ */ Facet.define();
     clipboardOutputFilter = /* @__PURE__ */ Facet.define();
     perLineTextDirection = /* @__PURE__ */ Facet.define({
-      combine: (values2) => values2.some((x) => x)
+      combine: (values2) => values2.some((x2) => x2)
     });
     nativeSelectionHidden = /* @__PURE__ */ Facet.define({
-      combine: (values2) => values2.some((x) => x)
+      combine: (values2) => values2.some((x2) => x2)
     });
     scrollHandler = /* @__PURE__ */ Facet.define();
     ScrollTarget = class _ScrollTarget {
-      constructor(range, y = "nearest", x = "nearest", yMargin = 5, xMargin = 5, isSnapshot = false) {
+      constructor(range, y2, x2, yMargin, xMargin, isSnapshot = false) {
         this.range = range;
-        this.y = y;
-        this.x = x;
+        this.y = y2;
+        this.x = x2;
         this.yMargin = yMargin;
         this.xMargin = xMargin;
         this.isSnapshot = isSnapshot;
@@ -6289,17 +6497,17 @@ var init_dist2 = __esm({
     viewPlugin = /* @__PURE__ */ Facet.define({
       combine(plugins) {
         return plugins.filter((p, i) => {
-          for (let j = 0; j < i; j++)
-            if (plugins[j].plugin == p.plugin)
+          for (let j2 = 0; j2 < i; j2++)
+            if (plugins[j2].plugin == p.plugin)
               return false;
           return true;
         });
       }
     });
     ViewPlugin = class _ViewPlugin {
-      constructor(id2, create, domEventHandlers, domEventObservers, buildExtensions) {
+      constructor(id2, create2, domEventHandlers, domEventObservers, buildExtensions) {
         this.id = id2;
-        this.create = create;
+        this.create = create2;
         this.domEventHandlers = domEventHandlers;
         this.domEventObservers = domEventObservers;
         this.baseExtensions = buildExtensions(this);
@@ -6315,9 +6523,9 @@ var init_dist2 = __esm({
       Define a plugin from a constructor function that creates the
       plugin's value, given an editor view.
       */
-      static define(create, spec) {
+      static define(create2, spec) {
         const { eventHandlers, eventObservers, provide, decorations: deco } = spec || {};
-        return new _ViewPlugin(nextPluginID++, create, eventHandlers, eventObservers, (plugin) => {
+        return new _ViewPlugin(nextPluginID++, create2, eventHandlers, eventObservers, (plugin) => {
           let ext = [];
           if (deco)
             ext.push(decorations.of((view) => {
@@ -6367,7 +6575,7 @@ var init_dist2 = __esm({
               if (this.value.destroy)
                 try {
                   this.value.destroy();
-                } catch (_) {
+                } catch (_2) {
                 }
               this.deactivate();
             }
@@ -6409,17 +6617,17 @@ var init_dist2 = __esm({
         return new _ChangedRange(Math.min(this.fromA, other.fromA), Math.max(this.toA, other.toA), Math.min(this.fromB, other.fromB), Math.max(this.toB, other.toB));
       }
       addToSet(set) {
-        let i = set.length, me = this;
+        let i = set.length, me2 = this;
         for (; i > 0; i--) {
           let range = set[i - 1];
-          if (range.fromA > me.toA)
+          if (range.fromA > me2.toA)
             continue;
-          if (range.toA < me.fromA)
+          if (range.toA < me2.fromA)
             break;
-          me = me.join(range);
+          me2 = me2.join(range);
           set.splice(i - 1, 1);
         }
-        set.splice(i, 0, me);
+        set.splice(i, 0, me2);
         return set;
       }
       // Extend a set to cover all the content in `ranges`, which is a
@@ -6612,7 +6820,7 @@ var init_dist2 = __esm({
       covers(side) {
         return true;
       }
-      coordsIn(pos, side) {
+      coordsIn(pos, side, rtl) {
         return null;
       }
       domPosFor(off, side) {
@@ -6712,19 +6920,19 @@ var init_dist2 = __esm({
         }
       }
       blockTiles(f) {
-        for (let stack = [], cur = this, i = 0, pos = 0; ; ) {
-          if (i == cur.children.length) {
+        for (let stack = [], cur2 = this, i = 0, pos = 0; ; ) {
+          if (i == cur2.children.length) {
             if (!stack.length)
               return;
-            cur = cur.parent;
-            if (cur.breakAfter)
+            cur2 = cur2.parent;
+            if (cur2.breakAfter)
               pos++;
             i = stack.pop();
           } else {
-            let next = cur.children[i++];
+            let next = cur2.children[i++];
             if (next instanceof BlockWrapperTile) {
               stack.push(i);
-              cur = next;
+              cur2 = next;
               i = 0;
             } else {
               let end = pos + next.length;
@@ -6807,6 +7015,9 @@ var init_dist2 = __esm({
         return this.attrs;
       }
       // Find the tile associated with a given position in this line.
+      // Side -2/2 is handled specially, in that it allows the position
+      // returned to be before (-2) or after (2) widgets that would always
+      // be after/before a cursor position.
       resolveInline(pos, side, forCoords) {
         let before = null, beforeOff = -1, after = null, afterOff = -1;
         function scan(tile, pos2) {
@@ -6815,10 +7026,10 @@ var init_dist2 = __esm({
             if (end >= pos2) {
               if (child.isComposite()) {
                 scan(child, pos2 - off);
-              } else if ((!after || after.isHidden && (side > 0 || forCoords && onSameLine(after, child))) && (end > pos2 || child.flags & 32)) {
+              } else if ((!after || after.isHidden && (side > 0 && !(after.flags & 32) || forCoords && onSameLine(after, child))) && (end > pos2 || child.flags & 32 && side <= 1)) {
                 after = child;
                 afterOff = pos2 - off;
-              } else if (off < pos2 || child.flags & 16 && !child.isHidden) {
+              } else if (off < pos2 || child.flags & 16 && !child.isHidden && side >= -1) {
                 before = child;
                 beforeOff = pos2 - off;
               }
@@ -6830,11 +7041,11 @@ var init_dist2 = __esm({
         let target = (side < 0 ? before : after) || before || after;
         return target ? { tile: target, offset: target == before ? beforeOff : afterOff } : null;
       }
-      coordsIn(pos, side) {
+      coordsIn(pos, side, rtl) {
         let found = this.resolveInline(pos, side, true);
         if (!found)
           return fallbackRect(this);
-        return found.tile.coordsIn(Math.max(0, found.offset), side);
+        return found.tile.coordsIn(Math.max(0, found.offset), side, rtl);
       }
       domIn(pos, side) {
         let found = this.resolveInline(pos, side);
@@ -6873,9 +7084,9 @@ var init_dist2 = __esm({
       }
     };
     TextTile = class _TextTile extends Tile {
-      constructor(dom, text) {
-        super(dom, text.length);
-        this.text = text;
+      constructor(dom, text3) {
+        super(dom, text3.length);
+        this.text = text3;
       }
       sync(track) {
         if (this.flags & 2)
@@ -6893,7 +7104,7 @@ var init_dist2 = __esm({
       toString() {
         return JSON.stringify(this.text);
       }
-      coordsIn(pos, side) {
+      coordsIn(pos, side, rtl) {
         let length = this.dom.nodeValue.length;
         if (pos > length)
           pos = length;
@@ -6920,10 +7131,10 @@ var init_dist2 = __esm({
         let rect = rects[(flatten2 ? flatten2 < 0 : side >= 0) ? 0 : rects.length - 1];
         if (browser.safari && !flatten2 && rect.width == 0)
           rect = Array.prototype.find.call(rects, (r) => r.width) || rect;
-        return flatten2 ? flattenRect(rect, flatten2 < 0) : rect || null;
+        return rtl == null ? rect : flattenRect(rect, (flatten2 ? flatten2 > 0 : side < 0) == rtl);
       }
-      static of(text, dom) {
-        let tile = new _TextTile(dom || document.createTextNode(text), text);
+      static of(text3, dom) {
+        let tile = new _TextTile(dom || document.createTextNode(text3), text3);
         if (!dom)
           tile.flags |= 2;
         return tile;
@@ -7002,8 +7213,9 @@ var init_dist2 = __esm({
       get overrideDOMText() {
         return Text.empty;
       }
-      coordsIn(pos) {
-        return this.dom.getBoundingClientRect();
+      coordsIn(pos, side, rtl) {
+        let rect = this.dom.getBoundingClientRect();
+        return rtl == null ? rect : flattenRect(rect, side > 0 == rtl);
       }
     };
     TilePointer = class {
@@ -7021,18 +7233,20 @@ var init_dist2 = __esm({
         let { tile, index, beforeBreak, parents } = this;
         while (dist2 || side > 0) {
           if (!tile.isComposite()) {
-            if (index == tile.length) {
+            let len = tile.length;
+            if (index < len && dist2) {
+              let take = Math.min(dist2, len - index);
+              if (walker)
+                walker.skip(tile, index, index + take);
+              dist2 -= take;
+              index += take;
+            }
+            if (index == len) {
               beforeBreak = !!tile.breakAfter;
               ({ tile, index } = parents.pop());
               index++;
             } else if (!dist2) {
               break;
-            } else {
-              let take = Math.min(dist2, tile.length - index);
-              if (walker)
-                walker.skip(tile, index, index + take);
-              dist2 -= take;
-              index += take;
             }
           } else if (beforeBreak) {
             if (!dist2)
@@ -7093,23 +7307,23 @@ var init_dist2 = __esm({
         this.wrappers = [];
         this.wrapperPos = 0;
       }
-      addText(text, marks2, openStart, tile) {
+      addText(text3, marks2, openStart, tile) {
         var _a2;
         this.flushBuffer();
         let parent = this.ensureMarks(marks2, openStart);
         let prev = parent.lastChild;
-        if (prev && prev.isText() && !(prev.flags & 8) && prev.length + text.length < 512) {
+        if (prev && prev.isText() && !(prev.flags & 8) && prev.length + text3.length < 512) {
           this.cache.reused.set(
             prev,
             2
             /* Reused.DOM */
           );
-          let tile2 = parent.children[parent.children.length - 1] = new TextTile(prev.dom, prev.text + text);
+          let tile2 = parent.children[parent.children.length - 1] = new TextTile(prev.dom, prev.text + text3);
           tile2.parent = parent;
         } else {
-          parent.append(tile || TextTile.of(text, (_a2 = this.cache.find(TextTile)) === null || _a2 === void 0 ? void 0 : _a2.dom));
+          parent.append(tile || TextTile.of(text3, (_a2 = this.cache.find(TextTile)) === null || _a2 === void 0 ? void 0 : _a2.dom));
         }
-        this.pos += text.length;
+        this.pos += text3.length;
         this.afterWidget = null;
       }
       addComposition(composition, context) {
@@ -7125,18 +7339,19 @@ var init_dist2 = __esm({
         let head = line;
         for (let i = context.marks.length - 1; i >= 0; i--) {
           let mark = context.marks[i];
-          let last = head.lastChild;
-          if (last instanceof MarkTile && last.mark.eq(mark.mark)) {
-            if (last.dom != mark.dom)
-              last.setDOM(freeNode(mark.dom));
-            head = last;
+          let last2 = head.lastChild;
+          if (last2 instanceof MarkTile && last2.mark.eq(mark.mark)) {
+            if (last2.dom != mark.dom)
+              last2.setDOM(freeNode(mark.dom));
+            head = last2;
           } else {
+            let { dom } = mark;
             if (this.cache.reused.get(mark)) {
               let tile = Tile.get(mark.dom);
               if (tile)
-                tile.setDOM(freeNode(mark.dom));
+                dom = freeNode(mark.dom);
             }
-            let nw = MarkTile.of(mark.mark, mark.dom);
+            let nw = MarkTile.of(mark.mark, dom);
             head.append(nw);
             head = nw;
           }
@@ -7153,9 +7368,10 @@ var init_dist2 = __esm({
             2
             /* Reused.DOM */
           );
-        let text = new TextTile(composition.text, composition.text.nodeValue);
-        text.flags |= 8;
-        head.append(text);
+        let text3 = new TextTile(composition.text, composition.text.nodeValue);
+        text3.flags |= 8;
+        this.pos = composition.range.toB;
+        head.append(text3);
       }
       addInlineWidget(widget, marks2, openStart) {
         let noSpace = this.afterWidget && widget.flags & 48 && (this.afterWidget.flags & 48) == (widget.flags & 48);
@@ -7216,9 +7432,9 @@ var init_dist2 = __esm({
         var _a2;
         let parent = this.curLine;
         for (let i = marks2.length - 1; i >= 0; i--) {
-          let mark = marks2[i], last;
-          if (openStart > 0 && (last = parent.lastChild) && last instanceof MarkTile && last.mark.eq(mark)) {
-            parent = last;
+          let mark = marks2[i], last2;
+          if (openStart > 0 && (last2 = parent.lastChild) && last2 instanceof MarkTile && last2.mark.eq(mark)) {
+            parent = last2;
             openStart--;
           } else {
             let tile = MarkTile.of(mark, (_a2 = this.cache.find(MarkTile, (m) => m.mark.eq(mark))) === null || _a2 === void 0 ? void 0 : _a2.dom);
@@ -7232,8 +7448,8 @@ var init_dist2 = __esm({
       endLine() {
         if (this.curLine) {
           this.flushBuffer();
-          let last = this.curLine.lastChild;
-          if (!last || !hasContent(this.curLine, false) || last.dom.nodeName != "BR" && last.isWidget() && !(browser.ios && hasContent(this.curLine, true)))
+          let last2 = this.curLine.lastChild;
+          if (!last2 || !hasContent(this.curLine, false) || last2.dom.nodeName != "BR" && last2.isWidget() && !(browser.ios && hasContent(this.curLine, true)))
             this.curLine.append(this.cache.findWidget(
               BreakWidget,
               0,
@@ -7257,9 +7473,10 @@ var init_dist2 = __esm({
         for (let i = this.wrappers.length - 1; i >= 0; i--)
           if (this.wrappers[i].to < this.pos)
             this.wrappers.splice(i, 1);
-        for (let cur = this.blockWrappers; cur.value && cur.from <= this.pos; cur.next())
-          if (cur.to >= this.pos) {
-            let wrap = new OpenWrapper(cur.from, cur.to, cur.value, cur.rank), i = this.wrappers.length;
+        for (let cur2 = this.blockWrappers; cur2.value && cur2.from <= this.pos; cur2.next())
+          if (cur2.to >= this.pos) {
+            let rank = cur2.rank * 102 + cur2.value.rank;
+            let wrap = new OpenWrapper(cur2.from, cur2.to, cur2.value, rank), i = this.wrappers.length;
             while (i > 0 && (this.wrappers[i - 1].rank - wrap.rank || this.wrappers[i - 1].to - wrap.to) < 0)
               i--;
             this.wrappers.splice(i, 0, wrap);
@@ -7271,9 +7488,9 @@ var init_dist2 = __esm({
         this.updateBlockWrappers();
         let parent = this.root;
         for (let wrap of this.wrappers) {
-          let last = parent.lastChild;
-          if (wrap.from < this.pos && last instanceof BlockWrapperTile && last.wrapper.eq(wrap.wrapper)) {
-            parent = last;
+          let last2 = parent.lastChild;
+          if (wrap.from < this.pos && last2 instanceof BlockWrapperTile && last2.wrapper.eq(wrap.wrapper)) {
+            parent = last2;
           } else {
             let tile = BlockWrapperTile.of(wrap.wrapper, (_a2 = this.cache.find(BlockWrapperTile, (t2) => t2.wrapper.eq(wrap.wrapper))) === null || _a2 === void 0 ? void 0 : _a2.dom);
             parent.append(tile);
@@ -7283,8 +7500,8 @@ var init_dist2 = __esm({
         return parent;
       }
       blockPosCovered() {
-        let last = this.lastBlock;
-        return last != null && !last.breakAfter && (!last.isWidget() || (last.flags & (32 | 128)) > 0);
+        let last2 = this.lastBlock;
+        return last2 != null && !last2.breakAfter && (!last2.isWidget() || (last2.flags & (32 | 128)) > 0);
       }
       getBuffer(side) {
         let flags = 2 | (side < 0 ? 16 : 32);
@@ -7361,8 +7578,8 @@ var init_dist2 = __esm({
       find(cls, test, type = 2) {
         let i = cls.bucket;
         let bucket = this.buckets[i], off = this.index[i];
-        for (let j = bucket.length - 1; j >= 0; j--) {
-          let index = (j + off) % bucket.length, tile = bucket[index];
+        for (let j2 = 0; j2 < bucket.length; j2++) {
+          let index = (j2 + off) % bucket.length, tile = bucket[index];
           if ((!test || test(tile)) && !this.reused.has(tile)) {
             bucket.splice(index, 1);
             if (index < off)
@@ -7384,7 +7601,7 @@ var init_dist2 = __esm({
               i = 0;
             }
             let tile = widgets[i];
-            if (!this.reused.has(tile) && (pass == 0 ? tile.widget.compare(widget) : tile.widget.constructor == widget.constructor && widget.updateDOM(tile.dom, this.view))) {
+            if (!this.reused.has(tile) && (pass == 0 ? tile.widget.compare(widget) : tile.widget.constructor == widget.constructor && widget.updateDOM(tile.dom, this.view, tile.widget))) {
               widgets.splice(i, 1);
               if (i < this.index[0])
                 this.index[0]--;
@@ -7470,6 +7687,7 @@ var init_dist2 = __esm({
           if (composition && next.fromA <= composition.range.fromA && next.toA >= composition.range.toA) {
             this.forward(next.fromA, composition.range.fromA, composition.range.fromA < composition.range.toA ? 1 : -1);
             this.emit(posB, composition.range.fromB);
+            this.builder.flushBuffer();
             this.cache.clear();
             this.builder.addComposition(composition, compositionContext);
             this.text.skip(composition.range.toB - composition.range.fromB);
@@ -7506,7 +7724,7 @@ var init_dist2 = __esm({
               }
             } else if (tile.isText()) {
               this.builder.ensureLine(null);
-              if (!from && to == tile.length) {
+              if (!from && to == tile.length && !this.cache.reused.has(tile)) {
                 this.builder.addText(tile.text, activeMarks, openMarks, this.cache.reuse(tile));
               } else {
                 this.cache.add(tile);
@@ -7565,7 +7783,7 @@ var init_dist2 = __esm({
       }
       emit(from, to) {
         let pendingLineAttrs = null;
-        let b = this.builder, markCount = 0;
+        let b = this.builder, markCount = -1;
         let openEnd = RangeSet.spans(this.decorations, from, to, {
           point: (from2, to2, deco, active, openStart, index) => {
             if (deco instanceof PointDecoration) {
@@ -7612,10 +7830,13 @@ var init_dist2 = __esm({
               }
               pendingLineAttrs = null;
             }
+            markCount = active.length;
           }
         });
-        b.addLineStartIfNotCovered(pendingLineAttrs);
-        this.openWidget = openEnd > markCount;
+        if (markCount > -1)
+          this.openWidget = openEnd > markCount;
+        if (!this.openWidget)
+          b.addLineStartIfNotCovered(pendingLineAttrs);
         this.openMarks = openEnd;
       }
       forward(from, to, side = 1) {
@@ -7627,9 +7848,9 @@ var init_dist2 = __esm({
           this.old.advance(5, side, this.reuseWalker);
         }
       }
-      getCompositionContext(text) {
+      getCompositionContext(text3) {
         let marks2 = [], line = null;
-        for (let parent = text.parentNode; ; parent = parent.parentNode) {
+        for (let parent = text3.parentNode; ; parent = parent.parentNode) {
           let tile = Tile.get(parent);
           if (parent == this.view.contentDOM)
             break;
@@ -7638,11 +7859,13 @@ var init_dist2 = __esm({
           else if (tile === null || tile === void 0 ? void 0 : tile.isLine())
             line = tile;
           else if (tile instanceof BlockWrapperTile) ;
-          else if (parent.nodeName == "DIV" && !line && parent != this.view.contentDOM)
+          else if (parent.nodeName == "DIV" && !line)
             line = new LineTile(parent, lineBaseAttrs);
           else if (!line)
             marks2.push(MarkTile.of(new MarkDecoration({ tagName: parent.nodeName.toLowerCase(), attributes: getAttrs(parent) }), parent));
         }
+        if (!line)
+          return null;
         return { line, marks: marks2 };
       }
     };
@@ -7756,6 +7979,12 @@ var init_dist2 = __esm({
           if (composition || changes.length) {
             let oldTile = this.tile;
             let builder = new TileUpdate(this.view, oldTile, this.blockWrappers, this.decorations, this.dynamicDecorationMap);
+            if (composition && Tile.get(composition.text))
+              builder.cache.reused.set(
+                Tile.get(composition.text),
+                2
+                /* Reused.DOM */
+              );
             this.tile = builder.run(changes, composition);
             destroyDropped(oldTile, builder.cache.reused);
           }
@@ -7820,9 +8049,9 @@ var init_dist2 = __esm({
               if (browser.gecko) {
                 let nextTo = nextToUneditable(anchor.node, anchor.offset);
                 if (nextTo && nextTo != (1 | 2)) {
-                  let text = (nextTo == 1 ? textNodeBefore : textNodeAfter)(anchor.node, anchor.offset);
-                  if (text)
-                    anchor = new DOMPos(text.node, text.offset);
+                  let text3 = (nextTo == 1 ? textNodeBefore : textNodeAfter)(anchor.node, anchor.offset);
+                  if (text3)
+                    anchor = new DOMPos(text3.node, text3.offset);
                 }
               }
               rawSel.collapse(anchor.node, anchor.offset);
@@ -7832,7 +8061,7 @@ var init_dist2 = __esm({
               rawSel.collapse(anchor.node, anchor.offset);
               try {
                 rawSel.extend(head.node, head.offset);
-              } catch (_) {
+              } catch (_2) {
               }
             } else {
               let range = document.createRange();
@@ -7934,7 +8163,7 @@ var init_dist2 = __esm({
       domAtPos(pos, side) {
         let { tile, offset } = this.tile.resolveBlock(pos, side);
         if (tile.isWidget())
-          return tile.domPosFor(pos, side);
+          return tile.domPosFor(offset, side);
         return tile.domIn(offset, side);
       }
       inlineDOMNearPos(pos, side) {
@@ -7970,14 +8199,16 @@ var init_dist2 = __esm({
           after = null;
         return before && side < 0 || !after ? before.domIn(beforeOff, side) : after.domIn(afterOff, side);
       }
-      coordsAt(pos, side) {
+      // Get the coord of the element at the given side of the given
+      // position. If rtl is given, flatten it using that text direction.
+      coordsAt(pos, side, rtl) {
         let { tile, offset } = this.tile.resolveBlock(pos, side);
         if (tile.isWidget()) {
           if (tile.widget instanceof BlockGapWidget)
             return null;
           return tile.coordsInWidget(offset, side, true);
         }
-        return tile.coordsIn(offset, side);
+        return tile.coordsIn(offset, side, rtl);
       }
       lineAt(pos, side) {
         let { tile } = this.tile.resolveBlock(pos, side);
@@ -8037,8 +8268,8 @@ var init_dist2 = __esm({
               result.push(height + spaceAbove);
               spaceAbove = 0;
               if (isWider) {
-                let last = child.dom.lastChild;
-                let rects = last ? clientRectsFor(last) : [];
+                let last2 = child.dom.lastChild;
+                let rects = last2 ? clientRectsFor(last2) : [];
                 if (rects.length) {
                   let rect = rects[rects.length - 1];
                   let width = ltr ? rect.right - childRect.left : childRect.right - rect.left;
@@ -8163,7 +8394,7 @@ var init_dist2 = __esm({
           }
         }
         let { range } = target;
-        let rect = this.coordsAt(range.head, range.empty ? range.assoc : range.head > range.anchor ? -1 : 1), other;
+        let rect = this.coordsAt(range.head, range.assoc || (range.head > range.anchor ? -1 : 1)), other;
         if (!rect)
           return;
         if (!range.empty && (other = this.coordsAt(range.anchor, range.anchor > range.head ? -1 : 1)))
@@ -8182,10 +8413,13 @@ var init_dist2 = __esm({
         };
         let { offsetWidth, offsetHeight } = this.view.scrollDOM;
         scrollRectIntoView(this.view.scrollDOM, targetRect, range.head < range.anchor ? -1 : 1, target.x, target.y, Math.max(Math.min(target.xMargin, offsetWidth), -offsetWidth), Math.max(Math.min(target.yMargin, offsetHeight), -offsetHeight), this.view.textDirection == Direction.LTR);
-        if (window.visualViewport && window.innerHeight - window.visualViewport.height > 1 && (rect.top > window.pageYOffset + window.visualViewport.offsetTop + window.visualViewport.height || rect.bottom < window.pageYOffset + window.visualViewport.offsetTop)) {
+        if (window.visualViewport && window.innerHeight - window.visualViewport.height > 1 && (rect.top > window.visualViewport.offsetTop + window.visualViewport.height || rect.bottom < window.visualViewport.offsetTop)) {
           let line = this.view.docView.lineAt(range.head, 1);
-          if (line)
+          if (line) {
+            let stack = getScrollStack(line.dom);
             line.dom.scrollIntoView({ block: "nearest" });
+            restoreScrollStack(stack, false);
+          }
         }
       }
       lineHasWidget(pos) {
@@ -8258,10 +8492,10 @@ var init_dist2 = __esm({
       }
     };
     InlineCoordsScan = class {
-      constructor(view, x, y, baseDir) {
+      constructor(view, x2, y2, baseDir) {
         this.view = view;
-        this.x = x;
-        this.y = y;
+        this.x = x2;
+        this.y = y2;
         this.baseDir = baseDir;
         this.line = null;
         this.spans = null;
@@ -8289,13 +8523,12 @@ var init_dist2 = __esm({
       }
       // Scan through the rectangles for the content of a tile with inline
       // content, looking for one that overlaps the queried position
-      // vertically andis
-      // closest horizontally. The caller is responsible for dividing its
-      // content into N pieces, and pass an array with N+1 positions
-      // (including the position after the last piece). For a text tile,
-      // these will be character clusters, for a composite tile, these
-      // will be child tiles.
-      scan(positions, getRects) {
+      // vertically and is closest horizontally. The caller is responsible
+      // for dividing its content into N pieces, and pass an array with
+      // N+1 positions (including the position after the last piece). For
+      // a text tile, these will be character clusters, for a composite
+      // tile, these will be child tiles.
+      scan(positions, getRects, recursed = false) {
         let lo = 0, hi = positions.length - 1, seen = /* @__PURE__ */ new Set();
         let bidi = this.bidiIn(positions[0], positions[hi]);
         let above, below;
@@ -8303,23 +8536,24 @@ var init_dist2 = __esm({
         search: while (lo < hi) {
           let dist2 = hi - lo, mid = lo + hi >> 1;
           adjust: if (seen.has(mid)) {
-            let scan = lo + Math.floor(Math.random() * dist2);
-            for (let i = 0; i < dist2; i++) {
+            for (let i = 1; i < dist2; i++) {
+              let scan = mid + i;
+              if (scan >= hi)
+                scan -= dist2;
               if (!seen.has(scan)) {
                 mid = scan;
                 break adjust;
               }
-              scan++;
-              if (scan == hi)
-                scan = lo;
             }
             break search;
           }
           seen.add(mid);
-          let rects = getRects(mid);
+          let rects = getRects(mid), side = 0;
           if (rects)
             for (let i = 0; i < rects.length; i++) {
-              let rect = rects[i], side = 0;
+              let rect = rects[i];
+              if (rect.width == 0 && rects.length > 1)
+                continue;
               if (rect.bottom < this.y) {
                 if (!above || above.bottom < rect.bottom)
                   above = rect;
@@ -8339,16 +8573,29 @@ var init_dist2 = __esm({
                 if (off)
                   side = off < 0 == (this.baseDir == Direction.LTR) ? -1 : 1;
               }
-              if (side == -1 && (!bidi || this.baseDirAt(positions[mid], 1)))
-                hi = mid;
-              else if (side == 1 && (!bidi || this.baseDirAt(positions[mid + 1], -1)))
-                lo = mid + 1;
             }
+          if (side == -1 && (!bidi || this.baseDirAt(positions[mid], 1)))
+            hi = mid;
+          else if (side == 1 && (!bidi || this.baseDirAt(positions[mid + 1], -1)))
+            lo = mid + 1;
         }
         if (!closestRect) {
+          if (!below && !above)
+            return { i: 0, after: false };
           let side = above && (!below || this.y - above.bottom < below.top - this.y) ? above : below;
           this.y = (side.top + side.bottom) / 2;
-          return this.scan(positions, getRects);
+          return this.scan(positions, getRects, true);
+        }
+        if (closestDx && !recursed) {
+          let { top: top2, bottom } = closestRect;
+          if (above && above.bottom > (top2 + top2 + bottom) / 3) {
+            this.y = above.bottom - 1;
+            return this.scan(positions, getRects, true);
+          }
+          if (below && below.top < (top2 + bottom + bottom) / 3) {
+            this.y = below.top + 1;
+            return this.scan(positions, getRects, true);
+          }
         }
         let ltr = (bidi ? this.dirAt(positions[closestI], 1) : this.baseDir) == Direction.LTR;
         return {
@@ -8403,8 +8650,8 @@ var init_dist2 = __esm({
         this.text = "";
         this.lineSeparator = view.state.facet(EditorState.lineSeparator);
       }
-      append(text) {
-        this.text += text;
+      append(text3) {
+        this.text += text3;
       }
       lineBreak() {
         this.text += LineBreakPlaceholder;
@@ -8413,39 +8660,39 @@ var init_dist2 = __esm({
         if (!start)
           return this;
         let parent = start.parentNode;
-        for (let cur = start; ; ) {
-          this.findPointBefore(parent, cur);
+        for (let cur2 = start; ; ) {
+          this.findPointBefore(parent, cur2);
           let oldLen = this.text.length;
-          this.readNode(cur);
-          let tile = Tile.get(cur), next = cur.nextSibling;
+          this.readNode(cur2);
+          let tile = Tile.get(cur2), next = cur2.nextSibling;
           if (next == end) {
             if ((tile === null || tile === void 0 ? void 0 : tile.breakAfter) && !next && parent != this.view.contentDOM)
               this.lineBreak();
             break;
           }
           let nextTile = Tile.get(next);
-          if ((tile && nextTile ? tile.breakAfter : (tile ? tile.breakAfter : isBlockElement(cur)) || isBlockElement(next) && (cur.nodeName != "BR" || (tile === null || tile === void 0 ? void 0 : tile.isWidget())) && this.text.length > oldLen) && !isEmptyToEnd(next, end))
+          if ((tile && nextTile ? tile.breakAfter : (tile ? tile.breakAfter : isBlockElement(cur2)) || isBlockElement(next) && (cur2.nodeName != "BR" || (tile === null || tile === void 0 ? void 0 : tile.isWidget())) && this.text.length > oldLen) && !isEmptyToEnd(next, end))
             this.lineBreak();
-          cur = next;
+          cur2 = next;
         }
         this.findPointBefore(parent, end);
         return this;
       }
       readTextNode(node) {
-        let text = node.nodeValue;
+        let text3 = node.nodeValue;
         for (let point of this.points)
           if (point.node == node)
-            point.pos = this.text.length + Math.min(point.offset, text.length);
-        for (let off = 0, re = this.lineSeparator ? null : /\r\n?|\n/g; ; ) {
+            point.pos = this.text.length + Math.min(point.offset, text3.length);
+        for (let off = 0, re2 = this.lineSeparator ? null : /\r\n?|\n/g; ; ) {
           let nextBreak = -1, breakSize = 1, m;
           if (this.lineSeparator) {
-            nextBreak = text.indexOf(this.lineSeparator, off);
+            nextBreak = text3.indexOf(this.lineSeparator, off);
             breakSize = this.lineSeparator.length;
-          } else if (m = re.exec(text)) {
+          } else if (m = re2.exec(text3)) {
             nextBreak = m.index;
             breakSize = m[0].length;
           }
-          this.append(text.slice(off, nextBreak < 0 ? text.length : nextBreak));
+          this.append(text3.slice(off, nextBreak < 0 ? text3.length : nextBreak));
           if (nextBreak < 0)
             break;
           this.lineBreak();
@@ -8501,7 +8748,7 @@ var init_dist2 = __esm({
         this.bounds = null;
         this.text = "";
         this.domChanged = start > -1;
-        let { impreciseHead: iHead, impreciseAnchor: iAnchor } = view.docView;
+        let { impreciseHead: iHead, impreciseAnchor: iAnchor } = view.docView, curSel = view.state.selection;
         if (view.state.readOnly && start > -1) {
           this.newSel = null;
         } else if (start > -1 && (this.bounds = domBoundsAround(view.docView.tile, start, end, 0))) {
@@ -8512,10 +8759,10 @@ var init_dist2 = __esm({
           this.newSel = selectionFromPoints(selPoints, this.bounds.from);
         } else {
           let domSel = view.observer.selectionRange;
-          let head = iHead && iHead.node == domSel.focusNode && iHead.offset == domSel.focusOffset || !contains(view.contentDOM, domSel.focusNode) ? view.state.selection.main.head : view.docView.posFromDOM(domSel.focusNode, domSel.focusOffset);
-          let anchor = iAnchor && iAnchor.node == domSel.anchorNode && iAnchor.offset == domSel.anchorOffset || !contains(view.contentDOM, domSel.anchorNode) ? view.state.selection.main.anchor : view.docView.posFromDOM(domSel.anchorNode, domSel.anchorOffset);
+          let head = iHead && iHead.node == domSel.focusNode && iHead.offset == domSel.focusOffset || !contains(view.contentDOM, domSel.focusNode) ? curSel.main.head : view.docView.posFromDOM(domSel.focusNode, domSel.focusOffset);
+          let anchor = iAnchor && iAnchor.node == domSel.anchorNode && iAnchor.offset == domSel.anchorOffset || !contains(view.contentDOM, domSel.anchorNode) ? curSel.main.anchor : view.docView.posFromDOM(domSel.anchorNode, domSel.anchorOffset);
           let vp = view.viewport;
-          if ((browser.ios || browser.chrome) && view.state.selection.main.empty && head != anchor && (vp.from > 0 || vp.to < view.state.doc.length)) {
+          if ((browser.ios || browser.chrome) && head != anchor && Math.min(head, anchor) <= curSel.main.from && Math.max(head, anchor) >= curSel.main.to && (vp.from > 0 || vp.to < view.state.doc.length)) {
             let from = Math.min(head, anchor), to = Math.max(head, anchor);
             let offFrom = vp.from - from, offTo = vp.to - to;
             if ((offFrom == 0 || offFrom == 1 || from == 0) && (offTo == 0 || offTo == -1 || to == view.state.doc.length)) {
@@ -8523,10 +8770,16 @@ var init_dist2 = __esm({
               anchor = view.state.doc.length;
             }
           }
-          if (view.inputState.composing > -1 && view.state.selection.ranges.length > 1)
-            this.newSel = view.state.selection.replaceRange(EditorSelection.range(anchor, head));
-          else
+          if (view.inputState.composing > -1 && curSel.ranges.length > 1) {
+            this.newSel = curSel.replaceRange(EditorSelection.range(anchor, head));
+          } else if (view.lineWrapping && anchor == head && !(curSel.main.empty && curSel.main.head == head) && view.inputState.lastTouchTime > Date.now() - 100) {
+            let before = view.coordsAtPos(head, -1), assoc = 0;
+            if (before)
+              assoc = view.inputState.lastTouchY <= before.bottom ? -1 : 1;
+            this.newSel = EditorSelection.create([EditorSelection.cursor(head, assoc)]);
+          } else {
             this.newSel = EditorSelection.single(anchor, head);
+          }
         }
       }
     };
@@ -8539,11 +8792,16 @@ var init_dist2 = __esm({
         this.view = view;
         this.lastKeyCode = 0;
         this.lastKeyTime = 0;
+        this.touchActive = false;
         this.lastTouchTime = 0;
+        this.lastTouchX = 0;
+        this.lastTouchY = 0;
         this.lastFocusTime = 0;
         this.lastScrollTop = 0;
         this.lastScrollLeft = 0;
+        this.lastWheelEvent = 0;
         this.pendingIOSKey = void 0;
+        this.lastIOSMomentumScroll = 0;
         this.tabFocusMode = -1;
         this.lastSelectionOrigin = null;
         this.lastSelectionTime = 0;
@@ -8620,10 +8878,15 @@ var init_dist2 = __esm({
           this.view.observer.delayAndroidKey(event.key, event.keyCode);
           return true;
         }
-        let pending;
-        if (browser.ios && !event.synthetic && !event.altKey && !event.metaKey && ((pending = PendingKeys.find((key) => key.keyCode == event.keyCode)) && !event.ctrlKey || EmacsyPendingKeys.indexOf(event.key) > -1 && event.ctrlKey && !event.shiftKey)) {
-          this.pendingIOSKey = pending || event;
-          setTimeout(() => this.flushIOSKey(), 250);
+        if (browser.ios && !event.synthetic && !event.altKey && !event.metaKey && (PendingKeys.some((key) => key.keyCode == event.keyCode) && !event.ctrlKey || EmacsyPendingKeys.indexOf(event.key) > -1 && event.ctrlKey)) {
+          let mods = { ctrlKey: event.ctrlKey, altKey: event.altKey, metaKey: event.metaKey, shiftKey: event.shiftKey };
+          if (mods.shiftKey && browser.ios && !/^(off|none)$/.test(this.view.contentDOM.autocapitalize) && iosVirtualKeyboardOpen(this.view.win))
+            mods.shiftKey = false;
+          let pending = this.pendingIOSKey = { key: event.key, keyCode: event.keyCode, mods };
+          setTimeout(() => {
+            if (this.pendingIOSKey == pending)
+              this.flushIOSKey();
+          }, 50);
           return true;
         }
         if (event.keyCode != 229)
@@ -8632,12 +8895,12 @@ var init_dist2 = __esm({
       }
       flushIOSKey(change) {
         let key = this.pendingIOSKey;
-        if (!key)
+        if (!key || this.view.observer.pendingRecords().length)
           return false;
         if (key.key == "Enter" && change && change.from < change.to && /^\S+$/.test(change.insert.toString()))
           return false;
         this.pendingIOSKey = void 0;
-        return dispatchKey(this.view.contentDOM, key.key, key.keyCode, key instanceof KeyboardEvent ? key : void 0);
+        return dispatchKey(this.view.contentDOM, key.key, key.keyCode, key.mods);
       }
       ignoreDuringComposition(event) {
         if (!/^key/.test(event.type) || event.synthetic)
@@ -8748,17 +9011,17 @@ var init_dist2 = __esm({
         }
       }
       scroll() {
-        let { x, y } = this.scrollSpeed;
-        if (x && this.scrollParents.x) {
-          this.scrollParents.x.scrollLeft += x;
-          x = 0;
+        let { x: x2, y: y2 } = this.scrollSpeed;
+        if (x2 && this.scrollParents.x) {
+          this.scrollParents.x.scrollLeft += x2;
+          x2 = 0;
         }
-        if (y && this.scrollParents.y) {
-          this.scrollParents.y.scrollTop += y;
-          y = 0;
+        if (y2 && this.scrollParents.y) {
+          this.scrollParents.y.scrollTop += y2;
+          y2 = 0;
         }
-        if (x || y)
-          this.view.win.scrollBy(x, y);
+        if (x2 || y2)
+          this.view.win.scrollBy(x2, y2);
         if (this.dragging === false)
           this.select(this.lastEvent);
       }
@@ -8782,8 +9045,14 @@ var init_dist2 = __esm({
     observers = /* @__PURE__ */ Object.create(null);
     brokenClipboardAPI = browser.ie && browser.ie_version < 15 || browser.ios && browser.webkit_version < 604;
     observers.scroll = (view) => {
-      view.inputState.lastScrollTop = view.scrollDOM.scrollTop;
-      view.inputState.lastScrollLeft = view.scrollDOM.scrollLeft;
+      let iState = view.inputState;
+      iState.lastScrollTop = view.scrollDOM.scrollTop;
+      iState.lastScrollLeft = view.scrollDOM.scrollLeft;
+      if (browser.ios && !iState.touchActive)
+        iState.lastIOSMomentumScroll = Date.now();
+    };
+    observers.wheel = observers.mousewheel = (view) => {
+      view.inputState.lastWheelEvent = Date.now();
     };
     handlers.keydown = (view, event) => {
       view.inputState.setSelectionOrigin("select");
@@ -8792,12 +9061,21 @@ var init_dist2 = __esm({
       return false;
     };
     observers.touchstart = (view, e) => {
-      view.inputState.lastTouchTime = Date.now();
-      view.inputState.setSelectionOrigin("select.pointer");
+      let iState = view.inputState, touch = e.targetTouches[0];
+      iState.touchActive = true;
+      iState.lastTouchTime = Date.now();
+      if (touch) {
+        iState.lastTouchX = touch.clientX;
+        iState.lastTouchY = touch.clientY;
+      }
+      iState.setSelectionOrigin("select.pointer");
     };
     observers.touchmove = (view) => {
       view.inputState.setSelectionOrigin("select.pointer");
     };
+    observers.touchend = (view, e) => {
+      view.inputState.touchActive = false;
+    };
     handlers.mousedown = (view, event) => {
       view.observer.flush();
       if (view.inputState.lastTouchTime > Date.now() - 2e3)
@@ -8841,7 +9119,7 @@ var init_dist2 = __esm({
         if (tile && tile.isWidget()) {
           let from = tile.posAtStart, to = from + tile.length;
           if (from >= range.to || to <= range.from)
-            range = EditorSelection.range(from, to);
+            range = EditorSelection.undirectionalRange(from, to);
         }
       }
       let { inputState } = view;
@@ -8865,26 +9143,26 @@ var init_dist2 = __esm({
         return true;
       let files = event.dataTransfer.files;
       if (files && files.length) {
-        let text = Array(files.length), read = 0;
+        let text3 = Array(files.length), read = 0;
         let finishFile = () => {
           if (++read == files.length)
-            dropText(view, event, text.filter((s) => s != null).join(view.state.lineBreak), false);
+            dropText(view, event, text3.filter((s) => s != null).join(view.state.lineBreak), false);
         };
         for (let i = 0; i < files.length; i++) {
           let reader = new FileReader();
           reader.onerror = finishFile;
           reader.onload = () => {
             if (!/[\x00-\x08\x0e-\x1f]{2}/.test(reader.result))
-              text[i] = reader.result;
+              text3[i] = reader.result;
             finishFile();
           };
           reader.readAsText(files[i]);
         }
         return true;
       } else {
-        let text = event.dataTransfer.getData("Text");
-        if (text) {
-          dropText(view, event, text, true);
+        let text3 = event.dataTransfer.getData("Text");
+        if (text3) {
+          dropText(view, event, text3, true);
           return true;
         }
       }
@@ -8907,10 +9185,10 @@ var init_dist2 = __esm({
     handlers.copy = handlers.cut = (view, event) => {
       if (!hasSelection(view.contentDOM, view.observer.selectionRange))
         return false;
-      let { text, ranges, linewise } = copiedRange(view.state);
-      if (!text && !linewise)
+      let { text: text3, ranges, linewise } = copiedRange(view.state);
+      if (!text3 && !linewise)
         return false;
-      lastLinewiseCopy = linewise ? text : null;
+      lastLinewiseCopy = linewise ? text3 : null;
       if (event.type == "cut" && !view.state.readOnly)
         view.dispatch({
           changes: ranges,
@@ -8920,10 +9198,10 @@ var init_dist2 = __esm({
       let data2 = brokenClipboardAPI ? null : event.clipboardData;
       if (data2) {
         data2.clearData();
-        data2.setData("text/plain", text);
+        data2.setData("text/plain", text3);
         return true;
       } else {
-        captureCopy(view, text);
+        captureCopy(view, text3);
         return false;
       }
     };
@@ -8946,6 +9224,13 @@ var init_dist2 = __esm({
       if (view.inputState.compositionFirstChange == null)
         view.inputState.compositionFirstChange = true;
       if (view.inputState.composing < 0) {
+        let { main } = view.state.selection;
+        if (!main.empty && view.lineBlockAt(main.from).from != view.lineBlockAt(main.to).from) {
+          view.dispatch({
+            changes: view.state.selection.ranges.filter((r) => !r.empty).map((r) => ({ from: r.from, to: r.to })),
+            userEvent: "input"
+          });
+        }
         view.inputState.composing = 0;
       }
     };
@@ -8978,11 +9263,11 @@ var init_dist2 = __esm({
         view.inputState.insertingTextAt = Date.now();
       }
       if (event.inputType == "insertReplacementText" && view.observer.editContext) {
-        let text = (_a2 = event.dataTransfer) === null || _a2 === void 0 ? void 0 : _a2.getData("text/plain"), ranges = event.getTargetRanges();
-        if (text && ranges.length) {
+        let text3 = (_a2 = event.dataTransfer) === null || _a2 === void 0 ? void 0 : _a2.getData("text/plain"), ranges = event.getTargetRanges();
+        if (text3 && ranges.length) {
           let r = ranges[0];
           let from = view.posAtDOM(r.startContainer, r.startOffset), to = view.posAtDOM(r.endContainer, r.endOffset);
-          applyDOMChangeInner(view, { from, to, insert: view.state.toText(text) }, null);
+          applyDOMChangeInner(view, { from, to, insert: view.state.toText(text3) }, null);
           return true;
         }
       }
@@ -9043,19 +9328,19 @@ var init_dist2 = __esm({
       mustRefreshForHeights(lineHeights) {
         let newHeight = false;
         for (let i = 0; i < lineHeights.length; i++) {
-          let h = lineHeights[i];
-          if (h < 0) {
+          let h2 = lineHeights[i];
+          if (h2 < 0) {
             i++;
-          } else if (!this.heightSamples[Math.floor(h * 10)]) {
+          } else if (!this.heightSamples[Math.floor(h2 * 10)]) {
             newHeight = true;
-            this.heightSamples[Math.floor(h * 10)] = true;
+            this.heightSamples[Math.floor(h2 * 10)] = true;
           }
         }
         return newHeight;
       }
       refresh(whiteSpace, lineHeight, charWidth, textHeight, lineLength, knownHeights) {
         let lineWrapping = wrappingWhiteSpace.indexOf(whiteSpace) > -1;
-        let changed = Math.abs(lineHeight - this.lineHeight) > 0.3 || this.lineWrapping != lineWrapping || Math.abs(charWidth - this.charWidth) > 0.1;
+        let changed = Math.abs(lineHeight - this.lineHeight) > 0.3 || this.lineWrapping != lineWrapping;
         this.lineWrapping = lineWrapping;
         this.lineHeight = lineHeight;
         this.charWidth = charWidth;
@@ -9064,11 +9349,11 @@ var init_dist2 = __esm({
         if (changed) {
           this.heightSamples = {};
           for (let i = 0; i < knownHeights.length; i++) {
-            let h = knownHeights[i];
-            if (h < 0)
+            let h2 = knownHeights[i];
+            if (h2 < 0)
               i++;
             else
-              this.heightSamples[Math.floor(h * 10)] = true;
+              this.heightSamples[Math.floor(h2 * 10)] = true;
           }
         }
         return changed;
@@ -9176,11 +9461,11 @@ var init_dist2 = __esm({
         result.push(this);
       }
       applyChanges(decorations2, oldDoc, oracle, changes) {
-        let me = this, doc2 = oracle.doc;
+        let me2 = this, doc2 = oracle.doc;
         for (let i = changes.length - 1; i >= 0; i--) {
           let { fromA, toA, fromB, toB } = changes[i];
-          let start = me.lineAt(fromA, QueryType.ByPosNoHeight, oracle.setDoc(oldDoc), 0, 0);
-          let end = start.to >= toA ? start : me.lineAt(toA, QueryType.ByPosNoHeight, oracle, 0, 0);
+          let start = me2.lineAt(fromA, QueryType.ByPosNoHeight, oracle.setDoc(oldDoc), 0, 0);
+          let end = start.to >= toA ? start : me2.lineAt(toA, QueryType.ByPosNoHeight, oracle, 0, 0);
           toB += end.to - toA;
           toA = end.to;
           while (i > 0 && start.from <= changes[i - 1].toA) {
@@ -9188,14 +9473,14 @@ var init_dist2 = __esm({
             fromB = changes[i - 1].fromB;
             i--;
             if (fromA < start.from)
-              start = me.lineAt(fromA, QueryType.ByPosNoHeight, oracle, 0, 0);
+              start = me2.lineAt(fromA, QueryType.ByPosNoHeight, oracle, 0, 0);
           }
           fromB += start.from - fromA;
           fromA = start.from;
           let nodes = NodeBuilder.build(oracle.setDoc(doc2), decorations2, fromB, toB);
-          me = replace(me, me.replace(fromA, toA, nodes));
+          me2 = replace(me2, me2.replace(fromA, toA, nodes));
         }
-        return me.updateHeight(oracle, 0);
+        return me2.updateHeight(oracle, 0);
       }
       static empty() {
         return new HeightMapText(0, 0, 0);
@@ -9207,24 +9492,24 @@ var init_dist2 = __esm({
       static of(nodes) {
         if (nodes.length == 1)
           return nodes[0];
-        let i = 0, j = nodes.length, before = 0, after = 0;
+        let i = 0, j2 = nodes.length, before = 0, after = 0;
         for (; ; ) {
-          if (i == j) {
+          if (i == j2) {
             if (before > after * 2) {
               let split = nodes[i - 1];
               if (split.break)
                 nodes.splice(--i, 1, split.left, null, split.right);
               else
                 nodes.splice(--i, 1, split.left, split.right);
-              j += 1 + split.break;
+              j2 += 1 + split.break;
               before -= split.size;
             } else if (after > before * 2) {
-              let split = nodes[j];
+              let split = nodes[j2];
               if (split.break)
-                nodes.splice(j, 1, split.left, null, split.right);
+                nodes.splice(j2, 1, split.left, null, split.right);
               else
-                nodes.splice(j, 1, split.left, split.right);
-              j += 2 + split.break;
+                nodes.splice(j2, 1, split.left, split.right);
+              j2 += 2 + split.break;
               after -= split.size;
             } else {
               break;
@@ -9234,20 +9519,20 @@ var init_dist2 = __esm({
             if (next)
               before += next.size;
           } else {
-            let next = nodes[--j];
+            let next = nodes[--j2];
             if (next)
               after += next.size;
           }
         }
-        let brk = 0;
+        let brk = false;
         if (nodes[i - 1] == null) {
-          brk = 1;
+          brk = true;
           i--;
         } else if (nodes[i] == null) {
-          brk = 1;
-          j++;
+          brk = true;
+          j2++;
         }
-        return new HeightMapBranch(_HeightMap.of(nodes.slice(0, i)), brk, _HeightMap.of(nodes.slice(j)));
+        return new HeightMapBranch(_HeightMap.of(nodes.slice(0, i)), brk, _HeightMap.of(nodes.slice(j2)));
       }
     };
     HeightMap.prototype.size = 1;
@@ -9394,9 +9679,9 @@ var init_dist2 = __esm({
       replace(from, to, nodes) {
         let after = this.length - to;
         if (after > 0) {
-          let last = nodes[nodes.length - 1];
-          if (last instanceof _HeightMapGap)
-            nodes[nodes.length - 1] = new _HeightMapGap(last.length + after);
+          let last2 = nodes[nodes.length - 1];
+          if (last2 instanceof _HeightMapGap)
+            nodes[nodes.length - 1] = new _HeightMapGap(last2.length + after);
           else
             nodes.push(null, new _HeightMapGap(after - 1));
         }
@@ -9457,11 +9742,13 @@ var init_dist2 = __esm({
     };
     HeightMapBranch = class extends HeightMap {
       constructor(left, brk, right) {
-        super(left.length + brk + right.length, left.height + right.height, brk | (left.outdated || right.outdated ? 2 : 0));
+        super(left.length + (brk ? 1 : 0) + right.length, left.height + right.height, (brk ? 1 : 0) | (left.outdated || right.outdated ? 2 : 0));
         this.left = left;
         this.right = right;
         this.size = left.size + right.size;
       }
+      // Returns 1 if there is a line break between this.left and
+      // this.right, 0 otherwise.
       get break() {
         return this.flags & 1;
       }
@@ -9491,11 +9778,11 @@ var init_dist2 = __esm({
         } else {
           let mid = this.lineAt(rightOffset, QueryType.ByPos, oracle, top2, offset);
           if (from < mid.from)
-            this.left.forEachLine(from, mid.from - 1, oracle, top2, offset, f);
+            this.left.forEachLine(from, Math.min(to, mid.from - 1), oracle, top2, offset, f);
           if (mid.to >= from && mid.from <= to)
             f(mid);
           if (to > mid.to)
-            this.right.forEachLine(mid.to + 1, to, oracle, rightTop, rightOffset, f);
+            this.right.forEachLine(Math.max(from, mid.to + 1), to, oracle, rightTop, rightOffset, f);
         }
       }
       replace(from, to, nodes) {
@@ -9589,9 +9876,9 @@ var init_dist2 = __esm({
       }
       span(_from, to) {
         if (this.lineStart > -1) {
-          let end = Math.min(to, this.lineEnd), last = this.nodes[this.nodes.length - 1];
-          if (last instanceof HeightMapText)
-            last.length += end - this.pos;
+          let end = Math.min(to, this.lineEnd), last2 = this.nodes[this.nodes.length - 1];
+          if (last2 instanceof HeightMapText)
+            last2.length += end - this.pos;
           else if (end > this.pos || !this.isCovered)
             this.nodes.push(new HeightMapText(end - this.pos, -1, 0));
           this.writtenTo = end;
@@ -9644,9 +9931,9 @@ var init_dist2 = __esm({
       }
       ensureLine() {
         this.enterLine();
-        let last = this.nodes.length ? this.nodes[this.nodes.length - 1] : null;
-        if (last instanceof HeightMapText)
-          return last;
+        let last2 = this.nodes.length ? this.nodes[this.nodes.length - 1] : null;
+        if (last2 instanceof HeightMapText)
+          return last2;
         let line = new HeightMapText(0, -1, 0);
         this.nodes.push(line);
         return line;
@@ -9670,10 +9957,10 @@ var init_dist2 = __esm({
         this.writtenTo = this.pos = this.pos + length;
       }
       finish(from) {
-        let last = this.nodes.length == 0 ? null : this.nodes[this.nodes.length - 1];
-        if (this.lineStart > -1 && !(last instanceof HeightMapText) && !this.isCovered)
+        let last2 = this.nodes.length == 0 ? null : this.nodes[this.nodes.length - 1];
+        if (this.lineStart > -1 && !(last2 instanceof HeightMapText) && !this.isCovered)
           this.nodes.push(new HeightMapText(0, -1, 0));
-        else if (this.writtenTo < this.pos || last == null)
+        else if (this.writtenTo < this.pos || last2 == null)
           this.nodes.push(this.blankContent(this.writtenTo, this.pos));
         let pos = from;
         for (let node of this.nodes) {
@@ -9753,7 +10040,8 @@ var init_dist2 = __esm({
       }
     };
     ViewState = class {
-      constructor(state) {
+      constructor(view, state) {
+        this.view = view;
         this.state = state;
         this.pixelViewport = { left: 0, right: window.innerWidth, top: 0, bottom: 0 };
         this.inView = true;
@@ -9763,10 +10051,10 @@ var init_dist2 = __esm({
         this.contentDOMHeight = 0;
         this.editorHeight = 0;
         this.editorWidth = 0;
-        this.scrollTop = 0;
-        this.scrolledToBottom = false;
         this.scaleX = 1;
         this.scaleY = 1;
+        this.scrollOffset = 0;
+        this.scrolledToBottom = false;
         this.scrollAnchorPos = 0;
         this.scrollAnchorHeight = -1;
         this.scaler = IdScaler;
@@ -9788,6 +10076,7 @@ var init_dist2 = __esm({
         this.updateViewportLines();
         this.lineGaps = this.ensureLineGaps([]);
         this.lineGapDeco = Decoration.set(this.lineGaps.map((gap) => gap.draw(this, false)));
+        this.scrollParent = view.scrollDOM;
         this.computeVisibleRanges();
       }
       updateForViewport() {
@@ -9820,7 +10109,7 @@ var init_dist2 = __esm({
         let contentChanges = update.changedRanges;
         let heightChanges = ChangedRange.extendWithRanges(contentChanges, heightRelevantDecoChanges(prevDeco, this.stateDeco, update ? update.changes : ChangeSet.empty(this.state.doc.length)));
         let prevHeight = this.heightMap.height;
-        let scrollAnchor = this.scrolledToBottom ? null : this.scrollAnchorAt(this.scrollTop);
+        let scrollAnchor = this.scrolledToBottom ? null : this.scrollAnchorAt(this.scrollOffset);
         clearHeightChangeFlag();
         this.heightMap = this.heightMap.applyChanges(this.stateDeco, update.startState.doc, this.heightOracle.setDoc(this.state.doc), heightChanges);
         if (this.heightMap.height != prevHeight || heightChangeFlag)
@@ -9848,8 +10137,8 @@ var init_dist2 = __esm({
         if (!this.mustEnforceCursorAssoc && (update.selectionSet || update.focusChanged) && update.view.lineWrapping && update.state.selection.main.empty && update.state.selection.main.assoc && !update.state.facet(nativeSelectionHidden))
           this.mustEnforceCursorAssoc = true;
       }
-      measure(view) {
-        let dom = view.contentDOM, style = window.getComputedStyle(dom);
+      measure() {
+        let { view } = this, dom = view.contentDOM, style = window.getComputedStyle(dom);
         let oracle = this.heightOracle;
         let whiteSpace = style.whiteSpace;
         this.defaultTextDirection = style.direction == "rtl" ? Direction.RTL : Direction.LTR;
@@ -9881,12 +10170,18 @@ var init_dist2 = __esm({
           this.editorWidth = view.scrollDOM.clientWidth;
           result |= 16;
         }
-        let scrollTop = view.scrollDOM.scrollTop * this.scaleY;
-        if (this.scrollTop != scrollTop) {
+        let scrollParent = scrollableParents(this.view.contentDOM, false).y;
+        if (scrollParent != this.scrollParent) {
+          this.scrollParent = scrollParent;
+          this.scrollAnchorHeight = -1;
+          this.scrollOffset = 0;
+        }
+        let scrollOffset = this.getScrollOffset();
+        if (this.scrollOffset != scrollOffset) {
           this.scrollAnchorHeight = -1;
-          this.scrollTop = scrollTop;
+          this.scrollOffset = scrollOffset;
         }
-        this.scrolledToBottom = isScrolledToBottom(view.scrollDOM);
+        this.scrolledToBottom = isScrolledToBottom(this.scrollParent || view.win);
         let pixelViewport = (this.printing ? fullPixelRange : visiblePixelRange)(dom, this.paddingTop);
         let dTop = pixelViewport.top - this.pixelViewport.top, dBottom = pixelViewport.bottom - this.pixelViewport.bottom;
         this.pixelViewport = pixelViewport;
@@ -10147,11 +10442,14 @@ var init_dist2 = __esm({
         return pos >= this.viewport.from && pos <= this.viewport.to && this.viewportLines.find((b) => b.from <= pos && b.to >= pos) || scaleBlock(this.heightMap.lineAt(pos, QueryType.ByPos, this.heightOracle, 0, 0), this.scaler);
       }
       lineBlockAtHeight(height) {
-        return height >= this.viewportLines[0].top && height <= this.viewportLines[this.viewportLines.length - 1].bottom && this.viewportLines.find((l) => l.top <= height && l.bottom >= height) || scaleBlock(this.heightMap.lineAt(this.scaler.fromDOM(height), QueryType.ByHeight, this.heightOracle, 0, 0), this.scaler);
+        return height >= this.viewportLines[0].top && height <= this.viewportLines[this.viewportLines.length - 1].bottom && this.viewportLines.find((l3) => l3.top <= height && l3.bottom >= height) || scaleBlock(this.heightMap.lineAt(this.scaler.fromDOM(height), QueryType.ByHeight, this.heightOracle, 0, 0), this.scaler);
       }
-      scrollAnchorAt(scrollTop) {
-        let block = this.lineBlockAtHeight(scrollTop + 8);
-        return block.from >= this.viewport.from || this.viewportLines[0].top - scrollTop > 200 ? block : this.viewportLines[0];
+      getScrollOffset() {
+        return this.scrollParent == this.view.scrollDOM ? this.scrollParent.scrollTop * this.scaleY : (this.scrollParent ? this.scrollParent.getBoundingClientRect().top : 0) - this.view.contentDOM.getBoundingClientRect().top;
+      }
+      scrollAnchorAt(scrollOffset) {
+        let block = this.lineBlockAtHeight(scrollOffset + 8);
+        return block.from >= this.viewport.from || this.viewportLines[0].top - scrollOffset > 200 ? block : this.viewportLines[0];
       }
       elementAtHeight(height) {
         return scaleBlock(this.heightMap.blockAt(this.scaler.fromDOM(height), this.heightOracle, 0, 0), this.scaler);
@@ -10267,7 +10565,7 @@ var init_dist2 = __esm({
         display: "block",
         whiteSpace: "pre",
         wordWrap: "normal",
-        // https://github.com/codemirror/dev/issues/456
+        // Issue #456
         boxSizing: "border-box",
         minHeight: "100%",
         padding: "4px 0",
@@ -10292,6 +10590,8 @@ var init_dist2 = __esm({
         padding: "0 2px 0 6px"
       },
       ".cm-layer": {
+        userSelect: "none",
+        // #1708
         position: "absolute",
         left: 0,
         top: 0,
@@ -10334,6 +10634,21 @@ var init_dist2 = __esm({
       "&dark .cm-cursor": {
         borderLeftColor: "#ddd"
       },
+      ".cm-selectionHandle": {
+        backgroundColor: "currentColor",
+        width: "1.5px"
+      },
+      ".cm-selectionHandle-start::before, .cm-selectionHandle-end::before": {
+        content: '""',
+        backgroundColor: "inherit",
+        borderRadius: "50%",
+        width: "8px",
+        height: "8px",
+        position: "absolute",
+        left: "-3.25px"
+      },
+      ".cm-selectionHandle-start::before": { top: "-8px" },
+      ".cm-selectionHandle-end::before": { bottom: "-8px" },
       ".cm-dropCursor": {
         position: "absolute"
       },
@@ -10409,6 +10724,8 @@ var init_dist2 = __esm({
         backgroundColor: "#f5f5f5",
         color: "black"
       },
+      ".cm-panels-top": { top: "0" },
+      ".cm-panels-bottom": { bottom: "0" },
       "&light .cm-panels-top": {
         borderBottom: "1px solid #ddd"
       },
@@ -10452,8 +10769,9 @@ var init_dist2 = __esm({
         userSelect: "none"
       },
       ".cm-highlightSpace": {
-        backgroundImage: "radial-gradient(circle at 50% 55%, #aaa 20%, transparent 5%)",
-        backgroundPosition: "center"
+        background: "radial-gradient(circle at 50% 55%, #aaa 20%, transparent 0) no-repeat",
+        backgroundSize: ".4em",
+        backgroundPosition: "calc(min(50%, 0px)) center"
       },
       ".cm-highlightTab": {
         backgroundImage: `url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="200" height="20"><path stroke="%23888" stroke-width="1" fill="none" d="M1 10H196L190 5M190 15L196 10M197 4L197 16"/></svg>')`,
@@ -10570,18 +10888,18 @@ var init_dist2 = __esm({
         this.addWindowListeners(this.win = view.win);
         this.start();
         if (typeof IntersectionObserver == "function") {
-          this.intersection = new IntersectionObserver((entries) => {
+          this.intersection = new IntersectionObserver((entries2) => {
             if (this.parentCheck < 0)
               this.parentCheck = setTimeout(this.listenForScroll.bind(this), 1e3);
-            if (entries.length > 0 && entries[entries.length - 1].intersectionRatio > 0 != this.intersecting) {
+            if (entries2.length > 0 && entries2[entries2.length - 1].intersectionRatio > 0 != this.intersecting) {
               this.intersecting = !this.intersecting;
               if (this.intersecting != this.view.inView)
                 this.onScrollChanged(document.createEvent("Event"));
             }
           }, { threshold: [0, 1e-3] });
           this.intersection.observe(this.dom);
-          this.gapIntersection = new IntersectionObserver((entries) => {
-            if (entries.length > 0 && entries[entries.length - 1].intersectionRatio > 0)
+          this.gapIntersection = new IntersectionObserver((entries2) => {
+            if (entries2.length > 0 && entries2[entries2.length - 1].intersectionRatio > 0)
               this.onScrollChanged(document.createEvent("Event"));
           }, {});
         }
@@ -11006,7 +11324,6 @@ var init_dist2 = __esm({
         for (let event in this.handlers)
           context.addEventListener(event, this.handlers[event]);
         this.measureReq = { read: (view2) => {
-          this.editContext.updateControlBounds(view2.contentDOM.getBoundingClientRect());
           let sel = getSelection(view2.root);
           if (sel && sel.rangeCount)
             this.editContext.updateSelectionBounds(sel.getRangeAt(0).getBoundingClientRect());
@@ -11190,6 +11507,7 @@ var init_dist2 = __esm({
         this.updateState = 2;
         this.measureScheduled = -1;
         this.measureRequests = [];
+        this.clearAnnouncement = -1;
         this.contentDOM = document.createElement("div");
         this.scrollDOM = document.createElement("div");
         this.scrollDOM.tabIndex = -1;
@@ -11207,7 +11525,7 @@ var init_dist2 = __esm({
         this.dispatchTransactions = config2.dispatchTransactions || dispatch && ((trs) => trs.forEach((tr) => dispatch(tr, this))) || ((trs) => this.update(trs));
         this.dispatch = this.dispatch.bind(this);
         this._root = config2.root || getRoot(config2.parent) || document;
-        this.viewState = new ViewState(config2.state || EditorState.create(config2));
+        this.viewState = new ViewState(this, config2.state || EditorState.create(config2));
         if (config2.scrollTo && config2.scrollTo.is(scrollIntoView))
           this.viewState.scrollTarget = config2.scrollTo.value.clip(this.viewState.state);
         this.plugins = this.state.facet(viewPlugin).map((spec) => new PluginInstance(spec));
@@ -11284,7 +11602,8 @@ var init_dist2 = __esm({
               scrollTarget = scrollTarget.map(tr.changes);
             if (tr.scrollIntoView) {
               let { main } = tr.state.selection;
-              scrollTarget = new ScrollTarget(main.empty ? main : EditorSelection.cursor(main.head, main.head > main.anchor ? -1 : 1));
+              let { x: x2, y: y2 } = this.state.facet(_EditorView.cursorScrollMargin);
+              scrollTarget = new ScrollTarget(main.empty ? main : EditorSelection.cursor(main.head, main.head > main.anchor ? -1 : 1), "nearest", "nearest", y2, x2);
             }
             for (let e of tr.effects)
               if (e.is(scrollIntoView))
@@ -11348,7 +11667,7 @@ var init_dist2 = __esm({
         try {
           for (let plugin of this.plugins)
             plugin.destroy(this);
-          this.viewState = new ViewState(newState);
+          this.viewState = new ViewState(this, newState);
           this.plugins = newState.facet(viewPlugin).map((spec) => new PluginInstance(spec));
           this.pluginMap.clear();
           for (let plugin of this.plugins)
@@ -11423,25 +11742,26 @@ var init_dist2 = __esm({
         if (flush)
           this.observer.forceFlush();
         let updated = null;
-        let sDOM = this.scrollDOM, scrollTop = sDOM.scrollTop * this.scaleY;
-        let { scrollAnchorPos, scrollAnchorHeight } = this.viewState;
-        if (Math.abs(scrollTop - this.viewState.scrollTop) > 1)
+        let scroll = this.viewState.scrollParent, scrollOffset = this.viewState.getScrollOffset();
+        let { scrollAnchorPos, scrollAnchorHeight, scaleY: scrollScale } = this.viewState;
+        if (Math.abs(scrollOffset - this.viewState.scrollOffset) > 1)
           scrollAnchorHeight = -1;
         this.viewState.scrollAnchorHeight = -1;
         try {
           for (let i = 0; ; i++) {
             if (scrollAnchorHeight < 0) {
-              if (isScrolledToBottom(sDOM)) {
+              if (isScrolledToBottom(scroll || this.win)) {
                 scrollAnchorPos = -1;
-                scrollAnchorHeight = this.viewState.heightMap.height;
+                scrollAnchorHeight = this.viewState.heightMap.height / this.viewState.scaleY;
               } else {
-                let block = this.viewState.scrollAnchorAt(scrollTop);
+                let block = this.viewState.scrollAnchorAt(scrollOffset);
                 scrollAnchorPos = block.from;
                 scrollAnchorHeight = block.top;
               }
+              scrollScale = this.viewState.scaleY;
             }
             this.updateState = 1;
-            let changed = this.viewState.measure(this);
+            let changed = this.viewState.measure();
             if (!changed && !this.measureRequests.length && this.viewState.scrollTarget == null)
               break;
             if (i > 5) {
@@ -11495,10 +11815,15 @@ var init_dist2 = __esm({
                   continue;
                 } else {
                   let newAnchorHeight = scrollAnchorPos < 0 ? this.viewState.heightMap.height : this.viewState.lineBlockAt(scrollAnchorPos).top;
-                  let diff = newAnchorHeight - scrollAnchorHeight;
-                  if (diff > 1 || diff < -1) {
-                    scrollTop = scrollTop + diff;
-                    sDOM.scrollTop = scrollTop / this.scaleY;
+                  let diff = newAnchorHeight / this.viewState.scaleY - scrollAnchorHeight / scrollScale;
+                  if ((diff > 1 || diff < -1) && !(browser.ios && this.inputState.lastIOSMomentumScroll > Date.now() - 100) && (scroll == this.scrollDOM || this.hasFocus || Math.max(this.inputState.lastWheelEvent, this.inputState.lastTouchTime) > Date.now() - 100)) {
+                    scrollOffset = scrollOffset + diff;
+                    if (!scroll)
+                      this.win.scrollBy(0, diff);
+                    else if (scrollAnchorPos < 0)
+                      scroll.scrollTop = scroll.scrollHeight;
+                    else
+                      scroll.scrollTop += diff;
                     scrollAnchorHeight = -1;
                     continue;
                   }
@@ -11554,9 +11879,14 @@ var init_dist2 = __esm({
         for (let tr of trs)
           for (let effect of tr.effects)
             if (effect.is(_EditorView.announce)) {
-              if (first)
+              if (first) {
                 this.announceDOM.textContent = "";
-              first = false;
+                this.win.clearTimeout(this.clearAnnouncement);
+                this.clearAnnouncement = this.win.setTimeout(() => {
+                  this.announceDOM.textContent = "\xA0";
+                }, 200);
+                first = false;
+              }
               let div = this.announceDOM.appendChild(document.createElement("div"));
               div.textContent = effect.value;
             }
@@ -11709,15 +12039,11 @@ var init_dist2 = __esm({
         return skipAtoms(this, start, moveByChar(this, start, forward, (initial) => byGroup(this, start.head, initial)));
       }
       /**
-      Get the cursor position visually at the start or end of a line.
-      Note that this may differ from the _logical_ position at its
-      start or end (which is simply at `line.from`/`line.to`) if text
-      at the start or end goes against the line's base text direction.
+      **\[DEPRECATED]** Get the cursor position visually at the start
+      or end of a line.
       */
       visualLineSide(line, end) {
-        let order = this.bidiSpans(line), dir = this.textDirectionAt(line.from);
-        let span = order[end ? order.length - 1 : 0];
-        return EditorSelection.cursor(span.side(end, dir) + line.from, span.forward(!end, dir) ? 1 : -1);
+        return end ? EditorSelection.cursor(line.to, 1) : EditorSelection.cursor(line.from, -1);
       }
       /**
       Move to the next line boundary in the given direction. If
@@ -11784,12 +12110,18 @@ var init_dist2 = __esm({
       */
       coordsAtPos(pos, side = 1) {
         this.readMeasured();
-        let rect = this.docView.coordsAt(pos, side);
-        if (!rect || rect.left == rect.right)
-          return rect;
         let line = this.state.doc.lineAt(pos), order = this.bidiSpans(line);
         let span = order[BidiSpan.find(order, pos - line.from, -1, side)];
-        return flattenRect(rect, span.dir == Direction.LTR == side > 0);
+        if (line.length && (pos == line.from && side < 0 || pos == line.to && side > 0) && span.dir != this.textDirectionAt(line.from)) {
+          if (pos == line.to) {
+            pos = line.from + span.from;
+            side = 1;
+          } else {
+            pos = line.from + span.to;
+            side = -1;
+          }
+        }
+        return this.docView.coordsAt(pos, side, span.dir == Direction.RTL);
       }
       /**
       Return the rectangle around a given character. If `pos` does not
@@ -11915,6 +12247,7 @@ var init_dist2 = __esm({
         this.docView.destroy();
         this.dom.remove();
         this.observer.destroy();
+        this.win.clearTimeout(this.clearAnnouncement);
         if (this.measureScheduled > -1)
           this.win.cancelAnimationFrame(this.measureScheduled);
         this.destroyed = true;
@@ -11925,7 +12258,8 @@ var init_dist2 = __esm({
       cause it to scroll the given position or range into view.
       */
       static scrollIntoView(pos, options = {}) {
-        return scrollIntoView.of(new ScrollTarget(typeof pos == "number" ? EditorSelection.cursor(pos) : pos, options.y, options.x, options.yMargin, options.xMargin));
+        var _a2, _b, _c, _d;
+        return scrollIntoView.of(new ScrollTarget(typeof pos == "number" ? EditorSelection.cursor(pos) : pos, (_a2 = options.y) !== null && _a2 !== void 0 ? _a2 : "nearest", (_b = options.x) !== null && _b !== void 0 ? _b : "nearest", (_c = options.yMargin) !== null && _c !== void 0 ? _c : 5, (_d = options.xMargin) !== null && _d !== void 0 ? _d : 5));
       }
       /**
       Return an effect that resets the editor to its current (at the
@@ -11991,7 +12325,7 @@ var init_dist2 = __esm({
       }
       /**
       Create a theme extension. The first argument can be a
-      [`style-mod`](https://github.com/marijnh/style-mod#documentation)
+      [`style-mod`](https://code.haverbeke.berlin/marijn/style-mod#documentation)
       style spec providing the styles for the theme. These will be
       prefixed with a generated class for the style.
       
@@ -12053,6 +12387,18 @@ var init_dist2 = __esm({
     EditorView.outerDecorations = outerDecorations;
     EditorView.atomicRanges = atomicRanges;
     EditorView.bidiIsolatedRanges = bidiIsolatedRanges;
+    EditorView.cursorScrollMargin = /* @__PURE__ */ Facet.define({
+      combine: (inputs) => {
+        let x2 = 5, y2 = 5;
+        for (let i of inputs) {
+          if (typeof i == "number")
+            x2 = y2 = i;
+          else
+            ({ x: x2, y: y2 } = i);
+        }
+        return { x: x2, y: y2 };
+      }
+    });
     EditorView.scrollMargins = scrollMargins;
     EditorView.darkTheme = darkTheme;
     EditorView.cspNonce = /* @__PURE__ */ Facet.define({ combine: (values2) => values2.length ? values2[0] : "" });
@@ -12094,6 +12440,22 @@ var init_dist2 = __esm({
     storedPrefix = null;
     PrefixTimeout = 4e3;
     currentKeyEvent = null;
+    selectionBg = browser.gecko && browser.gecko_version == 153 ? "#ffffff01" : "transparent";
+    hideNativeSelection = /* @__PURE__ */ Prec.highest(/* @__PURE__ */ EditorView.theme({
+      ".cm-line": {
+        "& ::selection, &::selection": { backgroundColor: `${selectionBg} !important` },
+        caretColor: "transparent !important"
+      },
+      ".cm-content": {
+        caretColor: "transparent !important",
+        "& :focus": {
+          caretColor: "initial !important",
+          "&::selection, & ::selection": {
+            backgroundColor: "Highlight !important"
+          }
+        }
+      }
+    }));
     UnicodeRegexpSupport = /x/.unicode != null ? "gu" : "g";
     lineDeco = /* @__PURE__ */ Decoration.line({ class: "cm-activeLine" });
     activeLineHighlighter = /* @__PURE__ */ ViewPlugin.fromClass(class {
@@ -12118,6 +12480,311 @@ var init_dist2 = __esm({
     }, {
       decorations: (v) => v.decorations
     });
+    Outside = "-10000px";
+    TooltipViewManager = class {
+      constructor(view, facet, createTooltipView, removeTooltipView) {
+        this.facet = facet;
+        this.createTooltipView = createTooltipView;
+        this.removeTooltipView = removeTooltipView;
+        this.input = view.state.facet(facet);
+        this.tooltips = this.input.filter((t2) => t2);
+        let prev = null;
+        this.tooltipViews = this.tooltips.map((t2) => prev = createTooltipView(t2, prev));
+      }
+      update(update, above) {
+        var _a2;
+        let input = update.state.facet(this.facet);
+        let tooltips = input.filter((x2) => x2);
+        if (input === this.input) {
+          for (let t2 of this.tooltipViews)
+            if (t2.update)
+              t2.update(update);
+          return false;
+        }
+        let tooltipViews = [], newAbove = above ? [] : null;
+        for (let i = 0; i < tooltips.length; i++) {
+          let tip = tooltips[i], known = -1;
+          if (!tip)
+            continue;
+          for (let i2 = 0; i2 < this.tooltips.length; i2++) {
+            let other = this.tooltips[i2];
+            if (other && other.create == tip.create)
+              known = i2;
+          }
+          if (known < 0) {
+            tooltipViews[i] = this.createTooltipView(tip, i ? tooltipViews[i - 1] : null);
+            if (newAbove)
+              newAbove[i] = !!tip.above;
+          } else {
+            let tooltipView = tooltipViews[i] = this.tooltipViews[known];
+            if (newAbove)
+              newAbove[i] = above[known];
+            if (tooltipView.update)
+              tooltipView.update(update);
+          }
+        }
+        for (let t2 of this.tooltipViews)
+          if (tooltipViews.indexOf(t2) < 0) {
+            this.removeTooltipView(t2);
+            (_a2 = t2.destroy) === null || _a2 === void 0 ? void 0 : _a2.call(t2);
+          }
+        if (above) {
+          newAbove.forEach((val, i) => above[i] = val);
+          above.length = newAbove.length;
+        }
+        this.input = input;
+        this.tooltips = tooltips;
+        this.tooltipViews = tooltipViews;
+        return true;
+      }
+    };
+    tooltipConfig = /* @__PURE__ */ Facet.define({
+      combine: (values2) => {
+        var _a2, _b, _c;
+        return {
+          position: browser.ios ? "absolute" : ((_a2 = values2.find((conf) => conf.position)) === null || _a2 === void 0 ? void 0 : _a2.position) || "fixed",
+          parent: ((_b = values2.find((conf) => conf.parent)) === null || _b === void 0 ? void 0 : _b.parent) || null,
+          tooltipSpace: ((_c = values2.find((conf) => conf.tooltipSpace)) === null || _c === void 0 ? void 0 : _c.tooltipSpace) || windowSpace
+        };
+      }
+    });
+    knownHeight = /* @__PURE__ */ new WeakMap();
+    tooltipPlugin = /* @__PURE__ */ ViewPlugin.fromClass(class {
+      constructor(view) {
+        this.view = view;
+        this.above = [];
+        this.inView = true;
+        this.madeAbsolute = false;
+        this.lastTransaction = 0;
+        this.measureTimeout = -1;
+        let config2 = view.state.facet(tooltipConfig);
+        this.position = config2.position;
+        this.parent = config2.parent;
+        this.classes = view.themeClasses;
+        this.createContainer();
+        this.measureReq = { read: this.readMeasure.bind(this), write: this.writeMeasure.bind(this), key: this };
+        this.resizeObserver = typeof ResizeObserver == "function" ? new ResizeObserver(() => this.measureSoon()) : null;
+        this.manager = new TooltipViewManager(view, showTooltip, (t2, p) => this.createTooltip(t2, p), (t2) => {
+          if (this.resizeObserver)
+            this.resizeObserver.unobserve(t2.dom);
+          t2.dom.remove();
+        });
+        this.above = this.manager.tooltips.map((t2) => !!t2.above);
+        this.intersectionObserver = typeof IntersectionObserver == "function" ? new IntersectionObserver((entries2) => {
+          if (Date.now() > this.lastTransaction - 50 && entries2.length > 0 && entries2[entries2.length - 1].intersectionRatio < 1)
+            this.measureSoon();
+        }, { threshold: [1] }) : null;
+        this.observeIntersection();
+        view.win.addEventListener("resize", this.measureSoon = this.measureSoon.bind(this));
+        this.maybeMeasure();
+      }
+      createContainer() {
+        if (this.parent) {
+          this.container = document.createElement("div");
+          this.container.style.position = "relative";
+          this.container.className = this.view.themeClasses;
+          this.parent.appendChild(this.container);
+        } else {
+          this.container = this.view.dom;
+        }
+      }
+      observeIntersection() {
+        if (this.intersectionObserver) {
+          this.intersectionObserver.disconnect();
+          for (let tooltip of this.manager.tooltipViews)
+            this.intersectionObserver.observe(tooltip.dom);
+        }
+      }
+      measureSoon() {
+        if (this.measureTimeout < 0)
+          this.measureTimeout = setTimeout(() => {
+            this.measureTimeout = -1;
+            this.maybeMeasure();
+          }, 50);
+      }
+      update(update) {
+        if (update.transactions.length)
+          this.lastTransaction = Date.now();
+        let updated = this.manager.update(update, this.above);
+        if (updated)
+          this.observeIntersection();
+        let shouldMeasure = updated || update.geometryChanged;
+        let newConfig = update.state.facet(tooltipConfig);
+        if (newConfig.position != this.position && !this.madeAbsolute) {
+          this.position = newConfig.position;
+          for (let t2 of this.manager.tooltipViews)
+            t2.dom.style.position = this.position;
+          shouldMeasure = true;
+        }
+        if (newConfig.parent != this.parent) {
+          if (this.parent)
+            this.container.remove();
+          this.parent = newConfig.parent;
+          this.createContainer();
+          for (let t2 of this.manager.tooltipViews)
+            this.container.appendChild(t2.dom);
+          shouldMeasure = true;
+        } else if (this.parent && this.view.themeClasses != this.classes) {
+          this.classes = this.container.className = this.view.themeClasses;
+        }
+        if (shouldMeasure)
+          this.maybeMeasure();
+      }
+      createTooltip(tooltip, prev) {
+        let tooltipView = tooltip.create(this.view);
+        let before = prev ? prev.dom : null;
+        tooltipView.dom.classList.add("cm-tooltip");
+        if (tooltip.arrow && !tooltipView.dom.querySelector(".cm-tooltip > .cm-tooltip-arrow")) {
+          let arrow = document.createElement("div");
+          arrow.className = "cm-tooltip-arrow";
+          tooltipView.dom.appendChild(arrow);
+        }
+        tooltipView.dom.style.position = this.position;
+        tooltipView.dom.style.top = Outside;
+        tooltipView.dom.style.left = "0px";
+        this.container.insertBefore(tooltipView.dom, before);
+        if (tooltipView.mount)
+          tooltipView.mount(this.view);
+        if (this.resizeObserver)
+          this.resizeObserver.observe(tooltipView.dom);
+        return tooltipView;
+      }
+      destroy() {
+        var _a2, _b, _c;
+        this.view.win.removeEventListener("resize", this.measureSoon);
+        for (let tooltipView of this.manager.tooltipViews) {
+          tooltipView.dom.remove();
+          (_a2 = tooltipView.destroy) === null || _a2 === void 0 ? void 0 : _a2.call(tooltipView);
+        }
+        if (this.parent)
+          this.container.remove();
+        (_b = this.resizeObserver) === null || _b === void 0 ? void 0 : _b.disconnect();
+        (_c = this.intersectionObserver) === null || _c === void 0 ? void 0 : _c.disconnect();
+        clearTimeout(this.measureTimeout);
+      }
+      readMeasure() {
+        let scaleX = 1, scaleY = 1, makeAbsolute = false;
+        if (this.position == "fixed" && this.manager.tooltipViews.length) {
+          let { dom } = this.manager.tooltipViews[0];
+          if (browser.safari) {
+            let rect = dom.getBoundingClientRect();
+            makeAbsolute = Math.abs(rect.top + 1e4) > 1 || Math.abs(rect.left) > 1;
+          } else {
+            makeAbsolute = !!dom.offsetParent && dom.offsetParent != this.container.ownerDocument.body;
+          }
+        }
+        if (makeAbsolute || this.position == "absolute") {
+          if (this.parent) {
+            let rect = this.parent.getBoundingClientRect();
+            if (rect.width && rect.height) {
+              scaleX = rect.width / this.parent.offsetWidth;
+              scaleY = rect.height / this.parent.offsetHeight;
+            }
+          } else {
+            ({ scaleX, scaleY } = this.view.viewState);
+          }
+        }
+        let visible = this.view.scrollDOM.getBoundingClientRect(), margins = getScrollMargins(this.view);
+        return {
+          visible: {
+            left: visible.left + margins.left,
+            top: visible.top + margins.top,
+            right: visible.right - margins.right,
+            bottom: visible.bottom - margins.bottom
+          },
+          parent: this.parent ? this.container.getBoundingClientRect() : this.view.dom.getBoundingClientRect(),
+          pos: this.manager.tooltips.map((t2, i) => {
+            let tv = this.manager.tooltipViews[i];
+            return tv.getCoords ? tv.getCoords(t2.pos) : this.view.coordsAtPos(t2.pos);
+          }),
+          size: this.manager.tooltipViews.map(({ dom }) => dom.getBoundingClientRect()),
+          space: this.view.state.facet(tooltipConfig).tooltipSpace(this.view),
+          scaleX,
+          scaleY,
+          makeAbsolute
+        };
+      }
+      writeMeasure(measured) {
+        var _a2;
+        if (measured.makeAbsolute) {
+          this.madeAbsolute = true;
+          this.position = "absolute";
+          for (let t2 of this.manager.tooltipViews)
+            t2.dom.style.position = "absolute";
+        }
+        let { visible, space: space5, scaleX, scaleY } = measured;
+        let others = [];
+        for (let i = 0; i < this.manager.tooltips.length; i++) {
+          let tooltip = this.manager.tooltips[i], tView = this.manager.tooltipViews[i], { dom } = tView;
+          let pos = measured.pos[i], size = measured.size[i];
+          if (!pos || tooltip.clip !== false && (pos.bottom <= Math.max(visible.top, space5.top) || pos.top >= Math.min(visible.bottom, space5.bottom) || pos.right < Math.max(visible.left, space5.left) - 0.1 || pos.left > Math.min(visible.right, space5.right) + 0.1)) {
+            dom.style.top = Outside;
+            continue;
+          }
+          let arrow = tooltip.arrow ? tView.dom.querySelector(".cm-tooltip-arrow") : null;
+          let arrowHeight = arrow ? 7 : 0;
+          let width = size.right - size.left, height = (_a2 = knownHeight.get(tView)) !== null && _a2 !== void 0 ? _a2 : size.bottom - size.top;
+          let offset = tView.offset || noOffset, ltr = this.view.textDirection == Direction.LTR;
+          let left = size.width > space5.right - space5.left ? ltr ? space5.left : space5.right - size.width : ltr ? Math.max(space5.left, Math.min(pos.left - (arrow ? 14 : 0) + offset.x, space5.right - width)) : Math.min(Math.max(space5.left, pos.left - width + (arrow ? 14 : 0) - offset.x), space5.right - width);
+          let above = this.above[i];
+          if (!tooltip.strictSide && (above ? pos.top - height - arrowHeight - offset.y < space5.top : pos.bottom + height + arrowHeight + offset.y > space5.bottom) && above == space5.bottom - pos.bottom > pos.top - space5.top)
+            above = this.above[i] = !above;
+          let spaceVert = (above ? pos.top - space5.top : space5.bottom - pos.bottom) - arrowHeight;
+          if (spaceVert < height && tView.resize !== false) {
+            if (spaceVert < this.view.defaultLineHeight) {
+              dom.style.top = Outside;
+              continue;
+            }
+            knownHeight.set(tView, height);
+            dom.style.height = (height = spaceVert) / scaleY + "px";
+          } else if (dom.style.height) {
+            dom.style.height = "";
+          }
+          let top2 = above ? pos.top - height - arrowHeight - offset.y : pos.bottom + arrowHeight + offset.y;
+          let right = left + width;
+          if (tView.overlap !== true) {
+            for (let r of others)
+              if (r.left < right && r.right > left && r.top < top2 + height && r.bottom > top2)
+                top2 = above ? r.top - height - 2 - arrowHeight : r.bottom + arrowHeight + 2;
+          }
+          if (this.position == "absolute") {
+            dom.style.top = (top2 - measured.parent.top) / scaleY + "px";
+            setLeftStyle(dom, (left - measured.parent.left) / scaleX);
+          } else {
+            dom.style.top = top2 / scaleY + "px";
+            setLeftStyle(dom, left / scaleX);
+          }
+          if (arrow) {
+            let arrowLeft = pos.left + (ltr ? offset.x : -offset.x) - (left + 14 - 7);
+            arrow.style.left = arrowLeft / scaleX + "px";
+          }
+          if (tView.overlap !== true)
+            others.push({ left, top: top2, right, bottom: top2 + height });
+          dom.classList.toggle("cm-tooltip-above", above);
+          dom.classList.toggle("cm-tooltip-below", !above);
+          if (tView.positioned)
+            tView.positioned(measured.space);
+        }
+      }
+      maybeMeasure() {
+        if (this.manager.tooltips.length) {
+          if (this.view.inView)
+            this.view.requestMeasure(this.measureReq);
+          if (this.inView != this.view.inView) {
+            this.inView = this.view.inView;
+            if (!this.inView)
+              for (let tv of this.manager.tooltipViews)
+                tv.dom.style.top = Outside;
+          }
+        }
+      }
+    }, {
+      eventObservers: {
+        scroll() {
+          this.maybeMeasure();
+        }
+      }
+    });
     baseTheme = /* @__PURE__ */ EditorView.baseTheme({
       ".cm-tooltip": {
         zIndex: 500,
@@ -12180,50 +12847,270 @@ var init_dist2 = __esm({
         }
       }
     });
-    panelConfig = /* @__PURE__ */ Facet.define({
-      combine(configs) {
-        let topContainer, bottomContainer;
-        for (let c of configs) {
-          topContainer = topContainer || c.topContainer;
-          bottomContainer = bottomContainer || c.bottomContainer;
-        }
-        return { topContainer, bottomContainer };
-      }
+    noOffset = { x: 0, y: 0 };
+    showTooltip = /* @__PURE__ */ Facet.define({
+      enables: [tooltipPlugin, baseTheme]
     });
-    panelPlugin = /* @__PURE__ */ ViewPlugin.fromClass(class {
+    showHoverTooltip = /* @__PURE__ */ Facet.define({
+      combine: (inputs) => inputs.reduce((a, i) => a.concat(i), [])
+    });
+    HoverTooltipHost = class _HoverTooltipHost {
+      // Needs to be static so that host tooltip instances always match
+      static create(view) {
+        return new _HoverTooltipHost(view);
+      }
       constructor(view) {
-        this.input = view.state.facet(showPanel);
-        this.specs = this.input.filter((s) => s);
-        this.panels = this.specs.map((spec) => spec(view));
-        let conf = view.state.facet(panelConfig);
-        this.top = new PanelGroup(view, true, conf.topContainer);
-        this.bottom = new PanelGroup(view, false, conf.bottomContainer);
-        this.top.sync(this.panels.filter((p) => p.top));
-        this.bottom.sync(this.panels.filter((p) => !p.top));
-        for (let p of this.panels) {
-          p.dom.classList.add("cm-panel");
-          if (p.mount)
-            p.mount();
+        this.view = view;
+        this.mounted = false;
+        this.dom = document.createElement("div");
+        this.dom.classList.add("cm-tooltip-hover");
+        this.manager = new TooltipViewManager(view, showHoverTooltip, (t2, p) => this.createHostedView(t2, p), (t2) => t2.dom.remove());
+      }
+      createHostedView(tooltip, prev) {
+        let hostedView = tooltip.create(this.view);
+        hostedView.dom.classList.add("cm-tooltip-section");
+        this.dom.insertBefore(hostedView.dom, prev ? prev.dom.nextSibling : this.dom.firstChild);
+        if (this.mounted && hostedView.mount)
+          hostedView.mount(this.view);
+        return hostedView;
+      }
+      mount(view) {
+        for (let hostedView of this.manager.tooltipViews) {
+          if (hostedView.mount)
+            hostedView.mount(view);
         }
+        this.mounted = true;
       }
-      update(update) {
-        let conf = update.state.facet(panelConfig);
-        if (this.top.container != conf.topContainer) {
-          this.top.sync([]);
-          this.top = new PanelGroup(update.view, true, conf.topContainer);
+      positioned(space5) {
+        for (let hostedView of this.manager.tooltipViews) {
+          if (hostedView.positioned)
+            hostedView.positioned(space5);
         }
-        if (this.bottom.container != conf.bottomContainer) {
-          this.bottom.sync([]);
-          this.bottom = new PanelGroup(update.view, false, conf.bottomContainer);
+      }
+      update(update) {
+        this.manager.update(update);
+      }
+      destroy() {
+        var _a2;
+        for (let t2 of this.manager.tooltipViews)
+          (_a2 = t2.destroy) === null || _a2 === void 0 ? void 0 : _a2.call(t2);
+      }
+      passProp(name2) {
+        let value = void 0;
+        for (let view of this.manager.tooltipViews) {
+          let given = view[name2];
+          if (given !== void 0) {
+            if (value === void 0)
+              value = given;
+            else if (value !== given)
+              return void 0;
+          }
         }
-        this.top.syncClasses();
-        this.bottom.syncClasses();
-        let input = update.state.facet(showPanel);
-        if (input != this.input) {
-          let specs = input.filter((x) => x);
-          let panels = [], top2 = [], bottom = [], mount = [];
-          for (let spec of specs) {
-            let known = this.specs.indexOf(spec), panel;
+        return value;
+      }
+      get offset() {
+        return this.passProp("offset");
+      }
+      get getCoords() {
+        return this.passProp("getCoords");
+      }
+      get overlap() {
+        return this.passProp("overlap");
+      }
+      get resize() {
+        return this.passProp("resize");
+      }
+    };
+    showHoverTooltipHost = /* @__PURE__ */ showTooltip.compute([showHoverTooltip], (state) => {
+      let tooltips = state.facet(showHoverTooltip);
+      if (tooltips.length === 0)
+        return null;
+      return {
+        pos: Math.min(...tooltips.map((t2) => t2.pos)),
+        end: Math.max(...tooltips.map((t2) => {
+          var _a2;
+          return (_a2 = t2.end) !== null && _a2 !== void 0 ? _a2 : t2.pos;
+        })),
+        create: HoverTooltipHost.create,
+        above: tooltips[0].above,
+        arrow: tooltips.some((t2) => t2.arrow)
+      };
+    });
+    hoverPlugin = /* @__PURE__ */ Facet.define();
+    HoverPlugin = class {
+      constructor(view, source, field, locked, setHover, hoverTime) {
+        this.view = view;
+        this.source = source;
+        this.field = field;
+        this.locked = locked;
+        this.setHover = setHover;
+        this.hoverTime = hoverTime;
+        this.hoverTimeout = -1;
+        this.restartTimeout = -1;
+        this.pending = null;
+        this.lastMove = { x: 0, y: 0, target: view.dom, time: 0 };
+        this.checkHover = this.checkHover.bind(this);
+        view.dom.addEventListener("mouseleave", this.mouseleave = this.mouseleave.bind(this));
+        view.dom.addEventListener("mousemove", this.mousemove = this.mousemove.bind(this));
+      }
+      update(update) {
+        if (this.pending) {
+          this.pending = null;
+          clearTimeout(this.restartTimeout);
+          this.restartTimeout = setTimeout(() => this.startHover(), 20);
+        }
+      }
+      get active() {
+        return this.view.state.field(this.field);
+      }
+      checkHover() {
+        this.hoverTimeout = -1;
+        if (this.active.length)
+          return;
+        let hovered = Date.now() - this.lastMove.time;
+        if (hovered < this.hoverTime)
+          this.hoverTimeout = setTimeout(this.checkHover, this.hoverTime - hovered);
+        else
+          this.startHover();
+      }
+      startHover() {
+        clearTimeout(this.restartTimeout);
+        let { view, lastMove } = this;
+        let tile = view.docView.tile.nearest(lastMove.target);
+        if (!tile)
+          return;
+        let pos, side = 1;
+        if (tile.isWidget()) {
+          pos = tile.posAtStart;
+        } else {
+          pos = view.posAtCoords(lastMove);
+          if (pos == null)
+            return;
+          let posCoords = view.coordsAtPos(pos);
+          if (!posCoords || lastMove.y < posCoords.top || lastMove.y > posCoords.bottom || lastMove.x < posCoords.left - view.defaultCharacterWidth || lastMove.x > posCoords.right + view.defaultCharacterWidth)
+            return;
+          let bidi = view.bidiSpans(view.state.doc.lineAt(pos)).find((s) => s.from <= pos && s.to >= pos);
+          let rtl = bidi && bidi.dir == Direction.RTL ? -1 : 1;
+          side = lastMove.x < posCoords.left ? -rtl : rtl;
+        }
+        this.activateHover(view, pos, side);
+      }
+      activateHover(view, pos, side, locked) {
+        let open = this.source(view, pos, side);
+        let done = (value) => {
+          if (value && !(Array.isArray(value) && !value.length)) {
+            let tooltips = Array.isArray(value) ? value : [value];
+            if (locked)
+              this.locked.set(tooltips, locked);
+            view.dispatch({ effects: this.setHover.of(tooltips) });
+          }
+        };
+        if (open && "then" in open) {
+          let pending = this.pending = { pos };
+          open.then((result) => {
+            if (this.pending == pending) {
+              this.pending = null;
+              done(result);
+            }
+          }, (e) => logException(view.state, e, "hover tooltip"));
+        } else {
+          done(open);
+        }
+      }
+      get tooltip() {
+        let plugin = this.view.plugin(tooltipPlugin);
+        let index = plugin ? plugin.manager.tooltips.findIndex((t2) => t2.create == HoverTooltipHost.create) : -1;
+        return index > -1 ? plugin.manager.tooltipViews[index] : null;
+      }
+      mousemove(event) {
+        var _a2, _b;
+        this.lastMove = { x: event.clientX, y: event.clientY, target: event.target, time: Date.now() };
+        if (this.hoverTimeout < 0)
+          this.hoverTimeout = setTimeout(this.checkHover, this.hoverTime);
+        let { active, tooltip } = this;
+        if (active.length && !this.locked.has(active) && tooltip && !isInTooltip(tooltip.dom, event) || this.pending) {
+          let { pos } = active[0] || this.pending, end = (_b = (_a2 = active[0]) === null || _a2 === void 0 ? void 0 : _a2.end) !== null && _b !== void 0 ? _b : pos;
+          if (pos == end ? this.view.posAtCoords(this.lastMove) != pos : !isOverRange(this.view, pos, end, event.clientX, event.clientY)) {
+            this.view.dispatch({ effects: this.setHover.of([]) });
+            this.pending = null;
+          }
+        }
+      }
+      mouseleave(event) {
+        clearTimeout(this.hoverTimeout);
+        this.hoverTimeout = -1;
+        let { active } = this;
+        if (active.length && !this.locked.has(active)) {
+          let { tooltip } = this;
+          let inTooltip = tooltip && tooltip.dom.contains(event.relatedTarget);
+          if (!inTooltip)
+            this.view.dispatch({ effects: this.setHover.of([]) });
+          else
+            this.watchTooltipLeave(tooltip.dom);
+        }
+      }
+      watchTooltipLeave(tooltip) {
+        let watch = (event) => {
+          tooltip.removeEventListener("mouseleave", watch);
+          let { active } = this;
+          if (active.length && !this.locked.has(active) && !this.view.dom.contains(event.relatedTarget))
+            this.view.dispatch({ effects: this.setHover.of([]) });
+        };
+        tooltip.addEventListener("mouseleave", watch);
+      }
+      destroy() {
+        clearTimeout(this.hoverTimeout);
+        clearTimeout(this.restartTimeout);
+        this.view.dom.removeEventListener("mouseleave", this.mouseleave);
+        this.view.dom.removeEventListener("mousemove", this.mousemove);
+      }
+    };
+    tooltipMargin = 4;
+    closeHoverTooltipEffect = /* @__PURE__ */ StateEffect.define();
+    panelConfig = /* @__PURE__ */ Facet.define({
+      combine(configs) {
+        let topContainer, bottomContainer;
+        for (let c of configs) {
+          topContainer = topContainer || c.topContainer;
+          bottomContainer = bottomContainer || c.bottomContainer;
+        }
+        return { topContainer, bottomContainer };
+      }
+    });
+    panelPlugin = /* @__PURE__ */ ViewPlugin.fromClass(class {
+      constructor(view) {
+        this.input = view.state.facet(showPanel);
+        this.specs = this.input.filter((s) => s);
+        this.panels = this.specs.map((spec) => spec(view));
+        let conf = view.state.facet(panelConfig);
+        this.top = new PanelGroup(view, true, conf.topContainer);
+        this.bottom = new PanelGroup(view, false, conf.bottomContainer);
+        this.top.sync(this.panels.filter((p) => p.top));
+        this.bottom.sync(this.panels.filter((p) => !p.top));
+        for (let p of this.panels) {
+          p.dom.classList.add("cm-panel");
+          if (p.mount)
+            p.mount();
+        }
+      }
+      update(update) {
+        let conf = update.state.facet(panelConfig);
+        if (this.top.container != conf.topContainer) {
+          this.top.sync([]);
+          this.top = new PanelGroup(update.view, true, conf.topContainer);
+        }
+        if (this.bottom.container != conf.bottomContainer) {
+          this.bottom.sync([]);
+          this.bottom = new PanelGroup(update.view, false, conf.bottomContainer);
+        }
+        this.top.syncClasses();
+        this.bottom.syncClasses();
+        let input = update.state.facet(showPanel);
+        if (input != this.input) {
+          let specs = input.filter((x2) => x2);
+          let panels = [], top2 = [], bottom = [], mount = [];
+          for (let spec of specs) {
+            let known = this.specs.indexOf(spec), panel;
             if (known < 0) {
               panel = spec(update.view);
               mount.push(panel);
@@ -12288,7 +13175,6 @@ var init_dist2 = __esm({
         if (!this.dom) {
           this.dom = document.createElement("div");
           this.dom.className = this.top ? "cm-panels cm-panels-top" : "cm-panels cm-panels-bottom";
-          this.dom.style[this.top ? "top" : "bottom"] = "0";
           let parent = this.container || this.view.dom;
           parent.insertBefore(this.dom, this.top ? parent.firstChild : null);
         }
@@ -12381,7 +13267,7 @@ var init_dist2 = __esm({
     };
     activeGutters = /* @__PURE__ */ Facet.define();
     unfixGutters = /* @__PURE__ */ Facet.define({
-      combine: (values2) => values2.some((x) => x)
+      combine: (values2) => values2.some((x2) => x2)
     });
     gutterView = /* @__PURE__ */ ViewPlugin.fromClass(class {
       constructor(view) {
@@ -12481,16 +13367,16 @@ var init_dist2 = __esm({
         }
       }
       updateGutters(update) {
-        let prev = update.startState.facet(activeGutters), cur = update.state.facet(activeGutters);
+        let prev = update.startState.facet(activeGutters), cur2 = update.state.facet(activeGutters);
         let change = update.docChanged || update.heightChanged || update.viewportChanged || !RangeSet.eq(update.startState.facet(gutterLineClass), update.state.facet(gutterLineClass), update.view.viewport.from, update.view.viewport.to);
-        if (prev == cur) {
+        if (prev == cur2) {
           for (let gutter2 of this.gutters)
             if (gutter2.update(update))
               change = true;
         } else {
           change = true;
           let gutters2 = [];
-          for (let conf of cur) {
+          for (let conf of cur2) {
             let known = prev.indexOf(conf);
             if (known < 0) {
               gutters2.push(new SingleGutterView(this.view, conf));
@@ -12575,9 +13461,9 @@ var init_dist2 = __esm({
       finish() {
         let gutter2 = this.gutter;
         while (gutter2.elements.length > this.i) {
-          let last = gutter2.elements.pop();
-          gutter2.dom.removeChild(last.dom);
-          last.destroy();
+          let last2 = gutter2.elements.pop();
+          gutter2.dom.removeChild(last2.dom);
+          last2.destroy();
         }
       }
     };
@@ -12591,16 +13477,16 @@ var init_dist2 = __esm({
         this.dom.className = "cm-gutter" + (this.config.class ? " " + this.config.class : "");
         for (let prop in config2.domEventHandlers) {
           this.dom.addEventListener(prop, (event) => {
-            let target = event.target, y;
+            let target = event.target, y2;
             if (target != this.dom && this.dom.contains(target)) {
               while (target.parentNode != this.dom)
                 target = target.parentNode;
               let rect = target.getBoundingClientRect();
-              y = (rect.top + rect.bottom) / 2;
+              y2 = (rect.top + rect.bottom) / 2;
             } else {
-              y = event.clientY;
+              y2 = event.clientY;
             }
-            let line = view.lineBlockAtHeight(y - view.documentTop);
+            let line = view.lineBlockAtHeight(y2 - view.documentTop);
             if (config2.domEventHandlers[prop](view, line, event))
               event.preventDefault();
           });
@@ -12756,11 +13642,11 @@ var init_dist2 = __esm({
       }
     }();
     activeLineGutterHighlighter = /* @__PURE__ */ gutterLineClass.compute(["selection"], (state) => {
-      let marks2 = [], last = -1;
+      let marks2 = [], last2 = -1;
       for (let range of state.selection.ranges) {
         let linePos = state.doc.lineAt(range.head).from;
-        if (linePos > last) {
-          last = linePos;
+        if (linePos > last2) {
+          last2 = linePos;
           marks2.push(activeLineGutterMarker.range(linePos));
         }
       }
@@ -12808,21 +13694,21 @@ function resolveNode(node, pos, side, overlays) {
   }
 }
 function getChildren(node, type, before, after) {
-  let cur = node.cursor(), result = [];
-  if (!cur.firstChild())
+  let cur2 = node.cursor(), result = [];
+  if (!cur2.firstChild())
     return result;
   if (before != null)
     for (let found = false; !found; ) {
-      found = cur.type.is(before);
-      if (!cur.nextSibling())
+      found = cur2.type.is(before);
+      if (!cur2.nextSibling())
         return result;
     }
   for (; ; ) {
-    if (after != null && cur.type.is(after))
+    if (after != null && cur2.type.is(after))
       return result;
-    if (cur.type.is(type))
-      result.push(cur.node);
-    if (!cur.nextSibling())
+    if (cur2.type.is(type))
+      result.push(cur2.node);
+    if (!cur2.nextSibling())
       return after == null ? result : [];
   }
 }
@@ -12966,11 +13852,11 @@ function buildTree(data2) {
     if (nodeCount) {
       let buffer2 = new Uint16Array(nodeCount * 4);
       let start = nodes[nodes.length - 2];
-      for (let i = nodes.length - 3, j = 0; i >= 0; i -= 3) {
-        buffer2[j++] = nodes[i];
-        buffer2[j++] = nodes[i + 1] - start;
-        buffer2[j++] = nodes[i + 2] - start;
-        buffer2[j++] = j;
+      for (let i = nodes.length - 3, j2 = 0; i >= 0; i -= 3) {
+        buffer2[j2++] = nodes[i];
+        buffer2[j2++] = nodes[i + 1] - start;
+        buffer2[j2++] = nodes[i + 2] - start;
+        buffer2[j2++] = j2;
       }
       children2.push(new TreeBuffer(buffer2, nodes[2] - start, nodeSet));
       positions2.push(start - parentStart);
@@ -12978,12 +13864,12 @@ function buildTree(data2) {
   }
   function makeBalanced(type, contextHash2) {
     return (children2, positions2, length2) => {
-      let lookAhead2 = 0, lastI = children2.length - 1, last, lookAheadProp;
-      if (lastI >= 0 && (last = children2[lastI]) instanceof Tree) {
-        if (!lastI && last.type == type && last.length == length2)
-          return last;
-        if (lookAheadProp = last.prop(NodeProp.lookAhead))
-          lookAhead2 = positions2[lastI] + last.length + lookAheadProp;
+      let lookAhead2 = 0, lastI = children2.length - 1, last2, lookAheadProp;
+      if (lastI >= 0 && (last2 = children2[lastI]) instanceof Tree) {
+        if (!lastI && last2.type == type && last2.length == length2)
+          return last2;
+        if (lookAheadProp = last2.prop(NodeProp.lookAhead))
+          lookAhead2 = positions2[lastI] + last2.length + lookAheadProp;
       }
       return makeTree(type, children2, positions2, length2, lookAhead2, contextHash2);
     };
@@ -13183,10 +14069,10 @@ function materialize(cursor2) {
 }
 function punchRanges(outer, ranges) {
   let copy = null, current = ranges;
-  for (let i = 1, j = 0; i < outer.length; i++) {
+  for (let i = 1, j2 = 0; i < outer.length; i++) {
     let gapFrom = outer[i - 1].to, gapTo = outer[i].from;
-    for (; j < current.length; j++) {
-      let r = current[j];
+    for (; j2 < current.length; j2++) {
+      let r = current[j2];
       if (r.from >= gapTo)
         break;
       if (r.to <= gapFrom)
@@ -13194,13 +14080,13 @@ function punchRanges(outer, ranges) {
       if (!copy)
         current = copy = ranges.slice();
       if (r.from < gapFrom) {
-        copy[j] = new Range2(r.from, gapFrom);
+        copy[j2] = new Range2(r.from, gapFrom);
         if (r.to > gapTo)
-          copy.splice(j + 1, 0, new Range2(gapTo, r.to));
+          copy.splice(j2 + 1, 0, new Range2(gapTo, r.to));
       } else if (r.to > gapTo) {
-        copy[j--] = new Range2(gapTo, r.to);
+        copy[j2--] = new Range2(gapTo, r.to);
       } else {
-        copy.splice(j--, 1);
+        copy.splice(j2--, 1);
       }
     }
   }
@@ -13248,10 +14134,10 @@ function enterFragments(mounts, ranges) {
       let overlay = mount.overlay.map((r) => new Range2(r.from + pos, r.to + pos));
       let changes = findCoverChanges(ranges, overlay, from, to);
       for (let i = 0, pos2 = from; ; i++) {
-        let last = i == changes.length, end = last ? to : changes[i].from;
+        let last2 = i == changes.length, end = last2 ? to : changes[i].from;
         if (end > pos2)
           result.push(new TreeFragment(pos2, end, mount.tree, -startPos, frag.from >= pos2 || frag.openStart, frag.to <= end || frag.openEnd));
-        if (last)
+        if (last2)
           break;
         pos2 = changes[i].to;
       }
@@ -13732,11 +14618,11 @@ var init_dist3 = __esm({
       slice(startI, endI, from) {
         let b = this.buffer;
         let copy = new Uint16Array(endI - startI), len = 0;
-        for (let i = startI, j = 0; i < endI; ) {
-          copy[j++] = b[i++];
-          copy[j++] = b[i++] - from;
-          let to = copy[j++] = b[i++] - from;
-          copy[j++] = b[i++] - startI;
+        for (let i = startI, j2 = 0; i < endI; ) {
+          copy[j2++] = b[i++];
+          copy[j2++] = b[i++] - from;
+          let to = copy[j2++] = b[i++] - from;
+          copy[j2++] = b[i++] - startI;
           len = Math.max(len, to);
         }
         return new _TreeBuffer(copy, len, this.set);
@@ -13765,14 +14651,14 @@ var init_dist3 = __esm({
       enterUnfinishedNodesBefore(pos) {
         let scan = this.childBefore(pos), node = this;
         while (scan) {
-          let last = scan.lastChild;
-          if (!last || last.to != scan.to)
+          let last2 = scan.lastChild;
+          if (!last2 || last2.to != scan.to)
             break;
-          if (last.type.isError && last.from == last.to) {
+          if (last2.type.isError && last2.from == last2.to) {
             node = scan;
-            scan = last.prevSibling;
+            scan = last2.prevSibling;
           } else {
-            scan = last;
+            scan = last2;
           }
         }
         return node;
@@ -14553,8 +15439,8 @@ var init_dist3 = __esm({
       }
     };
     StringInput = class {
-      constructor(string2) {
-        this.string = string2;
+      constructor(string3) {
+        this.string = string3;
       }
       get length() {
         return this.string.length;
@@ -14699,9 +15585,9 @@ var init_dist3 = __esm({
             if (range === true)
               range = new Range2(cursor2.from, cursor2.to);
             if (range.from < range.to) {
-              let last = overlay.ranges.length - 1;
-              if (last >= 0 && overlay.ranges[last].to == range.from)
-                overlay.ranges[last] = { from: overlay.ranges[last].from, to: range.to };
+              let last2 = overlay.ranges.length - 1;
+              if (last2 >= 0 && overlay.ranges[last2].to == range.from)
+                overlay.ranges[last2] = { from: overlay.ranges[last2].from, to: range.to };
               else
                 overlay.ranges.push(range);
             }
@@ -14822,13 +15708,13 @@ var init_dist3 = __esm({
 
 // node_modules/@lezer/highlight/dist/index.js
 function sameArray2(a, b) {
-  return a.length == b.length && a.every((x, i) => x == b[i]);
+  return a.length == b.length && a.every((x2, i) => x2 == b[i]);
 }
-function powerSet(array) {
+function powerSet(array2) {
   let sets = [[]];
-  for (let i = 0; i < array.length; i++) {
-    for (let j = 0, e = sets.length; j < e; j++) {
-      sets.push(sets[j].concat(array[i]));
+  for (let i = 0; i < array2.length; i++) {
+    for (let j2 = 0, e = sets.length; j2 < e; j2++) {
+      sets.push(sets[j2].concat(array2[i]));
     }
   }
   return sets.sort((a, b) => b.length - a.length);
@@ -14863,10 +15749,10 @@ function styleTags(spec) {
             throw new RangeError("Invalid path: " + part);
           rest = part.slice(pos);
         }
-        let last = pieces.length - 1, inner = pieces[last];
+        let last2 = pieces.length - 1, inner = pieces[last2];
         if (!inner)
           throw new RangeError("Invalid path: " + part);
-        let rule = new Rule(tags3, mode, last > 0 ? pieces.slice(0, last) : null);
+        let rule = new Rule(tags3, mode, last2 > 0 ? pieces.slice(0, last2) : null);
         byName[inner] = rule.sort(byName[inner]);
       }
   }
@@ -14913,6 +15799,29 @@ function highlightTree(tree, highlighter, putStyle, from = 0, to = tree.length)
   builder.highlightRange(tree.cursor(), from, to, "", builder.highlighters);
   builder.flush(to);
 }
+function highlightCode(code, tree, highlighter, putText, putBreak, from = 0, to = code.length) {
+  let pos = from;
+  function writeTo(p, classes) {
+    if (p <= pos)
+      return;
+    for (let text3 = code.slice(pos, p), i = 0; ; ) {
+      let nextBreak = text3.indexOf("\n", i);
+      let upto = nextBreak < 0 ? text3.length : nextBreak;
+      if (upto > i)
+        putText(text3.slice(i, upto), classes);
+      if (nextBreak < 0)
+        break;
+      putBreak();
+      i = nextBreak + 1;
+    }
+    pos = p;
+  }
+  highlightTree(tree, highlighter, (from2, to2, classes) => {
+    writeTo(from2, "");
+    writeTo(to2, classes);
+  }, from, to);
+  writeTo(to, "");
+}
 function getStyleTags(node) {
   let rule = node.type.prop(ruleNodeProp);
   while (rule && rule.context && !node.matchContext(rule.context))
@@ -15002,23 +15911,23 @@ var init_dist4 = __esm({
     };
     ruleNodeProp = new NodeProp({
       combine(a, b) {
-        let cur, root, take;
+        let cur2, root, take;
         while (a || b) {
-          if (!a || b && a.depth >= b.depth) {
+          if (!a || b && a.depth <= b.depth) {
             take = b;
             b = b.next;
           } else {
             take = a;
             a = a.next;
           }
-          if (cur && cur.mode == take.mode && !take.context && !cur.context)
+          if (cur2 && cur2.mode == take.mode && !take.context && !cur2.context)
             continue;
           let copy = new Rule(take.tags, take.mode, take.context);
-          if (cur)
-            cur.next = copy;
+          if (cur2)
+            cur2.next = copy;
           else
             root = copy;
-          cur = copy;
+          cur2 = copy;
         }
         return root;
       }
@@ -15050,17 +15959,17 @@ var init_dist4 = __esm({
     };
     Rule.empty = new Rule([], 2, null);
     HighlightBuilder = class {
-      constructor(at, highlighters, span) {
-        this.at = at;
+      constructor(at2, highlighters, span) {
+        this.at = at2;
         this.highlighters = highlighters;
         this.span = span;
         this.class = "";
       }
-      startSpan(at, cls) {
+      startSpan(at2, cls) {
         if (cls != this.class) {
-          this.flush(at);
-          if (at > this.at)
-            this.at = at;
+          this.flush(at2);
+          if (at2 > this.at)
+            this.at = at2;
           this.class = cls;
         }
       }
@@ -15073,7 +15982,7 @@ var init_dist4 = __esm({
         if (start >= to || end <= from)
           return;
         if (type.isTop)
-          highlighters = this.highlighters.filter((h) => !h.scope || h.scope(type));
+          highlighters = this.highlighters.filter((h2) => !h2.scope || h2.scope(type));
         let cls = inheritedClass;
         let rule = getStyleTags(cursor2) || Rule.empty;
         let tagCls = highlightTags(highlighters, rule.tags);
@@ -15090,7 +15999,7 @@ var init_dist4 = __esm({
         let mounted = cursor2.tree && cursor2.tree.prop(NodeProp.mounted);
         if (mounted && mounted.overlay) {
           let inner = cursor2.node.enter(mounted.overlay[0].from + start, 1);
-          let innerHighlighters = this.highlighters.filter((h) => !h.scope || h.scope(mounted.tree.type));
+          let innerHighlighters = this.highlighters.filter((h2) => !h2.scope || h2.scope(mounted.tree.type));
           let hasChild2 = cursor2.firstChild();
           for (let i = 0, pos = start; ; i++) {
             let next = i < mounted.overlay.length ? mounted.overlay[i] : null;
@@ -15569,6 +16478,17 @@ function syntaxTree(state) {
   let field = state.field(Language.state, false);
   return field ? field.tree : Tree.empty;
 }
+function ensureSyntaxTree(state, upto, timeout = 50) {
+  var _a2;
+  let parse = (_a2 = state.field(Language.state, false)) === null || _a2 === void 0 ? void 0 : _a2.context;
+  if (!parse)
+    return null;
+  let oldVieport = parse.viewport;
+  parse.updateViewport({ from: 0, to: upto });
+  let result = parse.isDone(upto) || parse.work(timeout, upto) ? parse.tree : null;
+  parse.updateViewport(oldVieport);
+  return result;
+}
 function cutFragments(fragments, from, to) {
   return TreeFragment.applyChanges(fragments, [{ fromA: from, toA: to, fromB: from, toB: to }]);
 }
@@ -15605,18 +16525,18 @@ function syntaxIndentation(cx, ast, pos) {
   let inner = ast.resolveInner(pos, -1).resolve(pos, 0).enterUnfinishedNodesBefore(pos);
   if (inner != stack.node) {
     let add2 = [];
-    for (let cur = inner; cur && !(cur.from < stack.node.from || cur.to > stack.node.to || cur.from == stack.node.from && cur.type == stack.node.type); cur = cur.parent)
-      add2.push(cur);
+    for (let cur2 = inner; cur2 && !(cur2.from < stack.node.from || cur2.to > stack.node.to || cur2.from == stack.node.from && cur2.type == stack.node.type); cur2 = cur2.parent)
+      add2.push(cur2);
     for (let i = add2.length - 1; i >= 0; i--)
       stack = { node: add2[i], next: stack };
   }
   return indentFor(stack, cx, pos);
 }
 function indentFor(stack, cx, pos) {
-  for (let cur = stack; cur; cur = cur.next) {
-    let strategy = indentStrategy(cur.node);
+  for (let cur2 = stack; cur2; cur2 = cur2.next) {
+    let strategy = indentStrategy(cur2.node);
     if (strategy)
-      return strategy(TreeIndentContext.create(cx, pos, cur));
+      return strategy(TreeIndentContext.create(cx, pos, cur2));
   }
   return 0;
 }
@@ -15629,8 +16549,8 @@ function indentStrategy(tree) {
     return strategy;
   let first = tree.firstChild, close;
   if (first && (close = first.type.prop(NodeProp.closedBy))) {
-    let last = tree.lastChild, closed = last && close.indexOf(last.name) > -1;
-    return (cx) => delimitedStrategy(cx, true, 1, void 0, closed && !ignoreClosed(cx) ? last.from : void 0);
+    let last2 = tree.lastChild, closed = last2 && close.indexOf(last2.name) > -1;
+    return (cx) => delimitedStrategy(cx, true, 1, void 0, closed && !ignoreClosed(cx) ? last2.from : void 0);
   }
   return tree.parent == null ? topIndent : null;
 }
@@ -15638,14 +16558,14 @@ function topIndent() {
   return 0;
 }
 function isParent(parent, of) {
-  for (let cur = of; cur; cur = cur.parent)
-    if (parent == cur)
+  for (let cur2 = of; cur2; cur2 = cur2.parent)
+    if (parent == cur2)
       return true;
   return false;
 }
 function bracketedAligned(context) {
   let tree = context.node;
-  let openToken = tree.childAfter(tree.from), last = tree.lastChild;
+  let openToken = tree.childAfter(tree.from), last2 = tree.lastChild;
   if (!openToken)
     return null;
   let sim = context.options.simulateBreak;
@@ -15653,7 +16573,7 @@ function bracketedAligned(context) {
   let lineEnd2 = sim == null || sim <= openLine.from ? openLine.to : Math.min(openLine.to, sim);
   for (let pos = openToken.to; ; ) {
     let next = tree.childAfter(pos);
-    if (!next || next == last)
+    if (!next || next == last2)
       return null;
     if (!next.type.isSkipped) {
       if (next.from >= lineEnd2)
@@ -15694,26 +16614,26 @@ function indentOnInput() {
     let lineStart = doc2.sliceString(line.from, head);
     if (!rules.some((r) => r.test(lineStart)))
       return tr;
-    let { state } = tr, last = -1, changes = [];
+    let { state } = tr, last2 = -1, changes = [];
     for (let { head: head2 } of state.selection.ranges) {
       let line2 = state.doc.lineAt(head2);
-      if (line2.from == last)
+      if (line2.from == last2)
         continue;
-      last = line2.from;
+      last2 = line2.from;
       let indent2 = getIndentation(state, line2.from);
       if (indent2 == null)
         continue;
-      let cur = /^\s*/.exec(line2.text)[0];
+      let cur2 = /^\s*/.exec(line2.text)[0];
       let norm = indentString(state, indent2);
-      if (cur != norm)
-        changes.push({ from: line2.from, to: line2.from + cur.length, insert: norm });
+      if (cur2 != norm)
+        changes.push({ from: line2.from, to: line2.from + cur2.length, insert: norm });
     }
     return changes.length ? [tr, { changes, sequential: true }] : tr;
   });
 }
 function foldInside(node) {
-  let first = node.firstChild, last = node.lastChild;
-  return first && first.to < last.from ? { from: first.to, to: last.type.isError ? node.to : last.from } : null;
+  let first = node.firstChild, last2 = node.lastChild;
+  return first && first.to < last2.from ? { from: first.to, to: last2.type.isError ? node.to : last2.from } : null;
 }
 function syntaxFolding(state, start, end) {
   let tree = syntaxTree(state);
@@ -15722,14 +16642,14 @@ function syntaxFolding(state, start, end) {
   let stack = tree.resolveStack(end, 1);
   let found = null;
   for (let iter = stack; iter; iter = iter.next) {
-    let cur = iter.node;
-    if (cur.to <= end || cur.from > end)
+    let cur2 = iter.node;
+    if (cur2.to <= end || cur2.from > end)
       continue;
-    if (found && cur.from < start)
+    if (found && cur2.from < start)
       break;
-    let prop = cur.type.prop(foldNodeProp);
-    if (prop && (cur.to < tree.length - 50 || tree.length == state.doc.length || !isUnfinished(cur))) {
-      let value = prop(cur, state);
+    let prop = cur2.type.prop(foldNodeProp);
+    if (prop && (cur2.to < tree.length - 50 || tree.length == state.doc.length || !isUnfinished(cur2))) {
+      let value = prop(cur2, state);
       if (value && value.from <= end && value.from >= start && value.to > end)
         found = value;
     }
@@ -15764,6 +16684,9 @@ function clearTouchedFolds(folded, from, to = from) {
     filter: (a, b) => a >= to || b <= from
   });
 }
+function foldedRanges(state) {
+  return state.field(foldState, false) || RangeSet.empty;
+}
 function findFold(state, from, to) {
   var _a2;
   let found = null;
@@ -15912,12 +16835,12 @@ function findHandle(node) {
 function matchBrackets(state, pos, dir, config2 = {}) {
   let maxScanDistance = config2.maxScanDistance || DefaultScanDist, brackets = config2.brackets || DefaultBrackets;
   let tree = syntaxTree(state), node = tree.resolveInner(pos, dir);
-  for (let cur = node; cur; cur = cur.parent) {
-    let matches = matchingNodes(cur.type, dir, brackets);
-    if (matches && cur.from < cur.to) {
-      let handle = findHandle(cur);
+  for (let cur2 = node; cur2; cur2 = cur2.parent) {
+    let matches = matchingNodes(cur2.type, dir, brackets);
+    if (matches && cur2.from < cur2.to) {
+      let handle = findHandle(cur2);
       if (handle && (dir > 0 ? pos >= handle.from && pos < handle.to : pos > handle.from && pos <= handle.to))
-        return matchMarkedBrackets(state, pos, dir, cur, handle, matches, brackets);
+        return matchMarkedBrackets(state, pos, dir, cur2, handle, matches, brackets);
     }
   }
   return matchPlainBrackets(state, pos, dir, tree, node.type, maxScanDistance, brackets);
@@ -15956,12 +16879,12 @@ function matchPlainBrackets(state, pos, dir, tree, tokenType, maxScanDistance, b
   let startToken = { from: dir < 0 ? pos - 1 : pos, to: dir > 0 ? pos + 1 : pos };
   let iter = state.doc.iterRange(pos, dir > 0 ? state.doc.length : 0), depth = 0;
   for (let distance = 0; !iter.next().done && distance <= maxScanDistance; ) {
-    let text = iter.value;
+    let text3 = iter.value;
     if (dir < 0)
-      distance += text.length;
+      distance += text3.length;
     let basePos = pos + distance * dir;
-    for (let pos2 = dir > 0 ? 0 : text.length - 1, end = dir > 0 ? text.length : -1; pos2 != end; pos2 += dir) {
-      let found = brackets.indexOf(text[pos2]);
+    for (let pos2 = dir > 0 ? 0 : text3.length - 1, end = dir > 0 ? text3.length : -1; pos2 != end; pos2 += dir) {
+      let found = brackets.indexOf(text3[pos2]);
       if (found < 0 || tree.resolveInner(basePos + pos2, 1).type != tokenType)
         continue;
       if (found % 2 == 0 == dir > 0) {
@@ -15973,7 +16896,7 @@ function matchPlainBrackets(state, pos, dir, tree, tokenType, maxScanDistance, b
       }
     }
     if (dir > 0)
-      distance += text.length;
+      distance += text3.length;
   }
   return iter.done ? { start: startToken, matched: false } : null;
 }
@@ -16660,18 +17583,18 @@ var init_dist5 = __esm({
       textAfterPos(pos, bias = 1) {
         if (this.options.simulateDoubleBreak && pos == this.options.simulateBreak)
           return "";
-        let { text, from } = this.lineAt(pos, bias);
-        return text.slice(pos - from, Math.min(text.length, pos + 100 - from));
+        let { text: text3, from } = this.lineAt(pos, bias);
+        return text3.slice(pos - from, Math.min(text3.length, pos + 100 - from));
       }
       /**
       Find the column for the given position.
       */
       column(pos, bias = 1) {
-        let { text, from } = this.lineAt(pos, bias);
-        let result = this.countColumn(text, pos - from);
+        let { text: text3, from } = this.lineAt(pos, bias);
+        let result = this.countColumn(text3, pos - from);
         let override = this.options.overrideIndentation ? this.options.overrideIndentation(from) : -1;
         if (override > -1)
-          result += override - this.countColumn(text, text.search(/\S|$/));
+          result += override - this.countColumn(text3, text3.search(/\S|$/));
         return result;
       }
       /**
@@ -16685,14 +17608,14 @@ var init_dist5 = __esm({
       Find the indentation column of the line at the given point.
       */
       lineIndent(pos, bias = 1) {
-        let { text, from } = this.lineAt(pos, bias);
+        let { text: text3, from } = this.lineAt(pos, bias);
         let override = this.options.overrideIndentation;
         if (override) {
           let overriden = override(from);
           if (overriden > -1)
             return overriden;
         }
-        return this.countColumn(text, text.search(/\S|$/));
+        return this.countColumn(text3, text3.search(/\S|$/));
       }
       /**
       Returns the [simulated line
@@ -17172,9 +18095,9 @@ function selectedLineRanges(state) {
     let toLine = r.to <= fromLine.to ? fromLine : state.doc.lineAt(r.to);
     if (toLine.from > fromLine.from && toLine.from == r.to)
       toLine = r.to == fromLine.to + 1 ? fromLine : state.doc.lineAt(r.to - 1);
-    let last = ranges.length - 1;
-    if (last >= 0 && ranges[last].to > fromLine.from)
-      ranges[last].to = toLine.to;
+    let last2 = ranges.length - 1;
+    if (last2 >= 0 && ranges[last2].to > fromLine.from)
+      ranges[last2].to = toLine.to;
     else
       ranges.push({ from: fromLine.from + /^\s*/.exec(fromLine.text)[0].length, to: toLine.to });
   }
@@ -17233,14 +18156,14 @@ function changeLineComment(option, state, ranges = state.selection.ranges) {
     if (lines.length == startI + 1)
       lines[startI].single = true;
   }
-  if (option != 2 && lines.some((l) => l.comment < 0 && (!l.empty || l.single))) {
+  if (option != 2 && lines.some((l3) => l3.comment < 0 && (!l3.empty || l3.single))) {
     let changes = [];
     for (let { line, token, indent: indent2, empty: empty2, single } of lines)
       if (single || !empty2)
         changes.push({ from: line.from + indent2, insert: token + " " });
     let changeSet = state.changes(changes);
     return { changes: changeSet, selection: state.selection.map(changeSet, 1) };
-  } else if (option != 1 && lines.some((l) => l.comment >= 0)) {
+  } else if (option != 1 && lines.some((l3) => l3.comment >= 0)) {
     let changes = [];
     for (let { line, comment: comment2, token } of lines)
       if (comment2 >= 0) {
@@ -17319,9 +18242,9 @@ function addSelection(branch, selection2) {
   }
 }
 function popSelection(branch) {
-  let last = branch[branch.length - 1];
+  let last2 = branch[branch.length - 1];
   let newBranch = branch.slice();
-  newBranch[branch.length - 1] = last.setSelAfter(last.selectionsAfter.slice(0, last.selectionsAfter.length - 1));
+  newBranch[branch.length - 1] = last2.setSelAfter(last2.selectionsAfter.slice(0, last2.selectionsAfter.length - 1));
   return newBranch;
 }
 function addMappingToBranch(branch, mapping) {
@@ -17384,14 +18307,14 @@ function interestingNode(state, node, bracketProp) {
 function moveBySyntax(state, start, forward) {
   let pos = syntaxTree(state).resolveInner(start.head);
   let bracketProp = forward ? NodeProp.closedBy : NodeProp.openedBy;
-  for (let at = start.head; ; ) {
-    let next = forward ? pos.childAfter(at) : pos.childBefore(at);
+  for (let at2 = start.head; ; ) {
+    let next = forward ? pos.childAfter(at2) : pos.childBefore(at2);
     if (!next)
       break;
     if (interestingNode(state, next, bracketProp))
       pos = next;
     else
-      at = forward ? next.to : next.from;
+      at2 = forward ? next.to : next.from;
   }
   let bracket2 = pos.type.prop(bracketProp), match, newPos;
   if (bracket2 && (match = forward ? matchBrackets(state, pos.from, 1) : matchBrackets(state, pos.to, -1)) && match.matched)
@@ -17500,16 +18423,16 @@ function addCursorVertically(view, forward) {
   for (let range of state.selection.ranges) {
     let line = state.doc.lineAt(range.head);
     if (forward ? line.to < view.state.doc.length : line.from > 0)
-      for (let cur = range; ; ) {
-        let next = view.moveVertically(cur, forward);
+      for (let cur2 = range; ; ) {
+        let next = view.moveVertically(cur2, forward);
         if (next.head < line.from || next.head > line.to) {
           if (!ranges.some((r) => r.head == next.head))
             ranges.push(next);
           break;
-        } else if (next.head == cur.head) {
+        } else if (next.head == cur2.head) {
           break;
         } else {
-          cur = next;
+          cur2 = next;
         }
       }
   }
@@ -17833,8 +18756,8 @@ var init_dist6 = __esm({
         return new _HistoryState(done, none2, time, userEvent);
       }
       addSelection(selection2, time, userEvent, newGroupDelay) {
-        let last = this.done.length ? this.done[this.done.length - 1].selectionsAfter : none2;
-        if (last.length > 0 && time - this.prevTime < newGroupDelay && userEvent == this.prevUserEvent && userEvent && /^select($|\.)/.test(userEvent) && eqSelectionShape(last[last.length - 1], selection2))
+        let last2 = this.done.length ? this.done[this.done.length - 1].selectionsAfter : none2;
+        if (last2.length > 0 && time - this.prevTime < newGroupDelay && userEvent == this.prevUserEvent && userEvent && /^select($|\.)/.test(userEvent) && eqSelectionShape(last2[last2.length - 1], selection2))
           return this;
         return new _HistoryState(addSelection(this.done, selection2), this.undone, time, userEvent);
       }
@@ -17946,9 +18869,9 @@ var init_dist6 = __esm({
           if (stackBefore.node.from >= stack.node.from && stackBefore.node.to <= stack.node.to)
             stack = stackBefore;
         }
-        for (let cur = stack; cur; cur = cur.next) {
-          let { node } = cur;
-          if ((node.from < range.from && node.to >= range.to || node.to > range.to && node.from <= range.from) && cur.next)
+        for (let cur2 = stack; cur2; cur2 = cur2.next) {
+          let { node } = cur2;
+          if ((node.from < range.from && node.to >= range.to || node.to > range.to && node.from <= range.from) && cur2.next)
             return EditorSelection.range(node.to, node.from);
         }
         return range;
@@ -17961,11 +18884,11 @@ var init_dist6 = __esm({
     addCursorAbove = (view) => addCursorVertically(view, false);
     addCursorBelow = (view) => addCursorVertically(view, true);
     simplifySelection = ({ state, dispatch }) => {
-      let cur = state.selection, selection2 = null;
-      if (cur.ranges.length > 1)
-        selection2 = EditorSelection.create([cur.main]);
-      else if (!cur.main.empty)
-        selection2 = EditorSelection.create([EditorSelection.cursor(cur.main.head)]);
+      let cur2 = state.selection, selection2 = null;
+      if (cur2.ranges.length > 1)
+        selection2 = EditorSelection.create([cur2.main]);
+      else if (!cur2.main.empty)
+        selection2 = EditorSelection.create([EditorSelection.cursor(cur2.main.head)]);
       if (!selection2)
         return false;
       dispatch(setSel(state, selection2));
@@ -18098,11 +19021,11 @@ var init_dist6 = __esm({
           return;
         if (!/\S/.test(line.text))
           indent2 = 0;
-        let cur = /^\s*/.exec(line.text)[0];
+        let cur2 = /^\s*/.exec(line.text)[0];
         let norm = indentString(state, indent2);
-        if (cur != norm || range.from < line.from + cur.length) {
+        if (cur2 != norm || range.from < line.from + cur2.length) {
           updated[line.from] = indent2;
-          changes2.push({ from: line.from, to: line.from + cur.length, insert: norm });
+          changes2.push({ from: line.from, to: line.from + cur2.length, insert: norm });
         }
       });
       if (!changes.changes.empty)
@@ -18209,7 +19132,7 @@ var init_dist6 = __esm({
 function decodeArray(input, Type3 = Uint16Array) {
   if (typeof input != "string")
     return input;
-  let array = null;
+  let array2 = null;
   for (let pos = 0, out = 0; pos < input.length; ) {
     let value = 0;
     for (; ; ) {
@@ -18232,12 +19155,12 @@ function decodeArray(input, Type3 = Uint16Array) {
         break;
       value *= 46;
     }
-    if (array)
-      array[out++] = value;
+    if (array2)
+      array2[out++] = value;
     else
-      array = new Type3(value);
+      array2 = new Type3(value);
   }
-  return array;
+  return array2;
 }
 function readToken(data2, input, stack, group, precTable, precOffset) {
   let state = 0, groupMask = 1 << group, { dialect: dialect2 } = stack.p.parser;
@@ -18350,13 +19273,13 @@ var init_dist7 = __esm({
       /**
       @internal
       */
-      constructor(p, stack, state, reducePos, pos, score, buffer, bufferBase, curContext, lookAhead = 0, parent) {
+      constructor(p, stack, state, reducePos, pos, score2, buffer, bufferBase, curContext, lookAhead = 0, parent) {
         this.p = p;
         this.stack = stack;
         this.state = state;
         this.reducePos = reducePos;
         this.pos = pos;
-        this.score = score;
+        this.score = score2;
         this.buffer = buffer;
         this.bufferBase = bufferBase;
         this.curContext = curContext;
@@ -18367,7 +19290,7 @@ var init_dist7 = __esm({
       @internal
       */
       toString() {
-        return `[${this.stack.filter((_, i) => i % 3 == 0).concat(this.state)}]@${this.pos}${this.score ? "!" + this.score : ""}`;
+        return `[${this.stack.filter((_2, i) => i % 3 == 0).concat(this.state)}]@${this.pos}${this.score ? "!" + this.score : ""}`;
       }
       // Start an empty stack
       /**
@@ -18451,16 +19374,16 @@ var init_dist7 = __esm({
       */
       storeNode(term, start, end, size = 4, mustSink = false) {
         if (term == 0 && (!this.stack.length || this.stack[this.stack.length - 1] < this.buffer.length + this.bufferBase)) {
-          let cur = this, top2 = this.buffer.length;
-          if (top2 == 0 && cur.parent) {
-            top2 = cur.bufferBase - cur.parent.bufferBase;
-            cur = cur.parent;
+          let cur2 = this, top2 = this.buffer.length;
+          if (top2 == 0 && cur2.parent) {
+            top2 = cur2.bufferBase - cur2.parent.bufferBase;
+            cur2 = cur2.parent;
           }
-          if (top2 > 0 && cur.buffer[top2 - 4] == 0 && cur.buffer[top2 - 1] > -1) {
+          if (top2 > 0 && cur2.buffer[top2 - 4] == 0 && cur2.buffer[top2 - 1] > -1) {
             if (start == end)
               return;
-            if (cur.buffer[top2 - 2] >= start) {
-              cur.buffer[top2 - 2] = end;
+            if (cur2.buffer[top2 - 2] >= start) {
+              cur2.buffer[top2 - 2] = end;
               return;
             }
           }
@@ -18781,16 +19704,16 @@ var init_dist7 = __esm({
       @internal
       */
       emitContext() {
-        let last = this.buffer.length - 1;
-        if (last < 0 || this.buffer[last] != -3)
+        let last2 = this.buffer.length - 1;
+        if (last2 < 0 || this.buffer[last2] != -3)
           this.buffer.push(this.curContext.hash, this.pos, this.pos, -3);
       }
       /**
       @internal
       */
       emitLookAhead() {
-        let last = this.buffer.length - 1;
-        if (last < 0 || this.buffer[last] != -4)
+        let last2 = this.buffer.length - 1;
+        if (last2 < 0 || this.buffer[last2] != -4)
           this.buffer.push(this.lookAhead, this.pos, this.pos, -4);
       }
       updateContext(context) {
@@ -19209,12 +20132,12 @@ var init_dist7 = __esm({
         if (!this.fragment)
           return null;
         for (; ; ) {
-          let last = this.trees.length - 1;
-          if (last < 0) {
+          let last2 = this.trees.length - 1;
+          if (last2 < 0) {
             this.nextFragment();
             return null;
           }
-          let top2 = this.trees[last], index = this.index[last];
+          let top2 = this.trees[last2], index = this.index[last2];
           if (index == top2.children.length) {
             this.trees.pop();
             this.start.pop();
@@ -19222,7 +20145,7 @@ var init_dist7 = __esm({
             continue;
           }
           let next = top2.children[index];
-          let start = this.start[last] + top2.positions[index];
+          let start = this.start[last2] + top2.positions[index];
           if (start > pos) {
             this.nextStart = start;
             return null;
@@ -19238,14 +20161,14 @@ var init_dist7 = __esm({
                   return next;
               }
             }
-            this.index[last]++;
+            this.index[last2]++;
             if (start + next.length >= Math.max(this.safeFrom, pos)) {
               this.trees.push(next);
               this.start.push(start);
               this.index.push(0);
             }
           } else {
-            this.index[last]++;
+            this.index[last2]++;
             this.nextStart = start + next.length;
           }
         }
@@ -19257,7 +20180,7 @@ var init_dist7 = __esm({
         this.tokens = [];
         this.mainToken = null;
         this.actions = [];
-        this.tokens = parser8.tokenizers.map((_) => new CachedToken());
+        this.tokens = parser8.tokenizers.map((_2) => new CachedToken());
       }
       getActions(stack) {
         let actionIndex = 0;
@@ -19465,11 +20388,11 @@ var init_dist7 = __esm({
         } else if (newStacks.length > 1) {
           outer: for (let i = 0; i < newStacks.length - 1; i++) {
             let stack = newStacks[i];
-            for (let j = i + 1; j < newStacks.length; j++) {
-              let other = newStacks[j];
+            for (let j2 = i + 1; j2 < newStacks.length; j2++) {
+              let other = newStacks[j2];
               if (stack.sameState(other) || stack.buffer.length > 500 && other.buffer.length > 500) {
                 if ((stack.score - other.score || stack.buffer.length - other.buffer.length) > 0) {
-                  newStacks.splice(j--, 1);
+                  newStacks.splice(j2--, 1);
                 } else {
                   newStacks.splice(i--, 1);
                   continue outer;
@@ -19546,8 +20469,8 @@ var init_dist7 = __esm({
         let actions = this.tokens.getActions(stack);
         for (let i = 0; i < actions.length; ) {
           let action = actions[i++], term = actions[i++], end = actions[i++];
-          let last = i == actions.length || !split;
-          let localStack = last ? stack : stack.split();
+          let last2 = i == actions.length || !split;
+          let localStack = last2 ? stack : stack.split();
           let main = this.tokens.mainToken;
           localStack.apply(action, term, main ? main.start : localStack.pos, end);
           if (verbose)
@@ -19555,7 +20478,7 @@ var init_dist7 = __esm({
               action & 65535
               /* Action.ValueMask */
             )}`} for ${parser8.getName(term)} @ ${start}${localStack == stack ? "" : ", split"})`);
-          if (last)
+          if (last2)
             return true;
           else if (localStack.pos > start)
             stacks.push(localStack);
@@ -19595,7 +20518,7 @@ var init_dist7 = __esm({
               continue;
           }
           let force = stack.split(), forceBase = base2;
-          for (let j = 0; j < 10 && force.forceReduce(); j++) {
+          for (let j2 = 0; j2 < 10 && force.forceReduce(); j2++) {
             if (verbose)
               console.log(forceBase + this.stackID(force) + " (via force-reduce)");
             let done = this.advanceFully(force, newStacks);
@@ -19655,7 +20578,7 @@ var init_dist7 = __esm({
         return !this.disabled || this.disabled[term] == 0;
       }
     };
-    id = (x) => x;
+    id = (x2) => x2;
     ContextTracker = class {
       /**
       Define a context tracker.
@@ -19700,7 +20623,7 @@ var init_dist7 = __esm({
                 setProp(next, prop, propSpec[i++]);
               } else {
                 let value = propSpec[i + -next];
-                for (let j = -next; j > 0; j--)
+                for (let j2 = -next; j2 > 0; j2--)
                   setProp(propSpec[i++], prop, value);
                 i++;
               }
@@ -19753,14 +20676,14 @@ var init_dist7 = __esm({
         if (term >= table[0])
           return -1;
         for (let pos = table[term + 1]; ; ) {
-          let groupTag = table[pos++], last = groupTag & 1;
+          let groupTag = table[pos++], last2 = groupTag & 1;
           let target = table[pos++];
-          if (last && loose)
+          if (last2 && loose)
             return target;
           for (let end = pos + (groupTag >> 1); pos < end; pos++)
             if (table[pos] == state)
               return target;
-          if (last)
+          if (last2)
             return -1;
         }
       }
@@ -19954,7 +20877,7 @@ var init_dist7 = __esm({
         let disabled = null;
         for (let i = 0; i < values2.length; i++)
           if (!flags[i]) {
-            for (let j = this.dialects[values2[i]], id2; (id2 = this.data[j++]) != 65535; )
+            for (let j2 = this.dialects[values2[i]], id2; (id2 = this.data[j2++]) != 65535; )
               (disabled || (disabled = new Uint8Array(this.maxTerm + 1)))[id2] = 1;
           }
         return new Dialect(dialect2, flags, disabled);
@@ -20226,6 +21149,9 @@ function ifNotIn(nodes, source) {
     return source(context);
   };
 }
+function cur(state) {
+  return state.selection.main.from;
+}
 function ensureAnchor(expr, start) {
   var _a2;
   let { source } = expr;
@@ -20234,18 +21160,290 @@ function ensureAnchor(expr, start) {
     return expr;
   return new RegExp(`${addStart ? "^" : ""}(?:${source})${addEnd ? "$" : ""}`, (_a2 = expr.flags) !== null && _a2 !== void 0 ? _a2 : expr.ignoreCase ? "i" : "");
 }
+function insertCompletionText(state, text3, from, to) {
+  let { main } = state.selection, fromOff = from - main.from, toOff = to - main.from;
+  return {
+    ...state.changeByRange((range) => {
+      if (range != main && from != to && state.sliceDoc(range.from + fromOff, range.from + toOff) != state.sliceDoc(from, to))
+        return { range };
+      let lines = state.toText(text3);
+      return {
+        changes: { from: range.from + fromOff, to: to == main.from ? range.to : range.from + toOff, insert: lines },
+        range: EditorSelection.cursor(range.from + fromOff + lines.length)
+      };
+    }),
+    scrollIntoView: true,
+    userEvent: "input.complete"
+  };
+}
+function asSource(source) {
+  if (!Array.isArray(source))
+    return source;
+  let known = SourceCache.get(source);
+  if (!known)
+    SourceCache.set(source, known = completeFromList(source));
+  return known;
+}
+function joinClass(a, b) {
+  return a ? b ? a + " " + b : a : b;
+}
+function defaultPositionInfo(view, list, option, info, space5, tooltip) {
+  let rtl = view.textDirection == Direction.RTL, left = rtl, narrow = false;
+  let side = "top", offset, maxWidth;
+  let spaceLeft = list.left - space5.left, spaceRight = space5.right - list.right;
+  let infoWidth = info.right - info.left, infoHeight = info.bottom - info.top;
+  if (left && spaceLeft < Math.min(infoWidth, spaceRight))
+    left = false;
+  else if (!left && spaceRight < Math.min(infoWidth, spaceLeft))
+    left = true;
+  if (infoWidth <= (left ? spaceLeft : spaceRight)) {
+    offset = Math.max(space5.top, Math.min(option.top, space5.bottom - infoHeight)) - list.top;
+    maxWidth = Math.min(400, left ? spaceLeft : spaceRight);
+  } else {
+    narrow = true;
+    maxWidth = Math.min(
+      400,
+      (rtl ? list.right : space5.right - list.left) - 30
+      /* Info.Margin */
+    );
+    let spaceBelow = space5.bottom - list.bottom;
+    if (spaceBelow >= infoHeight || spaceBelow > list.top) {
+      offset = option.bottom - list.top;
+    } else {
+      side = "bottom";
+      offset = list.bottom - option.top;
+    }
+  }
+  let scaleY = (list.bottom - list.top) / tooltip.offsetHeight;
+  let scaleX = (list.right - list.left) / tooltip.offsetWidth;
+  return {
+    style: `${side}: ${offset / scaleY}px; max-width: ${maxWidth / scaleX}px`,
+    class: "cm-completionInfo-" + (narrow ? rtl ? "left-narrow" : "right-narrow" : left ? "left" : "right")
+  };
+}
+function optionContent(config2) {
+  let content2 = config2.addToOptions.slice();
+  if (config2.icons)
+    content2.push({
+      render(completion2) {
+        let icon = document.createElement("div");
+        icon.classList.add("cm-completionIcon");
+        if (completion2.type)
+          icon.classList.add(...completion2.type.split(/\s+/g).map((cls) => "cm-completionIcon-" + cls));
+        icon.setAttribute("aria-hidden", "true");
+        return icon;
+      },
+      position: 20
+    });
+  content2.push({
+    render(completion2, _s, _v, match) {
+      let labelElt = document.createElement("span");
+      labelElt.className = "cm-completionLabel";
+      let label = completion2.displayLabel || completion2.label, off = 0;
+      for (let j2 = 0; j2 < match.length; ) {
+        let from = match[j2++], to = match[j2++];
+        if (from > off)
+          labelElt.appendChild(document.createTextNode(label.slice(off, from)));
+        let span = labelElt.appendChild(document.createElement("span"));
+        span.appendChild(document.createTextNode(label.slice(from, to)));
+        span.className = "cm-completionMatchedText";
+        off = to;
+      }
+      if (off < label.length)
+        labelElt.appendChild(document.createTextNode(label.slice(off)));
+      return labelElt;
+    },
+    position: 50
+  }, {
+    render(completion2) {
+      if (!completion2.detail)
+        return null;
+      let detailElt = document.createElement("span");
+      detailElt.className = "cm-completionDetail";
+      detailElt.textContent = completion2.detail;
+      return detailElt;
+    },
+    position: 80
+  });
+  return content2.sort((a, b) => a.position - b.position).map((a) => a.render);
+}
+function rangeAroundSelected(total, selected, max) {
+  if (total <= max)
+    return { from: 0, to: total };
+  if (selected < 0)
+    selected = 0;
+  if (selected <= total >> 1) {
+    let off2 = Math.floor(selected / max);
+    return { from: off2 * max, to: (off2 + 1) * max };
+  }
+  let off = Math.floor((total - selected) / max);
+  return { from: total - (off + 1) * max, to: total - off * max };
+}
+function completionTooltip(stateField, applyCompletion2) {
+  return (view) => new CompletionTooltip(view, stateField, applyCompletion2);
+}
+function scrollIntoView2(container, element) {
+  let parent = container.getBoundingClientRect();
+  let self = element.getBoundingClientRect();
+  let scaleY = parent.height / container.offsetHeight;
+  if (self.top < parent.top)
+    container.scrollTop -= (parent.top - self.top) / scaleY;
+  else if (self.bottom > parent.bottom)
+    container.scrollTop += (self.bottom - parent.bottom) / scaleY;
+}
+function score(option) {
+  return (option.boost || 0) * 100 + (option.apply ? 10 : 0) + (option.info ? 5 : 0) + (option.type ? 1 : 0);
+}
+function sortOptions(active, state) {
+  let options = [];
+  let sections = null, dynamicSectionScore = null;
+  let addOption = (option) => {
+    options.push(option);
+    let { section } = option.completion;
+    if (section) {
+      if (!sections)
+        sections = [];
+      let name2 = typeof section == "string" ? section : section.name;
+      if (!sections.some((s) => s.name == name2))
+        sections.push(typeof section == "string" ? { name: name2 } : section);
+    }
+  };
+  let conf = state.facet(completionConfig);
+  for (let a of active)
+    if (a.hasResult()) {
+      let getMatch = a.result.getMatch;
+      if (a.result.filter === false) {
+        for (let option of a.result.options) {
+          addOption(new Option(option, a.source, getMatch ? getMatch(option) : [], 1e9 - options.length));
+        }
+      } else {
+        let pattern = state.sliceDoc(a.from, a.to), match;
+        let matcher = conf.filterStrict ? new StrictMatcher(pattern) : new FuzzyMatcher(pattern);
+        for (let option of a.result.options)
+          if (match = matcher.match(option.label)) {
+            let matched = !option.displayLabel ? match.matched : getMatch ? getMatch(option, match.matched) : [];
+            let score2 = match.score + (option.boost || 0);
+            addOption(new Option(option, a.source, matched, score2));
+            if (typeof option.section == "object" && option.section.rank === "dynamic") {
+              let { name: name2 } = option.section;
+              if (!dynamicSectionScore)
+                dynamicSectionScore = /* @__PURE__ */ Object.create(null);
+              dynamicSectionScore[name2] = Math.max(score2, dynamicSectionScore[name2] || -1e9);
+            }
+          }
+      }
+    }
+  if (sections) {
+    let sectionOrder = /* @__PURE__ */ Object.create(null), pos = 0;
+    let cmp = (a, b) => {
+      return (a.rank === "dynamic" && b.rank === "dynamic" ? dynamicSectionScore[b.name] - dynamicSectionScore[a.name] : 0) || (typeof a.rank == "number" ? a.rank : 1e9) - (typeof b.rank == "number" ? b.rank : 1e9) || (a.name < b.name ? -1 : 1);
+    };
+    for (let s of sections.sort(cmp)) {
+      pos -= 1e5;
+      sectionOrder[s.name] = pos;
+    }
+    for (let option of options) {
+      let { section } = option.completion;
+      if (section)
+        option.score += sectionOrder[typeof section == "string" ? section : section.name];
+    }
+  }
+  let result = [], prev = null;
+  let compare2 = conf.compareCompletions;
+  for (let opt of options.sort((a, b) => b.score - a.score || compare2(a.completion, b.completion))) {
+    let cur2 = opt.completion;
+    if (!prev || prev.label != cur2.label || prev.detail != cur2.detail || prev.type != null && cur2.type != null && prev.type != cur2.type || prev.apply != cur2.apply || prev.boost != cur2.boost)
+      result.push(opt);
+    else if (score(opt.completion) > score(prev))
+      result[result.length - 1] = opt;
+    prev = opt.completion;
+  }
+  return result;
+}
+function sameResults(a, b) {
+  if (a == b)
+    return true;
+  for (let iA = 0, iB = 0; ; ) {
+    while (iA < a.length && !a[iA].hasResult())
+      iA++;
+    while (iB < b.length && !b[iB].hasResult())
+      iB++;
+    let endA = iA == a.length, endB = iB == b.length;
+    if (endA || endB)
+      return endA == endB;
+    if (a[iA++].result != b[iB++].result)
+      return false;
+  }
+}
+function makeAttrs(id2, selected) {
+  let result = {
+    "aria-autocomplete": "list",
+    "aria-haspopup": "listbox",
+    "aria-controls": id2
+  };
+  if (selected > -1)
+    result["aria-activedescendant"] = id2 + "-" + selected;
+  return result;
+}
+function getUpdateType(tr, conf) {
+  if (tr.isUserEvent("input.complete")) {
+    let completion2 = tr.annotation(pickedCompletion);
+    if (completion2 && conf.activateOnCompletion(completion2))
+      return 4 | 8;
+  }
+  let typing = tr.isUserEvent("input.type");
+  return typing && conf.activateOnTyping ? 4 | 1 : typing ? 1 : tr.isUserEvent("delete.backward") ? 2 : tr.selection ? 8 : tr.docChanged ? 16 : 0;
+}
+function checkValid(validFor, state, from, to) {
+  if (!validFor)
+    return false;
+  let text3 = state.sliceDoc(from, to);
+  return typeof validFor == "function" ? validFor(text3, from, to, state) : ensureAnchor(validFor, true).test(text3);
+}
+function applyCompletion(view, option) {
+  const apply3 = option.completion.apply || option.completion.label;
+  let result = view.state.field(completionState).active.find((a) => a.source == option.source);
+  if (!(result instanceof ActiveResult))
+    return false;
+  if (typeof apply3 == "string")
+    view.dispatch({
+      ...insertCompletionText(view.state, apply3, result.from, result.to),
+      annotations: pickedCompletion.of(option.completion)
+    });
+  else
+    apply3(view, option.completion, result.from, result.to);
+  return true;
+}
+function moveCompletionSelection(forward, by = "option") {
+  return (view) => {
+    let cState = view.state.field(completionState, false);
+    if (!cState || !cState.open || cState.open.disabled || Date.now() - cState.open.timestamp < view.state.facet(completionConfig).interactionDelay)
+      return false;
+    let step = 1, tooltip;
+    if (by == "page" && (tooltip = getTooltip(view, cState.open.tooltip)))
+      step = Math.max(2, Math.floor(tooltip.dom.offsetHeight / tooltip.dom.querySelector("li").offsetHeight) - 1);
+    let { length } = cState.open.options;
+    let selected = cState.open.selected > -1 ? cState.open.selected + step * (forward ? 1 : -1) : forward ? 0 : length - 1;
+    if (selected < 0)
+      selected = by == "page" ? 0 : length - 1;
+    else if (selected >= length)
+      selected = by == "page" ? length - 1 : 0;
+    view.dispatch({ effects: setSelectedEffect.of(selected) });
+    return true;
+  };
+}
 function fieldSelection(ranges, field) {
   return EditorSelection.create(ranges.filter((r) => r.field == field).map((r) => EditorSelection.range(r.from, r.to)));
 }
 function snippet(template) {
   let snippet2 = Snippet.parse(template);
-  return (editor, completion, from, to) => {
-    let { text, ranges } = snippet2.instantiate(editor.state, from);
+  return (editor, completion2, from, to) => {
+    let { text: text3, ranges } = snippet2.instantiate(editor.state, from);
     let { main } = editor.state.selection;
     let spec = {
-      changes: { from, to: to == main.from ? main.to : to, insert: Text.of(text) },
+      changes: { from, to: to == main.from ? main.to : to, insert: Text.of(text3) },
       scrollIntoView: true,
-      annotations: completion ? [pickedCompletion.of(completion), Transaction.userEvent.of("input.complete")] : void 0
+      annotations: completion2 ? [pickedCompletion.of(completion2), Transaction.userEvent.of("input.complete")] : void 0
     };
     if (ranges.length)
       spec.selection = fieldSelection(ranges, 0);
@@ -20263,17 +21461,25 @@ function moveField(dir) {
     let active = state.field(snippetState, false);
     if (!active || dir < 0 && active.active == 0)
       return false;
-    let next = active.active + dir, last = dir > 0 && !active.ranges.some((r) => r.field == next + dir);
+    let next = active.active + dir, last2 = dir > 0 && !active.ranges.some((r) => r.field == next + dir);
     dispatch(state.update({
       selection: fieldSelection(active.ranges, next),
-      effects: setActive.of(last ? null : new ActiveSnippet(active.ranges, next)),
+      effects: setActive.of(last2 ? null : new ActiveSnippet(active.ranges, next)),
       scrollIntoView: true
     }));
     return true;
   };
 }
-function snippetCompletion(template, completion) {
-  return { ...completion, apply: snippet(template) };
+function hasNextSnippetField(state) {
+  let active = state.field(snippetState, false);
+  return !!(active && active.ranges.some((r) => r.field == active.active + 1));
+}
+function hasPrevSnippetField(state) {
+  let active = state.field(snippetState, false);
+  return !!(active && active.active > 0);
+}
+function snippetCompletion(template, completion2) {
+  return { ...completion2, apply: snippet(template) };
 }
 function closeBrackets() {
   return [inputHandler2, bracketState];
@@ -20434,7 +21640,17 @@ function canStartStringAt(state, pos, prefixes) {
   }
   return -1;
 }
-var CompletionContext, pickedCompletion, windows, baseTheme3, FieldPos, FieldRange, Snippet, fieldMarker, fieldRange, ActiveSnippet, setActive, moveToField, snippetState, clearSnippet, nextSnippetField, prevSnippetField, defaultSnippetKeymap, snippetKeymap, addSnippetKeymap, snippetPointerHandler, defaults2, closeBracketEffect, closedBracket, bracketState, definedClosing, android, inputHandler2, deleteBracketPair, closeBracketsKeymap;
+function autocompletion(config2 = {}) {
+  return [
+    commitCharacters,
+    completionState,
+    completionConfig.of(config2),
+    completionPlugin,
+    completionKeymapExt,
+    baseTheme3
+  ];
+}
+var CompletionContext, Option, pickedCompletion, SourceCache, startCompletionEffect, closeCompletionEffect, FuzzyMatcher, StrictMatcher, completionConfig, CompletionTooltip, CompletionDialog, CompletionState, baseAttrs, noAttrs2, none3, ActiveSource, ActiveResult, setActiveEffect, setSelectedEffect, completionState, createTooltip, acceptCompletion, startCompletion, closeCompletion, RunningQuery, MaxUpdateCount, MinAbortTime, completionPlugin, windows, commitCharacters, baseTheme3, FieldPos, FieldRange, Snippet, fieldMarker, fieldRange, ActiveSnippet, setActive, moveToField, snippetState, clearSnippet, nextSnippetField, prevSnippetField, defaultSnippetKeymap, snippetKeymap, addSnippetKeymap, snippetPointerHandler, defaults2, closeBracketEffect, closedBracket, bracketState, definedClosing, android, inputHandler2, deleteBracketPair, closeBracketsKeymap, completionKeymap, completionKeymapExt;
 var init_dist9 = __esm({
   "node_modules/@codemirror/autocomplete/dist/index.js"() {
     init_dist();
@@ -20508,52 +21724,876 @@ var init_dist9 = __esm({
         }
       }
     };
+    Option = class {
+      constructor(completion2, source, match, score2) {
+        this.completion = completion2;
+        this.source = source;
+        this.match = match;
+        this.score = score2;
+      }
+    };
     pickedCompletion = /* @__PURE__ */ Annotation.define();
-    windows = typeof navigator == "object" && /* @__PURE__ */ /Win/.test(navigator.platform);
-    baseTheme3 = /* @__PURE__ */ EditorView.baseTheme({
-      ".cm-tooltip.cm-tooltip-autocomplete": {
-        "& > ul": {
-          fontFamily: "monospace",
-          whiteSpace: "nowrap",
-          overflow: "hidden auto",
-          maxWidth_fallback: "700px",
-          maxWidth: "min(700px, 95vw)",
-          minWidth: "250px",
-          maxHeight: "10em",
-          height: "100%",
-          listStyle: "none",
-          margin: 0,
-          padding: 0,
-          "& > li, & > completion-section": {
-            padding: "1px 3px",
-            lineHeight: 1.2
-          },
-          "& > li": {
-            overflowX: "hidden",
-            textOverflow: "ellipsis",
-            cursor: "pointer"
-          },
-          "& > completion-section": {
-            display: "list-item",
-            borderBottom: "1px solid silver",
-            paddingLeft: "0.5em",
-            opacity: 0.7
+    SourceCache = /* @__PURE__ */ new WeakMap();
+    startCompletionEffect = /* @__PURE__ */ StateEffect.define();
+    closeCompletionEffect = /* @__PURE__ */ StateEffect.define();
+    FuzzyMatcher = class {
+      constructor(pattern) {
+        this.pattern = pattern;
+        this.chars = [];
+        this.folded = [];
+        this.any = [];
+        this.precise = [];
+        this.byWord = [];
+        this.score = 0;
+        this.matched = [];
+        for (let p = 0; p < pattern.length; ) {
+          let char = codePointAt2(pattern, p), size = codePointSize2(char);
+          this.chars.push(char);
+          let part = pattern.slice(p, p + size), upper = part.toUpperCase();
+          this.folded.push(codePointAt2(upper == part ? part.toLowerCase() : upper, 0));
+          p += size;
+        }
+        this.astral = pattern.length != this.chars.length;
+      }
+      ret(score2, matched) {
+        this.score = score2;
+        this.matched = matched;
+        return this;
+      }
+      // Matches a given word (completion) against the pattern (input).
+      // Will return a boolean indicating whether there was a match and,
+      // on success, set `this.score` to the score, `this.matched` to an
+      // array of `from, to` pairs indicating the matched parts of `word`.
+      //
+      // The score is a number that is more negative the worse the match
+      // is. See `Penalty` above.
+      match(word) {
+        if (this.pattern.length == 0)
+          return this.ret(-100, []);
+        if (word.length < this.pattern.length)
+          return null;
+        let { chars, folded, any, precise, byWord } = this;
+        if (chars.length == 1) {
+          let first = codePointAt2(word, 0), firstSize = codePointSize2(first);
+          let score2 = firstSize == word.length ? 0 : -100;
+          if (first == chars[0]) ;
+          else if (first == folded[0])
+            score2 += -200;
+          else
+            return null;
+          return this.ret(score2, [0, firstSize]);
+        }
+        let direct = word.indexOf(this.pattern);
+        if (direct == 0)
+          return this.ret(word.length == this.pattern.length ? 0 : -100, [0, this.pattern.length]);
+        let len = chars.length, anyTo = 0;
+        if (direct < 0) {
+          for (let i = 0, e = Math.min(word.length, 200); i < e && anyTo < len; ) {
+            let next = codePointAt2(word, i);
+            if (next == chars[anyTo] || next == folded[anyTo])
+              any[anyTo++] = i;
+            i += codePointSize2(next);
+          }
+          if (anyTo < len)
+            return null;
+        }
+        let preciseTo = 0;
+        let byWordTo = 0, byWordFolded = false;
+        let adjacentTo = 0, adjacentStart = -1, adjacentEnd = -1;
+        let hasLower = /[a-z]/.test(word), wordAdjacent = true;
+        for (let i = 0, e = Math.min(word.length, 200), prevType = 0; i < e && byWordTo < len; ) {
+          let next = codePointAt2(word, i);
+          if (direct < 0) {
+            if (preciseTo < len && next == chars[preciseTo])
+              precise[preciseTo++] = i;
+            if (adjacentTo < len) {
+              if (next == chars[adjacentTo] || next == folded[adjacentTo]) {
+                if (adjacentTo == 0)
+                  adjacentStart = i;
+                adjacentEnd = i + 1;
+                adjacentTo++;
+              } else {
+                adjacentTo = 0;
+              }
+            }
+          }
+          let ch, type = next < 255 ? next >= 48 && next <= 57 || next >= 97 && next <= 122 ? 2 : next >= 65 && next <= 90 ? 1 : 0 : (ch = fromCodePoint(next)) != ch.toLowerCase() ? 1 : ch != ch.toUpperCase() ? 2 : 0;
+          if (!i || type == 1 && hasLower || prevType == 0 && type != 0) {
+            if (chars[byWordTo] == next || folded[byWordTo] == next && (byWordFolded = true))
+              byWord[byWordTo++] = i;
+            else if (byWord.length)
+              wordAdjacent = false;
+          }
+          prevType = type;
+          i += codePointSize2(next);
+        }
+        if (byWordTo == len && byWord[0] == 0 && wordAdjacent)
+          return this.result(-100 + (byWordFolded ? -200 : 0), byWord, word);
+        if (adjacentTo == len && adjacentStart == 0)
+          return this.ret(-200 - word.length + (adjacentEnd == word.length ? 0 : -100), [0, adjacentEnd]);
+        if (direct > -1)
+          return this.ret(-700 - word.length, [direct, direct + this.pattern.length]);
+        if (adjacentTo == len)
+          return this.ret(-200 + -700 - word.length, [adjacentStart, adjacentEnd]);
+        if (byWordTo == len)
+          return this.result(-100 + (byWordFolded ? -200 : 0) + -700 + (wordAdjacent ? 0 : -1100), byWord, word);
+        return chars.length == 2 ? null : this.result((any[0] ? -700 : 0) + -200 + -1100, any, word);
+      }
+      result(score2, positions, word) {
+        let result = [], i = 0;
+        for (let pos of positions) {
+          let to = pos + (this.astral ? codePointSize2(codePointAt2(word, pos)) : 1);
+          if (i && result[i - 1] == pos)
+            result[i - 1] = to;
+          else {
+            result[i++] = pos;
+            result[i++] = to;
+          }
+        }
+        return this.ret(score2 - word.length, result);
+      }
+    };
+    StrictMatcher = class {
+      constructor(pattern) {
+        this.pattern = pattern;
+        this.matched = [];
+        this.score = 0;
+        this.folded = pattern.toLowerCase();
+      }
+      match(word) {
+        if (word.length < this.pattern.length)
+          return null;
+        let start = word.slice(0, this.pattern.length);
+        let match = start == this.pattern ? 0 : start.toLowerCase() == this.folded ? -200 : null;
+        if (match == null)
+          return null;
+        this.matched = [0, start.length];
+        this.score = match + (word.length == this.pattern.length ? 0 : -100);
+        return this;
+      }
+    };
+    completionConfig = /* @__PURE__ */ Facet.define({
+      combine(configs) {
+        return combineConfig(configs, {
+          activateOnTyping: true,
+          activateOnCompletion: () => false,
+          activateOnTypingDelay: 100,
+          selectOnOpen: true,
+          override: null,
+          closeOnBlur: true,
+          maxRenderedOptions: 100,
+          defaultKeymap: true,
+          tooltipClass: () => "",
+          optionClass: () => "",
+          aboveCursor: false,
+          icons: true,
+          addToOptions: [],
+          positionInfo: defaultPositionInfo,
+          filterStrict: false,
+          compareCompletions: (a, b) => (a.sortText || a.label).localeCompare(b.sortText || b.label),
+          interactionDelay: 75,
+          updateSyncTime: 100
+        }, {
+          defaultKeymap: (a, b) => a && b,
+          closeOnBlur: (a, b) => a && b,
+          icons: (a, b) => a && b,
+          tooltipClass: (a, b) => (c) => joinClass(a(c), b(c)),
+          optionClass: (a, b) => (c) => joinClass(a(c), b(c)),
+          addToOptions: (a, b) => a.concat(b),
+          filterStrict: (a, b) => a || b
+        });
+      }
+    });
+    CompletionTooltip = class {
+      constructor(view, stateField, applyCompletion2) {
+        this.view = view;
+        this.stateField = stateField;
+        this.applyCompletion = applyCompletion2;
+        this.info = null;
+        this.infoDestroy = null;
+        this.placeInfoReq = {
+          read: () => this.measureInfo(),
+          write: (pos) => this.placeInfo(pos),
+          key: this
+        };
+        this.space = null;
+        this.currentClass = "";
+        let cState = view.state.field(stateField);
+        let { options, selected } = cState.open;
+        let config2 = view.state.facet(completionConfig);
+        this.optionContent = optionContent(config2);
+        this.optionClass = config2.optionClass;
+        this.tooltipClass = config2.tooltipClass;
+        this.range = rangeAroundSelected(options.length, selected, config2.maxRenderedOptions);
+        this.dom = document.createElement("div");
+        this.dom.className = "cm-tooltip-autocomplete";
+        this.updateTooltipClass(view.state);
+        this.dom.addEventListener("mousedown", (e) => {
+          let { options: options2 } = view.state.field(stateField).open;
+          for (let dom = e.target, match; dom && dom != this.dom; dom = dom.parentNode) {
+            if (dom.nodeName == "LI" && (match = /-(\d+)$/.exec(dom.id)) && +match[1] < options2.length) {
+              this.applyCompletion(view, options2[+match[1]]);
+              e.preventDefault();
+              return;
+            }
+          }
+        });
+        this.dom.addEventListener("focusout", (e) => {
+          let state = view.state.field(this.stateField, false);
+          if (state && state.tooltip && view.state.facet(completionConfig).closeOnBlur && e.relatedTarget != view.contentDOM)
+            view.dispatch({ effects: closeCompletionEffect.of(null) });
+        });
+        this.showOptions(options, cState.id);
+      }
+      mount() {
+        this.updateSel();
+      }
+      showOptions(options, id2) {
+        if (this.list)
+          this.list.remove();
+        this.list = this.dom.appendChild(this.createListBox(options, id2, this.range));
+        this.list.addEventListener("scroll", () => {
+          if (this.info)
+            this.view.requestMeasure(this.placeInfoReq);
+        });
+      }
+      update(update) {
+        var _a2;
+        let cState = update.state.field(this.stateField);
+        let prevState = update.startState.field(this.stateField);
+        this.updateTooltipClass(update.state);
+        if (cState != prevState) {
+          let { options, selected, disabled } = cState.open;
+          if (!prevState.open || prevState.open.options != options) {
+            this.range = rangeAroundSelected(options.length, selected, update.state.facet(completionConfig).maxRenderedOptions);
+            this.showOptions(options, cState.id);
+          }
+          this.updateSel();
+          if (disabled != ((_a2 = prevState.open) === null || _a2 === void 0 ? void 0 : _a2.disabled))
+            this.dom.classList.toggle("cm-tooltip-autocomplete-disabled", !!disabled);
+        }
+      }
+      updateTooltipClass(state) {
+        let cls = this.tooltipClass(state);
+        if (cls != this.currentClass) {
+          for (let c of this.currentClass.split(" "))
+            if (c)
+              this.dom.classList.remove(c);
+          for (let c of cls.split(" "))
+            if (c)
+              this.dom.classList.add(c);
+          this.currentClass = cls;
+        }
+      }
+      positioned(space5) {
+        this.space = space5;
+        if (this.info)
+          this.view.requestMeasure(this.placeInfoReq);
+      }
+      updateSel() {
+        let cState = this.view.state.field(this.stateField), open = cState.open;
+        if (open.selected > -1 && open.selected < this.range.from || open.selected >= this.range.to) {
+          this.range = rangeAroundSelected(open.options.length, open.selected, this.view.state.facet(completionConfig).maxRenderedOptions);
+          this.showOptions(open.options, cState.id);
+        }
+        let newSel = this.updateSelectedOption(open.selected);
+        if (newSel) {
+          this.destroyInfo();
+          let { completion: completion2 } = open.options[open.selected];
+          let { info } = completion2;
+          if (!info)
+            return;
+          let infoResult = typeof info === "string" ? document.createTextNode(info) : info(completion2);
+          if (!infoResult)
+            return;
+          if ("then" in infoResult) {
+            infoResult.then((obj) => {
+              if (obj && this.view.state.field(this.stateField, false) == cState)
+                this.addInfoPane(obj, completion2);
+            }).catch((e) => logException(this.view.state, e, "completion info"));
+          } else {
+            this.addInfoPane(infoResult, completion2);
+            newSel.setAttribute("aria-describedby", this.info.id);
           }
         }
-      },
-      "&light .cm-tooltip-autocomplete ul li[aria-selected]": {
-        background: "#17c",
-        color: "white"
-      },
-      "&light .cm-tooltip-autocomplete-disabled ul li[aria-selected]": {
-        background: "#777"
-      },
-      "&dark .cm-tooltip-autocomplete ul li[aria-selected]": {
-        background: "#347",
-        color: "white"
-      },
-      "&dark .cm-tooltip-autocomplete-disabled ul li[aria-selected]": {
-        background: "#444"
+      }
+      addInfoPane(content2, completion2) {
+        this.destroyInfo();
+        let wrap = this.info = document.createElement("div");
+        wrap.className = "cm-tooltip cm-completionInfo";
+        wrap.id = "cm-completionInfo-" + Math.floor(Math.random() * 65535).toString(16);
+        if (content2.nodeType != null) {
+          wrap.appendChild(content2);
+          this.infoDestroy = null;
+        } else {
+          let { dom, destroy } = content2;
+          wrap.appendChild(dom);
+          this.infoDestroy = destroy || null;
+        }
+        this.dom.appendChild(wrap);
+        this.view.requestMeasure(this.placeInfoReq);
+      }
+      updateSelectedOption(selected) {
+        let set = null;
+        for (let opt = this.list.firstChild, i = this.range.from; opt; opt = opt.nextSibling, i++) {
+          if (opt.nodeName != "LI" || !opt.id) {
+            i--;
+          } else if (i == selected) {
+            if (!opt.hasAttribute("aria-selected")) {
+              opt.setAttribute("aria-selected", "true");
+              set = opt;
+            }
+          } else {
+            if (opt.hasAttribute("aria-selected")) {
+              opt.removeAttribute("aria-selected");
+              opt.removeAttribute("aria-describedby");
+            }
+          }
+        }
+        if (set)
+          scrollIntoView2(this.list, set);
+        return set;
+      }
+      measureInfo() {
+        let sel = this.dom.querySelector("[aria-selected]");
+        if (!sel || !this.info)
+          return null;
+        let listRect = this.dom.getBoundingClientRect();
+        let infoRect = this.info.getBoundingClientRect();
+        let selRect = sel.getBoundingClientRect();
+        let space5 = this.space;
+        if (!space5) {
+          let docElt = this.dom.ownerDocument.documentElement;
+          space5 = { left: 0, top: 0, right: docElt.clientWidth, bottom: docElt.clientHeight };
+        }
+        if (selRect.top > Math.min(space5.bottom, listRect.bottom) - 10 || selRect.bottom < Math.max(space5.top, listRect.top) + 10)
+          return null;
+        return this.view.state.facet(completionConfig).positionInfo(this.view, listRect, selRect, infoRect, space5, this.dom);
+      }
+      placeInfo(pos) {
+        if (this.info) {
+          if (pos) {
+            if (pos.style)
+              this.info.style.cssText = pos.style;
+            this.info.className = "cm-tooltip cm-completionInfo " + (pos.class || "");
+          } else {
+            this.info.style.cssText = "top: -1e6px";
+          }
+        }
+      }
+      createListBox(options, id2, range) {
+        const ul = document.createElement("ul");
+        ul.id = id2;
+        ul.setAttribute("role", "listbox");
+        ul.setAttribute("aria-expanded", "true");
+        ul.setAttribute("aria-label", this.view.state.phrase("Completions"));
+        ul.addEventListener("mousedown", (e) => {
+          if (e.target == ul)
+            e.preventDefault();
+        });
+        let curSection = null;
+        for (let i = range.from; i < range.to; i++) {
+          let { completion: completion2, match } = options[i], { section } = completion2;
+          if (section) {
+            let name2 = typeof section == "string" ? section : section.name;
+            if (name2 != curSection && (i > range.from || range.from == 0)) {
+              curSection = name2;
+              if (typeof section != "string" && section.header) {
+                ul.appendChild(section.header(section));
+              } else {
+                let header = ul.appendChild(document.createElement("completion-section"));
+                header.textContent = name2;
+              }
+            }
+          }
+          const li = ul.appendChild(document.createElement("li"));
+          li.id = id2 + "-" + i;
+          li.setAttribute("role", "option");
+          let cls = this.optionClass(completion2);
+          if (cls)
+            li.className = cls;
+          for (let source of this.optionContent) {
+            let node = source(completion2, this.view.state, this.view, match);
+            if (node)
+              li.appendChild(node);
+          }
+        }
+        if (range.from)
+          ul.classList.add("cm-completionListIncompleteTop");
+        if (range.to < options.length)
+          ul.classList.add("cm-completionListIncompleteBottom");
+        return ul;
+      }
+      destroyInfo() {
+        if (this.info) {
+          if (this.infoDestroy)
+            this.infoDestroy();
+          this.info.remove();
+          this.info = null;
+        }
+      }
+      destroy() {
+        this.destroyInfo();
+      }
+    };
+    CompletionDialog = class _CompletionDialog {
+      constructor(options, attrs, tooltip, timestamp, selected, disabled) {
+        this.options = options;
+        this.attrs = attrs;
+        this.tooltip = tooltip;
+        this.timestamp = timestamp;
+        this.selected = selected;
+        this.disabled = disabled;
+      }
+      setSelected(selected, id2) {
+        return selected == this.selected || selected >= this.options.length ? this : new _CompletionDialog(this.options, makeAttrs(id2, selected), this.tooltip, this.timestamp, selected, this.disabled);
+      }
+      static build(active, state, id2, prev, conf, didSetActive) {
+        if (prev && !didSetActive && active.some((s) => s.isPending))
+          return prev.setDisabled();
+        let options = sortOptions(active, state);
+        if (!options.length)
+          return prev && active.some((a) => a.isPending) ? prev.setDisabled() : null;
+        let selected = state.facet(completionConfig).selectOnOpen ? 0 : -1;
+        if (prev && prev.selected != selected && prev.selected != -1) {
+          let selectedValue = prev.options[prev.selected].completion;
+          for (let i = 0; i < options.length; i++)
+            if (options[i].completion == selectedValue) {
+              selected = i;
+              break;
+            }
+        }
+        return new _CompletionDialog(options, makeAttrs(id2, selected), {
+          pos: active.reduce((a, b) => b.hasResult() ? Math.min(a, b.from) : a, 1e8),
+          create: createTooltip,
+          above: conf.aboveCursor
+        }, prev ? prev.timestamp : Date.now(), selected, false);
+      }
+      map(changes) {
+        return new _CompletionDialog(this.options, this.attrs, { ...this.tooltip, pos: changes.mapPos(this.tooltip.pos) }, this.timestamp, this.selected, this.disabled);
+      }
+      setDisabled() {
+        return new _CompletionDialog(this.options, this.attrs, this.tooltip, this.timestamp, this.selected, true);
+      }
+    };
+    CompletionState = class _CompletionState {
+      constructor(active, id2, open) {
+        this.active = active;
+        this.id = id2;
+        this.open = open;
+      }
+      static start() {
+        return new _CompletionState(none3, "cm-ac-" + Math.floor(Math.random() * 2e6).toString(36), null);
+      }
+      update(tr) {
+        let { state } = tr, conf = state.facet(completionConfig);
+        let sources = conf.override || state.languageDataAt("autocomplete", cur(state)).map(asSource);
+        let active = sources.map((source) => {
+          let value = this.active.find((s) => s.source == source) || new ActiveSource(
+            source,
+            this.active.some(
+              (a) => a.state != 0
+              /* State.Inactive */
+            ) ? 1 : 0
+            /* State.Inactive */
+          );
+          return value.update(tr, conf);
+        });
+        if (active.length == this.active.length && active.every((a, i) => a == this.active[i]))
+          active = this.active;
+        let open = this.open, didSet = tr.effects.some((e) => e.is(setActiveEffect));
+        if (open && tr.docChanged)
+          open = open.map(tr.changes);
+        if (tr.selection || active.some((a) => a.hasResult() && tr.changes.touchesRange(a.from, a.to)) || !sameResults(active, this.active) || didSet)
+          open = CompletionDialog.build(active, state, this.id, open, conf, didSet);
+        else if (open && open.disabled && !active.some((a) => a.isPending))
+          open = null;
+        if (!open && active.every((a) => !a.isPending) && active.some((a) => a.hasResult()))
+          active = active.map((a) => a.hasResult() ? new ActiveSource(
+            a.source,
+            0
+            /* State.Inactive */
+          ) : a);
+        for (let effect of tr.effects)
+          if (effect.is(setSelectedEffect))
+            open = open && open.setSelected(effect.value, this.id);
+        return active == this.active && open == this.open ? this : new _CompletionState(active, this.id, open);
+      }
+      get tooltip() {
+        return this.open ? this.open.tooltip : null;
+      }
+      get attrs() {
+        return this.open ? this.open.attrs : this.active.length ? baseAttrs : noAttrs2;
+      }
+    };
+    baseAttrs = {
+      "aria-autocomplete": "list"
+    };
+    noAttrs2 = {};
+    none3 = [];
+    ActiveSource = class _ActiveSource {
+      constructor(source, state, explicit = false) {
+        this.source = source;
+        this.state = state;
+        this.explicit = explicit;
+      }
+      hasResult() {
+        return false;
+      }
+      get isPending() {
+        return this.state == 1;
+      }
+      update(tr, conf) {
+        let type = getUpdateType(tr, conf), value = this;
+        if (type & 8 || type & 16 && this.touches(tr))
+          value = new _ActiveSource(
+            value.source,
+            0
+            /* State.Inactive */
+          );
+        if (type & 4 && value.state == 0)
+          value = new _ActiveSource(
+            this.source,
+            1
+            /* State.Pending */
+          );
+        value = value.updateFor(tr, type);
+        for (let effect of tr.effects) {
+          if (effect.is(startCompletionEffect))
+            value = new _ActiveSource(value.source, 1, effect.value);
+          else if (effect.is(closeCompletionEffect))
+            value = new _ActiveSource(
+              value.source,
+              0
+              /* State.Inactive */
+            );
+          else if (effect.is(setActiveEffect)) {
+            for (let active of effect.value)
+              if (active.source == value.source)
+                value = active;
+          }
+        }
+        return value;
+      }
+      updateFor(tr, type) {
+        return this.map(tr.changes);
+      }
+      map(changes) {
+        return this;
+      }
+      touches(tr) {
+        return tr.changes.touchesRange(cur(tr.state));
+      }
+    };
+    ActiveResult = class _ActiveResult extends ActiveSource {
+      constructor(source, explicit, limit, result, from, to) {
+        super(source, 3, explicit);
+        this.limit = limit;
+        this.result = result;
+        this.from = from;
+        this.to = to;
+      }
+      hasResult() {
+        return true;
+      }
+      updateFor(tr, type) {
+        var _a2;
+        if (!(type & 3))
+          return this.map(tr.changes);
+        let result = this.result;
+        if (result.map && !tr.changes.empty)
+          result = result.map(result, tr.changes);
+        let from = tr.changes.mapPos(this.from), to = tr.changes.mapPos(this.to, 1);
+        let pos = cur(tr.state);
+        if (pos > to || !result || type & 2 && (cur(tr.startState) == this.from || pos < this.limit))
+          return new ActiveSource(
+            this.source,
+            type & 4 ? 1 : 0
+            /* State.Inactive */
+          );
+        let limit = tr.changes.mapPos(this.limit);
+        if (checkValid(result.validFor, tr.state, from, to))
+          return new _ActiveResult(this.source, this.explicit, limit, result, from, to);
+        if (result.update && (result = result.update(result, from, to, new CompletionContext(tr.state, pos, false))))
+          return new _ActiveResult(this.source, this.explicit, limit, result, result.from, (_a2 = result.to) !== null && _a2 !== void 0 ? _a2 : cur(tr.state));
+        return new ActiveSource(this.source, 1, this.explicit);
+      }
+      map(mapping) {
+        if (mapping.empty)
+          return this;
+        let result = this.result.map ? this.result.map(this.result, mapping) : this.result;
+        if (!result)
+          return new ActiveSource(
+            this.source,
+            0
+            /* State.Inactive */
+          );
+        return new _ActiveResult(this.source, this.explicit, mapping.mapPos(this.limit), this.result, mapping.mapPos(this.from), mapping.mapPos(this.to, 1));
+      }
+      touches(tr) {
+        return tr.changes.touchesRange(this.from, this.to);
+      }
+    };
+    setActiveEffect = /* @__PURE__ */ StateEffect.define({
+      map(sources, mapping) {
+        return sources.map((s) => s.map(mapping));
+      }
+    });
+    setSelectedEffect = /* @__PURE__ */ StateEffect.define();
+    completionState = /* @__PURE__ */ StateField.define({
+      create() {
+        return CompletionState.start();
+      },
+      update(value, tr) {
+        return value.update(tr);
+      },
+      provide: (f) => [
+        showTooltip.from(f, (val) => val.tooltip),
+        EditorView.contentAttributes.from(f, (state) => state.attrs)
+      ]
+    });
+    createTooltip = /* @__PURE__ */ completionTooltip(completionState, applyCompletion);
+    acceptCompletion = (view) => {
+      let cState = view.state.field(completionState, false);
+      if (view.state.readOnly || !cState || !cState.open || cState.open.selected < 0 || cState.open.disabled || Date.now() - cState.open.timestamp < view.state.facet(completionConfig).interactionDelay)
+        return false;
+      return applyCompletion(view, cState.open.options[cState.open.selected]);
+    };
+    startCompletion = (view) => {
+      let cState = view.state.field(completionState, false);
+      if (!cState)
+        return false;
+      view.dispatch({ effects: startCompletionEffect.of(true) });
+      return true;
+    };
+    closeCompletion = (view) => {
+      let cState = view.state.field(completionState, false);
+      if (!cState || !cState.active.some(
+        (a) => a.state != 0
+        /* State.Inactive */
+      ))
+        return false;
+      view.dispatch({ effects: closeCompletionEffect.of(null) });
+      return true;
+    };
+    RunningQuery = class {
+      constructor(active, context) {
+        this.active = active;
+        this.context = context;
+        this.time = Date.now();
+        this.updates = [];
+        this.done = void 0;
+      }
+    };
+    MaxUpdateCount = 50;
+    MinAbortTime = 1e3;
+    completionPlugin = /* @__PURE__ */ ViewPlugin.fromClass(class {
+      constructor(view) {
+        this.view = view;
+        this.debounceUpdate = -1;
+        this.running = [];
+        this.debounceAccept = -1;
+        this.pendingStart = false;
+        this.composing = 0;
+        for (let active of view.state.field(completionState).active)
+          if (active.isPending)
+            this.startQuery(active);
+      }
+      update(update) {
+        let cState = update.state.field(completionState);
+        let conf = update.state.facet(completionConfig);
+        if (!update.selectionSet && !update.docChanged && update.startState.field(completionState) == cState)
+          return;
+        let doesReset = update.transactions.some((tr) => {
+          let type = getUpdateType(tr, conf);
+          return type & 8 || (tr.selection || tr.docChanged) && !(type & 3);
+        });
+        for (let i = 0; i < this.running.length; i++) {
+          let query = this.running[i];
+          if (doesReset || query.context.abortOnDocChange && update.docChanged || query.updates.length + update.transactions.length > MaxUpdateCount && Date.now() - query.time > MinAbortTime) {
+            for (let handler of query.context.abortListeners) {
+              try {
+                handler();
+              } catch (e) {
+                logException(this.view.state, e);
+              }
+            }
+            query.context.abortListeners = null;
+            this.running.splice(i--, 1);
+          } else {
+            query.updates.push(...update.transactions);
+          }
+        }
+        if (this.debounceUpdate > -1)
+          clearTimeout(this.debounceUpdate);
+        if (update.transactions.some((tr) => tr.effects.some((e) => e.is(startCompletionEffect))))
+          this.pendingStart = true;
+        let delay = this.pendingStart ? 50 : conf.activateOnTypingDelay;
+        this.debounceUpdate = cState.active.some((a) => a.isPending && !this.running.some((q2) => q2.active.source == a.source)) ? setTimeout(() => this.startUpdate(), delay) : -1;
+        if (this.composing != 0)
+          for (let tr of update.transactions) {
+            if (tr.isUserEvent("input.type"))
+              this.composing = 2;
+            else if (this.composing == 2 && tr.selection)
+              this.composing = 3;
+          }
+      }
+      startUpdate() {
+        this.debounceUpdate = -1;
+        this.pendingStart = false;
+        let { state } = this.view, cState = state.field(completionState);
+        for (let active of cState.active) {
+          if (active.isPending && !this.running.some((r) => r.active.source == active.source))
+            this.startQuery(active);
+        }
+        if (this.running.length && cState.open && cState.open.disabled)
+          this.debounceAccept = setTimeout(() => this.accept(), this.view.state.facet(completionConfig).updateSyncTime);
+      }
+      startQuery(active) {
+        let { state } = this.view, pos = cur(state);
+        let context = new CompletionContext(state, pos, active.explicit, this.view);
+        let pending = new RunningQuery(active, context);
+        this.running.push(pending);
+        Promise.resolve(active.source(context)).then((result) => {
+          if (!pending.context.aborted) {
+            pending.done = result || null;
+            this.scheduleAccept();
+          }
+        }, (err) => {
+          this.view.dispatch({ effects: closeCompletionEffect.of(null) });
+          logException(this.view.state, err);
+        });
+      }
+      scheduleAccept() {
+        if (this.running.every((q2) => q2.done !== void 0))
+          this.accept();
+        else if (this.debounceAccept < 0)
+          this.debounceAccept = setTimeout(() => this.accept(), this.view.state.facet(completionConfig).updateSyncTime);
+      }
+      // For each finished query in this.running, try to create a result
+      // or, if appropriate, restart the query.
+      accept() {
+        var _a2;
+        if (this.debounceAccept > -1)
+          clearTimeout(this.debounceAccept);
+        this.debounceAccept = -1;
+        let updated = [];
+        let conf = this.view.state.facet(completionConfig), cState = this.view.state.field(completionState);
+        for (let i = 0; i < this.running.length; i++) {
+          let query = this.running[i];
+          if (query.done === void 0)
+            continue;
+          this.running.splice(i--, 1);
+          if (query.done) {
+            let pos = cur(query.updates.length ? query.updates[0].startState : this.view.state);
+            let limit = Math.min(pos, query.done.from + (query.active.explicit ? 0 : 1));
+            let active = new ActiveResult(query.active.source, query.active.explicit, limit, query.done, query.done.from, (_a2 = query.done.to) !== null && _a2 !== void 0 ? _a2 : pos);
+            for (let tr of query.updates)
+              active = active.update(tr, conf);
+            if (active.hasResult()) {
+              updated.push(active);
+              continue;
+            }
+          }
+          let current = cState.active.find((a) => a.source == query.active.source);
+          if (current && current.isPending) {
+            if (query.done == null) {
+              let active = new ActiveSource(
+                query.active.source,
+                0
+                /* State.Inactive */
+              );
+              for (let tr of query.updates)
+                active = active.update(tr, conf);
+              if (!active.isPending)
+                updated.push(active);
+            } else {
+              this.startQuery(current);
+            }
+          }
+        }
+        if (updated.length || cState.open && cState.open.disabled)
+          this.view.dispatch({ effects: setActiveEffect.of(updated) });
+      }
+    }, {
+      eventHandlers: {
+        blur(event) {
+          let state = this.view.state.field(completionState, false);
+          if (state && state.tooltip && this.view.state.facet(completionConfig).closeOnBlur) {
+            let dialog2 = state.open && getTooltip(this.view, state.open.tooltip);
+            if (!dialog2 || !dialog2.dom.contains(event.relatedTarget))
+              setTimeout(() => this.view.dispatch({ effects: closeCompletionEffect.of(null) }), 10);
+          }
+        },
+        compositionstart() {
+          this.composing = 1;
+        },
+        compositionend() {
+          if (this.composing == 3) {
+            setTimeout(() => this.view.dispatch({ effects: startCompletionEffect.of(false) }), 20);
+          }
+          this.composing = 0;
+        }
+      }
+    });
+    windows = typeof navigator == "object" && /* @__PURE__ */ /Win/.test(navigator.platform);
+    commitCharacters = /* @__PURE__ */ Prec.highest(/* @__PURE__ */ EditorView.domEventHandlers({
+      keydown(event, view) {
+        let field = view.state.field(completionState, false);
+        if (!field || !field.open || field.open.disabled || field.open.selected < 0 || event.key.length > 1 || event.ctrlKey && !(windows && event.altKey) || event.metaKey)
+          return false;
+        let option = field.open.options[field.open.selected];
+        let result = field.active.find((a) => a.source == option.source);
+        let commitChars = option.completion.commitCharacters || result.result.commitCharacters;
+        if (commitChars && commitChars.indexOf(event.key) > -1)
+          applyCompletion(view, option);
+        return false;
+      }
+    }));
+    baseTheme3 = /* @__PURE__ */ EditorView.baseTheme({
+      ".cm-tooltip.cm-tooltip-autocomplete": {
+        "& > ul": {
+          fontFamily: "monospace",
+          whiteSpace: "nowrap",
+          overflow: "hidden auto",
+          maxWidth_fallback: "700px",
+          maxWidth: "min(700px, 95vw)",
+          minWidth: "250px",
+          maxHeight: "10em",
+          height: "100%",
+          listStyle: "none",
+          margin: 0,
+          padding: 0,
+          "& > li, & > completion-section": {
+            padding: "1px 3px",
+            lineHeight: 1.2
+          },
+          "& > li": {
+            overflowX: "hidden",
+            textOverflow: "ellipsis",
+            cursor: "pointer"
+          },
+          "& > completion-section": {
+            display: "list-item",
+            borderBottom: "1px solid silver",
+            paddingLeft: "0.5em",
+            opacity: 0.7
+          }
+        }
+      },
+      "&light .cm-tooltip-autocomplete ul li[aria-selected]": {
+        background: "#17c",
+        color: "white"
+      },
+      "&light .cm-tooltip-autocomplete-disabled ul li[aria-selected]": {
+        background: "#777"
+      },
+      "&dark .cm-tooltip-autocomplete ul li[aria-selected]": {
+        background: "#347",
+        color: "white"
+      },
+      "&dark .cm-tooltip-autocomplete-disabled ul li[aria-selected]": {
+        background: "#444"
       },
       ".cm-completionListIncompleteTop:before, .cm-completionListIncompleteBottom:after": {
         content: '"\xB7\xB7\xB7"',
@@ -20660,21 +22700,21 @@ var init_dist9 = __esm({
         this.fieldPositions = fieldPositions;
       }
       instantiate(state, pos) {
-        let text = [], lineStart = [pos];
+        let text3 = [], lineStart = [pos];
         let lineObj = state.doc.lineAt(pos), baseIndent = /^\s*/.exec(lineObj.text)[0];
         for (let line of this.lines) {
-          if (text.length) {
+          if (text3.length) {
             let indent2 = baseIndent, tabs = /^\t*/.exec(line)[0].length;
             for (let i = 0; i < tabs; i++)
               indent2 += state.facet(indentUnit);
             lineStart.push(pos + indent2.length - tabs);
             line = indent2 + line.slice(tabs);
           }
-          text.push(line);
+          text3.push(line);
           pos += line.length + 1;
         }
         let ranges = this.fieldPositions.map((pos2) => new FieldRange(pos2.field, lineStart[pos2.line] + pos2.from, lineStart[pos2.line] + pos2.to));
-        return { text, ranges };
+        return { text: text3, ranges };
       }
       static parse(template) {
         let fields = [];
@@ -20706,7 +22746,7 @@ var init_dist9 = __esm({
             positions.push(new FieldPos(found, lines.length, m.index, m.index + name2.length));
             line = line.slice(0, m.index) + rawName + line.slice(m.index + m[0].length);
           }
-          line = line.replace(/\\([{}])/g, (_, brace, index) => {
+          line = line.replace(/\\([{}])/g, (_2, brace, index) => {
             for (let pos of positions)
               if (pos.line == lines.length && pos.from > index) {
                 pos.from--;
@@ -20880,6 +22920,18 @@ var init_dist9 = __esm({
     closeBracketsKeymap = [
       { key: "Backspace", run: deleteBracketPair }
     ];
+    completionKeymap = [
+      { key: "Ctrl-Space", run: startCompletion },
+      { mac: "Alt-`", run: startCompletion },
+      { mac: "Alt-i", run: startCompletion },
+      { key: "Escape", run: closeCompletion },
+      { key: "ArrowDown", run: /* @__PURE__ */ moveCompletionSelection(true) },
+      { key: "ArrowUp", run: /* @__PURE__ */ moveCompletionSelection(false) },
+      { key: "PageDown", run: /* @__PURE__ */ moveCompletionSelection(true, "page") },
+      { key: "PageUp", run: /* @__PURE__ */ moveCompletionSelection(false, "page") },
+      { key: "Enter", run: acceptCompletion }
+    ];
+    completionKeymapExt = /* @__PURE__ */ Prec.highest(/* @__PURE__ */ keymap.computeN([completionConfig], (state) => state.facet(completionConfig).defaultKeymap ? [completionKeymap] : []));
   }
 });
 
@@ -21156,8 +23208,8 @@ var init_dist10 = __esm({
     keywords = /* @__PURE__ */ "break case const continue default delete export extends false finally in instanceof let new return static super switch this throw true typeof var yield".split(" ").map(kwCompletion);
     typescriptKeywords = /* @__PURE__ */ keywords.concat(/* @__PURE__ */ ["declare", "implements", "private", "protected", "public"].map(kwCompletion));
     android2 = typeof navigator == "object" && /* @__PURE__ */ /Android\b/.test(navigator.userAgent);
-    autoCloseTags = /* @__PURE__ */ EditorView.inputHandler.of((view, from, to, text, defaultInsert) => {
-      if ((android2 ? view.composing : view.compositionStarted) || view.state.readOnly || from != to || text != ">" && text != "/" || !javascriptLanguage.isActiveAt(view.state, from, -1))
+    autoCloseTags = /* @__PURE__ */ EditorView.inputHandler.of((view, from, to, text3, defaultInsert) => {
+      if ((android2 ? view.composing : view.compositionStarted) || view.state.readOnly || from != to || text3 != ">" && text3 != "/" || !javascriptLanguage.isActiveAt(view.state, from, -1))
         return false;
       let base2 = defaultInsert(), { state } = base2;
       let closeTags = state.changeByRange((range) => {
@@ -21165,16 +23217,16 @@ var init_dist10 = __esm({
         let { head } = range, around = syntaxTree(state).resolveInner(head - 1, -1), name2;
         if (around.name == "JSXStartTag")
           around = around.parent;
-        if (state.doc.sliceString(head - 1, head) != text || around.name == "JSXAttributeValue" && around.to > head) ;
-        else if (text == ">" && around.name == "JSXFragmentTag") {
+        if (state.doc.sliceString(head - 1, head) != text3 || around.name == "JSXAttributeValue" && around.to > head) ;
+        else if (text3 == ">" && around.name == "JSXFragmentTag") {
           return { range, changes: { from: head, insert: `</>` } };
-        } else if (text == "/" && around.name == "JSXStartCloseTag") {
+        } else if (text3 == "/" && around.name == "JSXStartCloseTag") {
           let empty2 = around.parent, base3 = empty2.parent;
           if (base3 && empty2.from == head - 2 && ((name2 = elementName(state.doc, base3.firstChild, head)) || ((_a2 = base3.firstChild) === null || _a2 === void 0 ? void 0 : _a2.name) == "JSXFragmentTag")) {
             let insert2 = `${name2}>`;
             return { range: EditorSelection.cursor(head + insert2.length, -1), changes: { from: head, insert: insert2 } };
           }
-        } else if (text == ">") {
+        } else if (text3 == ">") {
           let openTag = findOpenTag(around);
           if (openTag && openTag.name == "JSXOpenTag" && !/^\/?>|^<\//.test(state.doc.sliceString(head, head + 2)) && (name2 = elementName(state.doc, openTag, head)))
             return { range, changes: { from: head, insert: `</${name2}>` } };
@@ -21268,8 +23320,8 @@ function maybeNest(node, input, tags3) {
 function configureNesting(tags3 = [], attributes = []) {
   let script = [], style = [], textarea = [], other = [];
   for (let tag of tags3) {
-    let array = tag.tag == "script" ? script : tag.tag == "style" ? style : tag.tag == "textarea" ? textarea : other;
-    array.push(tag);
+    let array2 = tag.tag == "script" ? script : tag.tag == "style" ? style : tag.tag == "textarea" ? textarea : other;
+    array2.push(tag);
   }
   let attrs = attributes.length ? /* @__PURE__ */ Object.create(null) : null;
   for (let attr of attributes) (attrs[attr.name] || (attrs[attr.name] = [])).push(attr);
@@ -21298,7 +23350,7 @@ function configureNesting(tags3 = [], attributes = []) {
           let value = n.lastChild;
           if (value.type.id == AttributeValue) {
             let from = value.from + 1;
-            let last = value.lastChild, to = value.to - (last && last.isError ? 0 : 1);
+            let last2 = value.lastChild, to = value.to - (last2 && last2.isError ? 0 : 1);
             if (to > from) return { parser: attr.parser, overlay: [{ from, to }], bracketed: true };
           } else if (value.type.id == UnquotedAttributeValue) {
             return { parser: attr.parser, overlay: [{ from: value.from, to: value.to }] };
@@ -21755,10 +23807,10 @@ function isVarArg(node, doc2) {
   return doc2.sliceString(callee2.from, callee2.to) == "var";
 }
 function astTop(node) {
-  for (let cur = node; ; ) {
-    if (cur.type.isTop)
-      return cur;
-    if (!(cur = cur.parent))
+  for (let cur2 = node; ; ) {
+    if (cur2.type.isTop)
+      return cur2;
+    if (!(cur2 = cur2.parent))
       return node;
   }
 }
@@ -22700,11 +24752,11 @@ function completeAttrValue(state, schema, tree, from, to) {
 function htmlCompletionFor(schema, context) {
   let { state, pos } = context, tree = syntaxTree(state).resolveInner(pos, -1), around = tree.resolve(pos);
   for (let scan = pos, before; around == tree && (before = tree.childBefore(scan)); ) {
-    let last = before.lastChild;
-    if (!last || !last.type.isError || last.from < last.to)
+    let last2 = before.lastChild;
+    if (!last2 || !last2.type.isError || last2.from < last2.to)
       break;
     around = tree = before;
-    scan = last.from;
+    scan = last2.from;
   }
   if (tree.name == "TagName") {
     return tree.parent && /CloseTag$/.test(tree.parent.name) ? completeCloseTag(state, tree, tree.from, pos) : completeTag(state, schema, tree, tree.from, pos);
@@ -23257,11 +25309,11 @@ var init_dist14 = __esm({
               if (context.pos + /\s*/.exec(context.textAfter)[0].length < context.node.to)
                 return context.continue();
               let endElt = null, close;
-              for (let cur = context.node; ; ) {
-                let last = cur.lastChild;
-                if (!last || last.name != "Element" || last.to != cur.to)
+              for (let cur2 = context.node; ; ) {
+                let last2 = cur2.lastChild;
+                if (!last2 || last2.name != "Element" || last2.to != cur2.to)
                   break;
-                endElt = cur = last;
+                endElt = cur2 = last2;
               }
               if (endElt && !((close = endElt.lastChild) && (close.name == "CloseTag" || close.name == "SelfClosingTag")))
                 return context.lineIndent(endElt.from) + context.unit;
@@ -23270,10 +25322,10 @@ var init_dist14 = __esm({
           }),
           /* @__PURE__ */ foldNodeProp.add({
             Element(node) {
-              let first = node.firstChild, last = node.lastChild;
+              let first = node.firstChild, last2 = node.lastChild;
               if (!first || first.name != "OpenTag")
                 return null;
-              return { from: first.to, to: last.name == "CloseTag" ? last.from : node.to };
+              return { from: first.to, to: last2.name == "CloseTag" ? last2.from : node.to };
             }
           }),
           /* @__PURE__ */ bracketMatchingHandle.add({
@@ -23291,22 +25343,22 @@ var init_dist14 = __esm({
       wrap: /* @__PURE__ */ configureNesting(defaultNesting, defaultAttrs)
     });
     selfClosers2 = /* @__PURE__ */ new Set(/* @__PURE__ */ "area base br col command embed frame hr img input keygen link meta param source track wbr menuitem".split(" "));
-    autoCloseTags2 = /* @__PURE__ */ EditorView.inputHandler.of((view, from, to, text, insertTransaction) => {
-      if (view.composing || view.state.readOnly || from != to || text != ">" && text != "/" || !htmlLanguage.isActiveAt(view.state, from, -1))
+    autoCloseTags2 = /* @__PURE__ */ EditorView.inputHandler.of((view, from, to, text3, insertTransaction) => {
+      if (view.composing || view.state.readOnly || from != to || text3 != ">" && text3 != "/" || !htmlLanguage.isActiveAt(view.state, from, -1))
         return false;
       let base2 = insertTransaction(), { state } = base2;
       let closeTags = state.changeByRange((range) => {
         var _a2, _b, _c;
-        let didType = state.doc.sliceString(range.from - 1, range.to) == text;
+        let didType = state.doc.sliceString(range.from - 1, range.to) == text3;
         let { head } = range, after = syntaxTree(state).resolveInner(head, -1), name2;
-        if (didType && text == ">" && after.name == "EndTag") {
+        if (didType && text3 == ">" && after.name == "EndTag") {
           let tag = after.parent;
           if (((_b = (_a2 = tag.parent) === null || _a2 === void 0 ? void 0 : _a2.lastChild) === null || _b === void 0 ? void 0 : _b.name) != "CloseTag" && (name2 = elementName2(state.doc, tag.parent, head)) && !selfClosers2.has(name2)) {
             let to2 = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
             let insert2 = `</${name2}>`;
             return { range, changes: { from: head, to: to2, insert: insert2 } };
           }
-        } else if (didType && text == "/" && after.name == "IncompleteCloseTag") {
+        } else if (didType && text3 == "/" && after.name == "IncompleteCloseTag") {
           let tag = after.parent;
           if (after.from == head - 2 && ((_c = tag.lastChild) === null || _c === void 0 ? void 0 : _c.name) != "CloseTag" && (name2 = elementName2(state.doc, tag, head)) && !selfClosers2.has(name2)) {
             let to2 = head + (state.doc.sliceString(head, head + 1) === ">" ? 1 : 0);
@@ -23528,7 +25580,7 @@ var init_dist15 = __esm({
     ].map(([term, flags]) => [term, flags | cx_String]));
     trackIndent = new ContextTracker({
       start: topIndent2,
-      reduce(context, term, _, input) {
+      reduce(context, term, _2, input) {
         if (context.flags & cx_Bracketed && bracketed.has(term) || (term == String$1 || term == FormatString) && context.flags & cx_String)
           return context.parent;
         return context;
@@ -24290,15 +26342,15 @@ function getListIndent(line, pos) {
   return indented >= indentAfter + 5 ? indentAfter + 1 : indented;
 }
 function addCodeText(marks2, from, to) {
-  let last = marks2.length - 1;
-  if (last >= 0 && marks2[last].to == from && marks2[last].type == Type.CodeText)
-    marks2[last].to = to;
+  let last2 = marks2.length - 1;
+  if (last2 >= 0 && marks2[last2].to == from && marks2[last2].type == Type.CodeText)
+    marks2[last2].to = to;
   else
     marks2.push(elt(Type.CodeText, from, to));
 }
-function lineEnd(text, pos) {
-  for (; pos < text.length; pos++) {
-    let next = text.charCodeAt(pos);
+function lineEnd(text3, pos) {
+  for (; pos < text3.length; pos++) {
+    let next = text3.charCodeAt(pos);
     if (next == 10)
       break;
     if (!space4(next))
@@ -24349,7 +26401,7 @@ function resolveConfig(spec) {
   let rest = resolveConfig(spec.slice(1));
   if (!rest || !conf)
     return conf || rest;
-  let conc2 = (a, b) => (a || none3).concat(b || none3);
+  let conc2 = (a, b) => (a || none4).concat(b || none4);
   let wrapA = conf.wrap, wrapB = rest.wrap;
   return {
     props: conc2(conf.props, rest.props),
@@ -24370,16 +26422,16 @@ function elt(type, from, to, children) {
   return new Element2(type, from, to, children);
 }
 function finishLink(cx, content2, type, start, startPos) {
-  let { text } = cx, next = cx.char(startPos), endPos = startPos;
+  let { text: text3 } = cx, next = cx.char(startPos), endPos = startPos;
   content2.unshift(elt(Type.LinkMark, start, start + (type == Type.Image ? 2 : 1)));
   content2.push(elt(Type.LinkMark, startPos - 1, startPos));
   if (next == 40) {
     let pos = cx.skipSpace(startPos + 1);
-    let dest = parseURL(text, pos - cx.offset, cx.offset), title;
+    let dest = parseURL(text3, pos - cx.offset, cx.offset), title;
     if (dest) {
       pos = cx.skipSpace(dest.to);
       if (pos != dest.to) {
-        title = parseLinkTitle(text, pos - cx.offset, cx.offset);
+        title = parseLinkTitle(text3, pos - cx.offset, cx.offset);
         if (title)
           pos = cx.skipSpace(title.to);
       }
@@ -24394,7 +26446,7 @@ function finishLink(cx, content2, type, start, startPos) {
       content2.push(elt(Type.LinkMark, pos, endPos));
     }
   } else if (next == 91) {
-    let label = parseLinkLabel(text, startPos - cx.offset, cx.offset, false);
+    let label = parseLinkLabel(text3, startPos - cx.offset, cx.offset, false);
     if (label) {
       content2.push(label);
       endPos = label.to;
@@ -24402,11 +26454,11 @@ function finishLink(cx, content2, type, start, startPos) {
   }
   return elt(type, start, endPos, content2);
 }
-function parseURL(text, start, offset) {
-  let next = text.charCodeAt(start);
+function parseURL(text3, start, offset) {
+  let next = text3.charCodeAt(start);
   if (next == 60) {
-    for (let pos = start + 1; pos < text.length; pos++) {
-      let ch = text.charCodeAt(pos);
+    for (let pos = start + 1; pos < text3.length; pos++) {
+      let ch = text3.charCodeAt(pos);
       if (ch == 62)
         return elt(Type.URL, start + offset, pos + 1 + offset);
       if (ch == 60 || ch == 10)
@@ -24415,8 +26467,8 @@ function parseURL(text, start, offset) {
     return null;
   } else {
     let depth = 0, pos = start;
-    for (let escaped = false; pos < text.length; pos++) {
-      let ch = text.charCodeAt(pos);
+    for (let escaped = false; pos < text3.length; pos++) {
+      let ch = text3.charCodeAt(pos);
       if (space4(ch)) {
         break;
       } else if (escaped) {
@@ -24431,16 +26483,16 @@ function parseURL(text, start, offset) {
         escaped = true;
       }
     }
-    return pos > start ? elt(Type.URL, start + offset, pos + offset) : pos == text.length ? null : false;
+    return pos > start ? elt(Type.URL, start + offset, pos + offset) : pos == text3.length ? null : false;
   }
 }
-function parseLinkTitle(text, start, offset) {
-  let next = text.charCodeAt(start);
+function parseLinkTitle(text3, start, offset) {
+  let next = text3.charCodeAt(start);
   if (next != 39 && next != 34 && next != 40)
     return false;
   let end = next == 40 ? 41 : next;
-  for (let pos = start + 1, escaped = false; pos < text.length; pos++) {
-    let ch = text.charCodeAt(pos);
+  for (let pos = start + 1, escaped = false; pos < text3.length; pos++) {
+    let ch = text3.charCodeAt(pos);
     if (escaped)
       escaped = false;
     else if (ch == end)
@@ -24450,9 +26502,9 @@ function parseLinkTitle(text, start, offset) {
   }
   return null;
 }
-function parseLinkLabel(text, start, offset, requireNonWS) {
-  for (let escaped = false, pos = start + 1, end = Math.min(text.length, pos + 999); pos < end; pos++) {
-    let ch = text.charCodeAt(pos);
+function parseLinkLabel(text3, start, offset, requireNonWS) {
+  for (let escaped = false, pos = start + 1, end = Math.min(text3.length, pos + 999); pos < end; pos++) {
+    let ch = text3.charCodeAt(pos);
     if (escaped)
       escaped = false;
     else if (ch == 93)
@@ -24577,30 +26629,30 @@ function count(str, from, to, ch) {
       result++;
   return result;
 }
-function autolinkURLEnd(text, from) {
+function autolinkURLEnd(text3, from) {
   urlRE.lastIndex = from;
-  let m = urlRE.exec(text);
+  let m = urlRE.exec(text3);
   if (!m || lastTwoDomainWords.exec(m[0])[0].indexOf("_") > -1)
     return -1;
   let end = from + m[0].length;
   for (; ; ) {
-    let last = text[end - 1], m2;
-    if (/[?!.,:*_~]/.test(last) || last == ")" && count(text, from, end, ")") > count(text, from, end, "("))
+    let last2 = text3[end - 1], m2;
+    if (/[?!.,:*_~]/.test(last2) || last2 == ")" && count(text3, from, end, ")") > count(text3, from, end, "("))
       end--;
-    else if (last == ";" && (m2 = /&(?:#\d+|#x[a-f\d]+|\w+);$/.exec(text.slice(from, end))))
+    else if (last2 == ";" && (m2 = /&(?:#\d+|#x[a-f\d]+|\w+);$/.exec(text3.slice(from, end))))
       end = from + m2.index;
     else
       break;
   }
   return end;
 }
-function autolinkEmailEnd(text, from) {
+function autolinkEmailEnd(text3, from) {
   emailRE.lastIndex = from;
-  let m = emailRE.exec(text);
+  let m = emailRE.exec(text3);
   if (!m)
     return -1;
-  let last = m[0][m[0].length - 1];
-  return last == "_" || last == "-" ? -1 : from + m[0].length - (last == "." ? 1 : 0);
+  let last2 = m[0][m[0].length - 1];
+  return last2 == "_" || last2 == "-" ? -1 : from + m[0].length - (last2 == "." ? 1 : 0);
 }
 function parseSubSuper(ch, node, mark) {
   return (cx, next, pos) => {
@@ -24619,7 +26671,7 @@ function parseSubSuper(ch, node, mark) {
     return -1;
   };
 }
-var CompositeBlock, Type, LeafBlock, Line2, DefaultSkipMarkup, EmptyLine, CommentEnd, ProcessingEnd, HTMLBlockStyle, DefaultBlockParsers, LinkReferenceParser, SetextHeadingParser, DefaultLeafBlocks, DefaultEndLeaf, scanLineResult, BlockContext, MarkdownParser, nodeTypes, none3, Buffer2, Element2, TreeElement, EmphasisUnderscore, EmphasisAsterisk, LinkStart, ImageStart, InlineDelimiter, Escapable, Punctuation, DefaultInline, InlineContext, NotLast, FragmentCursor3, markdownHighlighting, parser6, StrikethroughDelim, Strikethrough, delimiterLine, TableParser, Table, TaskParser, TaskList, autolinkRE, urlRE, lastTwoDomainWords, emailRE, xmppResourceRE, Autolink, GFM, Superscript, Subscript, Emoji;
+var CompositeBlock, Type, LeafBlock, Line2, DefaultSkipMarkup, EmptyLine, CommentEnd, ProcessingEnd, HTMLBlockStyle, DefaultBlockParsers, LinkReferenceParser, SetextHeadingParser, DefaultLeafBlocks, DefaultEndLeaf, scanLineResult, BlockContext, MarkdownParser, nodeTypes, none4, Buffer, Element2, TreeElement, EmphasisUnderscore, EmphasisAsterisk, LinkStart, ImageStart, InlineDelimiter, Escapable, Punctuation, DefaultInline, InlineContext, NotLast, FragmentCursor3, markdownHighlighting, parser6, StrikethroughDelim, Strikethrough, delimiterLine, TableParser, Table, TaskParser, TaskList, autolinkRE, urlRE, lastTwoDomainWords, emailRE, xmppResourceRE, Autolink, GFM, Superscript, Subscript, Emoji;
 var init_dist19 = __esm({
   "node_modules/@lezer/markdown/dist/index.js"() {
     init_dist3();
@@ -24646,9 +26698,9 @@ var init_dist19 = __esm({
         this.positions.push(pos);
       }
       toTree(nodeSet, end = this.end) {
-        let last = this.children.length - 1;
-        if (last >= 0)
-          end = Math.max(end, this.positions[last] + this.children[last].length + this.from);
+        let last2 = this.children.length - 1;
+        if (last2 >= 0)
+          end = Math.max(end, this.positions[last2] + this.children[last2].length + this.from);
         return new Tree(nodeSet.types[this.type], this.children, this.positions, end - this.from).balance({
           makeTree: (children, positions, length) => new Tree(NodeType.none, children, positions, length, this.hashProp)
         });
@@ -24749,8 +26801,8 @@ var init_dist19 = __esm({
       /**
       @internal
       */
-      reset(text) {
-        this.text = text;
+      reset(text3) {
+        this.text = text3;
         this.baseIndent = this.basePos = this.pos = this.indent = 0;
         this.forwardInner();
         this.depth = 1;
@@ -25086,11 +27138,11 @@ var init_dist19 = __esm({
     };
     SetextHeadingParser = class {
       nextLine(cx, line, leaf) {
-        let underline = line.depth < cx.stack.length ? -1 : isSetextUnderline(line);
+        let underline2 = line.depth < cx.stack.length ? -1 : isSetextUnderline(line);
         let next = line.next;
-        if (underline < 0)
+        if (underline2 < 0)
           return false;
-        let underlineMark = elt(Type.HeaderMark, cx.lineStart + line.pos, cx.lineStart + underline);
+        let underlineMark = elt(Type.HeaderMark, cx.lineStart + line.pos, cx.lineStart + underline2);
         cx.nextLine();
         cx.addLeafElement(leaf, elt(next == 61 ? Type.SetextHeading1 : Type.SetextHeading2, leaf.start, cx.prevLineEnd(), [
           ...cx.parser.parseInline(leaf.content, leaf.start),
@@ -25103,7 +27155,7 @@ var init_dist19 = __esm({
       }
     };
     DefaultLeafBlocks = {
-      LinkReference(_, leaf) {
+      LinkReference(_2, leaf) {
         return leaf.content.charCodeAt(0) == 91 ? new LinkReferenceParser(leaf) : null;
       },
       SetextHeading() {
@@ -25111,9 +27163,9 @@ var init_dist19 = __esm({
       }
     };
     DefaultEndLeaf = [
-      (_, line) => isAtxHeading(line) >= 0,
-      (_, line) => isFencedCode(line) >= 0,
-      (_, line) => isBlockquote(line) >= 0,
+      (_2, line) => isAtxHeading(line) >= 0,
+      (_2, line) => isFencedCode(line) >= 0,
+      (_2, line) => isBlockquote(line) >= 0,
       (p, line) => isBulletList(line, p, true) >= 0,
       (p, line) => isOrderedList(line, p, true) >= 0,
       (p, line) => isHorizontalRule(line, p, true) >= 0,
@@ -25307,9 +27359,9 @@ var init_dist19 = __esm({
       leading characters covered by composite blocks.
       */
       readLine() {
-        let { line } = this, { text, end } = this.scanLine(this.absoluteLineStart);
+        let { line } = this, { text: text3, end } = this.scanLine(this.absoluteLineStart);
         this.absoluteLineEnd = end;
-        line.reset(text);
+        line.reset(text3);
         for (; line.depth < this.stack.length; line.depth++) {
           let cx = this.stack[line.depth], handler = this.parser.skipContextMarkup[cx.type];
           if (!handler)
@@ -25325,14 +27377,14 @@ var init_dist19 = __esm({
         }
       }
       lineChunkAt(pos) {
-        let next = this.input.chunk(pos), text;
+        let next = this.input.chunk(pos), text3;
         if (!this.input.lineChunks) {
           let eol2 = next.indexOf("\n");
-          text = eol2 < 0 ? next : next.slice(0, eol2);
+          text3 = eol2 < 0 ? next : next.slice(0, eol2);
         } else {
-          text = next == "\n" ? "" : next;
+          text3 = next == "\n" ? "" : next;
         }
-        return pos + text.length > this.to ? text.slice(0, this.to - pos) : text;
+        return pos + text3.length > this.to ? text3.slice(0, this.to - pos) : text3;
       }
       /**
       The end position of the previous line.
@@ -25359,7 +27411,7 @@ var init_dist19 = __esm({
       */
       addNode(block, from, to) {
         if (typeof block == "number")
-          block = new Tree(this.parser.nodeSet.types[block], none3, none3, (to !== null && to !== void 0 ? to : this.prevLineEnd()) - from);
+          block = new Tree(this.parser.nodeSet.types[block], none4, none4, (to !== null && to !== void 0 ? to : this.prevLineEnd()) - from);
         this.block.addChild(block, from - this.block.from);
       }
       /**
@@ -25413,7 +27465,7 @@ var init_dist19 = __esm({
       @internal
       */
       get buffer() {
-        return new Buffer2(this.parser.nodeSet);
+        return new Buffer(this.parser.nodeSet);
       }
     };
     MarkdownParser = class _MarkdownParser extends Parser {
@@ -25536,8 +27588,8 @@ var init_dist19 = __esm({
       returning an array of [`Element`](#Element) objects representing
       the inline content.
       */
-      parseInline(text, offset) {
-        let cx = new InlineContext(this, text, offset);
+      parseInline(text3, offset) {
+        let cx = new InlineContext(this, text3, offset);
         outer: for (let pos = offset; pos < cx.end; ) {
           let next = cx.char(pos);
           for (let token of this.inlineParsers)
@@ -25562,8 +27614,8 @@ var init_dist19 = __esm({
         top: name2 == "Document"
       });
     }
-    none3 = [];
-    Buffer2 = class {
+    none4 = [];
+    Buffer = class {
       constructor(nodeSet) {
         this.nodeSet = nodeSet;
         this.content = [];
@@ -25592,7 +27644,7 @@ var init_dist19 = __esm({
       /**
       @internal
       */
-      constructor(type, from, to, children = none3) {
+      constructor(type, from, to, children = none4) {
         this.type = type;
         this.from = from;
         this.to = to;
@@ -25610,7 +27662,7 @@ var init_dist19 = __esm({
       @internal
       */
       toTree(nodeSet) {
-        return new Buffer2(nodeSet).writeElements(this.children, -this.from).finish(this.type, this.to - this.from);
+        return new Buffer(nodeSet).writeElements(this.children, -this.from).finish(this.type, this.to - this.from);
       }
     };
     TreeElement = class {
@@ -25625,7 +27677,7 @@ var init_dist19 = __esm({
         return this.tree.type.id;
       }
       get children() {
-        return none3;
+        return none4;
       }
       writeTo(buf, offset) {
         buf.nodes.push(this.tree);
@@ -25651,7 +27703,7 @@ var init_dist19 = __esm({
     Punctuation = /[!"#$%&'()*+,\-.\/:;<=>?@\[\\\]^_`{|}~\xA1\u2010-\u2027]/;
     try {
       Punctuation = new RegExp("[\\p{S}|\\p{P}]", "u");
-    } catch (_) {
+    } catch (_2) {
     }
     DefaultInline = {
       Escape(cx, next, start) {
@@ -25772,8 +27824,8 @@ var init_dist19 = __esm({
             let content2 = cx.takeContent(i);
             let link = cx.parts[i] = finishLink(cx, content2, part.type == LinkStart ? Type.Link : Type.Image, part.from, start + 1);
             if (part.type == LinkStart)
-              for (let j = 0; j < i; j++) {
-                let p = cx.parts[j];
+              for (let j2 = 0; j2 < i; j2++) {
+                let p = cx.parts[j2];
                 if (p instanceof InlineDelimiter && p.type == LinkStart)
                   p.side = 0;
               }
@@ -25787,9 +27839,9 @@ var init_dist19 = __esm({
       /**
       @internal
       */
-      constructor(parser8, text, offset) {
+      constructor(parser8, text3, offset) {
         this.parser = parser8;
-        this.text = text;
+        this.text = text3;
         this.offset = offset;
         this.parts = [];
       }
@@ -25858,9 +27910,9 @@ var init_dist19 = __esm({
             continue;
           let emp = close.type == EmphasisUnderscore || close.type == EmphasisAsterisk;
           let closeSize = close.to - close.from;
-          let open, j = i - 1;
-          for (; j >= from; j--) {
-            let part = this.parts[j];
+          let open, j2 = i - 1;
+          for (; j2 >= from; j2--) {
+            let part = this.parts[j2];
             if (part instanceof InlineDelimiter && part.side & 1 && part.type == close.type && // Ignore emphasis delimiters where the character count doesn't match
             !(emp && (close.side & 1 || part.side & 2) && (part.to - part.from + closeSize) % 3 == 0 && ((part.to - part.from) % 3 || closeSize % 3))) {
               open = part;
@@ -25879,15 +27931,15 @@ var init_dist19 = __esm({
           }
           if (open.type.mark)
             content2.push(this.elt(open.type.mark, start, open.to));
-          for (let k = j + 1; k < i; k++) {
-            if (this.parts[k] instanceof Element2)
-              content2.push(this.parts[k]);
-            this.parts[k] = null;
+          for (let k2 = j2 + 1; k2 < i; k2++) {
+            if (this.parts[k2] instanceof Element2)
+              content2.push(this.parts[k2]);
+            this.parts[k2] = null;
           }
           if (close.type.mark)
             content2.push(this.elt(close.type.mark, close.from, end));
           let element = this.elt(type, start, end, content2);
-          this.parts[j] = emp && open.from != start ? new InlineDelimiter(open.type, open.from, start, open.side) : null;
+          this.parts[j2] = emp && open.from != start ? new InlineDelimiter(open.type, open.from, start, open.side) : null;
           let keep = this.parts[i] = emp && close.to != end ? new InlineDelimiter(close.type, end, close.to, close.side) : null;
           if (keep)
             this.parts.splice(i, 0, element);
@@ -26002,35 +28054,35 @@ var init_dist19 = __esm({
         return tree && tree.prop(NodeProp.contextHash) == hash3;
       }
       takeNodes(cx) {
-        let cur = this.cursor, off = this.fragment.offset, fragEnd = this.fragmentEnd - (this.fragment.openEnd ? 1 : 0);
+        let cur2 = this.cursor, off = this.fragment.offset, fragEnd = this.fragmentEnd - (this.fragment.openEnd ? 1 : 0);
         let start = cx.absoluteLineStart, end = start, blockI = cx.block.children.length;
         let prevEnd = end, prevI = blockI;
         for (; ; ) {
-          if (cur.to - off > fragEnd) {
-            if (cur.type.isAnonymous && cur.firstChild())
+          if (cur2.to - off > fragEnd) {
+            if (cur2.type.isAnonymous && cur2.firstChild())
               continue;
             break;
           }
-          let pos = toRelative(cur.from - off, cx.ranges);
-          if (cur.to - off <= cx.ranges[cx.rangeI].to) {
-            cx.addNode(cur.tree, pos);
+          let pos = toRelative(cur2.from - off, cx.ranges);
+          if (cur2.to - off <= cx.ranges[cx.rangeI].to) {
+            cx.addNode(cur2.tree, pos);
           } else {
             let dummy = new Tree(cx.parser.nodeSet.types[Type.Paragraph], [], [], 0, cx.block.hashProp);
-            cx.reusePlaceholders.set(dummy, cur.tree);
+            cx.reusePlaceholders.set(dummy, cur2.tree);
             cx.addNode(dummy, pos);
           }
-          if (cur.type.is("Block")) {
-            if (NotLast.indexOf(cur.type.id) < 0) {
-              end = cur.to - off;
+          if (cur2.type.is("Block")) {
+            if (NotLast.indexOf(cur2.type.id) < 0) {
+              end = cur2.to - off;
               blockI = cx.block.children.length;
             } else {
               end = prevEnd;
               blockI = prevI;
             }
-            prevEnd = cur.to - off;
+            prevEnd = cur2.to - off;
             prevI = cx.block.children.length;
           }
-          if (!cur.nextSibling())
+          if (!cur2.nextSibling())
             break;
         }
         while (cx.block.children.length > blockI) {
@@ -26128,7 +28180,7 @@ var init_dist19 = __esm({
       ],
       parseBlock: [{
         name: "Table",
-        leaf(_, leaf) {
+        leaf(_2, leaf) {
           return hasPipe(leaf.content, 0) ? new TableParser() : null;
         },
         endLeaf(cx, line, leaf) {
@@ -26250,14 +28302,14 @@ function isList(type) {
   return type.name == "OrderedList" || type.name == "BulletList";
 }
 function findSectionEnd(headerNode, level) {
-  let last = headerNode;
+  let last2 = headerNode;
   for (; ; ) {
-    let next = last.nextSibling, heading2;
+    let next = last2.nextSibling, heading2;
     if (!next || (heading2 = isHeading(next.type)) != null && heading2 <= level)
       break;
-    last = next;
+    last2 = next;
   }
-  return last.to;
+  return last2.to;
 }
 function mkLang(parser8) {
   return new Language(data, parser8, [], "markdown");
@@ -26281,11 +28333,11 @@ function getCodeParser(languages, defaultLanguage) {
 }
 function getContext(node, doc2) {
   let nodes = [], context = [];
-  for (let cur = node; cur; cur = cur.parent) {
-    if (cur.name == "FencedCode")
+  for (let cur2 = node; cur2; cur2 = cur2.parent) {
+    if (cur2.name == "FencedCode")
       return context;
-    if (cur.name == "ListItem" || cur.name == "Blockquote")
-      nodes.push(cur);
+    if (cur2.name == "ListItem" || cur2.name == "Blockquote")
+      nodes.push(cur2);
   }
   for (let i = nodes.length - 1; i >= 0; i--) {
     let node2 = nodes[i], match;
@@ -26829,16 +28881,16 @@ function tokensFor(d) {
     } else if (next == 47 && input.next == 42) {
       input.advance();
       for (let depth = 1; ; ) {
-        let cur = input.next;
+        let cur2 = input.next;
         if (input.next < 0)
           break;
         input.advance();
-        if (cur == 42 && input.next == 47) {
+        if (cur2 == 42 && input.next == 47) {
           depth--;
           input.advance();
           if (!depth)
             break;
-        } else if (cur == 47 && input.next == 42) {
+        } else if (cur2 == 47 && input.next == 42) {
           depth++;
           input.advance();
         }
@@ -26908,15 +28960,15 @@ function tokensFor(d) {
         input.advance();
       if (quoted && input.next == 39)
         input.advance();
-      input.acceptToken(Number);
+      input.acceptToken(Number2);
     } else if (next == 46 && input.next >= 48 && input.next <= 57) {
       readNumber(input, true);
-      input.acceptToken(Number);
+      input.acceptToken(Number2);
     } else if (next == 46) {
       input.acceptToken(Dot);
     } else if (next >= 48 && next <= 57) {
       readNumber(input, false);
-      input.acceptToken(Number);
+      input.acceptToken(Number2);
     } else if (inString(next, d.operatorChars)) {
       while (inString(input.next, d.operatorChars))
         input.advance();
@@ -26941,9 +28993,9 @@ function tokenBefore(tree) {
   return cursor2.node;
 }
 function idName(doc2, node) {
-  let text = doc2.sliceString(node.from, node.to);
-  let quoted = /^([`'"\[])(.*)([`'"\]])$/.exec(text);
-  return quoted ? quoted[2] : text;
+  let text3 = doc2.sliceString(node.from, node.to);
+  let quoted = /^([`'"\[])(.*)([`'"\]])$/.exec(text3);
+  return quoted ? quoted[2] : text3;
 }
 function plainID(node) {
   return node && (node.name == "Identifier" || node.name == "QuotedIdentifier");
@@ -26986,9 +29038,9 @@ function sourceContext(state, startPos) {
     return { from: startPos, quoted: null, parents: [], empty: true, aliases };
   }
 }
-function getAliases(doc2, at) {
+function getAliases(doc2, at2) {
   let statement;
-  for (let parent = at; !statement; parent = parent.parent) {
+  for (let parent = at2; !statement; parent = parent.parent) {
     if (!parent)
       return null;
     if (parent.name == "Statement")
@@ -27117,7 +29169,7 @@ function sql(config2 = {}) {
     })
   ]);
 }
-var whitespace, LineComment2, BlockComment2, String$12, Number, Bool2, Null, ParenL2, ParenR, BraceL2, BraceR, BracketL2, BracketR, Semi, Dot, Operator, Punctuation2, SpecialVar, Identifier3, QuotedIdentifier, Keyword, Type2, Bits, Bytes, Builtin, Space, SQLTypes, SQLKeywords, defaults3, tokens, parser$1, EndFrom, Span, QuotedSpan, CompletionLevel, parser7, SQLDialect, StandardSQL, PostgreSQL, MySQLKeywords, MySQLTypes, MySQLBuiltin, MySQL, MariaSQL, MSSQLBuiltin, MSSQL, SQLite, Cassandra, PLSQL;
+var whitespace, LineComment2, BlockComment2, String$12, Number2, Bool2, Null, ParenL2, ParenR, BraceL2, BraceR, BracketL2, BracketR, Semi, Dot, Operator, Punctuation2, SpecialVar, Identifier3, QuotedIdentifier, Keyword, Type2, Bits, Bytes, Builtin, Space, SQLTypes, SQLKeywords, defaults3, tokens, parser$1, EndFrom, Span, QuotedSpan, CompletionLevel, parser7, SQLDialect, StandardSQL, PostgreSQL, MySQLKeywords, MySQLTypes, MySQLBuiltin, MySQL, MariaSQL, MSSQLBuiltin, MSSQL, SQLite, Cassandra, PLSQL;
 var init_dist21 = __esm({
   "node_modules/@codemirror/lang-sql/dist/index.js"() {
     init_dist5();
@@ -27128,7 +29180,7 @@ var init_dist21 = __esm({
     LineComment2 = 1;
     BlockComment2 = 2;
     String$12 = 3;
-    Number = 4;
+    Number2 = 4;
     Bool2 = 5;
     Null = 6;
     ParenL2 = 7;
@@ -27555,10 +29607,10 @@ function validRegExp(source) {
     return false;
   }
 }
-function toCharEnd(text, pos) {
-  if (pos >= text.length)
+function toCharEnd(text3, pos) {
+  if (pos >= text3.length)
     return pos;
-  let line = text.lineAt(pos), next;
+  let line = text3.lineAt(pos), next;
   while (pos < line.to && (next = line.text.charCodeAt(pos - line.from)) >= 56320 && next < 57344)
     pos++;
   return pos;
@@ -27611,7 +29663,7 @@ function stringCursor(spec, state, from, to) {
     test = stringWordTest(state.doc, state.charCategorizer(state.selection.main.head));
   if (spec.test)
     test = wrapStringTest(spec.test, state, test);
-  return new SearchCursor(state.doc, spec.unquoted, from, to, spec.caseSensitive ? void 0 : (x) => x.toLowerCase(), test);
+  return new SearchCursor(state.doc, spec.unquoted, from, to, spec.caseSensitive ? void 0 : (x2) => x2.toLowerCase(), test);
 }
 function stringWordTest(doc2, categorizer) {
   return (from, to, buf, bufPos) => {
@@ -27654,7 +29706,7 @@ function createSearchPanel(view) {
   return view.state.facet(searchConfigFacet).createPanel(view);
 }
 function defaultQuery(state, fallback) {
-  var _a2, _b, _c, _d, _e;
+  var _a2, _b, _c, _d, _e2;
   let sel = state.selection.main;
   let selText = sel.empty || sel.to > sel.from + 100 ? "" : state.sliceDoc(sel.from, sel.to);
   if (fallback && !selText)
@@ -27665,7 +29717,7 @@ function defaultQuery(state, fallback) {
     caseSensitive: (_b = fallback === null || fallback === void 0 ? void 0 : fallback.caseSensitive) !== null && _b !== void 0 ? _b : config2.caseSensitive,
     literal: (_c = fallback === null || fallback === void 0 ? void 0 : fallback.literal) !== null && _c !== void 0 ? _c : config2.literal,
     regexp: (_d = fallback === null || fallback === void 0 ? void 0 : fallback.regexp) !== null && _d !== void 0 ? _d : config2.regexp,
-    wholeWord: (_e = fallback === null || fallback === void 0 ? void 0 : fallback.wholeWord) !== null && _e !== void 0 ? _e : config2.wholeWord
+    wholeWord: (_e2 = fallback === null || fallback === void 0 ? void 0 : fallback.wholeWord) !== null && _e2 !== void 0 ? _e2 : config2.wholeWord
   });
 }
 function getSearchInput(view) {
@@ -27683,22 +29735,22 @@ function phrase(view, phrase2) {
 function announceMatch(view, { from, to }) {
   let line = view.state.doc.lineAt(from), lineEnd2 = view.state.doc.lineAt(to).to;
   let start = Math.max(line.from, from - AnnounceMargin), end = Math.min(lineEnd2, to + AnnounceMargin);
-  let text = view.state.sliceDoc(start, end);
+  let text3 = view.state.sliceDoc(start, end);
   if (start != line.from) {
     for (let i = 0; i < AnnounceMargin; i++)
-      if (!Break.test(text[i + 1]) && Break.test(text[i])) {
-        text = text.slice(i);
+      if (!Break.test(text3[i + 1]) && Break.test(text3[i])) {
+        text3 = text3.slice(i);
         break;
       }
   }
   if (end != lineEnd2) {
-    for (let i = text.length - 1; i > text.length - AnnounceMargin; i--)
-      if (!Break.test(text[i - 1]) && Break.test(text[i])) {
-        text = text.slice(0, i);
+    for (let i = text3.length - 1; i > text3.length - AnnounceMargin; i--)
+      if (!Break.test(text3[i - 1]) && Break.test(text3[i])) {
+        text3 = text3.slice(0, i);
         break;
       }
   }
-  return EditorView.announce.of(`${view.state.phrase("current match")}. ${text} ${view.state.phrase("on line")} ${line.number}.`);
+  return EditorView.announce.of(`${view.state.phrase("current match")}. ${text3} ${view.state.phrase("on line")} ${line.number}.`);
 }
 var basicNormalize, SearchCursor, empty, baseFlags, RegExpCursor, flattened, FlattenedDoc, MultilineRegExpCursor, gotoLine, defaultHighlightOptions, highlightConfig, matchDeco, mainMatchDeco, matchHighlighter, defaultTheme, selectWord, selectNextOccurrence, searchConfigFacet, SearchQuery, QueryType2, StringQuery, RegExpQuery, setSearchQuery, togglePanel, searchState, SearchState, matchMark, selectedMatchMark, searchHighlighter, findNext, findPrevious, selectMatches, selectSelectionMatches, replaceNext, replaceAll, openSearchPanel, closeSearchPanel, searchKeymap, SearchPanel, AnnounceMargin, Break, baseTheme4, searchExtensions;
 var init_dist23 = __esm({
@@ -27706,7 +29758,7 @@ var init_dist23 = __esm({
     init_dist2();
     init_dist();
     init_crelt();
-    basicNormalize = typeof String.prototype.normalize == "function" ? (x) => x.normalize("NFKD") : (x) => x;
+    basicNormalize = typeof String.prototype.normalize == "function" ? (x2) => x2.normalize("NFKD") : (x2) => x2;
     SearchCursor = class {
       /**
       Create a text cursor. The query is the search string, `from` to
@@ -27721,16 +29773,16 @@ var init_dist23 = __esm({
       [`.normalize("NFKD")`](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/normalize)
       (when supported).
       */
-      constructor(text, query, from = 0, to = text.length, normalize, test) {
+      constructor(text3, query, from = 0, to = text3.length, normalize, test) {
         this.test = test;
         this.value = { from: 0, to: 0 };
         this.done = false;
         this.matches = [];
         this.buffer = "";
         this.bufferPos = 0;
-        this.iter = text.iterRange(from, to);
+        this.iter = text3.iterRange(from, to);
         this.bufferStart = from;
-        this.normalize = normalize ? (x) => normalize(basicNormalize(x)) : basicNormalize;
+        this.normalize = normalize ? (x2) => normalize(basicNormalize(x2)) : basicNormalize;
         this.query = this.normalize(query);
       }
       peek() {
@@ -27826,20 +29878,20 @@ var init_dist23 = __esm({
       document. `query` should be the raw pattern (as you'd pass it to
       `new RegExp`).
       */
-      constructor(text, query, options, from = 0, to = text.length) {
-        this.text = text;
+      constructor(text3, query, options, from = 0, to = text3.length) {
+        this.text = text3;
         this.to = to;
         this.curLine = "";
         this.done = false;
         this.value = empty;
         if (/\\[sWDnr]|\n|\r|\[\^/.test(query))
-          return new MultilineRegExpCursor(text, query, options, from, to);
+          return new MultilineRegExpCursor(text3, query, options, from, to);
         this.re = new RegExp(query, baseFlags + ((options === null || options === void 0 ? void 0 : options.ignoreCase) ? "i" : ""));
         this.test = options === null || options === void 0 ? void 0 : options.test;
-        this.iter = text.iter();
-        let startLine = text.lineAt(from);
+        this.iter = text3.iter();
+        let startLine = text3.lineAt(from);
         this.curLineStart = startLine.from;
-        this.matchPos = toCharEnd(text, from);
+        this.matchPos = toCharEnd(text3, from);
         this.getLine(this.curLineStart);
       }
       getLine(skip) {
@@ -27889,9 +29941,9 @@ var init_dist23 = __esm({
     };
     flattened = /* @__PURE__ */ new WeakMap();
     FlattenedDoc = class _FlattenedDoc {
-      constructor(from, text) {
+      constructor(from, text3) {
         this.from = from;
-        this.text = text;
+        this.text = text3;
       }
       get to() {
         return this.from + this.text.length;
@@ -27905,27 +29957,27 @@ var init_dist23 = __esm({
         }
         if (cached.from == from && cached.to == to)
           return cached;
-        let { text, from: cachedFrom } = cached;
+        let { text: text3, from: cachedFrom } = cached;
         if (cachedFrom > from) {
-          text = doc2.sliceString(from, cachedFrom) + text;
+          text3 = doc2.sliceString(from, cachedFrom) + text3;
           cachedFrom = from;
         }
         if (cached.to < to)
-          text += doc2.sliceString(cached.to, to);
-        flattened.set(doc2, new _FlattenedDoc(cachedFrom, text));
-        return new _FlattenedDoc(from, text.slice(from - cachedFrom, to - cachedFrom));
+          text3 += doc2.sliceString(cached.to, to);
+        flattened.set(doc2, new _FlattenedDoc(cachedFrom, text3));
+        return new _FlattenedDoc(from, text3.slice(from - cachedFrom, to - cachedFrom));
       }
     };
     MultilineRegExpCursor = class {
-      constructor(text, query, options, from, to) {
-        this.text = text;
+      constructor(text3, query, options, from, to) {
+        this.text = text3;
         this.to = to;
         this.done = false;
         this.value = empty;
-        this.matchPos = toCharEnd(text, from);
+        this.matchPos = toCharEnd(text3, from);
         this.re = new RegExp(query, baseFlags + ((options === null || options === void 0 ? void 0 : options.ignoreCase) ? "i" : ""));
         this.test = options === null || options === void 0 ? void 0 : options.test;
-        this.flat = FlattenedDoc.get(text, from, this.chunkEnd(
+        this.flat = FlattenedDoc.get(text3, from, this.chunkEnd(
           from + 5e3
           /* Chunk.Base */
         ));
@@ -28131,8 +30183,8 @@ var init_dist23 = __esm({
       /**
       @internal
       */
-      unquote(text) {
-        return this.literal ? text : text.replace(/\\([nrt\\])/g, (_, ch) => ch == "n" ? "\n" : ch == "r" ? "\r" : ch == "t" ? "	" : "\\");
+      unquote(text3) {
+        return this.literal ? text3 : text3.replace(/\\([nrt\\])/g, (_2, ch) => ch == "n" ? "\n" : ch == "r" ? "\r" : ch == "t" ? "	" : "\\");
       }
       /**
       Compare this query to another query.
@@ -28151,10 +30203,10 @@ var init_dist23 = __esm({
       range in the given state.
       */
       getCursor(state, from = 0, to) {
-        let st = state.doc ? state : EditorState.create({ doc: state });
+        let st2 = state.doc ? state : EditorState.create({ doc: state });
         if (to == null)
-          to = st.doc.length;
-        return this.regexp ? regexpCursor(this, st, from, to) : stringCursor(this, st, from, to);
+          to = st2.doc.length;
+        return this.regexp ? regexpCursor(this, st2, from, to) : stringCursor(this, st2, from, to);
       }
     };
     QueryType2 = class {
@@ -28245,10 +30297,10 @@ var init_dist23 = __esm({
             return result.match[0];
           if (i == "$")
             return "$";
-          for (let l = i.length; l > 0; l--) {
-            let n = +i.slice(0, l);
+          for (let l3 = i.length; l3 > 0; l3--) {
+            let n = +i.slice(0, l3);
             if (n > 0 && n < result.match.length)
-              return result.match[n] + i.slice(l);
+              return result.match[n] + i.slice(l3);
           }
           return m;
         });
@@ -28312,9 +30364,9 @@ var init_dist23 = __esm({
           return Decoration.none;
         let { view } = this;
         let builder = new RangeSetBuilder();
-        for (let i = 0, ranges = view.visibleRanges, l = ranges.length; i < l; i++) {
+        for (let i = 0, ranges = view.visibleRanges, l3 = ranges.length; i < l3; i++) {
           let { from, to } = ranges[i];
-          while (i < l - 1 && to > ranges[i + 1].from - 2 * 250)
+          while (i < l3 - 1 && to > ranges[i + 1].from - 2 * 250)
             to = ranges[++i].to;
           query.highlight(view.state, from, to, (from2, to2) => {
             let selected = view.state.selection.ranges.some((r) => r.from == from2 && r.to == to2);
@@ -28372,12 +30424,12 @@ var init_dist23 = __esm({
         return false;
       let { from, to } = sel.main;
       let ranges = [], main = 0;
-      for (let cur = new SearchCursor(state.doc, state.sliceDoc(from, to)); !cur.next().done; ) {
+      for (let cur2 = new SearchCursor(state.doc, state.sliceDoc(from, to)); !cur2.next().done; ) {
         if (ranges.length > 1e3)
           return false;
-        if (cur.value.from == from)
+        if (cur2.value.from == from)
           main = ranges.length;
-        ranges.push(EditorSelection.range(cur.value.from, cur.value.to));
+        ranges.push(EditorSelection.range(cur2.value.from, cur2.value.to));
       }
       dispatch(state.update({
         selection: EditorSelection.create(ranges, main),
@@ -28631,876 +30683,10999 @@ var init_dist23 = __esm({
   }
 });
 
-// node_modules/@codemirror/comment/dist/index.js
-function command2(f, option) {
-  return ({ state, dispatch }) => {
-    if (state.readOnly)
+// node_modules/@codemirror/lint/dist/index.js
+function findDiagnostic(diagnostics2, diagnostic = null, after = 0) {
+  let found = null;
+  diagnostics2.between(after, 1e9, (from, to, { spec }) => {
+    if (diagnostic && spec.diagnostics.indexOf(diagnostic) < 0)
+      return;
+    if (!found)
+      found = new SelectedDiagnostic(from, to, diagnostic || spec.diagnostics[0]);
+    else if (spec.diagnostics.indexOf(found.diagnostic) < 0)
       return false;
-    let tr = f(option, state);
-    if (!tr)
+    else
+      found = new SelectedDiagnostic(found.from, to, found.diagnostic);
+  });
+  return found;
+}
+function hideTooltip(tr, tooltip) {
+  let from = tooltip.pos, to = tooltip.end || from;
+  let result = tr.state.facet(lintConfig).hideOn(tr, from, to);
+  if (result != null)
+    return result;
+  let line = tr.startState.doc.lineAt(tooltip.pos);
+  return !!(tr.effects.some((e) => e.is(setDiagnosticsEffect)) || tr.changes.touchesRange(line.from, Math.max(line.to, to)));
+}
+function maybeEnableLint(state, effects) {
+  return state.field(lintState, false) ? effects : effects.concat(StateEffect.appendConfig.of(lintExtensions));
+}
+function setDiagnostics(state, diagnostics2) {
+  return {
+    effects: maybeEnableLint(state, [setDiagnosticsEffect.of(diagnostics2)])
+  };
+}
+function lintTooltip(view, pos, side) {
+  let { diagnostics: diagnostics2 } = view.state.field(lintState);
+  let found, start = -1, end = -1;
+  diagnostics2.between(pos - (side < 0 ? 1 : 0), pos + (side > 0 ? 1 : 0), (from, to, { spec }) => {
+    if (pos >= from && pos <= to && (from == to || (pos > from || side > 0) && (pos < to || side < 0))) {
+      found = spec.diagnostics;
+      start = from;
+      end = to;
       return false;
-    dispatch(state.update(tr));
-    return true;
+    }
+  });
+  let diagnosticFilter = view.state.facet(lintConfig).tooltipFilter;
+  if (found && diagnosticFilter)
+    found = diagnosticFilter(found, view.state);
+  if (!found)
+    return null;
+  return {
+    pos: start,
+    end,
+    above: true,
+    create() {
+      return { dom: diagnosticsTooltip(view, found) };
+    }
   };
 }
-function getConfig2(state, pos = state.selection.main.head) {
-  let data2 = state.languageDataAt("commentTokens", pos);
-  return data2.length ? data2[0] : {};
+function diagnosticsTooltip(view, diagnostics2) {
+  return crelt("ul", { class: "cm-tooltip-lint" }, diagnostics2.map((d) => renderDiagnostic(view, d, false)));
+}
+function batchResults(promises, sink, error) {
+  let collected = [], timeout = -1;
+  for (let p of promises)
+    p.then((value) => {
+      collected.push(value);
+      clearTimeout(timeout);
+      if (collected.length == promises.length)
+        sink(collected);
+      else
+        timeout = setTimeout(() => sink(collected), 200);
+    }, error);
 }
-function findBlockComment2(state, { open, close }, from, to) {
-  let textBefore = state.sliceDoc(from - SearchMargin2, from);
-  let textAfter = state.sliceDoc(to, to + SearchMargin2);
-  let spaceBefore = /\s*$/.exec(textBefore)[0].length, spaceAfter = /^\s*/.exec(textAfter)[0].length;
-  let beforeOff = textBefore.length - spaceBefore;
-  if (textBefore.slice(beforeOff - open.length, beforeOff) == open && textAfter.slice(spaceAfter, spaceAfter + close.length) == close) {
-    return {
-      open: { pos: from - spaceBefore, margin: spaceBefore && 1 },
-      close: { pos: to + spaceAfter, margin: spaceAfter && 1 }
-    };
+function combineFilter(a, b) {
+  return !a ? b : !b ? a : (d, s) => b(a(d, s), s);
+}
+function linter(source, config2 = {}) {
+  return [
+    lintConfig.of({ source, config: config2 }),
+    lintPlugin,
+    lintExtensions
+  ];
+}
+function forceLinting(view) {
+  let plugin = view.plugin(lintPlugin);
+  if (plugin)
+    plugin.force();
+}
+function assignKeys(actions) {
+  let assigned = [];
+  if (actions)
+    actions: for (let { name: name2 } of actions) {
+      for (let i = 0; i < name2.length; i++) {
+        let ch = name2[i];
+        if (/[a-zA-Z]/.test(ch) && !assigned.some((c) => c.toLowerCase() == ch.toLowerCase())) {
+          assigned.push(ch);
+          continue actions;
+        }
+      }
+      assigned.push("");
+    }
+  return assigned;
+}
+function renderDiagnostic(view, diagnostic, inPanel) {
+  var _a2;
+  let keys = inPanel ? assignKeys(diagnostic.actions) : [];
+  return crelt("li", { class: "cm-diagnostic cm-diagnostic-" + diagnostic.severity }, crelt("span", { class: "cm-diagnosticText" }, diagnostic.renderMessage ? diagnostic.renderMessage(view) : diagnostic.message), (_a2 = diagnostic.actions) === null || _a2 === void 0 ? void 0 : _a2.map((action, i) => {
+    let fired = false, click = (e) => {
+      e.preventDefault();
+      if (fired)
+        return;
+      fired = true;
+      let found = findDiagnostic(view.state.field(lintState).diagnostics, diagnostic);
+      if (found)
+        action.apply(view, found.from, found.to);
+    };
+    let { name: name2 } = action, keyIndex = keys[i] ? name2.indexOf(keys[i]) : -1;
+    let nameElt = keyIndex < 0 ? name2 : [
+      name2.slice(0, keyIndex),
+      crelt("u", name2.slice(keyIndex, keyIndex + 1)),
+      name2.slice(keyIndex + 1)
+    ];
+    let markClass = action.markClass ? " " + action.markClass : "";
+    return crelt("button", {
+      type: "button",
+      class: "cm-diagnosticAction" + markClass,
+      onclick: click,
+      onmousedown: click,
+      "aria-label": ` Action: ${name2}${keyIndex < 0 ? "" : ` (access key "${keys[i]})"`}.`
+    }, nameElt);
+  }), diagnostic.source && crelt("div", { class: "cm-diagnosticSource" }, diagnostic.source));
+}
+function svg(content2, attrs = `viewBox="0 0 40 40"`) {
+  return `url('data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${encodeURIComponent(content2)}</svg>')`;
+}
+function underline(color) {
+  return svg(`<path d="m0 2.5 l2 -1.5 l1 0 l2 1.5 l1 0" stroke="${color}" fill="none" stroke-width=".7"/>`, `width="6" height="3"`);
+}
+function severityWeight(sev) {
+  return sev == "error" ? 4 : sev == "warning" ? 3 : sev == "info" ? 2 : 1;
+}
+function maxSeverity(diagnostics2) {
+  let sev = "hint", weight = 1;
+  for (let d of diagnostics2) {
+    let w = severityWeight(d.severity);
+    if (w > weight) {
+      weight = w;
+      sev = d.severity;
+    }
   }
-  let startText, endText;
-  if (to - from <= 2 * SearchMargin2) {
-    startText = endText = state.sliceDoc(from, to);
-  } else {
-    startText = state.sliceDoc(from, from + SearchMargin2);
-    endText = state.sliceDoc(to - SearchMargin2, to);
+  return sev;
+}
+function trackHoverOn(view, marker) {
+  let mousemove = (event) => {
+    let rect = marker.getBoundingClientRect();
+    if (event.clientX > rect.left - 10 && event.clientX < rect.right + 10 && event.clientY > rect.top - 10 && event.clientY < rect.bottom + 10)
+      return;
+    for (let target = event.target; target; target = target.parentNode) {
+      if (target.nodeType == 1 && target.classList.contains("cm-tooltip-lint"))
+        return;
+    }
+    window.removeEventListener("mousemove", mousemove);
+    if (view.state.field(lintGutterTooltip))
+      view.dispatch({ effects: setLintGutterTooltip.of(null) });
+  };
+  window.addEventListener("mousemove", mousemove);
+}
+function gutterMarkerMouseOver(view, marker, diagnostics2) {
+  function hovered() {
+    let line = view.elementAtHeight(marker.getBoundingClientRect().top + 5 - view.documentTop);
+    const linePos = view.coordsAtPos(line.from);
+    if (linePos) {
+      view.dispatch({ effects: setLintGutterTooltip.of({
+        pos: line.from,
+        above: false,
+        clip: false,
+        create() {
+          return {
+            dom: diagnosticsTooltip(view, diagnostics2),
+            getCoords: () => marker.getBoundingClientRect()
+          };
+        }
+      }) });
+    }
+    marker.onmouseout = marker.onmousemove = null;
+    trackHoverOn(view, marker);
+  }
+  let { hoverTime } = view.state.facet(lintGutterConfig);
+  let hoverTimeout = setTimeout(hovered, hoverTime);
+  marker.onmouseout = () => {
+    clearTimeout(hoverTimeout);
+    marker.onmouseout = marker.onmousemove = null;
+  };
+  marker.onmousemove = () => {
+    clearTimeout(hoverTimeout);
+    hoverTimeout = setTimeout(hovered, hoverTime);
+  };
+}
+function markersForDiagnostics(doc2, diagnostics2) {
+  let byLine = /* @__PURE__ */ Object.create(null);
+  for (let diagnostic of diagnostics2) {
+    let line = doc2.lineAt(diagnostic.from);
+    (byLine[line.from] || (byLine[line.from] = [])).push(diagnostic);
   }
-  let startSpace = /^\s*/.exec(startText)[0].length, endSpace = /\s*$/.exec(endText)[0].length;
-  let endOff = endText.length - endSpace - close.length;
-  if (startText.slice(startSpace, startSpace + open.length) == open && endText.slice(endOff, endOff + close.length) == close) {
-    return {
-      open: {
-        pos: from + startSpace + open.length,
-        margin: /\s/.test(startText.charAt(startSpace + open.length)) ? 1 : 0
-      },
-      close: {
-        pos: to - endSpace - close.length,
-        margin: /\s/.test(endText.charAt(endOff - 1)) ? 1 : 0
-      }
-    };
+  let markers = [];
+  for (let line in byLine) {
+    markers.push(new LintGutterMarker(byLine[line]).range(+line));
   }
-  return null;
+  return RangeSet.of(markers, true);
 }
-function selectedLineRanges2(state) {
-  let ranges = [];
-  for (let r of state.selection.ranges) {
-    let fromLine = state.doc.lineAt(r.from);
-    let toLine = r.to <= fromLine.to ? fromLine : state.doc.lineAt(r.to);
-    let last = ranges.length - 1;
-    if (last >= 0 && ranges[last].to > fromLine.from)
-      ranges[last].to = toLine.to;
-    else
-      ranges.push({ from: fromLine.from, to: toLine.to });
-  }
-  return ranges;
+function lintGutter(config2 = {}) {
+  return [lintGutterConfig.of(config2), lintGutterMarkers, lintGutterExtension, lintGutterTheme, lintGutterTooltip];
 }
-function changeBlockComment2(option, state, ranges = state.selection.ranges) {
-  let tokens2 = ranges.map((r) => getConfig2(state, r.from).block);
-  if (!tokens2.every((c) => c))
-    return null;
-  let comments = ranges.map((r, i) => findBlockComment2(state, tokens2[i], r.from, r.to));
-  if (option != 2 && !comments.every((c) => c)) {
-    return { changes: state.changes(ranges.map((range, i) => {
-      if (comments[i])
-        return [];
-      return [{ from: range.from, insert: tokens2[i].open + " " }, { from: range.to, insert: " " + tokens2[i].close }];
-    })) };
-  } else if (option != 1 && comments.some((c) => c)) {
-    let changes = [];
-    for (let i = 0, comment2; i < comments.length; i++)
-      if (comment2 = comments[i]) {
-        let token = tokens2[i], { open, close } = comment2;
-        changes.push({ from: open.pos - token.open.length, to: open.pos + open.margin }, { from: close.pos - close.margin, to: close.pos + token.close.length });
+var SelectedDiagnostic, LintState, setDiagnosticsEffect, togglePanel2, movePanelSelection, lintState, activeMark, closeLintPanel, nextDiagnostic, previousDiagnostic, lintPlugin, lintConfig, DiagnosticWidget, PanelItem, LintPanel, baseTheme5, LintGutterMarker, lintGutterExtension, lintGutterMarkers, setLintGutterTooltip, lintGutterTooltip, lintGutterTheme, lintHover, lintExtensions, lintGutterConfig;
+var init_dist24 = __esm({
+  "node_modules/@codemirror/lint/dist/index.js"() {
+    init_dist2();
+    init_dist();
+    init_crelt();
+    SelectedDiagnostic = class {
+      constructor(from, to, diagnostic) {
+        this.from = from;
+        this.to = to;
+        this.diagnostic = diagnostic;
       }
-    return { changes };
-  }
-  return null;
-}
-function changeLineComment2(option, state, ranges = state.selection.ranges) {
-  let lines = [];
-  let prevLine = -1;
-  for (let { from, to } of ranges) {
-    let startI = lines.length, minIndent = 1e9;
-    for (let pos = from; pos <= to; ) {
-      let line = state.doc.lineAt(pos);
-      if (line.from > prevLine && (from == to || to > line.from)) {
-        prevLine = line.from;
-        let token = getConfig2(state, pos).line;
-        if (!token)
-          continue;
-        let indent2 = /^\s*/.exec(line.text)[0].length;
-        let empty2 = indent2 == line.length;
-        let comment2 = line.text.slice(indent2, indent2 + token.length) == token ? indent2 : -1;
-        if (indent2 < line.text.length && indent2 < minIndent)
-          minIndent = indent2;
-        lines.push({ line, comment: comment2, token, indent: indent2, empty: empty2, single: false });
+    };
+    LintState = class _LintState {
+      constructor(diagnostics2, panel, selected) {
+        this.diagnostics = diagnostics2;
+        this.panel = panel;
+        this.selected = selected;
+      }
+      static init(diagnostics2, panel, state) {
+        let diagnosticFilter = state.facet(lintConfig).markerFilter;
+        if (diagnosticFilter)
+          diagnostics2 = diagnosticFilter(diagnostics2, state);
+        let sorted = diagnostics2.slice().sort((a, b) => a.from - b.from || a.to - b.to);
+        let deco = new RangeSetBuilder(), active = [], pos = 0;
+        let scan = state.doc.iter(), scanPos = 0, docLen = state.doc.length;
+        for (let i = 0; ; ) {
+          let next = i == sorted.length ? null : sorted[i];
+          if (!next && !active.length)
+            break;
+          let from, to;
+          if (active.length) {
+            from = pos;
+            to = active.reduce((p, d) => Math.min(p, d.to), next && next.from > from ? next.from : 1e8);
+          } else {
+            from = next.from;
+            if (from > docLen)
+              break;
+            to = next.to;
+            active.push(next);
+            i++;
+          }
+          while (i < sorted.length) {
+            let next2 = sorted[i];
+            if (next2.from == from && (next2.to > next2.from || next2.to == from)) {
+              active.push(next2);
+              i++;
+              to = Math.min(next2.to, to);
+            } else {
+              to = Math.min(next2.from, to);
+              break;
+            }
+          }
+          to = Math.min(to, docLen);
+          let widget = false;
+          if (active.some((d) => d.from == from && (d.to == to || to == docLen))) {
+            widget = from == to;
+            if (!widget && to - from < 10) {
+              let behind = from - (scanPos + scan.value.length);
+              if (behind > 0) {
+                scan.next(behind);
+                scanPos = from;
+              }
+              for (let check = from; ; ) {
+                if (check >= to) {
+                  widget = true;
+                  break;
+                }
+                if (!scan.lineBreak && scanPos + scan.value.length > check)
+                  break;
+                check = scanPos + scan.value.length;
+                scanPos += scan.value.length;
+                scan.next();
+              }
+            }
+          }
+          let sev = maxSeverity(active);
+          if (widget) {
+            deco.add(from, from, Decoration.widget({
+              widget: new DiagnosticWidget(sev),
+              diagnostics: active.slice()
+            }));
+          } else {
+            let markClass = active.reduce((c, d) => d.markClass ? c + " " + d.markClass : c, "");
+            deco.add(from, to, Decoration.mark({
+              class: "cm-lintRange cm-lintRange-" + sev + markClass,
+              diagnostics: active.slice(),
+              inclusiveEnd: active.some((a) => a.to > to)
+            }));
+          }
+          pos = to;
+          if (pos == docLen)
+            break;
+          for (let i2 = 0; i2 < active.length; i2++)
+            if (active[i2].to <= pos)
+              active.splice(i2--, 1);
+        }
+        let set = deco.finish();
+        return new _LintState(set, panel, findDiagnostic(set));
       }
-      pos = line.to + 1;
-    }
-    if (minIndent < 1e9) {
-      for (let i = startI; i < lines.length; i++)
-        if (lines[i].indent < lines[i].line.text.length)
-          lines[i].indent = minIndent;
-    }
-    if (lines.length == startI + 1)
-      lines[startI].single = true;
-  }
-  if (option != 2 && lines.some((l) => l.comment < 0 && (!l.empty || l.single))) {
-    let changes = [];
-    for (let { line, token, indent: indent2, empty: empty2, single } of lines)
-      if (single || !empty2)
-        changes.push({ from: line.from + indent2, insert: token + " " });
-    let changeSet = state.changes(changes);
-    return { changes: changeSet, selection: state.selection.map(changeSet, 1) };
-  } else if (option != 1 && lines.some((l) => l.comment >= 0)) {
-    let changes = [];
-    for (let { line, comment: comment2, token } of lines)
-      if (comment2 >= 0) {
-        let from = line.from + comment2, to = from + token.length;
-        if (line.text[to - line.from] == " ")
-          to++;
-        changes.push({ from, to });
+    };
+    setDiagnosticsEffect = /* @__PURE__ */ StateEffect.define();
+    togglePanel2 = /* @__PURE__ */ StateEffect.define();
+    movePanelSelection = /* @__PURE__ */ StateEffect.define();
+    lintState = /* @__PURE__ */ StateField.define({
+      create() {
+        return new LintState(Decoration.none, null, null);
+      },
+      update(value, tr) {
+        if (tr.docChanged && value.diagnostics.size) {
+          let mapped = value.diagnostics.map(tr.changes), selected = null, panel = value.panel;
+          if (value.selected) {
+            let selPos = tr.changes.mapPos(value.selected.from, 1);
+            selected = findDiagnostic(mapped, value.selected.diagnostic, selPos) || findDiagnostic(mapped, null, selPos);
+          }
+          if (!mapped.size && panel && tr.state.facet(lintConfig).autoPanel)
+            panel = null;
+          value = new LintState(mapped, panel, selected);
+        }
+        for (let effect of tr.effects) {
+          if (effect.is(setDiagnosticsEffect)) {
+            let panel = !tr.state.facet(lintConfig).autoPanel ? value.panel : effect.value.length ? LintPanel.open : null;
+            value = LintState.init(effect.value, panel, tr.state);
+          } else if (effect.is(togglePanel2)) {
+            value = new LintState(value.diagnostics, effect.value ? LintPanel.open : null, value.selected);
+          } else if (effect.is(movePanelSelection)) {
+            value = new LintState(value.diagnostics, value.panel, effect.value);
+          }
+        }
+        return value;
+      },
+      provide: (f) => [
+        showPanel.from(f, (val) => val.panel),
+        EditorView.decorations.from(f, (s) => s.diagnostics)
+      ]
+    });
+    activeMark = /* @__PURE__ */ Decoration.mark({ class: "cm-lintRange cm-lintRange-active" });
+    closeLintPanel = (view) => {
+      let field = view.state.field(lintState, false);
+      if (!field || !field.panel)
+        return false;
+      view.dispatch({ effects: togglePanel2.of(false) });
+      return true;
+    };
+    nextDiagnostic = (view) => {
+      let field = view.state.field(lintState, false);
+      if (!field)
+        return false;
+      let sel = view.state.selection.main, next = findDiagnostic(field.diagnostics, null, sel.to + 1);
+      if (!next) {
+        next = findDiagnostic(field.diagnostics, null, 0);
+        if (!next || next.from == sel.from && next.to == sel.to)
+          return false;
       }
-    return { changes };
+      view.dispatch({ selection: { anchor: next.from, head: next.to }, scrollIntoView: true });
+      activateHover(view, next.from, 1, {
+        tooltip: lintHover,
+        until: (tr) => tr.docChanged || tr.newSelection.main.head < next.from || tr.newSelection.main.head > next.to
+      });
+      return true;
+    };
+    previousDiagnostic = (view) => {
+      var _a2;
+      let { state } = view, field = state.field(lintState, false);
+      if (!field)
+        return false;
+      let sel = state.selection.main;
+      let prevFrom, prevTo, lastFrom, lastTo;
+      field.diagnostics.between(0, state.doc.length, (from2, to2) => {
+        if (to2 < sel.to && (prevFrom == null || prevFrom < from2)) {
+          prevFrom = from2;
+          prevTo = to2;
+        }
+        if (lastFrom == null || from2 > lastFrom) {
+          lastFrom = from2;
+          lastTo = to2;
+        }
+      });
+      if (lastFrom == null || prevFrom == null && lastFrom == sel.from)
+        return false;
+      let from = prevFrom !== null && prevFrom !== void 0 ? prevFrom : lastFrom, to = (_a2 = prevTo !== null && prevTo !== void 0 ? prevTo : lastTo) !== null && _a2 !== void 0 ? _a2 : from;
+      view.dispatch({ selection: { anchor: from, head: to }, scrollIntoView: true });
+      activateHover(view, from, 1, {
+        tooltip: lintHover,
+        until: (tr) => tr.docChanged || tr.newSelection.main.head < from || tr.newSelection.main.head > to
+      });
+      return true;
+    };
+    lintPlugin = /* @__PURE__ */ ViewPlugin.fromClass(class {
+      constructor(view) {
+        this.view = view;
+        this.timeout = -1;
+        this.set = true;
+        let { delay } = view.state.facet(lintConfig);
+        this.lintTime = Date.now() + delay;
+        this.run = this.run.bind(this);
+        this.timeout = setTimeout(this.run, delay);
+      }
+      run() {
+        clearTimeout(this.timeout);
+        let now = Date.now();
+        if (now < this.lintTime - 10) {
+          this.timeout = setTimeout(this.run, this.lintTime - now);
+        } else {
+          this.set = false;
+          let { state } = this.view, { sources } = state.facet(lintConfig);
+          if (sources.length)
+            batchResults(sources.map((s) => Promise.resolve(s(this.view))), (annotations) => {
+              if (this.view.state.doc == state.doc)
+                this.view.dispatch(setDiagnostics(this.view.state, annotations.reduce((a, b) => a.concat(b))));
+            }, (error) => {
+              logException(this.view.state, error);
+            });
+        }
+      }
+      update(update) {
+        let config2 = update.state.facet(lintConfig);
+        if (update.docChanged || config2 != update.startState.facet(lintConfig) || config2.needsRefresh && config2.needsRefresh(update)) {
+          this.lintTime = Date.now() + config2.delay;
+          if (!this.set) {
+            this.set = true;
+            this.timeout = setTimeout(this.run, config2.delay);
+          }
+        }
+      }
+      force() {
+        if (this.set) {
+          this.lintTime = Date.now();
+          this.run();
+        }
+      }
+      destroy() {
+        clearTimeout(this.timeout);
+      }
+    });
+    lintConfig = /* @__PURE__ */ Facet.define({
+      combine(input) {
+        return {
+          sources: input.map((i) => i.source).filter((x2) => x2 != null),
+          ...combineConfig(input.map((i) => i.config), {
+            delay: 750,
+            markerFilter: null,
+            tooltipFilter: null,
+            needsRefresh: null,
+            hideOn: () => null
+          }, {
+            delay: Math.max,
+            markerFilter: combineFilter,
+            tooltipFilter: combineFilter,
+            needsRefresh: (a, b) => !a ? b : !b ? a : (u) => a(u) || b(u),
+            hideOn: (a, b) => !a ? b : !b ? a : (t2, x2, y2) => a(t2, x2, y2) || b(t2, x2, y2),
+            autoPanel: (a, b) => a || b
+          })
+        };
+      }
+    });
+    DiagnosticWidget = class extends WidgetType {
+      constructor(sev) {
+        super();
+        this.sev = sev;
+      }
+      eq(other) {
+        return other.sev == this.sev;
+      }
+      toDOM() {
+        return crelt("span", { class: "cm-lintPoint cm-lintPoint-" + this.sev });
+      }
+    };
+    PanelItem = class {
+      constructor(view, diagnostic) {
+        this.diagnostic = diagnostic;
+        this.id = "item_" + Math.floor(Math.random() * 4294967295).toString(16);
+        this.dom = renderDiagnostic(view, diagnostic, true);
+        this.dom.id = this.id;
+        this.dom.setAttribute("role", "option");
+      }
+    };
+    LintPanel = class _LintPanel {
+      constructor(view) {
+        this.view = view;
+        this.items = [];
+        let onkeydown = (event) => {
+          if (event.ctrlKey || event.altKey || event.metaKey)
+            return;
+          if (event.keyCode == 27) {
+            closeLintPanel(this.view);
+            this.view.focus();
+          } else if (event.keyCode == 38 || event.keyCode == 33) {
+            this.moveSelection((this.selectedIndex - 1 + this.items.length) % this.items.length);
+          } else if (event.keyCode == 40 || event.keyCode == 34) {
+            this.moveSelection((this.selectedIndex + 1) % this.items.length);
+          } else if (event.keyCode == 36) {
+            this.moveSelection(0);
+          } else if (event.keyCode == 35) {
+            this.moveSelection(this.items.length - 1);
+          } else if (event.keyCode == 13) {
+            this.view.focus();
+          } else if (event.keyCode >= 65 && event.keyCode <= 90 && this.selectedIndex >= 0) {
+            let { diagnostic } = this.items[this.selectedIndex], keys = assignKeys(diagnostic.actions);
+            for (let i = 0; i < keys.length; i++)
+              if (keys[i].toUpperCase().charCodeAt(0) == event.keyCode) {
+                let found = findDiagnostic(this.view.state.field(lintState).diagnostics, diagnostic);
+                if (found)
+                  diagnostic.actions[i].apply(view, found.from, found.to);
+              }
+          } else {
+            return;
+          }
+          event.preventDefault();
+        };
+        let onclick = (event) => {
+          for (let i = 0; i < this.items.length; i++) {
+            if (this.items[i].dom.contains(event.target))
+              this.moveSelection(i);
+          }
+        };
+        this.list = crelt("ul", {
+          tabIndex: 0,
+          role: "listbox",
+          "aria-label": this.view.state.phrase("Diagnostics"),
+          onkeydown,
+          onclick
+        });
+        this.dom = crelt("div", { class: "cm-panel-lint" }, this.list, crelt("button", {
+          type: "button",
+          name: "close",
+          "aria-label": this.view.state.phrase("close"),
+          onclick: () => closeLintPanel(this.view)
+        }, "\xD7"));
+        this.update();
+      }
+      get selectedIndex() {
+        let selected = this.view.state.field(lintState).selected;
+        if (!selected)
+          return -1;
+        for (let i = 0; i < this.items.length; i++)
+          if (this.items[i].diagnostic == selected.diagnostic)
+            return i;
+        return -1;
+      }
+      update() {
+        let { diagnostics: diagnostics2, selected } = this.view.state.field(lintState);
+        let i = 0, needsSync = false, newSelectedItem = null;
+        let seen = /* @__PURE__ */ new Set();
+        diagnostics2.between(0, this.view.state.doc.length, (_start, _end, { spec }) => {
+          for (let diagnostic of spec.diagnostics) {
+            if (seen.has(diagnostic))
+              continue;
+            seen.add(diagnostic);
+            let found = -1, item;
+            for (let j2 = i; j2 < this.items.length; j2++)
+              if (this.items[j2].diagnostic == diagnostic) {
+                found = j2;
+                break;
+              }
+            if (found < 0) {
+              item = new PanelItem(this.view, diagnostic);
+              this.items.splice(i, 0, item);
+              needsSync = true;
+            } else {
+              item = this.items[found];
+              if (found > i) {
+                this.items.splice(i, found - i);
+                needsSync = true;
+              }
+            }
+            if (selected && item.diagnostic == selected.diagnostic) {
+              if (!item.dom.hasAttribute("aria-selected")) {
+                item.dom.setAttribute("aria-selected", "true");
+                newSelectedItem = item;
+              }
+            } else if (item.dom.hasAttribute("aria-selected")) {
+              item.dom.removeAttribute("aria-selected");
+            }
+            i++;
+          }
+        });
+        while (i < this.items.length && !(this.items.length == 1 && this.items[0].diagnostic.from < 0)) {
+          needsSync = true;
+          this.items.pop();
+        }
+        if (this.items.length == 0) {
+          this.items.push(new PanelItem(this.view, {
+            from: -1,
+            to: -1,
+            severity: "info",
+            message: this.view.state.phrase("No diagnostics")
+          }));
+          needsSync = true;
+        }
+        if (newSelectedItem) {
+          this.list.setAttribute("aria-activedescendant", newSelectedItem.id);
+          this.view.requestMeasure({
+            key: this,
+            read: () => ({ sel: newSelectedItem.dom.getBoundingClientRect(), panel: this.list.getBoundingClientRect() }),
+            write: ({ sel, panel }) => {
+              let scaleY = panel.height / this.list.offsetHeight;
+              if (sel.top < panel.top)
+                this.list.scrollTop -= (panel.top - sel.top) / scaleY;
+              else if (sel.bottom > panel.bottom)
+                this.list.scrollTop += (sel.bottom - panel.bottom) / scaleY;
+            }
+          });
+        } else if (this.selectedIndex < 0) {
+          this.list.removeAttribute("aria-activedescendant");
+        }
+        if (needsSync)
+          this.sync();
+      }
+      sync() {
+        let domPos = this.list.firstChild;
+        function rm2() {
+          let prev = domPos;
+          domPos = prev.nextSibling;
+          prev.remove();
+        }
+        for (let item of this.items) {
+          if (item.dom.parentNode == this.list) {
+            while (domPos != item.dom)
+              rm2();
+            domPos = item.dom.nextSibling;
+          } else {
+            this.list.insertBefore(item.dom, domPos);
+          }
+        }
+        while (domPos)
+          rm2();
+      }
+      moveSelection(selectedIndex) {
+        if (this.selectedIndex < 0)
+          return;
+        let field = this.view.state.field(lintState);
+        let selection2 = findDiagnostic(field.diagnostics, this.items[selectedIndex].diagnostic);
+        if (!selection2)
+          return;
+        this.view.dispatch({
+          selection: { anchor: selection2.from, head: selection2.to },
+          scrollIntoView: true,
+          effects: movePanelSelection.of(selection2)
+        });
+      }
+      static open(view) {
+        return new _LintPanel(view);
+      }
+    };
+    baseTheme5 = /* @__PURE__ */ EditorView.baseTheme({
+      ".cm-diagnostic": {
+        padding: "3px 6px 3px 8px",
+        marginLeft: "-1px",
+        display: "block",
+        whiteSpace: "pre-wrap"
+      },
+      ".cm-diagnostic-error": { borderLeft: "5px solid #d11" },
+      ".cm-diagnostic-warning": { borderLeft: "5px solid orange" },
+      ".cm-diagnostic-info": { borderLeft: "5px solid #999" },
+      ".cm-diagnostic-hint": { borderLeft: "5px solid #66d" },
+      ".cm-diagnosticAction": {
+        font: "inherit",
+        border: "none",
+        padding: "2px 4px",
+        backgroundColor: "#444",
+        color: "white",
+        borderRadius: "3px",
+        marginLeft: "8px",
+        cursor: "pointer"
+      },
+      ".cm-diagnosticSource": {
+        fontSize: "70%",
+        opacity: 0.7
+      },
+      ".cm-lintRange": {
+        backgroundPosition: "left bottom",
+        backgroundRepeat: "repeat-x",
+        paddingBottom: "0.7px"
+      },
+      ".cm-lintRange-error": { backgroundImage: /* @__PURE__ */ underline("#f11") },
+      ".cm-lintRange-warning": { backgroundImage: /* @__PURE__ */ underline("orange") },
+      ".cm-lintRange-info": { backgroundImage: /* @__PURE__ */ underline("#999") },
+      ".cm-lintRange-hint": { backgroundImage: /* @__PURE__ */ underline("#66d") },
+      ".cm-lintRange-active": { backgroundColor: "#ffdd9980" },
+      ".cm-tooltip-lint": {
+        padding: 0,
+        margin: 0
+      },
+      ".cm-lintPoint": {
+        position: "relative",
+        "&:after": {
+          content: '""',
+          position: "absolute",
+          bottom: 0,
+          left: "-2px",
+          borderLeft: "3px solid transparent",
+          borderRight: "3px solid transparent",
+          borderBottom: "4px solid #d11"
+        }
+      },
+      ".cm-lintPoint-warning": {
+        "&:after": { borderBottomColor: "orange" }
+      },
+      ".cm-lintPoint-info": {
+        "&:after": { borderBottomColor: "#999" }
+      },
+      ".cm-lintPoint-hint": {
+        "&:after": { borderBottomColor: "#66d" }
+      },
+      ".cm-panel.cm-panel-lint": {
+        position: "relative",
+        "& ul": {
+          maxHeight: "100px",
+          overflowY: "auto",
+          "& [aria-selected]": {
+            backgroundColor: "#ddd",
+            "& u": { textDecoration: "underline" }
+          },
+          "&:focus [aria-selected]": {
+            background_fallback: "#bdf",
+            backgroundColor: "Highlight",
+            color_fallback: "white",
+            color: "HighlightText"
+          },
+          "& u": { textDecoration: "none" },
+          padding: 0,
+          margin: 0
+        },
+        "& [name=close]": {
+          position: "absolute",
+          top: "0",
+          right: "2px",
+          background: "inherit",
+          border: "none",
+          font: "inherit",
+          padding: 0,
+          margin: 0
+        }
+      },
+      "&dark .cm-lintRange-active": { backgroundColor: "#86714a80" },
+      "&dark .cm-panel.cm-panel-lint ul": {
+        "& [aria-selected]": {
+          backgroundColor: "#2e343e"
+        }
+      }
+    });
+    LintGutterMarker = class extends GutterMarker {
+      constructor(diagnostics2) {
+        super();
+        this.diagnostics = diagnostics2;
+        this.severity = maxSeverity(diagnostics2);
+      }
+      toDOM(view) {
+        let elt2 = document.createElement("div");
+        elt2.className = "cm-lint-marker cm-lint-marker-" + this.severity;
+        let diagnostics2 = this.diagnostics;
+        let diagnosticsFilter = view.state.facet(lintGutterConfig).tooltipFilter;
+        if (diagnosticsFilter)
+          diagnostics2 = diagnosticsFilter(diagnostics2, view.state);
+        if (diagnostics2.length)
+          elt2.onmouseover = () => gutterMarkerMouseOver(view, elt2, diagnostics2);
+        return elt2;
+      }
+    };
+    lintGutterExtension = /* @__PURE__ */ gutter({
+      class: "cm-gutter-lint",
+      markers: (view) => view.state.field(lintGutterMarkers),
+      widgetMarker: (view, widget, block) => {
+        let diagnostics2 = [];
+        view.state.field(lintGutterMarkers).between(block.from, block.to, (from, to, value) => {
+          if (from > block.from && from < block.to)
+            diagnostics2.push(...value.diagnostics);
+        });
+        return diagnostics2.length ? new LintGutterMarker(diagnostics2) : null;
+      }
+    });
+    lintGutterMarkers = /* @__PURE__ */ StateField.define({
+      create() {
+        return RangeSet.empty;
+      },
+      update(markers, tr) {
+        markers = markers.map(tr.changes);
+        let diagnosticFilter = tr.state.facet(lintGutterConfig).markerFilter;
+        for (let effect of tr.effects) {
+          if (effect.is(setDiagnosticsEffect)) {
+            let diagnostics2 = effect.value;
+            if (diagnosticFilter)
+              diagnostics2 = diagnosticFilter(diagnostics2 || [], tr.state);
+            markers = markersForDiagnostics(tr.state.doc, diagnostics2.slice(0));
+          }
+        }
+        return markers;
+      }
+    });
+    setLintGutterTooltip = /* @__PURE__ */ StateEffect.define();
+    lintGutterTooltip = /* @__PURE__ */ StateField.define({
+      create() {
+        return null;
+      },
+      update(tooltip, tr) {
+        if (tooltip && tr.docChanged)
+          tooltip = hideTooltip(tr, tooltip) ? null : { ...tooltip, pos: tr.changes.mapPos(tooltip.pos) };
+        return tr.effects.reduce((t2, e) => e.is(setLintGutterTooltip) ? e.value : t2, tooltip);
+      },
+      provide: (field) => showTooltip.from(field)
+    });
+    lintGutterTheme = /* @__PURE__ */ EditorView.baseTheme({
+      ".cm-gutter-lint": {
+        width: "1.4em",
+        "& .cm-gutterElement": {
+          padding: ".2em"
+        }
+      },
+      ".cm-lint-marker": {
+        width: "1em",
+        height: "1em"
+      },
+      ".cm-lint-marker-info": {
+        content: /* @__PURE__ */ svg(`<path fill="#aaf" stroke="#77e" stroke-width="6" stroke-linejoin="round" d="M5 5L35 5L35 35L5 35Z"/>`)
+      },
+      ".cm-lint-marker-warning": {
+        content: /* @__PURE__ */ svg(`<path fill="#fe8" stroke="#fd7" stroke-width="6" stroke-linejoin="round" d="M20 6L37 35L3 35Z"/>`)
+      },
+      ".cm-lint-marker-error": {
+        content: /* @__PURE__ */ svg(`<circle cx="20" cy="20" r="15" fill="#f87" stroke="#f43" stroke-width="6"/>`)
+      }
+    });
+    lintHover = /* @__PURE__ */ hoverTooltip(lintTooltip, { hideOn: hideTooltip });
+    lintExtensions = [
+      lintState,
+      /* @__PURE__ */ EditorView.decorations.compute([lintState], (state) => {
+        let { selected, panel } = state.field(lintState);
+        return !selected || !panel || selected.from == selected.to ? Decoration.none : Decoration.set([
+          activeMark.range(selected.from, selected.to)
+        ]);
+      }),
+      lintHover,
+      baseTheme5
+    ];
+    lintGutterConfig = /* @__PURE__ */ Facet.define({
+      combine(configs) {
+        return combineConfig(configs, {
+          hoverTime: 300,
+          markerFilter: null,
+          tooltipFilter: null
+        });
+      }
+    });
+  }
+});
+
+// node_modules/@codemirror/comment/dist/index.js
+function command2(f, option) {
+  return ({ state, dispatch }) => {
+    if (state.readOnly)
+      return false;
+    let tr = f(option, state);
+    if (!tr)
+      return false;
+    dispatch(state.update(tr));
+    return true;
+  };
+}
+function getConfig2(state, pos = state.selection.main.head) {
+  let data2 = state.languageDataAt("commentTokens", pos);
+  return data2.length ? data2[0] : {};
+}
+function findBlockComment2(state, { open, close }, from, to) {
+  let textBefore = state.sliceDoc(from - SearchMargin2, from);
+  let textAfter = state.sliceDoc(to, to + SearchMargin2);
+  let spaceBefore = /\s*$/.exec(textBefore)[0].length, spaceAfter = /^\s*/.exec(textAfter)[0].length;
+  let beforeOff = textBefore.length - spaceBefore;
+  if (textBefore.slice(beforeOff - open.length, beforeOff) == open && textAfter.slice(spaceAfter, spaceAfter + close.length) == close) {
+    return {
+      open: { pos: from - spaceBefore, margin: spaceBefore && 1 },
+      close: { pos: to + spaceAfter, margin: spaceAfter && 1 }
+    };
+  }
+  let startText, endText;
+  if (to - from <= 2 * SearchMargin2) {
+    startText = endText = state.sliceDoc(from, to);
+  } else {
+    startText = state.sliceDoc(from, from + SearchMargin2);
+    endText = state.sliceDoc(to - SearchMargin2, to);
+  }
+  let startSpace = /^\s*/.exec(startText)[0].length, endSpace = /\s*$/.exec(endText)[0].length;
+  let endOff = endText.length - endSpace - close.length;
+  if (startText.slice(startSpace, startSpace + open.length) == open && endText.slice(endOff, endOff + close.length) == close) {
+    return {
+      open: {
+        pos: from + startSpace + open.length,
+        margin: /\s/.test(startText.charAt(startSpace + open.length)) ? 1 : 0
+      },
+      close: {
+        pos: to - endSpace - close.length,
+        margin: /\s/.test(endText.charAt(endOff - 1)) ? 1 : 0
+      }
+    };
+  }
+  return null;
+}
+function selectedLineRanges2(state) {
+  let ranges = [];
+  for (let r of state.selection.ranges) {
+    let fromLine = state.doc.lineAt(r.from);
+    let toLine = r.to <= fromLine.to ? fromLine : state.doc.lineAt(r.to);
+    let last2 = ranges.length - 1;
+    if (last2 >= 0 && ranges[last2].to > fromLine.from)
+      ranges[last2].to = toLine.to;
+    else
+      ranges.push({ from: fromLine.from, to: toLine.to });
+  }
+  return ranges;
+}
+function changeBlockComment2(option, state, ranges = state.selection.ranges) {
+  let tokens2 = ranges.map((r) => getConfig2(state, r.from).block);
+  if (!tokens2.every((c) => c))
+    return null;
+  let comments = ranges.map((r, i) => findBlockComment2(state, tokens2[i], r.from, r.to));
+  if (option != 2 && !comments.every((c) => c)) {
+    return { changes: state.changes(ranges.map((range, i) => {
+      if (comments[i])
+        return [];
+      return [{ from: range.from, insert: tokens2[i].open + " " }, { from: range.to, insert: " " + tokens2[i].close }];
+    })) };
+  } else if (option != 1 && comments.some((c) => c)) {
+    let changes = [];
+    for (let i = 0, comment2; i < comments.length; i++)
+      if (comment2 = comments[i]) {
+        let token = tokens2[i], { open, close } = comment2;
+        changes.push({ from: open.pos - token.open.length, to: open.pos + open.margin }, { from: close.pos - close.margin, to: close.pos + token.close.length });
+      }
+    return { changes };
+  }
+  return null;
+}
+function changeLineComment2(option, state, ranges = state.selection.ranges) {
+  let lines = [];
+  let prevLine = -1;
+  for (let { from, to } of ranges) {
+    let startI = lines.length, minIndent = 1e9;
+    for (let pos = from; pos <= to; ) {
+      let line = state.doc.lineAt(pos);
+      if (line.from > prevLine && (from == to || to > line.from)) {
+        prevLine = line.from;
+        let token = getConfig2(state, pos).line;
+        if (!token)
+          continue;
+        let indent2 = /^\s*/.exec(line.text)[0].length;
+        let empty2 = indent2 == line.length;
+        let comment2 = line.text.slice(indent2, indent2 + token.length) == token ? indent2 : -1;
+        if (indent2 < line.text.length && indent2 < minIndent)
+          minIndent = indent2;
+        lines.push({ line, comment: comment2, token, indent: indent2, empty: empty2, single: false });
+      }
+      pos = line.to + 1;
+    }
+    if (minIndent < 1e9) {
+      for (let i = startI; i < lines.length; i++)
+        if (lines[i].indent < lines[i].line.text.length)
+          lines[i].indent = minIndent;
+    }
+    if (lines.length == startI + 1)
+      lines[startI].single = true;
+  }
+  if (option != 2 && lines.some((l3) => l3.comment < 0 && (!l3.empty || l3.single))) {
+    let changes = [];
+    for (let { line, token, indent: indent2, empty: empty2, single } of lines)
+      if (single || !empty2)
+        changes.push({ from: line.from + indent2, insert: token + " " });
+    let changeSet = state.changes(changes);
+    return { changes: changeSet, selection: state.selection.map(changeSet, 1) };
+  } else if (option != 1 && lines.some((l3) => l3.comment >= 0)) {
+    let changes = [];
+    for (let { line, comment: comment2, token } of lines)
+      if (comment2 >= 0) {
+        let from = line.from + comment2, to = from + token.length;
+        if (line.text[to - line.from] == " ")
+          to++;
+        changes.push({ from, to });
+      }
+    return { changes };
+  }
+  return null;
+}
+var toggleComment2, toggleLineComment2, toggleBlockComment2, toggleBlockCommentByLine2, commentKeymap, SearchMargin2;
+var init_dist25 = __esm({
+  "node_modules/@codemirror/comment/dist/index.js"() {
+    toggleComment2 = (target) => {
+      let config2 = getConfig2(target.state);
+      return config2.line ? toggleLineComment2(target) : config2.block ? toggleBlockCommentByLine2(target) : false;
+    };
+    toggleLineComment2 = /* @__PURE__ */ command2(
+      changeLineComment2,
+      0
+      /* Toggle */
+    );
+    toggleBlockComment2 = /* @__PURE__ */ command2(
+      changeBlockComment2,
+      0
+      /* Toggle */
+    );
+    toggleBlockCommentByLine2 = /* @__PURE__ */ command2(
+      (o, s) => changeBlockComment2(o, s, selectedLineRanges2(s)),
+      0
+      /* Toggle */
+    );
+    commentKeymap = [
+      { key: "Mod-/", run: toggleComment2 },
+      { key: "Alt-A", run: toggleBlockComment2 }
+    ];
+    SearchMargin2 = 50;
+  }
+});
+
+// editor/fileSystem.js
+var FileSystem, fileSystem;
+var init_fileSystem = __esm({
+  "editor/fileSystem.js"() {
+    FileSystem = class {
+      constructor() {
+        this.rootHandle = null;
+        this.dbName = "codesnip-editor-db";
+        this.storeName = "kv";
+        this.lastFolderKey = "lastFolderHandle";
+        this.dirtyBuffersKey = "dirtyBuffers";
+      }
+      async saveSession({ tabs = [], activePath = null, groups = [], activeGroup = 0, splitDirection = "horizontal" } = {}) {
+        const session = {
+          folderName: this.rootHandle?.name || null,
+          tabs,
+          activePath,
+          groups,
+          activeGroup,
+          splitDirection,
+          timestamp: Date.now()
+        };
+        chrome.storage.local.set({ editorSession: session });
+      }
+      async loadSession() {
+        return new Promise((resolve) => {
+          chrome.storage.local.get(["editorSession"], (result) => {
+            resolve(result.editorSession || null);
+          });
+        });
+      }
+      async clearSession() {
+        chrome.storage.local.remove(["editorSession"]);
+        await this.persistValue(this.dirtyBuffersKey, {});
+      }
+      async saveDirtyBuffers(buffers) {
+        await this.persistValue(this.dirtyBuffersKey, buffers);
+      }
+      async loadDirtyBuffers() {
+        return await this.getPersistedValue(this.dirtyBuffersKey) || {};
+      }
+      async openDirectory() {
+        try {
+          const handle = await window.showDirectoryPicker();
+          this.rootHandle = handle;
+          await this.saveLastOpenedFolder(handle);
+          return handle;
+        } catch (err) {
+          if (err.name !== "AbortError") {
+            console.error("Error opening directory:", err);
+          }
+          return null;
+        }
+      }
+      async readDirectory(handle) {
+        const entries2 = [];
+        for await (const entry of handle.values()) {
+          entries2.push({
+            name: entry.name,
+            kind: entry.kind,
+            handle: entry
+          });
+        }
+        return entries2.sort((a, b) => {
+          if (a.kind === "directory" && b.kind !== "directory") return -1;
+          if (a.kind !== "directory" && b.kind === "directory") return 1;
+          return a.name.localeCompare(b.name);
+        });
+      }
+      async readDirectoryLevel(handle, parentPath = "") {
+        const entries2 = await this.readDirectory(handle);
+        return entries2.map((entry) => ({
+          name: entry.name,
+          kind: entry.kind,
+          handle: entry.handle,
+          parentHandle: handle,
+          path: parentPath ? `${parentPath}/${entry.name}` : entry.name,
+          children: null,
+          childrenLoaded: false
+        }));
+      }
+      async readDirectoryRecursive(handle, depth = 0, maxDepth = 3, parentPath = "") {
+        if (depth > maxDepth) return [];
+        const entries2 = [];
+        const dirEntries = await this.readDirectory(handle);
+        for (const entry of dirEntries) {
+          const entryInfo = {
+            name: entry.name,
+            kind: entry.kind,
+            handle: entry.handle,
+            parentHandle: handle,
+            path: parentPath ? `${parentPath}/${entry.handle.name}` : entry.handle.name
+          };
+          if (entry.kind === "directory" && depth < maxDepth) {
+            try {
+              entryInfo.children = await this.readDirectoryRecursive(
+                entry.handle,
+                depth + 1,
+                maxDepth,
+                entryInfo.path
+              );
+            } catch (err) {
+              console.warn(`Cannot read directory ${entry.name}:`, err);
+              entryInfo.children = [];
+            }
+          }
+          entries2.push(entryInfo);
+        }
+        return entries2;
+      }
+      async createFile(parentHandle, fileName) {
+        try {
+          const fileHandle = await parentHandle.getFileHandle(fileName, { create: true });
+          const writable = await fileHandle.createWritable();
+          await writable.write("");
+          await writable.close();
+          return fileHandle;
+        } catch (err) {
+          console.error("Error creating file:", err);
+          return null;
+        }
+      }
+      async createDirectory(parentHandle, dirName) {
+        try {
+          const dirHandle = await parentHandle.getDirectoryHandle(dirName, { create: true });
+          return dirHandle;
+        } catch (err) {
+          console.error("Error creating directory:", err);
+          return null;
+        }
+      }
+      async deleteEntry(handle, parentHandle = null) {
+        try {
+          const parent = parentHandle || await this.getParentHandle(handle);
+          if (!parent) return false;
+          await parent.removeEntry(handle.name, { recursive: true });
+          return true;
+        } catch (err) {
+          console.error("Error deleting entry:", err);
+          return false;
+        }
+      }
+      // { ok: true, leftover: true } indica que a cópia foi criada mas a origem não pôde ser removida
+      async renameEntry(handle, newName, parentHandle = null, { onProgress = null } = {}) {
+        try {
+          const parent = parentHandle || await this.getParentHandle(handle);
+          if (!parent) return { ok: false };
+          if (await this.findChild(parent, newName)) {
+            console.error(`Cannot rename "${handle.name}": "${newName}" already exists.`);
+            return { ok: false };
+          }
+          if (typeof handle.move === "function") {
+            try {
+              await handle.move(newName);
+              return { ok: true, leftover: false };
+            } catch (err) {
+            }
+          }
+          const copied = await this.copyEntry(handle, parent, newName, { onProgress });
+          if (!copied) return { ok: false };
+          return { ok: true, leftover: !await this.deleteEntry(handle, parent) };
+        } catch (err) {
+          console.error("Error renaming entry:", err);
+          return { ok: false };
+        }
+      }
+      async findChild(parentHandle, name2) {
+        for await (const entry of parentHandle.values()) {
+          if (entry.name === name2) return entry;
+        }
+        return null;
+      }
+      async copyFile(fileHandle, targetDirHandle, name2 = fileHandle.name) {
+        const sourceFile = await fileHandle.getFile();
+        return this.importFile(targetDirHandle, sourceFile, name2);
+      }
+      async importFile(targetDirHandle, file, name2 = file.name) {
+        const targetFile = await targetDirHandle.getFileHandle(name2, { create: true });
+        const writable = await targetFile.createWritable();
+        await file.stream().pipeTo(writable);
+        return targetFile;
+      }
+      async countFiles(handle) {
+        if (handle.kind === "file") return 1;
+        let count2 = 0;
+        for await (const entry of handle.values()) {
+          count2 += await this.countFiles(entry);
+        }
+        return count2;
+      }
+      reportProgress(progress, path) {
+        if (!progress) return;
+        progress.copied += 1;
+        progress.onProgress?.({ copied: progress.copied, total: progress.total, path });
+      }
+      async copyEntry(handle, targetDirHandle, name2 = handle.name, { onProgress = null } = {}) {
+        const existed = Boolean(await this.findChild(targetDirHandle, name2));
+        const progress = onProgress ? { copied: 0, total: await this.countFiles(handle), onProgress } : null;
+        try {
+          if (handle.kind === "directory") {
+            const targetDir = await targetDirHandle.getDirectoryHandle(name2, { create: true });
+            await this.copyDirectoryContents(handle, targetDir, progress, name2);
+            return targetDir;
+          }
+          const targetFile = await this.copyFile(handle, targetDirHandle, name2);
+          this.reportProgress(progress, name2);
+          return targetFile;
+        } catch (err) {
+          console.error("Error copying entry:", err);
+          if (!existed) {
+            await this.removeQuietly(targetDirHandle, name2);
+          }
+          return null;
+        }
+      }
+      async removeQuietly(parentHandle, name2) {
+        try {
+          await parentHandle.removeEntry(name2, { recursive: true });
+        } catch (err) {
+          console.warn(`Cannot roll back "${name2}":`, err);
+        }
+      }
+      // mesmo formato de renameEntry, com o handle da entrada no destino
+      async moveEntry(handle, sourceParentHandle, targetDirHandle, { onProgress = null } = {}) {
+        if (typeof handle.move === "function") {
+          try {
+            await handle.move(targetDirHandle);
+            return { ok: true, handle, leftover: false };
+          } catch (err) {
+          }
+        }
+        const copied = await this.copyEntry(handle, targetDirHandle, handle.name, { onProgress });
+        if (!copied) return { ok: false };
+        return { ok: true, handle: copied, leftover: !await this.deleteEntry(handle, sourceParentHandle) };
+      }
+      async getParentHandle(targetHandle, currentHandle = this.rootHandle) {
+        if (!currentHandle) return null;
+        for await (const entry of currentHandle.values()) {
+          let isMatch = entry.kind === targetHandle.kind && entry.name === targetHandle.name;
+          if (typeof entry.isSameEntry === "function") {
+            try {
+              isMatch = await entry.isSameEntry(targetHandle);
+            } catch (err) {
+              isMatch = entry.kind === targetHandle.kind && entry.name === targetHandle.name;
+            }
+          }
+          if (isMatch) {
+            return currentHandle;
+          }
+          if (entry.kind === "directory") {
+            const found = await this.getParentHandle(targetHandle, entry);
+            if (found) return found;
+          }
+        }
+        return null;
+      }
+      async getEntryPath(handle) {
+        return handle.name;
+      }
+      async saveLastOpenedFolder(handle) {
+        const serialized = await this.serializeHandle(handle);
+        if (serialized) {
+          chrome.storage.local.set({ lastOpenedFolder: serialized });
+        }
+        await this.persistHandle(this.lastFolderKey, handle);
+      }
+      async serializeHandle(handle) {
+        try {
+          return {
+            name: handle.name,
+            kind: handle.kind
+          };
+        } catch (err) {
+          return null;
+        }
+      }
+      getRootHandle() {
+        return this.rootHandle;
+      }
+      setRootHandle(handle) {
+        this.rootHandle = handle;
+      }
+      async loadLastOpenedFolder() {
+        const handle = await this.getPersistedHandle(this.lastFolderKey);
+        if (!handle) return null;
+        try {
+          let permission = await handle.queryPermission({ mode: "readwrite" });
+          if (permission !== "granted") {
+            permission = await handle.requestPermission({ mode: "readwrite" });
+          }
+          if (permission === "granted") {
+            this.rootHandle = handle;
+            return handle;
+          }
+        } catch (err) {
+          console.warn("Cannot restore last folder handle:", err);
+        }
+        return null;
+      }
+      async copyDirectoryContents(sourceDirHandle, targetDirHandle, progress = null, parentPath = "") {
+        for await (const entry of sourceDirHandle.values()) {
+          const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+          if (entry.kind === "file") {
+            await this.copyFile(entry, targetDirHandle);
+            this.reportProgress(progress, path);
+          } else if (entry.kind === "directory") {
+            const nestedTarget = await targetDirHandle.getDirectoryHandle(entry.name, { create: true });
+            await this.copyDirectoryContents(entry, nestedTarget, progress, path);
+          }
+        }
+      }
+      async openDatabase() {
+        if (!globalThis.indexedDB) return null;
+        return new Promise((resolve) => {
+          const request = indexedDB.open(this.dbName, 1);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(this.storeName)) {
+              db.createObjectStore(this.storeName);
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+        });
+      }
+      async persistHandle(key, handle) {
+        await this.persistValue(key, handle);
+      }
+      async getPersistedHandle(key) {
+        return this.getPersistedValue(key);
+      }
+      async persistValue(key, value) {
+        const db = await this.openDatabase();
+        if (!db) return;
+        await new Promise((resolve) => {
+          const tx = db.transaction(this.storeName, "readwrite");
+          tx.objectStore(this.storeName).put(value, key);
+          tx.oncomplete = () => resolve();
+          tx.onerror = () => resolve();
+        });
+        db.close();
+      }
+      async getPersistedValue(key) {
+        const db = await this.openDatabase();
+        if (!db) return null;
+        const value = await new Promise((resolve) => {
+          const tx = db.transaction(this.storeName, "readonly");
+          const req = tx.objectStore(this.storeName).get(key);
+          req.onsuccess = () => resolve(req.result || null);
+          req.onerror = () => resolve(null);
+        });
+        db.close();
+        return value;
+      }
+    };
+    fileSystem = new FileSystem();
+  }
+});
+
+// editor/fileIndex.js
+var CACHE_KEY, MAX_CACHED_ROOTS, YIELD_EVERY, FileIndex, fileIndex;
+var init_fileIndex = __esm({
+  "editor/fileIndex.js"() {
+    init_fileSystem();
+    CACHE_KEY = "fileIndexCache";
+    MAX_CACHED_ROOTS = 5;
+    YIELD_EVERY = 25;
+    FileIndex = class {
+      constructor() {
+        this.rootHandle = null;
+        this.files = /* @__PURE__ */ new Map();
+        this.handles = /* @__PURE__ */ new Map();
+        this.ready = null;
+        this.building = null;
+        this.rebuildTimer = null;
+        this.ignoreRules = null;
+        this.generation = 0;
+      }
+      setIgnoreRules(rules) {
+        this.ignoreRules = rules;
+      }
+      isIgnored(path, isDirectory) {
+        return this.ignoreRules ? this.ignoreRules.isIgnored(path, isDirectory) : false;
+      }
+      async setRoot(rootHandle) {
+        this.generation += 1;
+        this.rootHandle = rootHandle;
+        this.files = /* @__PURE__ */ new Map();
+        this.handles = /* @__PURE__ */ new Map();
+        this.building = null;
+        if (!rootHandle) {
+          this.ready = Promise.resolve();
+          return;
+        }
+        const cached = await this.loadCache(rootHandle);
+        if (cached) {
+          cached.forEach((path) => this.files.set(path, this.createEntry(path)));
+          this.ready = Promise.resolve();
+          this.rebuild();
+        } else {
+          this.ready = this.rebuild();
+        }
+      }
+      createEntry(path) {
+        return { name: path.split("/").pop(), path };
+      }
+      async getFiles() {
+        if (!this.rootHandle) return [];
+        await this.ready;
+        return [...this.files.values()];
+      }
+      rebuild() {
+        if (this.building) return this.building;
+        const generation = this.generation;
+        const rootHandle = this.rootHandle;
+        this.building = (async () => {
+          const collected = /* @__PURE__ */ new Map();
+          const handles = /* @__PURE__ */ new Map();
+          try {
+            await this.walk(rootHandle, "", { collected, handles, visited: 0 });
+          } catch (err) {
+            console.warn("Cannot build file index:", err);
+            return;
+          } finally {
+            if (generation === this.generation) {
+              this.building = null;
+            }
+          }
+          if (generation !== this.generation) return;
+          this.files = collected;
+          this.handles = handles;
+          await this.saveCache();
+        })();
+        return this.building;
+      }
+      scheduleRebuild() {
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => this.rebuild(), 500);
+      }
+      // a varredura roda na thread principal e cede o controle a cada YIELD_EVERY pastas,
+      // para a interface continuar respondendo em pastas grandes
+      async walk(directoryHandle, parentPath, progress) {
+        await this.ignoreRules?.prepareDirectory(directoryHandle, parentPath);
+        const entries2 = await fileSystem.readDirectoryLevel(directoryHandle, parentPath);
+        for (const entry of entries2) {
+          if (entry.kind === "file") {
+            if (!this.isIgnored(entry.path, false)) {
+              progress.collected.set(entry.path, this.createEntry(entry.path));
+              progress.handles.set(entry.path, entry.handle);
+            }
+          } else if (entry.kind === "directory" && !this.isIgnored(entry.path, true)) {
+            progress.visited += 1;
+            if (progress.visited % YIELD_EVERY === 0) {
+              await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+            try {
+              await this.walk(entry.handle, entry.path, progress);
+            } catch (err) {
+              console.warn(`Cannot index directory ${entry.path}:`, err);
+            }
+          }
+        }
+      }
+      async resolveHandle(file) {
+        if (file.handle) return file.handle;
+        if (this.handles.has(file.path)) return this.handles.get(file.path);
+        const parts = file.path.split("/");
+        let current = this.rootHandle;
+        try {
+          for (let i = 0; i < parts.length - 1; i++) {
+            current = await current.getDirectoryHandle(parts[i]);
+          }
+          const handle = await current.getFileHandle(parts[parts.length - 1]);
+          this.handles.set(file.path, handle);
+          return handle;
+        } catch (err) {
+          this.removePath(file.path);
+          return null;
+        }
+      }
+      addFile(path, handle = null) {
+        if (!this.rootHandle || this.isIgnored(path, false)) return;
+        this.files.set(path, this.createEntry(path));
+        if (handle) {
+          this.handles.set(path, handle);
+        }
+        this.commitChange();
+      }
+      removePath(path) {
+        const prefix = `${path}/`;
+        [...this.files.keys()].forEach((filePath) => {
+          if (filePath === path || filePath.startsWith(prefix)) {
+            this.files.delete(filePath);
+          }
+        });
+        this.forgetHandles(path);
+        this.commitChange();
+      }
+      renamePath(oldPath, newPath) {
+        const prefix = `${oldPath}/`;
+        const renamed = [];
+        [...this.files.keys()].forEach((filePath) => {
+          if (filePath === oldPath || filePath.startsWith(prefix)) {
+            this.files.delete(filePath);
+            renamed.push(newPath + filePath.slice(oldPath.length));
+          }
+        });
+        this.forgetHandles(oldPath);
+        renamed.forEach((filePath) => {
+          if (!this.isIgnored(filePath, false)) {
+            this.files.set(filePath, this.createEntry(filePath));
+          }
+        });
+        this.commitChange();
+      }
+      forgetHandles(path) {
+        const prefix = `${path}/`;
+        [...this.handles.keys()].forEach((filePath) => {
+          if (filePath === path || filePath.startsWith(prefix)) {
+            this.handles.delete(filePath);
+          }
+        });
+      }
+      commitChange() {
+        if (this.building) {
+          this.scheduleRebuild();
+          return;
+        }
+        this.saveCache();
+      }
+      async findCacheIndex(cache3, rootHandle) {
+        for (let i = 0; i < cache3.length; i++) {
+          try {
+            if (await cache3[i].rootHandle.isSameEntry(rootHandle)) return i;
+          } catch (err) {
+          }
+        }
+        return -1;
+      }
+      async loadCache(rootHandle) {
+        const cache3 = await fileSystem.getPersistedValue(CACHE_KEY) || [];
+        const idx = await this.findCacheIndex(cache3, rootHandle);
+        return idx === -1 ? null : cache3[idx].paths;
+      }
+      async saveCache() {
+        const rootHandle = this.rootHandle;
+        if (!rootHandle) return;
+        const cache3 = await fileSystem.getPersistedValue(CACHE_KEY) || [];
+        const idx = await this.findCacheIndex(cache3, rootHandle);
+        if (idx !== -1) {
+          cache3.splice(idx, 1);
+        }
+        cache3.unshift({ rootHandle, paths: [...this.files.keys()], timestamp: Date.now() });
+        await fileSystem.persistValue(CACHE_KEY, cache3.slice(0, MAX_CACHED_ROOTS));
+      }
+    };
+    fileIndex = new FileIndex();
+  }
+});
+
+// editor/gitignore.js
+function escapeRegexChar(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+function compileCharacterClass(pattern, start) {
+  let i = start + 1;
+  let body = "";
+  if (pattern[i] === "!" || pattern[i] === "^") {
+    body += "^";
+    i += 1;
+  }
+  if (pattern[i] === "]") {
+    body += "\\]";
+    i += 1;
+  }
+  while (i < pattern.length && pattern[i] !== "]") {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      body += escapeRegexChar(pattern[i + 1]);
+      i += 2;
+      continue;
+    }
+    body += char === "[" || char === "\\" ? `\\${char}` : char;
+    i += 1;
+  }
+  if (i >= pattern.length) return null;
+  return { source: `[${body}]`, end: i };
+}
+function globToRegexSource(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "\\") {
+      if (i + 1 < glob.length) {
+        source += escapeRegexChar(glob[i + 1]);
+        i += 1;
+      }
+      continue;
+    }
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        const atSegmentStart = i === 0 || glob[i - 1] === "/";
+        const next = glob[i + 2];
+        if (atSegmentStart && next === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+          continue;
+        }
+        if (atSegmentStart && next === void 0) {
+          source += ".*";
+          i += 1;
+          continue;
+        }
+      }
+      source += "[^/]*";
+      continue;
+    }
+    if (char === "?") {
+      source += "[^/]";
+      continue;
+    }
+    if (char === "[") {
+      const charClass = compileCharacterClass(glob, i);
+      if (charClass) {
+        source += charClass.source;
+        i = charClass.end;
+        continue;
+      }
+    }
+    source += escapeRegexChar(char);
+  }
+  return source;
+}
+function compileIgnorePattern(line) {
+  let pattern = line.replace(/\r$/, "");
+  pattern = pattern.replace(/(?<!\\)\s+$/, "");
+  if (!pattern || pattern.startsWith("#")) return null;
+  let negated = false;
+  if (pattern.startsWith("!")) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith("\\!") || pattern.startsWith("\\#")) {
+    pattern = pattern.slice(1);
+  }
+  const directoryOnly = pattern.endsWith("/") && !pattern.endsWith("\\/");
+  if (directoryOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+  if (!pattern) return null;
+  const anchored = pattern.includes("/");
+  if (pattern.startsWith("/")) {
+    pattern = pattern.slice(1);
+  }
+  const body = globToRegexSource(pattern);
+  const source = anchored ? `^${body}$` : `^(?:.*/)?${body}$`;
+  try {
+    return { regex: new RegExp(source), negated, directoryOnly };
+  } catch (err) {
+    return null;
+  }
+}
+function parseIgnoreFile(content2) {
+  return content2.split("\n").map((line) => compileIgnorePattern(line)).filter(Boolean);
+}
+function compileExcludes(patterns) {
+  return [...parseIgnoreFile(patterns.join("\n")), ...ALWAYS_EXCLUDED];
+}
+function normalizePath(path) {
+  return path.replace(/^\.?\//, "").replace(/\/+$/, "");
+}
+var DEFAULT_FILES_EXCLUDE, ALWAYS_EXCLUDED, IgnoreRules;
+var init_gitignore = __esm({
+  "editor/gitignore.js"() {
+    DEFAULT_FILES_EXCLUDE = [
+      "**/.git",
+      "**/.svn",
+      "**/.hg",
+      "**/CVS",
+      "**/.DS_Store",
+      "**/Thumbs.db"
+    ];
+    ALWAYS_EXCLUDED = parseIgnoreFile("**/.git");
+    IgnoreRules = class {
+      constructor() {
+        this.scopes = /* @__PURE__ */ new Map();
+        this.excludeRules = compileExcludes(DEFAULT_FILES_EXCLUDE);
+        this.excludedDirectories = /* @__PURE__ */ new Map();
+        this.ignoredDirectories = /* @__PURE__ */ new Map();
+      }
+      setExcludes(patterns = DEFAULT_FILES_EXCLUDE) {
+        this.excludeRules = compileExcludes(patterns);
+        this.excludedDirectories.clear();
+      }
+      async readTextFile(directoryHandle, path) {
+        try {
+          const parts = path.split("/");
+          let current = directoryHandle;
+          for (let i = 0; i < parts.length - 1; i++) {
+            current = await current.getDirectoryHandle(parts[i]);
+          }
+          const fileHandle = await current.getFileHandle(parts[parts.length - 1]);
+          const file = await fileHandle.getFile();
+          return await file.text();
+        } catch (err) {
+          return null;
+        }
+      }
+      async load(rootHandle) {
+        this.scopes.clear();
+        this.ignoredDirectories.clear();
+        if (!rootHandle) return;
+        const exclude = await this.readTextFile(rootHandle, ".git/info/exclude");
+        const gitignore = await this.readTextFile(rootHandle, ".gitignore");
+        this.scopes.set("", [
+          ...parseIgnoreFile(exclude || ""),
+          ...parseIgnoreFile(gitignore || "")
+        ]);
+      }
+      async prepareDirectory(directoryHandle, directoryPath) {
+        if (!directoryPath || this.scopes.has(directoryPath)) return;
+        const content2 = await this.readTextFile(directoryHandle, ".gitignore");
+        this.scopes.set(directoryPath, content2 ? parseIgnoreFile(content2) : []);
+        if (content2) {
+          this.ignoredDirectories.clear();
+        }
+      }
+      matchRules(rules, relativePath, isDirectory, initial = false) {
+        let ignored = initial;
+        for (const rule of rules) {
+          if (rule.directoryOnly && !isDirectory) continue;
+          if (rule.regex.test(relativePath)) {
+            ignored = !rule.negated;
+          }
+        }
+        return ignored;
+      }
+      matchScopes(path, isDirectory) {
+        let ignored = false;
+        const parts = path.split("/");
+        for (let depth = 0; depth < parts.length; depth++) {
+          const rules = this.scopes.get(parts.slice(0, depth).join("/"));
+          if (!rules || !rules.length) continue;
+          ignored = this.matchRules(rules, parts.slice(depth).join("/"), isDirectory, ignored);
+        }
+        return ignored;
+      }
+      checkPath(path, isDirectory, matcher, directoryCache) {
+        const parts = normalizePath(path).split("/");
+        for (let i = 1; i < parts.length; i++) {
+          const directory = parts.slice(0, i).join("/");
+          if (!directoryCache.has(directory)) {
+            directoryCache.set(directory, matcher(directory, true));
+          }
+          if (directoryCache.get(directory)) return true;
+        }
+        return matcher(parts.join("/"), isDirectory);
+      }
+      isExcluded(path, isDirectory = false) {
+        return this.checkPath(
+          path,
+          isDirectory,
+          (target, isDir) => this.matchRules(this.excludeRules, target, isDir),
+          this.excludedDirectories
+        );
+      }
+      isGitignored(path, isDirectory = false) {
+        return this.checkPath(
+          path,
+          isDirectory,
+          (target, isDir) => this.matchScopes(target, isDir),
+          this.ignoredDirectories
+        );
+      }
+      isIgnored(path, isDirectory = false) {
+        return this.isExcluded(path, isDirectory) || this.isGitignored(path, isDirectory);
+      }
+    };
+  }
+});
+
+// editor/dialog.js
+var Dialog, dialog;
+var init_dialog = __esm({
+  "editor/dialog.js"() {
+    Dialog = class {
+      constructor() {
+        this.overlay = null;
+        this.pending = null;
+      }
+      init() {
+        this.overlay = document.getElementById("dialogOverlay");
+        if (!this.overlay) return;
+        this.overlay.addEventListener("click", (e) => {
+          if (e.target === this.overlay) {
+            this.close(this.pending?.cancelValue);
+          }
+        });
+        this.overlay.addEventListener("keydown", (e) => {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close(this.pending?.cancelValue);
+          }
+        });
+      }
+      show({ title, message = "", detail = [], body = null, buttons = [], cancelValue = "cancel" }) {
+        if (!this.overlay) {
+          return Promise.resolve(cancelValue);
+        }
+        if (this.pending) {
+          this.close(this.pending.cancelValue);
+        }
+        document.getElementById("dialogTitle").textContent = title;
+        document.getElementById("dialogMessage").textContent = message;
+        const detailEl = document.getElementById("dialogDetail");
+        detailEl.innerHTML = "";
+        detail.forEach((line) => {
+          const item = document.createElement("li");
+          item.textContent = line;
+          detailEl.appendChild(item);
+        });
+        const bodyEl = document.getElementById("dialogBody");
+        bodyEl.innerHTML = "";
+        if (body) {
+          bodyEl.appendChild(body);
+        }
+        this.overlay.querySelector(".dialog")?.classList.toggle("dialog-wide", Boolean(body));
+        const buttonsEl = document.getElementById("dialogButtons");
+        buttonsEl.innerHTML = "";
+        let primaryButton = null;
+        buttons.forEach((def) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = def.primary ? "btn-confirm" : "btn-cancel";
+          button.textContent = def.label;
+          button.addEventListener("click", () => this.close(def.value));
+          buttonsEl.appendChild(button);
+          if (def.primary) primaryButton = button;
+        });
+        this.overlay.classList.remove("hidden");
+        (primaryButton || buttonsEl.lastElementChild)?.focus();
+        return new Promise((resolve) => {
+          this.pending = { resolve, cancelValue };
+        });
+      }
+      close(value) {
+        if (!this.pending) return;
+        const { resolve } = this.pending;
+        this.pending = null;
+        this.overlay.classList.add("hidden");
+        resolve(value);
+      }
+      confirmUnsavedChanges(tabs) {
+        const title = tabs.length === 1 ? `Do you want to save the changes you made to ${tabs[0].name}?` : `Do you want to save the changes to the following ${tabs.length} files?`;
+        return this.show({
+          title,
+          message: "Your changes will be lost if you don't save them.",
+          detail: tabs.length === 1 ? [] : tabs.map((tab2) => tab2.path),
+          buttons: [
+            { label: "Don't Save", value: "discard" },
+            { label: "Cancel", value: "cancel" },
+            { label: tabs.length === 1 ? "Save" : "Save All", value: "save", primary: true }
+          ]
+        });
+      }
+    };
+    dialog = new Dialog();
+  }
+});
+
+// editor/fileTree.js
+function parentPathOf(path) {
+  return path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+}
+function joinPath(parentPath, name2) {
+  return parentPath ? `${parentPath}/${name2}` : name2;
+}
+var PROGRESS_MIN_FILES, GIT_STATUS_CLASSES, FileTree, fileTree;
+var init_fileTree = __esm({
+  "editor/fileTree.js"() {
+    init_fileSystem();
+    init_fileIndex();
+    init_gitignore();
+    init_dialog();
+    PROGRESS_MIN_FILES = 20;
+    GIT_STATUS_CLASSES = ["git-modified", "git-added", "git-untracked", "git-changed"];
+    FileTree = class {
+      constructor() {
+        this.entries = [];
+        this.renderCallback = null;
+        this.selectedHandle = null;
+        this.contextMenuTarget = null;
+        this.ignoreRules = new IgnoreRules();
+        this.beforeFolderChange = null;
+        this.onFolderChange = null;
+        this.onEntryMoved = null;
+        this.beforeEntryReplaced = null;
+        this.onEntryReplaced = null;
+        this.folderItems = /* @__PURE__ */ new Map();
+        this.dragEntry = null;
+        this.dropTargetElement = null;
+        this.showIgnored = true;
+        this.showDotFiles = true;
+        this.gitStatuses = /* @__PURE__ */ new Map();
+        this.gitFolders = /* @__PURE__ */ new Set();
+      }
+      async loadIgnoreRules(rootHandle) {
+        await this.ignoreRules.load(rootHandle);
+      }
+      async reloadIgnoreRules() {
+        const rootHandle = fileSystem.getRootHandle();
+        if (!rootHandle) return;
+        await this.loadIgnoreRules(rootHandle);
+        fileIndex.scheduleRebuild();
+        await this.refresh({ preserveExpanded: true });
+      }
+      matchesGitignore(filePath, isDirectory = false) {
+        return this.ignoreRules.isIgnored(filePath, isDirectory);
+      }
+      setFilesExclude(patterns) {
+        this.ignoreRules.setExcludes(patterns);
+      }
+      setVisibility({ showIgnored = this.showIgnored, showDotFiles = this.showDotFiles } = {}) {
+        this.showIgnored = showIgnored;
+        this.showDotFiles = showDotFiles;
+      }
+      getVisibleEntries(entries2) {
+        return entries2.filter((entry) => {
+          const isDirectory = entry.kind === "directory";
+          if (this.ignoreRules.isExcluded(entry.path, isDirectory)) return false;
+          if (!this.showDotFiles && entry.name.startsWith(".")) return false;
+          entry.ignored = this.ignoreRules.isGitignored(entry.path, isDirectory);
+          return this.showIgnored || !entry.ignored;
+        });
+      }
+      async init(renderCallback, {
+        beforeFolderChange = null,
+        onFolderChange = null,
+        onEntryMoved = null,
+        beforeEntryReplaced = null,
+        onEntryReplaced = null
+      } = {}) {
+        this.renderCallback = renderCallback;
+        fileIndex.setIgnoreRules(this.ignoreRules);
+        this.beforeFolderChange = beforeFolderChange;
+        this.onFolderChange = onFolderChange;
+        this.onEntryMoved = onEntryMoved;
+        this.beforeEntryReplaced = beforeEntryReplaced;
+        this.onEntryReplaced = onEntryReplaced;
+        this.initContextMenu();
+        this.initDragAndDrop();
+      }
+      async openFolder() {
+        if (this.beforeFolderChange && !await this.beforeFolderChange()) {
+          return null;
+        }
+        const handle = await fileSystem.openDirectory();
+        if (handle) {
+          await this.loadIgnoreRules(handle);
+          await fileIndex.setRoot(handle);
+          await this.refresh();
+          await fileSystem.clearSession();
+          if (this.onFolderChange) {
+            await this.onFolderChange(handle);
+          }
+        }
+        return handle;
+      }
+      async restoreLastFolder() {
+        const handle = await fileSystem.loadLastOpenedFolder();
+        if (handle) {
+          await this.loadIgnoreRules(handle);
+          await fileIndex.setRoot(handle);
+          await this.refresh();
+        }
+        return handle;
+      }
+      async refresh({ preserveExpanded = false } = {}) {
+        const container = document.getElementById("fileTree");
+        const expandedPaths = preserveExpanded ? [...container.querySelectorAll(".tree-folder.expanded")].map((el) => el.dataset.path) : [];
+        this.folderItems.clear();
+        const rootHandle = fileSystem.getRootHandle();
+        if (!rootHandle) {
+          this.renderCallback([], container);
+          return;
+        }
+        const entries2 = this.getVisibleEntries(await fileSystem.readDirectoryLevel(rootHandle, ""));
+        this.entries = entries2;
+        this.renderCallback(entries2, container);
+        for (const path of expandedPaths) {
+          const folder = this.folderItems.get(path);
+          if (folder) {
+            await this.toggleFolder(folder.element, folder.entry, folder.currentFileHandle, folder.onFileClick);
+          }
+        }
+      }
+      // status do Git por caminho; pastas com alterações dentro também ficam marcadas
+      setGitStatuses(statuses) {
+        this.gitStatuses = statuses;
+        this.gitFolders = /* @__PURE__ */ new Set();
+        statuses.forEach((status, path) => {
+          if (status === "deleted") return;
+          let parent = parentPathOf(path);
+          while (parent && !this.gitFolders.has(parent)) {
+            this.gitFolders.add(parent);
+            parent = parentPathOf(parent);
+          }
+        });
+        document.querySelectorAll("#fileTree [data-path]").forEach((item) => this.applyGitStatus(item));
+      }
+      applyGitStatus(item) {
+        const { path } = item.dataset;
+        const status = item.classList.contains("tree-folder") ? this.gitFolders.has(path) ? "changed" : null : this.gitStatuses.get(path);
+        item.classList.remove(...GIT_STATUS_CLASSES);
+        if (status && status !== "deleted") {
+          item.classList.add(`git-${status}`);
+        }
+      }
+      createTreeItem(entry, currentFileHandle, onFileClick) {
+        const item = document.createElement("div");
+        item.className = entry.kind === "directory" ? "tree-folder" : "tree-file";
+        if (entry.ignored) {
+          item.classList.add("ignored");
+        }
+        item.dataset.handleId = entry.handle.name;
+        item.dataset.path = entry.path;
+        this.applyGitStatus(item);
+        const itemContent = document.createElement("div");
+        itemContent.className = "tree-item";
+        const icon = document.createElement("span");
+        icon.className = "icon";
+        icon.textContent = entry.kind === "directory" ? "\u{1F4C1}" : this.getFileIcon(entry.name);
+        const name2 = document.createElement("span");
+        name2.className = "name";
+        name2.textContent = entry.name;
+        itemContent.appendChild(icon);
+        itemContent.appendChild(name2);
+        item.appendChild(itemContent);
+        itemContent.draggable = true;
+        itemContent.addEventListener("dragstart", (e) => {
+          this.dragEntry = entry;
+          e.dataTransfer.effectAllowed = "copyMove";
+          e.dataTransfer.setData("text/plain", entry.path);
+        });
+        if (entry.kind === "file") {
+          itemContent.addEventListener("click", async () => {
+            if (currentFileHandle?.name === entry.handle.name) {
+              return;
+            }
+            this.selectItem(itemContent);
+            if (onFileClick) {
+              await onFileClick(entry.handle, entry.path, null, { preview: true });
+            }
+          });
+          itemContent.addEventListener("dblclick", async () => {
+            if (onFileClick) {
+              await onFileClick(entry.handle, entry.path, null, { preview: false });
+            }
+          });
+          itemContent.addEventListener("contextmenu", (e) => {
+            e.preventDefault();
+            this.showContextMenu(e, entry);
+          });
+        }
+        if (entry.kind === "directory") {
+          itemContent.addEventListener("click", async () => {
+            await this.toggleFolder(item, entry, currentFileHandle, onFileClick);
+          });
+          const childrenContainer = document.createElement("div");
+          childrenContainer.className = "tree-children";
+          childrenContainer.style.display = "none";
+          item.appendChild(childrenContainer);
+          this.folderItems.set(entry.path, { element: item, entry, currentFileHandle, onFileClick });
+        }
+        return item;
+      }
+      getFileIcon(fileName) {
+        const ext = fileName.split(".").pop().toLowerCase();
+        const icons = {
+          js: "\u{1F4DC}",
+          jsx: "\u269B\uFE0F",
+          ts: "\u{1F4D8}",
+          tsx: "\u269B\uFE0F",
+          html: "\u{1F310}",
+          htm: "\u{1F310}",
+          css: "\u{1F3A8}",
+          scss: "\u{1F3A8}",
+          less: "\u{1F3A8}",
+          py: "\u{1F40D}",
+          json: "\u{1F4CB}",
+          md: "\u{1F4DD}",
+          mdx: "\u{1F4DD}",
+          sql: "\u{1F5C3}\uFE0F",
+          txt: "\u{1F4C4}",
+          gitignore: "",
+          env: "\u{1F510}"
+        };
+        return icons[ext] || "\u{1F4C4}";
+      }
+      async toggleFolder(folderElement, entry, currentFileHandle, onFileClick) {
+        const children = folderElement.querySelector(".tree-children");
+        if (!children) return;
+        const isExpanded = folderElement.classList.contains("expanded");
+        if (isExpanded) {
+          children.style.display = "none";
+          folderElement.classList.remove("expanded");
+          return;
+        }
+        if (!entry.childrenLoaded) {
+          children.innerHTML = "";
+          await this.ignoreRules.prepareDirectory(entry.handle, entry.path);
+          const childEntries = this.getVisibleEntries(await fileSystem.readDirectoryLevel(entry.handle, entry.path));
+          entry.children = childEntries;
+          entry.childrenLoaded = true;
+          childEntries.forEach((child) => {
+            const childItem = this.createTreeItem(child, currentFileHandle, onFileClick);
+            children.appendChild(childItem);
+          });
+        }
+        children.style.display = "block";
+        folderElement.classList.add("expanded");
+      }
+      selectItem(itemElement) {
+        document.querySelectorAll(".tree-item.selected").forEach((el) => {
+          el.classList.remove("selected");
+        });
+        itemElement.classList.add("selected");
+      }
+      initContextMenu() {
+        const contextMenu = document.getElementById("contextMenu");
+        document.addEventListener("click", () => {
+          contextMenu.classList.add("hidden");
+        });
+        contextMenu.querySelectorAll("li").forEach((item) => {
+          item.addEventListener("click", async () => {
+            const action = item.dataset.action;
+            await this.handleContextMenuAction(action);
+            contextMenu.classList.add("hidden");
+          });
+        });
+      }
+      showContextMenu(event, entry) {
+        const contextMenu = document.getElementById("contextMenu");
+        this.contextMenuTarget = entry;
+        document.getElementById("tabContextMenu")?.classList.add("hidden");
+        contextMenu.style.left = `${event.pageX}px`;
+        contextMenu.style.top = `${event.pageY}px`;
+        contextMenu.classList.remove("hidden");
+      }
+      async handleContextMenuAction(action) {
+        if (!this.contextMenuTarget) return;
+        switch (action) {
+          case "rename":
+            await this.renameEntry(this.contextMenuTarget);
+            break;
+          case "delete":
+            await this.deleteEntry(this.contextMenuTarget);
+            break;
+        }
+      }
+      async renameEntry(entry) {
+        const newName = prompt("Enter new name:", entry.name);
+        if (newName && newName !== entry.name) {
+          let renamed;
+          try {
+            renamed = await fileSystem.renameEntry(entry.handle, newName, entry.parentHandle, {
+              onProgress: this.createProgressReporter(`Renaming ${entry.name}`)
+            });
+          } finally {
+            this.clearProgress();
+          }
+          const newPath = joinPath(parentPathOf(entry.path), newName);
+          if (!renamed.ok) {
+            await this.showTransferError("rename", [entry.name]);
+          } else if (renamed.leftover) {
+            fileIndex.scheduleRebuild();
+            await this.showLeftoverWarning(entry, newPath);
+          } else {
+            fileIndex.renamePath(entry.path, newPath);
+            await this.onEntryMoved?.(entry.path, newPath);
+          }
+          await this.refresh({ preserveExpanded: true });
+        }
+      }
+      initDragAndDrop() {
+        const container = document.getElementById("fileTree");
+        if (!container) return;
+        container.addEventListener("dragover", (e) => this.handleDragOver(e));
+        container.addEventListener("dragleave", (e) => {
+          if (!container.contains(e.relatedTarget)) {
+            this.setDropTarget(null);
+          }
+        });
+        container.addEventListener("drop", (e) => this.handleDrop(e));
+        container.addEventListener("dragend", () => {
+          this.dragEntry = null;
+          this.setDropTarget(null);
+        });
+      }
+      getDropTarget(element) {
+        const rootHandle = fileSystem.getRootHandle();
+        if (!rootHandle) return null;
+        const item = element.closest?.(".tree-folder, .tree-file");
+        const path = !item ? "" : item.classList.contains("tree-folder") ? item.dataset.path : parentPathOf(item.dataset.path);
+        if (!path) {
+          return { path: "", handle: rootHandle, element: document.getElementById("fileTree") };
+        }
+        const folder = this.folderItems.get(path);
+        return folder ? { path, handle: folder.entry.handle, element: folder.element } : null;
+      }
+      canDropEntry(entry, target) {
+        if (entry.kind !== "directory") return true;
+        return target.path !== entry.path && !target.path.startsWith(`${entry.path}/`);
+      }
+      isCopyDrag(event) {
+        return event.altKey || event.ctrlKey;
+      }
+      setDropTarget(element) {
+        if (this.dropTargetElement === element) return;
+        this.dropTargetElement?.classList.remove("drop-target");
+        this.dropTargetElement = element;
+        element?.classList.add("drop-target");
+      }
+      handleDragOver(e) {
+        const external = !this.dragEntry && e.dataTransfer.types.includes("Files");
+        if (!this.dragEntry && !external) return;
+        const target = this.getDropTarget(e.target);
+        if (!target || this.dragEntry && !this.canDropEntry(this.dragEntry, target)) {
+          e.dataTransfer.dropEffect = "none";
+          this.setDropTarget(null);
+          return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = external || this.isCopyDrag(e) ? "copy" : "move";
+        this.setDropTarget(target.element);
+      }
+      async handleDrop(e) {
+        const target = this.getDropTarget(e.target);
+        const entry = this.dragEntry;
+        this.dragEntry = null;
+        this.setDropTarget(null);
+        if (!target) return;
+        e.preventDefault();
+        if (entry) {
+          if (this.canDropEntry(entry, target)) {
+            await this.transferEntry(entry, target, { copy: this.isCopyDrag(e) });
+          }
+          return;
+        }
+        const items = [...e.dataTransfer.items].filter((item) => item.kind === "file");
+        const pendingHandles = items.map((item) => typeof item.getAsFileSystemHandle === "function" ? item.getAsFileSystemHandle() : Promise.resolve(null));
+        const files = [...e.dataTransfer.files];
+        await this.importDroppedItems(pendingHandles, files, target);
+      }
+      async getAvailableName(directoryHandle, name2) {
+        if (!await fileSystem.findChild(directoryHandle, name2)) return name2;
+        const dot3 = name2.lastIndexOf(".");
+        const base2 = dot3 > 0 ? name2.slice(0, dot3) : name2;
+        const ext = dot3 > 0 ? name2.slice(dot3) : "";
+        for (let i = 1; ; i++) {
+          const candidate = `${base2} copy${i > 1 ? ` ${i}` : ""}${ext}`;
+          if (!await fileSystem.findChild(directoryHandle, candidate)) return candidate;
+        }
+      }
+      // devolve a entrada que será substituída, null se o nome está livre ou false se o usuário cancelou
+      async confirmReplace(name2, target) {
+        const existing = await fileSystem.findChild(target.handle, name2);
+        if (!existing) return null;
+        const choice = await dialog.show({
+          title: `"${name2}" already exists in ${target.path || target.handle.name}.`,
+          message: "Do you want to replace it?",
+          buttons: [
+            { label: "Cancel", value: "cancel" },
+            { label: "Replace", value: "replace", primary: true }
+          ]
+        });
+        if (choice !== "replace") return false;
+        if (this.beforeEntryReplaced && !await this.beforeEntryReplaced(joinPath(target.path, name2))) return false;
+        return existing;
+      }
+      async transferEntry(entry, target, { copy = false } = {}) {
+        const sameFolder = parentPathOf(entry.path) === target.path;
+        if (sameFolder && !copy) return;
+        let name2 = entry.name;
+        let existing = null;
+        if (sameFolder) {
+          name2 = await this.getAvailableName(target.handle, entry.name);
+        } else {
+          existing = await this.confirmReplace(name2, target);
+          if (existing === false) return;
+        }
+        const newPath = joinPath(target.path, name2);
+        const onProgress = this.createProgressReporter(`${copy ? "Copying" : "Moving"} ${entry.name}`);
+        let result;
+        try {
+          if (existing) {
+            result = await this.replaceEntry(entry, target, existing, { copy, onProgress });
+          } else if (copy) {
+            const copied = await fileSystem.copyEntry(entry.handle, target.handle, name2, { onProgress });
+            result = { ok: Boolean(copied), leftover: false };
+          } else {
+            result = await fileSystem.moveEntry(entry.handle, entry.parentHandle, target.handle, { onProgress });
+          }
+        } finally {
+          this.clearProgress();
+        }
+        if (existing && result.ok) {
+          fileIndex.removePath(newPath);
+          await this.onEntryReplaced?.(newPath);
+        }
+        if (!result.ok) {
+          if (!result.reported) {
+            await this.showTransferError(copy ? "copy" : "move", [entry.name]);
+          }
+        } else if (copy || result.leftover) {
+          fileIndex.scheduleRebuild();
+          if (result.leftover) {
+            await this.showLeftoverWarning(entry, newPath);
+          }
+        } else {
+          fileIndex.renamePath(entry.path, newPath);
+          await this.onEntryMoved?.(entry.path, newPath);
+        }
+        await this.refresh({ preserveExpanded: true });
+      }
+      // o destino só é apagado depois que a cópia com um nome temporário terminou; se algo falhar
+      // antes disso, o arquivo ou a pasta existente continua intacto
+      async replaceEntry(entry, target, existing, { copy, onProgress }) {
+        const stagingName = await this.getAvailableName(target.handle, `${entry.name}.replacing`);
+        const staged = await fileSystem.copyEntry(entry.handle, target.handle, stagingName, { onProgress });
+        if (!staged) return { ok: false };
+        if (!await fileSystem.deleteEntry(existing, target.handle)) {
+          await fileSystem.removeQuietly(target.handle, stagingName);
+          return { ok: false };
+        }
+        const renamed = await fileSystem.renameEntry(staged, entry.name, target.handle);
+        if (!renamed.ok) {
+          await dialog.show({
+            title: `Could not finish replacing "${entry.name}".`,
+            message: `The new version was kept as "${stagingName}" in ${target.path || target.handle.name}.`,
+            buttons: [{ label: "OK", value: "ok", primary: true }]
+          });
+          fileIndex.scheduleRebuild();
+          return { ok: false, reported: true };
+        }
+        if (renamed.leftover) {
+          await fileSystem.removeQuietly(target.handle, stagingName);
+        }
+        const leftover = !copy && !await fileSystem.deleteEntry(entry.handle, entry.parentHandle);
+        return { ok: true, leftover };
+      }
+      createProgressReporter(label) {
+        return ({ copied, total }) => {
+          const statusEl = document.getElementById("fileOperationStatus");
+          if (!statusEl || total < PROGRESS_MIN_FILES) return;
+          statusEl.textContent = `${label}\u2026 ${copied}/${total} files`;
+          statusEl.classList.remove("hidden");
+        };
+      }
+      clearProgress() {
+        const statusEl = document.getElementById("fileOperationStatus");
+        if (!statusEl) return;
+        statusEl.textContent = "";
+        statusEl.classList.add("hidden");
+      }
+      async showLeftoverWarning(entry, newPath) {
+        await dialog.show({
+          title: `"${entry.name}" was copied to "${newPath}", but the original could not be removed.`,
+          message: "Both copies now exist. Delete the original manually if you no longer need it.",
+          buttons: [{ label: "OK", value: "ok", primary: true }]
+        });
+      }
+      async showTransferError(verb, names) {
+        const quoted = names.map((name2) => `"${name2}"`).join(", ");
+        await dialog.show({
+          title: names.length === 1 ? `Could not ${verb} ${quoted}.` : `Could not ${verb} ${names.length} items: ${quoted}.`,
+          message: "See the console for details.",
+          buttons: [{ label: "OK", value: "ok", primary: true }]
+        });
+      }
+      async importDroppedItems(pendingHandles, files, target) {
+        const handles = (await Promise.all(pendingHandles.map((pending) => pending.catch(() => null)))).filter(Boolean);
+        const failed = [];
+        if (handles.length) {
+          for (const handle of handles) {
+            const onProgress = this.createProgressReporter(`Importing ${handle.name}`);
+            try {
+              const name2 = await this.getAvailableName(target.handle, handle.name);
+              if (!await fileSystem.copyEntry(handle, target.handle, name2, { onProgress })) {
+                failed.push(handle.name);
+              }
+            } catch (err) {
+              console.error(`Error importing ${handle.name}:`, err);
+              failed.push(handle.name);
+            } finally {
+              this.clearProgress();
+            }
+          }
+        } else {
+          for (const file of files) {
+            let name2 = null;
+            try {
+              name2 = await this.getAvailableName(target.handle, file.name);
+              await fileSystem.importFile(target.handle, file, name2);
+            } catch (err) {
+              console.error(`Error importing ${file.name}:`, err);
+              failed.push(file.name);
+              if (name2) {
+                await fileSystem.removeQuietly(target.handle, name2);
+              }
+            }
+          }
+        }
+        fileIndex.scheduleRebuild();
+        await this.refresh({ preserveExpanded: true });
+        if (failed.length) {
+          await this.showTransferError("import", failed);
+        }
+      }
+      async deleteEntry(entry) {
+        const confirmed = confirm(`Are you sure you want to delete "${entry.name}"?`);
+        if (confirmed) {
+          const deleted = await fileSystem.deleteEntry(entry.handle, entry.parentHandle);
+          if (deleted) {
+            fileIndex.removePath(entry.path);
+          }
+          await this.refresh({ preserveExpanded: true });
+        }
+      }
+      async createNewFile() {
+        const rootHandle = fileSystem.getRootHandle();
+        if (!rootHandle) {
+          await this.openFolder();
+          return;
+        }
+        const fileName = prompt("Enter file name:");
+        if (fileName) {
+          const fileHandle = await fileSystem.createFile(rootHandle, fileName);
+          if (fileHandle) {
+            fileIndex.addFile(fileName, fileHandle);
+          }
+          await this.refresh({ preserveExpanded: true });
+        }
+      }
+      async createNewFolder() {
+        const rootHandle = fileSystem.getRootHandle();
+        if (!rootHandle) {
+          await this.openFolder();
+          return;
+        }
+        const dirName = prompt("Enter folder name:");
+        if (dirName) {
+          await fileSystem.createDirectory(rootHandle, dirName);
+          fileIndex.scheduleRebuild();
+          await this.refresh({ preserveExpanded: true });
+        }
+      }
+      async getAllFiles() {
+        return fileIndex.getFiles();
+      }
+    };
+    fileTree = new FileTree();
+  }
+});
+
+// editor/fuzzy.js
+function charBonus(target, index) {
+  if (index === 0) return 8;
+  const prev = target[index - 1];
+  const current = target[index];
+  if (SEPARATORS.has(prev)) return prev === "/" || prev === "\\" ? 9 : 7;
+  if (prev === prev.toLowerCase() && current !== current.toLowerCase()) return 6;
+  return 0;
+}
+function fuzzyMatch(query, target) {
+  const n = query.length;
+  const m = target.length;
+  if (!n) return { score: 0, positions: [] };
+  if (n > m) return null;
+  const queryLower = query.toLowerCase();
+  const targetLower = target.toLowerCase();
+  let probe = 0;
+  for (let j2 = 0; j2 < m && probe < n; j2++) {
+    if (queryLower[probe] === targetLower[j2]) probe += 1;
+  }
+  if (probe < n) return null;
+  const scores = [];
+  const from = [];
+  for (let i = 0; i < n; i++) {
+    const row = new Array(m).fill(-Infinity);
+    const back = new Array(m).fill(-1);
+    let bestPrev = -Infinity;
+    let bestPrevIndex = -1;
+    for (let j2 = i; j2 < m; j2++) {
+      if (i > 0 && j2 > 0 && scores[i - 1][j2 - 1] > bestPrev) {
+        bestPrev = scores[i - 1][j2 - 1];
+        bestPrevIndex = j2 - 1;
+      }
+      if (queryLower[i] !== targetLower[j2]) continue;
+      const bonus = 1 + charBonus(target, j2) + (query[i] === target[j2] ? 1 : 0);
+      if (i === 0) {
+        row[j2] = bonus - Math.min(j2, 10) * 0.1;
+        continue;
+      }
+      const consecutive = j2 > 0 ? scores[i - 1][j2 - 1] + bonus + 5 : -Infinity;
+      const gapped = bestPrev + bonus;
+      if (consecutive >= gapped && consecutive > -Infinity) {
+        row[j2] = consecutive;
+        back[j2] = j2 - 1;
+      } else if (gapped > -Infinity) {
+        row[j2] = gapped;
+        back[j2] = bestPrevIndex;
+      }
+    }
+    scores.push(row);
+    from.push(back);
+  }
+  let end = -1;
+  let score2 = -Infinity;
+  scores[n - 1].forEach((value, j2) => {
+    if (value > score2) {
+      score2 = value;
+      end = j2;
+    }
+  });
+  if (end === -1) return null;
+  const positions = new Array(n);
+  for (let i = n - 1, j2 = end; i >= 0; i--) {
+    positions[i] = j2;
+    j2 = from[i][j2];
+  }
+  return { score: score2, positions };
+}
+var SEPARATORS;
+var init_fuzzy = __esm({
+  "editor/fuzzy.js"() {
+    SEPARATORS = /* @__PURE__ */ new Set(["/", "\\", "_", "-", ".", " ", ":"]);
+  }
+});
+
+// editor/commands.js
+var IS_MAC, MAX_RECENT, KEY_LABELS, CommandRegistry, commands;
+var init_commands = __esm({
+  "editor/commands.js"() {
+    init_fuzzy();
+    IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+    MAX_RECENT = 12;
+    KEY_LABELS = {
+      ArrowUp: "\u2191",
+      ArrowDown: "\u2193",
+      ArrowLeft: "\u2190",
+      ArrowRight: "\u2192",
+      Escape: "Esc",
+      PageUp: "PgUp",
+      PageDown: "PgDn"
+    };
+    CommandRegistry = class {
+      constructor() {
+        this.commands = /* @__PURE__ */ new Map();
+        this.recent = [];
+      }
+      async init() {
+        return new Promise((resolve) => {
+          chrome.storage.local.get(["recentCommands"], (result) => {
+            this.recent = Array.isArray(result.recentCommands) ? result.recentCommands : [];
+            resolve();
+          });
+        });
+      }
+      register(command3) {
+        this.commands.set(command3.id, {
+          category: "",
+          icon: "\u26A1",
+          keybinding: null,
+          menu: null,
+          when: null,
+          checked: null,
+          ...command3
+        });
+      }
+      get(id2) {
+        return this.commands.get(id2) || null;
+      }
+      getAll() {
+        return [...this.commands.values()];
+      }
+      getMenu(menuName) {
+        return this.getAll().filter((command3) => command3.menu === menuName);
+      }
+      isEnabled(command3) {
+        return !command3.when || Boolean(command3.when());
+      }
+      isChecked(command3) {
+        return Boolean(command3.checked && command3.checked());
+      }
+      getLabel(command3) {
+        return command3.category ? `${command3.category}: ${command3.title}` : command3.title;
+      }
+      async execute(id2) {
+        const command3 = this.get(id2);
+        if (!command3 || !this.isEnabled(command3)) return false;
+        this.recent = [id2, ...this.recent.filter((item) => item !== id2)].slice(0, MAX_RECENT);
+        chrome.storage.local.set({ recentCommands: this.recent });
+        await command3.run();
+        return true;
+      }
+      search(query) {
+        const q2 = query.trim();
+        const recentRank = (id2) => {
+          const idx = this.recent.indexOf(id2);
+          return idx === -1 ? Infinity : idx;
+        };
+        const results = [];
+        this.getAll().forEach((command3) => {
+          if (!this.isEnabled(command3)) return;
+          const label = this.getLabel(command3);
+          const match = fuzzyMatch(q2, label);
+          if (!match) return;
+          const rank = recentRank(command3.id);
+          const recentBonus = rank === Infinity ? 0 : (MAX_RECENT - rank) * 2;
+          results.push({ command: command3, label, positions: match.positions, score: match.score + recentBonus, rank });
+        });
+        if (!q2) {
+          return results.sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label));
+        }
+        return results.sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+      }
+      formatKeybinding(keybinding) {
+        if (!keybinding) return "";
+        const parts = keybinding.split("-");
+        const key = parts.pop();
+        const keyLabel = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+        const modifiers2 = parts.map((part) => {
+          if (part === "Mod") return IS_MAC ? "\u2318" : "Ctrl";
+          if (part === "Shift") return IS_MAC ? "\u21E7" : "Shift";
+          if (part === "Alt") return IS_MAC ? "\u2325" : "Alt";
+          if (part === "Ctrl") return IS_MAC ? "\u2303" : "Ctrl";
+          return part;
+        });
+        return IS_MAC ? [...modifiers2, keyLabel].join("") : [...modifiers2, keyLabel].join("+");
+      }
+      matchesKeyEvent(keybinding, event) {
+        const parts = keybinding.split("-");
+        const key = parts.pop();
+        const wantsMod = parts.includes("Mod");
+        const wantsCtrl = parts.includes("Ctrl");
+        if (IS_MAC) {
+          if (wantsMod !== event.metaKey || wantsCtrl !== event.ctrlKey) return false;
+        } else if ((wantsMod || wantsCtrl) !== event.ctrlKey) {
+          return false;
+        }
+        if (parts.includes("Shift") !== event.shiftKey) return false;
+        if (parts.includes("Alt") !== event.altKey) return false;
+        if (key.length === 1) {
+          const code = /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : null;
+          return event.key.toLowerCase() === key.toLowerCase() || code !== null && event.code === code;
+        }
+        return event.key === key || key === "Space" && event.key === " ";
+      }
+      findByKeyEvent(event) {
+        return this.getAll().find((command3) => command3.keybinding && this.matchesKeyEvent(command3.keybinding, event)) || null;
+      }
+      toKeymap() {
+        return this.getAll().filter((command3) => command3.keybinding).map((command3) => ({
+          key: command3.keybinding,
+          run: () => {
+            if (!this.isEnabled(command3)) return false;
+            this.execute(command3.id);
+            return true;
+          }
+        }));
+      }
+    };
+    commands = new CommandRegistry();
+  }
+});
+
+// editor/shortcuts.js
+var Shortcuts, shortcuts;
+var init_shortcuts = __esm({
+  "editor/shortcuts.js"() {
+    init_commands();
+    Shortcuts = class {
+      constructor() {
+        this.editor = null;
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+        this.registerShortcuts();
+      }
+      registerShortcuts() {
+        document.addEventListener("keydown", (e) => {
+          if (e.defaultPrevented) return;
+          if (e.target.closest?.("input, textarea") && !e.ctrlKey && !e.metaKey) return;
+          const command3 = commands.findByKeyEvent(e);
+          if (!command3 || !commands.isEnabled(command3)) return;
+          e.preventDefault();
+          commands.execute(command3.id);
+        });
+      }
+      toggleSidebar() {
+        const sidebar = document.getElementById("sidebar");
+        if (sidebar) {
+          sidebar.classList.toggle("collapsed");
+        }
+      }
+    };
+    shortcuts = new Shortcuts();
+  }
+});
+
+// editor/diff.js
+function diffLines(oldText, newText) {
+  const a = oldText.split("\n");
+  const b = newText.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: "equal", text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+  const middle = myersDiff(a.slice(start, endA), b.slice(start, endB));
+  middle.forEach((op) => {
+    ops.push({
+      ...op,
+      oldLine: op.oldLine === null ? null : op.oldLine + start,
+      newLine: op.newLine === null ? null : op.newLine + start
+    });
+  });
+  for (let i = 0; i < a.length - endA; i++) {
+    ops.push({ type: "equal", text: a[endA + i], oldLine: endA + i + 1, newLine: endB + i + 1 });
+  }
+  return ops;
+}
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 2).fill(0);
+  const trace = [];
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k2 = -d; k2 <= d; k2 += 2) {
+      let x2;
+      if (k2 === -d || k2 !== d && v[offset + k2 - 1] < v[offset + k2 + 1]) {
+        x2 = v[offset + k2 + 1];
+      } else {
+        x2 = v[offset + k2 - 1] + 1;
+      }
+      let y2 = x2 - k2;
+      while (x2 < n && y2 < m && a[x2] === b[y2]) {
+        x2 += 1;
+        y2 += 1;
+      }
+      v[offset + k2] = x2;
+      if (x2 >= n && y2 >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+  return [
+    ...a.map((text3, i) => ({ type: "removed", text: text3, oldLine: i + 1, newLine: null })),
+    ...b.map((text3, i) => ({ type: "added", text: text3, oldLine: null, newLine: i + 1 }))
+  ];
+}
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x2 = a.length;
+  let y2 = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at2 = (k3) => trace[d][k3 + d + 1];
+    const k2 = x2 - y2;
+    const prevK = k2 === -d || k2 !== d && at2(k2 - 1) < at2(k2 + 1) ? k2 + 1 : k2 - 1;
+    const prevX = at2(prevK);
+    const prevY = prevX - prevK;
+    while (x2 > prevX && y2 > prevY) {
+      x2 -= 1;
+      y2 -= 1;
+      ops.unshift({ type: "equal", text: a[x2], oldLine: x2 + 1, newLine: y2 + 1 });
+    }
+    if (d > 0) {
+      if (x2 === prevX) {
+        y2 -= 1;
+        ops.unshift({ type: "added", text: b[y2], oldLine: null, newLine: y2 + 1 });
+      } else {
+        x2 -= 1;
+        ops.unshift({ type: "removed", text: a[x2], oldLine: x2 + 1, newLine: null });
+      }
+    }
+  }
+  return ops;
+}
+function createDiffLine(kind, lineNumber, text3) {
+  const row = document.createElement("div");
+  row.className = `diff-line diff-line-${kind}`;
+  const gutter2 = document.createElement("span");
+  gutter2.className = "diff-line-number";
+  const prefix = { removed: "-", added: "+", equal: " " }[kind] || " ";
+  gutter2.textContent = `${prefix}${lineNumber ?? ""}`;
+  const content2 = document.createElement("span");
+  content2.className = "diff-line-text";
+  content2.textContent = text3;
+  row.appendChild(gutter2);
+  row.appendChild(content2);
+  return row;
+}
+function createDiffView(ops, { context = 3 } = {}) {
+  const container = document.createElement("div");
+  container.className = "diff-view";
+  const visible = ops.map(() => false);
+  ops.forEach((op, index) => {
+    if (op.type === "equal") return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length - 1, index + context);
+    for (let i = from; i <= to; i++) {
+      visible[i] = true;
+    }
+  });
+  let skipped = 0;
+  ops.forEach((op, index) => {
+    if (!visible[index]) {
+      skipped += 1;
+      return;
+    }
+    if (skipped) {
+      container.appendChild(createDiffLine("skipped", null, `\u22EF ${skipped} unchanged line${skipped === 1 ? "" : "s"}`));
+      skipped = 0;
+    }
+    const lineNumber = op.type === "added" ? op.newLine : op.oldLine;
+    container.appendChild(createDiffLine(op.type, lineNumber, op.text));
+  });
+  if (skipped && container.childElementCount) {
+    container.appendChild(createDiffLine("skipped", null, `\u22EF ${skipped} unchanged line${skipped === 1 ? "" : "s"}`));
+  }
+  if (!container.childElementCount) {
+    container.appendChild(createDiffLine("skipped", null, "No differences."));
+  }
+  return container;
+}
+var MAX_EDIT_DISTANCE;
+var init_diff = __esm({
+  "editor/diff.js"() {
+    MAX_EDIT_DISTANCE = 2e3;
+  }
+});
+
+// editor/encoding.js
+function getWindows1252Table() {
+  if (!windows1252Table) {
+    windows1252Table = /* @__PURE__ */ new Map();
+    [...WINDOWS_1252_C1].forEach((char, i) => windows1252Table.set(char.charCodeAt(0), 128 + i));
+  }
+  return windows1252Table;
+}
+function startsWith(bytes, prefix) {
+  return prefix.every((byte, i) => bytes[i] === byte);
+}
+function detectEncoding(bytes, { partial = false } = {}) {
+  for (const [encoding, bom] of Object.entries(BOMS)) {
+    if (startsWith(bytes, bom)) return encoding;
+  }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: partial });
+    return "utf-8";
+  } catch (err) {
+    const hasC1 = bytes.some((byte) => byte >= 128 && byte <= 159);
+    return hasC1 ? "windows-1252" : "iso-8859-1";
+  }
+}
+function getBomLength(encoding) {
+  return BOMS[encoding]?.length || 0;
+}
+function createDecoder(encoding) {
+  return new TextDecoder(encoding === "utf-8-bom" ? "utf-8" : encoding, { ignoreBOM: true });
+}
+function decodeBytes(buffer, encoding = null) {
+  const bytes = new Uint8Array(buffer);
+  const used = encoding || detectEncoding(bytes);
+  const bomLength = BOMS[used] && startsWith(bytes, BOMS[used]) ? BOMS[used].length : 0;
+  const text3 = createDecoder(used).decode(bytes.subarray(bomLength));
+  return { text: text3, encoding: used };
+}
+function detectEol(text3) {
+  const crlf = (text3.match(/\r\n/g) || []).length;
+  const lf = (text3.match(/\n/g) || []).length - crlf;
+  return crlf > lf ? "CRLF" : "LF";
+}
+function normalizeEol(text3) {
+  return text3.replace(/\r\n?/g, "\n");
+}
+async function readTextFile(file) {
+  const { text: text3, encoding } = decodeBytes(await file.arrayBuffer());
+  return { text: normalizeEol(text3), encoding, eol: detectEol(text3) };
+}
+function encodeText(text3, encoding = "utf-8") {
+  if (encoding === "utf-8" || encoding === "utf-8-bom") {
+    const body = new TextEncoder().encode(text3);
+    if (encoding === "utf-8") return { bytes: body, lossy: false };
+    const bytes2 = new Uint8Array(body.length + 3);
+    bytes2.set(BOMS["utf-8-bom"]);
+    bytes2.set(body, 3);
+    return { bytes: bytes2, lossy: false };
+  }
+  if (encoding === "utf-16le" || encoding === "utf-16be") {
+    const bytes2 = new Uint8Array(2 + text3.length * 2);
+    bytes2.set(BOMS[encoding]);
+    const view = new DataView(bytes2.buffer);
+    for (let i = 0; i < text3.length; i++) {
+      view.setUint16(2 + i * 2, text3.charCodeAt(i), encoding === "utf-16le");
+    }
+    return { bytes: bytes2, lossy: false };
+  }
+  const table = encoding === "windows-1252" ? getWindows1252Table() : null;
+  const bytes = new Uint8Array(text3.length);
+  let length = 0;
+  let lossy = false;
+  for (const char of text3) {
+    const code = char.codePointAt(0);
+    let byte;
+    if (table?.has(code)) {
+      byte = table.get(code);
+    } else if (code <= 255 && !(table && code >= 128 && code <= 159)) {
+      byte = code;
+    }
+    if (byte === void 0) {
+      byte = 63;
+      lossy = true;
+    }
+    bytes[length] = byte;
+    length += 1;
+  }
+  return { bytes: bytes.subarray(0, length), lossy };
+}
+var ENCODINGS, EOLS, BOMS, WINDOWS_1252_C1, windows1252Table;
+var init_encoding = __esm({
+  "editor/encoding.js"() {
+    ENCODINGS = {
+      "utf-8": "UTF-8",
+      "utf-8-bom": "UTF-8 with BOM",
+      "utf-16le": "UTF-16 LE",
+      "utf-16be": "UTF-16 BE",
+      "windows-1252": "Windows-1252",
+      "iso-8859-1": "ISO-8859-1"
+    };
+    EOLS = {
+      LF: "\n",
+      CRLF: "\r\n"
+    };
+    BOMS = {
+      "utf-8-bom": [239, 187, 191],
+      "utf-16le": [255, 254],
+      "utf-16be": [254, 255]
+    };
+    WINDOWS_1252_C1 = "\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178";
+    windows1252Table = null;
+  }
+});
+
+// editor/search.js
+var MAX_FILE_SIZE, MAX_MATCHES, PREVIEW_LENGTH, ProjectSearch, projectSearch;
+var init_search = __esm({
+  "editor/search.js"() {
+    init_fileTree();
+    init_fileIndex();
+    init_diff();
+    init_encoding();
+    MAX_FILE_SIZE = 2 * 1024 * 1024;
+    MAX_MATCHES = 5e3;
+    PREVIEW_LENGTH = 160;
+    ProjectSearch = class {
+      constructor() {
+        this.editor = null;
+        this.results = [];
+        this.options = {
+          caseSensitive: false,
+          wholeWord: false,
+          regex: false
+        };
+        this.searchToken = 0;
+        this.debounceTimer = null;
+        this.pendingReplace = null;
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+        this.initPanel();
+        this.initReplacePreview();
+      }
+      initPanel() {
+        const queryInput = document.getElementById("searchQuery");
+        const replaceInput = document.getElementById("searchReplace");
+        const replaceAllBtn = document.getElementById("searchReplaceAllBtn");
+        const results = document.getElementById("searchResults");
+        if (!queryInput || !results) return;
+        queryInput.addEventListener("input", () => {
+          clearTimeout(this.debounceTimer);
+          this.debounceTimer = setTimeout(() => this.run(), 300);
+        });
+        queryInput.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            clearTimeout(this.debounceTimer);
+            this.run();
+          }
+        });
+        document.querySelectorAll("[data-search-option]").forEach((btn) => {
+          btn.addEventListener("click", () => {
+            const option = btn.dataset.searchOption;
+            this.options[option] = !this.options[option];
+            btn.classList.toggle("active", this.options[option]);
+            this.run();
+          });
+        });
+        replaceInput?.addEventListener("keydown", async (e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            await this.previewReplaceAll();
+          }
+        });
+        replaceAllBtn?.addEventListener("click", async () => {
+          await this.previewReplaceAll();
+        });
+        results.addEventListener("click", async (e) => {
+          const matchEl = e.target.closest("[data-match-index]");
+          if (matchEl) {
+            const fileResult = this.results[Number(matchEl.dataset.fileIndex)];
+            const match = fileResult?.matches[Number(matchEl.dataset.matchIndex)];
+            const handle = fileResult && match ? await fileIndex.resolveHandle(fileResult) : null;
+            if (handle) {
+              await this.editor.openFile(handle, fileResult.path, {
+                line: match.line,
+                column: match.column,
+                length: match.length
+              });
+            }
+            return;
+          }
+          const headerEl = e.target.closest(".search-file-header");
+          if (headerEl) {
+            headerEl.parentElement.classList.toggle("collapsed");
+          }
+        });
+      }
+      showResults(results, summary) {
+        clearTimeout(this.debounceTimer);
+        this.searchToken += 1;
+        this.results = results;
+        this.renderResults();
+        this.renderSummary(summary);
+      }
+      focus() {
+        const queryInput = document.getElementById("searchQuery");
+        if (!queryInput) return;
+        const selection2 = this.editor?.view?.state.selection.main;
+        if (selection2 && !selection2.empty) {
+          const text3 = this.editor.view.state.sliceDoc(selection2.from, selection2.to);
+          if (!text3.includes("\n")) {
+            queryInput.value = text3;
+          }
+        }
+        queryInput.focus();
+        queryInput.select();
+        if (queryInput.value) {
+          this.run();
+        }
+      }
+      buildMatcher(query, { caseSensitive, wholeWord, regex } = this.options) {
+        let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        if (wholeWord) {
+          source = `\\b(?:${source})\\b`;
+        }
+        return new RegExp(source, caseSensitive ? "g" : "gi");
+      }
+      findMatchesInLine(lineText, matcher) {
+        const matches = [];
+        matcher.lastIndex = 0;
+        let result = matcher.exec(lineText);
+        while (result) {
+          if (result[0].length === 0) {
+            matcher.lastIndex += 1;
+          } else {
+            matches.push({ index: result.index, length: result[0].length });
+          }
+          if (matcher.lastIndex > lineText.length) break;
+          result = matcher.exec(lineText);
+        }
+        return matches;
+      }
+      async readFileContent(fileEntry) {
+        const openTab = this.editor?.getTabByPath(fileEntry.path);
+        if (openTab && !openTab.viewer) {
+          return openTab.state.doc.toString();
+        }
+        const handle = await fileIndex.resolveHandle(fileEntry);
+        if (!handle) return null;
+        const file = await handle.getFile();
+        if (file.size > MAX_FILE_SIZE) return null;
+        const { text: content2 } = decodeBytes(await file.arrayBuffer());
+        if (content2.slice(0, 8e3).includes("\0")) return null;
+        return content2;
+      }
+      async searchFiles(query, options = this.options, token = this.searchToken) {
+        const matcher = this.buildMatcher(query, options);
+        const files = await fileTree.getAllFiles();
+        const results = [];
+        let total = 0;
+        for (const fileEntry of files) {
+          if (token !== this.searchToken || total >= MAX_MATCHES) break;
+          let content2;
+          try {
+            content2 = await this.readFileContent(fileEntry);
+          } catch (err) {
+            console.warn(`Cannot search ${fileEntry.path}:`, err);
+            continue;
+          }
+          if (content2 === null) continue;
+          const matches = [];
+          content2.split("\n").forEach((rawLine, lineIdx) => {
+            const lineText = rawLine.replace(/\r$/, "");
+            this.findMatchesInLine(lineText, matcher).forEach((match) => {
+              matches.push({
+                line: lineIdx + 1,
+                column: match.index + 1,
+                length: match.length,
+                preview: lineText
+              });
+            });
+          });
+          const handle = matches.length ? await fileIndex.resolveHandle(fileEntry) : null;
+          if (handle) {
+            total += matches.length;
+            results.push({ path: fileEntry.path, name: fileEntry.name, handle, matches });
+          }
+        }
+        return { results, total, truncated: total >= MAX_MATCHES };
+      }
+      async run() {
+        const queryInput = document.getElementById("searchQuery");
+        const query = queryInput?.value || "";
+        const token = ++this.searchToken;
+        if (!query) {
+          this.results = [];
+          this.renderResults();
+          this.renderSummary("");
+          return;
+        }
+        let outcome;
+        try {
+          this.renderSummary("Searching...");
+          outcome = await this.searchFiles(query, this.options, token);
+        } catch (err) {
+          if (token !== this.searchToken) return;
+          this.results = [];
+          this.renderResults();
+          this.renderSummary(err instanceof SyntaxError ? `Invalid regular expression: ${err.message}` : "Search failed.");
+          return;
+        }
+        if (token !== this.searchToken) return;
+        this.results = outcome.results;
+        this.renderResults();
+        if (!outcome.total) {
+          this.renderSummary("No results found.");
+          return;
+        }
+        const fileCount = outcome.results.length;
+        const summary = `${outcome.total} result${outcome.total === 1 ? "" : "s"} in ${fileCount} file${fileCount === 1 ? "" : "s"}`;
+        this.renderSummary(outcome.truncated ? `${summary} (truncated)` : summary);
+      }
+      renderSummary(text3) {
+        const summaryEl = document.getElementById("searchSummary");
+        if (summaryEl) {
+          summaryEl.textContent = text3;
+        }
+      }
+      renderResults() {
+        const container = document.getElementById("searchResults");
+        if (!container) return;
+        container.innerHTML = "";
+        this.results.forEach((fileResult, fileIndex2) => {
+          const group = document.createElement("div");
+          group.className = "search-file";
+          const header = document.createElement("div");
+          header.className = "search-file-header";
+          header.title = fileResult.path;
+          const name2 = document.createElement("span");
+          name2.className = "search-file-name";
+          name2.textContent = fileResult.name;
+          const dir = document.createElement("span");
+          dir.className = "search-file-dir";
+          dir.textContent = fileResult.path.includes("/") ? fileResult.path.slice(0, fileResult.path.lastIndexOf("/")) : "";
+          const count2 = document.createElement("span");
+          count2.className = "search-file-count";
+          count2.textContent = String(fileResult.matches.length);
+          header.appendChild(name2);
+          header.appendChild(dir);
+          header.appendChild(count2);
+          group.appendChild(header);
+          const list = document.createElement("div");
+          list.className = "search-matches";
+          fileResult.matches.forEach((match, matchIndex) => {
+            const item = document.createElement("div");
+            item.className = "search-match";
+            item.dataset.fileIndex = String(fileIndex2);
+            item.dataset.matchIndex = String(matchIndex);
+            item.title = `${fileResult.path}:${match.line}:${match.column}`;
+            this.appendPreview(item, match);
+            list.appendChild(item);
+          });
+          group.appendChild(list);
+          container.appendChild(group);
+        });
+      }
+      appendPreview(item, match) {
+        const start = Math.max(0, match.column - 1 - 40);
+        const before = match.preview.slice(start, match.column - 1);
+        const hit = match.preview.slice(match.column - 1, match.column - 1 + match.length);
+        const after = match.preview.slice(match.column - 1 + match.length, start + PREVIEW_LENGTH);
+        const lineNumber = document.createElement("span");
+        lineNumber.className = "search-match-line";
+        lineNumber.textContent = String(match.line);
+        const highlight = document.createElement("mark");
+        highlight.textContent = hit;
+        item.appendChild(lineNumber);
+        item.appendChild(document.createTextNode(`${start > 0 ? "\u2026" : ""}${before.trimStart()}`));
+        item.appendChild(highlight);
+        item.appendChild(document.createTextNode(after));
+      }
+      computeReplacement(content2, matcher, replacement, regex = this.options.regex) {
+        const replaceWith = regex ? replacement : replacement.replace(/\$/g, "$$$$");
+        const changes = [];
+        const lines = content2.split("\n").map((rawLine, lineIdx) => {
+          const hasCarriageReturn = rawLine.endsWith("\r");
+          const lineText = hasCarriageReturn ? rawLine.slice(0, -1) : rawLine;
+          matcher.lastIndex = 0;
+          const nextLine = lineText.replace(matcher, replaceWith);
+          if (nextLine !== lineText) {
+            changes.push({ line: lineIdx + 1, before: lineText, after: nextLine });
+          }
+          return hasCarriageReturn ? `${nextLine}\r` : nextLine;
+        });
+        return { content: lines.join("\n"), changes };
+      }
+      async previewReplaceAll() {
+        const query = document.getElementById("searchQuery")?.value || "";
+        const replacement = document.getElementById("searchReplace")?.value || "";
+        if (!query || !this.results.length) return;
+        let matcher;
+        try {
+          matcher = this.buildMatcher(query, this.options);
+        } catch (err) {
+          this.renderSummary(`Invalid regular expression: ${err.message}`);
+          return;
+        }
+        const edits = [];
+        for (const fileResult of this.results) {
+          try {
+            const original = await this.readFileContent(fileResult);
+            if (original === null) continue;
+            const { content: content2, changes } = this.computeReplacement(original, matcher, replacement);
+            if (changes.length) {
+              edits.push({ ...fileResult, content: content2, changes });
+            }
+          } catch (err) {
+            console.warn(`Cannot prepare replace for ${fileResult.path}:`, err);
+          }
+        }
+        if (!edits.length) return;
+        this.pendingReplace = edits;
+        this.renderReplacePreview(edits);
+        document.getElementById("replacePreviewOverlay")?.classList.remove("hidden");
+      }
+      initReplacePreview() {
+        const overlay = document.getElementById("replacePreviewOverlay");
+        if (!overlay) return;
+        overlay.addEventListener("click", (e) => {
+          if (e.target === overlay) {
+            this.closeReplacePreview();
+          }
+        });
+        document.getElementById("replacePreviewCancel")?.addEventListener("click", () => {
+          this.closeReplacePreview();
+        });
+        document.getElementById("replacePreviewConfirm")?.addEventListener("click", async () => {
+          const edits = this.pendingReplace || [];
+          this.closeReplacePreview();
+          await this.applyReplaceAll(edits);
+        });
+      }
+      renderReplacePreview(edits) {
+        const title = document.getElementById("replacePreviewTitle");
+        const body = document.getElementById("replacePreviewBody");
+        if (!body) return;
+        const changeCount = edits.reduce((sum, edit) => sum + edit.changes.length, 0);
+        if (title) {
+          title.textContent = `Replace ${changeCount} line${changeCount === 1 ? "" : "s"} in ${edits.length} file${edits.length === 1 ? "" : "s"}?`;
+        }
+        body.innerHTML = "";
+        edits.forEach((edit) => {
+          const fileEl = document.createElement("div");
+          fileEl.className = "diff-file";
+          const header = document.createElement("div");
+          header.className = "diff-file-header";
+          header.textContent = edit.path;
+          fileEl.appendChild(header);
+          edit.changes.forEach((change) => {
+            fileEl.appendChild(createDiffLine("removed", change.line, change.before));
+            fileEl.appendChild(createDiffLine("added", change.line, change.after));
+          });
+          body.appendChild(fileEl);
+        });
+      }
+      closeReplacePreview() {
+        this.pendingReplace = null;
+        document.getElementById("replacePreviewOverlay")?.classList.add("hidden");
+      }
+      async applyReplaceAll(edits) {
+        let failed = 0;
+        for (const edit of edits) {
+          try {
+            const openTab = this.editor?.getTabByPath(edit.path);
+            if (openTab) {
+              const wasDirty = openTab.dirty;
+              this.editor.replaceTabContent(openTab, edit.content);
+              if (!wasDirty) {
+                await this.editor.saveTab(openTab);
+              }
+            } else {
+              const handle = await fileIndex.resolveHandle(edit);
+              if (!handle) throw new Error(`File not found: ${edit.path}`);
+              const { encoding } = decodeBytes(await (await handle.getFile()).arrayBuffer());
+              const writable = await handle.createWritable();
+              await writable.write(encodeText(edit.content, encoding).bytes);
+              await writable.close();
+            }
+          } catch (err) {
+            failed += 1;
+            console.error(`Error replacing in ${edit.path}:`, err);
+          }
+        }
+        await this.run();
+        if (failed) {
+          this.renderSummary(`Replace failed in ${failed} file${failed === 1 ? "" : "s"}.`);
+        }
+      }
+    };
+    projectSearch = new ProjectSearch();
+  }
+});
+
+// editor/symbols.js
+function text(state, node) {
+  return state.sliceDoc(node.from, node.to);
+}
+function describeNode(node, state, parentKind) {
+  const { name: name2 } = node.type;
+  const jsDecl = JS_DECLARATIONS[name2];
+  if (jsDecl) {
+    const nameNode = node.getChild(jsDecl.nameNode);
+    return [{
+      name: nameNode ? text(state, nameNode) : "default",
+      kind: jsDecl.kind,
+      node: nameNode || node,
+      container: Boolean(jsDecl.container)
+    }];
+  }
+  if (name2 === "VariableDeclaration" && TOP_LEVEL_PARENTS.has(node.parent?.type.name)) {
+    const symbols = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.type.name !== "VariableDefinition") continue;
+      const value = child.nextSibling?.type.name === "Equals" ? child.nextSibling.nextSibling : null;
+      symbols.push({
+        name: text(state, child),
+        kind: value && FUNCTION_VALUES.has(value.type.name) ? "function" : "variable",
+        node: child
+      });
+    }
+    return symbols;
+  }
+  const pyDecl = PYTHON_DECLARATIONS[name2];
+  if (pyDecl && node.getChild("Body")) {
+    const nameNode = node.getChild("VariableName");
+    if (!nameNode) return [];
+    return [{
+      name: text(state, nameNode),
+      kind: pyDecl.kind === "function" && parentKind === "class" ? "method" : pyDecl.kind,
+      node: nameNode,
+      container: pyDecl.container
+    }];
+  }
+  if (name2 === "AssignStatement" && node.parent?.type.name === "Script") {
+    const target = node.firstChild;
+    if (target?.type.name !== "VariableName") return [];
+    return [{ name: text(state, target), kind: "variable", node: target }];
+  }
+  const isAtRule = name2.endsWith("Statement") && node.getChild("Block") && state.sliceDoc(node.from, node.from + 1) === "@";
+  if (name2 === "RuleSet" || isAtRule) {
+    const block = node.getChild("Block");
+    const label = state.sliceDoc(node.from, block ? block.from : node.to).replace(/\s+/g, " ").trim();
+    if (!label) return [];
+    return [{ name: label, kind: name2 === "RuleSet" ? "selector" : "atRule", node, container: name2 !== "RuleSet" }];
+  }
+  const heading2 = /^(?:ATXHeading(\d)|SetextHeading(\d))$/.exec(name2);
+  if (heading2) {
+    const level = Number(heading2[1] || heading2[2]);
+    const label = text(state, node).replace(/^#+\s*/, "").replace(/\s*#*\s*$/, "").replace(/\n[=-]+\s*$/, "").trim();
+    return [{ name: label, kind: "heading", node, level }];
+  }
+  if (name2 === "Property" && node.parent?.type.name === "Object") {
+    const key = node.getChild("PropertyName");
+    if (!key) return [];
+    return [{ name: text(state, key).replace(/^"|"$/g, ""), kind: "key", node: key, container: true }];
+  }
+  return [];
+}
+function extractSymbols(state, { timeout = 200 } = {}) {
+  const tree = ensureSyntaxTree(state, state.doc.length, timeout) || syntaxTree(state);
+  const symbols = [];
+  const walk = (node, depth, parentKind) => {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (symbols.length >= MAX_SYMBOLS) return;
+      const described = describeNode(child, state, parentKind);
+      described.forEach((symbol) => {
+        symbols.push({
+          name: symbol.name,
+          kind: symbol.kind,
+          from: symbol.node.from,
+          to: symbol.node.to,
+          line: state.doc.lineAt(symbol.node.from).number,
+          depth: symbol.level ? symbol.level - 1 : depth
+        });
+      });
+      const container = described.find((symbol) => symbol.container);
+      walk(child, container ? depth + 1 : depth, container ? container.kind : parentKind);
+    }
+  };
+  walk(tree.topNode, 0, null);
+  return symbols;
+}
+var MAX_SYMBOLS, SYMBOL_ICONS, JS_DECLARATIONS, PYTHON_DECLARATIONS, TOP_LEVEL_PARENTS, FUNCTION_VALUES;
+var init_symbols = __esm({
+  "editor/symbols.js"() {
+    init_dist5();
+    MAX_SYMBOLS = 5e3;
+    SYMBOL_ICONS = {
+      function: "\u0192",
+      method: "\u0192",
+      class: "\u25C6",
+      interface: "\u25C7",
+      type: "T",
+      enum: "E",
+      property: "\u25AA",
+      variable: "\u25AB",
+      selector: "#",
+      atRule: "@",
+      heading: "\xB6",
+      key: "\u25B8"
+    };
+    JS_DECLARATIONS = {
+      FunctionDeclaration: { nameNode: "VariableDefinition", kind: "function" },
+      ClassDeclaration: { nameNode: "VariableDefinition", kind: "class", container: true },
+      MethodDeclaration: { nameNode: "PropertyDefinition", kind: "method" },
+      PropertyDeclaration: { nameNode: "PropertyDefinition", kind: "property" },
+      InterfaceDeclaration: { nameNode: "TypeDefinition", kind: "interface", container: true },
+      TypeAliasDeclaration: { nameNode: "TypeDefinition", kind: "type" },
+      EnumDeclaration: { nameNode: "TypeDefinition", kind: "enum" }
+    };
+    PYTHON_DECLARATIONS = {
+      ClassDefinition: { kind: "class", container: true },
+      FunctionDefinition: { kind: "function", container: true }
+    };
+    TOP_LEVEL_PARENTS = /* @__PURE__ */ new Set(["Script", "ExportDeclaration"]);
+    FUNCTION_VALUES = /* @__PURE__ */ new Set(["ArrowFunction", "FunctionExpression"]);
+  }
+});
+
+// editor/outline.js
+var REFRESH_DELAY, Outline, outline;
+var init_outline = __esm({
+  "editor/outline.js"() {
+    init_symbols();
+    REFRESH_DELAY = 300;
+    Outline = class {
+      constructor() {
+        this.editor = null;
+        this.symbols = [];
+        this.activeIndex = -1;
+        this.refreshTimer = null;
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+        const list = document.getElementById("outlineList");
+        list?.addEventListener("click", (e) => {
+          const item = e.target.closest("[data-symbol-index]");
+          const symbol = this.symbols[Number(item?.dataset.symbolIndex)];
+          if (symbol) {
+            this.editor.revealRange(symbol.from, symbol.to);
+          }
+        });
+      }
+      isVisible() {
+        const view = document.getElementById("outlineView");
+        const sidebar = document.getElementById("sidebar");
+        return Boolean(view && !view.classList.contains("hidden") && !sidebar?.classList.contains("collapsed"));
+      }
+      scheduleRefresh() {
+        if (!this.isVisible()) return;
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+      }
+      refresh() {
+        clearTimeout(this.refreshTimer);
+        const list = document.getElementById("outlineList");
+        if (!list || !this.editor) return;
+        const tab2 = this.editor.getActiveTab();
+        const state = tab2 && !tab2.viewer ? this.editor.view.state : null;
+        this.symbols = state ? extractSymbols(state) : [];
+        this.activeIndex = -1;
+        list.innerHTML = "";
+        if (!this.symbols.length) {
+          const empty2 = document.createElement("div");
+          empty2.className = "outline-empty";
+          empty2.textContent = state ? "No symbols found in this file." : "No file open.";
+          list.appendChild(empty2);
+          return;
+        }
+        const fragment = document.createDocumentFragment();
+        this.symbols.forEach((symbol, index) => {
+          const item = document.createElement("div");
+          item.className = "outline-item";
+          item.dataset.symbolIndex = String(index);
+          item.style.paddingLeft = `${8 + symbol.depth * 12}px`;
+          item.title = `${symbol.name} \xB7 Ln ${symbol.line}`;
+          const icon = document.createElement("span");
+          icon.className = `outline-icon outline-${symbol.kind}`;
+          icon.textContent = SYMBOL_ICONS[symbol.kind] || "\u2022";
+          const name2 = document.createElement("span");
+          name2.className = "outline-name";
+          name2.textContent = symbol.name;
+          const line = document.createElement("span");
+          line.className = "outline-line";
+          line.textContent = String(symbol.line);
+          item.appendChild(icon);
+          item.appendChild(name2);
+          item.appendChild(line);
+          fragment.appendChild(item);
+        });
+        list.appendChild(fragment);
+        this.highlightActive();
+      }
+      // destaca o último símbolo que começa antes do cursor
+      highlightActive() {
+        if (!this.isVisible() || !this.symbols.length || !this.editor.view) return;
+        const head = this.editor.view.state.selection.main.head;
+        let index = -1;
+        this.symbols.forEach((symbol, i) => {
+          if (symbol.from <= head) index = i;
+        });
+        if (index === this.activeIndex) return;
+        const list = document.getElementById("outlineList");
+        list.querySelector(".outline-item.active")?.classList.remove("active");
+        this.activeIndex = index;
+        const item = list.querySelector(`[data-symbol-index="${index}"]`);
+        item?.classList.add("active");
+        item?.scrollIntoView({ block: "nearest" });
+      }
+    };
+    outline = new Outline();
+  }
+});
+
+// editor/jsonSchemas.js
+var string2, boolean, object, array, PERSON, PACKAGE_JSON, TS_TARGETS, COMPILER_OPTIONS, TSCONFIG_JSON, CHROME_PERMISSIONS, MANIFEST_JSON, JSON_SCHEMAS;
+var init_jsonSchemas = __esm({
+  "editor/jsonSchemas.js"() {
+    string2 = (description, values2) => ({ type: "string", description, values: values2 });
+    boolean = (description) => ({ type: "boolean", description, values: [true, false] });
+    object = (description, properties2 = null) => ({ type: "object", description, properties: properties2 });
+    array = (description, items = null) => ({ type: "array", description, items });
+    PERSON = object('A person, or a "Name <email> (url)" string', {
+      name: string2("Full name"),
+      email: string2("Email address"),
+      url: string2("Homepage")
+    });
+    PACKAGE_JSON = object("package.json", {
+      name: string2("The name of the package"),
+      version: string2("Version, parseable by node-semver"),
+      description: string2("Short description shown in package search"),
+      keywords: array("Keywords that help people discover the package"),
+      homepage: string2("URL of the project homepage"),
+      bugs: object("Where to report issues", {
+        url: string2("Issue tracker URL"),
+        email: string2("Email address for issues")
+      }),
+      license: string2("SPDX license identifier", ["MIT", "ISC", "Apache-2.0", "BSD-2-Clause", "BSD-3-Clause", "GPL-3.0-only", "UNLICENSED"]),
+      author: PERSON,
+      contributors: array("People who contributed to the package", PERSON),
+      funding: string2("URL with ways to fund the project"),
+      files: array("Files included when the package is published"),
+      main: string2("Entry point when the package is required"),
+      module: string2("ES module entry point used by bundlers"),
+      types: string2("Bundled TypeScript declaration file"),
+      type: string2("How .js files are interpreted", ["module", "commonjs"]),
+      exports: object("Package entry points per condition"),
+      imports: object("Private import mappings starting with #"),
+      browser: string2("Entry point for browser bundles"),
+      bin: object("Executables installed into PATH"),
+      man: array("Man pages for the package"),
+      directories: object("Package directory layout"),
+      repository: object("Where the code lives", {
+        type: string2("Version control system", ["git"]),
+        url: string2("Repository URL"),
+        directory: string2("Package directory inside a monorepo")
+      }),
+      scripts: object("Commands run with npm run <name>", {
+        build: string2("Build the project"),
+        start: string2("Start the project"),
+        test: string2("Run the tests"),
+        lint: string2("Run the linter"),
+        dev: string2("Start a development server"),
+        prepare: string2("Run on local install and before publishing"),
+        prepublishOnly: string2("Run before the package is published")
+      }),
+      config: object("Configuration available to scripts as npm_package_config_*"),
+      dependencies: object("Packages required at runtime"),
+      devDependencies: object("Packages needed only for development"),
+      peerDependencies: object("Packages the host project must provide"),
+      peerDependenciesMeta: object("Extra information about peer dependencies"),
+      optionalDependencies: object("Packages that may fail to install"),
+      bundleDependencies: array("Packages bundled when publishing"),
+      overrides: object("Override versions of nested dependencies"),
+      engines: object("Supported runtime versions", {
+        node: string2("Supported Node.js versions"),
+        npm: string2("Supported npm versions")
+      }),
+      os: array("Supported operating systems", { values: ["darwin", "linux", "win32"] }),
+      cpu: array("Supported CPU architectures", { values: ["x64", "arm64", "ia32"] }),
+      private: boolean("Prevent the package from being published"),
+      publishConfig: object("Settings used when publishing", {
+        access: string2("Package visibility", ["public", "restricted"]),
+        registry: string2("Registry URL"),
+        tag: string2("Dist-tag for the release")
+      }),
+      workspaces: array("Folders that contain workspace packages"),
+      sideEffects: boolean("Whether modules have side effects (for tree shaking)"),
+      packageManager: string2("Package manager and version used by the project")
+    });
+    TS_TARGETS = ["ES5", "ES2015", "ES2016", "ES2017", "ES2018", "ES2019", "ES2020", "ES2021", "ES2022", "ES2023", "ESNext"];
+    COMPILER_OPTIONS = object("Options passed to the TypeScript compiler", {
+      target: string2("ECMAScript version of the emitted JavaScript", TS_TARGETS),
+      module: string2("Module system of the emitted code", ["CommonJS", "ES2015", "ES2020", "ES2022", "ESNext", "Node16", "NodeNext", "Preserve"]),
+      moduleResolution: string2("How imports are resolved", ["node10", "node16", "nodenext", "bundler", "classic"]),
+      lib: array("Bundled library declaration files", { values: ["DOM", "DOM.Iterable", "WebWorker", "ES2015", "ES2020", "ES2022", "ESNext"] }),
+      jsx: string2("How JSX is emitted", ["preserve", "react", "react-jsx", "react-jsxdev", "react-native"]),
+      strict: boolean("Enable all strict type-checking options"),
+      noImplicitAny: boolean("Error on expressions with an implied any type"),
+      strictNullChecks: boolean("Take null and undefined into account"),
+      noUnusedLocals: boolean("Report unused local variables"),
+      noUnusedParameters: boolean("Report unused parameters"),
+      noImplicitReturns: boolean("Report code paths that do not return"),
+      noFallthroughCasesInSwitch: boolean("Report fallthrough cases in switch"),
+      esModuleInterop: boolean("Emit helpers for CommonJS default imports"),
+      allowSyntheticDefaultImports: boolean("Allow default imports from modules without a default export"),
+      allowJs: boolean("Allow JavaScript files to be compiled"),
+      checkJs: boolean("Report errors in JavaScript files"),
+      resolveJsonModule: boolean("Allow importing .json files"),
+      isolatedModules: boolean("Ensure each file can be transpiled on its own"),
+      skipLibCheck: boolean("Skip type checking of declaration files"),
+      forceConsistentCasingInFileNames: boolean("Require consistent casing in imports"),
+      declaration: boolean("Generate .d.ts files"),
+      declarationMap: boolean("Generate source maps for .d.ts files"),
+      sourceMap: boolean("Generate .map files"),
+      noEmit: boolean("Do not emit output files"),
+      outDir: string2("Output directory"),
+      rootDir: string2("Root directory of the input files"),
+      baseUrl: string2("Base directory for non-relative imports"),
+      paths: object("Import path aliases relative to baseUrl"),
+      types: array("Type packages included without being imported"),
+      typeRoots: array("Folders containing type declarations"),
+      incremental: boolean("Save build information to speed up later builds"),
+      composite: boolean("Enable project references"),
+      experimentalDecorators: boolean("Enable legacy decorators"),
+      useDefineForClassFields: boolean("Emit standard class fields"),
+      verbatimModuleSyntax: boolean("Keep import/export statements as written")
+    });
+    TSCONFIG_JSON = object("tsconfig.json", {
+      extends: string2("Base configuration file to inherit from"),
+      compilerOptions: COMPILER_OPTIONS,
+      include: array("Glob patterns of files to include"),
+      exclude: array("Glob patterns of files to skip"),
+      files: array("Explicit list of files to include"),
+      references: array("Referenced TypeScript projects", object("Project reference", {
+        path: string2("Path to the referenced project")
+      }))
+    });
+    CHROME_PERMISSIONS = [
+      "activeTab",
+      "alarms",
+      "bookmarks",
+      "clipboardRead",
+      "clipboardWrite",
+      "contextMenus",
+      "cookies",
+      "declarativeNetRequest",
+      "downloads",
+      "history",
+      "identity",
+      "idle",
+      "notifications",
+      "offscreen",
+      "scripting",
+      "sidePanel",
+      "storage",
+      "tabGroups",
+      "tabs",
+      "unlimitedStorage",
+      "webNavigation",
+      "webRequest"
+    ];
+    MANIFEST_JSON = object("Chrome extension manifest", {
+      manifest_version: { type: "number", description: "Manifest format version", values: [3] },
+      name: string2("Extension name"),
+      short_name: string2("Short name shown where space is limited"),
+      version: string2("Extension version (1 to 4 dot-separated integers)"),
+      description: string2("Description shown in the Chrome Web Store"),
+      default_locale: string2("Default locale folder under _locales"),
+      icons: object("Extension icons by size", {
+        16: string2("16\xD716 icon"),
+        32: string2("32\xD732 icon"),
+        48: string2("48\xD748 icon"),
+        128: string2("128\xD7128 icon")
+      }),
+      action: object("Toolbar button", {
+        default_popup: string2("HTML page shown when the button is clicked"),
+        default_title: string2("Tooltip of the button"),
+        default_icon: object("Button icons by size")
+      }),
+      background: object("Background service worker", {
+        service_worker: string2("Service worker script"),
+        type: string2("Script type", ["module"])
+      }),
+      permissions: array("API permissions", { values: CHROME_PERMISSIONS }),
+      optional_permissions: array("Permissions requested at runtime", { values: CHROME_PERMISSIONS }),
+      host_permissions: array("Match patterns of hosts the extension can access", { values: ["<all_urls>", "https://*/*", "http://*/*"] }),
+      content_scripts: array("Scripts injected into matching pages", object("Content script", {
+        matches: array("Pages the script is injected into", { values: ["<all_urls>", "https://*/*"] }),
+        js: array("Scripts to inject"),
+        css: array("Stylesheets to inject"),
+        run_at: string2("When the script is injected", ["document_start", "document_end", "document_idle"]),
+        all_frames: boolean("Inject into all frames"),
+        world: string2("JavaScript world of the script", ["ISOLATED", "MAIN"])
+      })),
+      web_accessible_resources: array("Files that web pages may load", object("Resource group", {
+        resources: array("Files made accessible"),
+        matches: array("Pages allowed to load the resources")
+      })),
+      options_page: string2("Options page"),
+      options_ui: object("Embedded options page", {
+        page: string2("Options page"),
+        open_in_tab: boolean("Open the options page in a new tab")
+      }),
+      chrome_url_overrides: object("Pages that replace Chrome pages", {
+        newtab: string2("New Tab page"),
+        history: string2("History page"),
+        bookmarks: string2("Bookmarks page")
+      }),
+      side_panel: object("Side panel", {
+        default_path: string2("HTML page shown in the side panel")
+      }),
+      commands: object("Keyboard shortcuts"),
+      content_security_policy: object("Content Security Policy", {
+        extension_pages: string2("Policy for extension pages"),
+        sandbox: string2("Policy for sandboxed pages")
+      }),
+      devtools_page: string2("DevTools extension page"),
+      omnibox: object("Address bar keyword", {
+        keyword: string2("Keyword that activates the extension")
+      }),
+      incognito: string2("Behavior in incognito windows", ["spanning", "split", "not_allowed"]),
+      minimum_chrome_version: string2("Oldest supported Chrome version"),
+      homepage_url: string2("Extension homepage")
+    });
+    JSON_SCHEMAS = {
+      "package.json": PACKAGE_JSON,
+      "tsconfig.json": TSCONFIG_JSON,
+      "jsconfig.json": TSCONFIG_JSON,
+      "manifest.json": MANIFEST_JSON
+    };
+  }
+});
+
+// editor/completion.js
+function dirname(path) {
+  const index = path.lastIndexOf("/");
+  return index === -1 ? "" : path.slice(0, index);
+}
+function normalizePath2(path) {
+  const parts = [];
+  path.split("/").forEach((part) => {
+    if (!part || part === ".") return;
+    if (part === "..") {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join("/");
+}
+function scanJson(text3) {
+  const stack = [];
+  let i = 0;
+  while (i < text3.length) {
+    const ch = text3[i];
+    const top2 = stack[stack.length - 1];
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text3.length && text3[end] !== '"') {
+        end += text3[end] === "\\" ? 2 : 1;
+      }
+      if (end >= text3.length) {
+        return { stack, stringFrom: i + 1 };
+      }
+      if (top2?.type === "object" && top2.expect === "key") {
+        top2.key = text3.slice(i + 1, end);
+        top2.keys.add(top2.key);
+      }
+      i = end + 1;
+      continue;
+    }
+    if (ch === "{" || ch === "[") {
+      const name2 = top2 ? top2.type === "object" ? top2.key : "[]" : null;
+      stack.push({ type: ch === "{" ? "object" : "array", name: name2, key: null, expect: "key", keys: /* @__PURE__ */ new Set() });
+    } else if (ch === "}" || ch === "]") {
+      stack.pop();
+    } else if (ch === ":" && top2?.type === "object") {
+      top2.expect = "value";
+    } else if (ch === "," && top2?.type === "object") {
+      top2.expect = "key";
+      top2.key = null;
+    }
+    i += 1;
+  }
+  return { stack, stringFrom: -1 };
+}
+function resolveSchema(schema, stack) {
+  let node = schema;
+  for (const frame of stack.slice(1)) {
+    node = frame.name === "[]" ? node?.items : node?.properties?.[frame.name];
+    if (!node) return null;
+  }
+  return node;
+}
+function keyTemplate(name2, schema) {
+  const key = JSON.stringify(name2);
+  if (schema?.type === "object") return `${key}: {
+	\${}
+}`;
+  if (schema?.type === "array") return `${key}: [\${}]`;
+  if (schema?.type === "string") return `${key}: "\${}"`;
+  return `${key}: \${}`;
+}
+var MAX_WORDS_DOC_LENGTH, MAX_WORD_OPTIONS, WORD_PATTERN, IMPORT_PATH_PATTERN, Completion, completion;
+var init_completion = __esm({
+  "editor/completion.js"() {
+    init_dist();
+    init_dist9();
+    init_fileTree();
+    init_jsonSchemas();
+    MAX_WORDS_DOC_LENGTH = 5e5;
+    MAX_WORD_OPTIONS = 300;
+    WORD_PATTERN = /[A-Za-z_$][\w$]{2,}/g;
+    IMPORT_PATH_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|@import\s+(?:url\()?)(['"])[^'"\n]*$/;
+    Completion = class {
+      constructor() {
+        this.editor = null;
+        this.wordCache = /* @__PURE__ */ new WeakMap();
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+      }
+      getExtensions() {
+        return [
+          autocompletion({ maxRenderedOptions: 100 }),
+          EditorState.languageData.of(() => [
+            { autocomplete: (context) => this.completeJsonSchema(context) },
+            { autocomplete: (context) => this.completeImportPath(context) },
+            { autocomplete: (context) => this.completeOpenTabWords(context) }
+          ])
+        ];
+      }
+      getTab(context) {
+        if (!this.editor || !context.view) return null;
+        return this.editor.getGroupForView(context.view)?.activeTab || null;
+      }
+      getWords(doc2) {
+        if (doc2.length > MAX_WORDS_DOC_LENGTH) return [];
+        let words = this.wordCache.get(doc2);
+        if (!words) {
+          words = new Set(doc2.toString().match(WORD_PATTERN));
+          this.wordCache.set(doc2, words);
+        }
+        return words;
+      }
+      // palavras de todas as abas abertas, com as do arquivo atual primeiro
+      completeOpenTabWords(context) {
+        const word = context.matchBefore(/[\w$]+/);
+        if (!word || word.from === word.to && !context.explicit) return null;
+        const typed = word.text;
+        const currentTab = this.getTab(context);
+        const docs = [context.state.doc];
+        this.editor?.openTabs.forEach((tab2) => {
+          if (tab2 !== currentTab && !tab2.viewer && tab2.state) docs.push(tab2.state.doc);
+        });
+        const seen = /* @__PURE__ */ new Set([typed]);
+        const options = [];
+        docs.forEach((doc2, index) => {
+          for (const candidate of this.getWords(doc2)) {
+            if (options.length >= MAX_WORD_OPTIONS) return;
+            if (seen.has(candidate)) continue;
+            seen.add(candidate);
+            options.push({
+              label: candidate,
+              type: "text",
+              detail: index === 0 ? void 0 : "open tabs",
+              boost: index === 0 ? -1 : -2
+            });
+          }
+        });
+        return { from: word.from, options, validFor: /^[\w$]*$/ };
+      }
+      // chaves e valores de package.json, tsconfig.json e manifest.json
+      completeJsonSchema(context) {
+        const tab2 = this.getTab(context);
+        const schema = tab2 && JSON_SCHEMAS[tab2.name];
+        if (!schema) return null;
+        const { stack, stringFrom } = scanJson(context.state.sliceDoc(0, context.pos));
+        const top2 = stack[stack.length - 1];
+        if (!top2) return null;
+        const node = resolveSchema(schema, stack);
+        const inString2 = stringFrom !== -1;
+        if (top2.type === "object" && top2.expect === "key") {
+          const properties2 = Object.entries(node?.properties || {}).filter(([name2]) => !top2.keys.has(name2));
+          if (!properties2.length) return null;
+          if (inString2) {
+            return {
+              from: stringFrom,
+              options: properties2.map(([name2, property2]) => ({ label: name2, type: "property", info: property2.description })),
+              validFor: /^[^"]*$/
+            };
+          }
+          const word2 = context.matchBefore(/[\w$-]*/);
+          if (word2.from === word2.to && !context.explicit) return null;
+          return {
+            from: word2.from,
+            options: properties2.map(([name2, property2]) => snippetCompletion(keyTemplate(name2, property2), {
+              label: name2,
+              type: "property",
+              info: property2.description
+            }))
+          };
+        }
+        const property = top2.type === "array" ? node?.items : node?.properties?.[top2.key];
+        const values2 = property?.values || [];
+        if (!values2.length) return null;
+        if (inString2) {
+          return {
+            from: stringFrom,
+            options: values2.filter((value) => typeof value === "string").map((value) => ({ label: value, type: "enum" })),
+            validFor: /^[^"]*$/
+          };
+        }
+        const word = context.matchBefore(/[\w$-]*/);
+        if (word.from === word.to && !context.explicit) return null;
+        return {
+          from: word.from,
+          options: values2.map((value) => ({ label: JSON.stringify(value), type: "enum" }))
+        };
+      }
+      // caminhos relativos dentro de strings de import, require e @import
+      async completeImportPath(context) {
+        const tab2 = this.getTab(context);
+        const match = context.matchBefore(IMPORT_PATH_PATTERN);
+        if (!tab2 || !match) return null;
+        const quote = match.text.search(/['"][^'"]*$/);
+        const typed = match.text.slice(quote + 1);
+        if (!typed.startsWith(".")) return null;
+        const slash3 = typed.lastIndexOf("/");
+        const from = match.from + quote + 1 + slash3 + 1;
+        if (slash3 === -1) {
+          return {
+            from: match.from + quote + 1,
+            options: [{ label: "./", type: "folder" }, { label: "../", type: "folder" }]
+          };
+        }
+        const directory = normalizePath2(`${dirname(tab2.path)}/${typed.slice(0, slash3)}`);
+        const prefix = directory ? `${directory}/` : "";
+        const files = await fileTree.getAllFiles();
+        if (context.aborted) return null;
+        const entries2 = /* @__PURE__ */ new Map();
+        files.forEach((file) => {
+          if (!file.path.startsWith(prefix) || file.path === tab2.path) return;
+          const rest = file.path.slice(prefix.length);
+          const separator = rest.indexOf("/");
+          const name2 = separator === -1 ? rest : rest.slice(0, separator);
+          if (!entries2.has(name2) || separator !== -1) {
+            entries2.set(name2, separator !== -1);
+          }
+        });
+        const options = [...entries2].map(([name2, isDirectory]) => isDirectory ? { label: `${name2}/`, type: "folder", boost: 1 } : { label: name2, type: "file" });
+        if (!options.length) return null;
+        return { from, options, validFor: /^[^/'"]*$/ };
+      }
+    };
+    completion = new Completion();
+  }
+});
+
+// editor/jsonc.js
+function stripJsonc(text3) {
+  const blank = (value) => value.replace(/[^\n]/g, " ");
+  let out = "";
+  let i = 0;
+  while (i < text3.length) {
+    const ch = text3[i];
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text3.length && text3[end] !== '"' && text3[end] !== "\n") {
+        end += text3[end] === "\\" ? 2 : 1;
+      }
+      out += text3.slice(i, end + 1);
+      i = end + 1;
+    } else if (ch === "/" && text3[i + 1] === "/") {
+      const end = text3.indexOf("\n", i);
+      const stop = end === -1 ? text3.length : end;
+      out += blank(text3.slice(i, stop));
+      i = stop;
+    } else if (ch === "/" && text3[i + 1] === "*") {
+      const end = text3.indexOf("*/", i + 2);
+      const stop = end === -1 ? text3.length : end + 2;
+      out += blank(text3.slice(i, stop));
+      i = stop;
+    } else if (ch === "," && /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[}\]]/.test(text3.slice(i + 1))) {
+      out += " ";
+      i += 1;
+    } else {
+      out += ch;
+      i += 1;
+    }
+  }
+  return out;
+}
+var init_jsonc = __esm({
+  "editor/jsonc.js"() {
+  }
+});
+
+// editor/builtinSnippets.js
+var BUILTIN_SNIPPETS;
+var init_builtinSnippets = __esm({
+  "editor/builtinSnippets.js"() {
+    BUILTIN_SNIPPETS = {
+      javascript: {
+        "Console Log": {
+          prefix: "log",
+          body: "console.log($1);$0",
+          description: "Log output to the console"
+        },
+        "Console Log Selection": {
+          prefix: "logv",
+          body: "console.log('${1:${TM_SELECTED_TEXT:value}}:', ${1});$0",
+          description: "Log a labelled value"
+        },
+        "Import Named": {
+          prefix: "imp",
+          body: "import { $2 } from '${1:module}';$0",
+          description: "Import named bindings from a module"
+        },
+        "Import Default": {
+          prefix: "impd",
+          body: "import ${2:name} from '${1:module}';$0",
+          description: "Import the default export of a module"
+        },
+        "Arrow Function": {
+          prefix: "afn",
+          body: ["const ${1:name} = (${2:params}) => {", "	$0", "};"],
+          description: "Arrow function assigned to a constant"
+        },
+        "Async Function": {
+          prefix: "asyncfn",
+          body: ["async function ${1:name}(${2:params}) {", "	$0", "}"],
+          description: "Async function declaration"
+        },
+        "For Each": {
+          prefix: "fore",
+          body: ["${1:array}.forEach((${2:item}) => {", "	$0", "});"],
+          description: "Array forEach loop"
+        },
+        "Variable Declaration": {
+          prefix: "var",
+          body: "${1|const,let,var|} ${2:name} = ${3:value};$0",
+          description: "Declare a variable"
+        },
+        "Switch Statement": {
+          prefix: "switch",
+          body: ["switch (${1:key}) {", "	case ${2:value}:", "		$0", "		break;", "	default:", "		break;", "}"],
+          description: "Switch statement"
+        },
+        "New Promise": {
+          prefix: "prom",
+          body: ["new Promise((resolve, reject) => {", "	$0", "});"],
+          description: "Create a new Promise"
+        },
+        "Set Timeout": {
+          prefix: "timeout",
+          body: ["setTimeout(() => {", "	$0", "}, ${1:1000});"],
+          description: "Run code after a delay"
+        },
+        "Event Listener": {
+          prefix: "listener",
+          body: ["${1:element}.addEventListener('${2|click,input,change,keydown,submit|}', (${3:e}) => {", "	$0", "});"],
+          description: "Add a DOM event listener"
+        },
+        "File Header": {
+          prefix: "header",
+          body: ["/**", " * ${TM_FILENAME}", " * Created on ${CURRENT_YEAR}-${CURRENT_MONTH}-${CURRENT_DATE}", " */", "$0"],
+          description: "Comment with file name and creation date"
+        },
+        Region: {
+          prefix: "region",
+          body: ["// #region ${1:name}", "${TM_SELECTED_TEXT}$0", "// #endregion"],
+          description: "Folding region around the selection"
+        }
+      },
+      typescript: {
+        "Type Alias": {
+          prefix: "typea",
+          body: "type ${1:Name} = ${2:string};$0",
+          description: "Type alias"
+        },
+        "Interface Property": {
+          prefix: "prop",
+          body: "${1:name}${2|,?|}: ${3:string};$0",
+          description: "Interface or type member"
+        },
+        "Generic Function": {
+          prefix: "genfn",
+          body: ["function ${1:name}<${2:T}>(${3:value}: ${2}): ${2} {", "	$0", "}"],
+          description: "Function with a type parameter"
+        }
+      },
+      javascriptreact: {
+        "Function Component": {
+          prefix: "rfc",
+          body: [
+            "export default function ${1:${TM_FILENAME_BASE}}(${2:props}) {",
+            "	return (",
+            "		<div>$0</div>",
+            "	);",
+            "}"
+          ],
+          description: "React function component named after the file"
+        },
+        "useState Hook": {
+          prefix: "ust",
+          body: "const [${1:state}, set${2:State}] = useState(${3:initialValue});$0",
+          description: "React useState hook"
+        },
+        "useEffect Hook": {
+          prefix: "uef",
+          body: ["useEffect(() => {", "	$0", "}, [${1}]);"],
+          description: "React useEffect hook"
+        }
+      },
+      html: {
+        "HTML Document": {
+          prefix: "!",
+          body: [
+            "<!DOCTYPE html>",
+            '<html lang="${1:en}">',
+            "<head>",
+            '	<meta charset="UTF-8">',
+            '	<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            "	<title>${2:${TM_FILENAME_BASE}}</title>",
+            "</head>",
+            "<body>",
+            "	$0",
+            "</body>",
+            "</html>"
+          ],
+          description: "HTML5 document skeleton"
+        },
+        Link: {
+          prefix: "a",
+          body: '<a href="${1:#}">${2:${TM_SELECTED_TEXT}}</a>$0',
+          description: "Anchor element"
+        },
+        Script: {
+          prefix: "script",
+          body: '<script${1| type="module",|} src="${2:script.js}"><\/script>$0',
+          description: "External script"
+        },
+        Stylesheet: {
+          prefix: "link",
+          body: '<link rel="stylesheet" href="${1:style.css}">$0',
+          description: "External stylesheet"
+        },
+        "Wrap With Element": {
+          prefix: "wrap",
+          body: "<${1:div}>${TM_SELECTED_TEXT}$0</${1}>",
+          description: "Wrap the selection in an element"
+        }
+      },
+      css: {
+        "Media Query": {
+          prefix: "media",
+          body: ["@media (${1|max-width,min-width|}: ${2:768px}) {", "	$0", "}"],
+          description: "Media query"
+        },
+        "Flex Center": {
+          prefix: "flexc",
+          body: ["display: flex;", "align-items: center;", "justify-content: center;$0"],
+          description: "Center children with flexbox"
+        },
+        Grid: {
+          prefix: "grid",
+          body: ["display: grid;", "grid-template-columns: ${1:repeat(${2:3}, 1fr)};", "gap: ${3:16px};$0"],
+          description: "Grid container"
+        },
+        Keyframes: {
+          prefix: "keyframes",
+          body: ["@keyframes ${1:name} {", "	from {", "		$2", "	}", "	to {", "		$0", "	}", "}"],
+          description: "Animation keyframes"
+        }
+      },
+      python: {
+        "Main Guard": {
+          prefix: "ifmain",
+          body: ["if __name__ == '__main__':", "	${1:main()}$0"],
+          description: "Run code only when executed as a script"
+        },
+        "Function With Docstring": {
+          prefix: "defd",
+          body: ["def ${1:name}(${2}):", '	"""${3:Description}."""', "	$0"],
+          description: "Function with a docstring"
+        },
+        "With Open": {
+          prefix: "with",
+          body: ["with open(${1:path}, '${2|r,w,a,rb,wb|}', encoding='utf-8') as ${3:f}:", "	$0"],
+          description: "Open a file with a context manager"
+        },
+        "Data Class": {
+          prefix: "dataclass",
+          body: ["@dataclass", "class ${1:Name}:", "	${2:field}: ${3:str}$0"],
+          description: "Data class"
+        }
+      },
+      markdown: {
+        "Code Block": {
+          prefix: "code",
+          body: ["```${1|js,ts,html,css,python,json,bash|}", "${TM_SELECTED_TEXT}$0", "```"],
+          description: "Fenced code block"
+        },
+        Link: {
+          prefix: "link",
+          body: "[${1:${TM_SELECTED_TEXT:text}}](${2:url})$0",
+          description: "Link"
+        },
+        Image: {
+          prefix: "img",
+          body: "![${1:alt}](${2:url})$0",
+          description: "Image"
+        },
+        Table: {
+          prefix: "table",
+          body: ["| ${1:Column} | ${2:Column} |", "| --- | --- |", "| $3 | $4 |$0"],
+          description: "Table with two columns"
+        },
+        "Date Heading": {
+          prefix: "today",
+          body: "## ${CURRENT_YEAR}-${CURRENT_MONTH}-${CURRENT_DATE}$0",
+          description: "Heading with today's date"
+        }
+      },
+      json: {
+        "Key Value": {
+          prefix: "kv",
+          body: '"${1:key}": ${2|"value",true,false,null,0|}$0',
+          description: "Key/value pair"
+        }
+      },
+      sql: {
+        Select: {
+          prefix: "sel",
+          body: ["SELECT ${1:*}", "FROM ${2:table}", "WHERE ${3:condition};$0"],
+          description: "SELECT statement"
+        },
+        "Create Table": {
+          prefix: "ctable",
+          body: ["CREATE TABLE ${1:name} (", "	id ${2|INTEGER,SERIAL,UUID|} PRIMARY KEY,", "	$0", ");"],
+          description: "CREATE TABLE statement"
+        },
+        Join: {
+          prefix: "join",
+          body: "${1|INNER,LEFT,RIGHT,FULL|} JOIN ${2:table} ON ${3:condition}$0",
+          description: "JOIN clause"
+        }
+      }
+    };
+  }
+});
+
+// editor/snippets.js
+function getSnippetLanguage(path) {
+  const ext = path.includes(".") ? path.split(".").pop().toLowerCase() : "";
+  return SNIPPET_LANGUAGES[ext] || null;
+}
+function parseSnippetFile(fileName, text3) {
+  const data2 = JSON.parse(stripJsonc(text3));
+  if (!data2 || typeof data2 !== "object" || Array.isArray(data2)) {
+    throw new Error("A snippets file must contain a JSON object");
+  }
+  return readSnippetDefinitions(fileName, data2);
+}
+function readSnippetDefinitions(fileName, data2) {
+  const fileLanguage = fileName.endsWith(".code-snippets") ? null : fileName.replace(/\.json$/i, "");
+  return Object.entries(data2).filter(([, definition]) => definition && definition.body !== void 0).map(([name2, definition]) => {
+    const prefixes = [].concat(definition.prefix ?? []).filter((prefix) => typeof prefix === "string" && prefix);
+    const scope = typeof definition.scope === "string" ? definition.scope.split(",").map((language2) => language2.trim()).filter(Boolean) : [];
+    return {
+      name: name2,
+      prefixes,
+      body: [].concat(definition.body).join("\n"),
+      description: definition.description || "",
+      languages: fileLanguage ? [fileLanguage] : scope,
+      source: fileName
+    };
+  });
+}
+function parseSnippetBody(body, resolveVariable) {
+  const source = body.replace(/\r\n?/g, "\n");
+  const fields = [];
+  let text3 = "";
+  let pos = 0;
+  let depth = 0;
+  const skipTransform = () => {
+    let depth2 = 0;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === "\\") {
+        pos += 2;
+        continue;
+      }
+      if (ch === "{") depth2 += 1;
+      if (ch === "}") {
+        if (!depth2) {
+          pos += 1;
+          return;
+        }
+        depth2 -= 1;
+      }
+      pos += 1;
+    }
+  };
+  const parseDollar = () => {
+    const rest = source.slice(pos);
+    let m = /^\$(\d+)/.exec(rest) || /^\$\{(\d+)\}/.exec(rest);
+    if (m) {
+      fields.push({ index: Number(m[1]), from: text3.length, to: text3.length, depth });
+      pos += m[0].length;
+      return true;
+    }
+    if (m = /^\$\{(\d+):/.exec(rest)) {
+      pos += m[0].length;
+      const field = { index: Number(m[1]), from: text3.length, to: text3.length, depth };
+      fields.push(field);
+      depth += 1;
+      parseText(true);
+      depth -= 1;
+      pos += 1;
+      field.to = text3.length;
+      return true;
+    }
+    if (m = /^\$\{(\d+)\|((?:\\.|[^|\\])*)\|\}/.exec(rest)) {
+      const options = m[2].split(/(?<!\\),/).map((option) => option.replace(/\\(.)/g, "$1"));
+      fields.push({ index: Number(m[1]), from: text3.length, to: text3.length + options[0].length, depth, options });
+      text3 += options[0];
+      pos += m[0].length;
+      return true;
+    }
+    if (m = /^\$\{(\d+)\//.exec(rest)) {
+      pos += m[0].length;
+      skipTransform();
+      fields.push({ index: Number(m[1]), from: text3.length, to: text3.length, depth });
+      return true;
+    }
+    if (m = /^\$([A-Za-z_]\w*)/.exec(rest) || /^\$\{([A-Za-z_]\w*)\}/.exec(rest)) {
+      text3 += resolveVariable(m[1]) ?? m[1];
+      pos += m[0].length;
+      return true;
+    }
+    if (m = /^\$\{([A-Za-z_]\w*):/.exec(rest)) {
+      pos += m[0].length;
+      const value = resolveVariable(m[1]);
+      const start = text3.length;
+      const fieldCount = fields.length;
+      parseText(true);
+      pos += 1;
+      if (value) {
+        text3 = text3.slice(0, start) + value;
+        fields.length = fieldCount;
+      }
+      return true;
+    }
+    if (m = /^\$\{([A-Za-z_]\w*)\//.exec(rest)) {
+      pos += m[0].length;
+      skipTransform();
+      text3 += resolveVariable(m[1]) ?? "";
+      return true;
+    }
+    return false;
+  };
+  const parseText = (nested) => {
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === "\\" && /[$}\\]/.test(source[pos + 1] || "")) {
+        text3 += source[pos + 1];
+        pos += 2;
+        continue;
+      }
+      if (nested && ch === "}") return;
+      if (ch === "$" && parseDollar()) continue;
+      text3 += ch;
+      pos += 1;
+    }
+  };
+  parseText(false);
+  return { text: text3, fields };
+}
+function toTemplate({ text: text3, fields }) {
+  const outer = fields.filter((field) => !field.depth).sort((a, b) => a.from - b.from);
+  const last2 = Math.max(0, ...fields.map((field) => field.index));
+  const defaults4 = /* @__PURE__ */ new Map();
+  fields.forEach((field) => {
+    if (field.to > field.from && !defaults4.has(field.index)) {
+      defaults4.set(field.index, text3.slice(field.from, field.to));
+    }
+  });
+  const escape = (value) => value.replace(/[{}]/g, "\\$&");
+  const choices = [];
+  let template = "";
+  let plain = "";
+  let cursor2 = 0;
+  outer.forEach((field) => {
+    const segment = text3.slice(cursor2, field.from);
+    template += escape(segment);
+    plain += segment;
+    const raw = field.to > field.from ? text3.slice(field.from, field.to) : defaults4.get(field.index) || "";
+    const value = raw.replace(/[{}]/g, "").replace(/\n/g, " ");
+    if (field.options) {
+      const lineStart = plain.lastIndexOf("\n") + 1;
+      choices.push({
+        line: plain.split("\n").length - 1,
+        from: plain.length - lineStart,
+        to: plain.length - lineStart + value.length,
+        options: field.options
+      });
+    }
+    const seq = field.index === 0 ? last2 + 1 : field.index;
+    template += value ? `\${${seq}:${value}}` : `\${${seq}}`;
+    plain += value;
+    cursor2 = field.to;
+  });
+  template += escape(text3.slice(cursor2));
+  plain += text3.slice(cursor2);
+  if (outer.length && !fields.some((field) => field.index === 0)) {
+    template += `\${${last2 + 1}}`;
+  }
+  return { template, lines: plain.split("\n"), choices };
+}
+function placeChoices(state, from, lines, choices) {
+  const baseIndent = /^\s*/.exec(state.doc.lineAt(from).text)[0];
+  const unit = state.facet(indentUnit);
+  const lineStarts = [from];
+  let pos = from;
+  lines.forEach((line, index) => {
+    let text3 = line;
+    if (index > 0) {
+      const tabs = /^\t*/.exec(line)[0].length;
+      const indent2 = baseIndent + unit.repeat(tabs);
+      lineStarts.push(pos + indent2.length - tabs);
+      text3 = indent2 + line.slice(tabs);
+    }
+    pos += text3.length + 1;
+  });
+  return choices.map((choice) => ({
+    from: lineStarts[choice.line] + choice.from,
+    to: lineStarts[choice.line] + choice.to,
+    options: choice.options
+  }));
+}
+function findChoiceField(state) {
+  const { main } = state.selection;
+  return state.field(choiceFields, false)?.find((field) => field.from === main.from && field.to === main.to) || null;
+}
+function completeChoices(context) {
+  const field = findChoiceField(context.state);
+  if (!field) return null;
+  return {
+    from: field.from,
+    to: field.to,
+    filter: false,
+    options: field.options.map((option, index) => ({ label: option || "(empty)", apply: option, type: "enum", boost: 99 - index }))
+  };
+}
+var SNIPPET_LANGUAGES, INHERITED_LANGUAGES, MONTH_NAMES, DAY_NAMES, setChoiceFields, choiceFields, choicePopup, Snippets, snippets3;
+var init_snippets = __esm({
+  "editor/snippets.js"() {
+    init_dist();
+    init_dist2();
+    init_dist5();
+    init_dist9();
+    init_fileSystem();
+    init_jsonc();
+    init_builtinSnippets();
+    SNIPPET_LANGUAGES = {
+      js: "javascript",
+      jsx: "javascriptreact",
+      ts: "typescript",
+      tsx: "typescriptreact",
+      html: "html",
+      htm: "html",
+      css: "css",
+      scss: "scss",
+      less: "less",
+      py: "python",
+      python: "python",
+      json: "json",
+      md: "markdown",
+      mdx: "markdown",
+      sql: "sql"
+    };
+    INHERITED_LANGUAGES = {
+      javascriptreact: ["javascript"],
+      typescript: ["javascript"],
+      typescriptreact: ["javascript", "typescript", "javascriptreact"],
+      scss: ["css"],
+      less: ["css"]
+    };
+    MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+    DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+    setChoiceFields = StateEffect.define();
+    choiceFields = StateField.define({
+      create: () => [],
+      update(fields, tr) {
+        for (const effect of tr.effects) {
+          if (effect.is(setChoiceFields)) return effect.value;
+        }
+        if (!fields.length) return fields;
+        if (!hasNextSnippetField(tr.state) && !hasPrevSnippetField(tr.state)) return [];
+        if (!tr.docChanged) return fields;
+        return fields.map((field) => ({
+          ...field,
+          from: tr.changes.mapPos(field.from, -1),
+          to: tr.changes.mapPos(field.to, 1)
+        }));
+      }
+    });
+    choicePopup = ViewPlugin.fromClass(class {
+      update(update) {
+        const placed = update.transactions.some((tr) => tr.effects.some((effect) => effect.is(setChoiceFields)));
+        if (!update.selectionSet && !placed || !findChoiceField(update.state)) return;
+        setTimeout(() => startCompletion(update.view));
+      }
+    });
+    Snippets = class {
+      constructor() {
+        this.editor = null;
+        this.builtin = Object.entries(BUILTIN_SNIPPETS).flatMap(([language2, definitions]) => readSnippetDefinitions(`${language2}.json`, definitions)).map((entry) => ({ ...entry, source: "built-in" }));
+        this.userFiles = {};
+        this.user = [];
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+        this.load();
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area === "local" && changes.userSnippets) {
+            this.setUserFiles(changes.userSnippets.newValue || {});
+          }
+        });
+      }
+      load() {
+        return new Promise((resolve) => {
+          chrome.storage.local.get(["userSnippets"], (result) => {
+            this.setUserFiles(result.userSnippets || {});
+            resolve();
+          });
+        });
+      }
+      setUserFiles(files) {
+        this.userFiles = files;
+        this.user = Object.entries(files).flatMap(([fileName, text3]) => {
+          try {
+            return parseSnippetFile(fileName, text3);
+          } catch (err) {
+            console.warn(`Invalid snippets file ${fileName}:`, err);
+            return [];
+          }
+        });
+      }
+      saveUserFiles(files) {
+        this.setUserFiles(files);
+        return new Promise((resolve) => {
+          chrome.storage.local.set({ userSnippets: files }, resolve);
+        });
+      }
+      getUserFileNames() {
+        return Object.keys(this.userFiles).sort();
+      }
+      // valida e guarda arquivos .json/.code-snippets; devolve quantos snippets foram lidos
+      async importFiles(files) {
+        const next = { ...this.userFiles };
+        let count2 = 0;
+        for (const { name: name2, text: text3 } of files) {
+          count2 += parseSnippetFile(name2, text3).length;
+          next[name2] = text3;
+        }
+        await this.saveUserFiles(next);
+        return count2;
+      }
+      async removeFile(fileName) {
+        const next = { ...this.userFiles };
+        delete next[fileName];
+        await this.saveUserFiles(next);
+      }
+      getSnippets(language2) {
+        const languages = language2 ? [language2, ...INHERITED_LANGUAGES[language2] || []] : [];
+        const matches = (entry) => !entry.languages.length || entry.languages.some((id2) => languages.includes(id2));
+        const user = this.user.filter(matches);
+        const userPrefixes = new Set(user.flatMap((entry) => entry.prefixes));
+        const builtin = this.builtin.filter((entry) => matches(entry) && !entry.prefixes.some((prefix) => userPrefixes.has(prefix)));
+        return [...user, ...builtin];
+      }
+      getExtensions() {
+        return [
+          choiceFields,
+          choicePopup,
+          EditorState.languageData.of(() => [
+            { autocomplete: completeChoices },
+            { autocomplete: (context) => this.completeSnippets(context) }
+          ])
+        ];
+      }
+      getTab(view) {
+        return this.editor?.getGroupForView(view)?.activeTab || null;
+      }
+      completeSnippets(context) {
+        const tab2 = context.view && this.getTab(context.view);
+        const word = context.matchBefore(/[\w$!-]+/);
+        if (!tab2 || !word && !context.explicit || findChoiceField(context.state)) return null;
+        const options = [];
+        this.getSnippets(getSnippetLanguage(tab2.path)).forEach((entry) => {
+          entry.prefixes.forEach((prefix) => {
+            options.push({
+              label: prefix,
+              detail: entry.name,
+              info: entry.description || entry.body,
+              type: "snippet",
+              apply: (view, completion2, from, to) => this.insert(view, entry, { from, to, completion: completion2 })
+            });
+          });
+        });
+        if (!options.length) return null;
+        return { from: word ? word.from : context.pos, options, validFor: /^[\w$!-]*$/ };
+      }
+      resolveVariable(name2, { state, tab: tab2, from, selection: selection2 }) {
+        const now = /* @__PURE__ */ new Date();
+        const pad = (value) => String(value).padStart(2, "0");
+        const line = state.doc.lineAt(from);
+        const comments = state.languageDataAt("commentTokens", from)[0] || {};
+        const fileName = tab2?.name || "";
+        const path = tab2?.path || "";
+        switch (name2) {
+          case "TM_SELECTED_TEXT":
+            return selection2;
+          case "TM_CURRENT_LINE":
+            return line.text;
+          case "TM_CURRENT_WORD": {
+            const word = state.wordAt(from);
+            return word ? state.sliceDoc(word.from, word.to) : "";
+          }
+          case "TM_LINE_INDEX":
+            return String(line.number - 1);
+          case "TM_LINE_NUMBER":
+            return String(line.number);
+          case "TM_FILENAME":
+            return fileName;
+          case "TM_FILENAME_BASE":
+            return fileName.includes(".") ? fileName.slice(0, fileName.lastIndexOf(".")) : fileName;
+          case "TM_DIRECTORY":
+            return path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+          case "TM_FILEPATH":
+          case "RELATIVE_FILEPATH":
+            return path;
+          case "WORKSPACE_NAME":
+            return fileSystem.rootHandle?.name || "";
+          case "CLIPBOARD":
+            return "";
+          case "CURRENT_YEAR":
+            return String(now.getFullYear());
+          case "CURRENT_YEAR_SHORT":
+            return String(now.getFullYear()).slice(-2);
+          case "CURRENT_MONTH":
+            return pad(now.getMonth() + 1);
+          case "CURRENT_MONTH_NAME":
+            return MONTH_NAMES[now.getMonth()];
+          case "CURRENT_MONTH_NAME_SHORT":
+            return MONTH_NAMES[now.getMonth()].slice(0, 3);
+          case "CURRENT_DATE":
+            return pad(now.getDate());
+          case "CURRENT_DAY_NAME":
+            return DAY_NAMES[now.getDay()];
+          case "CURRENT_DAY_NAME_SHORT":
+            return DAY_NAMES[now.getDay()].slice(0, 3);
+          case "CURRENT_HOUR":
+            return pad(now.getHours());
+          case "CURRENT_MINUTE":
+            return pad(now.getMinutes());
+          case "CURRENT_SECOND":
+            return pad(now.getSeconds());
+          case "CURRENT_SECONDS_UNIX":
+            return String(Math.floor(now.getTime() / 1e3));
+          case "RANDOM":
+            return String(Math.floor(Math.random() * 1e6)).padStart(6, "0");
+          case "RANDOM_HEX":
+            return Math.floor(Math.random() * 16777216).toString(16).padStart(6, "0");
+          case "UUID":
+            return crypto.randomUUID();
+          case "LINE_COMMENT":
+            return comments.line || "";
+          case "BLOCK_COMMENT_START":
+            return comments.block?.open || "";
+          case "BLOCK_COMMENT_END":
+            return comments.block?.close || "";
+          default:
+            return void 0;
+        }
+      }
+      // sem from/to, substitui a seleção atual (que vira $TM_SELECTED_TEXT)
+      insert(view, entry, { from = null, to = null, completion: completion2 = null } = {}) {
+        const { main } = view.state.selection;
+        const start = from ?? main.from;
+        const end = to ?? main.to;
+        const context = {
+          state: view.state,
+          tab: this.getTab(view),
+          from: start,
+          selection: from === null ? view.state.sliceDoc(main.from, main.to) : ""
+        };
+        const parsed = parseSnippetBody(entry.body, (name2) => this.resolveVariable(name2, context));
+        const { template, lines, choices } = toTemplate(parsed);
+        const state = view.state;
+        snippet(template)(view, completion2, start, end);
+        if (choices.length) {
+          view.dispatch({ effects: setChoiceFields.of(placeChoices(state, start, lines, choices)) });
+        }
+      }
+    };
+    snippets3 = new Snippets();
+  }
+});
+
+// editor/formatter.js
+function getFormatterParser(path) {
+  const ext = path.includes(".") ? path.split(".").pop().toLowerCase() : "";
+  return PARSERS[ext] || null;
+}
+var PARSERS, PLUGIN_LOADERS, Formatter, formatter;
+var init_formatter = __esm({
+  "editor/formatter.js"() {
+    PARSERS = {
+      js: "babel",
+      jsx: "babel",
+      mjs: "babel",
+      cjs: "babel",
+      ts: "typescript",
+      tsx: "typescript",
+      mts: "typescript",
+      cts: "typescript",
+      css: "css",
+      scss: "scss",
+      less: "less",
+      html: "html",
+      htm: "html",
+      json: "json"
+    };
+    PLUGIN_LOADERS = {
+      babel: () => [import("./chunks/babel-YWWZSJ4S.js"), import("./chunks/estree-WV7A3ZUD.js")],
+      typescript: () => [import("./chunks/typescript-CFW2GDTA.js"), import("./chunks/estree-WV7A3ZUD.js")],
+      css: () => [import("./chunks/postcss-VDYLZARH.js")],
+      scss: () => [import("./chunks/postcss-VDYLZARH.js")],
+      less: () => [import("./chunks/postcss-VDYLZARH.js")],
+      html: () => [
+        import("./chunks/html-24PROTHZ.js"),
+        import("./chunks/babel-YWWZSJ4S.js"),
+        import("./chunks/estree-WV7A3ZUD.js"),
+        import("./chunks/postcss-VDYLZARH.js")
+      ],
+      json: () => [import("./chunks/babel-YWWZSJ4S.js"), import("./chunks/estree-WV7A3ZUD.js")]
+    };
+    Formatter = class {
+      constructor() {
+        this.loaded = /* @__PURE__ */ new Map();
+      }
+      canFormat(path) {
+        return Boolean(getFormatterParser(path));
+      }
+      load(parser8) {
+        if (!this.loaded.has(parser8)) {
+          const pending = Promise.all([import("./chunks/standalone-GTT4DEU3.js"), ...PLUGIN_LOADERS[parser8]()]).then(([prettier, ...plugins]) => ({ prettier, plugins }));
+          pending.catch(() => this.loaded.delete(parser8));
+          this.loaded.set(parser8, pending);
+        }
+        return this.loaded.get(parser8);
+      }
+      async format(text3, path, { tabSize = 2, useTabs = false, printWidth = 80, range = null } = {}) {
+        const parser8 = getFormatterParser(path);
+        if (!parser8) {
+          throw new Error("No formatter for this file type");
+        }
+        const { prettier, plugins } = await this.load(parser8);
+        const options = {
+          parser: parser8,
+          plugins,
+          tabWidth: tabSize,
+          useTabs,
+          printWidth,
+          endOfLine: "lf"
+        };
+        if (range) {
+          options.rangeStart = range.from;
+          options.rangeEnd = range.to;
+        }
+        return prettier.format(text3, options);
+      }
+    };
+    formatter = new Formatter();
+  }
+});
+
+// editor/editorConfig.js
+function escapeRegexChar2(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+function findClosingBrace(glob, start) {
+  let depth = 0;
+  for (let i = start; i < glob.length; i++) {
+    if (glob[i] === "\\") {
+      i += 1;
+    } else if (glob[i] === "{") {
+      depth += 1;
+    } else if (glob[i] === "}") {
+      depth -= 1;
+      if (!depth) return i;
+    }
+  }
+  return -1;
+}
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === "\\") {
+      current += char + (body[i + 1] || "");
+      i += 1;
+      continue;
+    }
+    if (char === "{") depth += 1;
+    if (char === "}") depth -= 1;
+    if (char === "," && !depth) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+function globSource(glob) {
+  let source = "";
+  let i = 0;
+  while (i < glob.length) {
+    const char = glob[i];
+    if (char === "\\" && i + 1 < glob.length) {
+      source += escapeRegexChar2(glob[i + 1]);
+      i += 2;
+    } else if (char === "*") {
+      if (glob[i + 1] === "*") {
+        const slash3 = glob[i + 2] === "/";
+        source += slash3 ? "(?:.*/)?" : ".*";
+        i += slash3 ? 3 : 2;
+      } else {
+        source += "[^/]*";
+        i += 1;
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+      i += 1;
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+        i += 1;
+        continue;
+      }
+      const body = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += body.startsWith("!") ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end + 1;
+    } else if (char === "{") {
+      const end = findClosingBrace(glob, i);
+      if (end === -1) {
+        source += "\\{";
+        i += 1;
+        continue;
+      }
+      const body = glob.slice(i + 1, end);
+      const range = /^([+-]?\d+)\.\.([+-]?\d+)$/.exec(body);
+      const alternatives = splitAlternatives(body);
+      if (range) {
+        const [low, high] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+        source += high - low <= MAX_RANGE_SIZE ? `(?:${Array.from({ length: high - low + 1 }, (_2, index) => low + index).join("|")})` : "[+-]?\\d+";
+      } else if (alternatives.length > 1) {
+        source += `(?:${alternatives.map(globSource).join("|")})`;
+      } else {
+        source += `\\{${globSource(body)}\\}`;
+      }
+      i = end + 1;
+    } else {
+      source += escapeRegexChar2(char);
+      i += 1;
+    }
+  }
+  return source;
+}
+function compileSection(glob) {
+  const pattern = glob.includes("/") ? glob.replace(/^\//, "") : `**/${glob}`;
+  try {
+    return new RegExp(`^${globSource(pattern)}$`);
+  } catch (err) {
+    return null;
+  }
+}
+function parseEditorConfig(text3) {
+  const config2 = { root: false, sections: [] };
+  let section = null;
+  text3.split(/\r\n?|\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#") || line.startsWith(";")) return;
+    const header = /^\[(.*)\]$/.exec(line);
+    if (header) {
+      section = { glob: header[1], matcher: compileSection(header[1]), properties: {} };
+      config2.sections.push(section);
+      return;
+    }
+    const separator = line.indexOf("=");
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    let value = line.slice(separator + 1).trim();
+    if (KNOWN_PROPERTIES.has(key)) {
+      value = value.toLowerCase();
+    }
+    if (section) {
+      section.properties[key] = value;
+    } else if (key === "root") {
+      config2.root = value.toLowerCase() === "true";
+    }
+  });
+  return config2;
+}
+function normalizeProperties(properties2) {
+  const result = { ...properties2 };
+  Object.entries(result).forEach(([key, value]) => {
+    if (value === "unset") {
+      delete result[key];
+    } else if (value === "true" || value === "false") {
+      result[key] = value === "true";
+    } else if (/^\d+$/.test(value)) {
+      result[key] = Number(value);
+    }
+  });
+  if (result.indent_style === "tab" && result.indent_size === void 0) {
+    result.indent_size = "tab";
+  }
+  if (result.indent_size === "tab" && result.tab_width !== void 0) {
+    result.indent_size = result.tab_width;
+  }
+  if (typeof result.indent_size === "number" && result.tab_width === void 0) {
+    result.tab_width = result.indent_size;
+  }
+  return result;
+}
+var KNOWN_PROPERTIES, MAX_RANGE_SIZE, EditorConfig, editorConfig;
+var init_editorConfig = __esm({
+  "editor/editorConfig.js"() {
+    init_fileSystem();
+    KNOWN_PROPERTIES = /* @__PURE__ */ new Set([
+      "indent_style",
+      "indent_size",
+      "tab_width",
+      "end_of_line",
+      "charset",
+      "trim_trailing_whitespace",
+      "insert_final_newline",
+      "max_line_length"
+    ]);
+    MAX_RANGE_SIZE = 1e3;
+    EditorConfig = class {
+      constructor() {
+        this.rootHandle = null;
+        this.configs = /* @__PURE__ */ new Map();
+      }
+      clear() {
+        this.configs.clear();
+      }
+      async readText(directoryPath) {
+        try {
+          let current = fileSystem.rootHandle;
+          for (const part of directoryPath ? directoryPath.split("/") : []) {
+            current = await current.getDirectoryHandle(part);
+          }
+          const fileHandle = await current.getFileHandle(".editorconfig");
+          return await (await fileHandle.getFile()).text();
+        } catch (err) {
+          return null;
+        }
+      }
+      getConfig(directoryPath) {
+        if (!this.configs.has(directoryPath)) {
+          this.configs.set(directoryPath, this.readText(directoryPath).then((text3) => text3 === null ? null : parseEditorConfig(text3)));
+        }
+        return this.configs.get(directoryPath);
+      }
+      // junta as seções que casam com o arquivo, da pasta raiz até a pasta do arquivo
+      async resolve(path) {
+        if (!fileSystem.rootHandle || !path) return {};
+        if (this.rootHandle !== fileSystem.rootHandle) {
+          this.rootHandle = fileSystem.rootHandle;
+          this.clear();
+        }
+        const parts = path.split("/");
+        const directories = [""];
+        for (let i = 1; i < parts.length; i++) {
+          directories.push(parts.slice(0, i).join("/"));
+        }
+        const configs = await Promise.all(directories.map((directory) => this.getConfig(directory)));
+        let start = 0;
+        configs.forEach((config2, index) => {
+          if (config2?.root) start = index;
+        });
+        const properties2 = {};
+        for (let index = start; index < configs.length; index++) {
+          const config2 = configs[index];
+          if (!config2) continue;
+          const directory = directories[index];
+          const relativePath = directory ? path.slice(directory.length + 1) : path;
+          config2.sections.forEach((section) => {
+            if (section.matcher?.test(relativePath)) {
+              Object.assign(properties2, section.properties);
+            }
+          });
+        }
+        return normalizeProperties(properties2);
+      }
+    };
+    editorConfig = new EditorConfig();
+  }
+});
+
+// editor/eslintConfig.js
+function emptyConfig() {
+  return { root: false, env: {}, globals: {}, parserOptions: {}, rules: {}, recommended: false };
+}
+function unquote(raw) {
+  const body = raw.slice(1, -1);
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      return body;
+    }
+  }
+  try {
+    return JSON.parse(`"${body.replace(/\\'/g, "'").replace(/"/g, '\\"')}"`);
+  } catch (err) {
+    return body;
+  }
+}
+function propertyKey(node, text3) {
+  const key = node.firstChild;
+  if (!key) return null;
+  const raw = text3.slice(key.from, key.to);
+  if (key.name === "String") return unquote(raw);
+  if (key.name === "PropertyDefinition" || key.name === "Number") return raw;
+  return null;
+}
+function evaluateLiteral(node, text3) {
+  const raw = text3.slice(node.from, node.to);
+  switch (node.name) {
+    case "String":
+      return unquote(raw);
+    case "Number":
+      return Number(raw.replace(/_/g, ""));
+    case "BooleanLiteral":
+      return raw === "true";
+    case "null":
+      return null;
+    case "UnaryExpression": {
+      const operand = node.lastChild;
+      const value = operand ? evaluateLiteral(operand, text3) : void 0;
+      return raw.startsWith("-") && typeof value === "number" ? -value : void 0;
+    }
+    case "ArrayExpression": {
+      const values2 = [];
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.isError || ["[", "]", ","].includes(child.name)) continue;
+        values2.push(evaluateLiteral(child, text3));
+      }
+      return values2;
+    }
+    case "ObjectExpression": {
+      const object2 = {};
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.name !== "Property") continue;
+        const key = propertyKey(child, text3);
+        const value = child.lastChild;
+        if (key === null || !value || value === child.firstChild) continue;
+        object2[key] = evaluateLiteral(value, text3);
+      }
+      return object2;
+    }
+    default:
+      return void 0;
+  }
+}
+function readGlobals(node, text3, config2) {
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.name !== "Property") continue;
+    if (child.firstChild?.name === "Spread") {
+      const env = /^\.\.\.\s*globals\.([\w-]+)$/.exec(text3.slice(child.from, child.to));
+      if (env) config2.env[env[1]] = true;
+    } else {
+      const key = propertyKey(child, text3);
+      const value = evaluateLiteral(child.lastChild, text3);
+      if (key !== null && value !== void 0) config2.globals[key] = value;
+    }
+  }
+}
+function parseFlatConfig(text3) {
+  const config2 = emptyConfig();
+  config2.root = true;
+  config2.recommended = /\bconfigs\.recommended\b|["']eslint:recommended["']/.test(text3);
+  const tree = javascriptLanguage.parser.parse(text3);
+  tree.iterate({
+    enter: (ref) => {
+      if (ref.name !== "Property") return void 0;
+      const node = ref.node;
+      const key = propertyKey(node, text3);
+      const value = node.lastChild;
+      if (!value || value === node.firstChild) return void 0;
+      if (key === "rules" && value.name === "ObjectExpression") {
+        Object.assign(config2.rules, evaluateLiteral(value, text3));
+        return false;
+      }
+      if (key === "globals" && value.name === "ObjectExpression") {
+        readGlobals(value, text3, config2);
+        return false;
+      }
+      if (key === "ecmaVersion" || key === "sourceType") {
+        const literal2 = evaluateLiteral(value, text3);
+        if (literal2 !== void 0) config2.parserOptions[key] = literal2;
+      }
+      return void 0;
+    }
+  });
+  return config2;
+}
+function parseLegacyConfig(data2) {
+  const config2 = emptyConfig();
+  if (!data2 || typeof data2 !== "object") return config2;
+  const extendsList = [].concat(data2.extends || []);
+  config2.root = data2.root === true;
+  config2.env = { ...data2.env };
+  config2.globals = { ...data2.globals };
+  config2.parserOptions = { ...data2.parserOptions };
+  config2.rules = { ...data2.rules };
+  config2.recommended = extendsList.includes("eslint:recommended");
+  return config2;
+}
+function mergeConfigs(configs) {
+  const merged = emptyConfig();
+  configs.forEach((config2) => {
+    Object.assign(merged.env, config2.env);
+    Object.assign(merged.globals, config2.globals);
+    merged.parserOptions = {
+      ...merged.parserOptions,
+      ...config2.parserOptions,
+      ecmaFeatures: { ...merged.parserOptions.ecmaFeatures, ...config2.parserOptions.ecmaFeatures }
+    };
+    Object.assign(merged.rules, config2.rules);
+    merged.recommended = merged.recommended || config2.recommended;
+  });
+  return merged;
+}
+var LEGACY_CONFIG_FILES, FLAT_CONFIG_FILES, ESLINT_CONFIG_FILES, KNOWN_ENVS, TYPESCRIPT_PARSER, TYPESCRIPT_FILES, TYPESCRIPT_OFF_RULES, TYPE_AWARE_OPTIONS, DEFAULT_CONFIG, EslintConfig, eslintConfig;
+var init_eslintConfig = __esm({
+  "editor/eslintConfig.js"() {
+    init_dist10();
+    init_fileSystem();
+    init_jsonc();
+    LEGACY_CONFIG_FILES = [".eslintrc.json", ".eslintrc"];
+    FLAT_CONFIG_FILES = ["eslint.config.js", "eslint.config.mjs", "eslint.config.cjs"];
+    ESLINT_CONFIG_FILES = /* @__PURE__ */ new Set([...LEGACY_CONFIG_FILES, ...FLAT_CONFIG_FILES, "package.json"]);
+    KNOWN_ENVS = /* @__PURE__ */ new Set([
+      "browser",
+      "node",
+      "commonjs",
+      "shared-node-browser",
+      "worker",
+      "serviceworker",
+      "webextensions",
+      "amd",
+      "mocha",
+      "jasmine",
+      "jest",
+      "jquery",
+      "greasemonkey",
+      "es6",
+      "es2016",
+      "es2017",
+      "es2018",
+      "es2019",
+      "es2020",
+      "es2021",
+      "es2022",
+      "es2023",
+      "es2024"
+    ]);
+    TYPESCRIPT_PARSER = "@typescript-eslint/parser";
+    TYPESCRIPT_FILES = /\.(?:ts|tsx|mts|cts)$/i;
+    TYPESCRIPT_OFF_RULES = /* @__PURE__ */ new Set([
+      "constructor-super",
+      "getter-return",
+      "no-class-assign",
+      "no-const-assign",
+      "no-dupe-args",
+      "no-dupe-class-members",
+      "no-dupe-keys",
+      "no-func-assign",
+      "no-import-assign",
+      "no-new-native-nonconstructor",
+      "no-obj-calls",
+      "no-redeclare",
+      "no-setter-return",
+      "no-this-before-super",
+      "no-undef",
+      "no-unreachable",
+      "no-unsafe-negation",
+      "no-unused-vars",
+      "no-with"
+    ]);
+    TYPE_AWARE_OPTIONS = ["project", "projectService", "programs", "tsconfigRootDir"];
+    DEFAULT_CONFIG = {
+      env: { browser: true, node: true, es2024: true },
+      globals: {},
+      parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+      rules: {},
+      recommended: true
+    };
+    EslintConfig = class {
+      constructor() {
+        this.rootHandle = null;
+        this.directories = /* @__PURE__ */ new Map();
+      }
+      clear() {
+        this.directories.clear();
+      }
+      async readText(directoryPath, fileName) {
+        try {
+          let current = fileSystem.rootHandle;
+          for (const part of directoryPath ? directoryPath.split("/") : []) {
+            current = await current.getDirectoryHandle(part);
+          }
+          const fileHandle = await current.getFileHandle(fileName);
+          return await (await fileHandle.getFile()).text();
+        } catch (err) {
+          return null;
+        }
+      }
+      async readDirectory(directoryPath) {
+        for (const fileName of FLAT_CONFIG_FILES) {
+          const text3 = await this.readText(directoryPath, fileName);
+          if (text3 !== null) return { flat: parseFlatConfig(text3) };
+        }
+        for (const fileName of LEGACY_CONFIG_FILES) {
+          const text3 = await this.readText(directoryPath, fileName);
+          if (text3 === null) continue;
+          try {
+            return { legacy: parseLegacyConfig(JSON.parse(stripJsonc(text3))) };
+          } catch (err) {
+            console.warn(`Invalid ESLint config ${fileName}:`, err);
+          }
+        }
+        const packageText = await this.readText(directoryPath, "package.json");
+        if (packageText !== null) {
+          try {
+            const { eslintConfig: eslintConfig2 } = JSON.parse(packageText);
+            if (eslintConfig2) return { legacy: parseLegacyConfig(eslintConfig2) };
+          } catch (err) {
+          }
+        }
+        return {};
+      }
+      getDirectoryConfig(directoryPath) {
+        if (!this.directories.has(directoryPath)) {
+          this.directories.set(directoryPath, this.readDirectory(directoryPath));
+        }
+        return this.directories.get(directoryPath);
+      }
+      // o eslint.config.* mais próximo vale sozinho; os .eslintrc se acumulam até um root: true
+      async resolve(path) {
+        if (!fileSystem.rootHandle || !path) return DEFAULT_CONFIG;
+        if (this.rootHandle !== fileSystem.rootHandle) {
+          this.rootHandle = fileSystem.rootHandle;
+          this.clear();
+        }
+        const parts = path.split("/");
+        const directories = [""];
+        for (let i = 1; i < parts.length; i++) {
+          directories.push(parts.slice(0, i).join("/"));
+        }
+        const found = await Promise.all(directories.map((directory) => this.getDirectoryConfig(directory)));
+        const legacy = [];
+        for (let index = found.length - 1; index >= 0; index--) {
+          const { flat, legacy: config2 } = found[index];
+          if (flat) return legacy.length ? mergeConfigs(legacy.reverse()) : flat;
+          if (config2) {
+            legacy.push(config2);
+            if (config2.root) break;
+          }
+        }
+        return legacy.length ? mergeConfigs(legacy.reverse()) : DEFAULT_CONFIG;
+      }
+      // monta a configuração do Linter, descartando plugins e regras desconhecidas
+      async getLinterConfig(path, knownRules) {
+        const config2 = await this.resolve(path);
+        const typescript = TYPESCRIPT_FILES.test(path);
+        const rules = {};
+        if (config2.recommended) {
+          knownRules.forEach((rule, name2) => {
+            if (!rule.meta?.docs?.recommended || rule.meta.deprecated) return;
+            if (!(typescript && TYPESCRIPT_OFF_RULES.has(name2))) rules[name2] = "error";
+          });
+        }
+        Object.entries(config2.rules).forEach(([name2, value]) => {
+          if (knownRules.has(name2)) rules[name2] = value;
+        });
+        const env = {};
+        Object.entries(config2.env).forEach(([name2, value]) => {
+          if (KNOWN_ENVS.has(name2)) env[name2] = value;
+        });
+        const jsx2 = /\.[jt]sx$/i.test(path) || Boolean(config2.parserOptions.ecmaFeatures?.jsx);
+        const parserOptions = {
+          ecmaVersion: "latest",
+          sourceType: /\.c[jt]s$/i.test(path) ? "script" : "module",
+          ...config2.parserOptions,
+          ecmaFeatures: { ...config2.parserOptions.ecmaFeatures, jsx: jsx2 }
+        };
+        if (typescript) {
+          TYPE_AWARE_OPTIONS.forEach((option) => delete parserOptions[option]);
+        }
+        return {
+          ...typescript ? { parser: TYPESCRIPT_PARSER } : {},
+          env,
+          globals: config2.globals,
+          parserOptions,
+          rules
+        };
+      }
+    };
+    eslintConfig = new EslintConfig();
+  }
+});
+
+// editor/diagnostics.js
+function getLintKind(path) {
+  const name2 = path.split("/").pop();
+  if (JSONC_FILES.test(name2)) return "jsonc";
+  const ext = name2.includes(".") ? name2.split(".").pop().toLowerCase() : "";
+  if (ext === "json") return "json";
+  if (ESLINT_EXTENSIONS.has(ext)) return "eslint";
+  if (SYNTAX_EXTENSIONS.has(ext)) return "syntax";
+  return null;
+}
+function syntaxDiagnostics(state) {
+  const tree = ensureSyntaxTree(state, state.doc.length, 1e3) || syntaxTree(state);
+  const diagnostics2 = [];
+  let lastEnd = -1;
+  tree.iterate({
+    enter: (node) => {
+      if (!node.type.isError || diagnostics2.length >= MAX_SYNTAX_ERRORS) return;
+      if (node.from <= lastEnd) return;
+      let { from, to } = node;
+      const line = state.doc.lineAt(from);
+      const token = state.sliceDoc(from, Math.min(to, line.to)).trim();
+      if (from === to) {
+        if (to < line.to) to += 1;
+        else if (from > line.from) from -= 1;
+      }
+      diagnostics2.push({
+        from,
+        to,
+        severity: "error",
+        source: "syntax",
+        message: token ? `Syntax error: unexpected "${token.slice(0, 40)}"` : "Syntax error"
+      });
+      lastEnd = Math.max(node.to, to);
+    }
+  });
+  return diagnostics2;
+}
+function jsonErrorPosition(err, doc2) {
+  const position = /at position (\d+)/.exec(err.message);
+  if (position) return Math.min(Number(position[1]), doc2.length);
+  const lineColumn = /line (\d+) column (\d+)/.exec(err.message);
+  if (lineColumn) {
+    const line = doc2.line(Math.min(Number(lineColumn[1]), doc2.lines));
+    return Math.min(line.from + Number(lineColumn[2]) - 1, line.to);
+  }
+  return doc2.length;
+}
+function jsonDiagnostics(state, allowComments) {
+  const text3 = state.doc.toString();
+  if (!text3.trim()) return [];
+  try {
+    JSON.parse(allowComments ? stripJsonc(text3) : text3);
+    return [];
+  } catch (err) {
+    const from = jsonErrorPosition(err, state.doc);
+    return [{
+      from,
+      to: Math.min(from + 1, state.doc.length),
+      severity: "error",
+      source: "json",
+      message: err.message.replace(/^JSON\.parse: /, "")
+    }];
+  }
+}
+function toPosition(doc2, line, column) {
+  const lineInfo = doc2.line(Math.max(1, Math.min(line, doc2.lines)));
+  return Math.min(lineInfo.from + Math.max(0, column - 1), lineInfo.to);
+}
+var LINT_DELAY, REFRESH_DELAY2, MAX_SYNTAX_ERRORS, SEVERITY_ICONS, ESLINT_EXTENSIONS, SYNTAX_EXTENSIONS, JSONC_FILES, Diagnostics, diagnostics;
+var init_diagnostics = __esm({
+  "editor/diagnostics.js"() {
+    init_dist24();
+    init_dist5();
+    init_eslintConfig();
+    init_jsonc();
+    LINT_DELAY = 500;
+    REFRESH_DELAY2 = 600;
+    MAX_SYNTAX_ERRORS = 100;
+    SEVERITY_ICONS = { error: "\u2297", warning: "\u26A0", info: "\u2139" };
+    ESLINT_EXTENSIONS = /* @__PURE__ */ new Set(["js", "jsx", "mjs", "cjs", "ts", "tsx", "mts", "cts"]);
+    SYNTAX_EXTENSIONS = /* @__PURE__ */ new Set(["css", "scss", "less", "py", "python"]);
+    JSONC_FILES = /^(?:[tj]sconfig(?:\..+)?\.json|\.eslintrc(?:\.json)?|\.babelrc|settings\.json|.+\.jsonc|.+\.code-snippets)$/i;
+    Diagnostics = class {
+      constructor() {
+        this.editor = null;
+        this.results = /* @__PURE__ */ new WeakMap();
+        this.problems = /* @__PURE__ */ new Map();
+        this.entries = [];
+        this.linter = null;
+        this.typescriptParser = null;
+        this.refreshTimer = null;
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+        document.getElementById("problemsList")?.addEventListener("click", (e) => {
+          const item = e.target.closest("[data-problem-index]");
+          const entry = this.entries[Number(item?.dataset.problemIndex)];
+          if (entry) {
+            this.editor.openFile(entry.tab.handle, entry.tab.path, { line: entry.line, column: entry.column });
+          }
+        });
+        document.getElementById("problemsStatus")?.addEventListener("click", () => {
+          this.editor.showSidebarView("problems");
+        });
+        this.render();
+      }
+      getExtensions() {
+        return [
+          linter((view) => this.lintView(view), { delay: LINT_DELAY }),
+          lintGutter()
+        ];
+      }
+      lintView(view) {
+        const tab2 = this.editor?.getGroupForView(view)?.activeTab;
+        if (!tab2 || tab2.viewer) return [];
+        return this.lint(tab2, view.state);
+      }
+      // o resultado fica guardado por documento, então abas divididas e o painel reaproveitam a análise
+      lint(tab2, state) {
+        const kind = getLintKind(tab2.path);
+        const cached = this.results.get(state.doc);
+        if (cached?.path === tab2.path) return cached.promise;
+        const promise = this.compute(kind, tab2.path, state).catch((err) => {
+          console.error("Lint failed:", err);
+          return [];
+        }).then((diagnostics2) => {
+          if (this.editor?.openTabs.includes(tab2) && tab2.state.doc === state.doc) {
+            this.problems.set(tab2, { doc: state.doc, diagnostics: diagnostics2 });
+            this.render();
+          }
+          return diagnostics2;
+        });
+        this.results.set(state.doc, { path: tab2.path, promise });
+        return promise;
+      }
+      async compute(kind, path, state) {
+        switch (kind) {
+          case "eslint":
+            return this.eslintDiagnostics(path, state);
+          case "syntax":
+            return syntaxDiagnostics(state);
+          case "json":
+          case "jsonc":
+            return jsonDiagnostics(state, kind === "jsonc");
+          default:
+            return [];
+        }
+      }
+      async loadLinter() {
+        if (!this.linter) {
+          this.linter = import("./chunks/linter-4S73CC3J.js").then(({ Linter }) => {
+            const instance = new Linter({ configType: "eslintrc" });
+            return { instance, rules: instance.getRules() };
+          });
+          this.linter.catch(() => {
+            this.linter = null;
+          });
+        }
+        return this.linter;
+      }
+      // o parser do typescript-eslint traz o compilador do TypeScript inteiro; só é baixado no primeiro arquivo TS
+      async loadTypescriptParser() {
+        if (!this.typescriptParser) {
+          this.typescriptParser = Promise.all([this.loadLinter(), import("./chunks/browser-G4GZDPM3.js")]).then(async ([{ instance }, { default: process2 }]) => {
+            globalThis.process = globalThis.process || process2;
+            const { parseForESLint } = await import("./chunks/dist-NLD243X5.js");
+            instance.defineParser(TYPESCRIPT_PARSER, { parseForESLint });
+          });
+          this.typescriptParser.catch(() => {
+            this.typescriptParser = null;
+          });
+        }
+        return this.typescriptParser;
+      }
+      async eslintDiagnostics(path, state) {
+        const { instance, rules } = await this.loadLinter();
+        const config2 = await eslintConfig.getLinterConfig(path, rules);
+        if (config2.parser === TYPESCRIPT_PARSER) {
+          await this.loadTypescriptParser();
+        }
+        const { doc: doc2 } = state;
+        let messages;
+        try {
+          messages = instance.verify(doc2.toString(), config2, { filename: path });
+        } catch (err) {
+          return [{ from: 0, to: 0, severity: "warning", source: "eslint", message: `ESLint configuration error: ${err.message}` }];
+        }
+        return messages.map((message) => {
+          const from = toPosition(doc2, message.line || 1, message.column || 1);
+          let to = message.endLine ? toPosition(doc2, message.endLine, message.endColumn || 1) : from;
+          if (to <= from) to = Math.min(from + 1, doc2.lineAt(from).to);
+          return {
+            from,
+            to: Math.max(from, to),
+            severity: message.severity === 2 ? "error" : "warning",
+            source: "eslint",
+            message: message.ruleId ? `${message.message} (${message.ruleId})` : message.message
+          };
+        });
+      }
+      // também analisa as abas abertas que não estão visíveis, para o painel Problems
+      scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY2);
+      }
+      refresh() {
+        clearTimeout(this.refreshTimer);
+        if (!this.editor) return;
+        const openTabs = this.editor.openTabs;
+        [...this.problems.keys()].forEach((tab2) => {
+          if (!openTabs.includes(tab2) || tab2.viewer) this.problems.delete(tab2);
+        });
+        openTabs.forEach((tab2) => {
+          if (!tab2.viewer && tab2.state) this.lint(tab2, tab2.state);
+        });
+        this.render();
+      }
+      // descarta os resultados guardados (por exemplo, depois de salvar uma configuração do ESLint)
+      relintAll() {
+        this.results = /* @__PURE__ */ new WeakMap();
+        this.editor?.groups.forEach((group) => {
+          if (group.view) forceLinting(group.view);
+        });
+        this.refresh();
+      }
+      getCounts() {
+        let errors = 0;
+        let warnings = 0;
+        this.problems.forEach(({ diagnostics: diagnostics2 }) => {
+          diagnostics2.forEach((diagnostic) => {
+            if (diagnostic.severity === "error") errors += 1;
+            else warnings += 1;
+          });
+        });
+        return { errors, warnings };
+      }
+      render() {
+        const { errors, warnings } = this.getCounts();
+        const status = document.getElementById("problemsStatus");
+        if (status) {
+          status.textContent = `${SEVERITY_ICONS.error} ${errors} ${SEVERITY_ICONS.warning} ${warnings}`;
+          status.title = `${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+        }
+        this.renderList();
+      }
+      renderList() {
+        const list = document.getElementById("problemsList");
+        if (!list) return;
+        list.innerHTML = "";
+        this.entries = [];
+        const files = [...this.problems.entries()].filter(([, { diagnostics: diagnostics2 }]) => diagnostics2.length).sort(([a], [b]) => a.path.localeCompare(b.path));
+        if (!files.length) {
+          const empty2 = document.createElement("div");
+          empty2.className = "outline-empty";
+          empty2.textContent = "No problems have been detected in the open files.";
+          list.appendChild(empty2);
+          return;
+        }
+        const fragment = document.createDocumentFragment();
+        files.forEach(([tab2, { doc: doc2, diagnostics: diagnostics2 }]) => {
+          const header = document.createElement("div");
+          header.className = "search-file-header";
+          header.title = tab2.path;
+          const name2 = document.createElement("span");
+          name2.className = "search-file-name";
+          name2.textContent = tab2.name;
+          const dir = document.createElement("span");
+          dir.className = "search-file-dir";
+          dir.textContent = tab2.path.split("/").slice(0, -1).join("/");
+          const count2 = document.createElement("span");
+          count2.className = "search-file-count";
+          count2.textContent = String(diagnostics2.length);
+          header.appendChild(name2);
+          header.appendChild(dir);
+          header.appendChild(count2);
+          fragment.appendChild(header);
+          [...diagnostics2].sort((a, b) => a.from - b.from).forEach((diagnostic) => {
+            const line = doc2.lineAt(Math.min(diagnostic.from, doc2.length));
+            const entry = { tab: tab2, line: line.number, column: diagnostic.from - line.from + 1 };
+            this.entries.push(entry);
+            const item = document.createElement("div");
+            item.className = "problem-item";
+            item.dataset.problemIndex = String(this.entries.length - 1);
+            item.title = diagnostic.message;
+            const icon = document.createElement("span");
+            icon.className = `problem-icon problem-${diagnostic.severity}`;
+            icon.textContent = SEVERITY_ICONS[diagnostic.severity] || SEVERITY_ICONS.info;
+            const message = document.createElement("span");
+            message.className = "problem-message";
+            message.textContent = diagnostic.message;
+            const position = document.createElement("span");
+            position.className = "outline-line";
+            position.textContent = `Ln ${entry.line}, Col ${entry.column}`;
+            item.appendChild(icon);
+            item.appendChild(message);
+            item.appendChild(position);
+            fragment.appendChild(item);
+          });
+        });
+        list.appendChild(fragment);
+      }
+    };
+    diagnostics = new Diagnostics();
+  }
+});
+
+// node_modules/marked/lib/marked.esm.js
+function I() {
+  return { async: false, breaks: false, extensions: null, gfm: true, hooks: null, pedantic: false, renderer: null, silent: false, tokenizer: null, walkTokens: null };
+}
+function W(l3) {
+  y = l3;
+}
+function C2(l3) {
+  let e = [];
+  return (t2) => {
+    let n = Math.max(0, Math.min(3, t2 - 1)), s = e[n];
+    return s || (s = l3(n), e[n] = s), s;
+  };
+}
+function h(l3, e = "") {
+  let t2 = typeof l3 == "string" ? l3 : l3.source, n = { replace: (s, r) => {
+    let o = typeof r == "string" ? r : r.source;
+    return o = o.replace(x.caret, "$1"), t2 = t2.replace(s, o), n;
+  }, getRegex: () => new RegExp(t2, e) };
+  return n;
+}
+function O(l3, e) {
+  if (e) {
+    if (x.escapeTest.test(l3)) return l3.replace(x.escapeReplace, be);
+  } else if (x.escapeTestNoEncode.test(l3)) return l3.replace(x.escapeReplaceNoEncode, be);
+  return l3;
+}
+function Re(l3) {
+  return l3.replace(x.numericCharacterReference, (e, t2, n) => {
+    let s = t2 === void 0 ? Number.parseInt(n, 16) : Number.parseInt(t2, 10);
+    return s === 0 || s > 1114111 || s >= 55296 && s <= 57343 ? "\uFFFD" : String.fromCodePoint(s);
+  });
+}
+function re(l3) {
+  try {
+    l3 = encodeURI(l3).replace(x.percentDecode, "%");
+  } catch {
+    return null;
+  }
+  return l3;
+}
+function se(l3, e) {
+  let t2 = l3.replace(x.findPipe, (r, o, i) => {
+    let u = false, a = o;
+    for (; --a >= 0 && i[a] === "\\"; ) u = !u;
+    return u ? "|" : " |";
+  }), n = t2.split(x.splitPipe), s = 0;
+  if (n[0].trim() || n.shift(), n.length > 0 && !n.at(-1)?.trim() && n.pop(), e) if (n.length > e) n.splice(e);
+  else for (; n.length < e; ) n.push("");
+  for (; s < n.length; s++) n[s] = n[s].trim().replace(x.slashPipe, "|");
+  return n;
+}
+function L(l3, e, t2) {
+  let n = l3.length;
+  if (n === 0) return "";
+  let s = 0;
+  for (; s < n; ) {
+    let r = l3.charAt(n - s - 1);
+    if (r === e && !t2) s++;
+    else if (r !== e && t2) s++;
+    else break;
+  }
+  return l3.slice(0, n - s);
+}
+function ie3(l3) {
+  let e = l3.split(`
+`), t2 = e.length - 1;
+  for (; t2 >= 0 && x.blankLine.test(e[t2]); ) t2--;
+  return e.length - t2 <= 2 ? l3 : e.slice(0, t2 + 1).join(`
+`);
+}
+function q(l3) {
+  return l3.trim().toLowerCase().toUpperCase().toLowerCase();
+}
+function Te(l3, e) {
+  if (l3.indexOf(e[1]) === -1) return -1;
+  let t2 = 0;
+  for (let n = 0; n < l3.length; n++) if (l3[n] === "\\") n++;
+  else if (l3[n] === e[0]) t2++;
+  else if (l3[n] === e[1] && (t2--, t2 < 0)) return n;
+  return t2 > 0 ? -2 : -1;
+}
+function oe(l3, e = 0) {
+  let t2 = e, n = "";
+  for (let s of l3) if (s === "	") {
+    let r = 4 - t2 % 4;
+    n += " ".repeat(r), t2 += r;
+  } else n += s, t2++;
+  return n;
+}
+function Oe(l3, e, t2, n, s) {
+  let r = e.href, o = e.title || null, i = l3[1].replace(s.other.outputLinkReplace, "$1"), u = l3[0].charAt(0) === "!";
+  n.state.inLink = true;
+  let a = n.state.linkEmitted, p = n.state.inRawBlock;
+  n.state.linkEmitted = false;
+  let c = n.inlineTokens(i), d = n.state.linkEmitted;
+  if (n.state.linkEmitted = a, n.state.inLink = false, !u) {
+    if (d) {
+      n.state.inRawBlock = p;
+      return;
+    }
+    n.state.linkEmitted = true;
+  }
+  return { type: u ? "image" : "link", raw: t2, href: r, title: o, text: i, tokens: c };
+}
+function yt(l3, e, t2) {
+  let n = l3.match(t2.other.indentCodeCompensation);
+  if (n === null) return e;
+  let s = n[1];
+  return e.split(`
+`).map((r) => {
+    let o = r.match(t2.other.beginningSpace);
+    if (o === null) return r;
+    let [i] = o;
+    return r.slice(Math.min(i.length, s.length));
+  }).join(`
+`);
+}
+function we(l3, e, t2, n) {
+  if (!e.includes("<")) return false;
+  for (let s = 0; s < e.length; s++) {
+    if (e[s] === "\\") {
+      s++;
+      continue;
+    }
+    if (e[s] === "`") {
+      let i = n.inline.code.exec(e.slice(s));
+      if (i) {
+        s += i[0].length - 1;
+        continue;
+      }
+    }
+    if (e[s] !== "<") continue;
+    let r = l3.slice(t2 + s), o = n.inline.tag.exec(r) || n.inline.autolink.exec(r);
+    if (o) {
+      if (o[0].length > e.length - s) return true;
+      s += o[0].length - 1;
+    }
+  }
+  return false;
+}
+function k(l3, e) {
+  return E.parse(l3, e);
+}
+function Pt(...l3) {
+  return E.use(...l3), k.defaults = E.defaults, W(k.defaults), k;
+}
+var y, A, _e, x, $e, Le, ze, G, Ae, J, ce, he, Ee, V, Me, Y, Ie, Ce, N, ee, Be, de, De, qe, ve, te, le, Ze, He, Ge, Ne, ke, Qe, $, B, Q, je, Fe, ge, Ue, Ke, We, fe, Xe, Je, Ve, Ye, me, et, tt, nt, rt, st, it, ot, at, lt2, ut, pt, ct, ht, dt, xe, U, kt, gt, ft, ue, mt, xt, pe, bt, Rt, ne, Tt, X, Ot, j, D, wt, be, P, R, S2, z, T, _, F, E, gn, fn, mn, xn, Rn, Tn;
+var init_marked_esm = __esm({
+  "node_modules/marked/lib/marked.esm.js"() {
+    y = I();
+    A = { exec: () => null };
+    _e = ((l3 = "") => {
+      try {
+        return !!new RegExp("(?<=1)(?<!1)" + l3);
+      } catch {
+        return false;
+      }
+    })();
+    x = { codeRemoveIndent: /^(?: {0,3}\t| {1,4})/gm, outputLinkReplace: /\\([\[\]])/g, indentCodeCompensation: /^(\s+)(?:```)/, beginningSpace: /^\s+/, endingHash: /#$/, startingSpaceChar: /^ /, endingSpaceChar: / $/, endingSpaceTabChar: /[ \t]$/, nonSpaceChar: /[^ ]/, newLineCharGlobal: /\n/g, tabCharGlobal: /\t/g, leadingSpaceTab: /^[ \t]+/, multipleSpaceGlobal: /\s+/g, blankLine: /^[ \t]*$/, doubleBlankLine: /\n[ \t]*\n[ \t]*$/, blockquoteStart: /^ {0,3}>/, blockquoteSetextReplace: /\n {0,3}((?:=+|-+) *)(?=\n|$)/g, blockquoteSetextReplace2: /^ {0,3}>[ \t]?/gm, listReplaceNesting: /^ {1,4}(?=( {4})*[^ ])/g, listIsTask: /^\[[ xX]\] +\S/, listReplaceTask: /^\[[ xX]\] +/, listTaskCheckbox: /\[[ xX]\]/, anyLine: /\n.*\n/, hrefBrackets: /^<(.*)>$/, tableDelimiter: /[:|]/, tableAlignChars: /^\||\| *$/g, tableRowBlankLine: /\n[ \t]*$/, tableAlignRight: /^ *-+: *$/, tableAlignCenter: /^ *:-+: *$/, tableAlignLeft: /^ *:-+ *$/, startATag: /^<a /i, endATag: /^<\/a>/i, startPreScriptTag: /^<(pre|code|kbd|script)(\s|>)/i, endPreScriptTag: /^<\/(pre|code|kbd|script)(\s|>)/i, startAngleBracket: /^</, endAngleBracket: />$/, pedanticHrefTitle: /^([^'"]*[^\s])\s+(['"])(.*)\2/, unicodeAlphaNumeric: /[\p{L}\p{N}]/u, numericCharacterReference: /&#(?:(\d{1,7})|[Xx]([A-Fa-f0-9]{1,6}));/g, escapeTest: /[&<>"']/, escapeReplace: /[&<>"']/g, escapeTestNoEncode: /[<>"']|&(?!(#\d{1,7}|#[Xx][a-fA-F0-9]{1,6}|\w+);)/, escapeReplaceNoEncode: /[<>"']|&(?!(#\d{1,7}|#[Xx][a-fA-F0-9]{1,6}|\w+);)/g, caret: /(^|[^\[])\^/g, percentDecode: /%25/g, findPipe: /\|/g, splitPipe: / \|/, slashPipe: /\\\|/g, carriageReturn: /\r\n|\r/g, spaceLine: /^ +$/gm, notSpaceStart: /^\S*/, endingNewline: /\n$/, listItemRegex: (l3) => new RegExp(`^( {0,3}${l3})((?:[	 ][^\\n]*)?(?:\\n|$))`), nextBulletRegex: C2((l3) => new RegExp(`^ {0,${l3}}(?:[*+-]|\\d{1,9}[.)])((?:[ 	][^\\n]*)?(?:\\n|$))`)), hrRegex: C2((l3) => new RegExp(`^ {0,${l3}}((?:-[ 	]*){3,}|(?:_[ 	]*){3,}|(?:\\*[ 	]*){3,})(?:\\n+|$)`)), fencesBeginRegex: C2((l3) => new RegExp(`^ {0,${l3}}(?:\`\`\`|~~~)`)), headingBeginRegex: C2((l3) => new RegExp(`^ {0,${l3}}#`)), htmlBeginRegex: C2((l3) => new RegExp(`^ {0,${l3}}(?:</?(?:${N})(?: +|$|/?>)|<(?:script|pre|style|textarea|!--))`, "i")), blockquoteBeginRegex: C2((l3) => new RegExp(`^ {0,${l3}}>`)) };
+    $e = /^(?:[ \t]*(?:\n|$))+/;
+    Le = /^((?: {4}| {0,3}\t)[^\n]+(?:\n(?:[ \t]*(?:\n|$))*)?)+/;
+    ze = /^ {0,3}(`{3,}(?=[^`\n]*(?:\n|$))|~{3,})([^\n]*)(?:\n|$)(?:|([\s\S]*?)(?:\n|$))(?: {0,3}\1[~`]* *(?=\n|$)|$)/;
+    G = /^ {0,3}((?:-[\t ]*){3,}|(?:_[ \t]*){3,}|(?:\*[ \t]*){3,})(?:\n+|$)/;
+    Ae = /^ {0,3}(#{1,6})(?=\s|$)(.*)(?:\n+|$)/;
+    J = / {0,3}(?:[*+-]|\d{1,9}[.)])/;
+    ce = /^(?!bull |blockCode|fences|blockquote|heading|html|table)((?:.|\n(?!\s*?\n|bull |fences|blockquote|heading|hr|html|table))+?)\n {0,3}(=+|-+) *(?:\n+|$)/;
+    he = h(ce).replace(/bull/g, J).replace(/blockCode/g, /(?: {4}| {0,3}\t)/).replace(/fences/g, / {0,3}(?:`{3,}|~{3,})/).replace(/blockquote/g, / {0,3}>/).replace(/heading/g, / {0,3}#{1,6}(?:\s|$)/).replace(/hr/g, / {0,3}(?:(?:-[\t ]*){3,}|(?:_[ \t]*){3,}|(?:\*[ \t]*){3,})(?:\n+|$)/).replace(/html/g, / {0,3}<[^\n>]+>\n/).replace(/\|table/g, "").getRegex();
+    Ee = h(ce).replace(/bull/g, J).replace(/blockCode/g, /(?: {4}| {0,3}\t)/).replace(/fences/g, / {0,3}(?:`{3,}|~{3,})/).replace(/blockquote/g, / {0,3}>/).replace(/heading/g, / {0,3}#{1,6}(?:\s|$)/).replace(/hr/g, / {0,3}(?:(?:-[\t ]*){3,}|(?:_[ \t]*){3,}|(?:\*[ \t]*){3,})(?:\n+|$)/).replace(/html/g, / {0,3}<[^\n>]+>\n/).replace(/table/g, / {0,3}\|?(?:[:\- ]*\|)+[\:\- ]*\n/).getRegex();
+    V = /^([^\n]+(?:\n(?!hr|heading|lheading|blockquote|fences|list|html|table|[ \t]+\n)[^\n]+)*)/;
+    Me = /^[^\n]+/;
+    Y = /(?!\s*\])(?:\\[\s\S]|[^\[\]\\])+/;
+    Ie = h(/^ {0,3}\[(label)\]: *(?:\n[ \t]*)?([^<\s][^\s]*|<.*?>)(?:(?: +(?:\n[ \t]*)?| *\n[ \t]*)(title))? *(?:\n+|$)/).replace("label", Y).replace("title", /(?:"(?:\\"?|[^"\\])*"|'[^'\n]*(?:\n[^'\n]+)*\n?'|\([^()]*\))/).getRegex();
+    Ce = h(/^(bull)([ \t][^\n]*?)?(?:\n|$)/).replace(/bull/g, J).getRegex();
+    N = "address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|meta|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul";
+    ee = /<!--(?:-?>|[\s\S]*?(?:-->|$))/;
+    Be = h("^ {0,3}(?:<(script|pre|style|textarea)[\\s>][\\s\\S]*?(?:</\\1>[^\\n]*\\n*|$)|comment[^\\n]*(\\n+|$)|<\\?[\\s\\S]*?(?:\\?>[^\\n]*\\n*|$)|<![A-Z][\\s\\S]*?(?:>[^\\n]*\\n*|$)|<!\\[CDATA\\[[\\s\\S]*?(?:\\]\\]>[^\\n]*\\n*|$)|</?(tag)(?: +|\\n|/?>)[\\s\\S]*?(?:(?:\\n[ 	]*)+\\n|$)|<(?!script|pre|style|textarea)([a-z][a-z0-9-]*)(?:attribute)*? */?>(?=[ \\t]*(?:\\n|$))[\\s\\S]*?(?:(?:\\n[ 	]*)+\\n|$)|</(?!script|pre|style|textarea)[a-z][a-z0-9-]*\\s*>(?=[ \\t]*(?:\\n|$))[\\s\\S]*?(?:(?:\\n[ 	]*)+\\n|$))", "i").replace("comment", ee).replace("tag", N).replace("attribute", / +[a-zA-Z:_][\w.:-]*(?: *= *"[^"\n]*"| *= *'[^'\n]*'| *= *[^\s"'=<>`]+)?/).getRegex();
+    de = (l3) => h(V).replace("hr", G).replace("heading", " {0,3}#{1,6}(?:\\s|$)").replace("|lheading", "").replace("|table", "").replace("blockquote", " {0,3}>").replace("fences", " {0,3}(?:`{3,}(?=[^`\\n]*(?:\\n|$))|~~~)[^\\n]*(?:\\n|$)").replace("list", l3).replace("html", "</?(?:tag)(?: +|\\n|/?>)|<(?:script|pre|style|textarea|!--)").replace("tag", N).getRegex();
+    De = de(/ {0,3}(?:[*+-]|1[.)])[ \t]+[^ \t\n]/);
+    qe = de(/ {0,3}(?:[*+-]|\d{1,9}[.)])(?:[ \t]|\n|$)/);
+    ve = h(/^( {0,3}> ?(paragraph|[^\n]*)(?:\n|$))+/).replace("paragraph", qe).getRegex();
+    te = { blockquote: ve, code: Le, def: Ie, fences: ze, heading: Ae, hr: G, html: Be, lheading: he, list: Ce, newline: $e, paragraph: De, table: A, text: Me };
+    le = h("^ *([^\\n ].*)\\n {0,3}((?:\\| *)?:?-+:? *(?:\\| *:?-+:? *)*(?:\\| *)?)(?:\\n((?:(?! *\\n|hr|heading|blockquote|code|fences|list|html).*(?:\\n|$))*)\\n*|$)").replace("hr", G).replace("heading", " {0,3}#{1,6}(?:\\s|$)").replace("blockquote", " {0,3}>").replace("code", "(?: {4}| {0,3}	)[^\\n]").replace("fences", " {0,3}(?:`{3,}(?=[^`\\n]*(?:\\n|$))|~~~)[^\\n]*(?:\\n|$)").replace("list", " {0,3}(?:[*+-]|1[.)])[ \\t]").replace("html", "</?(?:tag)(?: +|\\n|/?>)|<(?:script|pre|style|textarea|!--)").replace("tag", N).getRegex();
+    Ze = { ...te, lheading: Ee, table: le, paragraph: h(V).replace("hr", G).replace("heading", " {0,3}#{1,6}(?:\\s|$)").replace("|lheading", "").replace("table", le).replace("blockquote", " {0,3}>").replace("fences", " {0,3}(?:`{3,}(?=[^`\\n]*(?:\\n|$))|~~~)[^\\n]*(?:\\n|$)").replace("list", " {0,3}(?:[*+-]|1[.)])[ \\t]+[^ \\t\\n]").replace("html", "</?(?:tag)(?: +|\\n|/?>)|<(?:script|pre|style|textarea|!--)").replace("tag", N).getRegex() };
+    He = { ...te, html: h(`^ *(?:comment *(?:\\n|\\s*$)|<(tag)[\\s\\S]+?</\\1> *(?:\\n{2,}|\\s*$)|<tag(?:"[^"]*"|'[^']*'|\\s[^'"/>\\s]*)*?/?> *(?:\\n{2,}|\\s*$))`).replace("comment", ee).replace(/tag/g, "(?!(?:a|em|strong|small|s|cite|q|dfn|abbr|data|time|code|var|samp|kbd|sub|sup|i|b|u|mark|ruby|rt|rp|bdi|bdo|span|br|wbr|ins|del|img)\\b)\\w+(?!:|[^\\w\\s@]*@)\\b").getRegex(), def: /^ *\[([^\]]+)\]: *<?([^\s>]+)>?(?: +(["(][^\n]+[")]))? *(?:\n+|$)/, heading: /^(#{1,6})(.*)(?:\n+|$)/, fences: A, lheading: /^(.+?)\n {0,3}(=+|-+) *(?:\n+|$)/, paragraph: h(V).replace("hr", G).replace("heading", ` *#{1,6} *[^
+]`).replace("lheading", he).replace("|table", "").replace("blockquote", " {0,3}>").replace("|fences", "").replace("|list", "").replace("|html", "").replace("|tag", "").getRegex() };
+    Ge = /^\\([!"#$%&'()*+,\-./:;<=>?@\[\]\\^_`{|}~])/;
+    Ne = /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/;
+    ke = /^( {2,}|\\)\n(?!\s*$)[ \t]*/;
+    Qe = /^(`+|[^`])(?:(?= {2,}\n)|[\s\S]*?(?:(?=[\\<!\[`*_]|\b_|$)|[^ ](?= {2,}\n)))/;
+    $ = /[\p{P}\p{S}]/u;
+    B = /[\s\p{P}\p{S}]/u;
+    Q = /[^\s\p{P}\p{S}]/u;
+    je = h(/^((?![*_])punctSpace)/, "u").replace(/punctSpace/g, B).getRegex();
+    Fe = /[\p{Pi}\p{Ps}"']/u;
+    ge = /(?!~)[\p{P}\p{S}]/u;
+    Ue = /(?!~)[\s\p{P}\p{S}]/u;
+    Ke = /(?:[^\s\p{P}\p{S}]|~)/u;
+    We = h(/link|precode-code|html/, "g").replace("link", /\[(?:[^\[\]`]|(?<a>`+)[^`]+\k<a>(?!`))*?\]\((?:\\[\s\S]|[^\\\(\)]|\((?:\\[\s\S]|[^\\\(\)])*\))*\)/).replace("precode-", _e ? "(?<!`)()" : "(^^|[^`])").replace("code", /(?<b>`+)[^`]+\k<b>(?!`)/).replace("html", /<(?! )[^<>]*?>/).getRegex();
+    fe = /^(?:\*+(?:((?!\*)punct)|([^\s*]))?)|^_+(?:((?!_)punct)|([^\s_]))?/;
+    Xe = h(fe, "u").replace(/punct/g, $).getRegex();
+    Je = h(fe, "u").replace(/punct/g, ge).getRegex();
+    Ve = /^(?:\*+(?:((?!\*)(?!openQuote)punct)|([^\s*]))?)|^_+(?:((?!_)(?!openQuote)punct)|([^\s_]))?/;
+    Ye = h(Ve, "u").replace(/openQuote/g, Fe).replace(/punct/g, $).getRegex();
+    me = "^[^_*]*?__[^_*]*?\\*[^_*]*?(?=__)|[^*]+(?=[^*])|(?!\\*)punct(\\*+)(?=[\\s]|$)|notPunctSpace(\\*+)(?!\\*)(?=punctSpace|$)|(?!\\*)punctSpace(\\*+)(?=notPunctSpace)|[\\s](\\*+)(?!\\*)(?=punct)|(?!\\*)punct(\\*+)(?!\\*)(?=punct)|notPunctSpace(\\*+)(?=notPunctSpace)";
+    et = h(me, "gu").replace(/notPunctSpace/g, Q).replace(/punctSpace/g, B).replace(/punct/g, $).getRegex();
+    tt = h(me, "gu").replace(/notPunctSpace/g, Ke).replace(/punctSpace/g, Ue).replace(/punct/g, ge).getRegex();
+    nt = "^[^_*]*?__[^_*]*?\\*[^_*]*?(?=__)|[^*]+(?=[^*])|(?!\\*)punct(\\*+)(?=[\\s]|$)|notPunctSpace(\\*+)(?!\\*)(?=punctSpace|$)|(?!\\*)[\\s](\\*+)(?=notPunctSpace)|[\\s](\\*+)(?!\\*)(?=punct)|(?!\\*)punct(\\*+)(?!\\*)(?=punct)|(?:(?!\\*)punct|notPunctSpace)(\\*+)(?!\\*)(?=notPunctSpace)";
+    rt = h(nt, "gu").replace(/notPunctSpace/g, Q).replace(/punctSpace/g, B).replace(/punct/g, $).getRegex();
+    st = h("^[^_*]*?\\*\\*[^_*]*?_[^_*]*?(?=\\*\\*)|[^_]+(?=[^_])|(?!_)punct(_+)(?=[\\s]|$)|notPunctSpace(_+)(?!_)(?=punctSpace|$)|(?!_)punctSpace(_+)(?=notPunctSpace)|[\\s](_+)(?!_)(?=punct)|(?!_)punct(_+)(?!_)(?=punct)", "gu").replace(/notPunctSpace/g, Q).replace(/punctSpace/g, B).replace(/punct/g, $).getRegex();
+    it = "^[^_*]*?\\*\\*[^_*]*?_[^_*]*?(?=\\*\\*)|[^_]+(?=[^_])|(?!_)punct(_+)(?=[\\s]|$)|notPunctSpace(_+)(?!_)(?=punctSpace|$)|(?!_)[\\s](_+)(?=notPunctSpace)|[\\s](_+)(?!_)(?=punct)|(?!_)punct(_+)(?!_)(?=punct)|(?:(?!_)punct|notPunctSpace)(_+)(?!_)(?=notPunctSpace)";
+    ot = h(it, "gu").replace(/notPunctSpace/g, Q).replace(/punctSpace/g, B).replace(/punct/g, $).getRegex();
+    at = h(/^~~?(?:((?!~)punct)|[^\s~])/, "u").replace(/punct/g, $).getRegex();
+    lt2 = "^[^~]+(?=[^~])|(?!~)punct(~~?)(?=[\\s]|$)|notPunctSpace(~~?)(?!~)(?=punctSpace|$)|(?!~)punctSpace(~~?)(?=notPunctSpace)|[\\s](~~?)(?!~)(?=punct)|(?!~)punct(~~?)(?!~)(?=punct)|notPunctSpace(~~?)(?=notPunctSpace)";
+    ut = h(lt2, "gu").replace(/notPunctSpace/g, Q).replace(/punctSpace/g, B).replace(/punct/g, $).getRegex();
+    pt = h(/\\(punct)/, "gu").replace(/punct/g, $).getRegex();
+    ct = h(/^<(scheme:[^\s\x00-\x1f<>]*|email)>/).replace("scheme", /[a-zA-Z][a-zA-Z0-9+.-]{1,31}/).replace("email", /[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+(@)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+(?![-_])/).getRegex();
+    ht = h(ee).replace("(?:-->|$)", "-->").getRegex();
+    dt = h("^comment|^</[a-zA-Z][a-zA-Z0-9-]*\\s*>|^<[a-zA-Z][a-zA-Z0-9-]*(?:attribute)*?\\s*/?>|^<\\?[\\s\\S]*?\\?>|^<![a-zA-Z]+\\s[\\s\\S]*?>|^<!\\[CDATA\\[[\\s\\S]*?\\]\\]>").replace("comment", ht).replace("attribute", /\s+[a-zA-Z:_][\w.:-]*(?:\s*=\s*"[^"]*"|\s*=\s*'[^']*'|\s*=\s*[^\s"'=<>`]+)?/).getRegex();
+    xe = /\[(?:\\[\s\S]|[^\[\]\\])*\]/;
+    U = h(/(?:\[(?:brackets|\\[\s\S]|[^\[\]\\])*\]|\\[\s\S]|`+(?!`)[^`]*?`+(?!`)|``+(?=\])|[^\[\]\\`])*?/).replace("brackets", xe).getRegex();
+    kt = h(/^!?\[(label)\]\(\s*(href)(?:(?:[ \t]+(?:\n[ \t]*)?|\n[ \t]*)(title))?\s*\)/).replace("label", U).replace("href", /<(?:\\.|[^\n<>\\])+>|[^ \t\n\x00-\x1f]+|(?=\))/).replace("title", /"(?:\\"?|[^"\\])*"|'(?:\\'?|[^'\\])*'|\((?:\\\)?|[^)\\])*\)/).getRegex();
+    gt = h(/^!?\[(label)\]\[(ref)\]/).replace("label", U).replace("ref", Y).getRegex();
+    ft = h(/^!?\[(ref)\](?:\[\])?/).replace("ref", Y).getRegex();
+    ue = /(?!\s*\])(?:\\[\s\S]|[^\[\]\\]){1,999}/;
+    mt = h(/(?:[^\[\]\\`]*(?:\[(?:brackets|\\[\s\S]|[^\[\]\\])*\]|\\[\s\S]|`+(?!`)[^`]*?`+(?!`)|``+(?=\]))){0,999}?[^\[\]\\`]*?/).replace("brackets", xe).getRegex();
+    xt = h("reflink|nolink(?!\\()", "g").replace("reflink", h(/^!?\[(label)\]\[(ref)\]/).replace("label", mt).replace("ref", ue).getRegex()).replace("nolink", h(/^!?\[(ref)\](?:\[\])?/).replace("ref", ue).getRegex()).getRegex();
+    pe = /[hH][tT][tT][pP][sS]?|[fF][tT][pP]/;
+    bt = /[A-Za-z0-9._+-]+@[a-zA-Z0-9-_]+(?:\.[a-zA-Z0-9-_]*[a-zA-Z0-9])+(?![\w-])/;
+    Rt = h(/(?:mailto:email|xmpp:email(?:\/[A-Za-z0-9@.]+)?)/).replace(/email/g, bt).getRegex();
+    ne = { _backpedal: A, anyPunctuation: pt, autolink: ct, blockSkip: We, br: ke, code: Ne, del: A, delLDelim: A, delRDelim: A, emStrongLDelim: Xe, emStrongRDelimAst: et, emStrongRDelimUnd: st, escape: Ge, link: kt, nolink: ft, punctuation: je, reflink: gt, reflinkSearch: xt, tag: dt, text: Qe, url: A };
+    Tt = { ...ne, emStrongLDelim: Ye, emStrongRDelimAst: rt, emStrongRDelimUnd: ot, link: h(/^!?\[(label)\]\((.*?)\)/).replace("label", U).getRegex(), reflink: h(/^!?\[(label)\]\s*\[([^\]]*)\]/).replace("label", U).getRegex() };
+    X = { ...ne, emStrongRDelimAst: tt, emStrongLDelim: Je, delLDelim: at, delRDelim: ut, url: h(/^emailProtocol|^((?:protocol):\/\/|www\.)(?:[a-zA-Z0-9\-]+\.?)+[^\s<]*|^email/).replace("emailProtocol", Rt).replace("protocol", pe).replace("email", /[A-Za-z0-9._+-]+(@)[a-zA-Z0-9-_]+(?:\.[a-zA-Z0-9-_]*[a-zA-Z0-9])+(?![\w-])/).getRegex(), _backpedal: /(?:[^?!.,:;*_'"~()&]+|\([^)]*\)|&(?![a-zA-Z0-9]+;$)|[?!.,:;*_'"~)]+(?!$))+/, del: /^(~~?)(?=[^\s~])((?:\\[\s\S]|[^\\])*?(?:\\[\s\S]|[^\s~\\]))\1(?=[^~]|$)/, text: h(/^(?:[^a-zA-Z0-9](?=emailProtocol)|(`+|~+|[^`~])(?:(?=[`~])|(?= {2,}\n)|(?=[a-zA-Z0-9.!#$%&'*+\/=?_`{\|}~-]+@)|[\s\S]*?(?:(?=[\\<!\[`*~_]|\b_|protocol:\/\/|www\.|$)|[^ ](?= {2,}\n)|[^a-zA-Z0-9](?=emailProtocol)|[^a-zA-Z0-9.!#$%&'*+\/=?_`{\|}~-](?=[a-zA-Z0-9.!#$%&'*+\/=?_`{\|}~-]+@))))/).replace("protocol", pe).replace(/emailProtocol/g, /(?:mailto|xmpp):/).getRegex() };
+    Ot = { ...X, br: h(ke).replace("{2,}", "*").getRegex(), text: h(X.text).replace("\\b_", "\\b_| {2,}\\n").replace(/\{2,\}/g, "*").getRegex() };
+    j = { normal: te, gfm: Ze, pedantic: He };
+    D = { normal: ne, gfm: X, breaks: Ot, pedantic: Tt };
+    wt = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+    be = (l3) => wt[l3];
+    P = class {
+      options;
+      rules;
+      lexer;
+      constructor(e) {
+        this.options = e || y;
+      }
+      space(e) {
+        let t2 = this.rules.block.newline.exec(e);
+        if (t2 && t2[0].length > 0) return { type: "space", raw: t2[0] };
+      }
+      code(e) {
+        let t2 = this.rules.block.code.exec(e);
+        if (t2) {
+          let n = this.options.pedantic ? t2[0] : ie3(t2[0]), s = n.replace(this.rules.other.codeRemoveIndent, "");
+          return { type: "code", raw: n, codeBlockStyle: "indented", text: s };
+        }
+      }
+      fences(e) {
+        let t2 = this.rules.block.fences.exec(e);
+        if (t2) {
+          let n = t2[0], s = yt(n, t2[3] || "", this.rules);
+          return { type: "code", raw: n, lang: t2[2] ? t2[2].trim().replace(this.rules.inline.anyPunctuation, "$1") : t2[2], text: s };
+        }
+      }
+      heading(e) {
+        let t2 = this.rules.block.heading.exec(e);
+        if (t2) {
+          let n = t2[2].trim();
+          if (this.rules.other.endingHash.test(n)) {
+            let s = L(n, "#");
+            (this.options.pedantic || !s || this.rules.other.endingSpaceTabChar.test(s)) && (n = s.trim());
+          }
+          return { type: "heading", raw: L(t2[0], `
+`), depth: t2[1].length, text: n, tokens: this.lexer.inline(n) };
+        }
+      }
+      hr(e) {
+        let t2 = this.rules.block.hr.exec(e);
+        if (t2) return { type: "hr", raw: L(t2[0], `
+`) };
+      }
+      blockquote(e) {
+        let t2 = this.rules.block.blockquote.exec(e);
+        if (t2) {
+          let n = L(t2[0], `
+`).split(`
+`), s = "", r = "", o = [];
+          for (; n.length > 0; ) {
+            let i = false, u = [], a;
+            for (a = 0; a < n.length; a++) if (this.rules.other.blockquoteStart.test(n[a])) u.push(n[a]), i = true;
+            else if (!i) u.push(n[a]);
+            else break;
+            n = n.slice(a);
+            let p = u.join(`
+`), c = p.replace(this.rules.other.blockquoteSetextReplace, `
+    $1`).replace(this.rules.other.blockquoteSetextReplace2, "");
+            s = s ? `${s}
+${p}` : p, r = r ? `${r}
+${c}` : c;
+            let d = this.lexer.state.top;
+            if (this.lexer.state.top = true, this.lexer.blockTokens(c, o, true), this.lexer.state.top = d, n.length === 0) break;
+            let m = o.at(-1);
+            if (m?.type === "code") break;
+            if (m?.type === "blockquote") {
+              let b = m, g = n.join(`
+`), w = b.raw + `
+` + g.replace(this.rules.other.blockquoteSetextReplace2, ""), f = this.blockquote(w);
+              o[o.length - 1] = f;
+              let M = w.substring(f.raw.length).replace(/^\n/, ""), v = M ? M.split(`
+`).length : 0, Z = v ? n.slice(0, -v) : n;
+              Z.length > 0 && (s = `${s}
+${Z.join(`
+`)}`), r = r.substring(0, r.length - b.text.length) + f.text;
+              break;
+            } else if (m?.type === "list") {
+              let b = m, g = b.raw + `
+` + n.join(`
+`), w = this.list(g);
+              o[o.length - 1] = w, s = s.substring(0, s.length - m.raw.length) + w.raw, r = r.substring(0, r.length - b.raw.length) + w.raw, n = g.substring(o.at(-1).raw.length).split(`
+`);
+              continue;
+            }
+          }
+          return { type: "blockquote", raw: s, tokens: o, text: r };
+        }
+      }
+      list(e) {
+        let t2 = this.rules.block.list.exec(e);
+        if (t2) {
+          let n = t2[1].trim(), s = n.length > 1, r = { type: "list", raw: "", ordered: s, start: s ? +n.slice(0, -1) : "", loose: false, items: [] };
+          n = s ? `\\d{1,9}\\${n.slice(-1)}` : `\\${n}`, this.options.pedantic && (n = s ? n : "[*+-]");
+          let o = this.rules.other.listItemRegex(n), i = false;
+          for (; e; ) {
+            let a = false, p = "", c = "";
+            if (!(t2 = o.exec(e)) || this.rules.block.hr.test(e)) break;
+            p = t2[0], e = e.substring(p.length);
+            let d = t2[2].split(`
+`, 1)[0], m = t2[1].length, b = this.options.pedantic ? oe(d, m) : d.replace(this.rules.other.leadingSpaceTab, (M) => oe(M, m)), g = e.split(`
+`, 1)[0], w = !b.trim(), f = 0;
+            if (this.options.pedantic ? (f = 2, c = b.trimStart()) : w ? f = m + 1 : (f = b.search(this.rules.other.nonSpaceChar), f = f > 4 ? 1 : f, c = b.slice(f), f += m), w && this.rules.other.blankLine.test(g) && (p += g + `
+`, e = e.substring(g.length + 1), a = true), !a) {
+              let M = this.rules.other.nextBulletRegex(f), v = this.rules.other.hrRegex(f), Z = this.rules.other.fencesBeginRegex(f), ae = this.rules.other.headingBeginRegex(f), ye = this.rules.other.htmlBeginRegex(f), Pe = this.rules.other.blockquoteBeginRegex(f);
+              for (; e; ) {
+                let K = e.split(`
+`, 1)[0], H;
+                if (g = K, this.options.pedantic ? (g = g.replace(this.rules.other.listReplaceNesting, "  "), H = g) : H = g.replace(this.rules.other.leadingSpaceTab, (Se) => Se.replace(this.rules.other.tabCharGlobal, "    ")), Z.test(g) || ae.test(g) || ye.test(g) || Pe.test(g) || M.test(g) || v.test(g)) break;
+                if (H.search(this.rules.other.nonSpaceChar) >= f || !g.trim()) c += `
+` + H.slice(f);
+                else {
+                  if (w || b.replace(this.rules.other.tabCharGlobal, "    ").search(this.rules.other.nonSpaceChar) >= 4 || Z.test(b) || ae.test(b) || v.test(b)) break;
+                  c += `
+` + g;
+                }
+                w = !g.trim(), p += K + `
+`, e = e.substring(K.length + 1), b = H.slice(f);
+              }
+            }
+            r.loose || (i ? r.loose = true : this.rules.other.doubleBlankLine.test(p) && (i = true)), r.items.push({ type: "list_item", raw: p, task: !!this.options.gfm && this.rules.other.listIsTask.test(c), loose: false, text: c, tokens: [] }), r.raw += p;
+          }
+          let u = r.items.at(-1);
+          if (u) u.raw = u.raw.trimEnd(), u.text = u.text.trimEnd();
+          else return;
+          r.raw = r.raw.trimEnd();
+          for (let a of r.items) if (this.lexer.state.top = false, a.tokens = this.lexer.blockTokens(a.text, []), !r.loose) {
+            let p = a.tokens.filter((d) => d.type === "space"), c = p.length > 0 && p.some((d) => this.rules.other.anyLine.test(d.raw));
+            r.loose = c;
+          }
+          for (let a of r.items) {
+            let p = a.tokens[0];
+            if (a.task && (p?.type === "text" || p?.type === "paragraph")) {
+              a.text = a.text.replace(this.rules.other.listReplaceTask, ""), p.raw = p.raw.replace(this.rules.other.listReplaceTask, ""), p.text = p.text.replace(this.rules.other.listReplaceTask, "");
+              for (let d = this.lexer.inlineQueue.length - 1; d >= 0; d--) if (this.rules.other.listIsTask.test(this.lexer.inlineQueue[d].src)) {
+                this.lexer.inlineQueue[d].src = this.lexer.inlineQueue[d].src.replace(this.rules.other.listReplaceTask, "");
+                break;
+              }
+              let c = this.rules.other.listTaskCheckbox.exec(a.raw);
+              if (c) {
+                let d = { type: "checkbox", raw: c[0] + " ", checked: c[0] !== "[ ]" };
+                a.checked = d.checked, r.loose ? a.tokens[0] && ["paragraph", "text"].includes(a.tokens[0].type) && "tokens" in a.tokens[0] && a.tokens[0].tokens ? (a.tokens[0].raw = d.raw + a.tokens[0].raw, a.tokens[0].text = d.raw + a.tokens[0].text, a.tokens[0].tokens.unshift(d)) : a.tokens.unshift({ type: "paragraph", raw: d.raw, text: d.raw, tokens: [d] }) : a.tokens.unshift(d);
+              }
+            } else a.task && (a.task = false);
+          }
+          if (r.loose) for (let a of r.items) {
+            a.loose = true;
+            for (let p of a.tokens) p.type === "text" && (p.type = "paragraph");
+          }
+          return r;
+        }
+      }
+      html(e) {
+        let t2 = this.rules.block.html.exec(e);
+        if (t2) {
+          let n = ie3(t2[0]);
+          return { type: "html", block: true, raw: n, pre: t2[1] === "pre" || t2[1] === "script" || t2[1] === "style", text: n };
+        }
+      }
+      def(e) {
+        let t2 = this.rules.block.def.exec(e);
+        if (t2) {
+          let n = q(t2[1]).replace(this.rules.other.multipleSpaceGlobal, " "), s = t2[2] ? t2[2].replace(this.rules.other.hrefBrackets, "$1").replace(this.rules.inline.anyPunctuation, "$1") : "", r = t2[3] ? t2[3].substring(1, t2[3].length - 1).replace(this.rules.inline.anyPunctuation, "$1") : t2[3];
+          return { type: "def", tag: n, raw: L(t2[0], `
+`), href: s, title: r };
+        }
+      }
+      table(e) {
+        let t2 = this.rules.block.table.exec(e);
+        if (!t2 || !this.rules.other.tableDelimiter.test(t2[2])) return;
+        let n = se(t2[1]), s = t2[2].replace(this.rules.other.tableAlignChars, "").split("|"), r = t2[3]?.trim() ? t2[3].replace(this.rules.other.tableRowBlankLine, "").split(`
+`) : [], o = { type: "table", raw: L(t2[0], `
+`), header: [], align: [], rows: [] };
+        if (n.length === s.length) {
+          for (let i of s) this.rules.other.tableAlignRight.test(i) ? o.align.push("right") : this.rules.other.tableAlignCenter.test(i) ? o.align.push("center") : this.rules.other.tableAlignLeft.test(i) ? o.align.push("left") : o.align.push(null);
+          for (let i = 0; i < n.length; i++) o.header.push({ text: n[i], tokens: this.lexer.inline(n[i]), header: true, align: o.align[i] });
+          for (let i of r) o.rows.push(se(i, o.header.length).map((u, a) => ({ text: u, tokens: this.lexer.inline(u), header: false, align: o.align[a] })));
+          return o;
+        }
+      }
+      lheading(e) {
+        let t2 = this.rules.block.lheading.exec(e);
+        if (t2) {
+          let n = t2[1].trim();
+          return { type: "heading", raw: L(t2[0], `
+`), depth: t2[2].charAt(0) === "=" ? 1 : 2, text: n, tokens: this.lexer.inline(n) };
+        }
+      }
+      paragraph(e) {
+        let t2 = this.rules.block.paragraph.exec(e);
+        if (t2) {
+          let n = t2[1].charAt(t2[1].length - 1) === `
+` ? t2[1].slice(0, -1) : t2[1];
+          return { type: "paragraph", raw: t2[0], text: n, tokens: this.lexer.inline(n) };
+        }
+      }
+      text(e) {
+        let t2 = this.rules.block.text.exec(e);
+        if (t2) return { type: "text", raw: t2[0], text: t2[0], tokens: this.lexer.inline(t2[0]) };
+      }
+      escape(e) {
+        let t2 = this.rules.inline.escape.exec(e);
+        if (t2) return { type: "escape", raw: t2[0], text: t2[1] };
+      }
+      tag(e) {
+        let t2 = this.rules.inline.tag.exec(e);
+        if (t2) return !this.lexer.state.inLink && this.rules.other.startATag.test(t2[0]) ? this.lexer.state.inLink = true : this.lexer.state.inLink && this.rules.other.endATag.test(t2[0]) && (this.lexer.state.inLink = false), !this.lexer.state.inRawBlock && this.rules.other.startPreScriptTag.test(t2[0]) ? this.lexer.state.inRawBlock = true : this.lexer.state.inRawBlock && this.rules.other.endPreScriptTag.test(t2[0]) && (this.lexer.state.inRawBlock = false), { type: "html", raw: t2[0], inLink: this.lexer.state.inLink, inRawBlock: this.lexer.state.inRawBlock, block: false, text: t2[0] };
+      }
+      link(e) {
+        let t2 = this.rules.inline.link.exec(e);
+        if (t2) {
+          let n = t2[0].charAt(0) === "!" ? 2 : 1;
+          if (!this.options.pedantic && we(e, t2[1], n, this.rules)) return;
+          let s = t2[2].trim();
+          if (!this.options.pedantic && this.rules.other.startAngleBracket.test(s)) {
+            if (!this.rules.other.endAngleBracket.test(s)) return;
+            let i = L(s.slice(0, -1), "\\");
+            if ((s.length - i.length) % 2 === 0) return;
+          } else {
+            let i = Te(t2[2], "()");
+            if (i === -2) return;
+            if (i > -1) {
+              let a = (t2[0].indexOf("!") === 0 ? 5 : 4) + t2[1].length + i;
+              t2[2] = t2[2].substring(0, i), t2[0] = t2[0].substring(0, a).trim(), t2[3] = "";
+            }
+          }
+          let r = t2[2], o = "";
+          if (this.options.pedantic) {
+            let i = this.rules.other.pedanticHrefTitle.exec(r);
+            i && (r = i[1], o = i[3]);
+          } else o = t2[3] ? t2[3].slice(1, -1) : "";
+          return r = r.trim(), this.rules.other.startAngleBracket.test(r) && (this.options.pedantic && !this.rules.other.endAngleBracket.test(s) ? r = r.slice(1) : r = r.slice(1, -1)), Oe(t2, { href: r && r.replace(this.rules.inline.anyPunctuation, "$1"), title: o && o.replace(this.rules.inline.anyPunctuation, "$1") }, t2[0], this.lexer, this.rules);
+        }
+      }
+      reflink(e, t2) {
+        let n;
+        if ((n = this.rules.inline.reflink.exec(e)) || (n = this.rules.inline.nolink.exec(e))) {
+          let s = n[0].charAt(0) === "!" ? 2 : 1;
+          if (!this.options.pedantic && we(e, n[1], s, this.rules)) return;
+          let r = (n[2] || n[1]).replace(this.rules.other.multipleSpaceGlobal, " "), o = t2[q(r)];
+          if (!o) {
+            let i = n[0].charAt(0);
+            return { type: "text", raw: i, text: i };
+          }
+          return Oe(n, o, n[0], this.lexer, this.rules);
+        }
+      }
+      emStrong(e, t2, n = "") {
+        let s = this.rules.inline.emStrongLDelim.exec(e);
+        if (!s || !s[1] && !s[2] && !s[3] && !s[4] || s[4] && n.match(this.rules.other.unicodeAlphaNumeric)) return;
+        if (!(s[1] || s[3] || "") || !n || this.rules.inline.punctuation.exec(n)) {
+          let o = [...s[0]].length - 1, i, u, a = o, p = 0, c = s[0][0], d = n === c, m = c === "*" ? this.rules.inline.emStrongRDelimAst : this.rules.inline.emStrongRDelimUnd;
+          for (m.lastIndex = 0, t2 = t2.slice(-1 * e.length + o); (s = m.exec(t2)) !== null; ) {
+            if (i = s[1] || s[2] || s[3] || s[4] || s[5] || s[6], !i) continue;
+            if (u = [...i].length, s[3] || s[4]) {
+              a += u;
+              continue;
+            } else if (s[5] || s[6]) {
+              if (o % 3 && !((o + u) % 3)) {
+                p += u;
+                continue;
+              }
+              if (d) break;
+            }
+            if (a -= u, a > 0) continue;
+            u = Math.min(u, u + a + p);
+            let b = [...s[0]][0].length, g = e.slice(0, o + s.index + b + u);
+            if (Math.min(o, u) % 2) {
+              let f = g.slice(1, -1);
+              return { type: "em", raw: g, text: f, tokens: this.lexer.inlineTokens(f) };
+            }
+            let w = g.slice(2, -2);
+            return { type: "strong", raw: g, text: w, tokens: this.lexer.inlineTokens(w) };
+          }
+        }
+      }
+      codespan(e) {
+        let t2 = this.rules.inline.code.exec(e);
+        if (t2) {
+          let n = t2[2].replace(this.rules.other.newLineCharGlobal, " "), s = this.rules.other.nonSpaceChar.test(n), r = this.rules.other.startingSpaceChar.test(n) && this.rules.other.endingSpaceChar.test(n);
+          return s && r && (n = n.substring(1, n.length - 1)), { type: "codespan", raw: t2[0], text: n };
+        }
+      }
+      br(e) {
+        let t2 = this.rules.inline.br.exec(e);
+        if (t2) return { type: "br", raw: t2[0] };
+      }
+      del(e, t2, n = "") {
+        let s = this.rules.inline.delLDelim.exec(e);
+        if (!s) return;
+        if (!(s[1] || "") || !n || this.rules.inline.punctuation.exec(n)) {
+          let o = [...s[0]].length - 1, i, u, a = o, p = this.rules.inline.delRDelim;
+          for (p.lastIndex = 0, t2 = t2.slice(-1 * e.length + o); (s = p.exec(t2)) !== null; ) {
+            if (i = s[1] || s[2] || s[3] || s[4] || s[5] || s[6], !i || (u = [...i].length, u !== o)) continue;
+            if (s[3] || s[4]) {
+              a += u;
+              continue;
+            }
+            if (a -= u, a > 0) continue;
+            u = Math.min(u, u + a);
+            let c = [...s[0]][0].length, d = e.slice(0, o + s.index + c + u), m = d.slice(o, -o);
+            return { type: "del", raw: d, text: m, tokens: this.lexer.inlineTokens(m) };
+          }
+        }
+      }
+      autolink(e) {
+        let t2 = this.rules.inline.autolink.exec(e);
+        if (t2) {
+          let n, s;
+          return t2[2] === "@" ? (n = t2[1], s = "mailto:" + n) : (n = t2[1], s = n), { type: "link", raw: t2[0], text: n, href: s, autolink: true, tokens: [{ type: "text", raw: n, text: n }] };
+        }
+      }
+      url(e) {
+        let t2;
+        if (t2 = this.rules.inline.url.exec(e)) {
+          let n, s;
+          if (t2[2] === "@") n = t2[0], s = "mailto:" + n;
+          else {
+            let r;
+            do
+              r = t2[0], t2[0] = this.rules.inline._backpedal.exec(t2[0])?.[0] ?? "";
+            while (r !== t2[0]);
+            n = t2[0], t2[1] === "www." ? s = "http://" + t2[0] : s = t2[0];
+          }
+          return { type: "link", raw: t2[0], text: n, href: s, autolink: true, tokens: [{ type: "text", raw: n, text: n }] };
+        }
+      }
+      inlineText(e) {
+        let t2 = this.rules.inline.text.exec(e);
+        if (t2) {
+          let n = this.lexer.state.inRawBlock;
+          return { type: "text", raw: t2[0], text: n ? t2[0] : Re(t2[0]), escaped: n };
+        }
+      }
+    };
+    R = class l {
+      tokens;
+      options;
+      state;
+      inlineQueue;
+      tokenizer;
+      constructor(e) {
+        this.tokens = [], this.tokens.links = /* @__PURE__ */ Object.create(null), this.options = e || y, this.options.tokenizer = this.options.tokenizer || new P(), this.tokenizer = this.options.tokenizer, this.tokenizer.options = this.options, this.tokenizer.lexer = this, this.inlineQueue = [], this.state = { inLink: false, inRawBlock: false, linkEmitted: false, top: true };
+        let t2 = { other: x, block: j.normal, inline: D.normal };
+        this.options.pedantic ? (t2.block = j.pedantic, t2.inline = D.pedantic) : this.options.gfm && (t2.block = j.gfm, this.options.breaks ? t2.inline = D.breaks : t2.inline = D.gfm), this.tokenizer.rules = t2;
+      }
+      static get rules() {
+        return { block: j, inline: D };
+      }
+      static lex(e, t2) {
+        return new l(t2).lex(e);
+      }
+      static lexInline(e, t2) {
+        return new l(t2).inlineTokens(e);
+      }
+      lex(e) {
+        e = e.replace(x.carriageReturn, `
+`), this.blockTokens(e, this.tokens);
+        for (let t2 = 0; t2 < this.inlineQueue.length; t2++) {
+          let n = this.inlineQueue[t2];
+          this.inlineTokens(n.src, n.tokens);
+        }
+        return this.inlineQueue = [], this.tokens;
+      }
+      blockTokens(e, t2 = [], n = false) {
+        this.tokenizer.lexer = this, this.options.pedantic && (e = e.replace(x.tabCharGlobal, "    ").replace(x.spaceLine, ""));
+        let s = 1 / 0;
+        for (; e; ) {
+          if (e.length < s) s = e.length;
+          else {
+            this.infiniteLoopError(e.charCodeAt(0));
+            break;
+          }
+          let r;
+          if (this.options.extensions?.block?.some((i) => (r = i.call({ lexer: this }, e, t2)) ? (e = e.substring(r.raw.length), t2.push(r), true) : false)) continue;
+          if (r = this.tokenizer.space(e)) {
+            e = e.substring(r.raw.length);
+            let i = t2.at(-1);
+            r.raw.length === 1 && i !== void 0 ? i.raw += `
+` : t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.code(e)) {
+            e = e.substring(r.raw.length);
+            let i = t2.at(-1);
+            i?.type === "paragraph" || i?.type === "text" ? (i.raw += (i.raw.endsWith(`
+`) ? "" : `
+`) + r.raw, i.text += `
+` + r.text, this.inlineQueue.at(-1).src = i.text) : t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.fences(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.heading(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.hr(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.blockquote(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.list(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.html(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.def(e)) {
+            e = e.substring(r.raw.length);
+            let i = t2.at(-1);
+            i?.type === "paragraph" || i?.type === "text" ? (i.raw += (i.raw.endsWith(`
+`) ? "" : `
+`) + r.raw, i.text += `
+` + r.raw, this.inlineQueue.at(-1).src = i.text) : this.tokens.links[r.tag] || (this.tokens.links[r.tag] = { href: r.href, title: r.title }, t2.push(r));
+            continue;
+          }
+          if (r = this.tokenizer.table(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          if (r = this.tokenizer.lheading(e)) {
+            e = e.substring(r.raw.length), t2.push(r);
+            continue;
+          }
+          let o = e;
+          if (this.options.extensions?.startBlock) {
+            let i = 1 / 0, u = e.slice(1), a;
+            this.options.extensions.startBlock.forEach((p) => {
+              a = p.call({ lexer: this }, u), typeof a == "number" && a >= 0 && (i = Math.min(i, a));
+            }), i < 1 / 0 && i >= 0 && (o = e.substring(0, i + 1));
+          }
+          if (this.state.top && (r = this.tokenizer.paragraph(o))) {
+            let i = t2.at(-1);
+            n && i?.type === "paragraph" ? (i.raw += (i.raw.endsWith(`
+`) ? "" : `
+`) + r.raw, i.text += `
+` + r.text, this.inlineQueue.pop(), this.inlineQueue.at(-1).src = i.text) : t2.push(r), n = o.length !== e.length, e = e.substring(r.raw.length);
+            continue;
+          }
+          if (r = this.tokenizer.text(e)) {
+            e = e.substring(r.raw.length);
+            let i = t2.at(-1);
+            i?.type === "text" ? (i.raw += (i.raw.endsWith(`
+`) ? "" : `
+`) + r.raw, i.text += `
+` + r.text, this.inlineQueue.pop(), this.inlineQueue.at(-1).src = i.text) : t2.push(r);
+            continue;
+          }
+          if (e) {
+            this.infiniteLoopError(e.charCodeAt(0));
+            break;
+          }
+        }
+        return this.state.top = true, t2;
+      }
+      inline(e, t2 = []) {
+        return this.inlineQueue.push({ src: e, tokens: t2 }), t2;
+      }
+      linkInText(e) {
+        if (!e.includes("[")) return false;
+        let t2 = this.tokenizer.rules.inline.link;
+        for (let n of e.matchAll(this.tokenizer.rules.inline.blockSkip)) if (t2.test(n[0]) && e.charAt(n.index - 1) !== "!") return true;
+        for (let n of e.matchAll(this.tokenizer.rules.inline.reflinkSearch)) {
+          let s = n[0], r = s.lastIndexOf("[");
+          if (!(s.charAt(0) === "!" || !Object.hasOwn(this.tokens.links, q(s.slice(r + 1, -1)))) && !(r > 1 && this.linkInText(s.slice(1, r - 1)))) return true;
+        }
+        return false;
+      }
+      inlineTokens(e, t2 = []) {
+        this.tokenizer.lexer = this;
+        let n = e;
+        if (this.tokens.links && e.includes("[")) {
+          let i = this.tokenizer.rules.inline.reflinkSearch, u = (a) => {
+            let p = a.lastIndexOf("[");
+            if (!Object.hasOwn(this.tokens.links, q(a.slice(p + 1, -1)))) return a;
+            if (p > 1 && a.charAt(0) !== "!") {
+              let c = a.slice(1, p - 1);
+              if (this.linkInText(c)) return "[" + c.replace(i, u) + "][" + "a".repeat(a.length - p - 2) + "]";
+            }
+            return "[" + "a".repeat(a.length - 2) + "]";
+          };
+          n = n.replace(i, u);
+        }
+        n = n.replace(this.tokenizer.rules.inline.anyPunctuation, (i) => "+".repeat(i.length)), n = n.replace(this.tokenizer.rules.inline.blockSkip, (i, u, a) => {
+          let p = a ? a.length : 0;
+          return i.slice(0, p) + "[" + "a".repeat(i.length - p - 2) + "]";
+        }), n = this.options.hooks?.emStrongMask?.call({ lexer: this }, n) ?? n;
+        let s = false, r = "", o = 1 / 0;
+        for (; e; ) {
+          if (e.length < o) o = e.length;
+          else {
+            this.infiniteLoopError(e.charCodeAt(0));
+            break;
+          }
+          s || (r = ""), s = false;
+          let i;
+          if (this.options.extensions?.inline?.some((a) => (i = a.call({ lexer: this }, e, t2)) ? (e = e.substring(i.raw.length), t2.push(i), true) : false)) continue;
+          if (i = this.tokenizer.escape(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.tag(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.link(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.reflink(e, this.tokens.links)) {
+            e = e.substring(i.raw.length);
+            let a = t2.at(-1);
+            i.type === "text" && a?.type === "text" ? (a.raw += i.raw, a.text += i.text) : t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.emStrong(e, n, r)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.codespan(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.br(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.del(e, n, r)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (i = this.tokenizer.autolink(e)) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          if (!this.state.inLink && (i = this.tokenizer.url(e))) {
+            e = e.substring(i.raw.length), t2.push(i);
+            continue;
+          }
+          let u = e;
+          if (this.options.extensions?.startInline) {
+            let a = 1 / 0, p = e.slice(1), c;
+            this.options.extensions.startInline.forEach((d) => {
+              c = d.call({ lexer: this }, p), typeof c == "number" && c >= 0 && (a = Math.min(a, c));
+            }), a < 1 / 0 && a >= 0 && (u = e.substring(0, a + 1));
+          }
+          if (i = this.tokenizer.inlineText(u)) {
+            e = e.substring(i.raw.length), i.raw.slice(-1) !== "_" && (r = i.raw.slice(-1)), s = true;
+            let a = t2.at(-1);
+            a?.type === "text" ? (a.raw += i.raw, a.text += i.text) : t2.push(i);
+            continue;
+          }
+          if (e) {
+            this.infiniteLoopError(e.charCodeAt(0));
+            break;
+          }
+        }
+        return t2;
+      }
+      infiniteLoopError(e) {
+        let t2 = "Infinite loop on byte: " + e;
+        if (this.options.silent) console.error(t2);
+        else throw new Error(t2);
+      }
+    };
+    S2 = class {
+      options;
+      parser;
+      constructor(e) {
+        this.options = e || y;
+      }
+      space(e) {
+        return "";
+      }
+      code({ text: e, lang: t2, escaped: n }) {
+        let s = (t2 || "").match(x.notSpaceStart)?.[0], r = e ? e.replace(x.endingNewline, "") + `
+` : "";
+        return s ? '<pre><code class="language-' + O(s) + '">' + (n ? r : O(r, true)) + `</code></pre>
+` : "<pre><code>" + (n ? r : O(r, true)) + `</code></pre>
+`;
+      }
+      blockquote({ tokens: e }) {
+        return `<blockquote>
+${this.parser.parse(e)}</blockquote>
+`;
+      }
+      html({ text: e }) {
+        return e;
+      }
+      def(e) {
+        return "";
+      }
+      heading({ tokens: e, depth: t2 }) {
+        return `<h${t2}>${this.parser.parseInline(e)}</h${t2}>
+`;
+      }
+      hr(e) {
+        return `<hr>
+`;
+      }
+      list(e) {
+        let t2 = e.ordered, n = e.start, s = "";
+        for (let i = 0; i < e.items.length; i++) {
+          let u = e.items[i];
+          s += this.listitem(u);
+        }
+        let r = t2 ? "ol" : "ul", o = t2 && n !== 1 ? ' start="' + n + '"' : "";
+        return "<" + r + o + `>
+` + s + "</" + r + `>
+`;
+      }
+      listitem(e) {
+        return `<li>${this.parser.parse(e.tokens)}</li>
+`;
+      }
+      checkbox({ checked: e }) {
+        return "<input " + (e ? 'checked="" ' : "") + 'disabled="" type="checkbox"> ';
+      }
+      paragraph({ tokens: e }) {
+        return `<p>${this.parser.parseInline(e)}</p>
+`;
+      }
+      table(e) {
+        let t2 = "", n = "";
+        for (let r = 0; r < e.header.length; r++) n += this.tablecell(e.header[r]);
+        t2 += this.tablerow({ text: n });
+        let s = "";
+        for (let r = 0; r < e.rows.length; r++) {
+          let o = e.rows[r];
+          n = "";
+          for (let i = 0; i < o.length; i++) n += this.tablecell(o[i]);
+          s += this.tablerow({ text: n });
+        }
+        return s && (s = `<tbody>${s}</tbody>`), `<table>
+<thead>
+` + t2 + `</thead>
+` + s + `</table>
+`;
+      }
+      tablerow({ text: e }) {
+        return `<tr>
+${e}</tr>
+`;
+      }
+      tablecell(e) {
+        let t2 = this.parser.parseInline(e.tokens), n = e.header ? "th" : "td";
+        return (e.align ? `<${n} align="${e.align}">` : `<${n}>`) + t2 + `</${n}>
+`;
+      }
+      strong({ tokens: e }) {
+        return `<strong>${this.parser.parseInline(e)}</strong>`;
+      }
+      em({ tokens: e }) {
+        return `<em>${this.parser.parseInline(e)}</em>`;
+      }
+      codespan({ text: e }) {
+        return `<code>${O(e, true)}</code>`;
+      }
+      br(e) {
+        return "<br>";
+      }
+      del({ tokens: e }) {
+        return `<del>${this.parser.parseInline(e)}</del>`;
+      }
+      link({ href: e, title: t2, text: n, tokens: s, autolink: r }) {
+        let o = r ? O(n, true) : this.parser.parseInline(s), i = re(e);
+        if (i === null) return o;
+        e = O(i, r);
+        let u = '<a href="' + e + '"';
+        return t2 && (u += ' title="' + O(t2) + '"'), u += ">" + o + "</a>", u;
+      }
+      image({ href: e, title: t2, text: n, tokens: s }) {
+        s && (n = this.parser.parseInline(s, this.parser.textRenderer));
+        let r = re(e);
+        if (r === null) return O(n);
+        e = r;
+        let o = `<img src="${O(e)}" alt="${O(n)}"`;
+        return t2 && (o += ` title="${O(t2)}"`), o += ">", o;
+      }
+      text(e) {
+        return "tokens" in e && e.tokens ? this.parser.parseInline(e.tokens) : "escaped" in e && e.escaped ? e.text : O(e.text);
+      }
+    };
+    z = class {
+      strong({ text: e }) {
+        return e;
+      }
+      em({ text: e }) {
+        return e;
+      }
+      codespan({ text: e }) {
+        return e;
+      }
+      del({ text: e }) {
+        return e;
+      }
+      html({ text: e }) {
+        return e;
+      }
+      text({ text: e }) {
+        return e;
+      }
+      link({ text: e }) {
+        return "" + e;
+      }
+      image({ text: e }) {
+        return "" + e;
+      }
+      br() {
+        return "";
+      }
+      checkbox({ raw: e }) {
+        return e;
+      }
+    };
+    T = class l2 {
+      options;
+      renderer;
+      textRenderer;
+      constructor(e) {
+        this.options = e || y, this.options.renderer = this.options.renderer || new S2(), this.renderer = this.options.renderer, this.renderer.options = this.options, this.renderer.parser = this, this.textRenderer = new z();
+      }
+      static parse(e, t2) {
+        return new l2(t2).parse(e);
+      }
+      static parseInline(e, t2) {
+        return new l2(t2).parseInline(e);
+      }
+      parse(e) {
+        this.renderer.parser = this;
+        let t2 = "";
+        for (let n = 0; n < e.length; n++) {
+          let s = e[n];
+          if (this.options.extensions?.renderers?.[s.type]) {
+            let o = s, i = this.options.extensions.renderers[o.type].call({ parser: this }, o);
+            if (i !== false || !["space", "hr", "heading", "code", "table", "blockquote", "list", "checkbox", "html", "def", "paragraph", "text"].includes(o.type)) {
+              t2 += i || "";
+              continue;
+            }
+          }
+          let r = s;
+          switch (r.type) {
+            case "space": {
+              t2 += this.renderer.space(r);
+              break;
+            }
+            case "hr": {
+              t2 += this.renderer.hr(r);
+              break;
+            }
+            case "heading": {
+              t2 += this.renderer.heading(r);
+              break;
+            }
+            case "code": {
+              t2 += this.renderer.code(r);
+              break;
+            }
+            case "table": {
+              t2 += this.renderer.table(r);
+              break;
+            }
+            case "blockquote": {
+              t2 += this.renderer.blockquote(r);
+              break;
+            }
+            case "list": {
+              t2 += this.renderer.list(r);
+              break;
+            }
+            case "checkbox": {
+              t2 += this.renderer.checkbox(r);
+              break;
+            }
+            case "html": {
+              t2 += this.renderer.html(r);
+              break;
+            }
+            case "def": {
+              t2 += this.renderer.def(r);
+              break;
+            }
+            case "paragraph": {
+              t2 += this.renderer.paragraph(r);
+              break;
+            }
+            case "text": {
+              t2 += this.renderer.text(r);
+              break;
+            }
+            default: {
+              let o = 'Token with "' + r.type + '" type was not found.';
+              if (this.options.silent) return console.error(o), "";
+              throw new Error(o);
+            }
+          }
+        }
+        return t2;
+      }
+      parseInline(e, t2 = this.renderer) {
+        this.renderer.parser = this;
+        let n = "";
+        for (let s = 0; s < e.length; s++) {
+          let r = e[s];
+          if (this.options.extensions?.renderers?.[r.type]) {
+            let i = this.options.extensions.renderers[r.type].call({ parser: this }, r);
+            if (i !== false || !["escape", "html", "link", "image", "checkbox", "strong", "em", "codespan", "br", "del", "text"].includes(r.type)) {
+              n += i || "";
+              continue;
+            }
+          }
+          let o = r;
+          switch (o.type) {
+            case "escape": {
+              n += t2.text(o);
+              break;
+            }
+            case "html": {
+              n += t2.html(o);
+              break;
+            }
+            case "link": {
+              n += t2.link(o);
+              break;
+            }
+            case "image": {
+              n += t2.image(o);
+              break;
+            }
+            case "checkbox": {
+              n += t2.checkbox(o);
+              break;
+            }
+            case "strong": {
+              n += t2.strong(o);
+              break;
+            }
+            case "em": {
+              n += t2.em(o);
+              break;
+            }
+            case "codespan": {
+              n += t2.codespan(o);
+              break;
+            }
+            case "br": {
+              n += t2.br(o);
+              break;
+            }
+            case "del": {
+              n += t2.del(o);
+              break;
+            }
+            case "text": {
+              n += t2.text(o);
+              break;
+            }
+            default: {
+              let i = 'Token with "' + o.type + '" type was not found.';
+              if (this.options.silent) return console.error(i), "";
+              throw new Error(i);
+            }
+          }
+        }
+        return n;
+      }
+    };
+    _ = class {
+      options;
+      block;
+      constructor(e) {
+        this.options = e || y;
+      }
+      static passThroughHooks = /* @__PURE__ */ new Set(["preprocess", "postprocess", "processAllTokens", "emStrongMask"]);
+      static passThroughHooksRespectAsync = /* @__PURE__ */ new Set(["preprocess", "postprocess", "processAllTokens"]);
+      preprocess(e) {
+        return e;
+      }
+      postprocess(e) {
+        return e;
+      }
+      processAllTokens(e) {
+        return e;
+      }
+      emStrongMask(e) {
+        return e;
+      }
+      provideLexer(e = this.block) {
+        return e ? R.lex : R.lexInline;
+      }
+      provideParser(e = this.block) {
+        return e ? T.parse : T.parseInline;
+      }
+    };
+    F = class {
+      defaults = I();
+      options = this.setOptions;
+      parse = this.parseMarkdown(true);
+      parseInline = this.parseMarkdown(false);
+      Parser = T;
+      Renderer = S2;
+      TextRenderer = z;
+      Lexer = R;
+      Tokenizer = P;
+      Hooks = _;
+      constructor(...e) {
+        this.use(...e);
+      }
+      walkTokens(e, t2) {
+        let n = [];
+        for (let s of e) switch (n = n.concat(t2.call(this, s)), s.type) {
+          case "table": {
+            let r = s;
+            for (let o of r.header) n = n.concat(this.walkTokens(o.tokens, t2));
+            for (let o of r.rows) for (let i of o) n = n.concat(this.walkTokens(i.tokens, t2));
+            break;
+          }
+          case "list": {
+            let r = s;
+            n = n.concat(this.walkTokens(r.items, t2));
+            break;
+          }
+          default: {
+            let r = s;
+            this.defaults.extensions?.childTokens?.[r.type] ? this.defaults.extensions.childTokens[r.type].forEach((o) => {
+              let i = r[o].flat(1 / 0);
+              n = n.concat(this.walkTokens(i, t2));
+            }) : r.tokens && (n = n.concat(this.walkTokens(r.tokens, t2)));
+          }
+        }
+        return n;
+      }
+      use(...e) {
+        let t2 = this.defaults.extensions || { renderers: {}, childTokens: {} };
+        return e.forEach((n) => {
+          let s = { ...n };
+          if (s.async = this.defaults.async || s.async || false, n.extensions && (n.extensions.forEach((r) => {
+            if (!r.name) throw new Error("extension name required");
+            if ("renderer" in r) {
+              let o = t2.renderers[r.name];
+              o ? t2.renderers[r.name] = function(...i) {
+                let u = r.renderer.apply(this, i);
+                return u === false && (u = o.apply(this, i)), u;
+              } : t2.renderers[r.name] = r.renderer;
+            }
+            if ("tokenizer" in r) {
+              if (!r.level || r.level !== "block" && r.level !== "inline") throw new Error("extension level must be 'block' or 'inline'");
+              let o = t2[r.level];
+              o ? o.unshift(r.tokenizer) : t2[r.level] = [r.tokenizer], r.start && (r.level === "block" ? t2.startBlock ? t2.startBlock.push(r.start) : t2.startBlock = [r.start] : r.level === "inline" && (t2.startInline ? t2.startInline.push(r.start) : t2.startInline = [r.start]));
+            }
+            "childTokens" in r && r.childTokens && (t2.childTokens[r.name] = r.childTokens);
+          }), s.extensions = t2), n.renderer) {
+            let r = this.defaults.renderer || new S2(this.defaults);
+            for (let o in n.renderer) {
+              if (!(o in r)) throw new Error(`renderer '${o}' does not exist`);
+              if (["options", "parser"].includes(o)) continue;
+              let i = o, u = n.renderer[i], a = r[i];
+              r[i] = (...p) => {
+                let c = u.apply(r, p);
+                return c === false && (c = a.apply(r, p)), c || "";
+              };
+            }
+            s.renderer = r;
+          }
+          if (n.tokenizer) {
+            let r = this.defaults.tokenizer || new P(this.defaults);
+            for (let o in n.tokenizer) {
+              if (!(o in r)) throw new Error(`tokenizer '${o}' does not exist`);
+              if (["options", "rules", "lexer"].includes(o)) continue;
+              let i = o, u = n.tokenizer[i], a = r[i];
+              r[i] = (...p) => {
+                let c = u.apply(r, p);
+                return c === false && (c = a.apply(r, p)), c;
+              };
+            }
+            s.tokenizer = r;
+          }
+          if (n.hooks) {
+            let r = this.defaults.hooks || new _();
+            for (let o in n.hooks) {
+              if (!(o in r)) throw new Error(`hook '${o}' does not exist`);
+              if (["options", "block"].includes(o)) continue;
+              let i = o, u = n.hooks[i], a = r[i];
+              _.passThroughHooks.has(o) ? r[i] = (p) => {
+                if (this.defaults.async && _.passThroughHooksRespectAsync.has(o)) return (async () => {
+                  let d = await u.call(r, p);
+                  return a.call(r, d);
+                })();
+                let c = u.call(r, p);
+                return a.call(r, c);
+              } : r[i] = (...p) => {
+                if (this.defaults.async) return (async () => {
+                  let d = await u.apply(r, p);
+                  return d === false && (d = await a.apply(r, p)), d;
+                })();
+                let c = u.apply(r, p);
+                return c === false && (c = a.apply(r, p)), c;
+              };
+            }
+            s.hooks = r;
+          }
+          if (n.walkTokens) {
+            let r = this.defaults.walkTokens, o = n.walkTokens;
+            s.walkTokens = function(i) {
+              let u = [];
+              return u.push(o.call(this, i)), r && (u = u.concat(r.call(this, i))), u;
+            };
+          }
+          this.defaults = { ...this.defaults, ...s };
+        }), this;
+      }
+      setOptions(e) {
+        return this.defaults = { ...this.defaults, ...e }, this;
+      }
+      lexer(e, t2) {
+        return R.lex(e, t2 ?? this.defaults);
+      }
+      parser(e, t2) {
+        return T.parse(e, t2 ?? this.defaults);
+      }
+      parseMarkdown(e) {
+        return (n, s) => {
+          let r = { ...s }, o = { ...this.defaults, ...r }, i = this.onError(!!o.silent, !!o.async);
+          if (this.defaults.async === true && r.async === false) return i(new Error("marked(): The async option was set to true by an extension. Remove async: false from the parse options object to return a Promise."));
+          if (typeof n > "u" || n === null) return i(new Error("marked(): input parameter is undefined or null"));
+          if (typeof n != "string") return i(new Error("marked(): input parameter is of type " + Object.prototype.toString.call(n) + ", string expected"));
+          if (o.hooks && (o.hooks.options = o, o.hooks.block = e), o.async) return (async () => {
+            let u = o.hooks ? await o.hooks.preprocess(n) : n, p = await (o.hooks ? await o.hooks.provideLexer(e) : e ? R.lex : R.lexInline)(u, o), c = o.hooks ? await o.hooks.processAllTokens(p) : p;
+            o.walkTokens && await Promise.all(this.walkTokens(c, o.walkTokens));
+            let m = await (o.hooks ? await o.hooks.provideParser(e) : e ? T.parse : T.parseInline)(c, o);
+            return o.hooks ? await o.hooks.postprocess(m) : m;
+          })().catch(i);
+          try {
+            o.hooks && (n = o.hooks.preprocess(n));
+            let a = (o.hooks ? o.hooks.provideLexer(e) : e ? R.lex : R.lexInline)(n, o);
+            o.hooks && (a = o.hooks.processAllTokens(a)), o.walkTokens && this.walkTokens(a, o.walkTokens);
+            let c = (o.hooks ? o.hooks.provideParser(e) : e ? T.parse : T.parseInline)(a, o);
+            return o.hooks && (c = o.hooks.postprocess(c)), c;
+          } catch (u) {
+            return i(u);
+          }
+        };
+      }
+      onError(e, t2) {
+        return (n) => {
+          if (n.message += `
+Please report this to https://github.com/markedjs/marked.`, e) {
+            let s = "<p>An error occurred:</p><pre>" + O(n.message + "", true) + "</pre>";
+            return t2 ? Promise.resolve(s) : s;
+          }
+          if (t2) return Promise.reject(n);
+          throw n;
+        };
+      }
+    };
+    E = new F();
+    k.options = k.setOptions = function(l3) {
+      return E.setOptions(l3), k.defaults = E.defaults, W(k.defaults), k;
+    };
+    k.getDefaults = I;
+    k.defaults = y;
+    k.use = Pt;
+    k.walkTokens = function(l3, e) {
+      return E.walkTokens(l3, e);
+    };
+    k.parseInline = E.parseInline;
+    k.Parser = T;
+    k.parser = T.parse;
+    k.Renderer = S2;
+    k.TextRenderer = z;
+    k.Lexer = R;
+    k.lexer = R.lex;
+    k.Tokenizer = P;
+    k.Hooks = _;
+    k.parse = k;
+    gn = k.options;
+    fn = k.setOptions;
+    mn = k.walkTokens;
+    xn = k.parseInline;
+    Rn = T.parse;
+    Tn = R.lex;
+  }
+});
+
+// node_modules/dompurify/dist/purify.es.mjs
+function _OverloadYield(e, d) {
+  this.v = e, this.k = d;
+}
+function _arrayLikeToArray(r, a) {
+  (null == a || a > r.length) && (a = r.length);
+  for (var e = 0, n = Array(a); e < a; e++) n[e] = r[e];
+  return n;
+}
+function _arrayWithHoles(r) {
+  if (Array.isArray(r)) return r;
+}
+function _iterableToArrayLimit(r, l3) {
+  var t2 = null == r ? null : "undefined" != typeof Symbol && r[Symbol.iterator] || r["@@iterator"];
+  if (null != t2) {
+    var e, n, i, u, a = [], f = true, o = false;
+    try {
+      if (i = (t2 = t2.call(r)).next, 0 === l3) {
+        if (Object(t2) !== t2) return;
+        f = false;
+      } else for (; !(f = (e = i.call(t2)).done) && (a.push(e.value), a.length !== l3); f = true) ;
+    } catch (r2) {
+      o = true, n = r2;
+    } finally {
+      try {
+        if (!f && null != t2.return && (u = t2.return(), Object(u) !== u)) return;
+      } finally {
+        if (o) throw n;
+      }
+    }
+    return a;
+  }
+}
+function _nonIterableRest() {
+  throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.");
+}
+function _slicedToArray(r, e) {
+  return _arrayWithHoles(r) || _iterableToArrayLimit(r, e) || _unsupportedIterableToArray(r, e) || _nonIterableRest();
+}
+function _unsupportedIterableToArray(r, a) {
+  if (r) {
+    if ("string" == typeof r) return _arrayLikeToArray(r, a);
+    var t2 = {}.toString.call(r).slice(8, -1);
+    return "Object" === t2 && r.constructor && (t2 = r.constructor.name), "Map" === t2 || "Set" === t2 ? Array.from(r) : "Arguments" === t2 || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(t2) ? _arrayLikeToArray(r, a) : void 0;
+  }
+}
+function AsyncGenerator(e) {
+  var t2, n;
+  function resume(t3, n2) {
+    try {
+      var r = e[t3](n2), o = r.value, u = o instanceof _OverloadYield;
+      Promise.resolve(u ? o.v : o).then(function(n3) {
+        if (u) {
+          var i = "return" === t3 && o.k ? t3 : "next";
+          if (!o.k || n3.done) return resume(i, n3);
+          n3 = e[i](n3).value;
+        }
+        settle(!!r.done, n3);
+      }, function(e2) {
+        resume("throw", e2);
+      });
+    } catch (e2) {
+      settle(2, e2);
+    }
+  }
+  function settle(e2, r) {
+    2 === e2 ? t2.reject(r) : t2.resolve({
+      value: r,
+      done: e2
+    }), (t2 = t2.next) ? resume(t2.key, t2.arg) : n = null;
+  }
+  this._invoke = function(e2, r) {
+    return new Promise(function(o, u) {
+      var i = {
+        key: e2,
+        arg: r,
+        resolve: o,
+        reject: u,
+        next: null
+      };
+      n ? n = n.next = i : (t2 = n = i, resume(e2, r));
+    });
+  }, "function" != typeof e.return && (this.return = void 0);
+}
+function unapply(func) {
+  return function(thisArg) {
+    if (thisArg instanceof RegExp) thisArg.lastIndex = 0;
+    for (var _len3 = arguments.length, args = new Array(_len3 > 1 ? _len3 - 1 : 0), _key3 = 1; _key3 < _len3; _key3++) args[_key3 - 1] = arguments[_key3];
+    return apply(func, thisArg, args);
+  };
+}
+function unconstruct(Func) {
+  return function() {
+    for (var _len4 = arguments.length, args = new Array(_len4), _key4 = 0; _key4 < _len4; _key4++) args[_key4] = arguments[_key4];
+    return construct(Func, args);
+  };
+}
+function addToSet(set, array2) {
+  let transformCaseFunc = arguments.length > 2 && arguments[2] !== void 0 ? arguments[2] : stringToLowerCase;
+  if (setPrototypeOf) setPrototypeOf(set, null);
+  if (!arrayIsArray(array2)) return set;
+  let l3 = array2.length;
+  while (l3--) {
+    let element = array2[l3];
+    if (typeof element === "string") {
+      const lcElement = transformCaseFunc(element);
+      if (lcElement !== element) {
+        if (!isFrozen(array2)) array2[l3] = lcElement;
+        element = lcElement;
+      }
+    }
+    set[element] = true;
+  }
+  return set;
+}
+function cleanArray(array2) {
+  for (let index = 0; index < array2.length; index++) if (!objectHasOwnProperty(array2, index)) array2[index] = null;
+  return array2;
+}
+function clone(object2) {
+  const newObject = create(null);
+  for (const _ref2 of entries(object2)) {
+    var _ref3 = _slicedToArray(_ref2, 2);
+    const property = _ref3[0];
+    const value = _ref3[1];
+    if (objectHasOwnProperty(object2, property)) {
+      if (arrayIsArray(value)) newObject[property] = cleanArray(value);
+      else if (value && typeof value === "object" && value.constructor === Object) newObject[property] = clone(value);
+      else newObject[property] = value;
+    }
+  }
+  return newObject;
+}
+function stringifyValue(value) {
+  switch (typeof value) {
+    case "string":
+      return value;
+    case "number":
+      return numberToString(value);
+    case "boolean":
+      return booleanToString(value);
+    case "bigint":
+      return bigintToString ? bigintToString(value) : "0";
+    case "symbol":
+      return symbolToString ? symbolToString(value) : "Symbol()";
+    case "undefined":
+      return objectToString(value);
+    case "function":
+    case "object": {
+      if (value === null) return objectToString(value);
+      const valueAsRecord = value;
+      const valueToString = lookupGetter(valueAsRecord, "toString");
+      if (typeof valueToString === "function") {
+        const stringified = valueToString(valueAsRecord);
+        return typeof stringified === "string" ? stringified : objectToString(stringified);
+      }
+      return objectToString(value);
+    }
+    default:
+      return objectToString(value);
+  }
+}
+function lookupGetter(object2, prop) {
+  while (object2 !== null) {
+    const desc = getOwnPropertyDescriptor(object2, prop);
+    if (desc) {
+      if (desc.get) return unapply(desc.get);
+      if (typeof desc.value === "function") return unapply(desc.value);
+    }
+    object2 = getPrototypeOf(object2);
+  }
+  function fallbackValue() {
+    return null;
+  }
+  return fallbackValue;
+}
+function isRegex(value) {
+  try {
+    regExpTest(value, "");
+    return true;
+  } catch (_unused) {
+    return false;
+  }
+}
+function createDOMPurify() {
+  let window2 = arguments.length > 0 && arguments[0] !== void 0 ? arguments[0] : getGlobal();
+  const DOMPurify = (root) => createDOMPurify(root);
+  DOMPurify.version = "3.4.16";
+  DOMPurify.removed = [];
+  if (!window2 || !window2.document || window2.document.nodeType !== NODE_TYPE.document || !window2.Element) {
+    DOMPurify.isSupported = false;
+    return DOMPurify;
+  }
+  let document2 = window2.document;
+  const originalDocument = document2;
+  const currentScript = originalDocument.currentScript;
+  window2.DocumentFragment;
+  const HTMLTemplateElement = window2.HTMLTemplateElement, Node = window2.Node, Element3 = window2.Element, NodeFilter = window2.NodeFilter;
+  window2.NamedNodeMap === void 0 && (window2.NamedNodeMap || window2.MozNamedAttrMap);
+  window2.HTMLFormElement;
+  const DOMParser = window2.DOMParser, trustedTypes = window2.trustedTypes;
+  const ElementPrototype = Element3.prototype;
+  const cloneNode = lookupGetter(ElementPrototype, "cloneNode");
+  const remove2 = lookupGetter(ElementPrototype, "remove");
+  const removeAttributeNode = lookupGetter(ElementPrototype, "removeAttributeNode");
+  const getNextSibling = lookupGetter(ElementPrototype, "nextSibling");
+  const getChildNodes = lookupGetter(ElementPrototype, "childNodes");
+  const getParentNode = lookupGetter(ElementPrototype, "parentNode");
+  const getShadowRoot = lookupGetter(ElementPrototype, "shadowRoot");
+  const getAttributes = lookupGetter(ElementPrototype, "attributes");
+  const getNodeType = Node && Node.prototype ? lookupGetter(Node.prototype, "nodeType") : null;
+  const getNodeName = Node && Node.prototype ? lookupGetter(Node.prototype, "nodeName") : null;
+  const getOwnerDocument = Node && Node.prototype ? lookupGetter(Node.prototype, "ownerDocument") : null;
+  const _readNodeType = function _readNodeType2(node) {
+    return getNodeType ? getNodeType(node) : node.nodeType;
+  };
+  const _readNodeName = function _readNodeName2(node) {
+    return getNodeName ? getNodeName(node) : node.nodeName;
+  };
+  if (typeof HTMLTemplateElement === "function") {
+    const template = document2.createElement("template");
+    if (template.content && template.content.ownerDocument) document2 = template.content.ownerDocument;
+  }
+  let trustedTypesPolicy;
+  let emptyHTML = "";
+  let defaultTrustedTypesPolicy;
+  let defaultTrustedTypesPolicyResolved = false;
+  let IN_TRUSTED_TYPES_POLICY = 0;
+  const _assertNotInTrustedTypesPolicy = function _assertNotInTrustedTypesPolicy2() {
+    if (IN_TRUSTED_TYPES_POLICY > 0) throw typeErrorCreate('A configured TRUSTED_TYPES_POLICY callback (createHTML or createScriptURL) must not call DOMPurify.sanitize, as that causes infinite recursion. Do not pass a policy whose callbacks wrap DOMPurify as TRUSTED_TYPES_POLICY; see the "DOMPurify and Trusted Types" section of the README.');
+  };
+  const _createTrustedHTML = function _createTrustedHTML2(html3) {
+    _assertNotInTrustedTypesPolicy();
+    IN_TRUSTED_TYPES_POLICY++;
+    try {
+      return trustedTypesPolicy.createHTML(html3);
+    } finally {
+      IN_TRUSTED_TYPES_POLICY--;
+    }
+  };
+  const _createTrustedScriptURL = function _createTrustedScriptURL2(scriptUrl) {
+    _assertNotInTrustedTypesPolicy();
+    IN_TRUSTED_TYPES_POLICY++;
+    try {
+      return trustedTypesPolicy.createScriptURL(scriptUrl);
+    } finally {
+      IN_TRUSTED_TYPES_POLICY--;
+    }
+  };
+  const _getDefaultTrustedTypesPolicy = function _getDefaultTrustedTypesPolicy2() {
+    if (!defaultTrustedTypesPolicyResolved) {
+      defaultTrustedTypesPolicy = _createTrustedTypesPolicy(trustedTypes, currentScript);
+      defaultTrustedTypesPolicyResolved = true;
+    }
+    return defaultTrustedTypesPolicy;
+  };
+  const _document = document2, implementation = _document.implementation, createNodeIterator = _document.createNodeIterator, createDocumentFragment = _document.createDocumentFragment, getElementsByTagName = _document.getElementsByTagName;
+  const importNode = originalDocument.importNode;
+  let hooks = _createHooksMap();
+  DOMPurify.isSupported = typeof entries === "function" && typeof getParentNode === "function" && implementation && implementation.createHTMLDocument !== void 0;
+  const MUSTACHE_EXPR$1 = MUSTACHE_EXPR, ERB_EXPR$1 = ERB_EXPR, TMPLIT_EXPR$1 = TMPLIT_EXPR, DATA_ATTR$1 = DATA_ATTR, ARIA_ATTR$1 = ARIA_ATTR, IS_SCRIPT_OR_DATA$1 = IS_SCRIPT_OR_DATA, ATTR_WHITESPACE$1 = ATTR_WHITESPACE, CUSTOM_ELEMENT$1 = CUSTOM_ELEMENT;
+  let IS_ALLOWED_URI$1 = IS_ALLOWED_URI;
+  let ALLOWED_TAGS = null;
+  const DEFAULT_ALLOWED_TAGS = addToSet({}, [
+    ...html$1,
+    ...svg$1,
+    ...svgFilters,
+    ...mathMl$1,
+    ...text2
+  ]);
+  let ALLOWED_ATTR = null;
+  const DEFAULT_ALLOWED_ATTR = addToSet({}, [
+    ...html2,
+    ...svg2,
+    ...mathMl,
+    ...xml
+  ]);
+  let CUSTOM_ELEMENT_HANDLING = Object.seal(create(null, {
+    tagNameCheck: {
+      writable: true,
+      configurable: false,
+      enumerable: true,
+      value: null
+    },
+    attributeNameCheck: {
+      writable: true,
+      configurable: false,
+      enumerable: true,
+      value: null
+    },
+    allowCustomizedBuiltInElements: {
+      writable: true,
+      configurable: false,
+      enumerable: true,
+      value: false
+    }
+  }));
+  let FORBID_TAGS = null;
+  let FORBID_ATTR = null;
+  const EXTRA_ELEMENT_HANDLING = Object.seal(create(null, {
+    tagCheck: {
+      writable: true,
+      configurable: false,
+      enumerable: true,
+      value: null
+    },
+    attributeCheck: {
+      writable: true,
+      configurable: false,
+      enumerable: true,
+      value: null
+    }
+  }));
+  let ALLOW_ARIA_ATTR = true;
+  let ALLOW_DATA_ATTR = true;
+  let ALLOW_UNKNOWN_PROTOCOLS = false;
+  let ALLOW_SELF_CLOSE_IN_ATTR = true;
+  let SAFE_FOR_TEMPLATES = false;
+  let SAFE_FOR_XML = true;
+  let WHOLE_DOCUMENT = false;
+  let SET_CONFIG = false;
+  let SET_CONFIG_ALLOWED_TAGS = null;
+  let SET_CONFIG_ALLOWED_ATTR = null;
+  let FORCE_BODY = false;
+  let RETURN_DOM = false;
+  let RETURN_DOM_FRAGMENT = false;
+  let RETURN_TRUSTED_TYPE = false;
+  let SANITIZE_DOM = true;
+  let SANITIZE_NAMED_PROPS = false;
+  const SANITIZE_NAMED_PROPS_PREFIX = "user-content-";
+  let KEEP_CONTENT = true;
+  let IN_PLACE = false;
+  let USE_PROFILES = {};
+  let FORBID_CONTENTS = null;
+  const DEFAULT_FORBID_CONTENTS = addToSet({}, [
+    "annotation-xml",
+    "audio",
+    "colgroup",
+    "desc",
+    "foreignobject",
+    "head",
+    "iframe",
+    "math",
+    "mi",
+    "mn",
+    "mo",
+    "ms",
+    "mtext",
+    "noembed",
+    "noframes",
+    "noscript",
+    "plaintext",
+    "script",
+    "selectedcontent",
+    "style",
+    "svg",
+    "template",
+    "thead",
+    "title",
+    "video",
+    "xmp"
+  ]);
+  let DATA_URI_TAGS = null;
+  const DEFAULT_DATA_URI_TAGS = addToSet({}, [
+    "audio",
+    "video",
+    "img",
+    "source",
+    "image",
+    "track"
+  ]);
+  let URI_SAFE_ATTRIBUTES = null;
+  const DEFAULT_URI_SAFE_ATTRIBUTES = addToSet({}, [
+    "alt",
+    "class",
+    "for",
+    "id",
+    "label",
+    "name",
+    "pattern",
+    "placeholder",
+    "role",
+    "summary",
+    "title",
+    "value",
+    "style",
+    "xmlns"
+  ]);
+  const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+  const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+  const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+  let NAMESPACE = HTML_NAMESPACE;
+  let IS_EMPTY_INPUT = false;
+  let ALLOWED_NAMESPACES = null;
+  const DEFAULT_ALLOWED_NAMESPACES = addToSet({}, [
+    MATHML_NAMESPACE,
+    SVG_NAMESPACE,
+    HTML_NAMESPACE
+  ], stringToString);
+  const DEFAULT_MATHML_TEXT_INTEGRATION_POINTS = freeze([
+    "mi",
+    "mo",
+    "mn",
+    "ms",
+    "mtext"
+  ]);
+  let MATHML_TEXT_INTEGRATION_POINTS = addToSet({}, DEFAULT_MATHML_TEXT_INTEGRATION_POINTS);
+  const DEFAULT_HTML_INTEGRATION_POINTS = freeze(["annotation-xml"]);
+  let HTML_INTEGRATION_POINTS = addToSet({}, DEFAULT_HTML_INTEGRATION_POINTS);
+  const COMMON_SVG_AND_HTML_ELEMENTS = addToSet({}, [
+    "title",
+    "style",
+    "font",
+    "a",
+    "script"
+  ]);
+  let PARSER_MEDIA_TYPE = null;
+  const SUPPORTED_PARSER_MEDIA_TYPES = ["application/xhtml+xml", "text/html"];
+  const DEFAULT_PARSER_MEDIA_TYPE = "text/html";
+  let transformCaseFunc = null;
+  let CONFIG = null;
+  const formElement = document2.createElement("form");
+  const isRegexOrFunction = function isRegexOrFunction2(testValue) {
+    return testValue instanceof RegExp || testValue instanceof Function;
+  };
+  const _parseConfig = function _parseConfig2() {
+    let cfg = arguments.length > 0 && arguments[0] !== void 0 ? arguments[0] : {};
+    if (CONFIG && CONFIG === cfg) return;
+    if (!cfg || typeof cfg !== "object") cfg = {};
+    cfg = clone(cfg);
+    PARSER_MEDIA_TYPE = SUPPORTED_PARSER_MEDIA_TYPES.indexOf(cfg.PARSER_MEDIA_TYPE) === -1 ? DEFAULT_PARSER_MEDIA_TYPE : cfg.PARSER_MEDIA_TYPE;
+    transformCaseFunc = PARSER_MEDIA_TYPE === "application/xhtml+xml" ? stringToString : stringToLowerCase;
+    ALLOWED_TAGS = _resolveSetOption(cfg, "ALLOWED_TAGS", DEFAULT_ALLOWED_TAGS, { transform: transformCaseFunc });
+    ALLOWED_ATTR = _resolveSetOption(cfg, "ALLOWED_ATTR", DEFAULT_ALLOWED_ATTR, { transform: transformCaseFunc });
+    ALLOWED_NAMESPACES = _resolveSetOption(cfg, "ALLOWED_NAMESPACES", DEFAULT_ALLOWED_NAMESPACES, { transform: stringToString });
+    URI_SAFE_ATTRIBUTES = _resolveSetOption(cfg, "ADD_URI_SAFE_ATTR", DEFAULT_URI_SAFE_ATTRIBUTES, {
+      transform: transformCaseFunc,
+      base: DEFAULT_URI_SAFE_ATTRIBUTES
+    });
+    DATA_URI_TAGS = _resolveSetOption(cfg, "ADD_DATA_URI_TAGS", DEFAULT_DATA_URI_TAGS, {
+      transform: transformCaseFunc,
+      base: DEFAULT_DATA_URI_TAGS
+    });
+    FORBID_CONTENTS = _resolveSetOption(cfg, "FORBID_CONTENTS", DEFAULT_FORBID_CONTENTS, { transform: transformCaseFunc });
+    FORBID_TAGS = _resolveSetOption(cfg, "FORBID_TAGS", clone({}), { transform: transformCaseFunc });
+    FORBID_ATTR = _resolveSetOption(cfg, "FORBID_ATTR", clone({}), { transform: transformCaseFunc });
+    USE_PROFILES = objectHasOwnProperty(cfg, "USE_PROFILES") ? cfg.USE_PROFILES && typeof cfg.USE_PROFILES === "object" ? clone(cfg.USE_PROFILES) : cfg.USE_PROFILES : false;
+    ALLOW_ARIA_ATTR = cfg.ALLOW_ARIA_ATTR !== false;
+    ALLOW_DATA_ATTR = cfg.ALLOW_DATA_ATTR !== false;
+    ALLOW_UNKNOWN_PROTOCOLS = cfg.ALLOW_UNKNOWN_PROTOCOLS || false;
+    ALLOW_SELF_CLOSE_IN_ATTR = cfg.ALLOW_SELF_CLOSE_IN_ATTR !== false;
+    SAFE_FOR_TEMPLATES = cfg.SAFE_FOR_TEMPLATES || false;
+    SAFE_FOR_XML = cfg.SAFE_FOR_XML !== false;
+    WHOLE_DOCUMENT = cfg.WHOLE_DOCUMENT || false;
+    RETURN_DOM = cfg.RETURN_DOM || false;
+    RETURN_DOM_FRAGMENT = cfg.RETURN_DOM_FRAGMENT || false;
+    RETURN_TRUSTED_TYPE = cfg.RETURN_TRUSTED_TYPE || false;
+    FORCE_BODY = cfg.FORCE_BODY || false;
+    SANITIZE_DOM = cfg.SANITIZE_DOM !== false;
+    SANITIZE_NAMED_PROPS = cfg.SANITIZE_NAMED_PROPS || false;
+    KEEP_CONTENT = cfg.KEEP_CONTENT !== false;
+    IN_PLACE = cfg.IN_PLACE || false;
+    IS_ALLOWED_URI$1 = isRegex(cfg.ALLOWED_URI_REGEXP) ? cfg.ALLOWED_URI_REGEXP : IS_ALLOWED_URI;
+    NAMESPACE = typeof cfg.NAMESPACE === "string" ? cfg.NAMESPACE : HTML_NAMESPACE;
+    MATHML_TEXT_INTEGRATION_POINTS = _resolveObjectOption(cfg, "MATHML_TEXT_INTEGRATION_POINTS", () => addToSet({}, DEFAULT_MATHML_TEXT_INTEGRATION_POINTS));
+    HTML_INTEGRATION_POINTS = _resolveObjectOption(cfg, "HTML_INTEGRATION_POINTS", () => addToSet({}, DEFAULT_HTML_INTEGRATION_POINTS));
+    const customElementHandling = _resolveObjectOption(cfg, "CUSTOM_ELEMENT_HANDLING", () => create(null));
+    CUSTOM_ELEMENT_HANDLING = create(null);
+    if (objectHasOwnProperty(customElementHandling, "tagNameCheck") && isRegexOrFunction(customElementHandling.tagNameCheck)) CUSTOM_ELEMENT_HANDLING.tagNameCheck = customElementHandling.tagNameCheck;
+    if (objectHasOwnProperty(customElementHandling, "attributeNameCheck") && isRegexOrFunction(customElementHandling.attributeNameCheck)) CUSTOM_ELEMENT_HANDLING.attributeNameCheck = customElementHandling.attributeNameCheck;
+    if (objectHasOwnProperty(customElementHandling, "allowCustomizedBuiltInElements") && typeof customElementHandling.allowCustomizedBuiltInElements === "boolean") CUSTOM_ELEMENT_HANDLING.allowCustomizedBuiltInElements = customElementHandling.allowCustomizedBuiltInElements;
+    seal(CUSTOM_ELEMENT_HANDLING);
+    if (SAFE_FOR_TEMPLATES) ALLOW_DATA_ATTR = false;
+    if (RETURN_DOM_FRAGMENT) RETURN_DOM = true;
+    if (USE_PROFILES) {
+      ALLOWED_TAGS = addToSet({}, text2);
+      ALLOWED_ATTR = create(null);
+      if (USE_PROFILES.html === true) {
+        addToSet(ALLOWED_TAGS, html$1);
+        addToSet(ALLOWED_ATTR, html2);
+      }
+      if (USE_PROFILES.svg === true) {
+        addToSet(ALLOWED_TAGS, svg$1);
+        addToSet(ALLOWED_ATTR, svg2);
+        addToSet(ALLOWED_ATTR, xml);
+      }
+      if (USE_PROFILES.svgFilters === true) {
+        addToSet(ALLOWED_TAGS, svgFilters);
+        addToSet(ALLOWED_ATTR, svg2);
+        addToSet(ALLOWED_ATTR, xml);
+      }
+      if (USE_PROFILES.mathMl === true) {
+        addToSet(ALLOWED_TAGS, mathMl$1);
+        addToSet(ALLOWED_ATTR, mathMl);
+        addToSet(ALLOWED_ATTR, xml);
+      }
+    }
+    EXTRA_ELEMENT_HANDLING.tagCheck = null;
+    EXTRA_ELEMENT_HANDLING.attributeCheck = null;
+    if (objectHasOwnProperty(cfg, "ADD_TAGS")) {
+      if (typeof cfg.ADD_TAGS === "function") EXTRA_ELEMENT_HANDLING.tagCheck = cfg.ADD_TAGS;
+      else if (arrayIsArray(cfg.ADD_TAGS)) {
+        if (ALLOWED_TAGS === DEFAULT_ALLOWED_TAGS) ALLOWED_TAGS = clone(ALLOWED_TAGS);
+        addToSet(ALLOWED_TAGS, cfg.ADD_TAGS, transformCaseFunc);
+      }
+    }
+    if (objectHasOwnProperty(cfg, "ADD_ATTR")) {
+      if (typeof cfg.ADD_ATTR === "function") EXTRA_ELEMENT_HANDLING.attributeCheck = cfg.ADD_ATTR;
+      else if (arrayIsArray(cfg.ADD_ATTR)) {
+        if (ALLOWED_ATTR === DEFAULT_ALLOWED_ATTR) ALLOWED_ATTR = clone(ALLOWED_ATTR);
+        addToSet(ALLOWED_ATTR, cfg.ADD_ATTR, transformCaseFunc);
+      }
+    }
+    if (objectHasOwnProperty(cfg, "ADD_FORBID_CONTENTS") && arrayIsArray(cfg.ADD_FORBID_CONTENTS)) {
+      if (FORBID_CONTENTS === DEFAULT_FORBID_CONTENTS) FORBID_CONTENTS = clone(FORBID_CONTENTS);
+      addToSet(FORBID_CONTENTS, cfg.ADD_FORBID_CONTENTS, transformCaseFunc);
+    }
+    if (KEEP_CONTENT) ALLOWED_TAGS["#text"] = true;
+    if (WHOLE_DOCUMENT) addToSet(ALLOWED_TAGS, [
+      "html",
+      "head",
+      "body"
+    ]);
+    if (ALLOWED_TAGS.table) {
+      addToSet(ALLOWED_TAGS, ["tbody"]);
+      delete FORBID_TAGS.tbody;
+    }
+    if (cfg.TRUSTED_TYPES_POLICY) {
+      if (typeof cfg.TRUSTED_TYPES_POLICY.createHTML !== "function") throw typeErrorCreate('TRUSTED_TYPES_POLICY configuration option must provide a "createHTML" hook.');
+      if (typeof cfg.TRUSTED_TYPES_POLICY.createScriptURL !== "function") throw typeErrorCreate('TRUSTED_TYPES_POLICY configuration option must provide a "createScriptURL" hook.');
+      const previousTrustedTypesPolicy = trustedTypesPolicy;
+      trustedTypesPolicy = cfg.TRUSTED_TYPES_POLICY;
+      try {
+        emptyHTML = _createTrustedHTML("");
+      } catch (error) {
+        trustedTypesPolicy = previousTrustedTypesPolicy;
+        throw error;
+      }
+    } else if (cfg.TRUSTED_TYPES_POLICY === null) {
+      trustedTypesPolicy = void 0;
+      emptyHTML = "";
+    } else {
+      if (trustedTypesPolicy === void 0) trustedTypesPolicy = _getDefaultTrustedTypesPolicy();
+      if (trustedTypesPolicy && typeof emptyHTML === "string") emptyHTML = _createTrustedHTML("");
+    }
+    if (freeze) freeze(cfg);
+    CONFIG = cfg;
+  };
+  const ALL_SVG_TAGS = addToSet({}, [
+    ...svg$1,
+    ...svgFilters,
+    ...svgDisallowed
+  ]);
+  const ALL_MATHML_TAGS = addToSet({}, [...mathMl$1, ...mathMlDisallowed]);
+  const _checkSvgNamespace = function _checkSvgNamespace2(tagName, parent, parentTagName) {
+    if (parent.namespaceURI === HTML_NAMESPACE) return tagName === "svg";
+    if (parent.namespaceURI === MATHML_NAMESPACE) return tagName === "svg" && (parentTagName === "annotation-xml" || MATHML_TEXT_INTEGRATION_POINTS[parentTagName]);
+    return Boolean(ALL_SVG_TAGS[tagName]);
+  };
+  const _checkMathMlNamespace = function _checkMathMlNamespace2(tagName, parent, parentTagName) {
+    if (parent.namespaceURI === HTML_NAMESPACE) return tagName === "math";
+    if (parent.namespaceURI === SVG_NAMESPACE) return tagName === "math" && HTML_INTEGRATION_POINTS[parentTagName];
+    return Boolean(ALL_MATHML_TAGS[tagName]);
+  };
+  const _checkHtmlNamespace = function _checkHtmlNamespace2(tagName, parent, parentTagName) {
+    if (parent.namespaceURI === SVG_NAMESPACE && !HTML_INTEGRATION_POINTS[parentTagName]) return false;
+    if (parent.namespaceURI === MATHML_NAMESPACE && !MATHML_TEXT_INTEGRATION_POINTS[parentTagName]) return false;
+    return !ALL_MATHML_TAGS[tagName] && (COMMON_SVG_AND_HTML_ELEMENTS[tagName] || !ALL_SVG_TAGS[tagName]);
+  };
+  const _checkValidNamespace = function _checkValidNamespace2(element) {
+    let parent = getParentNode(element);
+    if (!parent || !parent.tagName) parent = {
+      namespaceURI: NAMESPACE,
+      tagName: "template"
+    };
+    const tagName = stringToLowerCase(element.tagName);
+    const parentTagName = stringToLowerCase(parent.tagName);
+    if (!ALLOWED_NAMESPACES[element.namespaceURI]) return false;
+    if (element.namespaceURI === SVG_NAMESPACE) return _checkSvgNamespace(tagName, parent, parentTagName);
+    if (element.namespaceURI === MATHML_NAMESPACE) return _checkMathMlNamespace(tagName, parent, parentTagName);
+    if (element.namespaceURI === HTML_NAMESPACE) return _checkHtmlNamespace(tagName, parent, parentTagName);
+    if (PARSER_MEDIA_TYPE === "application/xhtml+xml" && ALLOWED_NAMESPACES[element.namespaceURI]) return true;
+    return false;
+  };
+  const _forceRemove = function _forceRemove2(node) {
+    arrayPush(DOMPurify.removed, { element: node });
+    try {
+      getParentNode(node).removeChild(node);
+    } catch (_2) {
+      remove2(node);
+      if (!getParentNode(node)) throw typeErrorCreate("a node selected for removal could not be detached from its tree and cannot be safely returned; refusing to sanitize in place");
+    }
+  };
+  const _stripAttributeNode = function _stripAttributeNode2(element, attribute, name2) {
+    try {
+      removeAttributeNode(element, attribute);
+    } catch (_2) {
+      try {
+        element.removeAttribute(name2);
+      } catch (_3) {
+      }
+    }
+  };
+  const _neutralizeRoot = function _neutralizeRoot2(root) {
+    _neutralizeSubtree(root);
+    const childNodes = getChildNodes(root);
+    if (childNodes) {
+      const snapshot = [];
+      arrayForEach(childNodes, (child) => {
+        arrayPush(snapshot, child);
+      });
+      arrayForEach(snapshot, (child) => {
+        try {
+          remove2(child);
+        } catch (_2) {
+        }
+      });
+    }
+    const attributes = getAttributes(root);
+    if (attributes) for (let i = attributes.length - 1; i >= 0; --i) {
+      const attribute = attributes[i];
+      const name2 = attribute && attribute.name;
+      if (typeof name2 === "string") _stripAttributeNode(root, attribute, name2);
+    }
+  };
+  const _removeAttribute = function _removeAttribute2(name2, element, attr) {
+    if (!attr) try {
+      attr = element.getAttributeNode(name2);
+    } catch (_2) {
+      attr = null;
+    }
+    arrayPush(DOMPurify.removed, {
+      attribute: attr || null,
+      from: element
+    });
+    try {
+      if (attr) removeAttributeNode(element, attr);
+      else element.removeAttribute(name2);
+    } catch (_2) {
+      try {
+        element.removeAttribute(name2);
+      } catch (_3) {
+      }
+    }
+    if (name2 === "is") {
+      if (RETURN_DOM || RETURN_DOM_FRAGMENT) try {
+        _forceRemove(element);
+      } catch (_2) {
+      }
+      else try {
+        element.setAttribute(name2, "");
+      } catch (_2) {
+      }
+    }
+  };
+  const _stripDisallowedAttributes = function _stripDisallowedAttributes2(element) {
+    const attributes = getAttributes(element);
+    if (!attributes) return;
+    for (let i = attributes.length - 1; i >= 0; --i) {
+      const attribute = attributes[i];
+      const name2 = attribute && attribute.name;
+      if (typeof name2 !== "string" || ALLOWED_ATTR[transformCaseFunc(name2)]) continue;
+      _stripAttributeNode(element, attribute, name2);
+    }
+  };
+  const _neutralizeSubtree = function _neutralizeSubtree2(root) {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (_readNodeType(node) === NODE_TYPE.element) _stripDisallowedAttributes(node);
+      const childNodes = getChildNodes(node);
+      if (childNodes) for (let i = childNodes.length - 1; i >= 0; --i) stack.push(childNodes[i]);
+    }
+  };
+  const _isPatchLinkageAttribute = function _isPatchLinkageAttribute2(lcName, lcTag) {
+    if (!SAFE_FOR_XML) return false;
+    if (lcName === "patchsrc") return true;
+    return lcName === "for" && lcTag !== "label" && lcTag !== "output";
+  };
+  const _neutralizePatchLinkage = function _neutralizePatchLinkage2(root) {
+    if (!SAFE_FOR_XML) return;
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const nodeType = _readNodeType(node);
+      if (nodeType === NODE_TYPE.processingInstruction || nodeType === NODE_TYPE.comment && regExpTest(COMMENT_MARKUP_PROBE, node.data)) {
+        try {
+          remove2(node);
+        } catch (_2) {
+        }
+        continue;
+      }
+      if (nodeType === NODE_TYPE.element) {
+        const element = node;
+        const lcTag = transformCaseFunc(_readNodeName(node));
+        try {
+          if (element.hasAttribute && element.hasAttribute("patchsrc")) element.removeAttribute("patchsrc");
+          if (element.hasAttribute && element.hasAttribute("for") && _isPatchLinkageAttribute("for", lcTag)) element.removeAttribute("for");
+        } catch (_2) {
+        }
+      }
+      const childNodes = getChildNodes(node);
+      if (childNodes) for (let i = childNodes.length - 1; i >= 0; --i) stack.push(childNodes[i]);
+    }
+  };
+  const _initDocument = function _initDocument2(dirty) {
+    let doc2 = null;
+    let leadingWhitespace = null;
+    if (FORCE_BODY) dirty = "<remove></remove>" + dirty;
+    else {
+      const matches = stringMatch(dirty, /^[\r\n\t ]+/);
+      leadingWhitespace = matches && matches[0];
+    }
+    if (PARSER_MEDIA_TYPE === "application/xhtml+xml" && NAMESPACE === HTML_NAMESPACE) dirty = '<html xmlns="http://www.w3.org/1999/xhtml"><head></head><body>' + dirty + "</body></html>";
+    const dirtyPayload = trustedTypesPolicy ? _createTrustedHTML(dirty) : dirty;
+    if (NAMESPACE === HTML_NAMESPACE) try {
+      doc2 = new DOMParser().parseFromString(dirtyPayload, PARSER_MEDIA_TYPE);
+    } catch (_2) {
+    }
+    if (!doc2 || !doc2.documentElement) {
+      doc2 = implementation.createDocument(NAMESPACE, "template", null);
+      try {
+        doc2.documentElement.innerHTML = IS_EMPTY_INPUT ? emptyHTML : dirtyPayload;
+      } catch (_2) {
+      }
+    }
+    const body = doc2.body || doc2.documentElement;
+    if (dirty && leadingWhitespace) body.insertBefore(document2.createTextNode(leadingWhitespace), body.childNodes[0] || null);
+    if (NAMESPACE === HTML_NAMESPACE) return getElementsByTagName.call(doc2, WHOLE_DOCUMENT ? "html" : "body")[0];
+    return WHOLE_DOCUMENT ? doc2.documentElement : body;
+  };
+  const _createNodeIterator = function _createNodeIterator2(root) {
+    const doc2 = getOwnerDocument ? getOwnerDocument(root) : root.ownerDocument;
+    return createNodeIterator.call(doc2 || root, root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT | NodeFilter.SHOW_TEXT | NodeFilter.SHOW_PROCESSING_INSTRUCTION | NodeFilter.SHOW_CDATA_SECTION, null);
+  };
+  const _stripTemplateExpressions = function _stripTemplateExpressions2(value) {
+    value = stringReplace(value, MUSTACHE_EXPR$1, " ");
+    value = stringReplace(value, ERB_EXPR$1, " ");
+    value = stringReplace(value, TMPLIT_EXPR$1, " ");
+    return value;
+  };
+  const _scrubTemplateExpressions2 = function _scrubTemplateExpressions(node) {
+    var _node$querySelectorAl;
+    node.normalize();
+    const doc2 = getOwnerDocument ? getOwnerDocument(node) : node.ownerDocument;
+    const walker = createNodeIterator.call(doc2 || node, node, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT | NodeFilter.SHOW_CDATA_SECTION | NodeFilter.SHOW_PROCESSING_INSTRUCTION, null);
+    let currentNode = walker.nextNode();
+    while (currentNode) {
+      currentNode.data = _stripTemplateExpressions(currentNode.data);
+      currentNode = walker.nextNode();
+    }
+    const templates = (_node$querySelectorAl = node.querySelectorAll) === null || _node$querySelectorAl === void 0 ? void 0 : _node$querySelectorAl.call(node, "template");
+    if (templates) arrayForEach(templates, (tmpl) => {
+      if (_isDocumentFragment(tmpl.content)) _scrubTemplateExpressions2(tmpl.content);
+    });
+  };
+  const _isClobbered = function _isClobbered2(element) {
+    const realTagName = getNodeName ? getNodeName(element) : null;
+    if (typeof realTagName !== "string") return false;
+    if (transformCaseFunc(realTagName) !== "form") return false;
+    return typeof element.nodeName !== "string" || typeof element.textContent !== "string" || typeof element.removeChild !== "function" || element.attributes !== getAttributes(element) || typeof element.removeAttribute !== "function" || typeof element.removeAttributeNode !== "function" || typeof element.getAttributeNode !== "function" || typeof element.setAttribute !== "function" || typeof element.namespaceURI !== "string" || typeof element.insertBefore !== "function" || typeof element.hasChildNodes !== "function" || element.nodeType !== getNodeType(element) || element.childNodes !== getChildNodes(element);
+  };
+  const _isDocumentFragment = function _isDocumentFragment2(value) {
+    if (!getNodeType || typeof value !== "object" || value === null) return false;
+    try {
+      return getNodeType(value) === NODE_TYPE.documentFragment;
+    } catch (_2) {
+      return false;
+    }
+  };
+  const _isNode = function _isNode2(value) {
+    if (!getNodeType || typeof value !== "object" || value === null) return false;
+    try {
+      return typeof getNodeType(value) === "number";
+    } catch (_2) {
+      return false;
+    }
+  };
+  function _executeHooks(hooks2, currentNode, data2) {
+    if (hooks2.length === 0) return;
+    arrayForEach(hooks2, (hook) => {
+      hook.call(DOMPurify, currentNode, data2, CONFIG);
+    });
+  }
+  const _isUnsafeNode = function _isUnsafeNode2(currentNode, tagName) {
+    if (SAFE_FOR_XML && currentNode.hasChildNodes() && !_isNode(currentNode.firstElementChild) && regExpTest(ELEMENT_MARKUP_PROBE, currentNode.textContent) && regExpTest(ELEMENT_MARKUP_PROBE, currentNode.innerHTML)) return true;
+    if (SAFE_FOR_XML && currentNode.namespaceURI === HTML_NAMESPACE && LITERAL_TEXT_ELEMENTS[tagName] && (_isNode(currentNode.firstElementChild) || typeof currentNode.textContent === "string" && regExpTest(LITERAL_TEXT_CLOSE[tagName], currentNode.textContent))) return true;
+    if (currentNode.nodeType === NODE_TYPE.processingInstruction) return true;
+    if (SAFE_FOR_XML && currentNode.nodeType === NODE_TYPE.comment && regExpTest(COMMENT_MARKUP_PROBE, currentNode.data)) return true;
+    return false;
+  };
+  const _matchesNameCheck = function _matchesNameCheck2(check, name2) {
+    if (check instanceof RegExp) return regExpTest(check, name2);
+    if (check instanceof Function) {
+      for (var _len = arguments.length, args = new Array(_len > 2 ? _len - 2 : 0), _key = 2; _key < _len; _key++) args[_key - 2] = arguments[_key];
+      return Boolean(check(name2, ...args));
+    }
+    return false;
+  };
+  const _sanitizeDisallowedNode = function _sanitizeDisallowedNode2(currentNode, tagName, root) {
+    if (!FORBID_TAGS[tagName] && _isBasicCustomElement(tagName) && _matchesNameCheck(CUSTOM_ELEMENT_HANDLING.tagNameCheck, tagName)) return false;
+    if (KEEP_CONTENT && !FORBID_CONTENTS[tagName]) {
+      const parentNode = getParentNode(currentNode);
+      const childNodes = getChildNodes(currentNode);
+      if (childNodes && parentNode) {
+        const childCount = childNodes.length;
+        for (let i = childCount - 1; i >= 0; --i) {
+          const hoisted = currentNode === root ? cloneNode(childNodes[i], true) : childNodes[i];
+          parentNode.insertBefore(hoisted, getNextSibling(currentNode));
+        }
+      }
+    }
+    _forceRemove(currentNode);
+    return true;
+  };
+  const _forkSharedAllowlist = function _forkSharedAllowlist2(hookList, set, defaultSet, setConfigSet) {
+    if (hookList.length === 0) return set;
+    return set === defaultSet || set === setConfigSet ? clone(set) : set;
+  };
+  const _handleHookDetachedNode = function _handleHookDetachedNode2(currentNode, root) {
+    if (currentNode === root || getParentNode(currentNode) !== null) return false;
+    if (IN_PLACE) _neutralizeSubtree(currentNode);
+    return true;
+  };
+  const _sanitizeElements = function _sanitizeElements2(currentNode, root) {
+    _executeHooks(hooks.beforeSanitizeElements, currentNode, null);
+    if (_handleHookDetachedNode(currentNode, root)) return true;
+    if (_isClobbered(currentNode)) {
+      _forceRemove(currentNode);
+      return true;
+    }
+    const tagName = transformCaseFunc(_readNodeName(currentNode));
+    ALLOWED_TAGS = _forkSharedAllowlist(hooks.uponSanitizeElement, ALLOWED_TAGS, DEFAULT_ALLOWED_TAGS, SET_CONFIG_ALLOWED_TAGS);
+    _executeHooks(hooks.uponSanitizeElement, currentNode, {
+      tagName,
+      allowedTags: ALLOWED_TAGS
+    });
+    if (_handleHookDetachedNode(currentNode, root)) return true;
+    if (_isUnsafeNode(currentNode, tagName)) {
+      _forceRemove(currentNode);
+      return true;
+    }
+    if (FORBID_TAGS[tagName] || !(EXTRA_ELEMENT_HANDLING.tagCheck instanceof Function && EXTRA_ELEMENT_HANDLING.tagCheck(tagName)) && !ALLOWED_TAGS[tagName]) {
+      const removed = _sanitizeDisallowedNode(currentNode, tagName, root);
+      if (removed === false) {
+        _executeHooks(hooks.afterSanitizeElements, currentNode, null);
+        if (_handleHookDetachedNode(currentNode, root)) return true;
+      }
+      return removed;
+    }
+    if (_readNodeType(currentNode) === NODE_TYPE.element && !_checkValidNamespace(currentNode)) {
+      _forceRemove(currentNode);
+      return true;
+    }
+    if ((tagName === "noscript" || tagName === "noembed" || tagName === "noframes") && regExpTest(FALLBACK_TAG_CLOSE, currentNode.innerHTML)) {
+      _forceRemove(currentNode);
+      return true;
+    }
+    if (SAFE_FOR_TEMPLATES && currentNode.nodeType === NODE_TYPE.text) {
+      const content2 = _stripTemplateExpressions(currentNode.textContent);
+      if (currentNode.textContent !== content2) {
+        arrayPush(DOMPurify.removed, { element: currentNode.cloneNode() });
+        currentNode.textContent = content2;
+      }
+    }
+    _executeHooks(hooks.afterSanitizeElements, currentNode, null);
+    return _handleHookDetachedNode(currentNode, root);
+  };
+  const _isValidAttribute = function _isValidAttribute2(lcTag, lcName, value) {
+    if (FORBID_ATTR[lcName]) return false;
+    if (_isPatchLinkageAttribute(lcName, lcTag)) return false;
+    if (SANITIZE_DOM && (lcName === "id" || lcName === "name") && (value in document2 || value in formElement)) return false;
+    const nameIsPermitted = ALLOWED_ATTR[lcName] || EXTRA_ELEMENT_HANDLING.attributeCheck instanceof Function && EXTRA_ELEMENT_HANDLING.attributeCheck(lcName, lcTag);
+    if (ALLOW_DATA_ATTR && regExpTest(DATA_ATTR$1, lcName)) return true;
+    if (ALLOW_ARIA_ATTR && regExpTest(ARIA_ATTR$1, lcName)) return true;
+    if (!nameIsPermitted) return _isBasicCustomElement(lcTag) && _matchesNameCheck(CUSTOM_ELEMENT_HANDLING.tagNameCheck, lcTag) && _matchesNameCheck(CUSTOM_ELEMENT_HANDLING.attributeNameCheck, lcName, lcTag) || lcName === "is" && CUSTOM_ELEMENT_HANDLING.allowCustomizedBuiltInElements && _matchesNameCheck(CUSTOM_ELEMENT_HANDLING.tagNameCheck, value);
+    if (URI_SAFE_ATTRIBUTES[lcName]) return true;
+    if (regExpTest(IS_ALLOWED_URI$1, stringReplace(value, ATTR_WHITESPACE$1, ""))) return true;
+    if ((lcName === "src" || lcName === "xlink:href" || lcName === "href") && lcTag !== "script" && stringIndexOf(value, "data:") === 0 && DATA_URI_TAGS[lcTag]) return true;
+    if (ALLOW_UNKNOWN_PROTOCOLS && !regExpTest(IS_SCRIPT_OR_DATA$1, stringReplace(value, ATTR_WHITESPACE$1, ""))) return true;
+    return !value;
+  };
+  const RESERVED_CUSTOM_ELEMENT_NAMES = addToSet({}, [
+    "annotation-xml",
+    "color-profile",
+    "font-face",
+    "font-face-format",
+    "font-face-name",
+    "font-face-src",
+    "font-face-uri",
+    "missing-glyph"
+  ]);
+  const _isBasicCustomElement = function _isBasicCustomElement2(tagName) {
+    return !RESERVED_CUSTOM_ELEMENT_NAMES[stringToLowerCase(tagName)] && regExpTest(CUSTOM_ELEMENT$1, tagName);
+  };
+  const _applyTrustedTypesToAttribute = function _applyTrustedTypesToAttribute2(lcTag, lcName, namespaceURI, value) {
+    if (trustedTypesPolicy && typeof trustedTypes === "object" && typeof trustedTypes.getAttributeType === "function" && !namespaceURI) switch (trustedTypes.getAttributeType(lcTag, lcName)) {
+      case "TrustedHTML":
+        return _createTrustedHTML(value);
+      case "TrustedScriptURL":
+        return _createTrustedScriptURL(value);
+    }
+    return value;
+  };
+  const _setAttributeValue = function _setAttributeValue2(currentNode, name2, namespaceURI, value) {
+    try {
+      if (namespaceURI) currentNode.setAttributeNS(namespaceURI, name2, value);
+      else currentNode.setAttribute(name2, value);
+      if (_isClobbered(currentNode)) {
+        _forceRemove(currentNode);
+        return false;
+      }
+      return true;
+    } catch (_2) {
+      _removeAttribute(name2, currentNode);
+      return false;
+    }
+  };
+  const _sanitizeAttributes = function _sanitizeAttributes2(currentNode, root) {
+    _executeHooks(hooks.beforeSanitizeAttributes, currentNode, null);
+    if (_handleHookDetachedNode(currentNode, root)) return;
+    const attributes = currentNode.attributes;
+    if (!attributes || _isClobbered(currentNode)) return;
+    ALLOWED_ATTR = _forkSharedAllowlist(hooks.uponSanitizeAttribute, ALLOWED_ATTR, DEFAULT_ALLOWED_ATTR, SET_CONFIG_ALLOWED_ATTR);
+    const hookEvent = {
+      attrName: "",
+      attrValue: "",
+      keepAttr: true,
+      allowedAttributes: ALLOWED_ATTR,
+      forceKeepAttr: void 0
+    };
+    let l3 = attributes.length;
+    const lcTag = transformCaseFunc(currentNode.nodeName);
+    while (l3--) {
+      const attr = attributes[l3];
+      const name2 = attr.name, namespaceURI = attr.namespaceURI, attrValue = attr.value;
+      const lcName = transformCaseFunc(name2);
+      const initValue = attrValue;
+      let value = name2 === "value" ? initValue : stringTrim(initValue);
+      let recreatedNamedProp = false;
+      hookEvent.attrName = lcName;
+      hookEvent.attrValue = value;
+      hookEvent.keepAttr = true;
+      hookEvent.forceKeepAttr = void 0;
+      _executeHooks(hooks.uponSanitizeAttribute, currentNode, hookEvent);
+      value = hookEvent.attrValue;
+      if (SANITIZE_NAMED_PROPS && (lcName === "id" || lcName === "name") && stringIndexOf(value, SANITIZE_NAMED_PROPS_PREFIX) !== 0) {
+        _removeAttribute(name2, currentNode, attr);
+        value = SANITIZE_NAMED_PROPS_PREFIX + value;
+        recreatedNamedProp = true;
+      }
+      if (SAFE_FOR_XML && regExpTest(/((--!?|])>)|<\/(style|script|title|xmp|textarea|noscript|iframe|noembed|noframes)/i, value)) {
+        _removeAttribute(name2, currentNode, attr);
+        continue;
+      }
+      if (lcName === "attributename" && stringMatch(value, "href")) {
+        _removeAttribute(name2, currentNode, attr);
+        continue;
+      }
+      if (hookEvent.forceKeepAttr) continue;
+      if (!hookEvent.keepAttr) {
+        _removeAttribute(name2, currentNode, attr);
+        continue;
+      }
+      if (!ALLOW_SELF_CLOSE_IN_ATTR && regExpTest(SELF_CLOSING_TAG, value)) {
+        _removeAttribute(name2, currentNode, attr);
+        continue;
+      }
+      if (SAFE_FOR_TEMPLATES) value = _stripTemplateExpressions(value);
+      if (!_isValidAttribute(lcTag, lcName, value)) {
+        _removeAttribute(name2, currentNode, attr);
+        continue;
+      }
+      value = _applyTrustedTypesToAttribute(lcTag, lcName, namespaceURI, value);
+      if (value !== initValue) {
+        if (_setAttributeValue(currentNode, name2, namespaceURI, value) && recreatedNamedProp) arrayPop(DOMPurify.removed);
+      }
+    }
+    _executeHooks(hooks.afterSanitizeAttributes, currentNode, null);
+    _handleHookDetachedNode(currentNode, root);
+  };
+  const _sanitizeShadowDOM2 = function _sanitizeShadowDOM(fragment) {
+    let shadowNode = null;
+    const shadowIterator = _createNodeIterator(fragment);
+    _executeHooks(hooks.beforeSanitizeShadowDOM, fragment, null);
+    while (shadowNode = shadowIterator.nextNode()) {
+      _executeHooks(hooks.uponSanitizeShadowNode, shadowNode, null);
+      _sanitizeElements(shadowNode, fragment);
+      _sanitizeAttributes(shadowNode, fragment);
+      if (_isDocumentFragment(shadowNode.content)) _sanitizeShadowDOM2(shadowNode.content);
+      if (_readNodeType(shadowNode) === NODE_TYPE.element) {
+        const innerSr = getShadowRoot(shadowNode);
+        if (_isDocumentFragment(innerSr)) {
+          _sanitizeAttachedShadowRoots(innerSr);
+          _sanitizeShadowDOM2(innerSr);
+        }
+      }
+    }
+    _executeHooks(hooks.afterSanitizeShadowDOM, fragment, null);
+  };
+  const _sanitizeAttachedShadowRoots = function _sanitizeAttachedShadowRoots2(root) {
+    const stack = [{
+      node: root,
+      shadow: null
+    }];
+    while (stack.length > 0) {
+      const item = stack.pop();
+      if (item.shadow) {
+        _sanitizeShadowDOM2(item.shadow);
+        continue;
+      }
+      const node = item.node;
+      const isElement = _readNodeType(node) === NODE_TYPE.element;
+      const childNodes = getChildNodes(node);
+      if (childNodes) for (let i = childNodes.length - 1; i >= 0; --i) stack.push({
+        node: childNodes[i],
+        shadow: null
+      });
+      if (isElement) {
+        const rootName = getNodeName ? getNodeName(node) : null;
+        if (typeof rootName === "string" && transformCaseFunc(rootName) === "template") {
+          const content2 = node.content;
+          if (_isDocumentFragment(content2)) stack.push({
+            node: content2,
+            shadow: null
+          });
+        }
+      }
+      if (isElement) {
+        const sr = getShadowRoot(node);
+        if (_isDocumentFragment(sr)) stack.push({
+          node: null,
+          shadow: sr
+        }, {
+          node: sr,
+          shadow: null
+        });
+      }
+    }
+  };
+  DOMPurify.sanitize = function(dirty) {
+    let cfg = arguments.length > 1 && arguments[1] !== void 0 ? arguments[1] : {};
+    let body = null;
+    let importedNode = null;
+    let currentNode = null;
+    let returnNode = null;
+    IS_EMPTY_INPUT = !dirty;
+    if (IS_EMPTY_INPUT) dirty = "<!-->";
+    if (typeof dirty !== "string" && !_isNode(dirty)) {
+      dirty = stringifyValue(dirty);
+      if (typeof dirty !== "string") throw typeErrorCreate("dirty is not a string, aborting");
+    }
+    if (!DOMPurify.isSupported) return dirty;
+    if (SET_CONFIG) {
+      ALLOWED_TAGS = SET_CONFIG_ALLOWED_TAGS;
+      ALLOWED_ATTR = SET_CONFIG_ALLOWED_ATTR;
+    } else _parseConfig(cfg);
+    if (hooks.uponSanitizeElement.length > 0 || hooks.uponSanitizeAttribute.length > 0) ALLOWED_TAGS = clone(ALLOWED_TAGS);
+    if (hooks.uponSanitizeAttribute.length > 0) ALLOWED_ATTR = clone(ALLOWED_ATTR);
+    DOMPurify.removed = [];
+    const inPlace = IN_PLACE && typeof dirty !== "string" && _isNode(dirty);
+    if (inPlace) {
+      _neutralizePatchLinkage(dirty);
+      const nn = _readNodeName(dirty);
+      if (typeof nn === "string") {
+        const tagName = transformCaseFunc(nn);
+        if (!ALLOWED_TAGS[tagName] || FORBID_TAGS[tagName]) {
+          _neutralizeRoot(dirty);
+          throw typeErrorCreate("root node is forbidden and cannot be sanitized in-place");
+        }
+      }
+      if (_isClobbered(dirty)) {
+        _neutralizeRoot(dirty);
+        throw typeErrorCreate("root node is clobbered and cannot be sanitized in-place");
+      }
+      try {
+        _sanitizeAttachedShadowRoots(dirty);
+      } catch (error) {
+        _neutralizeRoot(dirty);
+        throw error;
+      }
+    } else if (_isNode(dirty)) {
+      body = _initDocument("<!---->");
+      importedNode = body.ownerDocument.importNode(dirty, true);
+      if (importedNode.nodeType === NODE_TYPE.element && importedNode.nodeName === "BODY") body = importedNode;
+      else if (importedNode.nodeName === "HTML") body = importedNode;
+      else body.appendChild(importedNode);
+      _sanitizeAttachedShadowRoots(body);
+    } else {
+      if (!RETURN_DOM && !SAFE_FOR_TEMPLATES && !WHOLE_DOCUMENT && dirty.indexOf("<") === -1) return trustedTypesPolicy && RETURN_TRUSTED_TYPE ? _createTrustedHTML(dirty) : dirty;
+      body = _initDocument(dirty);
+      if (!body) return RETURN_DOM ? null : RETURN_TRUSTED_TYPE ? emptyHTML : "";
+    }
+    if (body && FORCE_BODY) _forceRemove(body.firstChild);
+    const walkRoot = inPlace ? dirty : body;
+    try {
+      const nodeIterator = _createNodeIterator(walkRoot);
+      while (currentNode = nodeIterator.nextNode()) {
+        _sanitizeElements(currentNode, walkRoot);
+        _sanitizeAttributes(currentNode, walkRoot);
+        if (_isDocumentFragment(currentNode.content)) _sanitizeShadowDOM2(currentNode.content);
+      }
+    } catch (error) {
+      if (inPlace) {
+        _neutralizeRoot(dirty);
+        arrayForEach(DOMPurify.removed, (entry) => {
+          if (entry.element) _neutralizeSubtree(entry.element);
+        });
+      }
+      throw error;
+    }
+    if (inPlace) {
+      let rootWasRemoved = false;
+      arrayForEach(DOMPurify.removed, (entry) => {
+        if (entry.element) {
+          if (entry.element === dirty) rootWasRemoved = true;
+          _neutralizeSubtree(entry.element);
+        }
+      });
+      if (rootWasRemoved) throw typeErrorCreate("a node selected for removal could not be safely returned; refusing to sanitize in place");
+      if (SAFE_FOR_TEMPLATES) _scrubTemplateExpressions2(dirty);
+      return dirty;
+    }
+    if (RETURN_DOM) {
+      if (SAFE_FOR_TEMPLATES) _scrubTemplateExpressions2(body);
+      if (RETURN_DOM_FRAGMENT) {
+        returnNode = createDocumentFragment.call(body.ownerDocument);
+        while (body.firstChild) returnNode.appendChild(body.firstChild);
+      } else returnNode = body;
+      if (ALLOWED_ATTR.shadowroot || ALLOWED_ATTR.shadowrootmode) returnNode = importNode.call(originalDocument, returnNode, true);
+      return returnNode;
+    }
+    let serializedHTML = WHOLE_DOCUMENT ? body.outerHTML : body.innerHTML;
+    if (WHOLE_DOCUMENT && ALLOWED_TAGS["!doctype"] && body.ownerDocument && body.ownerDocument.doctype && body.ownerDocument.doctype.name && regExpTest(DOCTYPE_NAME, body.ownerDocument.doctype.name)) serializedHTML = "<!DOCTYPE " + body.ownerDocument.doctype.name + ">\n" + serializedHTML;
+    if (SAFE_FOR_TEMPLATES) serializedHTML = _stripTemplateExpressions(serializedHTML);
+    return trustedTypesPolicy && RETURN_TRUSTED_TYPE ? _createTrustedHTML(serializedHTML) : serializedHTML;
+  };
+  DOMPurify.setConfig = function() {
+    let cfg = arguments.length > 0 && arguments[0] !== void 0 ? arguments[0] : {};
+    _parseConfig(cfg);
+    SET_CONFIG = true;
+    SET_CONFIG_ALLOWED_TAGS = ALLOWED_TAGS;
+    SET_CONFIG_ALLOWED_ATTR = ALLOWED_ATTR;
+  };
+  DOMPurify.clearConfig = function() {
+    CONFIG = null;
+    SET_CONFIG = false;
+    SET_CONFIG_ALLOWED_TAGS = null;
+    SET_CONFIG_ALLOWED_ATTR = null;
+    trustedTypesPolicy = defaultTrustedTypesPolicy;
+    emptyHTML = "";
+  };
+  DOMPurify.isValidAttribute = function(tag, attr, value) {
+    if (!CONFIG) _parseConfig({});
+    const lcTag = transformCaseFunc(tag);
+    const lcName = transformCaseFunc(attr);
+    return _isValidAttribute(lcTag, lcName, value);
+  };
+  DOMPurify.addHook = function(entryPoint, hookFunction) {
+    if (typeof hookFunction !== "function") return;
+    if (!objectHasOwnProperty(hooks, entryPoint)) return;
+    arrayPush(hooks[entryPoint], hookFunction);
+  };
+  DOMPurify.removeHook = function(entryPoint, hookFunction) {
+    if (!objectHasOwnProperty(hooks, entryPoint)) return;
+    if (hookFunction !== void 0) {
+      const index = arrayLastIndexOf(hooks[entryPoint], hookFunction);
+      return index === -1 ? void 0 : arraySplice(hooks[entryPoint], index, 1)[0];
+    }
+    return arrayPop(hooks[entryPoint]);
+  };
+  DOMPurify.removeHooks = function(entryPoint) {
+    if (!objectHasOwnProperty(hooks, entryPoint)) return;
+    hooks[entryPoint] = [];
+  };
+  DOMPurify.removeAllHooks = function() {
+    hooks = _createHooksMap();
+  };
+  return DOMPurify;
+}
+var entries, setPrototypeOf, isFrozen, getPrototypeOf, getOwnPropertyDescriptor, freeze, seal, create, _ref, apply, construct, arrayForEach, arrayLastIndexOf, arrayPop, arrayPush, arraySplice, arrayIsArray, stringToLowerCase, stringToString, stringMatch, stringReplace, stringIndexOf, stringTrim, numberToString, booleanToString, bigintToString, symbolToString, objectHasOwnProperty, objectToString, regExpTest, typeErrorCreate, html$1, svg$1, svgFilters, svgDisallowed, mathMl$1, mathMlDisallowed, text2, html2, svg2, mathMl, xml, MUSTACHE_EXPR, ERB_EXPR, TMPLIT_EXPR, DATA_ATTR, ARIA_ATTR, IS_ALLOWED_URI, IS_SCRIPT_OR_DATA, ATTR_WHITESPACE, DOCTYPE_NAME, CUSTOM_ELEMENT, ELEMENT_MARKUP_PROBE, COMMENT_MARKUP_PROBE, FALLBACK_TAG_CLOSE, SELF_CLOSING_TAG, NODE_TYPE, LITERAL_TEXT_ELEMENT_NAMES, LITERAL_TEXT_ELEMENTS, LITERAL_TEXT_CLOSE, getGlobal, _createTrustedTypesPolicy, _createHooksMap, _resolveSetOption, _resolveObjectOption, purify_default;
+var init_purify_es = __esm({
+  "node_modules/dompurify/dist/purify.es.mjs"() {
+    AsyncGenerator.prototype["function" == typeof Symbol && Symbol.asyncIterator || "@@asyncIterator"] = function() {
+      return this;
+    }, AsyncGenerator.prototype.next = function(e) {
+      return this._invoke("next", e);
+    }, AsyncGenerator.prototype.throw = function(e) {
+      return this._invoke("throw", e);
+    }, AsyncGenerator.prototype.return = function(e) {
+      return this._invoke("return", e);
+    };
+    entries = Object.entries;
+    setPrototypeOf = Object.setPrototypeOf;
+    isFrozen = Object.isFrozen;
+    getPrototypeOf = Object.getPrototypeOf;
+    getOwnPropertyDescriptor = Object.getOwnPropertyDescriptor;
+    freeze = Object.freeze;
+    seal = Object.seal;
+    create = Object.create;
+    _ref = typeof Reflect !== "undefined" && Reflect;
+    apply = _ref.apply;
+    construct = _ref.construct;
+    if (!freeze) freeze = function freeze2(x2) {
+      return x2;
+    };
+    if (!seal) seal = function seal2(x2) {
+      return x2;
+    };
+    if (!apply) apply = function apply2(func, thisArg) {
+      for (var _len = arguments.length, args = new Array(_len > 2 ? _len - 2 : 0), _key = 2; _key < _len; _key++) args[_key - 2] = arguments[_key];
+      return func.apply(thisArg, args);
+    };
+    if (!construct) construct = function construct2(Func) {
+      for (var _len2 = arguments.length, args = new Array(_len2 > 1 ? _len2 - 1 : 0), _key2 = 1; _key2 < _len2; _key2++) args[_key2 - 1] = arguments[_key2];
+      return new Func(...args);
+    };
+    arrayForEach = unapply(Array.prototype.forEach);
+    Array.prototype.indexOf;
+    arrayLastIndexOf = unapply(Array.prototype.lastIndexOf);
+    arrayPop = unapply(Array.prototype.pop);
+    arrayPush = unapply(Array.prototype.push);
+    Array.prototype.slice;
+    arraySplice = unapply(Array.prototype.splice);
+    arrayIsArray = Array.isArray;
+    stringToLowerCase = unapply(String.prototype.toLowerCase);
+    stringToString = unapply(String.prototype.toString);
+    stringMatch = unapply(String.prototype.match);
+    stringReplace = unapply(String.prototype.replace);
+    stringIndexOf = unapply(String.prototype.indexOf);
+    stringTrim = unapply(String.prototype.trim);
+    numberToString = unapply(Number.prototype.toString);
+    booleanToString = unapply(Boolean.prototype.toString);
+    bigintToString = typeof BigInt === "undefined" ? null : unapply(BigInt.prototype.toString);
+    symbolToString = typeof Symbol === "undefined" ? null : unapply(Symbol.prototype.toString);
+    objectHasOwnProperty = unapply(Object.prototype.hasOwnProperty);
+    objectToString = unapply(Object.prototype.toString);
+    regExpTest = unapply(RegExp.prototype.test);
+    typeErrorCreate = unconstruct(TypeError);
+    html$1 = freeze([
+      "a",
+      "abbr",
+      "acronym",
+      "address",
+      "area",
+      "article",
+      "aside",
+      "audio",
+      "b",
+      "bdi",
+      "bdo",
+      "big",
+      "blink",
+      "blockquote",
+      "body",
+      "br",
+      "button",
+      "canvas",
+      "caption",
+      "center",
+      "cite",
+      "code",
+      "col",
+      "colgroup",
+      "content",
+      "data",
+      "datalist",
+      "dd",
+      "decorator",
+      "del",
+      "details",
+      "dfn",
+      "dialog",
+      "dir",
+      "div",
+      "dl",
+      "dt",
+      "element",
+      "em",
+      "fieldset",
+      "figcaption",
+      "figure",
+      "font",
+      "footer",
+      "form",
+      "h1",
+      "h2",
+      "h3",
+      "h4",
+      "h5",
+      "h6",
+      "head",
+      "header",
+      "hgroup",
+      "hr",
+      "html",
+      "i",
+      "img",
+      "input",
+      "ins",
+      "kbd",
+      "label",
+      "legend",
+      "li",
+      "main",
+      "map",
+      "mark",
+      "marquee",
+      "menu",
+      "menuitem",
+      "meter",
+      "nav",
+      "nobr",
+      "ol",
+      "optgroup",
+      "option",
+      "output",
+      "p",
+      "picture",
+      "pre",
+      "progress",
+      "q",
+      "rp",
+      "rt",
+      "ruby",
+      "s",
+      "samp",
+      "search",
+      "section",
+      "select",
+      "shadow",
+      "slot",
+      "small",
+      "source",
+      "spacer",
+      "span",
+      "strike",
+      "strong",
+      "style",
+      "sub",
+      "summary",
+      "sup",
+      "table",
+      "tbody",
+      "td",
+      "template",
+      "textarea",
+      "tfoot",
+      "th",
+      "thead",
+      "time",
+      "tr",
+      "track",
+      "tt",
+      "u",
+      "ul",
+      "var",
+      "video",
+      "wbr"
+    ]);
+    svg$1 = freeze([
+      "svg",
+      "a",
+      "altglyph",
+      "altglyphdef",
+      "altglyphitem",
+      "animatecolor",
+      "animatemotion",
+      "animatetransform",
+      "circle",
+      "clippath",
+      "defs",
+      "desc",
+      "ellipse",
+      "enterkeyhint",
+      "exportparts",
+      "filter",
+      "font",
+      "g",
+      "glyph",
+      "glyphref",
+      "hkern",
+      "image",
+      "inputmode",
+      "line",
+      "lineargradient",
+      "marker",
+      "mask",
+      "metadata",
+      "mpath",
+      "part",
+      "path",
+      "pattern",
+      "polygon",
+      "polyline",
+      "radialgradient",
+      "rect",
+      "stop",
+      "style",
+      "switch",
+      "symbol",
+      "text",
+      "textpath",
+      "title",
+      "tref",
+      "tspan",
+      "view",
+      "vkern"
+    ]);
+    svgFilters = freeze([
+      "feBlend",
+      "feColorMatrix",
+      "feComponentTransfer",
+      "feComposite",
+      "feConvolveMatrix",
+      "feDiffuseLighting",
+      "feDisplacementMap",
+      "feDistantLight",
+      "feDropShadow",
+      "feFlood",
+      "feFuncA",
+      "feFuncB",
+      "feFuncG",
+      "feFuncR",
+      "feGaussianBlur",
+      "feImage",
+      "feMerge",
+      "feMergeNode",
+      "feMorphology",
+      "feOffset",
+      "fePointLight",
+      "feSpecularLighting",
+      "feSpotLight",
+      "feTile",
+      "feTurbulence"
+    ]);
+    svgDisallowed = freeze([
+      "animate",
+      "color-profile",
+      "cursor",
+      "discard",
+      "font-face",
+      "font-face-format",
+      "font-face-name",
+      "font-face-src",
+      "font-face-uri",
+      "foreignobject",
+      "hatch",
+      "hatchpath",
+      "mesh",
+      "meshgradient",
+      "meshpatch",
+      "meshrow",
+      "missing-glyph",
+      "script",
+      "set",
+      "solidcolor",
+      "unknown",
+      "use"
+    ]);
+    mathMl$1 = freeze([
+      "math",
+      "menclose",
+      "merror",
+      "mfenced",
+      "mfrac",
+      "mglyph",
+      "mi",
+      "mlabeledtr",
+      "mmultiscripts",
+      "mn",
+      "mo",
+      "mover",
+      "mpadded",
+      "mphantom",
+      "mroot",
+      "mrow",
+      "ms",
+      "mspace",
+      "msqrt",
+      "mstyle",
+      "msub",
+      "msup",
+      "msubsup",
+      "mtable",
+      "mtd",
+      "mtext",
+      "mtr",
+      "munder",
+      "munderover",
+      "mprescripts"
+    ]);
+    mathMlDisallowed = freeze([
+      "maction",
+      "maligngroup",
+      "malignmark",
+      "mlongdiv",
+      "mscarries",
+      "mscarry",
+      "msgroup",
+      "mstack",
+      "msline",
+      "msrow",
+      "semantics",
+      "annotation",
+      "annotation-xml",
+      "mprescripts",
+      "none"
+    ]);
+    text2 = freeze(["#text"]);
+    html2 = freeze([
+      "accept",
+      "action",
+      "align",
+      "alt",
+      "autocapitalize",
+      "autocomplete",
+      "autopictureinpicture",
+      "autoplay",
+      "background",
+      "bgcolor",
+      "border",
+      "capture",
+      "cellpadding",
+      "cellspacing",
+      "checked",
+      "cite",
+      "class",
+      "clear",
+      "color",
+      "cols",
+      "colspan",
+      "command",
+      "commandfor",
+      "controls",
+      "controlslist",
+      "coords",
+      "crossorigin",
+      "datetime",
+      "decoding",
+      "default",
+      "dir",
+      "disabled",
+      "disablepictureinpicture",
+      "disableremoteplayback",
+      "download",
+      "draggable",
+      "enctype",
+      "enterkeyhint",
+      "exportparts",
+      "face",
+      "for",
+      "headers",
+      "height",
+      "hidden",
+      "high",
+      "href",
+      "hreflang",
+      "id",
+      "inert",
+      "inputmode",
+      "integrity",
+      "ismap",
+      "kind",
+      "label",
+      "lang",
+      "list",
+      "loading",
+      "loop",
+      "low",
+      "max",
+      "maxlength",
+      "media",
+      "method",
+      "min",
+      "minlength",
+      "multiple",
+      "muted",
+      "name",
+      "nonce",
+      "noshade",
+      "novalidate",
+      "nowrap",
+      "open",
+      "optimum",
+      "part",
+      "pattern",
+      "placeholder",
+      "playsinline",
+      "popover",
+      "popovertarget",
+      "popovertargetaction",
+      "poster",
+      "preload",
+      "pubdate",
+      "radiogroup",
+      "readonly",
+      "rel",
+      "required",
+      "rev",
+      "reversed",
+      "role",
+      "rows",
+      "rowspan",
+      "spellcheck",
+      "scope",
+      "selected",
+      "shape",
+      "size",
+      "sizes",
+      "slot",
+      "span",
+      "srclang",
+      "start",
+      "src",
+      "srcset",
+      "step",
+      "style",
+      "summary",
+      "tabindex",
+      "title",
+      "translate",
+      "type",
+      "usemap",
+      "valign",
+      "value",
+      "width",
+      "wrap",
+      "xmlns"
+    ]);
+    svg2 = freeze([
+      "accent-height",
+      "accumulate",
+      "additive",
+      "alignment-baseline",
+      "amplitude",
+      "ascent",
+      "attributename",
+      "attributetype",
+      "azimuth",
+      "basefrequency",
+      "baseline-shift",
+      "begin",
+      "bias",
+      "by",
+      "class",
+      "clip",
+      "clippathunits",
+      "clip-path",
+      "clip-rule",
+      "color",
+      "color-interpolation",
+      "color-interpolation-filters",
+      "color-profile",
+      "color-rendering",
+      "cx",
+      "cy",
+      "d",
+      "dx",
+      "dy",
+      "diffuseconstant",
+      "direction",
+      "display",
+      "divisor",
+      "dominant-baseline",
+      "dur",
+      "edgemode",
+      "elevation",
+      "end",
+      "exponent",
+      "fill",
+      "fill-opacity",
+      "fill-rule",
+      "filter",
+      "filterunits",
+      "flood-color",
+      "flood-opacity",
+      "font-family",
+      "font-size",
+      "font-size-adjust",
+      "font-stretch",
+      "font-style",
+      "font-variant",
+      "font-weight",
+      "fx",
+      "fy",
+      "g1",
+      "g2",
+      "glyph-name",
+      "glyphref",
+      "gradientunits",
+      "gradienttransform",
+      "height",
+      "href",
+      "id",
+      "image-rendering",
+      "in",
+      "in2",
+      "intercept",
+      "k",
+      "k1",
+      "k2",
+      "k3",
+      "k4",
+      "kerning",
+      "keypoints",
+      "keysplines",
+      "keytimes",
+      "lang",
+      "lengthadjust",
+      "letter-spacing",
+      "kernelmatrix",
+      "kernelunitlength",
+      "lighting-color",
+      "local",
+      "marker-end",
+      "marker-mid",
+      "marker-start",
+      "markerheight",
+      "markerunits",
+      "markerwidth",
+      "maskcontentunits",
+      "maskunits",
+      "max",
+      "mask",
+      "mask-type",
+      "media",
+      "method",
+      "mode",
+      "min",
+      "name",
+      "numoctaves",
+      "offset",
+      "operator",
+      "opacity",
+      "order",
+      "orient",
+      "orientation",
+      "origin",
+      "overflow",
+      "paint-order",
+      "path",
+      "pathlength",
+      "patterncontentunits",
+      "patterntransform",
+      "patternunits",
+      "pointer-events",
+      "points",
+      "preservealpha",
+      "preserveaspectratio",
+      "primitiveunits",
+      "r",
+      "rx",
+      "ry",
+      "radius",
+      "refx",
+      "refy",
+      "repeatcount",
+      "repeatdur",
+      "restart",
+      "result",
+      "rotate",
+      "scale",
+      "seed",
+      "shape-rendering",
+      "slope",
+      "specularconstant",
+      "specularexponent",
+      "spreadmethod",
+      "startoffset",
+      "stddeviation",
+      "stitchtiles",
+      "stop-color",
+      "stop-opacity",
+      "stroke-dasharray",
+      "stroke-dashoffset",
+      "stroke-linecap",
+      "stroke-linejoin",
+      "stroke-miterlimit",
+      "stroke-opacity",
+      "stroke",
+      "stroke-width",
+      "style",
+      "surfacescale",
+      "systemlanguage",
+      "tabindex",
+      "tablevalues",
+      "targetx",
+      "targety",
+      "transform",
+      "transform-origin",
+      "text-anchor",
+      "text-decoration",
+      "text-orientation",
+      "text-rendering",
+      "textlength",
+      "type",
+      "u1",
+      "u2",
+      "unicode",
+      "values",
+      "vector-effect",
+      "viewbox",
+      "visibility",
+      "version",
+      "vert-adv-y",
+      "vert-origin-x",
+      "vert-origin-y",
+      "width",
+      "word-spacing",
+      "wrap",
+      "writing-mode",
+      "xchannelselector",
+      "ychannelselector",
+      "x",
+      "x1",
+      "x2",
+      "xmlns",
+      "y",
+      "y1",
+      "y2",
+      "z",
+      "zoomandpan"
+    ]);
+    mathMl = freeze([
+      "accent",
+      "accentunder",
+      "align",
+      "bevelled",
+      "close",
+      "columnalign",
+      "columnlines",
+      "columnspacing",
+      "columnspan",
+      "denomalign",
+      "depth",
+      "dir",
+      "display",
+      "displaystyle",
+      "encoding",
+      "fence",
+      "frame",
+      "height",
+      "href",
+      "id",
+      "largeop",
+      "length",
+      "linethickness",
+      "lquote",
+      "lspace",
+      "mathbackground",
+      "mathcolor",
+      "mathsize",
+      "mathvariant",
+      "maxsize",
+      "minsize",
+      "movablelimits",
+      "notation",
+      "numalign",
+      "open",
+      "rowalign",
+      "rowlines",
+      "rowspacing",
+      "rowspan",
+      "rspace",
+      "rquote",
+      "scriptlevel",
+      "scriptminsize",
+      "scriptsizemultiplier",
+      "selection",
+      "separator",
+      "separators",
+      "stretchy",
+      "subscriptshift",
+      "supscriptshift",
+      "symmetric",
+      "voffset",
+      "width",
+      "xmlns"
+    ]);
+    xml = freeze([
+      "xlink:href",
+      "xml:id",
+      "xlink:title",
+      "xml:space",
+      "xmlns:xlink"
+    ]);
+    MUSTACHE_EXPR = seal(/{{[\w\W]*|^[\w\W]*}}/g);
+    ERB_EXPR = seal(/<%[\w\W]*|^[\w\W]*%>/g);
+    TMPLIT_EXPR = seal(/\${[\w\W]*/g);
+    DATA_ATTR = seal(/^data-[\-\w.\u00B7-\uFFFF]+$/);
+    ARIA_ATTR = seal(/^aria-[\-\w]+$/);
+    IS_ALLOWED_URI = seal(/^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp|matrix):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i);
+    IS_SCRIPT_OR_DATA = seal(/^(?:\w+script|data):/i);
+    ATTR_WHITESPACE = seal(/[\u0000-\u0020\u00A0\u1680\u180E\u2000-\u2029\u205F\u3000]/g);
+    DOCTYPE_NAME = seal(/^html$/i);
+    CUSTOM_ELEMENT = seal(/^[a-z][.\w]*(-[.\w]+)+$/i);
+    ELEMENT_MARKUP_PROBE = seal(/<[/\w!]/g);
+    COMMENT_MARKUP_PROBE = seal(/<[/\w]/g);
+    FALLBACK_TAG_CLOSE = seal(/<\/no(script|embed|frames)/i);
+    SELF_CLOSING_TAG = seal(/\/>/i);
+    NODE_TYPE = {
+      element: 1,
+      attribute: 2,
+      text: 3,
+      cdataSection: 4,
+      entityReference: 5,
+      entityNode: 6,
+      processingInstruction: 7,
+      comment: 8,
+      document: 9,
+      documentType: 10,
+      documentFragment: 11,
+      notation: 12
+    };
+    LITERAL_TEXT_ELEMENT_NAMES = [
+      "style",
+      "script",
+      "xmp",
+      "iframe",
+      "noembed",
+      "noframes",
+      "plaintext",
+      "noscript"
+    ];
+    LITERAL_TEXT_ELEMENTS = freeze(addToSet({}, LITERAL_TEXT_ELEMENT_NAMES));
+    LITERAL_TEXT_CLOSE = (function() {
+      const map = {};
+      arrayForEach(LITERAL_TEXT_ELEMENT_NAMES, (name2) => {
+        map[name2] = seal(new RegExp("</" + name2 + "(?=[\\t\\n\\f\\r />])", "i"));
+      });
+      return freeze(map);
+    })();
+    getGlobal = function getGlobal2() {
+      return typeof window === "undefined" ? null : window;
+    };
+    _createTrustedTypesPolicy = function _createTrustedTypesPolicy2(trustedTypes, purifyHostElement) {
+      if (typeof trustedTypes !== "object" || typeof trustedTypes.createPolicy !== "function") return null;
+      let suffix = null;
+      const ATTR_NAME = "data-tt-policy-suffix";
+      if (purifyHostElement && purifyHostElement.hasAttribute(ATTR_NAME)) suffix = purifyHostElement.getAttribute(ATTR_NAME);
+      const policyName = "dompurify" + (suffix ? "#" + suffix : "");
+      try {
+        return trustedTypes.createPolicy(policyName, {
+          createHTML(html3) {
+            return html3;
+          },
+          createScriptURL(scriptUrl) {
+            return scriptUrl;
+          }
+        });
+      } catch (_2) {
+        console.warn("TrustedTypes policy " + policyName + " could not be created.");
+        return null;
+      }
+    };
+    _createHooksMap = function _createHooksMap2() {
+      return {
+        afterSanitizeAttributes: [],
+        afterSanitizeElements: [],
+        afterSanitizeShadowDOM: [],
+        beforeSanitizeAttributes: [],
+        beforeSanitizeElements: [],
+        beforeSanitizeShadowDOM: [],
+        uponSanitizeAttribute: [],
+        uponSanitizeElement: [],
+        uponSanitizeShadowNode: []
+      };
+    };
+    _resolveSetOption = function _resolveSetOption2(cfg, key, fallback, options) {
+      return objectHasOwnProperty(cfg, key) && arrayIsArray(cfg[key]) ? addToSet(options.base ? clone(options.base) : {}, cfg[key], options.transform) : fallback;
+    };
+    _resolveObjectOption = function _resolveObjectOption2(cfg, key, makeFallback) {
+      const value = objectHasOwnProperty(cfg, key) ? cfg[key] : void 0;
+      return value && typeof value === "object" ? clone(value) : makeFallback();
+    };
+    purify_default = createDOMPurify();
   }
-  return null;
+});
+
+// editor/paths.js
+function resolveRelativePath(baseDirectory, target) {
+  const parts = target.startsWith("/") ? [] : baseDirectory.split("/").filter(Boolean);
+  let decoded = target;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch (err) {
+  }
+  decoded.split("/").forEach((part) => {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  });
+  return parts.join("/");
 }
-var toggleComment2, toggleLineComment2, toggleBlockComment2, toggleBlockCommentByLine2, commentKeymap, SearchMargin2;
-var init_dist24 = __esm({
-  "node_modules/@codemirror/comment/dist/index.js"() {
-    toggleComment2 = (target) => {
-      let config2 = getConfig2(target.state);
-      return config2.line ? toggleLineComment2(target) : config2.block ? toggleBlockCommentByLine2(target) : false;
-    };
-    toggleLineComment2 = /* @__PURE__ */ command2(
-      changeLineComment2,
-      0
-      /* Toggle */
-    );
-    toggleBlockComment2 = /* @__PURE__ */ command2(
-      changeBlockComment2,
-      0
-      /* Toggle */
-    );
-    toggleBlockCommentByLine2 = /* @__PURE__ */ command2(
-      (o, s) => changeBlockComment2(o, s, selectedLineRanges2(s)),
-      0
-      /* Toggle */
-    );
-    commentKeymap = [
-      { key: "Mod-/", run: toggleComment2 },
-      { key: "Alt-A", run: toggleBlockComment2 }
-    ];
-    SearchMargin2 = 50;
+function getDirectory(path) {
+  return path.split("/").slice(0, -1).join("/");
+}
+var init_paths = __esm({
+  "editor/paths.js"() {
   }
 });
 
-// editor/fileSystem.js
-var FileSystem, fileSystem;
-var init_fileSystem = __esm({
-  "editor/fileSystem.js"() {
-    FileSystem = class {
-      constructor() {
-        this.rootHandle = null;
-        this.dbName = "codesnip-editor-db";
-        this.storeName = "kv";
-        this.lastFolderKey = "lastFolderHandle";
+// editor/markdownPreview.js
+function isMarkdownFile(path) {
+  const ext = path.includes(".") ? path.split(".").pop().toLowerCase() : "";
+  return MARKDOWN_EXTENSIONS.has(ext);
+}
+function escapeHtml(text3) {
+  return text3.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+function highlightFence(code, lang) {
+  const language2 = FENCE_LANGUAGES[lang];
+  if (!language2) return escapeHtml(code);
+  let html3 = "";
+  highlightCode(code, language2.parser.parse(code), classHighlighter, (text3, classes) => {
+    html3 += classes ? `<span class="${classes}">${escapeHtml(text3)}</span>` : escapeHtml(text3);
+  }, () => {
+    html3 += "\n";
+  });
+  return html3;
+}
+function slugify(text3) {
+  return text3.toLowerCase().trim().replace(/<[^>]*>/g, "").replace(/[^\p{L}\p{N}\s_-]/gu, "").replace(/\s/g, "-");
+}
+function renderMarkdown(text3) {
+  const tokens2 = markdownParser.lexer(text3);
+  let line = 1;
+  let html3 = "";
+  tokens2.forEach((token) => {
+    const lines = (token.raw.match(/\n/g) || []).length;
+    if (token.type !== "space" && token.type !== "def") {
+      const endLine = line + (token.raw.replace(/\n+$/, "").match(/\n/g) || []).length + 1;
+      html3 += `<div class="markdown-block" data-line="${line}" data-line-end="${endLine}">`;
+      html3 += markdownParser.parser([token]);
+      html3 += "</div>";
+    }
+    line += lines;
+  });
+  return purify.sanitize(html3);
+}
+var RENDER_DELAY, SCROLL_SYNC_LOCK, ABSOLUTE_URL, MARKDOWN_EXTENSIONS, HTML_ENTITIES, FENCE_LANGUAGES, markdownParser, purify, MarkdownPreview, markdownPreview;
+var init_markdownPreview = __esm({
+  "editor/markdownPreview.js"() {
+    init_marked_esm();
+    init_purify_es();
+    init_dist4();
+    init_dist10();
+    init_dist14();
+    init_dist13();
+    init_dist16();
+    init_dist18();
+    init_dist20();
+    init_dist21();
+    init_fileIndex();
+    init_paths();
+    RENDER_DELAY = 200;
+    SCROLL_SYNC_LOCK = 120;
+    ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+    MARKDOWN_EXTENSIONS = /* @__PURE__ */ new Set(["md", "mdx", "markdown"]);
+    HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+    FENCE_LANGUAGES = {
+      js: javascriptLanguage,
+      javascript: javascriptLanguage,
+      mjs: javascriptLanguage,
+      cjs: javascriptLanguage,
+      jsx: jsxLanguage,
+      ts: typescriptLanguage,
+      typescript: typescriptLanguage,
+      tsx: tsxLanguage,
+      html: htmlLanguage,
+      css: cssLanguage,
+      scss: cssLanguage,
+      less: cssLanguage,
+      py: pythonLanguage,
+      python: pythonLanguage,
+      json: jsonLanguage,
+      jsonc: jsonLanguage,
+      sql: StandardSQL.language,
+      md: markdownLanguage,
+      markdown: markdownLanguage
+    };
+    markdownParser = new F({
+      gfm: true,
+      renderer: {
+        code({ text: text3, lang }) {
+          const name2 = (lang || "").trim().split(/\s+/)[0].toLowerCase();
+          const className = name2 ? ` class="language-${escapeHtml(name2)}"` : "";
+          return `<pre><code${className}>${highlightFence(text3, name2)}</code></pre>
+`;
+        },
+        heading({ tokens: tokens2, depth, text: text3 }) {
+          return `<h${depth} id="${escapeHtml(slugify(text3))}">${this.parser.parseInline(tokens2)}</h${depth}>
+`;
+        }
       }
-      async saveSession(currentFilePath) {
-        const session = {
-          folderName: this.rootHandle?.name || null,
-          currentFilePath: currentFilePath || null,
-          timestamp: Date.now()
-        };
-        chrome.storage.local.set({ editorSession: session });
+    });
+    purify = purify_default(window);
+    purify.addHook("afterSanitizeAttributes", (node) => {
+      if (node.tagName === "IMG") {
+        const src = node.getAttribute("src");
+        if (src && !ABSOLUTE_URL.test(src)) {
+          node.setAttribute("data-src", src);
+          node.removeAttribute("src");
+        }
       }
-      async loadSession() {
-        return new Promise((resolve) => {
-          chrome.storage.local.get(["editorSession"], (result) => {
-            resolve(result.editorSession || null);
-          });
-        });
+      if (node.tagName === "A" && node.hasAttribute("href")) {
+        node.setAttribute("data-href", node.getAttribute("href"));
       }
-      async clearSession() {
-        chrome.storage.local.remove(["editorSession"]);
+    });
+    MarkdownPreview = class {
+      constructor() {
+        this.editor = null;
+        this.previews = /* @__PURE__ */ new WeakMap();
       }
-      async openDirectory() {
-        try {
-          const handle = await window.showDirectoryPicker();
-          this.rootHandle = handle;
-          await this.saveLastOpenedFolder(handle);
-          return handle;
-        } catch (err) {
-          if (err.name !== "AbortError") {
-            console.error("Error opening directory:", err);
-          }
-          return null;
-        }
+      init(editorInstance) {
+        this.editor = editorInstance;
       }
-      async readDirectory(handle) {
-        const entries = [];
-        for await (const entry of handle.values()) {
-          entries.push({
-            name: entry.name,
-            kind: entry.kind,
-            handle: entry
-          });
+      getPreview(group) {
+        let preview = this.previews.get(group);
+        if (!preview) {
+          preview = {
+            group,
+            tab: null,
+            images: /* @__PURE__ */ new Map(),
+            renderTimer: null,
+            ignoreEditorScrollUntil: 0,
+            ignorePreviewScrollUntil: 0
+          };
+          group.previewEl.addEventListener("scroll", () => this.syncFromPreview(preview));
+          group.previewEl.addEventListener("click", (e) => this.handleClick(preview, e));
+          this.previews.set(group, preview);
         }
-        return entries.sort((a, b) => {
-          if (a.kind === "directory" && b.kind !== "directory") return -1;
-          if (a.kind !== "directory" && b.kind === "directory") return 1;
-          return a.name.localeCompare(b.name);
-        });
-      }
-      async readDirectoryLevel(handle, parentPath = "") {
-        const entries = await this.readDirectory(handle);
-        return entries.map((entry) => ({
-          name: entry.name,
-          kind: entry.kind,
-          handle: entry.handle,
-          parentHandle: handle,
-          path: parentPath ? `${parentPath}/${entry.name}` : entry.name,
-          children: null,
-          childrenLoaded: false
-        }));
+        return preview;
       }
-      async readDirectoryRecursive(handle, depth = 0, maxDepth = 3, parentPath = "") {
-        if (depth > maxDepth) return [];
-        const entries = [];
-        const dirEntries = await this.readDirectory(handle);
-        for (const entry of dirEntries) {
-          const entryInfo = {
-            name: entry.name,
-            kind: entry.kind,
-            handle: entry.handle,
-            parentHandle: handle,
-            path: parentPath ? `${parentPath}/${entry.handle.name}` : entry.handle.name
-          };
-          if (entry.kind === "directory" && depth < maxDepth) {
-            try {
-              entryInfo.children = await this.readDirectoryRecursive(
-                entry.handle,
-                depth + 1,
-                maxDepth,
-                entryInfo.path
-              );
-            } catch (err) {
-              console.warn(`Cannot read directory ${entry.name}:`, err);
-              entryInfo.children = [];
-            }
-          }
-          entries.push(entryInfo);
+      show(group, tab2) {
+        const preview = this.getPreview(group);
+        group.previewEl.classList.toggle("hidden", !tab2);
+        if (!tab2) {
+          this.clear(group);
+          return;
+        }
+        if (preview.tab !== tab2) {
+          this.releaseImages(preview);
+          preview.tab = tab2;
+          group.previewEl.scrollTop = 0;
         }
-        return entries;
+        this.render(preview);
       }
-      async createFile(parentHandle, fileName) {
+      clear(group) {
+        const preview = this.previews.get(group);
+        if (!preview) return;
+        clearTimeout(preview.renderTimer);
+        this.releaseImages(preview);
+        preview.tab = null;
+        group.previewEl.innerHTML = "";
+      }
+      releaseImages(preview) {
+        preview.images.forEach((pending) => {
+          pending.then((url) => url && URL.revokeObjectURL(url));
+        });
+        preview.images.clear();
+      }
+      scheduleRender(group) {
+        const preview = this.previews.get(group);
+        if (!preview?.tab) return;
+        clearTimeout(preview.renderTimer);
+        preview.renderTimer = setTimeout(() => this.render(preview), RENDER_DELAY);
+      }
+      render(preview) {
+        clearTimeout(preview.renderTimer);
+        const { group, tab: tab2 } = preview;
+        const container = group.previewEl;
+        const scrollTop = container.scrollTop;
+        const body = document.createElement("div");
+        body.className = "markdown-body";
         try {
-          const fileHandle = await parentHandle.getFileHandle(fileName, { create: true });
-          const writable = await fileHandle.createWritable();
-          await writable.write("");
-          await writable.close();
-          return fileHandle;
+          body.innerHTML = renderMarkdown(tab2.state.doc.toString());
         } catch (err) {
-          console.error("Error creating file:", err);
-          return null;
-        }
+          console.error("Markdown preview failed:", err);
+          body.textContent = `Cannot render preview: ${err.message}`;
+        }
+        container.replaceChildren(body);
+        this.loadImages(preview, body);
+        preview.ignorePreviewScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+        container.scrollTop = scrollTop;
+      }
+      loadImages(preview, body) {
+        const base2 = getDirectory(preview.tab.path);
+        body.querySelectorAll("img[data-src]").forEach((img) => {
+          const path = resolveRelativePath(base2, img.dataset.src.split(/[?#]/)[0]);
+          if (!preview.images.has(path)) {
+            preview.images.set(path, this.readImage(path));
+          }
+          preview.images.get(path).then((url) => {
+            if (url) img.src = url;
+            else img.classList.add("missing");
+          });
+        });
       }
-      async createDirectory(parentHandle, dirName) {
+      async readImage(path) {
+        const handle = await fileIndex.resolveHandle({ path, handle: null });
+        if (!handle) return null;
         try {
-          const dirHandle = await parentHandle.getDirectoryHandle(dirName, { create: true });
-          return dirHandle;
+          return URL.createObjectURL(await handle.getFile());
         } catch (err) {
-          console.error("Error creating directory:", err);
           return null;
         }
       }
-      async deleteEntry(handle, parentHandle = null) {
-        try {
-          const parent = parentHandle || await this.getParentHandle(handle);
-          if (!parent) return false;
-          await parent.removeEntry(handle.name, { recursive: true });
-          return true;
-        } catch (err) {
-          console.error("Error deleting entry:", err);
-          return false;
+      async handleClick(preview, e) {
+        const link = e.target.closest("a[data-href]");
+        if (!link) return;
+        e.preventDefault();
+        const href = link.dataset.href;
+        if (href.startsWith("#")) {
+          const target = preview.group.previewEl.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)))}"]`);
+          target?.scrollIntoView({ block: "start" });
+          return;
         }
-      }
-      async renameEntry(handle, newName, parentHandle = null) {
-        try {
-          const parent = parentHandle || await this.getParentHandle(handle);
-          if (!parent) return false;
-          if (handle.kind === "directory") {
-            const targetDir = await parent.getDirectoryHandle(newName, { create: true });
-            await this.copyDirectoryContents(handle, targetDir);
-          } else {
-            const sourceFile = await handle.getFile();
-            const targetFile = await parent.getFileHandle(newName, { create: true });
-            const writable = await targetFile.createWritable();
-            await writable.write(await sourceFile.text());
-            await writable.close();
-          }
-          await parent.removeEntry(handle.name, { recursive: true });
-          return true;
-        } catch (err) {
-          console.error("Error renaming entry:", err);
-          return false;
+        if (ABSOLUTE_URL.test(href)) {
+          window.open(href, "_blank", "noopener");
+          return;
         }
-      }
-      async getParentHandle(targetHandle, currentHandle = this.rootHandle) {
-        if (!currentHandle) return null;
-        for await (const entry of currentHandle.values()) {
-          let isMatch = entry.kind === targetHandle.kind && entry.name === targetHandle.name;
-          if (typeof entry.isSameEntry === "function") {
-            try {
-              isMatch = await entry.isSameEntry(targetHandle);
-            } catch (err) {
-              isMatch = entry.kind === targetHandle.kind && entry.name === targetHandle.name;
-            }
-          }
-          if (isMatch) {
-            return currentHandle;
-          }
-          if (entry.kind === "directory") {
-            const found = await this.getParentHandle(targetHandle, entry);
-            if (found) return found;
-          }
+        const path = resolveRelativePath(getDirectory(preview.tab.path), href.split(/[?#]/)[0]);
+        const handle = await fileIndex.resolveHandle({ path, handle: null });
+        if (handle) {
+          await this.editor.openFile(handle, path);
+        } else {
+          this.editor.showStatusMessage(`File not found: ${path}`);
         }
-        return null;
       }
-      async getEntryPath(handle) {
-        return handle.name;
+      getBlocks(container) {
+        return [...container.querySelectorAll(".markdown-block")].map((element) => ({
+          element,
+          line: Number(element.dataset.line),
+          endLine: Number(element.dataset.lineEnd)
+        }));
       }
-      async saveLastOpenedFolder(handle) {
-        const serialized = await this.serializeHandle(handle);
-        if (serialized) {
-          chrome.storage.local.set({ lastOpenedFolder: serialized });
-        }
-        await this.persistHandle(this.lastFolderKey, handle);
+      // linha (fracionária) no topo do editor -> posição no preview
+      syncFromEditor(group) {
+        const preview = this.previews.get(group);
+        if (!preview?.tab || group.previewEl.classList.contains("hidden")) return;
+        if (group.editorEl.classList.contains("hidden") || Date.now() < preview.ignoreEditorScrollUntil) return;
+        const { view } = group;
+        const height = view.scrollDOM.getBoundingClientRect().top - view.documentTop;
+        const block = view.lineBlockAtHeight(Math.max(0, height));
+        const line = view.state.doc.lineAt(block.from).number + Math.max(0, Math.min(1, (height - block.top) / Math.max(block.height, 1)));
+        let top2 = 0;
+        for (const item of this.getBlocks(group.previewEl)) {
+          if (item.line > line) break;
+          const { offsetTop, offsetHeight } = item.element;
+          const fraction = Math.min(1, (line - item.line) / Math.max(item.endLine - item.line, 1));
+          top2 = offsetTop + fraction * offsetHeight;
+        }
+        preview.ignorePreviewScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+        group.previewEl.scrollTop = top2;
+      }
+      syncFromPreview(preview) {
+        const { group, tab: tab2 } = preview;
+        if (!tab2 || group.editorEl.classList.contains("hidden") || Date.now() < preview.ignorePreviewScrollUntil) return;
+        const scrollTop = group.previewEl.scrollTop;
+        let line = 1;
+        for (const item of this.getBlocks(group.previewEl)) {
+          const { offsetTop, offsetHeight } = item.element;
+          if (offsetTop > scrollTop) break;
+          const fraction = Math.min(1, (scrollTop - offsetTop) / Math.max(offsetHeight, 1));
+          line = item.line + fraction * (item.endLine - item.line);
+        }
+        const { view } = group;
+        const { doc: doc2 } = view.state;
+        const lineNumber = Math.min(Math.floor(line), doc2.lines);
+        const block = view.lineBlockAt(doc2.line(lineNumber).from);
+        const documentOffset = view.documentTop - view.scrollDOM.getBoundingClientRect().top + view.scrollDOM.scrollTop;
+        preview.ignoreEditorScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+        view.scrollDOM.scrollTop = documentOffset + block.top + (line - lineNumber) * block.height;
+      }
+    };
+    markdownPreview = new MarkdownPreview();
+  }
+});
+
+// editor/htmlPreview.js
+function getExtension(path) {
+  const name2 = path.split("/").pop();
+  return name2.includes(".") ? name2.split(".").pop().toLowerCase() : "";
+}
+function isHtmlFile(path) {
+  return HTML_EXTENSIONS.has(getExtension(path));
+}
+function findReferences(text3, path) {
+  const directory = getDirectory(path);
+  const references = [];
+  const seen = /* @__PURE__ */ new Set();
+  (REFERENCE_PATTERNS[getExtension(path)] || []).forEach((pattern) => {
+    pattern.lastIndex = 0;
+    for (const match of text3.matchAll(pattern)) {
+      const group = match.findIndex((value2, index) => index > 0 && value2 !== void 0);
+      if (group === -1) continue;
+      const value = match[group];
+      const [from, to] = match.indices[group];
+      if (!value.trim() || seen.has(from) || ABSOLUTE_URL2.test(value) || value.startsWith("#")) continue;
+      if (pattern === JS_REFERENCE && !/^\.{0,2}\//.test(value)) continue;
+      const [target] = value.split(/[?#]/);
+      const hashIndex = value.indexOf("#");
+      seen.add(from);
+      references.push({
+        from,
+        to,
+        path: resolveRelativePath(directory, target),
+        hash: hashIndex === -1 ? "" : value.slice(hashIndex)
+      });
+    }
+  });
+  return references.sort((a, b) => a.from - b.from);
+}
+var FRAME_PAGE, FRAME_SANDBOX, REFRESH_DELAY3, MAX_FILES, MAX_CONSOLE_ENTRIES, ABSOLUTE_URL2, HTML_EXTENSIONS, MIME_TYPES, TEXT_EXTENSIONS, HTML_REFERENCE, CSS_REFERENCE, JS_REFERENCE, REFERENCE_PATTERNS, HtmlPreview, htmlPreview;
+var init_htmlPreview = __esm({
+  "editor/htmlPreview.js"() {
+    init_fileIndex();
+    init_paths();
+    FRAME_PAGE = "htmlPreviewFrame.html";
+    FRAME_SANDBOX = "allow-scripts allow-forms allow-modals allow-popups";
+    REFRESH_DELAY3 = 400;
+    MAX_FILES = 300;
+    MAX_CONSOLE_ENTRIES = 500;
+    ABSOLUTE_URL2 = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+    HTML_EXTENSIONS = /* @__PURE__ */ new Set(["html", "htm"]);
+    MIME_TYPES = {
+      html: "text/html",
+      htm: "text/html",
+      css: "text/css",
+      js: "text/javascript",
+      mjs: "text/javascript",
+      cjs: "text/javascript",
+      json: "application/json",
+      svg: "image/svg+xml",
+      xml: "application/xml",
+      txt: "text/plain",
+      png: "image/png",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      gif: "image/gif",
+      webp: "image/webp",
+      avif: "image/avif",
+      bmp: "image/bmp",
+      ico: "image/x-icon",
+      woff: "font/woff",
+      woff2: "font/woff2",
+      ttf: "font/ttf",
+      otf: "font/otf",
+      mp3: "audio/mpeg",
+      wav: "audio/wav",
+      ogg: "audio/ogg",
+      mp4: "video/mp4",
+      webm: "video/webm"
+    };
+    TEXT_EXTENSIONS = /* @__PURE__ */ new Set(["html", "htm", "css", "js", "mjs", "cjs", "json", "svg", "xml", "txt"]);
+    HTML_REFERENCE = /<(?:script|link|img|source|audio|video|iframe|embed|track|input|use|image)\b[^>]*?\s(?:src|href|poster)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gid;
+    CSS_REFERENCE = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]+))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/gid;
+    JS_REFERENCE = /\b(?:import|export)\s*(?:[\w*{}\s,$]*?\bfrom\s*)?(?:"([^"\n]+)"|'([^'\n]+)')|\bimport\s*\(\s*(?:"([^"\n]+)"|'([^'\n]+)')\s*\)/gid;
+    REFERENCE_PATTERNS = {
+      html: [HTML_REFERENCE, CSS_REFERENCE, JS_REFERENCE],
+      htm: [HTML_REFERENCE, CSS_REFERENCE, JS_REFERENCE],
+      css: [CSS_REFERENCE],
+      js: [JS_REFERENCE],
+      mjs: [JS_REFERENCE]
+    };
+    HtmlPreview = class {
+      constructor() {
+        this.editor = null;
+        this.previews = /* @__PURE__ */ new WeakMap();
+        this.active = /* @__PURE__ */ new Set();
+        this.refreshTimer = null;
+        this.changedPaths = /* @__PURE__ */ new Set();
       }
-      async serializeHandle(handle) {
-        try {
-          return {
-            name: handle.name,
-            kind: handle.kind
+      init(editorInstance) {
+        this.editor = editorInstance;
+        window.addEventListener("message", (e) => {
+          if (e.data?.source !== "html-preview") return;
+          const preview = [...this.active].find((item) => item.frame?.contentWindow === e.source);
+          if (!preview) return;
+          if (e.data.type === "ready") {
+            this.sendPage(preview, e.source);
+          } else if (e.data.type === "console") {
+            this.appendConsole(preview, e.data.level, String(e.data.message));
+          }
+        });
+      }
+      getPreview(group) {
+        let preview = this.previews.get(group);
+        if (!preview) {
+          const container = group.livePreviewEl;
+          container.innerHTML = `
+        <div class="html-preview-toolbar">
+          <span class="html-preview-title"></span>
+          <button type="button" class="icon-btn-small" data-preview-action="reload" title="Reload">\u21BB</button>
+          <button type="button" class="icon-btn-small" data-preview-action="toggleConsole" title="Toggle Console">\u2328</button>
+          <button type="button" class="icon-btn-small" data-preview-action="clearConsole" title="Clear Console">\u232B</button>
+        </div>
+        <div class="html-preview-frame-container"></div>
+        <div class="html-preview-console"></div>
+      `;
+          preview = {
+            group,
+            tab: null,
+            frame: null,
+            dependencies: /* @__PURE__ */ new Set(),
+            title: container.querySelector(".html-preview-title"),
+            frameContainer: container.querySelector(".html-preview-frame-container"),
+            console: container.querySelector(".html-preview-console")
           };
-        } catch (err) {
-          return null;
+          container.addEventListener("click", (e) => {
+            const action = e.target.closest("[data-preview-action]")?.dataset.previewAction;
+            if (action === "reload") this.reload(preview);
+            if (action === "toggleConsole") container.classList.toggle("console-hidden");
+            if (action === "clearConsole") preview.console.innerHTML = "";
+          });
+          this.previews.set(group, preview);
         }
+        return preview;
       }
-      getRootHandle() {
-        return this.rootHandle;
-      }
-      setRootHandle(handle) {
-        this.rootHandle = handle;
-      }
-      async loadLastOpenedFolder() {
-        const handle = await this.getPersistedHandle(this.lastFolderKey);
-        if (!handle) return null;
-        try {
-          let permission = await handle.queryPermission({ mode: "readwrite" });
-          if (permission !== "granted") {
-            permission = await handle.requestPermission({ mode: "readwrite" });
-          }
-          if (permission === "granted") {
-            this.rootHandle = handle;
-            return handle;
-          }
+      show(group, tab2) {
+        group.livePreviewEl.classList.toggle("hidden", !tab2);
+        if (!tab2) {
+          this.clear(group);
+          return;
+        }
+        const preview = this.getPreview(group);
+        if (preview.tab === tab2 && preview.frame) return;
+        preview.tab = tab2;
+        this.active.add(preview);
+        this.reload(preview);
+      }
+      clear(group) {
+        const preview = this.previews.get(group);
+        if (!preview) return;
+        preview.frame?.remove();
+        preview.frame = null;
+        preview.tab = null;
+        preview.console.innerHTML = "";
+        this.active.delete(preview);
+      }
+      // cada recarga usa um iframe novo: o documento anterior e seus blob URLs são descartados
+      reload(preview) {
+        if (!preview.tab) return;
+        preview.title.textContent = preview.tab.path;
+        preview.title.title = preview.tab.path;
+        preview.console.innerHTML = "";
+        preview.dependencies.add(preview.tab.path);
+        const frame = document.createElement("iframe");
+        frame.className = "html-preview-frame";
+        frame.setAttribute("sandbox", FRAME_SANDBOX);
+        frame.src = FRAME_PAGE;
+        preview.frame?.remove();
+        preview.frame = frame;
+        preview.frameContainer.appendChild(frame);
+      }
+      // recarrega os previews que usam algum dos arquivos alterados
+      scheduleRefresh(path) {
+        if (!this.active.size) return;
+        this.changedPaths.add(path);
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+          const changed = this.changedPaths;
+          this.changedPaths = /* @__PURE__ */ new Set();
+          this.active.forEach((preview) => {
+            if ([...changed].some((item) => preview.dependencies.has(item))) {
+              this.reload(preview);
+            }
+          });
+        }, REFRESH_DELAY3);
+      }
+      async readFile(path) {
+        const tab2 = this.editor.openTabs.find((item) => item.path === path && !item.viewer);
+        if (tab2 && TEXT_EXTENSIONS.has(getExtension(path))) {
+          return { text: tab2.state.doc.toString() };
+        }
+        const handle = await fileIndex.resolveHandle({ path, handle: null });
+        if (!handle) return null;
+        try {
+          const file = await handle.getFile();
+          return TEXT_EXTENSIONS.has(getExtension(path)) ? { text: await file.text() } : { buffer: await file.arrayBuffer() };
         } catch (err) {
-          console.warn("Cannot restore last folder handle:", err);
+          return null;
         }
-        return null;
       }
-      async copyDirectoryContents(sourceDirHandle, targetDirHandle) {
-        for await (const entry of sourceDirHandle.values()) {
-          if (entry.kind === "file") {
-            const sourceFile = await entry.getFile();
-            const targetFile = await targetDirHandle.getFileHandle(entry.name, { create: true });
-            const writable = await targetFile.createWritable();
-            await writable.write(await sourceFile.text());
-            await writable.close();
-          } else if (entry.kind === "directory") {
-            const nestedTarget = await targetDirHandle.getDirectoryHandle(entry.name, { create: true });
-            await this.copyDirectoryContents(entry, nestedTarget);
+      // lê o HTML e, recursivamente, os arquivos que ele referencia (abas abertas usam o texto não salvo)
+      async collectFiles(entryPath) {
+        const files = {};
+        const pending = [entryPath];
+        let count2 = 0;
+        while (pending.length && count2 < MAX_FILES) {
+          const path = pending.shift();
+          if (path in files) continue;
+          files[path] = null;
+          count2 += 1;
+          const content2 = await this.readFile(path);
+          if (!content2) {
+            delete files[path];
+            continue;
+          }
+          const type = MIME_TYPES[getExtension(path)] || "application/octet-stream";
+          if (content2.text === void 0) {
+            files[path] = { buffer: content2.buffer, type };
+            continue;
           }
+          const references = findReferences(content2.text, path);
+          files[path] = { text: content2.text, references, type };
+          references.forEach((reference) => {
+            if (!(reference.path in files)) pending.push(reference.path);
+          });
         }
-      }
-      async openDatabase() {
-        if (!globalThis.indexedDB) return null;
-        return new Promise((resolve) => {
-          const request = indexedDB.open(this.dbName, 1);
-          request.onupgradeneeded = () => {
-            const db = request.result;
-            if (!db.objectStoreNames.contains(this.storeName)) {
-              db.createObjectStore(this.storeName);
-            }
-          };
-          request.onsuccess = () => resolve(request.result);
-          request.onerror = () => resolve(null);
+        Object.keys(files).forEach((path) => {
+          if (!files[path]) delete files[path];
         });
+        return files;
       }
-      async persistHandle(key, handle) {
-        const db = await this.openDatabase();
-        if (!db) return;
-        await new Promise((resolve) => {
-          const tx = db.transaction(this.storeName, "readwrite");
-          tx.objectStore(this.storeName).put(handle, key);
-          tx.oncomplete = () => resolve();
-          tx.onerror = () => resolve();
-        });
-        db.close();
+      async sendPage(preview, target) {
+        const path = preview.tab.path;
+        const files = await this.collectFiles(path);
+        if (preview.frame?.contentWindow !== target || preview.tab?.path !== path) return;
+        if (!files[path]) {
+          this.appendConsole(preview, "error", `Cannot read ${path}`);
+          return;
+        }
+        preview.dependencies = new Set(Object.keys(files));
+        target.postMessage({ type: "render", entry: path, files }, "*");
       }
-      async getPersistedHandle(key) {
-        const db = await this.openDatabase();
-        if (!db) return null;
-        const value = await new Promise((resolve) => {
-          const tx = db.transaction(this.storeName, "readonly");
-          const req = tx.objectStore(this.storeName).get(key);
-          req.onsuccess = () => resolve(req.result || null);
-          req.onerror = () => resolve(null);
-        });
-        db.close();
-        return value;
+      appendConsole(preview, level, message) {
+        const entry = document.createElement("div");
+        entry.className = `html-preview-log ${level}`;
+        entry.textContent = message;
+        preview.console.appendChild(entry);
+        while (preview.console.childElementCount > MAX_CONSOLE_ENTRIES) {
+          preview.console.firstElementChild.remove();
+        }
+        preview.console.scrollTop = preview.console.scrollHeight;
       }
     };
-    fileSystem = new FileSystem();
+    htmlPreview = new HtmlPreview();
   }
 });
 
-// editor/fileTree.js
-var FileTree, fileTree;
-var init_fileTree = __esm({
-  "editor/fileTree.js"() {
+// editor/git.js
+function fsError(code, path) {
+  const err = new Error(`${code}: ${path}`);
+  err.code = code;
+  return err;
+}
+function createStats(handle, file) {
+  const isFile = handle.kind === "file";
+  const time = file ? file.lastModified : 0;
+  return {
+    type: isFile ? "file" : "dir",
+    mode: isFile ? 33188 : 16384,
+    size: file ? file.size : 0,
+    ino: 0,
+    dev: 0,
+    uid: 0,
+    gid: 0,
+    mtimeMs: time,
+    ctimeMs: time,
+    isFile: () => isFile,
+    isDirectory: () => !isFile,
+    isSymbolicLink: () => false
+  };
+}
+function createHandleFs(rootHandle) {
+  const directories = /* @__PURE__ */ new Map([["", Promise.resolve(rootHandle)]]);
+  const getDirectory2 = (path) => {
+    if (!directories.has(path)) {
+      const index = path.lastIndexOf("/");
+      const parent = index === -1 ? "" : path.slice(0, index);
+      const pending = getDirectory2(parent).then((handle) => handle.getDirectoryHandle(path.slice(index + 1)));
+      pending.catch(() => directories.delete(path));
+      directories.set(path, pending);
+    }
+    return directories.get(path);
+  };
+  const resolve = async (path) => {
+    const normalized = path.split("/").filter((part) => part && part !== ".").join("/");
+    if (!normalized) return rootHandle;
+    const index = normalized.lastIndexOf("/");
+    const name2 = normalized.slice(index + 1);
+    try {
+      const parent = await getDirectory2(index === -1 ? "" : normalized.slice(0, index));
+      try {
+        return await parent.getFileHandle(name2);
+      } catch (err) {
+        if (err.name !== "TypeMismatchError") throw err;
+        return await getDirectory2(normalized);
+      }
+    } catch (err) {
+      throw fsError(err.name === "TypeMismatchError" ? "ENOTDIR" : "ENOENT", path);
+    }
+  };
+  const discard = async () => {
+  };
+  return {
+    promises: {
+      async readFile(path, options) {
+        const handle = await resolve(path);
+        if (handle.kind !== "file") throw fsError("EISDIR", path);
+        const file = await handle.getFile();
+        const encoding = typeof options === "string" ? options : options?.encoding;
+        return encoding ? file.text() : new Uint8Array(await file.arrayBuffer());
+      },
+      async readdir(path) {
+        const handle = await resolve(path);
+        if (handle.kind !== "directory") throw fsError("ENOTDIR", path);
+        const names = [];
+        for await (const name2 of handle.keys()) {
+          names.push(name2);
+        }
+        return names;
+      },
+      async stat(path) {
+        const handle = await resolve(path);
+        return createStats(handle, handle.kind === "file" ? await handle.getFile() : null);
+      },
+      async lstat(path) {
+        return this.stat(path);
+      },
+      async readlink(path) {
+        throw fsError("ENOENT", path);
+      },
+      writeFile: discard,
+      unlink: discard,
+      mkdir: discard,
+      rmdir: discard,
+      symlink: discard,
+      chmod: discard
+    }
+  };
+}
+function computeLineChanges(base2, text3) {
+  const changes = /* @__PURE__ */ new Map();
+  const ops = diffLines(base2, text3);
+  let added = [];
+  let removed = 0;
+  const flush = (nextLine) => {
+    if (added.length) {
+      added.forEach((line) => changes.set(line, removed ? "modified" : "added"));
+    } else if (removed) {
+      changes.set(Math.max(1, nextLine), "deleted");
+    }
+    added = [];
+    removed = 0;
+  };
+  ops.forEach((op) => {
+    if (op.type === "added") {
+      added.push(op.newLine);
+    } else if (op.type === "removed") {
+      removed += 1;
+    } else {
+      flush(op.newLine);
+    }
+  });
+  flush(text3.split("\n").length);
+  return changes;
+}
+function buildMarkers(base2, doc2) {
+  if (base2 === null) return RangeSet.empty;
+  const builder = new RangeSetBuilder();
+  const changes = computeLineChanges(base2, doc2.toString());
+  [...changes.entries()].sort(([a], [b]) => a - b).forEach(([line, kind]) => {
+    if (line <= doc2.lines) {
+      const { from } = doc2.line(line);
+      builder.add(from, from, CHANGE_MARKERS[kind]);
+    }
+  });
+  return builder.finish();
+}
+var DIR, REFRESH_DELAY4, MARKERS_DELAY, GIT_STATE_PATH, ChangeMarker, CHANGE_MARKERS, setGitBase, refreshGitMarkers, gitChanges, gitMarkersUpdater, Git, git;
+var init_git = __esm({
+  "editor/git.js"() {
+    init_dist();
+    init_dist2();
     init_fileSystem();
-    FileTree = class {
-      constructor() {
-        this.entries = [];
-        this.renderCallback = null;
-        this.selectedHandle = null;
-        this.contextMenuTarget = null;
-        this.gitignorePatterns = [];
+    init_fileTree();
+    init_diff();
+    init_encoding();
+    DIR = "/";
+    REFRESH_DELAY4 = 500;
+    MARKERS_DELAY = 300;
+    GIT_STATE_PATH = /^\.git\/(HEAD|index|packed-refs)$|^\.git\/refs(\/|$)/;
+    ChangeMarker = class extends GutterMarker {
+      constructor(kind) {
+        super();
+        this.kind = kind;
       }
-      async loadGitignore(rootHandle) {
-        this.gitignorePatterns = [];
-        try {
-          const gitignoreHandle = await rootHandle.getFileHandle(".gitignore");
-          const file = await gitignoreHandle.getFile();
-          const content2 = await file.text();
-          this.gitignorePatterns = this.parseGitignore(content2);
-        } catch (err) {
-        }
+      eq(other) {
+        return other.kind === this.kind;
       }
-      parseGitignore(content2) {
-        const patterns = [];
-        const lines = content2.split("\n");
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (!trimmed || trimmed.startsWith("#")) continue;
-          const negated = trimmed.startsWith("!");
-          const rawPattern = negated ? trimmed.slice(1).trim() : trimmed;
-          if (!rawPattern) continue;
-          patterns.push({ pattern: rawPattern, negated });
-        }
-        return patterns;
+      toDOM() {
+        const marker = document.createElement("div");
+        marker.className = `cm-git-${this.kind}`;
+        return marker;
       }
-      matchesGitignore(filePath, isDirectory = false) {
-        const normalizedPath = filePath.replace(/^\.?\//, "").replace(/\/+$/, "");
-        const fileName = normalizedPath.split("/").pop();
-        let ignored = false;
-        for (const rule of this.gitignorePatterns) {
-          if (this.ruleMatchesPath(rule.pattern, normalizedPath, fileName, isDirectory)) {
-            ignored = !rule.negated;
+    };
+    CHANGE_MARKERS = {
+      added: new ChangeMarker("added"),
+      modified: new ChangeMarker("modified"),
+      deleted: new ChangeMarker("deleted")
+    };
+    setGitBase = StateEffect.define();
+    refreshGitMarkers = StateEffect.define();
+    gitChanges = StateField.define({
+      create: () => ({ base: null, markers: RangeSet.empty }),
+      update(value, tr) {
+        let { base: base2, markers } = value;
+        let rebuild = false;
+        tr.effects.forEach((effect) => {
+          if (effect.is(setGitBase)) {
+            base2 = effect.value;
+            rebuild = true;
+          } else if (effect.is(refreshGitMarkers)) {
+            rebuild = true;
           }
-        }
-        return ignored;
+        });
+        if (rebuild) return { base: base2, markers: buildMarkers(base2, tr.state.doc) };
+        if (tr.docChanged) return { base: base2, markers: markers.map(tr.changes) };
+        return value;
       }
-      ruleMatchesPath(pattern, normalizedPath, fileName, isDirectory) {
-        const directoryOnly = pattern.endsWith("/");
-        const cleanPattern = directoryOnly ? pattern.slice(0, -1) : pattern;
-        const anchored = cleanPattern.startsWith("/");
-        const relativePattern = anchored ? cleanPattern.slice(1) : cleanPattern;
-        if (directoryOnly && !isDirectory) {
-          return false;
-        }
-        const wildcardRegex = this.buildWildcardRegex(relativePattern);
-        const basenameRegex = this.buildWildcardRegex(fileName ? relativePattern : "");
-        if (anchored) {
-          return wildcardRegex.test(normalizedPath);
-        }
-        if (!relativePattern.includes("/")) {
-          return basenameRegex.test(fileName);
-        }
-        return wildcardRegex.test(normalizedPath) || wildcardRegex.test(`/${normalizedPath}`);
+    });
+    gitMarkersUpdater = ViewPlugin.fromClass(class {
+      constructor(view) {
+        this.view = view;
+        this.timer = null;
       }
-      buildWildcardRegex(pattern) {
-        const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
-        return new RegExp(`^${escaped}$`);
+      update(update) {
+        if (!update.docChanged || update.state.field(gitChanges).base === null) return;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+          this.view.dispatch({ effects: refreshGitMarkers.of(null) });
+        }, MARKERS_DELAY);
       }
-      async init(renderCallback) {
-        this.renderCallback = renderCallback;
-        this.initContextMenu();
+      destroy() {
+        clearTimeout(this.timer);
       }
-      async openFolder() {
-        const handle = await fileSystem.openDirectory();
-        if (handle) {
-          await this.loadGitignore(handle);
-          await this.refresh();
-          await fileSystem.clearSession();
-        }
-        return handle;
+    });
+    Git = class {
+      constructor() {
+        this.editor = null;
+        this.library = null;
+        this.rootHandle = null;
+        this.fs = null;
+        this.available = false;
+        this.branch = null;
+        this.head = null;
+        this.statuses = /* @__PURE__ */ new Map();
+        this.headBlobs = /* @__PURE__ */ new Map();
+        this.blobIds = /* @__PURE__ */ new Map();
+        this.refreshTimer = null;
+        this.refreshing = null;
+        this.refreshAgain = false;
       }
-      async restoreLastFolder() {
-        const handle = await fileSystem.loadLastOpenedFolder();
-        if (handle) {
-          await this.loadGitignore(handle);
-          await this.refresh();
+      init(editorInstance) {
+        this.editor = editorInstance;
+        document.getElementById("gitBranch")?.addEventListener("click", () => this.refresh());
+      }
+      getExtensions() {
+        return [
+          gitChanges,
+          gitMarkersUpdater,
+          gutter({
+            class: "cm-git-gutter",
+            markers: (view) => view.state.field(gitChanges).markers
+          })
+        ];
+      }
+      // o isomorphic-git usa o Buffer do Node; o polyfill só é carregado junto com ele
+      async loadLibrary() {
+        if (!this.library) {
+          this.library = import("./chunks/buffer-7WGEE5VO.js").then(({ Buffer: Buffer2 }) => {
+            globalThis.Buffer = globalThis.Buffer || Buffer2;
+            return import("./chunks/isomorphic-git-ENTBBTYC.js");
+          });
+          this.library.catch(() => {
+            this.library = null;
+          });
         }
-        return handle;
+        return this.library;
+      }
+      affectsStatus(path) {
+        if (path === ".git" || path.startsWith(".git/")) return GIT_STATE_PATH.test(path);
+        return !fileTree.ignoreRules.isGitignored(path);
+      }
+      scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY4);
       }
       async refresh() {
+        clearTimeout(this.refreshTimer);
+        if (this.refreshing) {
+          this.refreshAgain = true;
+          return this.refreshing;
+        }
+        this.refreshing = this.readRepository().catch((err) => {
+          console.warn("Cannot read Git repository:", err);
+          this.reset(fileSystem.getRootHandle());
+        }).finally(() => {
+          this.refreshing = null;
+          this.render();
+          if (this.refreshAgain) {
+            this.refreshAgain = false;
+            this.scheduleRefresh();
+          }
+        });
+        return this.refreshing;
+      }
+      reset(rootHandle) {
+        this.rootHandle = rootHandle;
+        this.fs = rootHandle ? createHandleFs(rootHandle) : null;
+        this.available = false;
+        this.branch = null;
+        this.head = null;
+        this.statuses = /* @__PURE__ */ new Map();
+        this.headBlobs.clear();
+        this.blobIds = /* @__PURE__ */ new Map();
+      }
+      async readRepository() {
         const rootHandle = fileSystem.getRootHandle();
-        if (!rootHandle) {
-          this.renderCallback([], document.getElementById("fileTree"));
+        if (rootHandle !== this.rootHandle) {
+          this.reset(rootHandle);
+        }
+        if (!rootHandle || !await this.hasGitDirectory(rootHandle)) {
+          this.reset(rootHandle);
           return;
         }
-        const entries = await fileSystem.readDirectoryLevel(rootHandle, "");
-        this.entries = entries;
-        this.renderCallback(entries, document.getElementById("fileTree"));
-      }
-      createTreeItem(entry, currentFileHandle, onFileClick) {
-        const item = document.createElement("div");
-        item.className = entry.kind === "directory" ? "tree-folder" : "tree-file";
-        item.dataset.handleId = entry.handle.name;
-        const itemContent = document.createElement("div");
-        itemContent.className = "tree-item";
-        const icon = document.createElement("span");
-        icon.className = "icon";
-        icon.textContent = entry.kind === "directory" ? "\u{1F4C1}" : this.getFileIcon(entry.name);
-        const name2 = document.createElement("span");
-        name2.className = "name";
-        name2.textContent = entry.name;
-        itemContent.appendChild(icon);
-        itemContent.appendChild(name2);
-        item.appendChild(itemContent);
-        if (entry.kind === "file") {
-          itemContent.addEventListener("click", async () => {
-            if (currentFileHandle?.name === entry.handle.name) {
-              return;
+        const git2 = await this.loadLibrary();
+        this.fs = createHandleFs(rootHandle);
+        const { fs } = this;
+        this.available = true;
+        const head = await git2.resolveRef({ fs, dir: DIR, ref: "HEAD" }).catch(() => null);
+        this.branch = await git2.currentBranch({ fs, dir: DIR, fullname: false }).catch(() => null) || (head ? head.slice(0, 7) : null);
+        if (head !== this.head) {
+          this.head = head;
+          this.headBlobs.clear();
+          this.editor.openTabs.forEach((tab2) => this.applyToTab(tab2));
+        }
+        const { statuses, blobIds } = await this.readStatuses(git2, fs);
+        if (rootHandle === fileSystem.getRootHandle()) {
+          this.statuses = statuses;
+          this.blobIds = blobIds;
+        }
+      }
+      // mesma comparação do statusMatrix, mas o hash de cada arquivo do workspace é guardado
+      // por tamanho e data: os stats daqui nunca batem com os do índice, e sem isso todo
+      // arquivo versionado seria lido e hasheado a cada atualização
+      async readStatuses(git2, fs) {
+        const statuses = /* @__PURE__ */ new Map();
+        const blobIds = /* @__PURE__ */ new Map();
+        const readWorkdirOid = async (path, workdir) => {
+          const { mtimeSeconds, mtimeNanoseconds, size } = await workdir.stat();
+          const key = `${mtimeSeconds}.${mtimeNanoseconds}:${size}`;
+          const cached = this.blobIds.get(path);
+          const oid = cached?.key === key ? cached.oid : await workdir.oid();
+          blobIds.set(path, { key, oid });
+          return oid;
+        };
+        await git2.walk({
+          fs,
+          dir: DIR,
+          cache: {},
+          trees: [git2.TREE({ ref: "HEAD" }), git2.WORKDIR({ refresh: false }), git2.STAGE()],
+          map: async (path, [head, workdir, stage]) => {
+            if (!head && !stage && workdir && await git2.isIgnored({ fs, dir: DIR, filepath: path })) {
+              return null;
             }
-            this.selectItem(itemContent);
-            if (onFileClick) {
-              await onFileClick(entry.handle, entry.path);
+            const [headType, workdirType, stageType] = await Promise.all([
+              head?.type(),
+              workdir?.type(),
+              stage?.type()
+            ]);
+            if (headType === "commit" || stageType === "commit") return null;
+            if (headType !== "blob") {
+              if (workdirType === "blob") {
+                statuses.set(path, stageType === "blob" ? "added" : "untracked");
+              }
+            } else if (workdirType !== "blob") {
+              statuses.set(path, "deleted");
+            } else {
+              const headOid = await head.oid();
+              const stageOid = stageType === "blob" ? await stage.oid() : void 0;
+              if (stageOid !== headOid || await readWorkdirOid(path, workdir) !== headOid) {
+                statuses.set(path, "modified");
+              }
             }
-          });
-          itemContent.addEventListener("contextmenu", (e) => {
-            e.preventDefault();
-            this.showContextMenu(e, entry);
-          });
+            return void 0;
+          }
+        });
+        return { statuses, blobIds };
+      }
+      async hasGitDirectory(rootHandle) {
+        try {
+          await rootHandle.getDirectoryHandle(".git");
+          return true;
+        } catch (err) {
+          return false;
         }
-        if (entry.kind === "directory") {
-          itemContent.addEventListener("click", async () => {
-            await this.toggleFolder(item, entry, currentFileHandle, onFileClick);
-          });
-          const childrenContainer = document.createElement("div");
-          childrenContainer.className = "tree-children";
-          childrenContainer.style.display = "none";
-          item.appendChild(childrenContainer);
+      }
+      getHeadBlob(path) {
+        if (!this.headBlobs.has(path)) {
+          const pending = this.readHeadBlob(path);
+          this.headBlobs.set(path, pending);
         }
-        return item;
+        return this.headBlobs.get(path);
       }
-      getFileIcon(fileName) {
-        const ext = fileName.split(".").pop().toLowerCase();
-        const icons = {
-          js: "\u{1F4DC}",
-          jsx: "\u269B\uFE0F",
-          ts: "\u{1F4D8}",
-          tsx: "\u269B\uFE0F",
-          html: "\u{1F310}",
-          htm: "\u{1F310}",
-          css: "\u{1F3A8}",
-          scss: "\u{1F3A8}",
-          less: "\u{1F3A8}",
-          py: "\u{1F40D}",
-          json: "\u{1F4CB}",
-          md: "\u{1F4DD}",
-          mdx: "\u{1F4DD}",
-          sql: "\u{1F5C3}\uFE0F",
-          txt: "\u{1F4C4}",
-          gitignore: "",
-          env: "\u{1F510}"
-        };
-        return icons[ext] || "\u{1F4C4}";
+      async readHeadBlob(path) {
+        if (!this.available || !this.head) return null;
+        const git2 = await this.loadLibrary();
+        try {
+          const { blob } = await git2.readBlob({ fs: this.fs, dir: DIR, oid: this.head, filepath: path });
+          return blob;
+        } catch (err) {
+          return null;
+        }
+      }
+      // compara a aba com a versão do arquivo no HEAD, lida na mesma codificação da aba
+      // (arquivos fora do HEAD ficam sem marcações)
+      async applyToTab(tab2) {
+        if (!tab2 || tab2.viewer || !this.available) return;
+        const blob = await this.getHeadBlob(tab2.path);
+        if (tab2.viewer) return;
+        const base2 = blob ? normalizeEol(decodeBytes(blob, tab2.encoding).text) : null;
+        this.editor.updateTab(tab2, { effects: setGitBase.of(base2) });
+      }
+      render() {
+        fileTree.setGitStatuses(this.statuses);
+        const branchEl = document.getElementById("gitBranch");
+        if (branchEl) {
+          const changes = this.statuses.size;
+          branchEl.textContent = this.branch ? `\u2387 ${this.branch}` : "";
+          branchEl.title = `${changes} changed file${changes === 1 ? "" : "s"} (click to refresh)`;
+          branchEl.classList.toggle("hidden", !this.available || !this.branch);
+        }
+      }
+    };
+    git = new Git();
+  }
+});
+
+// editor/workspaceSymbols.js
+function getExtension2(path) {
+  const name2 = path.split("/").pop();
+  return name2.includes(".") ? name2.split(".").pop().toLowerCase() : "";
+}
+function isScriptFile(path) {
+  return Boolean(PARSERS2[getExtension2(path)]);
+}
+function parseScript(path, text3) {
+  const parser8 = PARSERS2[getExtension2(path)] || jsxLanguage.parser;
+  return parser8.parse(text3);
+}
+function normalizePath3(path) {
+  const parts = [];
+  path.split("/").forEach((part) => {
+    if (!part || part === ".") return;
+    if (part === "..") {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join("/");
+}
+function unquote2(value) {
+  return value.replace(/^['"`]|['"`]$/g, "");
+}
+function createLineIndex(text3) {
+  const starts = [0];
+  for (let i = 0; i < text3.length; i++) {
+    if (text3.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+function locate(lineStarts, pos) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = low + high + 1 >> 1;
+    if (lineStarts[mid] <= pos) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: pos - lineStarts[low] + 1 };
+}
+function hasKeyword(node, keyword2) {
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.type.name === keyword2) return true;
+  }
+  return false;
+}
+function readSpecifiers(group, slice) {
+  const specifiers = [];
+  for (let child = group.firstChild; child; child = child.nextSibling) {
+    if (!IDENTIFIERS.has(child.type.name)) continue;
+    const next = child.nextSibling;
+    if (next?.type.name === "as" && next.nextSibling) {
+      specifiers.push({ name: slice(child), alias: slice(next.nextSibling), node: next.nextSibling });
+      child = next.nextSibling;
+    } else {
+      specifiers.push({ name: slice(child), alias: slice(child), node: child });
+    }
+  }
+  return specifiers;
+}
+function parseModule(path, text3) {
+  const tree = parseScript(path, text3);
+  const lineStarts = createLineIndex(text3);
+  const slice = (node) => text3.slice(node.from, node.to);
+  const at2 = (node) => ({ from: node.from, ...locate(lineStarts, node.from) });
+  const declarations = [];
+  const exports = [];
+  const imports = [];
+  const starExports = [];
+  const declare = (node) => {
+    const decl = DECLARATIONS[node.type.name];
+    if (decl) {
+      const nameNode = node.getChild(decl.nameNode);
+      if (!nameNode) return [];
+      const symbol = { name: slice(nameNode), kind: decl.kind, ...at2(nameNode) };
+      declarations.push(symbol);
+      const body = node.type.name === "ClassDeclaration" ? node.getChild("ClassBody") : null;
+      for (let member = body?.firstChild; member; member = member.nextSibling) {
+        const kind = MEMBER_DECLARATIONS[member.type.name];
+        const memberName = kind ? member.getChild("PropertyDefinition") : null;
+        if (memberName) {
+          declarations.push({ name: slice(memberName), kind, container: symbol.name, ...at2(memberName) });
+        }
+      }
+      return [symbol];
+    }
+    if (node.type.name === "VariableDeclaration") {
+      const symbols = [];
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.name !== "VariableDefinition") continue;
+        const value = child.nextSibling?.type.name === "Equals" ? child.nextSibling.nextSibling : null;
+        symbols.push({
+          name: slice(child),
+          kind: value && FUNCTION_VALUES2.has(value.type.name) ? "function" : "variable",
+          ...at2(child)
+        });
       }
-      async toggleFolder(folderElement, entry, currentFileHandle, onFileClick) {
-        const children = folderElement.querySelector(".tree-children");
-        if (!children) return;
-        const isExpanded = folderElement.classList.contains("expanded");
-        if (isExpanded) {
-          children.style.display = "none";
-          folderElement.classList.remove("expanded");
-          return;
-        }
-        if (!entry.childrenLoaded) {
-          children.innerHTML = "";
-          const childEntries = await fileSystem.readDirectoryLevel(entry.handle, entry.path);
-          entry.children = childEntries;
-          entry.childrenLoaded = true;
-          childEntries.forEach((child) => {
-            const childItem = this.createTreeItem(child, currentFileHandle, onFileClick);
-            children.appendChild(childItem);
+      declarations.push(...symbols);
+      return symbols;
+    }
+    return [];
+  };
+  for (let node = tree.topNode.firstChild; node; node = node.nextSibling) {
+    const { name: name2 } = node.type;
+    if (name2 === "ImportDeclaration") {
+      const source = node.getChild("String");
+      if (!source) continue;
+      const from = unquote2(slice(source));
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.name === "VariableDefinition") {
+          const namespace = child.prevSibling?.type.name === "as";
+          imports.push({ local: slice(child), imported: namespace ? "*" : "default", source: from, ...at2(child) });
+        } else if (child.type.name === "ImportGroup") {
+          readSpecifiers(child, slice).forEach((spec) => {
+            imports.push({ local: spec.alias, imported: spec.name, source: from, ...at2(spec.node) });
           });
         }
-        children.style.display = "block";
-        folderElement.classList.add("expanded");
       }
-      selectItem(itemElement) {
-        document.querySelectorAll(".tree-item.selected").forEach((el) => {
-          el.classList.remove("selected");
-        });
-        itemElement.classList.add("selected");
+      continue;
+    }
+    if (name2 === "ExportDeclaration") {
+      const source = node.getChild("String");
+      const from = source ? unquote2(slice(source)) : null;
+      const isDefault = hasKeyword(node, "default");
+      if (node.getChild("Star") && from) {
+        starExports.push(from);
+        continue;
       }
-      initContextMenu() {
-        const contextMenu = document.getElementById("contextMenu");
-        document.addEventListener("click", () => {
-          contextMenu.classList.add("hidden");
-        });
-        contextMenu.querySelectorAll("li").forEach((item) => {
-          item.addEventListener("click", async () => {
-            const action = item.dataset.action;
-            await this.handleContextMenuAction(action);
-            contextMenu.classList.add("hidden");
-          });
+      const group = node.getChild("ExportGroup");
+      if (group) {
+        readSpecifiers(group, slice).forEach((spec) => {
+          exports.push({ exported: spec.alias, local: spec.name, source: from, ...at2(spec.node) });
         });
+        continue;
       }
-      showContextMenu(event, entry) {
-        const contextMenu = document.getElementById("contextMenu");
-        this.contextMenuTarget = entry;
-        contextMenu.style.left = `${event.pageX}px`;
-        contextMenu.style.top = `${event.pageY}px`;
-        contextMenu.classList.remove("hidden");
+      const declaration = node.firstChild?.nextSibling?.type.name === "default" ? node.firstChild.nextSibling.nextSibling : node.firstChild?.nextSibling;
+      if (!declaration) continue;
+      const symbols = declare(declaration);
+      symbols.forEach((symbol) => {
+        exports.push({ exported: isDefault ? "default" : symbol.name, local: symbol.name, source: null, from: symbol.from, line: symbol.line, column: symbol.column });
+      });
+      if (isDefault && !symbols.length) {
+        const local = declaration.type.name === "VariableName" ? slice(declaration) : null;
+        exports.push({ exported: "default", local, source: null, ...at2(declaration) });
       }
-      async handleContextMenuAction(action) {
-        if (!this.contextMenuTarget) return;
-        switch (action) {
-          case "rename":
-            await this.renameEntry(this.contextMenuTarget);
-            break;
-          case "delete":
-            await this.deleteEntry(this.contextMenuTarget);
-            break;
-        }
+      continue;
+    }
+    declare(node);
+  }
+  return { path, declarations, exports, imports, starExports };
+}
+function getScopeNode(definition) {
+  let node = definition.parent;
+  if (node && DECLARATIONS[node.type.name]) {
+    node = node.parent;
+  }
+  while (node && !SCOPES.has(node.type.name)) {
+    node = node.parent;
+  }
+  return node;
+}
+function isInside(node, type) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type.name === type) return true;
+  }
+  return false;
+}
+function identifierAt(tree, pos) {
+  for (const side of [-1, 1]) {
+    const node = tree.resolveInner(pos, side);
+    if (IDENTIFIERS.has(node.type.name) || MEMBER_IDENTIFIERS.has(node.type.name)) return node;
+  }
+  return null;
+}
+function findLocalDefinition(tree, text3, name2, pos) {
+  let best = null;
+  tree.iterate({
+    enter: (node) => {
+      if (node.type.name !== "VariableDefinition" && node.type.name !== "TypeDefinition") return;
+      if (text3.slice(node.from, node.to) !== name2) return;
+      const scope = getScopeNode(node.node);
+      if (!scope || pos < scope.from || pos > scope.to) return;
+      if (!best || scope.to - scope.from < best.scope.to - best.scope.from) {
+        best = { node: node.node, scope };
       }
-      async renameEntry(entry) {
-        const newName = prompt("Enter new name:", entry.name);
-        if (newName && newName !== entry.name) {
-          await fileSystem.renameEntry(entry.handle, newName, entry.parentHandle);
-          await this.refresh();
+    }
+  });
+  if (!best) return null;
+  return { ...best, imported: isInside(best.node, "ImportDeclaration") };
+}
+function collectIdentifiers(tree, text3, name2, { scope = null, member = false } = {}) {
+  const found = [];
+  const shadows = [];
+  const types2 = member ? MEMBER_IDENTIFIERS : IDENTIFIERS;
+  tree.iterate({
+    from: scope ? scope.from : 0,
+    to: scope ? scope.to : text3.length,
+    enter: (node) => {
+      if (!types2.has(node.type.name) || text3.slice(node.from, node.to) !== name2) return;
+      found.push({ from: node.from, to: node.to });
+      if (!member && (node.type.name === "VariableDefinition" || node.type.name === "TypeDefinition")) {
+        const shadow = getScopeNode(node.node);
+        if (shadow && shadow.type.name !== "Script" && (!scope || shadow.from > scope.from || shadow.to < scope.to)) {
+          shadows.push(shadow);
         }
       }
-      async deleteEntry(entry) {
-        const confirmed = confirm(`Are you sure you want to delete "${entry.name}"?`);
-        if (confirmed) {
-          await fileSystem.deleteEntry(entry.handle, entry.parentHandle);
-          await this.refresh();
-        }
+    }
+  });
+  return found.filter((range) => !shadows.some((shadow) => range.from >= shadow.from && range.to <= shadow.to));
+}
+function collectNamespaceMembers(tree, text3, namespace, name2) {
+  const found = [];
+  tree.iterate({
+    enter: (node) => {
+      if (node.type.name !== "MemberExpression") return;
+      const object2 = node.node.firstChild;
+      const property = node.node.getChild("PropertyName");
+      if (object2?.type.name === "VariableName" && property && text3.slice(object2.from, object2.to) === namespace && text3.slice(property.from, property.to) === name2) {
+        found.push({ from: property.from, to: property.to });
       }
-      async createNewFile() {
-        const rootHandle = fileSystem.getRootHandle();
-        if (!rootHandle) {
-          await this.openFolder();
-          return;
-        }
-        const fileName = prompt("Enter file name:");
-        if (fileName) {
-          await fileSystem.createFile(rootHandle, fileName);
-          await this.refresh();
+    }
+  });
+  return found;
+}
+var MAX_FILE_SIZE2, RECHECK_INTERVAL, YIELD_EVERY2, MAX_RESULTS, MAX_REEXPORT_DEPTH, PARSERS2, RESOLVE_EXTENSIONS, DECLARATIONS, MEMBER_DECLARATIONS, IDENTIFIERS, MEMBER_IDENTIFIERS, SCOPES, FUNCTION_VALUES2, WorkspaceSymbols, workspaceSymbols;
+var init_workspaceSymbols = __esm({
+  "editor/workspaceSymbols.js"() {
+    init_dist10();
+    init_fileTree();
+    init_fileIndex();
+    init_fileSystem();
+    init_encoding();
+    init_fuzzy();
+    MAX_FILE_SIZE2 = 1024 * 1024;
+    RECHECK_INTERVAL = 5e3;
+    YIELD_EVERY2 = 25;
+    MAX_RESULTS = 200;
+    MAX_REEXPORT_DEPTH = 8;
+    PARSERS2 = {
+      js: jsxLanguage.parser,
+      jsx: jsxLanguage.parser,
+      mjs: jsxLanguage.parser,
+      cjs: jsxLanguage.parser,
+      ts: typescriptLanguage.parser,
+      mts: typescriptLanguage.parser,
+      cts: typescriptLanguage.parser,
+      tsx: tsxLanguage.parser
+    };
+    RESOLVE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs", ".mts", ".cts"];
+    DECLARATIONS = {
+      FunctionDeclaration: { nameNode: "VariableDefinition", kind: "function" },
+      ClassDeclaration: { nameNode: "VariableDefinition", kind: "class" },
+      InterfaceDeclaration: { nameNode: "TypeDefinition", kind: "interface" },
+      TypeAliasDeclaration: { nameNode: "TypeDefinition", kind: "type" },
+      EnumDeclaration: { nameNode: "TypeDefinition", kind: "enum" }
+    };
+    MEMBER_DECLARATIONS = {
+      MethodDeclaration: "method",
+      PropertyDeclaration: "property"
+    };
+    IDENTIFIERS = /* @__PURE__ */ new Set(["VariableName", "VariableDefinition", "TypeName", "TypeDefinition"]);
+    MEMBER_IDENTIFIERS = /* @__PURE__ */ new Set(["PropertyName", "PropertyDefinition"]);
+    SCOPES = /* @__PURE__ */ new Set([
+      "Script",
+      "Block",
+      "ArrowFunction",
+      "FunctionDeclaration",
+      "FunctionExpression",
+      "MethodDeclaration",
+      "ClassBody",
+      "ForStatement",
+      "CatchClause"
+    ]);
+    FUNCTION_VALUES2 = /* @__PURE__ */ new Set(["ArrowFunction", "FunctionExpression"]);
+    WorkspaceSymbols = class {
+      constructor() {
+        this.editor = null;
+        this.rootHandle = null;
+        this.modules = /* @__PURE__ */ new Map();
+        this.files = /* @__PURE__ */ new Map();
+        this.checkedAt = 0;
+        this.building = null;
+      }
+      init(editorInstance) {
+        this.editor = editorInstance;
+      }
+      ensure({ force = false } = {}) {
+        if (this.building) return this.building;
+        if (this.rootHandle !== fileSystem.getRootHandle()) {
+          this.rootHandle = fileSystem.getRootHandle();
+          this.modules.clear();
+          this.files.clear();
+          this.checkedAt = 0;
+        }
+        if (!force && Date.now() - this.checkedAt < RECHECK_INTERVAL) return Promise.resolve();
+        this.building = this.sync().finally(() => {
+          this.building = null;
+        });
+        return this.building;
+      }
+      async sync() {
+        const files = (await fileTree.getAllFiles()).filter((file) => isScriptFile(file.path));
+        const seen = /* @__PURE__ */ new Set();
+        for (let i = 0; i < files.length; i++) {
+          const file = files[i];
+          seen.add(file.path);
+          this.files.set(file.path, file);
+          if (i % YIELD_EVERY2 === YIELD_EVERY2 - 1) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+          }
+          try {
+            await this.syncFile(file);
+          } catch (err) {
+            console.warn(`Cannot index symbols in ${file.path}:`, err);
+            this.modules.delete(file.path);
+          }
         }
+        [...this.modules.keys()].forEach((path) => {
+          if (!seen.has(path)) {
+            this.modules.delete(path);
+            this.files.delete(path);
+          }
+        });
+        this.checkedAt = Date.now();
       }
-      async createNewFolder() {
-        const rootHandle = fileSystem.getRootHandle();
-        if (!rootHandle) {
-          await this.openFolder();
+      async syncFile(file) {
+        const current = this.modules.get(file.path);
+        const tab2 = this.editor?.getTabByPath(file.path);
+        if (tab2 && !tab2.viewer) {
+          const { doc: doc2 } = tab2.state;
+          if (current?.doc !== doc2) {
+            this.modules.set(file.path, { ...parseModule(file.path, doc2.toString()), doc: doc2 });
+          }
           return;
         }
-        const dirName = prompt("Enter folder name:");
-        if (dirName) {
-          await fileSystem.createDirectory(rootHandle, dirName);
-          await this.refresh();
+        const handle = await fileIndex.resolveHandle(file);
+        if (!handle) return;
+        const diskFile = await handle.getFile();
+        if (current && !current.doc && current.lastModified === diskFile.lastModified && current.size === diskFile.size) return;
+        if (diskFile.size > MAX_FILE_SIZE2) {
+          this.modules.delete(file.path);
+          return;
         }
+        const { text: text3 } = decodeBytes(await diskFile.arrayBuffer());
+        this.modules.set(file.path, {
+          ...parseModule(file.path, text3),
+          lastModified: diskFile.lastModified,
+          size: diskFile.size
+        });
       }
-      async getAllFiles() {
-        const rootHandle = fileSystem.getRootHandle();
-        if (!rootHandle) return [];
-        if (this.gitignorePatterns.length === 0) {
-          await this.loadGitignore(rootHandle);
+      // atualiza o módulo a partir do texto do editor, sem esperar a próxima varredura
+      updateFromState(path, state) {
+        if (!isScriptFile(path)) return;
+        const current = this.modules.get(path);
+        if (current?.doc === state.doc) return;
+        this.modules.set(path, { ...parseModule(path, state.doc.toString()), doc: state.doc });
+      }
+      async readText(path) {
+        const tab2 = this.editor?.getTabByPath(path);
+        if (tab2 && !tab2.viewer) return tab2.state.doc.toString();
+        const file = this.files.get(path);
+        const handle = file ? await fileIndex.resolveHandle(file) : null;
+        if (!handle) return null;
+        const diskFile = await handle.getFile();
+        if (diskFile.size > MAX_FILE_SIZE2) return null;
+        return decodeBytes(await diskFile.arrayBuffer()).text;
+      }
+      resolveImport(fromPath, source) {
+        if (!source.startsWith(".")) return null;
+        const dir = fromPath.includes("/") ? fromPath.slice(0, fromPath.lastIndexOf("/")) : "";
+        const base2 = normalizePath3(`${dir}/${source}`);
+        const candidates = [base2];
+        const withoutJs = base2.replace(/\.(m|c)?jsx?$/, "");
+        RESOLVE_EXTENSIONS.forEach((ext) => candidates.push(`${withoutJs}${ext}`));
+        RESOLVE_EXTENSIONS.forEach((ext) => candidates.push(`${base2}/index${ext}`));
+        return candidates.find((candidate) => this.modules.has(candidate)) || null;
+      }
+      resolveExport(path, exportedName, depth = 0) {
+        const module = this.modules.get(path);
+        if (!module || depth > MAX_REEXPORT_DEPTH) return null;
+        const entry = module.exports.find((item) => item.exported === exportedName);
+        if (entry) {
+          if (entry.source) {
+            const target = this.resolveImport(path, entry.source);
+            return target ? this.resolveExport(target, entry.local, depth + 1) : null;
+          }
+          if (entry.local) {
+            return this.resolveLocal(path, entry.local, depth) || { path, ...entry, name: entry.local };
+          }
+          return { path, ...entry, name: exportedName };
+        }
+        for (const source of module.starExports) {
+          const target = this.resolveImport(path, source);
+          const found = target ? this.resolveExport(target, exportedName, depth + 1) : null;
+          if (found) return found;
         }
-        return this.collectAllFiles(rootHandle, "");
+        return null;
       }
-      async collectAllFiles(directoryHandle, parentPath) {
-        const files = [];
-        const entries = await fileSystem.readDirectoryLevel(directoryHandle, parentPath);
-        for (const entry of entries) {
-          if (entry.kind === "file") {
-            if (!this.matchesGitignore(entry.path, false)) {
-              files.push({ name: entry.name, path: entry.path, handle: entry.handle });
+      resolveLocal(path, name2, depth = 0) {
+        const module = this.modules.get(path);
+        if (!module) return null;
+        const declaration = module.declarations.find((item) => item.name === name2 && !item.container);
+        if (declaration) return { path, ...declaration };
+        const imported = module.imports.find((item) => item.local === name2);
+        if (!imported) return null;
+        const target = this.resolveImport(path, imported.source);
+        if (!target) return null;
+        if (imported.imported === "*") return { path: target, name: name2, from: 0, line: 1, column: 1 };
+        return this.resolveExport(target, imported.imported, depth + 1);
+      }
+      findDeclarations(name2, { members = false } = {}) {
+        const results = [];
+        this.modules.forEach((module, path) => {
+          module.declarations.forEach((declaration) => {
+            if (declaration.name === name2 && Boolean(declaration.container) === members) {
+              results.push({ path, ...declaration });
             }
-          } else if (entry.kind === "directory") {
-            if (!this.matchesGitignore(entry.path, true)) {
-              const nestedFiles = await this.collectAllFiles(entry.handle, entry.path);
-              files.push(...nestedFiles);
+          });
+        });
+        return results;
+      }
+      // retorna os candidatos a definição do identificador em "pos"
+      async findDefinitions(path, state, tree, pos) {
+        await this.ensure();
+        this.updateFromState(path, state);
+        const node = identifierAt(tree, pos);
+        if (!node) return [];
+        const text3 = state.doc.toString();
+        const name2 = text3.slice(node.from, node.to);
+        if (MEMBER_IDENTIFIERS.has(node.type.name)) {
+          const object2 = node.parent?.type.name === "MemberExpression" ? node.parent.firstChild : null;
+          if (object2?.type.name === "VariableName") {
+            const objectName = text3.slice(object2.from, object2.to);
+            const local2 = findLocalDefinition(tree, text3, objectName, pos);
+            const imported = local2?.imported ? this.modules.get(path)?.imports.find((item) => item.local === objectName) : null;
+            if (imported?.imported === "*") {
+              const target = this.resolveImport(path, imported.source);
+              const found = target ? this.resolveExport(target, name2) : null;
+              if (found) return [found];
             }
           }
+          return this.findDeclarations(name2, { members: true });
+        }
+        const local = findLocalDefinition(tree, text3, name2, pos);
+        if (local && !local.imported) {
+          const { line, column } = locate(createLineIndex(text3), local.node.from);
+          const topLevel = local.scope.type.name === "Script";
+          return [{ path, name: name2, from: local.node.from, line, column, local: topLevel ? null : local }];
+        }
+        if (local?.imported) {
+          const found = this.resolveLocal(path, name2);
+          return found ? [found] : [];
+        }
+        return this.findDeclarations(name2);
+      }
+      // pares (módulo, nome exportado) que apontam para a definição, seguindo reexportações
+      collectExportAliases(definition) {
+        const module = this.modules.get(definition.path);
+        const aliases = [];
+        const queue = (module?.exports || []).filter((item) => !item.source && item.local === definition.name).map((item) => ({ path: definition.path, exported: item.exported }));
+        const seen = /* @__PURE__ */ new Set();
+        while (queue.length) {
+          const alias = queue.shift();
+          const key = `${alias.path}\0${alias.exported}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          aliases.push(alias);
+          this.modules.forEach((other, otherPath) => {
+            other.exports.forEach((item) => {
+              if (item.source && item.local === alias.exported && this.resolveImport(otherPath, item.source) === alias.path) {
+                queue.push({ path: otherPath, exported: item.exported });
+              }
+            });
+            other.starExports.forEach((source) => {
+              if (this.resolveImport(otherPath, source) === alias.path) {
+                queue.push({ path: otherPath, exported: alias.exported });
+              }
+            });
+          });
         }
-        return files;
+        return aliases;
+      }
+      async findReferences(definition) {
+        await this.ensure();
+        const targets = /* @__PURE__ */ new Map();
+        const addTarget = (path, entry) => {
+          if (!targets.has(path)) targets.set(path, []);
+          targets.get(path).push(entry);
+        };
+        if (definition.local) {
+          addTarget(definition.path, { name: definition.name, scope: definition.local.scope });
+        } else if (definition.container) {
+          this.modules.forEach((module, path) => addTarget(path, { name: definition.name, member: true }));
+        } else {
+          addTarget(definition.path, { name: definition.name });
+          const aliases = this.collectExportAliases(definition);
+          this.modules.forEach((module, path) => {
+            module.imports.forEach((item) => {
+              const resolved = this.resolveImport(path, item.source);
+              if (!resolved) return;
+              aliases.forEach((alias) => {
+                if (resolved !== alias.path) return;
+                if (item.imported === alias.exported) {
+                  addTarget(path, { name: item.local });
+                } else if (item.imported === "*") {
+                  addTarget(path, { name: alias.exported, namespace: item.local });
+                }
+              });
+            });
+            module.exports.forEach((item) => {
+              if (item.source && aliases.some((alias) => alias.exported === item.local && this.resolveImport(path, item.source) === alias.path)) {
+                addTarget(path, { name: item.local, reexport: item });
+              }
+            });
+          });
+        }
+        const results = [];
+        for (const [path, entries2] of targets) {
+          const text3 = await this.readText(path);
+          if (text3 === null) continue;
+          const tree = parseScript(path, text3);
+          const lineStarts = createLineIndex(text3);
+          const ranges = /* @__PURE__ */ new Map();
+          entries2.forEach((entry) => {
+            let found;
+            if (entry.namespace) {
+              found = collectNamespaceMembers(tree, text3, entry.namespace, entry.name);
+            } else if (entry.reexport) {
+              found = [{ from: entry.reexport.from, to: entry.reexport.from + entry.reexport.exported.length }];
+            } else {
+              found = collectIdentifiers(tree, text3, entry.name, { scope: entry.scope, member: entry.member });
+            }
+            found.forEach((range) => ranges.set(range.from, range));
+          });
+          if (!ranges.size) continue;
+          const matches = [...ranges.values()].sort((a, b) => a.from - b.from).map((range) => {
+            const { line, column } = locate(lineStarts, range.from);
+            const lineEnd2 = line < lineStarts.length ? lineStarts[line] - 1 : text3.length;
+            return {
+              line,
+              column,
+              length: range.to - range.from,
+              preview: text3.slice(lineStarts[line - 1], lineEnd2).replace(/\r$/, "")
+            };
+          });
+          const file = this.files.get(path);
+          results.push({
+            path,
+            name: path.split("/").pop(),
+            handle: file ? await fileIndex.resolveHandle(file) : null,
+            matches
+          });
+        }
+        return results.filter((result) => result.handle);
+      }
+      search(query) {
+        const results = [];
+        this.modules.forEach((module, path) => {
+          module.declarations.forEach((declaration) => {
+            const match = fuzzyMatch(query, declaration.name);
+            if (match) {
+              results.push({ path, symbol: declaration, positions: match.positions, score: match.score });
+            }
+          });
+        });
+        return results.sort((a, b) => b.score - a.score || a.symbol.name.localeCompare(b.symbol.name)).slice(0, MAX_RESULTS);
+      }
+      getFile(path) {
+        return this.files.get(path) || null;
       }
     };
-    fileTree = new FileTree();
+    workspaceSymbols = new WorkspaceSymbols();
   }
 });
 
-// editor/shortcuts.js
-var Shortcuts, shortcuts;
-var init_shortcuts = __esm({
-  "editor/shortcuts.js"() {
+// editor/fileWatcher.js
+var POLL_INTERVAL, FileWatcher, fileWatcher;
+var init_fileWatcher = __esm({
+  "editor/fileWatcher.js"() {
     init_fileTree();
-    Shortcuts = class {
+    init_fileIndex();
+    init_git();
+    init_dialog();
+    init_diff();
+    init_encoding();
+    POLL_INTERVAL = 2e3;
+    FileWatcher = class {
       constructor() {
         this.editor = null;
+        this.pollTimer = null;
+        this.polling = false;
+        this.observer = null;
+        this.treeRefreshTimer = null;
       }
       init(editorInstance) {
         this.editor = editorInstance;
-        this.registerShortcuts();
-      }
-      registerShortcuts() {
-        document.addEventListener("keydown", (e) => {
-          const isCtrl = e.ctrlKey || e.metaKey;
-          const isShift = e.shiftKey;
-          const isAlt = e.altKey;
-          if (isCtrl && !isShift && !isAlt) {
-            switch (e.key.toLowerCase()) {
-              case "s":
-                e.preventDefault();
-                this.save();
-                break;
-              case "o":
-                e.preventDefault();
-                this.openFolder();
-                break;
-              case "n":
-                e.preventDefault();
-                this.newFile();
-                break;
-              case "p":
-                e.preventDefault();
-                this.quickOpen();
-                break;
-              case "b":
-                e.preventDefault();
-                this.toggleSidebar();
-                break;
-              case "/":
-                e.preventDefault();
-                this.toggleComment();
-                break;
-              case "d":
-                e.preventDefault();
-                this.duplicateLine();
-                break;
-            }
+        this.pollTimer = setInterval(() => {
+          if (document.visibilityState === "visible") {
+            this.checkOpenTabs();
           }
-          if (!isCtrl && !isShift && isAlt) {
-            if (e.key === "ArrowUp") {
-              e.preventDefault();
-              this.moveLine(-1);
-            }
-            if (e.key === "ArrowDown") {
-              e.preventDefault();
-              this.moveLine(1);
-            }
-          }
-          if (isCtrl && isShift && !isAlt) {
-            switch (e.key.toLowerCase()) {
-              case "p":
-                e.preventDefault();
-                this.commandPalette();
-                break;
-              case "k":
-                e.preventDefault();
-                this.deleteLine();
-                break;
-            }
+        }, POLL_INTERVAL);
+        window.addEventListener("focus", () => {
+          this.checkOpenTabs();
+          if (!this.observer) {
+            this.scheduleTreeRefresh();
+            git.scheduleRefresh();
           }
         });
       }
-      save() {
-        if (this.editor && this.editor.saveCurrentFile) {
-          this.editor.saveCurrentFile();
+      async watchRoot(rootHandle) {
+        if (this.observer) {
+          this.observer.disconnect();
+          this.observer = null;
+        }
+        if (!rootHandle || typeof globalThis.FileSystemObserver !== "function") return;
+        try {
+          const observer = new globalThis.FileSystemObserver((records) => {
+            this.handleObserverRecords(records);
+          });
+          await observer.observe(rootHandle, { recursive: true });
+          this.observer = observer;
+        } catch (err) {
+          console.warn("FileSystemObserver unavailable, falling back to polling:", err);
         }
       }
-      async openFolder() {
-        await fileTree.openFolder();
-      }
-      newFile() {
-        if (fileTree && fileTree.createNewFile) {
-          fileTree.createNewFile();
+      handleObserverRecords(records) {
+        const structural = records.some((record) => record.type !== "modified");
+        if (structural) {
+          this.scheduleTreeRefresh();
+          fileIndex.scheduleRebuild();
         }
+        const paths = records.flatMap((record) => [record.relativePathComponents, record.relativePathMovedFrom]).filter(Boolean).map((parts) => parts.join("/"));
+        if (paths.some((path) => git.affectsStatus(path))) {
+          git.scheduleRefresh();
+        }
+        this.checkOpenTabs();
+      }
+      scheduleTreeRefresh() {
+        clearTimeout(this.treeRefreshTimer);
+        this.treeRefreshTimer = setTimeout(() => {
+          fileTree.refresh({ preserveExpanded: true });
+        }, 300);
       }
-      quickOpen() {
-        if (this.editor && this.editor.quickOpenFile) {
-          this.editor.quickOpenFile();
+      recordDiskState(tab2, file) {
+        tab2.diskLastModified = file.lastModified;
+        tab2.diskSize = file.size;
+        tab2.externallyModified = false;
+        tab2.deletedOnDisk = false;
+      }
+      hasChanged(tab2, file) {
+        return file.lastModified !== tab2.diskLastModified || file.size !== tab2.diskSize;
+      }
+      async readDiskFile(tab2) {
+        try {
+          return await tab2.handle.getFile();
+        } catch (err) {
+          if (err.name === "NotFoundError") return null;
+          throw err;
         }
       }
-      toggleSidebar() {
-        const sidebar = document.getElementById("sidebar");
-        if (sidebar) {
-          sidebar.classList.toggle("collapsed");
+      async checkOpenTabs() {
+        if (this.polling || !this.editor) return;
+        this.polling = true;
+        try {
+          for (const tab2 of [...this.editor.openTabs]) {
+            if (tab2.saving) continue;
+            await this.checkTab(tab2);
+          }
+        } finally {
+          this.polling = false;
         }
       }
-      commandPalette() {
-        const command3 = prompt("Command (save, openFolder, newFile, toggleSidebar, toggleTheme):");
-        if (command3) {
-          switch (command3.toLowerCase()) {
-            case "save":
-              this.save();
-              break;
-            case "openfolder":
-              this.openFolder();
-              break;
-            case "newfile":
-              this.newFile();
-              break;
-            case "togglesidebar":
-              this.toggleSidebar();
-              break;
-            case "toggletheme":
-              if (this.editor && this.editor.toggleTheme) {
-                this.editor.toggleTheme();
-              }
-              break;
+      async checkTab(tab2) {
+        let file;
+        try {
+          file = await this.readDiskFile(tab2);
+        } catch (err) {
+          console.warn(`Cannot check ${tab2.path} for changes:`, err);
+          return;
+        }
+        if (!file) {
+          if (!tab2.deletedOnDisk) {
+            tab2.deletedOnDisk = true;
+            this.editor.renderTabs();
+          }
+          return;
+        }
+        if (!this.hasChanged(tab2, file) && !tab2.deletedOnDisk) return;
+        if (tab2.dirty) {
+          if (!tab2.externallyModified || tab2.deletedOnDisk) {
+            tab2.externallyModified = true;
+            tab2.deletedOnDisk = false;
+            this.editor.renderTabs();
           }
+          return;
+        }
+        await this.editor.reloadTab(tab2, file);
+      }
+      async resolveSaveConflict(tab2) {
+        let file;
+        try {
+          file = await this.readDiskFile(tab2);
+        } catch (err) {
+          return "overwrite";
+        }
+        if (!file || !this.hasChanged(tab2, file)) return "overwrite";
+        const choice = await dialog.show({
+          title: `${tab2.name} has been changed on disk.`,
+          message: "Saving will overwrite the version on disk with your changes.",
+          buttons: [
+            { label: "Compare", value: "compare" },
+            { label: "Reload", value: "reload" },
+            { label: "Cancel", value: "cancel" },
+            { label: "Overwrite", value: "overwrite", primary: true }
+          ]
+        });
+        if (choice !== "compare") return choice;
+        return this.showConflictDiff(tab2, file);
+      }
+      async showConflictDiff(tab2, file) {
+        const { text: diskContent } = await readTextFile(file);
+        const bufferContent = this.editor.getTabState(tab2).doc.toString();
+        return dialog.show({
+          title: `${tab2.name}: disk \u2194 editor`,
+          message: "Lines marked \u2212 are on disk, lines marked + are in the editor.",
+          body: createDiffView(diffLines(diskContent, bufferContent)),
+          buttons: [
+            { label: "Reload from Disk", value: "reload" },
+            { label: "Cancel", value: "cancel" },
+            { label: "Overwrite", value: "overwrite", primary: true }
+          ]
+        });
+      }
+    };
+    fileWatcher = new FileWatcher();
+  }
+});
+
+// editor/fileViewer.js
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+function hexRow(bytes, offset) {
+  const hex = [];
+  let ascii = "";
+  for (let i = 0; i < BYTES_PER_ROW; i++) {
+    if (i < bytes.length) {
+      hex.push(bytes[i].toString(16).padStart(2, "0"));
+      ascii += bytes[i] >= 32 && bytes[i] < 127 ? String.fromCharCode(bytes[i]) : ".";
+    } else {
+      hex.push("  ");
+    }
+  }
+  const columns = `${hex.slice(0, 8).join(" ")}  ${hex.slice(8).join(" ")}`;
+  return `${offset.toString(16).padStart(8, "0")}  ${columns}  |${ascii}|`;
+}
+function textChunkLength(bytes, encoding) {
+  if (encoding === "utf-16le" || encoding === "utf-16be") {
+    const unit = (i) => encoding === "utf-16le" ? bytes[i] | bytes[i + 1] << 8 : bytes[i] << 8 | bytes[i + 1];
+    const length = bytes.length - bytes.length % 2;
+    for (let i = length - 2; i >= 0; i -= 2) {
+      if (unit(i) === NEWLINE) return i + 2;
+    }
+    const highSurrogate = length >= 2 && unit(length - 2) >= 55296 && unit(length - 2) <= 56319;
+    return highSurrogate && length > 2 ? length - 2 : length;
+  }
+  const newline4 = bytes.lastIndexOf(NEWLINE);
+  if (newline4 !== -1) return newline4 + 1;
+  if (encoding !== "utf-8" && encoding !== "utf-8-bom") return bytes.length;
+  let lead = bytes.length - 1;
+  while (lead > 0 && bytes.length - lead < 4 && (bytes[lead] & 192) === 128) {
+    lead -= 1;
+  }
+  const byte = bytes[lead];
+  const needed = byte >= 240 ? 4 : byte >= 224 ? 3 : byte >= 192 ? 2 : 1;
+  return bytes.length - lead < needed && lead > 0 ? lead : bytes.length;
+}
+var IMAGE_EXTENSIONS, SNIFF_BYTES, LARGE_FILE_SIZE, TEXT_CHUNK_SIZE, HEX_CHUNK_SIZE, BYTES_PER_ROW, LOAD_MORE_THRESHOLD, MAX_RENDERED_CHUNKS, NEWLINE, FileViewer, fileViewer;
+var init_fileViewer = __esm({
+  "editor/fileViewer.js"() {
+    init_encoding();
+    IMAGE_EXTENSIONS = /* @__PURE__ */ new Set(["png", "jpg", "jpeg", "gif", "webp", "bmp", "ico", "avif"]);
+    SNIFF_BYTES = 8192;
+    LARGE_FILE_SIZE = 5 * 1024 * 1024;
+    TEXT_CHUNK_SIZE = 256 * 1024;
+    HEX_CHUNK_SIZE = 16 * 1024;
+    BYTES_PER_ROW = 16;
+    LOAD_MORE_THRESHOLD = 400;
+    MAX_RENDERED_CHUNKS = 4;
+    NEWLINE = 10;
+    FileViewer = class {
+      constructor() {
+        this.viewers = /* @__PURE__ */ new WeakMap();
+      }
+      async sniff(file) {
+        const ext = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : "";
+        if (IMAGE_EXTENSIONS.has(ext)) {
+          return { kind: "image", label: "Image" };
+        }
+        const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+        if (this.looksBinary(bytes)) {
+          return { kind: "binary", label: "Binary" };
+        }
+        if (file.size > LARGE_FILE_SIZE) {
+          return { kind: "large", label: "Large File" };
         }
+        return null;
       }
-      deleteLine() {
-        if (this.editor && this.editor.deleteLine) {
-          this.editor.deleteLine();
+      looksBinary(bytes) {
+        if (!bytes.length) return false;
+        const utf16 = bytes[0] === 255 && bytes[1] === 254 || bytes[0] === 254 && bytes[1] === 255;
+        if (utf16) return false;
+        let control = 0;
+        for (const byte of bytes) {
+          if (byte === 0) return true;
+          if (byte < 7 || byte > 13 && byte < 32 && byte !== 27) {
+            control += 1;
+          }
         }
+        return control / bytes.length > 0.1;
       }
-      duplicateLine() {
-        if (this.editor && this.editor.duplicateLine) {
-          this.editor.duplicateLine();
+      clear(container) {
+        const current = this.viewers.get(container);
+        if (current?.objectUrl) {
+          URL.revokeObjectURL(current.objectUrl);
+        }
+        this.viewers.delete(container);
+        container.innerHTML = "";
+        container.onscroll = null;
+      }
+      async render(container, tab2, { onOpenAnyway = null } = {}) {
+        this.clear(container);
+        const current = {
+          container,
+          tab: tab2,
+          file: null,
+          starts: [0],
+          chunks: [],
+          loading: false,
+          body: null,
+          encoding: null,
+          decoder: null,
+          objectUrl: null
+        };
+        this.viewers.set(container, current);
+        const file = await tab2.handle.getFile();
+        if (!this.isCurrent(current)) return;
+        current.file = file;
+        const header = document.createElement("div");
+        header.className = "file-viewer-header";
+        const info = document.createElement("span");
+        info.className = "file-viewer-info";
+        info.textContent = this.describe(tab2.viewer.kind, file);
+        header.appendChild(info);
+        if (tab2.viewer.kind !== "image" && onOpenAnyway) {
+          const openBtn = document.createElement("button");
+          openBtn.type = "button";
+          openBtn.className = "file-viewer-open";
+          openBtn.textContent = "Open Anyway";
+          openBtn.title = "Open in the text editor (may be slow or show garbled text)";
+          openBtn.addEventListener("click", () => onOpenAnyway());
+          header.appendChild(openBtn);
+        }
+        container.appendChild(header);
+        if (tab2.viewer.kind === "image") {
+          this.renderImage(container, current, info);
+          return;
         }
+        const body = document.createElement("pre");
+        body.className = tab2.viewer.kind === "binary" ? "file-viewer-hex" : "file-viewer-text";
+        container.appendChild(body);
+        current.body = body;
+        if (tab2.viewer.kind !== "binary") {
+          const sample = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+          if (!this.isCurrent(current)) return;
+          current.encoding = detectEncoding(sample, { partial: sample.length < file.size });
+          current.decoder = createDecoder(current.encoding);
+          current.starts = [getBomLength(current.encoding)];
+        }
+        container.onscroll = () => {
+          let pending = null;
+          if (container.scrollTop + container.clientHeight >= container.scrollHeight - LOAD_MORE_THRESHOLD) {
+            pending = this.loadNextChunk(current);
+          } else if (container.scrollTop <= header.offsetHeight + LOAD_MORE_THRESHOLD) {
+            pending = this.loadPreviousChunk(current);
+          }
+          pending?.catch((err) => this.showError(container, err));
+        };
+        await this.loadNextChunk(current);
+      }
+      showError(container, err) {
+        console.error("Cannot display file:", err);
+        const message = document.createElement("div");
+        message.className = "file-viewer-error";
+        message.textContent = `Cannot read file: ${err.message}`;
+        container.onscroll = null;
+        container.appendChild(message);
+      }
+      isCurrent(current) {
+        return this.viewers.get(current.container) === current;
+      }
+      describe(kind, file) {
+        const size = formatSize(file.size);
+        if (kind === "image") return `${file.name} \xB7 ${size}`;
+        if (kind === "binary") return `${file.name} \xB7 ${size} \xB7 binary file shown as hex (read-only)`;
+        return `${file.name} \xB7 ${size} \xB7 large file shown read-only`;
+      }
+      renderImage(container, current, info) {
+        const wrapper = document.createElement("div");
+        wrapper.className = "file-viewer-image";
+        const img = document.createElement("img");
+        current.objectUrl = URL.createObjectURL(current.file);
+        img.src = current.objectUrl;
+        img.alt = current.file.name;
+        img.addEventListener("load", () => {
+          info.textContent = `${current.file.name} \xB7 ${img.naturalWidth}\xD7${img.naturalHeight} \xB7 ${formatSize(current.file.size)}`;
+        });
+        img.addEventListener("error", () => {
+          info.textContent = `${current.file.name} \xB7 cannot be displayed as an image`;
+        });
+        wrapper.appendChild(img);
+        container.appendChild(wrapper);
+      }
+      // lê o trecho `index`; os inícios dos trechos são descobertos na primeira leitura em ordem
+      async readChunk(current, index) {
+        const binary = !current.decoder;
+        const start = current.starts[index];
+        const end = Math.min(start + (binary ? HEX_CHUNK_SIZE : TEXT_CHUNK_SIZE), current.file.size);
+        let bytes = new Uint8Array(await current.file.slice(start, end).arrayBuffer());
+        if (!binary && end < current.file.size) {
+          bytes = bytes.subarray(0, textChunkLength(bytes, current.encoding));
+        }
+        current.starts[index + 1] = start + bytes.length;
+        const node = document.createElement("div");
+        if (binary) {
+          const rows = [];
+          for (let i = 0; i < bytes.length; i += BYTES_PER_ROW) {
+            rows.push(hexRow(bytes.subarray(i, i + BYTES_PER_ROW), start + i));
+          }
+          node.textContent = rows.join("\n");
+        } else {
+          node.textContent = current.decoder.decode(bytes);
+        }
+        return { index, node };
       }
-      moveLine(direction) {
-        if (this.editor && this.editor.moveLine) {
-          this.editor.moveLine(direction);
+      async loadNextChunk(current) {
+        const last2 = current.chunks[current.chunks.length - 1];
+        const index = last2 ? last2.index + 1 : 0;
+        if (current.loading || !this.isCurrent(current) || current.starts[index] >= current.file.size) return;
+        current.loading = true;
+        try {
+          const chunk = await this.readChunk(current, index);
+          if (!this.isCurrent(current)) return;
+          current.body.appendChild(chunk.node);
+          current.chunks.push(chunk);
+          if (current.chunks.length > MAX_RENDERED_CHUNKS) {
+            const { node } = current.chunks.shift();
+            const height = node.offsetHeight;
+            node.remove();
+            current.container.scrollTop -= height;
+          }
+        } finally {
+          current.loading = false;
         }
       }
-      toggleComment() {
-        if (this.editor && this.editor.toggleComment) {
-          this.editor.toggleComment();
+      async loadPreviousChunk(current) {
+        const first = current.chunks[0];
+        if (current.loading || !this.isCurrent(current) || !first || first.index === 0) return;
+        current.loading = true;
+        try {
+          const chunk = await this.readChunk(current, first.index - 1);
+          if (!this.isCurrent(current)) return;
+          current.body.insertBefore(chunk.node, first.node);
+          current.chunks.unshift(chunk);
+          current.container.scrollTop += chunk.node.offsetHeight;
+          if (current.chunks.length > MAX_RENDERED_CHUNKS) {
+            current.chunks.pop().node.remove();
+          }
+        } finally {
+          current.loading = false;
         }
       }
     };
-    shortcuts = new Shortcuts();
+    fileViewer = new FileViewer();
   }
 });
 
@@ -29522,9 +41697,31 @@ var require_editor = __commonJS({
     init_dist9();
     init_dist23();
     init_dist24();
+    init_dist25();
     init_fileTree();
     init_fileSystem();
     init_shortcuts();
+    init_search();
+    init_outline();
+    init_completion();
+    init_snippets();
+    init_formatter();
+    init_editorConfig();
+    init_eslintConfig();
+    init_diagnostics();
+    init_markdownPreview();
+    init_htmlPreview();
+    init_git();
+    init_workspaceSymbols();
+    init_dialog();
+    init_fileWatcher();
+    init_commands();
+    init_fileIndex();
+    init_fuzzy();
+    init_symbols();
+    init_gitignore();
+    init_fileViewer();
+    init_encoding();
     var LANGUAGE_EXTENSIONS = {
       js: javascript({ jsx: true, typescript: false }),
       ts: javascript({ jsx: false, typescript: true }),
@@ -29542,6 +41739,18 @@ var require_editor = __commonJS({
       mdx: markdown(),
       sql: sql()
     };
+    var MAX_GROUPS = 4;
+    var syncedChange = Annotation.define();
+    var indentationConfig = new Compartment();
+    var EDITORCONFIG_EOLS = { lf: "LF", crlf: "CRLF" };
+    var EDITORCONFIG_CHARSETS = {
+      "utf-8": "utf-8",
+      "utf-8-bom": "utf-8-bom",
+      "utf-16le": "utf-16le",
+      "utf-16be": "utf-16be",
+      latin1: "iso-8859-1"
+    };
+    var READ_ONLY = [EditorState.readOnly.of(true), EditorView.editable.of(false)];
     var LIGHT_THEME = EditorView.theme({
       "&": {
         backgroundColor: "#ffffff",
@@ -29567,7 +41776,12 @@ var require_editor = __commonJS({
     }, { dark: false });
     var CodeEditor = class {
       constructor() {
-        this.view = null;
+        this.groups = [];
+        this.activeGroup = null;
+        this.groupCounter = 0;
+        this.splitDirection = "horizontal";
+        this.draggedTab = null;
+        this.tabContextMenuTarget = null;
         this.currentFileHandle = null;
         this.currentFileName = "No file open";
         this.currentLanguage = "Plain Text";
@@ -29576,44 +41790,194 @@ var require_editor = __commonJS({
         this.settings = {
           theme: "dark",
           fontSize: 14,
-          tabSize: 2
+          tabSize: 2,
+          filesExclude: DEFAULT_FILES_EXCLUDE,
+          explorerShowIgnored: true,
+          explorerShowDotFiles: true,
+          formatOnSave: false,
+          trimTrailingWhitespace: false,
+          insertFinalNewline: false,
+          refreshPreviewOnType: true
         };
         this.openTabs = [];
-        this.activeTabId = null;
         this.activeTopMenu = null;
         this.quickOpen = {
           open: false,
           entries: [],
           selectedIndex: 0,
           files: [],
-          commands: []
+          recentFiles: [],
+          pick: null,
+          symbolsPending: null
         };
+        this.statusMessageTimer = null;
+        this.sessionSaveTimer = null;
+        this.restoringSession = false;
         this.init();
       }
+      get view() {
+        return this.activeGroup?.view || null;
+      }
+      get activeTabId() {
+        return this.activeGroup?.activeTab?.id || null;
+      }
       async init() {
         await this.loadSettings();
+        await commands.init();
+        this.registerCommands();
         this.initEditor();
         this.initEventListeners();
-        await fileTree.init(this.renderFileTree.bind(this));
+        this.watchSettings();
+        fileTree.setFilesExclude(this.settings.filesExclude);
+        fileTree.setVisibility({
+          showIgnored: this.settings.explorerShowIgnored,
+          showDotFiles: this.settings.explorerShowDotFiles
+        });
+        await fileTree.init(this.renderFileTree.bind(this), {
+          beforeFolderChange: () => this.resolveUnsavedTabs(this.openTabs),
+          onFolderChange: async (handle) => {
+            await this.closeAllTabs({ force: true });
+            await fileWatcher.watchRoot(handle);
+            git.refresh();
+          },
+          onEntryMoved: (oldPath, newPath) => this.retargetTabs(oldPath, newPath),
+          beforeEntryReplaced: (path) => this.resolveUnsavedTabs(this.getTabsUnderPath(path)),
+          onEntryReplaced: (path) => this.closeTabsUnderPath(path)
+        });
         await fileTree.restoreLastFolder();
         await this.restoreSession();
+        fileWatcher.init(this);
+        await fileWatcher.watchRoot(fileSystem.getRootHandle());
+        git.refresh();
         this.initQuickOpen();
         this.renderTabs();
         this.updateStatusBar();
       }
       async restoreSession() {
         const session = await fileSystem.loadSession();
-        if (!session || !session.currentFilePath) return;
         const rootHandle = fileSystem.getRootHandle();
-        if (!rootHandle) return;
-        try {
-          const fileHandle = await this.findFileByPath(rootHandle, session.currentFilePath);
-          if (fileHandle) {
-            await this.openFile(fileHandle, session.currentFilePath);
+        if (!session || !rootHandle) return;
+        if (session.folderName && session.folderName !== rootHandle.name) return;
+        const savedTabs = Array.isArray(session.tabs) ? session.tabs : [];
+        const buffers = await fileSystem.loadDirtyBuffers();
+        this.restoringSession = true;
+        for (const savedTab of savedTabs) {
+          try {
+            const fileHandle = await this.findFileByPath(rootHandle, savedTab.path);
+            if (!fileHandle || this.getTabByPath(savedTab.path)) continue;
+            const tab2 = await this.createTab(fileHandle, savedTab.path, buffers[savedTab.path]);
+            tab2.state = this.restoreTabViewState(tab2.state, savedTab);
+            tab2.scrollTop = savedTab.scrollTop || 0;
+            tab2.pinned = Boolean(savedTab.pinned);
+            tab2.preview = Boolean(savedTab.preview) && !tab2.pinned && !tab2.dirty;
+            if (tab2.dirty && savedTab.disk) {
+              const changed = savedTab.disk.lastModified !== tab2.diskLastModified || savedTab.disk.size !== tab2.diskSize;
+              tab2.diskLastModified = savedTab.disk.lastModified;
+              tab2.diskSize = savedTab.disk.size;
+              tab2.externallyModified = changed;
+            }
+            if (!tab2.viewer) {
+              tab2.encoding = ENCODINGS[savedTab.encoding] ? savedTab.encoding : tab2.encoding;
+              tab2.eol = EOLS[savedTab.eol] ? savedTab.eol : tab2.eol;
+            }
+            this.openTabs.push(tab2);
+          } catch (err) {
+            console.warn(`Cannot restore tab ${savedTab.path}:`, err);
+          }
+        }
+        this.restoringSession = false;
+        if (!this.openTabs.length) return;
+        const savedGroups = Array.isArray(session.groups) && session.groups.length ? session.groups : [{ paths: this.openTabs.map((tab2) => tab2.path), activePath: session.activePath }];
+        this.splitDirection = session.splitDirection === "vertical" ? "vertical" : "horizontal";
+        savedGroups.slice(0, MAX_GROUPS).forEach((savedGroup, index) => {
+          const tabs = (savedGroup.paths || []).map((path) => this.getTabByPath(path)).filter(Boolean);
+          if (!tabs.length) return;
+          const group = index === 0 ? this.groups[0] : this.createGroup();
+          tabs.forEach((tab2) => this.addTabToGroup(tab2, group));
+          const activeTab = this.getTabByPath(savedGroup.activePath) || tabs[0];
+          this.setActiveTab(activeTab.id, group);
+        });
+        const orphans = this.openTabs.filter((tab2) => !this.getGroupsForTab(tab2).length);
+        orphans.forEach((tab2) => this.addTabToGroup(tab2, this.groups[0]));
+        if (!this.groups[0].activeTab && this.groups[0].tabs.length) {
+          this.setActiveTab(this.groups[0].tabs[0].id, this.groups[0]);
+        }
+        const activeGroup = this.groups[session.activeGroup] || this.groups[0];
+        this.focusGroup(activeGroup);
+      }
+      restoreTabViewState(state, savedTab) {
+        const docLength = state.doc.length;
+        const clamp = (pos) => Math.min(Math.max(0, pos || 0), docLength);
+        const spec = {};
+        const ranges = savedTab.selection?.ranges || [];
+        if (ranges.length) {
+          spec.selection = EditorSelection.create(
+            ranges.map((range) => EditorSelection.range(clamp(range.anchor), clamp(range.head))),
+            Math.min(savedTab.selection.main || 0, ranges.length - 1)
+          );
+        }
+        const folds = Array.isArray(savedTab.folds) ? savedTab.folds : [];
+        spec.effects = folds.filter((fold) => fold.from < fold.to && fold.to <= docLength).map((fold) => foldEffect.of({ from: fold.from, to: fold.to }));
+        return state.update(spec).state;
+      }
+      getSessionSnapshot() {
+        const activeTab = this.getActiveTab();
+        this.groups.forEach((group) => {
+          if (group.activeTab) {
+            group.activeTab.scrollTop = group.view.scrollDOM.scrollTop;
           }
-        } catch (err) {
-          console.warn("Cannot restore last session:", err);
+        });
+        const tabs = this.openTabs.map((tab2) => {
+          const folds = [];
+          foldedRanges(tab2.state).between(0, tab2.state.doc.length, (from, to) => {
+            folds.push({ from, to });
+          });
+          return {
+            path: tab2.path,
+            selection: tab2.state.selection.toJSON(),
+            encoding: tab2.encoding,
+            eol: tab2.eol,
+            scrollTop: tab2.scrollTop || 0,
+            pinned: Boolean(tab2.pinned),
+            preview: Boolean(tab2.preview),
+            folds,
+            // versão do disco em que o buffer não salvo se baseia
+            disk: tab2.dirty ? { lastModified: tab2.diskLastModified, size: tab2.diskSize } : null
+          };
+        });
+        const buffers = {};
+        this.openTabs.filter((tab2) => tab2.dirty).forEach((tab2) => {
+          buffers[tab2.path] = tab2.state.doc.toString();
+        });
+        const groups = this.groups.map((group) => ({
+          paths: group.tabs.map((tab2) => tab2.path),
+          activePath: group.activeTab?.path || null
+        }));
+        return {
+          tabs,
+          activePath: activeTab?.path || null,
+          groups,
+          activeGroup: this.groups.indexOf(this.activeGroup),
+          splitDirection: this.splitDirection,
+          buffers
+        };
+      }
+      scheduleSessionSave() {
+        if (this.restoringSession) return;
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.persistSession(), 500);
+      }
+      async persistSession() {
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = null;
+        if (this.restoringSession) return;
+        if (!this.openTabs.length) {
+          await fileSystem.clearSession();
+          return;
         }
+        const { buffers, ...session } = this.getSessionSnapshot();
+        await fileSystem.saveSession(session);
+        await fileSystem.saveDirtyBuffers(buffers);
       }
       async findFileByPath(dirHandle, targetPath) {
         const parts = targetPath.split("/");
@@ -29639,6 +42003,17 @@ var require_editor = __commonJS({
           });
         });
       }
+      watchSettings() {
+        chrome.storage.onChanged.addListener((changes, area) => {
+          if (area !== "local" || !changes.settings?.newValue) return;
+          const { filesExclude } = changes.settings.newValue;
+          if (!filesExclude || filesExclude.join("\n") === this.settings.filesExclude.join("\n")) return;
+          this.settings.filesExclude = filesExclude;
+          fileTree.setFilesExclude(filesExclude);
+          fileIndex.scheduleRebuild();
+          fileTree.refresh({ preserveExpanded: true });
+        });
+      }
       getLanguageFromFileName(fileName) {
         const ext = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
         const langMap = {
@@ -29663,7 +42038,7 @@ var require_editor = __commonJS({
         const ext = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
         return LANGUAGE_EXTENSIONS[ext] || [];
       }
-      getEditorExtensions(languageExtension) {
+      getEditorExtensions(languageExtension, indentation2 = this.getTabIndentation()) {
         const uiTheme = EditorView.theme({
           "&": {
             fontSize: `${this.settings.fontSize}px`
@@ -29680,69 +42055,56 @@ var require_editor = __commonJS({
           foldGutter(),
           bracketMatching(),
           closeBrackets(),
+          ...completion.getExtensions(),
+          ...snippets3.getExtensions(),
+          ...diagnostics.getExtensions(),
+          ...git.getExtensions(),
           indentOnInput(),
           highlightSelectionMatches(),
           syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
-          EditorState.tabSize.of(this.settings.tabSize),
+          indentationConfig.of(this.getIndentationExtension(indentation2)),
           keymap.of([
             ...defaultKeymap,
             ...historyKeymap,
             ...closeBracketsKeymap,
             ...searchKeymap,
             ...commentKeymap,
-            indentWithTab,
-            {
-              key: "Mod-s",
-              run: () => {
-                this.saveCurrentFile();
-                return true;
-              }
-            },
-            {
-              key: "Mod-d",
-              run: () => {
-                this.duplicateLine();
-                return true;
-              }
-            },
-            {
-              key: "Mod-Shift-k",
-              run: () => {
-                this.deleteLine();
-                return true;
-              }
-            },
-            {
-              key: "Alt-ArrowUp",
-              run: () => {
-                this.moveLine(-1);
-                return true;
-              }
-            },
-            {
-              key: "Alt-ArrowDown",
-              run: () => {
-                this.moveLine(1);
-                return true;
-              }
-            }
+            indentWithTab
           ]),
+          Prec.high(keymap.of(commands.toKeymap())),
           languageExtension,
           EditorView.updateListener.of((update) => {
-            const activeTab = this.getActiveTab();
-            if (activeTab) {
-              activeTab.state = update.state;
+            const group = this.getGroupForView(update.view);
+            const tab2 = group?.activeTab;
+            if (!tab2) return;
+            group.states.set(tab2, update.state);
+            tab2.state = update.state;
+            if (update.docChanged && !update.transactions.some((tr) => tr.annotation(syncedChange))) {
+              this.syncTabChanges(tab2, group, update.transactions);
             }
-            if (update.docChanged) {
-              if (activeTab) {
-                activeTab.dirty = true;
-              }
-              this.dirty = true;
+            if (update.docChanged && tab2.previewMode) {
+              markdownPreview.scheduleRender(group);
+            }
+            if (update.docChanged && this.settings.refreshPreviewOnType) {
+              htmlPreview.scheduleRefresh(tab2.path);
+            }
+            if (update.docChanged && !tab2.viewer) {
+              tab2.dirty = true;
+              tab2.preview = false;
+              this.dirty = Boolean(this.getActiveTab()?.dirty);
               this.renderTabs();
               this.updateStatusBar();
             }
-            if (update.selectionSet) {
+            if (update.selectionSet && group === this.activeGroup) {
               this.updateStatusBar();
+              outline.highlightActive();
+            }
+            if (group === this.activeGroup && syntaxTree(update.startState) !== syntaxTree(update.state)) {
+              outline.scheduleRefresh();
+            }
+            const foldsChanged = foldedRanges(update.startState) !== foldedRanges(update.state);
+            if (update.docChanged || update.selectionSet || foldsChanged) {
+              this.scheduleSessionSave();
             }
           }),
           uiTheme
@@ -29754,98 +42116,891 @@ var require_editor = __commonJS({
         }
         return extensions;
       }
-      createState(doc2, languageExtension) {
+      createState(doc2, languageExtension, indentation2 = void 0) {
         return EditorState.create({
           doc: doc2,
-          extensions: this.getEditorExtensions(languageExtension)
+          extensions: this.getEditorExtensions(languageExtension, indentation2)
+        });
+      }
+      // indentação efetiva do arquivo: .editorconfig quando houver, senão o Tab das configurações
+      getTabIndentation(config2 = {}) {
+        const tabWidth = typeof config2.tab_width === "number" ? config2.tab_width : null;
+        const size = typeof config2.indent_size === "number" ? config2.indent_size : tabWidth || this.settings.tabSize;
+        const fromConfig = ["indent_style", "indent_size", "tab_width"].some((key) => config2[key] !== void 0);
+        return {
+          useTabs: config2.indent_style === "tab",
+          size,
+          tabWidth: tabWidth || size,
+          source: fromConfig ? "editorconfig" : "settings"
+        };
+      }
+      getIndentationExtension(indentation2) {
+        return [
+          EditorState.tabSize.of(indentation2.tabWidth),
+          indentUnit.of(indentation2.useTabs ? "	" : " ".repeat(indentation2.size))
+        ];
+      }
+      applyTabIndentation(tab2) {
+        const effects = indentationConfig.reconfigure(this.getIndentationExtension(tab2.indentation));
+        tab2.state = tab2.state.update({ effects }).state;
+        this.getGroupsForTab(tab2).forEach((group) => {
+          if (group.activeTab === tab2) {
+            group.view.dispatch({ effects });
+          } else {
+            group.states.set(tab2, group.states.get(tab2).update({ effects }).state);
+          }
         });
+        this.updateStatusBar();
+      }
+      setTabIndentation(changes) {
+        const tab2 = this.getActiveTextTab();
+        if (!tab2) return;
+        const size = changes.size ?? tab2.indentation.size;
+        tab2.indentation = { ...tab2.indentation, ...changes, tabWidth: size, source: "manual" };
+        this.applyTabIndentation(tab2);
+      }
+      async reapplyEditorConfig() {
+        const tab2 = this.getActiveTextTab();
+        if (!tab2) return;
+        editorConfig.clear();
+        tab2.indentation = { ...tab2.indentation, source: "settings" };
+        await this.refreshEditorConfig([tab2]);
+      }
+      // charset e end_of_line do .editorconfig definem como o arquivo é salvo
+      applyEditorConfigFormat(tab2) {
+        const eol2 = EDITORCONFIG_EOLS[tab2.editorConfig?.end_of_line];
+        const encoding = EDITORCONFIG_CHARSETS[tab2.editorConfig?.charset];
+        if (eol2) tab2.eol = eol2;
+        if (encoding) tab2.encoding = encoding;
+      }
+      async refreshEditorConfig(tabs = this.openTabs) {
+        for (const tab2 of tabs.filter((item) => !item.viewer)) {
+          tab2.editorConfig = await editorConfig.resolve(tab2.path);
+          if (tab2.indentation?.source !== "manual") {
+            tab2.indentation = this.getTabIndentation(tab2.editorConfig);
+            this.applyTabIndentation(tab2);
+          }
+          this.applyEditorConfigFormat(tab2);
+        }
+        this.updateStatusBar();
       }
       initEditor() {
-        const editorElement = document.getElementById("editor");
         this.currentLanguageExtension = [];
-        this.view = new EditorView({
-          state: this.createState("", this.currentLanguageExtension),
-          parent: editorElement
+        this.activeGroup = this.createGroup();
+        this.updateThemeUI();
+      }
+      createGroup(index = this.groups.length) {
+        const element = document.createElement("div");
+        element.className = "editor-group";
+        const tabBar = document.createElement("div");
+        tabBar.className = "tab-bar";
+        const tabsEl = document.createElement("div");
+        tabsEl.className = "tabs";
+        const actions = document.createElement("div");
+        actions.className = "tab-bar-actions";
+        const listBtn = document.createElement("button");
+        listBtn.type = "button";
+        listBtn.className = "tab-bar-action hidden";
+        listBtn.textContent = "\u2304";
+        listBtn.title = "Show Opened Editors";
+        actions.appendChild(listBtn);
+        const splitBtn = document.createElement("button");
+        splitBtn.type = "button";
+        splitBtn.className = "tab-bar-action";
+        splitBtn.textContent = "\u25EB";
+        splitBtn.title = "Split Editor Right";
+        actions.appendChild(splitBtn);
+        tabBar.appendChild(tabsEl);
+        tabBar.appendChild(actions);
+        const editorEl = document.createElement("div");
+        editorEl.className = "editor";
+        const viewerEl = document.createElement("div");
+        viewerEl.className = "file-viewer hidden";
+        const previewEl = document.createElement("div");
+        previewEl.className = "markdown-preview hidden";
+        const bodyEl = document.createElement("div");
+        bodyEl.className = "editor-group-body";
+        bodyEl.appendChild(editorEl);
+        bodyEl.appendChild(viewerEl);
+        bodyEl.appendChild(previewEl);
+        const livePreviewEl = document.createElement("div");
+        livePreviewEl.className = "html-preview hidden";
+        bodyEl.appendChild(livePreviewEl);
+        element.appendChild(tabBar);
+        element.appendChild(bodyEl);
+        const group = {
+          id: ++this.groupCounter,
+          element,
+          tabsEl,
+          listBtn,
+          editorEl,
+          viewerEl,
+          previewEl,
+          livePreviewEl,
+          view: null,
+          tabs: [],
+          mru: [],
+          activeTab: null,
+          states: /* @__PURE__ */ new Map(),
+          scrollTops: /* @__PURE__ */ new Map()
+        };
+        group.view = new EditorView({
+          state: this.createState("", []),
+          parent: editorEl
+        });
+        group.view.scrollDOM.addEventListener("scroll", () => {
+          if (group.activeTab) {
+            this.scheduleSessionSave();
+            markdownPreview.syncFromEditor(group);
+          }
+        });
+        element.addEventListener("focusin", () => this.focusGroup(group));
+        splitBtn.addEventListener("click", () => {
+          this.focusGroup(group);
+          this.splitEditor("horizontal");
+        });
+        listBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.focusGroup(group);
+          this.showTabList(group);
+        });
+        this.initGroupTabEvents(group);
+        const container = document.getElementById("editorGroups");
+        container.insertBefore(element, this.groups[index]?.element || null);
+        this.groups.splice(index, 0, group);
+        this.updateGroupLayout();
+        return group;
+      }
+      initGroupTabEvents(group) {
+        const findTab = (e) => {
+          const tabEl = e.target.closest(".tab-item");
+          return group.tabs.find((item) => item.id === tabEl?.dataset.tabId) || null;
+        };
+        group.tabsEl.addEventListener("click", async (e) => {
+          const closeBtn = e.target.closest("[data-tab-close]");
+          if (closeBtn) {
+            e.stopPropagation();
+            await this.closeTab(closeBtn.dataset.tabClose, group);
+            return;
+          }
+          const unpinBtn = e.target.closest("[data-tab-unpin]");
+          if (unpinBtn) {
+            e.stopPropagation();
+            this.togglePinTab(findTab(e));
+            return;
+          }
+          const tab2 = findTab(e);
+          if (tab2) {
+            this.setActiveTab(tab2.id, group);
+          }
+        });
+        group.tabsEl.addEventListener("mousedown", (e) => {
+          if (e.button === 1 && findTab(e)) {
+            e.preventDefault();
+          }
+        });
+        group.tabsEl.addEventListener("auxclick", async (e) => {
+          const tab2 = findTab(e);
+          if (e.button !== 1 || !tab2) return;
+          e.preventDefault();
+          await this.closeTab(tab2.id, group);
+        });
+        group.tabsEl.addEventListener("dblclick", (e) => {
+          const tab2 = findTab(e);
+          if (tab2) {
+            this.keepTabOpen(tab2);
+          }
+        });
+        group.tabsEl.addEventListener("contextmenu", (e) => {
+          const tab2 = findTab(e);
+          if (!tab2) return;
+          e.preventDefault();
+          this.showTabContextMenu(e, tab2, group);
+        });
+        group.tabsEl.addEventListener("dragstart", (e) => {
+          const tabEl = e.target.closest(".tab-item");
+          const tab2 = group.tabs.find((item) => item.id === tabEl?.dataset.tabId);
+          if (!tab2) return;
+          this.draggedTab = { tab: tab2, group };
+          e.dataTransfer.effectAllowed = "move";
+          e.dataTransfer.setData("text/plain", tab2.path);
+        });
+        group.tabsEl.addEventListener("dragend", () => {
+          this.draggedTab = null;
+          this.groups.forEach((item) => item.element.classList.remove("drop-target"));
+        });
+        group.tabsEl.addEventListener("dragover", (e) => {
+          if (this.draggedTab?.group !== group) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = "move";
+        });
+        group.tabsEl.addEventListener("drop", (e) => {
+          const dragged = this.draggedTab;
+          if (dragged?.group !== group) return;
+          e.preventDefault();
+          this.draggedTab = null;
+          this.reorderTab(dragged.tab, group, this.getTabDropIndex(e, group));
+        });
+        group.element.addEventListener("dragover", (e) => {
+          if (!this.draggedTab) return;
+          if (this.draggedTab.group === group) {
+            if (!group.tabsEl.contains(e.target)) {
+              e.stopPropagation();
+            }
+            return;
+          }
+          e.preventDefault();
+          e.stopPropagation();
+          e.dataTransfer.dropEffect = "move";
+          group.element.classList.add("drop-target");
+        }, true);
+        group.element.addEventListener("dragleave", (e) => {
+          if (!group.element.contains(e.relatedTarget)) {
+            group.element.classList.remove("drop-target");
+          }
+        });
+        group.element.addEventListener("drop", (e) => {
+          group.element.classList.remove("drop-target");
+          const dragged = this.draggedTab;
+          if (!dragged || dragged.group === group) return;
+          e.preventDefault();
+          e.stopPropagation();
+          this.draggedTab = null;
+          this.moveTabToGroup(dragged.tab, dragged.group, group, this.getTabDropIndex(e, group));
+        }, true);
+      }
+      getTabDropIndex(e, group) {
+        const tabEl = e.target.closest(".tab-item");
+        const idx = tabEl ? group.tabs.findIndex((tab2) => tab2.id === tabEl.dataset.tabId) : -1;
+        if (idx === -1) return group.tabs.length;
+        const rect = tabEl.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2 ? idx + 1 : idx;
+      }
+      // abas fixadas ficam sempre antes das demais
+      clampTabIndex(group, tab2, index) {
+        const pinnedCount = group.tabs.filter((item) => item.pinned && item !== tab2).length;
+        return tab2.pinned ? Math.min(index, pinnedCount) : Math.max(index, pinnedCount);
+      }
+      reorderTab(tab2, group, index) {
+        const from = group.tabs.indexOf(tab2);
+        if (from === -1) return;
+        group.tabs.splice(from, 1);
+        const target = this.clampTabIndex(group, tab2, index > from ? index - 1 : index);
+        group.tabs.splice(target, 0, tab2);
+        this.renderTabs();
+        this.scheduleSessionSave();
+      }
+      togglePinTab(tab2) {
+        if (!tab2) return;
+        tab2.pinned = !tab2.pinned;
+        tab2.preview = false;
+        this.getGroupsForTab(tab2).forEach((group) => {
+          group.tabs.splice(group.tabs.indexOf(tab2), 1);
+          group.tabs.splice(group.tabs.filter((item) => item.pinned).length, 0, tab2);
+        });
+        this.renderTabs();
+        this.scheduleSessionSave();
+      }
+      keepTabOpen(tab2) {
+        if (!tab2?.preview) return;
+        tab2.preview = false;
+        this.renderTabs();
+        this.scheduleSessionSave();
+      }
+      updateGroupLayout() {
+        const container = document.getElementById("editorGroups");
+        container?.classList.toggle("vertical", this.splitDirection === "vertical");
+      }
+      getGroupForView(view) {
+        return this.groups.find((group) => group.view === view) || null;
+      }
+      getGroupsForTab(tab2) {
+        return this.groups.filter((group) => group.tabs.includes(tab2));
+      }
+      addTabToGroup(tab2, group, index = group.tabs.length, state = tab2.state) {
+        if (group.tabs.includes(tab2)) return;
+        group.tabs.splice(this.clampTabIndex(group, tab2, index), 0, tab2);
+        group.mru.push(tab2);
+        group.states.set(tab2, state);
+        group.scrollTops.set(tab2, tab2.scrollTop || 0);
+      }
+      focusGroup(group) {
+        if (!group || this.activeGroup === group) return;
+        this.activeGroup = group;
+        this.syncCurrentFile();
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
+      }
+      syncCurrentFile() {
+        const tab2 = this.getActiveTab();
+        this.currentFileHandle = tab2?.handle || null;
+        this.currentFileName = tab2 ? tab2.name : "No file open";
+        this.currentLanguage = tab2 ? tab2.language : "Plain Text";
+        this.currentLanguageExtension = tab2 ? tab2.languageExtension : [];
+        this.dirty = Boolean(tab2?.dirty);
+        outline.scheduleRefresh();
+      }
+      splitEditor(direction) {
+        if (this.groups.length >= MAX_GROUPS) return;
+        const source = this.activeGroup;
+        this.splitDirection = direction;
+        const group = this.createGroup(this.groups.indexOf(source) + 1);
+        const tab2 = source.activeTab;
+        if (tab2) {
+          this.addTabToGroup(tab2, group, 0, source.states.get(tab2));
+          group.scrollTops.set(tab2, source.view.scrollDOM.scrollTop);
+          this.setActiveTab(tab2.id, group);
+        } else {
+          this.focusGroup(group);
+        }
+        group.view.focus();
+      }
+      focusNextGroup() {
+        if (this.groups.length < 2) return;
+        const next = this.groups[(this.groups.indexOf(this.activeGroup) + 1) % this.groups.length];
+        this.focusGroup(next);
+        next.view.focus();
+      }
+      moveTabToGroup(tab2, source, target, index = target.tabs.length) {
+        if (source === target) return;
+        const scrollTop = source.activeTab === tab2 ? source.view.scrollDOM.scrollTop : source.scrollTops.get(tab2);
+        if (!target.tabs.includes(tab2)) {
+          this.addTabToGroup(tab2, target, index, source.states.get(tab2));
+          target.scrollTops.set(tab2, scrollTop || 0);
+        }
+        this.removeTab(tab2.id, source);
+        this.setActiveTab(tab2.id, target);
+        target.view.focus();
+      }
+      moveEditorToNextGroup() {
+        const tab2 = this.getActiveTab();
+        if (!tab2 || this.groups.length < 2) return;
+        const next = this.groups[(this.groups.indexOf(this.activeGroup) + 1) % this.groups.length];
+        this.moveTabToGroup(tab2, this.activeGroup, next);
+      }
+      async closeGroup(group = this.activeGroup) {
+        if (this.groups.length < 2) return false;
+        const exclusiveTabs = group.tabs.filter((tab2) => this.getGroupsForTab(tab2).length === 1);
+        if (!await this.resolveUnsavedTabs(exclusiveTabs)) return false;
+        this.removeGroup(group);
+        return true;
+      }
+      removeGroup(group) {
+        const idx = this.groups.indexOf(group);
+        if (idx === -1) return;
+        this.groups.splice(idx, 1);
+        group.tabs.forEach((tab2) => {
+          if (!this.getGroupsForTab(tab2).length) {
+            this.openTabs.splice(this.openTabs.indexOf(tab2), 1);
+          }
+        });
+        fileViewer.clear(group.viewerEl);
+        group.view.destroy();
+        group.element.remove();
+        if (this.activeGroup === group) {
+          this.activeGroup = this.groups[Math.max(0, idx - 1)];
+        }
+        this.updateGroupLayout();
+        this.syncCurrentFile();
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
+      }
+      syncTabChanges(tab2, sourceGroup, transactions) {
+        this.groups.forEach((group) => {
+          if (group === sourceGroup || !group.states.has(tab2)) return;
+          transactions.forEach((tr) => {
+            if (!tr.docChanged) return;
+            const spec = {
+              changes: tr.changes,
+              annotations: [syncedChange.of(true), Transaction.addToHistory.of(false)]
+            };
+            if (group.activeTab === tab2) {
+              group.view.dispatch(spec);
+            } else {
+              group.states.set(tab2, group.states.get(tab2).update(spec).state);
+            }
+          });
         });
+      }
+      updateTab(tab2, spec) {
+        const groups = this.getGroupsForTab(tab2);
+        const visibleGroup = groups.find((group2) => group2.activeTab === tab2);
+        if (visibleGroup) {
+          visibleGroup.view.dispatch(spec);
+          return;
+        }
+        const [group] = groups;
+        if (!group) {
+          tab2.state = tab2.state.update(spec).state;
+          return;
+        }
+        const tr = group.states.get(tab2).update(spec);
+        group.states.set(tab2, tr.state);
+        tab2.state = tr.state;
+        this.syncTabChanges(tab2, group, [tr]);
+      }
+      setTabState(tab2, state) {
+        tab2.state = state;
+        this.getGroupsForTab(tab2).forEach((group) => {
+          group.states.set(tab2, state);
+          if (group.activeTab === tab2) {
+            group.view.setState(state);
+            this.showViewer(tab2, group);
+          }
+        });
+      }
+      rebuildEditorState() {
+        if (!this.groups.length) return;
+        this.openTabs.forEach((tab2) => {
+          tab2.state = this.recreateState(tab2.state, tab2.languageExtension, tab2.indentation);
+          this.getGroupsForTab(tab2).forEach((group) => {
+            const state = this.recreateState(group.states.get(tab2), tab2.languageExtension, tab2.indentation);
+            group.states.set(tab2, state);
+            if (group.activeTab === tab2) {
+              group.view.setState(state);
+            }
+          });
+          git.applyToTab(tab2);
+        });
+        this.groups.filter((group) => !group.activeTab).forEach((group) => group.view.setState(this.createState("", [])));
+        this.updateStatusBar();
+      }
+      recreateState(state, languageExtension, indentation2 = void 0) {
+        const nextState = this.createState(state.doc.toString(), languageExtension, indentation2);
+        const anchor = Math.min(state.selection.main.anchor, nextState.doc.length);
+        return nextState.update({ selection: { anchor } }).state;
+      }
+      updateThemeUI() {
+        document.documentElement.setAttribute("data-theme", this.settings.theme);
+        const themeBtn = document.getElementById("themeToggle");
+        if (themeBtn) {
+          themeBtn.textContent = this.settings.theme === "dark" ? "\u{1F313}" : "\u{1F319}";
+        }
+      }
+      toggleTheme() {
+        this.settings.theme = this.settings.theme === "dark" ? "light" : "dark";
+        chrome.storage.local.set({ settings: this.settings });
         this.updateThemeUI();
+        this.rebuildEditorState();
+      }
+      async toggleExplorerSetting(key) {
+        this.settings[key] = !this.settings[key];
+        chrome.storage.local.set({ settings: this.settings });
+        fileTree.setVisibility({
+          showIgnored: this.settings.explorerShowIgnored,
+          showDotFiles: this.settings.explorerShowDotFiles
+        });
+        await fileTree.refresh({ preserveExpanded: true });
+      }
+      toggleSetting(key) {
+        this.settings[key] = !this.settings[key];
+        chrome.storage.local.set({ settings: this.settings });
+      }
+      async openFile(handle, path = handle?.name || "", location = null, { preview = false } = {}) {
+        const tabId = path || handle.name;
+        const existing = this.openTabs.find((tab3) => tab3.id === tabId);
+        const tab2 = existing || await this.createTab(handle, tabId);
+        const group = this.activeGroup;
+        let replacedTab = null;
+        if (existing) {
+          if (!preview) {
+            this.keepTabOpen(existing);
+          }
+        } else {
+          tab2.preview = preview;
+          this.openTabs.push(tab2);
+          replacedTab = preview ? group.tabs.find((item) => item.preview) : null;
+          if (replacedTab) {
+            this.addTabToGroup(tab2, group, group.tabs.indexOf(replacedTab));
+          }
+        }
+        this.setActiveTab(tab2.id, group);
+        if (replacedTab) {
+          this.removeTab(replacedTab.id, group);
+        }
+        this.view.focus();
+        if (location) this.revealLocation(location);
+        if (!existing) {
+          this.saveRecentFile(tab2.path);
+        }
+        this.scheduleSessionSave();
+      }
+      async createTab(handle, path, dirtyContent = null, file = null) {
+        const sourceFile = file || await handle.getFile();
+        const hasDirtyContent = typeof dirtyContent === "string";
+        const viewer = hasDirtyContent ? null : await fileViewer.sniff(sourceFile);
+        if (viewer) {
+          return this.createViewerTab(handle, path, sourceFile, viewer);
+        }
+        const language2 = this.getLanguageFromFileName(sourceFile.name);
+        const languageExtension = this.getLanguageExtension(sourceFile.name);
+        const { text: text3, encoding, eol: eol2 } = await readTextFile(sourceFile);
+        const doc2 = hasDirtyContent ? dirtyContent : text3;
+        const config2 = await editorConfig.resolve(path || sourceFile.name);
+        const indentation2 = this.getTabIndentation(config2);
+        const tab2 = {
+          id: path || sourceFile.name,
+          name: sourceFile.name,
+          path: path || sourceFile.name,
+          handle,
+          language: language2,
+          languageExtension,
+          state: this.createState(doc2, languageExtension, indentation2),
+          scrollTop: 0,
+          dirty: hasDirtyContent,
+          encoding,
+          eol: eol2,
+          editorConfig: config2,
+          indentation: indentation2
+        };
+        this.applyEditorConfigFormat(tab2);
+        fileWatcher.recordDiskState(tab2, sourceFile);
+        git.applyToTab(tab2);
+        return tab2;
+      }
+      getTabsUnderPath(path) {
+        const prefix = `${path}/`;
+        return this.openTabs.filter((tab2) => tab2.path === path || tab2.path.startsWith(prefix));
+      }
+      // abas de um arquivo ou pasta substituído apontam para handles que não existem mais
+      closeTabsUnderPath(path) {
+        this.getTabsUnderPath(path).forEach((tab2) => {
+          this.getGroupsForTab(tab2).forEach((group) => this.removeTab(tab2.id, group));
+        });
+      }
+      async retargetTabs(oldPath, newPath) {
+        const movedTabs = this.getTabsUnderPath(oldPath);
+        if (!movedTabs.length) return;
+        let languageChanged = false;
+        for (const tab2 of movedTabs) {
+          const path = newPath + tab2.path.slice(oldPath.length);
+          const handle = await fileIndex.resolveHandle({ path, handle: null });
+          tab2.id = path;
+          tab2.path = path;
+          tab2.name = path.split("/").pop();
+          if (handle) {
+            tab2.handle = handle;
+            tab2.deletedOnDisk = false;
+          }
+          const language2 = this.getLanguageFromFileName(tab2.name);
+          if (!tab2.viewer && language2 !== tab2.language) {
+            tab2.language = language2;
+            tab2.languageExtension = this.getLanguageExtension(tab2.name);
+            languageChanged = true;
+          }
+          git.applyToTab(tab2);
+        }
+        this.syncCurrentFile();
+        if (languageChanged) {
+          this.rebuildEditorState();
+        }
+        await this.refreshEditorConfig(movedTabs);
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
+      }
+      createViewerTab(handle, path, file, viewer) {
+        const tab2 = {
+          id: path || file.name,
+          name: file.name,
+          path: path || file.name,
+          handle,
+          language: viewer.label,
+          languageExtension: READ_ONLY,
+          viewer,
+          state: this.createState("", READ_ONLY),
+          scrollTop: 0,
+          dirty: false
+        };
+        fileWatcher.recordDiskState(tab2, file);
+        return tab2;
+      }
+      async openViewerAsText(tab2) {
+        const file = await tab2.handle.getFile();
+        const { text: text3, encoding, eol: eol2 } = await readTextFile(file);
+        tab2.viewer = null;
+        tab2.language = this.getLanguageFromFileName(tab2.name);
+        tab2.languageExtension = this.getLanguageExtension(tab2.name);
+        tab2.encoding = encoding;
+        tab2.eol = eol2;
+        tab2.editorConfig = await editorConfig.resolve(tab2.path);
+        tab2.indentation = this.getTabIndentation(tab2.editorConfig);
+        this.applyEditorConfigFormat(tab2);
+        fileWatcher.recordDiskState(tab2, file);
+        this.setTabState(tab2, this.createState(text3, tab2.languageExtension, tab2.indentation));
+        git.applyToTab(tab2);
+        if (tab2.id === this.activeTabId) {
+          this.syncCurrentFile();
+          this.updateStatusBar();
+          this.view.focus();
+        }
+      }
+      showViewer(tab2, group = this.activeGroup) {
+        if (!group) return;
+        const hasViewer = Boolean(tab2?.viewer);
+        const previewMode = tab2 && !hasViewer && this.canPreview(tab2) ? tab2.previewMode : null;
+        group.editorEl.classList.toggle("hidden", hasViewer || previewMode === "only");
+        group.viewerEl.classList.toggle("hidden", !hasViewer);
+        if (hasViewer) {
+          const showError = (err) => fileViewer.showError(group.viewerEl, err);
+          fileViewer.render(group.viewerEl, tab2, {
+            onOpenAnyway: () => this.openViewerAsText(tab2).catch(showError)
+          }).catch(showError);
+        } else {
+          fileViewer.clear(group.viewerEl);
+        }
+        markdownPreview.show(group, previewMode && isMarkdownFile(tab2.path) ? tab2 : null);
+        htmlPreview.show(group, previewMode && isHtmlFile(tab2.path) ? tab2 : null);
+      }
+      canPreview(tab2) {
+        return Boolean(tab2 && !tab2.viewer && (isMarkdownFile(tab2.path) || isHtmlFile(tab2.path)));
+      }
+      // 'side' mostra o preview ao lado do editor; 'only' esconde o editor
+      setPreviewMode(mode) {
+        const tab2 = this.getActiveTextTab();
+        if (!this.canPreview(tab2)) return;
+        tab2.previewMode = mode;
+        this.getGroupsForTab(tab2).filter((group) => group.activeTab === tab2).forEach((group) => this.showViewer(tab2, group));
+        if (mode === "side") {
+          markdownPreview.syncFromEditor(this.activeGroup);
+        }
+        if (mode !== "only") {
+          this.view.focus();
+        }
+      }
+      getTabState(tab2) {
+        return tab2.state;
+      }
+      async reloadTab(tab2, file = null) {
+        const diskFile = file || await tab2.handle.getFile();
+        if (tab2.viewer) {
+          fileWatcher.recordDiskState(tab2, diskFile);
+          this.getGroupsForTab(tab2).filter((group) => group.activeTab === tab2).forEach((group) => this.showViewer(tab2, group));
+          this.renderTabs();
+          return;
+        }
+        const before = this.getTabState(tab2).doc;
+        const { text: content2, encoding, eol: eol2 } = await readTextFile(diskFile);
+        const state = this.getTabState(tab2);
+        if (state.doc !== before) {
+          tab2.externallyModified = true;
+          this.renderTabs();
+          return;
+        }
+        tab2.encoding = encoding;
+        tab2.eol = eol2;
+        this.applyEditorConfigFormat(tab2);
+        const current = state.doc.toString();
+        if (content2 !== current) {
+          let start = 0;
+          const maxStart = Math.min(content2.length, current.length);
+          while (start < maxStart && content2[start] === current[start]) {
+            start += 1;
+          }
+          let end = 0;
+          const maxEnd = maxStart - start;
+          while (end < maxEnd && content2[content2.length - 1 - end] === current[current.length - 1 - end]) {
+            end += 1;
+          }
+          this.updateTab(tab2, {
+            changes: { from: start, to: current.length - end, insert: content2.slice(start, content2.length - end) }
+          });
+        }
+        tab2.dirty = false;
+        if (tab2.id === this.activeTabId) {
+          this.dirty = false;
+        }
+        fileWatcher.recordDiskState(tab2, diskFile);
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
+      }
+      revealLocation({ line, column = 1, length = 0 }) {
+        if (!this.view || !line) return;
+        const { doc: doc2 } = this.view.state;
+        const target = doc2.line(Math.min(Math.max(1, line), doc2.lines));
+        const from = Math.min(target.from + Math.max(0, column - 1), target.to);
+        const to = Math.min(from + length, target.to);
+        this.revealRange(from, to);
+      }
+      async saveCurrentFile() {
+        const activeTab = this.getActiveTab();
+        if (!activeTab) return;
+        await this.saveTab(activeTab);
+      }
+      async saveAllTabs() {
+        return this.saveTabs(this.openTabs.filter((tab2) => tab2.dirty));
+      }
+      async saveTabs(tabs) {
+        for (const tab2 of tabs) {
+          try {
+            if (!await this.saveTab(tab2)) return false;
+          } catch (err) {
+            console.error(`Error saving ${tab2.path}:`, err);
+            return false;
+          }
+        }
+        return true;
+      }
+      async resolveUnsavedTabs(tabs) {
+        const dirtyTabs = tabs.filter((tab2) => tab2.dirty);
+        if (!dirtyTabs.length) return true;
+        const choice = await dialog.confirmUnsavedChanges(dirtyTabs);
+        if (choice === "cancel") return false;
+        if (choice === "save") return this.saveTabs(dirtyTabs);
+        return true;
       }
-      rebuildEditorState({ preserveSelection = true } = {}) {
-        if (!this.view) return;
-        const activeTab = this.getActiveTab();
-        const currentSelection = this.view.state.selection.main;
-        this.openTabs = this.openTabs.map((tab2) => {
-          const baseState = tab2.id === this.activeTabId ? this.view.state : tab2.state;
-          const doc2 = baseState.doc.toString();
-          const nextState = this.createState(doc2, tab2.languageExtension);
-          if (tab2.id === this.activeTabId && preserveSelection) {
-            const anchor = Math.min(currentSelection.anchor, doc2.length);
-            return {
-              ...tab2,
-              state: nextState.update({ selection: { anchor } }).state
-            };
+      async saveTab(tab2, { force = false } = {}) {
+        if (tab2.viewer) return true;
+        if (!force) {
+          const choice = await fileWatcher.resolveSaveConflict(tab2);
+          if (choice === "cancel") return false;
+          if (choice === "reload") {
+            await this.reloadTab(tab2);
+            return false;
           }
-          return { ...tab2, state: nextState };
-        });
-        if (activeTab) {
-          const nextActive = this.getActiveTab();
-          this.view.setState(nextActive.state);
         }
+        await this.applySaveActions(tab2);
+        const state = this.getTabState(tab2);
+        const text3 = state.doc.sliceString(0, state.doc.length, EOLS[tab2.eol] || "\n");
+        let encoded = encodeText(text3, tab2.encoding);
+        if (encoded.lossy) {
+          const choice = await dialog.show({
+            title: `${tab2.name} contains characters that cannot be saved as ${ENCODINGS[tab2.encoding]}.`,
+            message: 'Unsupported characters will be replaced with "?".',
+            buttons: [
+              { label: "Cancel", value: "cancel" },
+              { label: "Save as UTF-8", value: "utf-8" },
+              { label: "Save Anyway", value: "save", primary: true }
+            ]
+          });
+          if (choice === "cancel") return false;
+          if (choice === "utf-8") {
+            tab2.encoding = "utf-8";
+            encoded = encodeText(text3, tab2.encoding);
+          }
+        }
+        tab2.saving = true;
+        try {
+          const writable = await tab2.handle.createWritable();
+          await writable.write(encoded.bytes);
+          await writable.close();
+          fileWatcher.recordDiskState(tab2, await tab2.handle.getFile());
+        } finally {
+          tab2.saving = false;
+        }
+        tab2.dirty = !this.getTabState(tab2).doc.eq(state.doc);
+        if (tab2.id === this.activeTabId) {
+          this.dirty = tab2.dirty;
+        }
+        this.renderTabs();
         this.updateStatusBar();
+        this.scheduleSessionSave();
+        if (tab2.name === ".gitignore" || tab2.path === ".git/info/exclude") {
+          fileTree.reloadIgnoreRules();
+        }
+        if (tab2.name === ".editorconfig") {
+          editorConfig.clear();
+          this.refreshEditorConfig();
+        }
+        if (!this.settings.refreshPreviewOnType) {
+          htmlPreview.scheduleRefresh(tab2.path);
+        }
+        git.scheduleRefresh();
+        if (ESLINT_CONFIG_FILES.has(tab2.name)) {
+          eslintConfig.clear();
+          diagnostics.relintAll();
+        }
+        return true;
       }
-      updateThemeUI() {
-        document.documentElement.setAttribute("data-theme", this.settings.theme);
-        const themeBtn = document.getElementById("themeToggle");
-        if (themeBtn) {
-          themeBtn.textContent = this.settings.theme === "dark" ? "\u{1F313}" : "\u{1F319}";
+      // formatar ao salvar, remover espaços no fim das linhas e garantir a quebra de linha final;
+      // os valores do .editorconfig têm precedência sobre as configurações do editor
+      async applySaveActions(tab2) {
+        const config2 = tab2.editorConfig || {};
+        if (this.settings.formatOnSave && formatter.canFormat(tab2.path)) {
+          try {
+            await this.formatTab(tab2);
+          } catch (err) {
+            this.showStatusMessage(`Format on save failed: ${err.message.split("\n")[0]}`);
+          }
+        }
+        const trim = config2.trim_trailing_whitespace ?? this.settings.trimTrailingWhitespace;
+        const finalNewline = config2.insert_final_newline ?? this.settings.insertFinalNewline;
+        const { doc: doc2 } = this.getTabState(tab2);
+        const changes = [];
+        if (trim) {
+          for (let i = 1; i <= doc2.lines; i++) {
+            const line = doc2.line(i);
+            const trailing = /\s+$/.exec(line.text);
+            if (trailing) {
+              changes.push({ from: line.from + trailing.index, to: line.to });
+            }
+          }
+        }
+        if (finalNewline && doc2.length && doc2.sliceString(doc2.length - 1) !== "\n") {
+          changes.push({ from: doc2.length, insert: "\n" });
+        }
+        if (changes.length) {
+          this.updateTab(tab2, { changes, userEvent: "input.save" });
         }
       }
-      toggleTheme() {
-        this.settings.theme = this.settings.theme === "dark" ? "light" : "dark";
-        chrome.storage.local.set({ settings: this.settings });
-        this.updateThemeUI();
-        this.rebuildEditorState();
+      getFormattingOptions(tab2) {
+        const maxLineLength = tab2.editorConfig?.max_line_length;
+        return {
+          tabSize: tab2.indentation.size,
+          useTabs: tab2.indentation.useTabs,
+          printWidth: typeof maxLineLength === "number" ? maxLineLength : 80
+        };
       }
-      async openFile(handle, path = handle?.name || "") {
-        const file = await handle.getFile();
-        const tabId = path || handle.name;
-        const existing = this.openTabs.find((tab3) => tab3.id === tabId);
-        if (existing) {
-          this.setActiveTab(existing.id);
-          this.view.focus();
-          await fileSystem.saveSession(existing.path || existing.name);
+      async formatTab(tab2, range = null) {
+        const { doc: doc2 } = this.getTabState(tab2);
+        const formatted = await formatter.format(doc2.toString(), tab2.path, { ...this.getFormattingOptions(tab2), range });
+        if (this.getTabState(tab2).doc !== doc2) return false;
+        return this.replaceTabText(tab2, formatted, "input.format");
+      }
+      async formatDocument({ selection: selection2 = false } = {}) {
+        const tab2 = this.getActiveTextTab();
+        if (!tab2) return;
+        if (!formatter.canFormat(tab2.path)) {
+          this.showStatusMessage(`No formatter available for ${tab2.language}`);
           return;
         }
-        const language2 = this.getLanguageFromFileName(file.name);
-        const languageExtension = this.getLanguageExtension(file.name);
-        const state = this.createState(await file.text(), languageExtension);
-        const tab2 = {
-          id: tabId,
-          name: file.name,
-          path: path || file.name,
-          handle,
-          language: language2,
-          languageExtension,
-          state,
-          dirty: false
-        };
-        this.openTabs.push(tab2);
-        this.setActiveTab(tab2.id);
-        this.view.focus();
-        this.saveRecentFile(tab2.path);
-        await fileSystem.saveSession(tab2.path);
+        const { main } = this.getTabState(tab2).selection;
+        if (selection2 && main.empty) {
+          this.showStatusMessage("Select the code to format");
+          return;
+        }
+        try {
+          const changed = await this.formatTab(tab2, selection2 ? { from: main.from, to: main.to } : null);
+          if (!changed) this.showStatusMessage("Nothing to format");
+        } catch (err) {
+          this.showStatusMessage(`Format failed: ${err.message.split("\n")[0]}`);
+        }
+      }
+      // aplica só o trecho que mudou, preservando cursor e histórico no resto do documento
+      replaceTabText(tab2, text3, userEvent) {
+        const doc2 = this.getTabState(tab2).doc.toString();
+        if (doc2 === text3) return false;
+        const max = Math.min(doc2.length, text3.length);
+        let start = 0;
+        while (start < max && doc2[start] === text3[start]) start++;
+        let end = 0;
+        while (end < max - start && doc2[doc2.length - 1 - end] === text3[text3.length - 1 - end]) end++;
+        this.updateTab(tab2, {
+          changes: { from: start, to: doc2.length - end, insert: text3.slice(start, text3.length - end) },
+          userEvent
+        });
+        return true;
       }
-      async saveCurrentFile() {
-        const activeTab = this.getActiveTab();
-        if (!activeTab) return;
-        const content2 = this.view.state.doc.toString();
-        const writable = await activeTab.handle.createWritable();
-        await writable.write(content2);
-        await writable.close();
-        activeTab.dirty = false;
-        activeTab.state = this.view.state;
-        this.dirty = false;
+      replaceTabContent(tab2, content2) {
+        const state = this.getTabState(tab2);
+        this.updateTab(tab2, { changes: { from: 0, to: state.doc.length, insert: content2 } });
+        tab2.dirty = true;
+        this.dirty = Boolean(this.getActiveTab()?.dirty);
         this.renderTabs();
-        this.updateStatusBar();
+        this.scheduleSessionSave();
       }
       duplicateLine() {
         if (!this.view) return;
@@ -29896,56 +43051,335 @@ ${line.text}`;
         if (!this.view) return;
         toggleComment(this.view);
       }
+      triggerSuggest() {
+        if (!this.view) return;
+        this.view.focus();
+        startCompletion(this.view);
+      }
+      pickSnippet() {
+        const tab2 = this.getActiveTextTab();
+        if (!tab2) return;
+        const language2 = getSnippetLanguage(tab2.path);
+        const available = snippets3.getSnippets(language2);
+        if (!available.length) {
+          this.showStatusMessage(`No snippets for ${tab2.language}`);
+          return;
+        }
+        this.showQuickPick(available.map((entry) => ({
+          type: "snippet",
+          label: entry.name,
+          meta: [entry.prefixes.join(", "), entry.source].filter(Boolean).join(" \xB7 "),
+          icon: "\u{1F9E9}",
+          run: () => {
+            if (this.getActiveTextTab() === tab2) snippets3.insert(this.view, entry);
+          }
+        })), "Select a snippet to insert");
+      }
+      pickUserSnippetsFile(placeholder, run) {
+        this.showQuickPick(snippets3.getUserFileNames().map((fileName) => ({
+          type: "snippet",
+          label: fileName,
+          icon: "\u{1F9E9}",
+          run: () => run(fileName)
+        })), placeholder);
+      }
+      // arquivos no formato do VS Code: <linguagem>.json ou <nome>.code-snippets
+      async importSnippets() {
+        let handles;
+        try {
+          handles = await window.showOpenFilePicker({
+            multiple: true,
+            types: [{ description: "Snippets", accept: { "application/json": [".json", ".code-snippets"] } }]
+          });
+        } catch (err) {
+          if (err.name !== "AbortError") console.error("Error opening snippets file:", err);
+          return;
+        }
+        const files = await Promise.all(handles.map(async (handle) => {
+          const file = await handle.getFile();
+          return { name: file.name, text: await file.text() };
+        }));
+        try {
+          const count2 = await snippets3.importFiles(files);
+          this.showStatusMessage(`Imported ${count2} snippet${count2 === 1 ? "" : "s"}`);
+        } catch (err) {
+          await dialog.show({
+            title: "Could not import snippets.",
+            message: err.message,
+            buttons: [{ label: "OK", value: "ok", primary: true }]
+          });
+        }
+      }
+      async exportSnippets(fileName) {
+        const text3 = snippets3.userFiles[fileName];
+        if (text3 === void 0) return;
+        try {
+          const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+          const writable = await handle.createWritable();
+          await writable.write(text3);
+          await writable.close();
+          this.showStatusMessage(`Exported ${fileName}`);
+        } catch (err) {
+          if (err.name !== "AbortError") console.error("Error exporting snippets:", err);
+        }
+      }
+      async removeSnippets(fileName) {
+        const choice = await dialog.show({
+          title: `Remove the snippets file "${fileName}"?`,
+          buttons: [
+            { label: "Cancel", value: "cancel" },
+            { label: "Remove", value: "remove", primary: true }
+          ]
+        });
+        if (choice !== "remove") return;
+        await snippets3.removeFile(fileName);
+        this.showStatusMessage(`Removed ${fileName}`);
+      }
       getActiveTab() {
         return this.openTabs.find((tab2) => tab2.id === this.activeTabId) || null;
       }
-      setActiveTab(tabId) {
+      getTabByPath(path) {
+        return this.openTabs.find((tab2) => tab2.path === path) || null;
+      }
+      setActiveTab(tabId, group = this.activeGroup) {
         const tab2 = this.openTabs.find((item) => item.id === tabId);
-        if (!tab2) return;
-        this.activeTabId = tab2.id;
-        this.currentFileHandle = tab2.handle;
-        this.currentFileName = tab2.name;
-        this.currentLanguage = tab2.language;
-        this.currentLanguageExtension = tab2.languageExtension;
-        this.dirty = Boolean(tab2.dirty);
-        this.view.setState(tab2.state);
+        if (!tab2 || !group) return;
+        this.addTabToGroup(tab2, group);
+        const previousTab = group.activeTab;
+        if (previousTab && previousTab !== tab2) {
+          previousTab.scrollTop = group.view.scrollDOM.scrollTop;
+          group.scrollTops.set(previousTab, previousTab.scrollTop);
+        }
+        group.activeTab = tab2;
+        this.activeGroup = group;
+        this.touchMru(group, tab2);
+        this.syncCurrentFile();
+        group.view.setState(group.states.get(tab2));
+        this.showViewer(tab2, group);
+        const scrollTop = group.scrollTops.get(tab2) || 0;
+        requestAnimationFrame(() => {
+          if (group.activeTab === tab2) {
+            group.view.scrollDOM.scrollTop = scrollTop;
+          }
+        });
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
+      }
+      async closeTab(tabId, group = this.activeGroup) {
+        const tab2 = group?.tabs.find((item) => item.id === tabId);
+        if (!tab2) return false;
+        const openElsewhere = this.getGroupsForTab(tab2).length > 1;
+        if (!openElsewhere && !await this.resolveUnsavedTabs([tab2])) return false;
+        this.removeTab(tabId, group);
+        return true;
+      }
+      async closeTabs(tabs, group = this.activeGroup) {
+        const exclusiveTabs = tabs.filter((tab2) => this.getGroupsForTab(tab2).length === 1);
+        if (!await this.resolveUnsavedTabs(exclusiveTabs)) return false;
+        tabs.forEach((tab2) => this.removeTab(tab2.id, group));
+        return true;
+      }
+      async closeOtherTabs(tab2, group = this.activeGroup) {
+        this.setActiveTab(tab2.id, group);
+        return this.closeTabs(group.tabs.filter((item) => item !== tab2 && !item.pinned), group);
+      }
+      async closeTabsToRight(tab2, group = this.activeGroup) {
+        const idx = group.tabs.indexOf(tab2);
+        if (group.activeTab && group.tabs.indexOf(group.activeTab) > idx) {
+          this.setActiveTab(tab2.id, group);
+        }
+        return this.closeTabs(group.tabs.slice(idx + 1).filter((item) => !item.pinned), group);
+      }
+      async closeSavedTabs(group = this.activeGroup) {
+        return this.closeTabs(group.tabs.filter((tab2) => !tab2.dirty && !tab2.pinned), group);
+      }
+      async closeGroupTabs(group = this.activeGroup) {
+        return this.closeTabs(group.tabs.filter((tab2) => !tab2.pinned), group);
+      }
+      touchMru(group, tab2) {
+        group.mru = [tab2, ...group.mru.filter((item) => item !== tab2)];
+      }
+      // Ctrl+Tab é reservado pelo Chrome; a lista começa na aba usada antes da atual,
+      // então o atalho seguido de Enter alterna entre as duas últimas abas
+      showRecentTabs() {
+        const group = this.activeGroup;
+        if (!group?.tabs.length) return;
+        const tabs = [...group.mru, ...group.tabs.filter((tab2) => !group.mru.includes(tab2))];
+        this.showQuickPick(tabs.map((tab2) => ({
+          type: "tab",
+          label: tab2.name,
+          meta: tab2.path,
+          icon: fileTree.getFileIcon(tab2.name),
+          run: () => this.setActiveTab(tab2.id, group)
+        })), "Select an open editor (most recently used first)", { selectedIndex: 1 });
+      }
+      switchTab(step) {
+        const group = this.activeGroup;
+        if (!group?.tabs.length) return;
+        const idx = group.tabs.indexOf(group.activeTab);
+        const next = group.tabs[(idx + step + group.tabs.length) % group.tabs.length];
+        this.setActiveTab(next.id, group);
+      }
+      initTabMenus() {
+        const contextMenu = document.getElementById("tabContextMenu");
+        const listMenu = document.getElementById("tabListMenu");
+        document.addEventListener("click", () => {
+          contextMenu.classList.add("hidden");
+          listMenu.classList.add("hidden");
+        });
+        contextMenu.querySelectorAll("li").forEach((item) => {
+          item.addEventListener("click", async () => {
+            contextMenu.classList.add("hidden");
+            await this.handleTabContextMenuAction(item.dataset.action);
+          });
+        });
+        window.addEventListener("resize", () => {
+          this.groups.forEach((group) => this.updateTabOverflow(group));
+        });
+      }
+      showTabContextMenu(event, tab2, group) {
+        const contextMenu = document.getElementById("tabContextMenu");
+        document.getElementById("contextMenu")?.classList.add("hidden");
+        document.getElementById("tabListMenu")?.classList.add("hidden");
+        this.tabContextMenuTarget = { tab: tab2, group };
+        const idx = group.tabs.indexOf(tab2);
+        contextMenu.querySelector('[data-action="pin"]').textContent = tab2.pinned ? "Unpin" : "Pin";
+        contextMenu.querySelector('[data-action="keepOpen"]').classList.toggle("hidden", !tab2.preview);
+        contextMenu.querySelector('[data-action="closeRight"]').classList.toggle("hidden", idx === group.tabs.length - 1);
+        contextMenu.style.left = `${event.pageX}px`;
+        contextMenu.style.top = `${event.pageY}px`;
+        contextMenu.classList.remove("hidden");
+      }
+      async handleTabContextMenuAction(action) {
+        const { tab: tab2, group } = this.tabContextMenuTarget || {};
+        this.tabContextMenuTarget = null;
+        if (!tab2 || !group.tabs.includes(tab2)) return;
+        switch (action) {
+          case "close":
+            await this.closeTab(tab2.id, group);
+            break;
+          case "closeOthers":
+            await this.closeOtherTabs(tab2, group);
+            break;
+          case "closeRight":
+            await this.closeTabsToRight(tab2, group);
+            break;
+          case "closeSaved":
+            await this.closeSavedTabs(group);
+            break;
+          case "closeAll":
+            await this.closeGroupTabs(group);
+            break;
+          case "pin":
+            this.togglePinTab(tab2);
+            break;
+          case "keepOpen":
+            this.keepTabOpen(tab2);
+            break;
+        }
+      }
+      showTabList(group = this.activeGroup) {
+        const listMenu = document.getElementById("tabListMenu");
+        const list = listMenu.querySelector("ul");
+        document.getElementById("tabContextMenu")?.classList.add("hidden");
+        list.innerHTML = "";
+        group.tabs.forEach((tab2) => {
+          const item = document.createElement("li");
+          item.classList.toggle("active", tab2 === group.activeTab);
+          item.classList.toggle("preview", Boolean(tab2.preview));
+          item.textContent = `${tab2.pinned ? "\u{1F4CC} " : ""}${tab2.name}${tab2.dirty ? " \u2022" : ""}`;
+          item.title = tab2.path;
+          item.addEventListener("click", () => {
+            listMenu.classList.add("hidden");
+            this.setActiveTab(tab2.id, group);
+            group.view.focus();
+          });
+          list.appendChild(item);
+        });
+        listMenu.classList.remove("hidden");
+        const rect = group.listBtn.classList.contains("hidden") ? group.tabsEl.getBoundingClientRect() : group.listBtn.getBoundingClientRect();
+        listMenu.style.top = `${rect.bottom}px`;
+        listMenu.style.left = `${Math.max(0, rect.right - listMenu.offsetWidth)}px`;
+      }
+      updateTabOverflow(group) {
+        const { tabsEl } = group;
+        group.listBtn.classList.toggle("hidden", tabsEl.scrollWidth <= tabsEl.clientWidth);
+        tabsEl.querySelector(".tab-item.active")?.scrollIntoView({ block: "nearest", inline: "nearest" });
+      }
+      async closeAllTabs({ force = false } = {}) {
+        if (!force && !await this.resolveUnsavedTabs(this.openTabs)) return false;
+        this.openTabs = [];
+        this.groups.slice(1).forEach((group2) => this.removeGroup(group2));
+        const [group] = this.groups;
+        group.tabs = [];
+        group.mru = [];
+        group.states.clear();
+        group.scrollTops.clear();
+        this.showEmptyEditor(group);
+        return true;
+      }
+      showEmptyEditor(group = this.activeGroup) {
+        group.activeTab = null;
+        this.activeGroup = group;
+        group.view.setState(this.createState("", []));
+        this.showViewer(null, group);
+        this.syncCurrentFile();
+        this.persistSession();
         this.renderTabs();
         this.updateStatusBar();
       }
-      closeTab(tabId) {
-        const idx = this.openTabs.findIndex((tab2) => tab2.id === tabId);
+      removeTab(tabId, group = this.activeGroup) {
+        const idx = group.tabs.findIndex((tab3) => tab3.id === tabId);
         if (idx === -1) return;
-        const wasActive = this.activeTabId === tabId;
-        this.openTabs.splice(idx, 1);
-        if (!this.openTabs.length) {
-          this.activeTabId = null;
-          this.currentFileHandle = null;
-          this.currentFileName = "No file open";
-          this.currentLanguage = "Plain Text";
-          this.currentLanguageExtension = [];
-          this.dirty = false;
-          this.view.setState(this.createState("", []));
-          fileSystem.clearSession();
-          this.renderTabs();
-          this.updateStatusBar();
+        const [tab2] = group.tabs.splice(idx, 1);
+        const wasActive = group.activeTab === tab2;
+        group.mru = group.mru.filter((item) => item !== tab2);
+        group.states.delete(tab2);
+        group.scrollTops.delete(tab2);
+        if (!this.getGroupsForTab(tab2).length) {
+          this.openTabs.splice(this.openTabs.indexOf(tab2), 1);
+        }
+        if (!group.tabs.length) {
+          if (this.groups.length > 1) {
+            this.removeGroup(group);
+          } else {
+            this.showEmptyEditor(group);
+          }
           return;
         }
         if (wasActive) {
-          const nextIdx = Math.max(0, idx - 1);
-          this.setActiveTab(this.openTabs[nextIdx].id);
-          fileSystem.saveSession(this.openTabs[nextIdx].path);
+          group.activeTab = null;
+          this.setActiveTab(group.tabs[Math.max(0, idx - 1)].id, group);
         } else {
           this.renderTabs();
+          this.scheduleSessionSave();
         }
       }
       renderTabs() {
-        const tabsEl = document.getElementById("tabs");
-        if (!tabsEl) return;
+        this.groups.forEach((group) => this.renderGroupTabs(group));
+        diagnostics.scheduleRefresh();
+      }
+      renderGroupTabs(group) {
+        const tabsEl = group.tabsEl;
         tabsEl.innerHTML = "";
-        this.openTabs.forEach((tab2) => {
+        group.element.classList.toggle("active-group", this.groups.length > 1 && group === this.activeGroup);
+        group.tabs.forEach((tab2) => {
           const item = document.createElement("div");
-          item.className = `tab-item${tab2.id === this.activeTabId ? " active" : ""}`;
+          item.className = `tab-item${tab2 === group.activeTab ? " active" : ""}`;
+          item.classList.toggle("pinned", Boolean(tab2.pinned));
+          item.classList.toggle("preview", Boolean(tab2.preview));
+          item.classList.toggle("external-change", Boolean(tab2.externallyModified));
+          item.classList.toggle("deleted", Boolean(tab2.deletedOnDisk));
           item.dataset.tabId = tab2.id;
+          item.draggable = true;
+          if (tab2.deletedOnDisk) {
+            item.title = `${tab2.path} (deleted on disk)`;
+          } else if (tab2.externallyModified) {
+            item.title = `${tab2.path} (changed on disk)`;
+          } else {
+            item.title = tab2.path;
+          }
           const name2 = document.createElement("span");
           name2.className = "tab-item-name";
           name2.textContent = tab2.name;
@@ -29955,14 +43389,21 @@ ${line.text}`;
           const close = document.createElement("button");
           close.type = "button";
           close.className = "tab-item-close";
-          close.textContent = "\xD7";
-          close.title = `Close ${tab2.name}`;
-          close.dataset.tabClose = tab2.id;
+          if (tab2.pinned) {
+            close.textContent = "\u{1F4CC}";
+            close.title = `Unpin ${tab2.name}`;
+            close.dataset.tabUnpin = tab2.id;
+          } else {
+            close.textContent = "\xD7";
+            close.title = `Close ${tab2.name}`;
+            close.dataset.tabClose = tab2.id;
+          }
           item.appendChild(name2);
           item.appendChild(dirty);
           item.appendChild(close);
           tabsEl.appendChild(item);
         });
+        this.updateTabOverflow(group);
       }
       updateStatusBar() {
         const fileNameEl = document.getElementById("fileName");
@@ -29986,23 +43427,88 @@ ${line.text}`;
         if (languageEl) {
           languageEl.textContent = this.currentLanguage;
         }
+        const indentationEl = document.getElementById("indentation");
+        const encodingEl = document.getElementById("encoding");
+        const eolEl = document.getElementById("eol");
+        const textTab = activeTab && !activeTab.viewer ? activeTab : null;
+        if (indentationEl) {
+          const indentation2 = textTab?.indentation;
+          indentationEl.textContent = indentation2 ? indentation2.useTabs ? `Tab Size: ${indentation2.tabWidth}` : `Spaces: ${indentation2.size}` : "";
+          indentationEl.title = indentation2?.source === "editorconfig" ? "Indentation from .editorconfig (click to change)" : "Select Indentation";
+          indentationEl.classList.toggle("hidden", !textTab);
+        }
+        if (encodingEl) {
+          encodingEl.textContent = textTab ? ENCODINGS[textTab.encoding] : "";
+          encodingEl.classList.toggle("hidden", !textTab);
+        }
+        if (eolEl) {
+          eolEl.textContent = textTab ? textTab.eol : "";
+          eolEl.classList.toggle("hidden", !textTab);
+        }
+      }
+      getActiveTextTab() {
+        const tab2 = this.getActiveTab();
+        return tab2 && !tab2.viewer ? tab2 : null;
+      }
+      setTabFormat(key, value) {
+        const tab2 = this.getActiveTextTab();
+        if (!tab2 || tab2[key] === value) return;
+        tab2[key] = value;
+        tab2.dirty = true;
+        this.dirty = true;
+        this.renderTabs();
+        this.updateStatusBar();
+        this.scheduleSessionSave();
       }
-      renderFileTree(entries, container) {
+      renderFileTree(entries2, container) {
         container.innerHTML = "";
-        if (!entries || entries.length === 0) {
+        if (!entries2 || entries2.length === 0) {
           container.innerHTML = '<div class="empty-state"><p>Click no botao de pasta para abrir um diretorio</p></div>';
           return;
         }
-        entries.forEach((entry) => {
+        entries2.forEach((entry) => {
           const item = fileTree.createTreeItem(entry, this.currentFileHandle, this.openFile.bind(this));
           container.appendChild(item);
         });
       }
-      async quickOpenFile() {
-        await this.openQuickOpen();
+      showSidebarView(viewName, { focus = true } = {}) {
+        const sidebar = document.getElementById("sidebar");
+        sidebar?.classList.remove("collapsed");
+        document.querySelectorAll(".sidebar-switch").forEach((btn) => {
+          btn.classList.toggle("active", btn.dataset.view === viewName);
+        });
+        document.querySelectorAll(".sidebar-view").forEach((view) => {
+          view.classList.toggle("hidden", view.dataset.view !== viewName);
+        });
+        if (viewName === "search" && focus) {
+          projectSearch.focus();
+        }
+        if (viewName === "outline") {
+          outline.refresh();
+        }
       }
       initEventListeners() {
         this.initTopMenus();
+        document.querySelectorAll(".sidebar-switch").forEach((btn) => {
+          btn.addEventListener("click", () => {
+            this.showSidebarView(btn.dataset.view);
+          });
+        });
+        window.addEventListener("beforeunload", (e) => {
+          if (this.openTabs.some((tab2) => tab2.dirty)) {
+            this.persistSession();
+            e.preventDefault();
+            e.returnValue = "";
+          }
+        });
+        window.addEventListener("pagehide", () => {
+          this.persistSession();
+        });
+        document.addEventListener("visibilitychange", () => {
+          if (document.visibilityState === "hidden") {
+            this.persistSession();
+          }
+        });
         document.getElementById("themeToggle")?.addEventListener("click", () => {
           this.toggleTheme();
         });
@@ -30016,47 +43522,137 @@ ${line.text}`;
           await fileTree.createNewFolder();
         });
         document.getElementById("refreshBtn")?.addEventListener("click", async () => {
-          await fileTree.refresh();
-        });
-        document.getElementById("tabs")?.addEventListener("click", (e) => {
-          const closeBtn = e.target.closest("[data-tab-close]");
-          if (closeBtn) {
-            e.stopPropagation();
-            this.closeTab(closeBtn.dataset.tabClose);
-            return;
-          }
-          const tabEl = e.target.closest(".tab-item");
-          if (tabEl?.dataset.tabId) {
-            this.setActiveTab(tabEl.dataset.tabId);
-          }
+          fileIndex.rebuild();
+          await fileTree.refresh({ preserveExpanded: true });
         });
+        this.initTabMenus();
+        dialog.init();
         shortcuts.init(this);
+        projectSearch.init(this);
+        outline.init(this);
+        workspaceSymbols.init(this);
+        completion.init(this);
+        snippets3.init(this);
+        diagnostics.init(this);
+        markdownPreview.init(this);
+        htmlPreview.init(this);
+        git.init(this);
+      }
+      registerCommands() {
+        const hasActiveTab = () => Boolean(this.getActiveTab());
+        const hasTabs = () => this.openTabs.length > 0;
+        const hasDirtyTabs = () => this.openTabs.some((tab2) => tab2.dirty);
+        const hasScriptTab = () => {
+          const tab2 = this.getActiveTab();
+          return Boolean(tab2 && !tab2.viewer && isScriptFile(tab2.path));
+        };
+        const hasPreviewTab = () => this.canPreview(this.getActiveTab());
+        [
+          { id: "file.openFolder", category: "File", title: "Open Folder", keybinding: "Mod-o", icon: "\u{1F4C2}", menu: "file", run: async () => fileTree.openFolder() },
+          { id: "file.newFile", category: "File", title: "New File", keybinding: "Mod-n", icon: "\u{1F4C4}", menu: "file", run: async () => fileTree.createNewFile() },
+          { id: "file.newFolder", category: "File", title: "New Folder", icon: "\u{1F4C1}", menu: "file", run: async () => fileTree.createNewFolder() },
+          { id: "file.save", category: "File", title: "Save", keybinding: "Mod-s", icon: "\u{1F4BE}", menu: "file", when: hasActiveTab, run: async () => this.saveCurrentFile() },
+          { id: "file.saveAll", category: "File", title: "Save All", keybinding: "Mod-Alt-s", icon: "\u{1F4BE}", menu: "file", when: hasDirtyTabs, run: async () => this.saveAllTabs() },
+          { id: "file.toggleFormatOnSave", category: "File", title: "Format on Save", icon: "\u{1FA84}", menu: "file", checked: () => this.settings.formatOnSave, run: () => this.toggleSetting("formatOnSave") },
+          { id: "file.toggleTrimTrailingWhitespace", category: "File", title: "Trim Trailing Whitespace on Save", icon: "\u2423", menu: "file", checked: () => this.settings.trimTrailingWhitespace, run: () => this.toggleSetting("trimTrailingWhitespace") },
+          { id: "file.toggleInsertFinalNewline", category: "File", title: "Insert Final Newline on Save", icon: "\u21B5", menu: "file", checked: () => this.settings.insertFinalNewline, run: () => this.toggleSetting("insertFinalNewline") },
+          { id: "file.closeAllTabs", category: "File", title: "Close All Tabs", icon: "\u{1F5C2}\uFE0F", menu: "file", when: hasTabs, run: async () => this.closeAllTabs() },
+          { id: "file.closeOtherTabs", category: "File", title: "Close Other Tabs", icon: "\u{1F5C2}\uFE0F", when: hasActiveTab, run: async () => this.closeOtherTabs(this.getActiveTab()) },
+          { id: "file.closeTabsToRight", category: "File", title: "Close Tabs to the Right", icon: "\u{1F5C2}\uFE0F", when: hasActiveTab, run: async () => this.closeTabsToRight(this.getActiveTab()) },
+          { id: "file.closeSavedTabs", category: "File", title: "Close Saved Tabs", icon: "\u{1F5C2}\uFE0F", when: hasTabs, run: async () => this.closeSavedTabs() },
+          { id: "file.togglePinTab", category: "File", title: "Pin/Unpin Tab", icon: "\u{1F4CC}", when: hasActiveTab, run: () => this.togglePinTab(this.getActiveTab()) },
+          { id: "file.keepTabOpen", category: "File", title: "Keep Tab Open", icon: "\u{1F4C4}", when: () => Boolean(this.getActiveTab()?.preview), run: () => this.keepTabOpen(this.getActiveTab()) },
+          { id: "edit.duplicateLine", category: "Edit", title: "Duplicate Line", keybinding: "Mod-d", icon: "\u29C9", menu: "edit", when: hasActiveTab, run: () => this.duplicateLine() },
+          { id: "edit.deleteLine", category: "Edit", title: "Delete Line", keybinding: "Mod-Shift-k", icon: "\u2702\uFE0F", menu: "edit", when: hasActiveTab, run: () => this.deleteLine() },
+          { id: "edit.moveLineUp", category: "Edit", title: "Move Line Up", keybinding: "Alt-ArrowUp", icon: "\u2B06\uFE0F", menu: "edit", when: hasActiveTab, run: () => this.moveLine(-1) },
+          { id: "edit.moveLineDown", category: "Edit", title: "Move Line Down", keybinding: "Alt-ArrowDown", icon: "\u2B07\uFE0F", menu: "edit", when: hasActiveTab, run: () => this.moveLine(1) },
+          { id: "edit.triggerSuggest", category: "Edit", title: "Trigger Suggest", keybinding: "Ctrl-Space", icon: "\u{1F4A1}", menu: "edit", when: hasActiveTab, run: () => this.triggerSuggest() },
+          { id: "snippets.insert", category: "Snippets", title: "Insert Snippet...", icon: "\u{1F9E9}", menu: "edit", when: () => this.getActiveTextTab(), run: () => this.pickSnippet() },
+          { id: "snippets.import", category: "Snippets", title: "Import Snippets File...", icon: "\u{1F4E5}", run: async () => this.importSnippets() },
+          { id: "snippets.export", category: "Snippets", title: "Export User Snippets...", icon: "\u{1F4E4}", when: () => snippets3.getUserFileNames().length > 0, run: () => this.pickUserSnippetsFile("Select a snippets file to export", (fileName) => this.exportSnippets(fileName)) },
+          { id: "snippets.remove", category: "Snippets", title: "Remove User Snippets File...", icon: "\u{1F5D1}\uFE0F", when: () => snippets3.getUserFileNames().length > 0, run: () => this.pickUserSnippetsFile("Select a snippets file to remove", (fileName) => this.removeSnippets(fileName)) },
+          { id: "edit.formatDocument", category: "Edit", title: "Format Document", keybinding: "Shift-Alt-f", icon: "\u{1FA84}", menu: "edit", when: () => this.getActiveTextTab(), run: async () => this.formatDocument() },
+          { id: "edit.formatSelection", category: "Edit", title: "Format Selection", icon: "\u{1FA84}", menu: "edit", when: () => this.getActiveTextTab(), run: async () => this.formatDocument({ selection: true }) },
+          { id: "edit.toggleComment", category: "Edit", title: "Toggle Comment", keybinding: "Mod-/", icon: "\u{1F4AC}", menu: "edit", when: hasActiveTab, run: () => this.toggleComment() },
+          { id: "search.findInFiles", category: "Search", title: "Find in Files", keybinding: "Mod-Shift-f", icon: "\u{1F50D}", menu: "edit", run: () => this.showSidebarView("search") },
+          { id: "workbench.quickOpen", category: "Go", title: "Go to File...", keybinding: "Mod-p", icon: "\u{1F7E2}", menu: "view", run: async () => this.openQuickOpen() },
+          { id: "workbench.goToSymbol", category: "Go", title: "Go to Symbol in Editor...", keybinding: "Mod-Shift-o", icon: "@", menu: "view", when: hasActiveTab, run: async () => this.openQuickOpen("@") },
+          { id: "workbench.showAllSymbols", category: "Go", title: "Go to Symbol in Workspace...", keybinding: "Mod-Alt-o", icon: "#", menu: "view", run: async () => this.openQuickOpen("#") },
+          { id: "editor.goToDefinition", category: "Go", title: "Go to Definition", keybinding: "F12", icon: "\u21AA", menu: "edit", when: hasScriptTab, run: async () => this.goToDefinition() },
+          { id: "editor.nextProblem", category: "Go", title: "Go to Next Problem", keybinding: "F8", icon: "\u26A0", menu: "edit", when: () => this.getActiveTextTab(), run: () => nextDiagnostic(this.view) },
+          { id: "editor.previousProblem", category: "Go", title: "Go to Previous Problem", keybinding: "Shift-F8", icon: "\u26A0", when: () => this.getActiveTextTab(), run: () => previousDiagnostic(this.view) },
+          { id: "editor.findReferences", category: "Go", title: "Find All References", keybinding: "Shift-F12", icon: "\u21F6", menu: "edit", when: hasScriptTab, run: async () => this.findReferences() },
+          { id: "workbench.commandPalette", category: "View", title: "Command Palette...", keybinding: "Mod-Shift-p", icon: "\u2328\uFE0F", menu: "view", run: async () => this.openQuickOpen(">") },
+          { id: "editor.indentUsingSpaces", category: "View", title: "Indent Using Spaces", icon: "\u2423", menu: "indentation", when: () => this.getActiveTextTab(), checked: () => this.getActiveTextTab()?.indentation.useTabs === false, run: () => this.setTabIndentation({ useTabs: false }) },
+          { id: "editor.indentUsingTabs", category: "View", title: "Indent Using Tabs", icon: "\u21E5", menu: "indentation", when: () => this.getActiveTextTab(), checked: () => this.getActiveTextTab()?.indentation.useTabs === true, run: () => this.setTabIndentation({ useTabs: true }) },
+          ...[2, 4, 8].map((size) => ({
+            id: `editor.indentSize.${size}`,
+            category: "View",
+            title: `Indentation Size: ${size}`,
+            icon: "\u21E5",
+            menu: "indentation",
+            when: () => this.getActiveTextTab(),
+            checked: () => this.getActiveTextTab()?.indentation.size === size,
+            run: () => this.setTabIndentation({ size })
+          })),
+          { id: "editor.reloadEditorConfig", category: "View", title: "Reapply .editorconfig", icon: "\u21BB", menu: "indentation", when: () => this.getActiveTextTab(), run: async () => this.reapplyEditorConfig() },
+          ...Object.entries(ENCODINGS).map(([encoding, label]) => ({
+            id: `file.changeEncoding.${encoding}`,
+            category: "File",
+            title: `Save with Encoding: ${label}`,
+            icon: "\u{1F524}",
+            menu: "encoding",
+            when: () => this.getActiveTextTab(),
+            checked: () => this.getActiveTextTab()?.encoding === encoding,
+            run: () => this.setTabFormat("encoding", encoding)
+          })),
+          ...Object.keys(EOLS).map((eol2) => ({
+            id: `file.changeEol.${eol2.toLowerCase()}`,
+            category: "File",
+            title: `Change End of Line Sequence: ${eol2}`,
+            icon: "\u21B5",
+            menu: "eol",
+            when: () => this.getActiveTextTab(),
+            checked: () => this.getActiveTextTab()?.eol === eol2,
+            run: () => this.setTabFormat("eol", eol2)
+          })),
+          { id: "view.explorer", category: "View", title: "Show Explorer", icon: "\u{1F4C1}", menu: "view", run: () => this.showSidebarView("explorer") },
+          { id: "view.search", category: "View", title: "Show Search", icon: "\u{1F50D}", menu: "view", run: () => this.showSidebarView("search") },
+          { id: "view.outline", category: "View", title: "Show Outline", icon: "\u2630", menu: "view", run: () => this.showSidebarView("outline") },
+          { id: "view.problems", category: "View", title: "Show Problems", keybinding: "Mod-Shift-m", icon: "\u26A0", menu: "view", run: () => this.showSidebarView("problems") },
+          { id: "preview.openToSide", category: "Preview", title: "Open Preview to the Side", keybinding: "Mod-Shift-v", icon: "\u25E7", menu: "view", when: hasPreviewTab, checked: () => this.getActiveTab()?.previewMode === "side", run: () => this.setPreviewMode("side") },
+          { id: "preview.open", category: "Preview", title: "Open Preview", icon: "\u{1F441}", menu: "view", when: hasPreviewTab, checked: () => this.getActiveTab()?.previewMode === "only", run: () => this.setPreviewMode("only") },
+          { id: "preview.close", category: "Preview", title: "Close Preview", icon: "\u2715", menu: "view", when: () => hasPreviewTab() && Boolean(this.getActiveTab().previewMode), run: () => this.setPreviewMode(null) },
+          { id: "preview.toggleRefreshOnType", category: "Preview", title: "Refresh Live Preview While Typing", icon: "\u27F3", menu: "view", checked: () => this.settings.refreshPreviewOnType, run: () => this.toggleSetting("refreshPreviewOnType") },
+          { id: "view.toggleSidebar", category: "View", title: "Toggle Sidebar", keybinding: "Mod-b", icon: "\u{1F9ED}", menu: "view", run: () => shortcuts.toggleSidebar() },
+          { id: "view.splitRight", category: "View", title: "Split Editor Right", keybinding: "Mod-\\", icon: "\u25EB", menu: "view", when: () => this.groups.length < MAX_GROUPS, run: () => this.splitEditor("horizontal") },
+          { id: "view.splitDown", category: "View", title: "Split Editor Down", icon: "\u2B13", menu: "view", when: () => this.groups.length < MAX_GROUPS, run: () => this.splitEditor("vertical") },
+          { id: "view.nextTab", category: "View", title: "Open Next Tab", keybinding: "Alt-PageDown", icon: "\u2192", when: hasActiveTab, run: () => this.switchTab(1) },
+          { id: "view.previousTab", category: "View", title: "Open Previous Tab", keybinding: "Alt-PageUp", icon: "\u2190", when: hasActiveTab, run: () => this.switchTab(-1) },
+          { id: "view.showRecentTabs", category: "View", title: "Show Recently Used Editors", keybinding: "Mod-e", icon: "\u21C6", when: hasActiveTab, run: () => this.showRecentTabs() },
+          { id: "view.showOpenedTabs", category: "View", title: "Show Opened Tabs", icon: "\u2304", when: hasTabs, run: () => this.showTabList() },
+          { id: "view.focusNextGroup", category: "View", title: "Focus Next Editor Group", icon: "\u21E5", when: () => this.groups.length > 1, run: () => this.focusNextGroup() },
+          { id: "view.moveEditorToNextGroup", category: "View", title: "Move Editor into Next Group", icon: "\u21E2", when: () => this.groups.length > 1 && this.getActiveTab(), run: () => this.moveEditorToNextGroup() },
+          { id: "view.closeEditorGroup", category: "View", title: "Close Editor Group", icon: "\u2715", menu: "view", when: () => this.groups.length > 1, run: () => this.closeGroup() },
+          { id: "view.toggleIgnoredFiles", category: "View", title: "Show Ignored Files", icon: "\u{1F648}", menu: "view", checked: () => this.settings.explorerShowIgnored, run: () => this.toggleExplorerSetting("explorerShowIgnored") },
+          { id: "view.toggleDotFiles", category: "View", title: "Show Dot Files", icon: "\u2022", menu: "view", checked: () => this.settings.explorerShowDotFiles, run: () => this.toggleExplorerSetting("explorerShowDotFiles") },
+          { id: "view.toggleTheme", category: "View", title: "Toggle Theme", icon: "\u{1F313}", menu: "view", run: () => this.toggleTheme() }
+        ].forEach((command3) => commands.register(command3));
       }
       initTopMenus() {
         const menuButtons = document.querySelectorAll(".menu-item");
-        const menuDefs = {
-          file: [
-            { label: "Open Folder", run: async () => fileTree.openFolder() },
-            { label: "New File", run: async () => fileTree.createNewFile() },
-            { label: "New Folder", run: async () => fileTree.createNewFolder() },
-            { label: "Save", run: async () => this.saveCurrentFile() }
-          ],
-          edit: [
-            { label: "Duplicate Line", run: () => this.duplicateLine() },
-            { label: "Delete Line", run: () => this.deleteLine() },
-            { label: "Toggle Comment", run: () => this.toggleComment() }
-          ],
-          view: [
-            { label: "Toggle Sidebar", run: () => shortcuts.toggleSidebar() },
-            { label: "Toggle Theme", run: () => this.toggleTheme() }
-          ]
-        };
         menuButtons.forEach((btn) => {
           btn.addEventListener("click", (e) => {
             e.stopPropagation();
             const menuName = btn.dataset.action;
-            const items = menuDefs[menuName] || [];
-            this.toggleTopMenu(btn, menuName, items);
+            this.toggleTopMenu(btn, menuName, commands.getMenu(menuName));
+          });
+        });
+        document.querySelectorAll("[data-status-menu]").forEach((el) => {
+          el.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const menuName = el.dataset.statusMenu;
+            this.toggleTopMenu(el, menuName, commands.getMenu(menuName));
           });
         });
         document.addEventListener("click", () => {
@@ -30071,15 +43667,25 @@ ${line.text}`;
         this.hideTopMenu();
         const menu = document.createElement("div");
         menu.className = "top-menu-popup";
-        items.forEach((itemDef) => {
+        items.forEach((command3) => {
           const item = document.createElement("button");
           item.type = "button";
           item.className = "top-menu-item";
-          item.textContent = itemDef.label;
+          item.classList.toggle("checked", commands.isChecked(command3));
+          item.disabled = !commands.isEnabled(command3);
+          const label = document.createElement("span");
+          label.textContent = command3.title;
+          item.appendChild(label);
+          if (command3.keybinding) {
+            const keybinding = document.createElement("span");
+            keybinding.className = "top-menu-keybinding";
+            keybinding.textContent = commands.formatKeybinding(command3.keybinding);
+            item.appendChild(keybinding);
+          }
           item.addEventListener("click", async (e) => {
             e.stopPropagation();
-            await itemDef.run();
             this.hideTopMenu();
+            await commands.execute(command3.id);
           });
           menu.appendChild(item);
         });
@@ -30087,6 +43693,13 @@ ${line.text}`;
         menu.style.left = `${anchorRect.left}px`;
         menu.style.top = `${anchorRect.bottom + 4}px`;
         document.body.appendChild(menu);
+        const menuRect = menu.getBoundingClientRect();
+        if (menuRect.bottom > window.innerHeight) {
+          menu.style.top = `${Math.max(0, anchorRect.top - menuRect.height - 4)}px`;
+        }
+        if (menuRect.right > window.innerWidth) {
+          menu.style.left = `${Math.max(0, window.innerWidth - menuRect.width - 4)}px`;
+        }
         this.activeTopMenu = { name: menuName, element: menu };
       }
       hideTopMenu() {
@@ -30102,14 +43715,7 @@ ${line.text}`;
         this.quickOpen.overlay = overlay;
         this.quickOpen.input = input;
         this.quickOpen.list = list;
-        this.quickOpen.commands = [
-          { label: "Open folder", meta: "Cmd/Ctrl+O", icon: "\u{1F4C2}", run: async () => fileTree.openFolder() },
-          { label: "New file", meta: "Cmd/Ctrl+N", icon: "\u{1F4C4}", run: async () => fileTree.createNewFile() },
-          { label: "New folder", meta: "UI", icon: "\u{1F4C1}", run: async () => fileTree.createNewFolder() },
-          { label: "Save file", meta: "Cmd/Ctrl+S", icon: "\u{1F4BE}", run: async () => this.saveCurrentFile() },
-          { label: "Toggle sidebar", meta: "Cmd/Ctrl+B", icon: "\u{1F9ED}", run: () => shortcuts.toggleSidebar() },
-          { label: "Toggle theme", meta: "UI", icon: "\u{1F313}", run: () => this.toggleTheme() }
-        ];
+        this.quickOpen.defaultPlaceholder = input.placeholder;
         overlay.addEventListener("click", (e) => {
           if (e.target === overlay) {
             this.closeQuickOpen();
@@ -30141,13 +43747,14 @@ ${line.text}`;
           }
         });
       }
-      async openQuickOpen() {
+      async openQuickOpen(prefix = "") {
         if (!this.quickOpen.overlay || !this.quickOpen.input || !this.quickOpen.list) return;
-        this.quickOpen.files = await fileTree.getAllFiles();
+        this.quickOpen.files = prefix === ">" ? [] : await fileTree.getAllFiles();
+        this.quickOpen.recentFiles = await this.loadRecentFiles();
         this.quickOpen.open = true;
         this.quickOpen.overlay.classList.remove("hidden");
-        this.quickOpen.input.value = "";
-        this.updateQuickOpenEntries("");
+        this.quickOpen.input.value = prefix;
+        this.updateQuickOpenEntries(prefix);
         this.renderQuickOpenEntries();
         this.quickOpen.input.focus();
       }
@@ -30157,36 +43764,271 @@ ${line.text}`;
         this.quickOpen.overlay.classList.add("hidden");
         this.quickOpen.entries = [];
         this.quickOpen.selectedIndex = 0;
+        this.quickOpen.pick = null;
+        this.quickOpen.symbolsPending = null;
+        this.quickOpen.input.placeholder = this.quickOpen.defaultPlaceholder;
         this.view?.focus();
       }
+      // lista fixa de opções no Quick Open (ex.: várias definições possíveis)
+      showQuickPick(entries2, placeholder, { selectedIndex = 0 } = {}) {
+        if (!this.quickOpen.overlay) return;
+        this.quickOpen.pick = entries2;
+        this.quickOpen.open = true;
+        this.quickOpen.overlay.classList.remove("hidden");
+        this.quickOpen.input.value = "";
+        this.quickOpen.input.placeholder = placeholder;
+        this.updateQuickOpenEntries("");
+        this.quickOpen.selectedIndex = Math.max(0, Math.min(selectedIndex, this.quickOpen.entries.length - 1));
+        this.renderQuickOpenEntries();
+        this.quickOpen.input.focus();
+      }
       updateQuickOpenEntries(query) {
-        const q = query.trim().toLowerCase();
-        const commandEntries = this.quickOpen.commands.filter((cmd2) => !q || cmd2.label.toLowerCase().includes(q)).map((cmd2) => ({
-          type: "command",
-          label: cmd2.label,
-          meta: cmd2.meta,
-          icon: cmd2.icon,
-          run: cmd2.run
-        }));
-        const fileEntries = this.quickOpen.files.filter((file) => !q || file.path.toLowerCase().includes(q)).slice(0, 80).map((file) => ({
+        if (this.quickOpen.pick) {
+          this.quickOpen.entries = this.quickOpen.pick.map((entry) => ({ ...entry, match: fuzzyMatch(query.trim(), entry.label) })).filter((entry) => entry.match).map(({ match, ...entry }) => ({ ...entry, positions: match.positions }));
+          this.quickOpen.selectedIndex = 0;
+          return;
+        }
+        if (query.startsWith("#")) {
+          this.quickOpen.entries = this.getWorkspaceSymbolEntries(query.slice(1).trim());
+          this.quickOpen.selectedIndex = 0;
+          return;
+        }
+        if (query.startsWith(">")) {
+          this.quickOpen.entries = commands.search(query.slice(1)).map(({ command: command3, label, positions }) => ({
+            type: "command",
+            label,
+            positions,
+            meta: commands.formatKeybinding(command3.keybinding),
+            icon: command3.icon,
+            run: async () => commands.execute(command3.id)
+          }));
+          this.quickOpen.selectedIndex = 0;
+          return;
+        }
+        const { filePart, line, column, symbol } = this.parseQuickOpenQuery(query);
+        const location = line ? { line, column: column || 1 } : null;
+        if (!filePart && (location || symbol !== null)) {
+          this.quickOpen.entries = location ? this.getGoToLineEntries(location) : this.getSymbolEntries(symbol);
+          this.quickOpen.selectedIndex = 0;
+          return;
+        }
+        this.quickOpen.entries = this.rankQuickOpenFiles(filePart).slice(0, 100).map(({ file, positions }) => ({
           type: "file",
           label: file.path,
-          meta: "file",
-          icon: "\u{1F7E2}",
-          run: async () => this.openFile(file.handle, file.path)
+          positions,
+          meta: location ? `${location.line}:${location.column}` : symbol ? `@${symbol}` : "",
+          icon: fileTree.getFileIcon(file.name),
+          run: async () => {
+            const handle = await fileIndex.resolveHandle(file);
+            if (!handle) return;
+            await this.openFile(handle, file.path, location);
+            if (symbol) {
+              this.revealSymbol(symbol);
+            }
+          }
         }));
-        this.quickOpen.entries = [...commandEntries, ...fileEntries].slice(0, 100);
         this.quickOpen.selectedIndex = 0;
       }
+      parseQuickOpenQuery(query) {
+        let rest = query.trim();
+        let symbol = null;
+        const symbolIdx = rest.indexOf("@");
+        if (symbolIdx !== -1) {
+          symbol = rest.slice(symbolIdx + 1).trim();
+          rest = rest.slice(0, symbolIdx);
+        }
+        const match = /^(.*?)(?::(\d+))?(?::(\d+))?:?$/.exec(rest.trim());
+        return {
+          filePart: match[1].trim(),
+          line: match[2] ? Number(match[2]) : null,
+          column: match[3] ? Number(match[3]) : null,
+          symbol
+        };
+      }
+      rankQuickOpenFiles(filePart) {
+        const { files, recentFiles } = this.quickOpen;
+        const recentRank = new Map(recentFiles.map((path, idx) => [path, idx]));
+        if (!filePart) {
+          const recent = files.filter((file) => recentRank.has(file.path)).sort((a, b) => recentRank.get(a.path) - recentRank.get(b.path));
+          const others = files.filter((file) => !recentRank.has(file.path));
+          return [...recent, ...others].map((file) => ({ file, positions: [] }));
+        }
+        const query = filePart.replace(/\s+/g, "");
+        const matchPathOnly = query.includes("/");
+        const ranked = [];
+        files.forEach((file) => {
+          let best = null;
+          if (!matchPathOnly) {
+            const nameMatch = fuzzyMatch(query, file.name);
+            if (nameMatch) {
+              const offset = file.path.length - file.name.length;
+              best = {
+                score: nameMatch.score * 2 + 20,
+                positions: nameMatch.positions.map((pos) => pos + offset)
+              };
+            }
+          }
+          const pathMatch = fuzzyMatch(query, file.path);
+          if (pathMatch && (!best || pathMatch.score > best.score)) {
+            best = pathMatch;
+          }
+          if (!best) return;
+          const rank = recentRank.get(file.path);
+          const recentBonus = rank === void 0 ? 0 : Math.max(0, 20 - rank) * 1.5;
+          ranked.push({
+            file,
+            positions: best.positions,
+            score: best.score + recentBonus - file.path.length * 0.01
+          });
+        });
+        return ranked.sort((a, b) => b.score - a.score);
+      }
+      getGoToLineEntries(location) {
+        if (!this.getActiveTab()) return [];
+        const lines = this.view.state.doc.lines;
+        const line = Math.min(location.line, lines);
+        return [{
+          type: "line",
+          label: `Go to line ${line}, column ${location.column}`,
+          meta: `${lines} lines`,
+          icon: "\u21AA",
+          run: () => this.revealLocation({ line, column: location.column })
+        }];
+      }
+      getWorkspaceSymbolEntries(query) {
+        if (!this.quickOpen.symbolsPending) {
+          this.quickOpen.symbolsPending = workspaceSymbols.ensure().then(() => {
+            const value = this.quickOpen.input.value;
+            if (!this.quickOpen.open || !value.startsWith("#")) return;
+            this.updateQuickOpenEntries(value);
+            this.renderQuickOpenEntries();
+          });
+        }
+        return workspaceSymbols.search(query).map(({ path, symbol, positions }) => ({
+          type: "symbol",
+          label: symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name,
+          positions: symbol.container ? positions.map((pos) => pos + symbol.container.length + 1) : positions,
+          meta: `${path}:${symbol.line}`,
+          icon: SYMBOL_ICONS[symbol.kind] || "\u2022",
+          run: () => this.openSymbolLocation({ path, ...symbol })
+        }));
+      }
+      async openSymbolLocation(location) {
+        const activeTab = this.getActiveTab();
+        const target = { line: location.line, column: location.column, length: location.name?.length || 0 };
+        if (activeTab?.path === location.path) {
+          this.revealLocation(target);
+          return;
+        }
+        const file = workspaceSymbols.getFile(location.path);
+        const handle = file ? await fileIndex.resolveHandle(file) : null;
+        if (!handle) {
+          this.showStatusMessage(`Cannot open ${location.path}`);
+          return;
+        }
+        await this.openFile(handle, location.path, target);
+      }
+      getDefinitionContext() {
+        const tab2 = this.getActiveTab();
+        if (!tab2 || tab2.viewer || !isScriptFile(tab2.path)) return null;
+        const { state } = this.view;
+        const tree = ensureSyntaxTree(state, state.doc.length, 500) || syntaxTree(state);
+        return { tab: tab2, state, tree, pos: state.selection.main.head };
+      }
+      async goToDefinition() {
+        const context = this.getDefinitionContext();
+        if (!context) return;
+        const definitions = await workspaceSymbols.findDefinitions(context.tab.path, context.state, context.tree, context.pos);
+        if (!definitions.length) {
+          this.showStatusMessage("No definition found");
+          return;
+        }
+        if (definitions.length === 1) {
+          await this.openSymbolLocation(definitions[0]);
+          return;
+        }
+        this.showQuickPick(definitions.map((definition) => ({
+          type: "symbol",
+          label: definition.container ? `${definition.container}.${definition.name}` : definition.name,
+          meta: `${definition.path}:${definition.line}`,
+          icon: SYMBOL_ICONS[definition.kind] || "\u2022",
+          run: () => this.openSymbolLocation(definition)
+        })), `${definitions.length} definitions found`);
+      }
+      async findReferences() {
+        const context = this.getDefinitionContext();
+        if (!context) return;
+        const [definition] = await workspaceSymbols.findDefinitions(context.tab.path, context.state, context.tree, context.pos);
+        if (!definition) {
+          this.showStatusMessage("No symbol found at cursor");
+          return;
+        }
+        this.showStatusMessage(`Finding references to ${definition.name}...`);
+        const results = await workspaceSymbols.findReferences(definition);
+        const total = results.reduce((sum, result) => sum + result.matches.length, 0);
+        this.showSidebarView("search", { focus: false });
+        projectSearch.showResults(
+          results,
+          total ? `${total} reference${total === 1 ? "" : "s"} to ${definition.name} in ${results.length} file${results.length === 1 ? "" : "s"}` : `No references to ${definition.name} found.`
+        );
+        this.showStatusMessage("");
+      }
+      showStatusMessage(message) {
+        const statusEl = document.getElementById("fileOperationStatus");
+        if (!statusEl) return;
+        clearTimeout(this.statusMessageTimer);
+        statusEl.textContent = message;
+        statusEl.classList.toggle("hidden", !message);
+        if (message) {
+          this.statusMessageTimer = setTimeout(() => statusEl.classList.add("hidden"), 3e3);
+        }
+      }
+      getSymbolEntries(query) {
+        if (!this.getActiveTab()) return [];
+        const symbols = extractSymbols(this.view.state);
+        const matched = symbols.map((symbol) => ({ symbol, match: fuzzyMatch(query, symbol.name) })).filter(({ match }) => match);
+        if (query) {
+          matched.sort((a, b) => b.match.score - a.match.score);
+        }
+        return matched.map(({ symbol, match }) => ({
+          type: "symbol",
+          label: symbol.name,
+          positions: match.positions,
+          meta: `${symbol.kind} \xB7 Ln ${symbol.line}`,
+          icon: SYMBOL_ICONS[symbol.kind] || "\u2022",
+          run: () => this.revealRange(symbol.from, symbol.to)
+        }));
+      }
+      revealSymbol(query) {
+        if (!this.view) return;
+        let best = null;
+        extractSymbols(this.view.state).forEach((symbol) => {
+          const match = fuzzyMatch(query, symbol.name);
+          if (match && (!best || match.score > best.score)) {
+            best = { score: match.score, symbol };
+          }
+        });
+        if (best) {
+          this.revealRange(best.symbol.from, best.symbol.to);
+        }
+      }
+      revealRange(from, to = from) {
+        if (!this.view) return;
+        this.view.dispatch({
+          selection: { anchor: from, head: to },
+          effects: EditorView.scrollIntoView(from, { y: "center" })
+        });
+        this.view.focus();
+      }
       renderQuickOpenEntries() {
-        const { list, entries, selectedIndex } = this.quickOpen;
+        const { list, entries: entries2, selectedIndex } = this.quickOpen;
         if (!list) return;
         list.innerHTML = "";
-        if (!entries.length) {
+        if (!entries2.length) {
           list.innerHTML = '<div class="quick-open-empty">No results.</div>';
           return;
         }
-        entries.forEach((entry, index) => {
+        entries2.forEach((entry, index) => {
           const button = document.createElement("button");
           button.type = "button";
           button.className = `quick-open-item${index === selectedIndex ? " active" : ""}`;
@@ -30197,14 +44039,16 @@ ${line.text}`;
           icon.textContent = entry.icon;
           const label = document.createElement("span");
           label.className = "quick-open-label";
-          label.textContent = entry.label;
-          const meta2 = document.createElement("span");
-          meta2.className = "quick-open-meta";
-          meta2.textContent = entry.meta;
+          this.appendHighlightedText(label, entry.label, entry.positions);
           main.appendChild(icon);
           main.appendChild(label);
           button.appendChild(main);
-          button.appendChild(meta2);
+          if (entry.meta) {
+            const meta2 = document.createElement("span");
+            meta2.className = "quick-open-meta";
+            meta2.textContent = entry.meta;
+            button.appendChild(meta2);
+          }
           button.addEventListener("mousemove", () => {
             if (this.quickOpen.selectedIndex !== index) {
               this.quickOpen.selectedIndex = index;
@@ -30218,6 +44062,35 @@ ${line.text}`;
           list.appendChild(button);
         });
       }
+      appendHighlightedText(element, text3, positions = []) {
+        if (!positions || !positions.length) {
+          element.textContent = text3;
+          return;
+        }
+        const marked = new Set(positions);
+        let buffer = "";
+        let bufferMarked = false;
+        const flush = () => {
+          if (!buffer) return;
+          if (bufferMarked) {
+            const mark = document.createElement("mark");
+            mark.textContent = buffer;
+            element.appendChild(mark);
+          } else {
+            element.appendChild(document.createTextNode(buffer));
+          }
+          buffer = "";
+        };
+        for (let index = 0; index < text3.length; index++) {
+          const isMarked = marked.has(index);
+          if (isMarked !== bufferMarked) {
+            flush();
+            bufferMarked = isMarked;
+          }
+          buffer += text3[index];
+        }
+        flush();
+      }
       moveQuickOpenSelection(direction) {
         const total = this.quickOpen.entries.length;
         if (!total) return;
@@ -30232,8 +44105,15 @@ ${line.text}`;
       async confirmQuickOpenSelection() {
         const entry = this.quickOpen.entries[this.quickOpen.selectedIndex];
         if (!entry) return;
-        await entry.run();
         this.closeQuickOpen();
+        await entry.run();
+      }
+      loadRecentFiles() {
+        return new Promise((resolve) => {
+          chrome.storage.local.get(["recentFiles"], (result) => {
+            resolve(Array.isArray(result.recentFiles) ? result.recentFiles : []);
+          });
+        });
       }
       saveRecentFile(filePath) {
         chrome.storage.local.get(["recentFiles"], (result) => {
@@ -30248,3 +44128,9 @@ ${line.text}`;
   }
 });
 export default require_editor();
+/*! Bundled license information:
+
+dompurify/dist/purify.es.mjs:
+  (*! @license DOMPurify 3.4.16 | (c) Cure53 and other contributors | Released under the Apache license 2.0 and Mozilla Public License 2.0 | github.com/cure53/DOMPurify/blob/3.4.16/LICENSE *)
+  (*! regenerator-runtime -- Copyright (c) 2014-present, Facebook, Inc. -- license (MIT): https://github.com/babel/babel/blob/main/packages/babel-helpers/LICENSE *)
+*/
@@ -1,4 +1,4 @@
-import { EditorState } from '@codemirror/state';
+import { EditorState, EditorSelection, Prec, Annotation, Transaction, Compartment } from '@codemirror/state';
 import {
   EditorView,
   keymap,
@@ -24,16 +24,43 @@ import { oneDark } from '@codemirror/theme-one-dark';
 import {
   bracketMatching,
   foldGutter,
+  foldedRanges,
+  foldEffect,
+  syntaxTree,
+  ensureSyntaxTree,
   indentOnInput,
+  indentUnit,
   syntaxHighlighting,
   defaultHighlightStyle,
 } from '@codemirror/language';
-import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete';
+import { closeBrackets, closeBracketsKeymap, startCompletion } from '@codemirror/autocomplete';
 import { searchKeymap, highlightSelectionMatches } from '@codemirror/search';
+import { nextDiagnostic, previousDiagnostic } from '@codemirror/lint';
 import { commentKeymap } from '@codemirror/comment';
 import { fileTree } from './fileTree.js';
 import { fileSystem } from './fileSystem.js';
 import { shortcuts } from './shortcuts.js';
+import { projectSearch } from './search.js';
+import { outline } from './outline.js';
+import { completion } from './completion.js';
+import { snippets, getSnippetLanguage } from './snippets.js';
+import { formatter } from './formatter.js';
+import { editorConfig } from './editorConfig.js';
+import { ESLINT_CONFIG_FILES, eslintConfig } from './eslintConfig.js';
+import { diagnostics } from './diagnostics.js';
+import { markdownPreview, isMarkdownFile } from './markdownPreview.js';
+import { htmlPreview, isHtmlFile } from './htmlPreview.js';
+import { git } from './git.js';
+import { workspaceSymbols, isScriptFile } from './workspaceSymbols.js';
+import { dialog } from './dialog.js';
+import { fileWatcher } from './fileWatcher.js';
+import { commands } from './commands.js';
+import { fileIndex } from './fileIndex.js';
+import { fuzzyMatch } from './fuzzy.js';
+import { extractSymbols, SYMBOL_ICONS } from './symbols.js';
+import { DEFAULT_FILES_EXCLUDE } from './gitignore.js';
+import { fileViewer } from './fileViewer.js';
+import { ENCODINGS, EOLS, readTextFile, encodeText } from './encoding.js';
 
 const LANGUAGE_EXTENSIONS = {
   js: javascript({ jsx: true, typescript: false }),
@@ -53,6 +80,22 @@ const LANGUAGE_EXTENSIONS = {
   sql: sql(),
 };
 
+const MAX_GROUPS = 4;
+const syncedChange = Annotation.define();
+const indentationConfig = new Compartment();
+
+// valores de end_of_line e charset do .editorconfig suportados pelo editor
+const EDITORCONFIG_EOLS = { lf: 'LF', crlf: 'CRLF' };
+const EDITORCONFIG_CHARSETS = {
+  'utf-8': 'utf-8',
+  'utf-8-bom': 'utf-8-bom',
+  'utf-16le': 'utf-16le',
+  'utf-16be': 'utf-16be',
+  latin1: 'iso-8859-1',
+};
+
+const READ_ONLY = [EditorState.readOnly.of(true), EditorView.editable.of(false)];
+
 const LIGHT_THEME = EditorView.theme({
   '&': {
     backgroundColor: '#ffffff',
@@ -79,7 +122,12 @@ const LIGHT_THEME = EditorView.theme({
 
 class CodeEditor {
   constructor() {
-    this.view = null;
+    this.groups = [];
+    this.activeGroup = null;
+    this.groupCounter = 0;
+    this.splitDirection = 'horizontal';
+    this.draggedTab = null;
+    this.tabContextMenuTarget = null;
     this.currentFileHandle = null;
     this.currentFileName = 'No file open';
     this.currentLanguage = 'Plain Text';
@@ -89,28 +137,68 @@ class CodeEditor {
       theme: 'dark',
       fontSize: 14,
       tabSize: 2,
+      filesExclude: DEFAULT_FILES_EXCLUDE,
+      explorerShowIgnored: true,
+      explorerShowDotFiles: true,
+      formatOnSave: false,
+      trimTrailingWhitespace: false,
+      insertFinalNewline: false,
+      refreshPreviewOnType: true,
     };
     this.openTabs = [];
-    this.activeTabId = null;
     this.activeTopMenu = null;
     this.quickOpen = {
       open: false,
       entries: [],
       selectedIndex: 0,
       files: [],
-      commands: [],
+      recentFiles: [],
+      pick: null,
+      symbolsPending: null,
     };
+    this.statusMessageTimer = null;
+    this.sessionSaveTimer = null;
+    this.restoringSession = false;
 
     this.init();
   }
 
+  get view() {
+    return this.activeGroup?.view || null;
+  }
+
+  get activeTabId() {
+    return this.activeGroup?.activeTab?.id || null;
+  }
+
   async init() {
     await this.loadSettings();
+    await commands.init();
+    this.registerCommands();
     this.initEditor();
     this.initEventListeners();
-    await fileTree.init(this.renderFileTree.bind(this));
+    this.watchSettings();
+    fileTree.setFilesExclude(this.settings.filesExclude);
+    fileTree.setVisibility({
+      showIgnored: this.settings.explorerShowIgnored,
+      showDotFiles: this.settings.explorerShowDotFiles,
+    });
+    await fileTree.init(this.renderFileTree.bind(this), {
+      beforeFolderChange: () => this.resolveUnsavedTabs(this.openTabs),
+      onFolderChange: async (handle) => {
+        await this.closeAllTabs({ force: true });
+        await fileWatcher.watchRoot(handle);
+        git.refresh();
+      },
+      onEntryMoved: (oldPath, newPath) => this.retargetTabs(oldPath, newPath),
+      beforeEntryReplaced: (path) => this.resolveUnsavedTabs(this.getTabsUnderPath(path)),
+      onEntryReplaced: (path) => this.closeTabsUnderPath(path),
+    });
     await fileTree.restoreLastFolder();
     await this.restoreSession();
+    fileWatcher.init(this);
+    await fileWatcher.watchRoot(fileSystem.getRootHandle());
+    git.refresh();
     this.initQuickOpen();
     this.renderTabs();
     this.updateStatusBar();
@@ -118,19 +206,158 @@ class CodeEditor {
 
   async restoreSession() {
     const session = await fileSystem.loadSession();
-    if (!session || !session.currentFilePath) return;
-    
     const rootHandle = fileSystem.getRootHandle();
-    if (!rootHandle) return;
-    
-    try {
-      const fileHandle = await this.findFileByPath(rootHandle, session.currentFilePath);
-      if (fileHandle) {
-        await this.openFile(fileHandle, session.currentFilePath);
+    if (!session || !rootHandle) return;
+    if (session.folderName && session.folderName !== rootHandle.name) return;
+
+    const savedTabs = Array.isArray(session.tabs) ? session.tabs : [];
+    const buffers = await fileSystem.loadDirtyBuffers();
+
+    this.restoringSession = true;
+    for (const savedTab of savedTabs) {
+      try {
+        const fileHandle = await this.findFileByPath(rootHandle, savedTab.path);
+        if (!fileHandle || this.getTabByPath(savedTab.path)) continue;
+
+        const tab = await this.createTab(fileHandle, savedTab.path, buffers[savedTab.path]);
+        tab.state = this.restoreTabViewState(tab.state, savedTab);
+        tab.scrollTop = savedTab.scrollTop || 0;
+        tab.pinned = Boolean(savedTab.pinned);
+        tab.preview = Boolean(savedTab.preview) && !tab.pinned && !tab.dirty;
+        if (tab.dirty && savedTab.disk) {
+          // o arquivo pode ter mudado no disco entre as sessões
+          const changed = savedTab.disk.lastModified !== tab.diskLastModified || savedTab.disk.size !== tab.diskSize;
+          tab.diskLastModified = savedTab.disk.lastModified;
+          tab.diskSize = savedTab.disk.size;
+          tab.externallyModified = changed;
+        }
+        if (!tab.viewer) {
+          tab.encoding = ENCODINGS[savedTab.encoding] ? savedTab.encoding : tab.encoding;
+          tab.eol = EOLS[savedTab.eol] ? savedTab.eol : tab.eol;
+        }
+        this.openTabs.push(tab);
+      } catch (err) {
+        console.warn(`Cannot restore tab ${savedTab.path}:`, err);
       }
-    } catch (err) {
-      console.warn('Cannot restore last session:', err);
     }
+    this.restoringSession = false;
+    if (!this.openTabs.length) return;
+
+    const savedGroups = Array.isArray(session.groups) && session.groups.length
+      ? session.groups
+      : [{ paths: this.openTabs.map((tab) => tab.path), activePath: session.activePath }];
+    this.splitDirection = session.splitDirection === 'vertical' ? 'vertical' : 'horizontal';
+
+    savedGroups.slice(0, MAX_GROUPS).forEach((savedGroup, index) => {
+      const tabs = (savedGroup.paths || []).map((path) => this.getTabByPath(path)).filter(Boolean);
+      if (!tabs.length) return;
+
+      const group = index === 0 ? this.groups[0] : this.createGroup();
+      tabs.forEach((tab) => this.addTabToGroup(tab, group));
+      const activeTab = this.getTabByPath(savedGroup.activePath) || tabs[0];
+      this.setActiveTab(activeTab.id, group);
+    });
+
+    const orphans = this.openTabs.filter((tab) => !this.getGroupsForTab(tab).length);
+    orphans.forEach((tab) => this.addTabToGroup(tab, this.groups[0]));
+    if (!this.groups[0].activeTab && this.groups[0].tabs.length) {
+      this.setActiveTab(this.groups[0].tabs[0].id, this.groups[0]);
+    }
+
+    const activeGroup = this.groups[session.activeGroup] || this.groups[0];
+    this.focusGroup(activeGroup);
+  }
+
+  restoreTabViewState(state, savedTab) {
+    const docLength = state.doc.length;
+    const clamp = (pos) => Math.min(Math.max(0, pos || 0), docLength);
+    const spec = {};
+
+    const ranges = savedTab.selection?.ranges || [];
+    if (ranges.length) {
+      spec.selection = EditorSelection.create(
+        ranges.map((range) => EditorSelection.range(clamp(range.anchor), clamp(range.head))),
+        Math.min(savedTab.selection.main || 0, ranges.length - 1),
+      );
+    }
+
+    const folds = Array.isArray(savedTab.folds) ? savedTab.folds : [];
+    spec.effects = folds
+      .filter((fold) => fold.from < fold.to && fold.to <= docLength)
+      .map((fold) => foldEffect.of({ from: fold.from, to: fold.to }));
+
+    return state.update(spec).state;
+  }
+
+  getSessionSnapshot() {
+    const activeTab = this.getActiveTab();
+    this.groups.forEach((group) => {
+      if (group.activeTab) {
+        group.activeTab.scrollTop = group.view.scrollDOM.scrollTop;
+      }
+    });
+
+    const tabs = this.openTabs.map((tab) => {
+      const folds = [];
+      foldedRanges(tab.state).between(0, tab.state.doc.length, (from, to) => {
+        folds.push({ from, to });
+      });
+
+      return {
+        path: tab.path,
+        selection: tab.state.selection.toJSON(),
+        encoding: tab.encoding,
+        eol: tab.eol,
+        scrollTop: tab.scrollTop || 0,
+        pinned: Boolean(tab.pinned),
+        preview: Boolean(tab.preview),
+        folds,
+        // versão do disco em que o buffer não salvo se baseia
+        disk: tab.dirty ? { lastModified: tab.diskLastModified, size: tab.diskSize } : null,
+      };
+    });
+
+    const buffers = {};
+    this.openTabs
+      .filter((tab) => tab.dirty)
+      .forEach((tab) => {
+        buffers[tab.path] = tab.state.doc.toString();
+      });
+
+    const groups = this.groups.map((group) => ({
+      paths: group.tabs.map((tab) => tab.path),
+      activePath: group.activeTab?.path || null,
+    }));
+
+    return {
+      tabs,
+      activePath: activeTab?.path || null,
+      groups,
+      activeGroup: this.groups.indexOf(this.activeGroup),
+      splitDirection: this.splitDirection,
+      buffers,
+    };
+  }
+
+  scheduleSessionSave() {
+    if (this.restoringSession) return;
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = setTimeout(() => this.persistSession(), 500);
+  }
+
+  async persistSession() {
+    clearTimeout(this.sessionSaveTimer);
+    this.sessionSaveTimer = null;
+    if (this.restoringSession) return;
+
+    if (!this.openTabs.length) {
+      await fileSystem.clearSession();
+      return;
+    }
+
+    const { buffers, ...session } = this.getSessionSnapshot();
+    await fileSystem.saveSession(session);
+    await fileSystem.saveDirtyBuffers(buffers);
   }
 
   async findFileByPath(dirHandle, targetPath) {
@@ -161,6 +388,20 @@ class CodeEditor {
     });
   }
 
+  watchSettings() {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.settings?.newValue) return;
+
+      const { filesExclude } = changes.settings.newValue;
+      if (!filesExclude || filesExclude.join('\n') === this.settings.filesExclude.join('\n')) return;
+
+      this.settings.filesExclude = filesExclude;
+      fileTree.setFilesExclude(filesExclude);
+      fileIndex.scheduleRebuild();
+      fileTree.refresh({ preserveExpanded: true });
+    });
+  }
+
   getLanguageFromFileName(fileName) {
     const ext = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
     const langMap = {
@@ -187,7 +428,7 @@ class CodeEditor {
     return LANGUAGE_EXTENSIONS[ext] || [];
   }
 
-  getEditorExtensions(languageExtension) {
+  getEditorExtensions(languageExtension, indentation = this.getTabIndentation()) {
     const uiTheme = EditorView.theme({
       '&': {
         fontSize: `${this.settings.fontSize}px`,
@@ -205,10 +446,14 @@ class CodeEditor {
       foldGutter(),
       bracketMatching(),
       closeBrackets(),
+      ...completion.getExtensions(),
+      ...snippets.getExtensions(),
+      ...diagnostics.getExtensions(),
+      ...git.getExtensions(),
       indentOnInput(),
       highlightSelectionMatches(),
       syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
-      EditorState.tabSize.of(this.settings.tabSize),
+      indentationConfig.of(this.getIndentationExtension(indentation)),
       keymap.of([
         ...defaultKeymap,
         ...historyKeymap,
@@ -216,58 +461,42 @@ class CodeEditor {
         ...searchKeymap,
         ...commentKeymap,
         indentWithTab,
-        {
-          key: 'Mod-s',
-          run: () => {
-            this.saveCurrentFile();
-            return true;
-          },
-        },
-        {
-          key: 'Mod-d',
-          run: () => {
-            this.duplicateLine();
-            return true;
-          },
-        },
-        {
-          key: 'Mod-Shift-k',
-          run: () => {
-            this.deleteLine();
-            return true;
-          },
-        },
-        {
-          key: 'Alt-ArrowUp',
-          run: () => {
-            this.moveLine(-1);
-            return true;
-          },
-        },
-        {
-          key: 'Alt-ArrowDown',
-          run: () => {
-            this.moveLine(1);
-            return true;
-          },
-        },
       ]),
+      Prec.high(keymap.of(commands.toKeymap())),
       languageExtension,
       EditorView.updateListener.of((update) => {
-        const activeTab = this.getActiveTab();
-        if (activeTab) {
-          activeTab.state = update.state;
+        const group = this.getGroupForView(update.view);
+        const tab = group?.activeTab;
+        if (!tab) return;
+
+        group.states.set(tab, update.state);
+        tab.state = update.state;
+        if (update.docChanged && !update.transactions.some((tr) => tr.annotation(syncedChange))) {
+          this.syncTabChanges(tab, group, update.transactions);
         }
-        if (update.docChanged) {
-          if (activeTab) {
-            activeTab.dirty = true;
-          }
-          this.dirty = true;
+        if (update.docChanged && tab.previewMode) {
+          markdownPreview.scheduleRender(group);
+        }
+        if (update.docChanged && this.settings.refreshPreviewOnType) {
+          htmlPreview.scheduleRefresh(tab.path);
+        }
+        if (update.docChanged && !tab.viewer) {
+          tab.dirty = true;
+          tab.preview = false;
+          this.dirty = Boolean(this.getActiveTab()?.dirty);
           this.renderTabs();
           this.updateStatusBar();
         }
-        if (update.selectionSet) {
+        if (update.selectionSet && group === this.activeGroup) {
           this.updateStatusBar();
+          outline.highlightActive();
+        }
+        if (group === this.activeGroup && syntaxTree(update.startState) !== syntaxTree(update.state)) {
+          outline.scheduleRefresh();
+        }
+        const foldsChanged = foldedRanges(update.startState) !== foldedRanges(update.state);
+        if (update.docChanged || update.selectionSet || foldsChanged) {
+          this.scheduleSessionSave();
         }
       }),
       uiTheme,
@@ -282,53 +511,534 @@ class CodeEditor {
     return extensions;
   }
 
-  createState(doc, languageExtension) {
+  createState(doc, languageExtension, indentation = undefined) {
     return EditorState.create({
       doc,
-      extensions: this.getEditorExtensions(languageExtension),
+      extensions: this.getEditorExtensions(languageExtension, indentation),
     });
   }
 
+  // indentação efetiva do arquivo: .editorconfig quando houver, senão o Tab das configurações
+  getTabIndentation(config = {}) {
+    const tabWidth = typeof config.tab_width === 'number' ? config.tab_width : null;
+    const size = typeof config.indent_size === 'number' ? config.indent_size : tabWidth || this.settings.tabSize;
+    const fromConfig = ['indent_style', 'indent_size', 'tab_width'].some((key) => config[key] !== undefined);
+    return {
+      useTabs: config.indent_style === 'tab',
+      size,
+      tabWidth: tabWidth || size,
+      source: fromConfig ? 'editorconfig' : 'settings',
+    };
+  }
+
+  getIndentationExtension(indentation) {
+    return [
+      EditorState.tabSize.of(indentation.tabWidth),
+      indentUnit.of(indentation.useTabs ? '\t' : ' '.repeat(indentation.size)),
+    ];
+  }
+
+  applyTabIndentation(tab) {
+    const effects = indentationConfig.reconfigure(this.getIndentationExtension(tab.indentation));
+    tab.state = tab.state.update({ effects }).state;
+    this.getGroupsForTab(tab).forEach((group) => {
+      if (group.activeTab === tab) {
+        group.view.dispatch({ effects });
+      } else {
+        group.states.set(tab, group.states.get(tab).update({ effects }).state);
+      }
+    });
+    this.updateStatusBar();
+  }
+
+  setTabIndentation(changes) {
+    const tab = this.getActiveTextTab();
+    if (!tab) return;
+    const size = changes.size ?? tab.indentation.size;
+    tab.indentation = { ...tab.indentation, ...changes, tabWidth: size, source: 'manual' };
+    this.applyTabIndentation(tab);
+  }
+
+  async reapplyEditorConfig() {
+    const tab = this.getActiveTextTab();
+    if (!tab) return;
+    editorConfig.clear();
+    tab.indentation = { ...tab.indentation, source: 'settings' };
+    await this.refreshEditorConfig([tab]);
+  }
+
+  // charset e end_of_line do .editorconfig definem como o arquivo é salvo
+  applyEditorConfigFormat(tab) {
+    const eol = EDITORCONFIG_EOLS[tab.editorConfig?.end_of_line];
+    const encoding = EDITORCONFIG_CHARSETS[tab.editorConfig?.charset];
+    if (eol) tab.eol = eol;
+    if (encoding) tab.encoding = encoding;
+  }
+
+  async refreshEditorConfig(tabs = this.openTabs) {
+    for (const tab of tabs.filter((item) => !item.viewer)) {
+      tab.editorConfig = await editorConfig.resolve(tab.path);
+      if (tab.indentation?.source !== 'manual') {
+        tab.indentation = this.getTabIndentation(tab.editorConfig);
+        this.applyTabIndentation(tab);
+      }
+      this.applyEditorConfigFormat(tab);
+    }
+    this.updateStatusBar();
+  }
+
   initEditor() {
-    const editorElement = document.getElementById('editor');
     this.currentLanguageExtension = [];
+    this.activeGroup = this.createGroup();
+    this.updateThemeUI();
+  }
 
-    this.view = new EditorView({
-      state: this.createState('', this.currentLanguageExtension),
-      parent: editorElement,
+  createGroup(index = this.groups.length) {
+    const element = document.createElement('div');
+    element.className = 'editor-group';
+
+    const tabBar = document.createElement('div');
+    tabBar.className = 'tab-bar';
+    const tabsEl = document.createElement('div');
+    tabsEl.className = 'tabs';
+    const actions = document.createElement('div');
+    actions.className = 'tab-bar-actions';
+    const listBtn = document.createElement('button');
+    listBtn.type = 'button';
+    listBtn.className = 'tab-bar-action hidden';
+    listBtn.textContent = '⌄';
+    listBtn.title = 'Show Opened Editors';
+    actions.appendChild(listBtn);
+    const splitBtn = document.createElement('button');
+    splitBtn.type = 'button';
+    splitBtn.className = 'tab-bar-action';
+    splitBtn.textContent = '◫';
+    splitBtn.title = 'Split Editor Right';
+    actions.appendChild(splitBtn);
+    tabBar.appendChild(tabsEl);
+    tabBar.appendChild(actions);
+
+    const editorEl = document.createElement('div');
+    editorEl.className = 'editor';
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'file-viewer hidden';
+    const previewEl = document.createElement('div');
+    previewEl.className = 'markdown-preview hidden';
+    const bodyEl = document.createElement('div');
+    bodyEl.className = 'editor-group-body';
+    bodyEl.appendChild(editorEl);
+    bodyEl.appendChild(viewerEl);
+    bodyEl.appendChild(previewEl);
+    const livePreviewEl = document.createElement('div');
+    livePreviewEl.className = 'html-preview hidden';
+    bodyEl.appendChild(livePreviewEl);
+
+    element.appendChild(tabBar);
+    element.appendChild(bodyEl);
+
+    const group = {
+      id: ++this.groupCounter,
+      element,
+      tabsEl,
+      listBtn,
+      editorEl,
+      viewerEl,
+      previewEl,
+      livePreviewEl,
+      view: null,
+      tabs: [],
+      mru: [],
+      activeTab: null,
+      states: new Map(),
+      scrollTops: new Map(),
+    };
+    group.view = new EditorView({
+      state: this.createState('', []),
+      parent: editorEl,
     });
 
-    this.updateThemeUI();
+    group.view.scrollDOM.addEventListener('scroll', () => {
+      if (group.activeTab) {
+        this.scheduleSessionSave();
+        markdownPreview.syncFromEditor(group);
+      }
+    });
+    element.addEventListener('focusin', () => this.focusGroup(group));
+    splitBtn.addEventListener('click', () => {
+      this.focusGroup(group);
+      this.splitEditor('horizontal');
+    });
+    listBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.focusGroup(group);
+      this.showTabList(group);
+    });
+    this.initGroupTabEvents(group);
+
+    const container = document.getElementById('editorGroups');
+    container.insertBefore(element, this.groups[index]?.element || null);
+    this.groups.splice(index, 0, group);
+    this.updateGroupLayout();
+    return group;
   }
 
-  rebuildEditorState({ preserveSelection = true } = {}) {
-    if (!this.view) return;
+  initGroupTabEvents(group) {
+    const findTab = (e) => {
+      const tabEl = e.target.closest('.tab-item');
+      return group.tabs.find((item) => item.id === tabEl?.dataset.tabId) || null;
+    };
 
-    const activeTab = this.getActiveTab();
-    const currentSelection = this.view.state.selection.main;
-
-    this.openTabs = this.openTabs.map((tab) => {
-      const baseState = tab.id === this.activeTabId ? this.view.state : tab.state;
-      const doc = baseState.doc.toString();
-      const nextState = this.createState(doc, tab.languageExtension);
-      if (tab.id === this.activeTabId && preserveSelection) {
-        const anchor = Math.min(currentSelection.anchor, doc.length);
-        return {
-          ...tab,
-          state: nextState.update({ selection: { anchor } }).state,
-        };
+    group.tabsEl.addEventListener('click', async (e) => {
+      const closeBtn = e.target.closest('[data-tab-close]');
+      if (closeBtn) {
+        e.stopPropagation();
+        await this.closeTab(closeBtn.dataset.tabClose, group);
+        return;
+      }
+
+      const unpinBtn = e.target.closest('[data-tab-unpin]');
+      if (unpinBtn) {
+        e.stopPropagation();
+        this.togglePinTab(findTab(e));
+        return;
+      }
+
+      const tab = findTab(e);
+      if (tab) {
+        this.setActiveTab(tab.id, group);
       }
-      return { ...tab, state: nextState };
     });
 
-    if (activeTab) {
-      const nextActive = this.getActiveTab();
-      this.view.setState(nextActive.state);
+    // botão do meio fecha a aba (mousedown evita o autoscroll do navegador)
+    group.tabsEl.addEventListener('mousedown', (e) => {
+      if (e.button === 1 && findTab(e)) {
+        e.preventDefault();
+      }
+    });
+
+    group.tabsEl.addEventListener('auxclick', async (e) => {
+      const tab = findTab(e);
+      if (e.button !== 1 || !tab) return;
+      e.preventDefault();
+      await this.closeTab(tab.id, group);
+    });
+
+    group.tabsEl.addEventListener('dblclick', (e) => {
+      const tab = findTab(e);
+      if (tab) {
+        this.keepTabOpen(tab);
+      }
+    });
+
+    group.tabsEl.addEventListener('contextmenu', (e) => {
+      const tab = findTab(e);
+      if (!tab) return;
+      e.preventDefault();
+      this.showTabContextMenu(e, tab, group);
+    });
+
+    group.tabsEl.addEventListener('dragstart', (e) => {
+      const tabEl = e.target.closest('.tab-item');
+      const tab = group.tabs.find((item) => item.id === tabEl?.dataset.tabId);
+      if (!tab) return;
+      this.draggedTab = { tab, group };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', tab.path);
+    });
+
+    group.tabsEl.addEventListener('dragend', () => {
+      this.draggedTab = null;
+      this.groups.forEach((item) => item.element.classList.remove('drop-target'));
+    });
+
+    group.tabsEl.addEventListener('dragover', (e) => {
+      if (this.draggedTab?.group !== group) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
+
+    group.tabsEl.addEventListener('drop', (e) => {
+      const dragged = this.draggedTab;
+      if (dragged?.group !== group) return;
+      e.preventDefault();
+      this.draggedTab = null;
+      this.reorderTab(dragged.tab, group, this.getTabDropIndex(e, group));
+    });
+
+    // captura: o CodeMirror trataria o drop como texto colado no documento
+    group.element.addEventListener('dragover', (e) => {
+      if (!this.draggedTab) return;
+      if (this.draggedTab.group === group) {
+        if (!group.tabsEl.contains(e.target)) {
+          e.stopPropagation();
+        }
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      e.dataTransfer.dropEffect = 'move';
+      group.element.classList.add('drop-target');
+    }, true);
+
+    group.element.addEventListener('dragleave', (e) => {
+      if (!group.element.contains(e.relatedTarget)) {
+        group.element.classList.remove('drop-target');
+      }
+    });
+
+    group.element.addEventListener('drop', (e) => {
+      group.element.classList.remove('drop-target');
+      const dragged = this.draggedTab;
+      if (!dragged || dragged.group === group) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      this.draggedTab = null;
+      this.moveTabToGroup(dragged.tab, dragged.group, group, this.getTabDropIndex(e, group));
+    }, true);
+  }
+
+  getTabDropIndex(e, group) {
+    const tabEl = e.target.closest('.tab-item');
+    const idx = tabEl ? group.tabs.findIndex((tab) => tab.id === tabEl.dataset.tabId) : -1;
+    if (idx === -1) return group.tabs.length;
+
+    const rect = tabEl.getBoundingClientRect();
+    return e.clientX > rect.left + rect.width / 2 ? idx + 1 : idx;
+  }
+
+  // abas fixadas ficam sempre antes das demais
+  clampTabIndex(group, tab, index) {
+    const pinnedCount = group.tabs.filter((item) => item.pinned && item !== tab).length;
+    return tab.pinned ? Math.min(index, pinnedCount) : Math.max(index, pinnedCount);
+  }
+
+  reorderTab(tab, group, index) {
+    const from = group.tabs.indexOf(tab);
+    if (from === -1) return;
+
+    group.tabs.splice(from, 1);
+    const target = this.clampTabIndex(group, tab, index > from ? index - 1 : index);
+    group.tabs.splice(target, 0, tab);
+    this.renderTabs();
+    this.scheduleSessionSave();
+  }
+
+  togglePinTab(tab) {
+    if (!tab) return;
+    tab.pinned = !tab.pinned;
+    tab.preview = false;
+    this.getGroupsForTab(tab).forEach((group) => {
+      group.tabs.splice(group.tabs.indexOf(tab), 1);
+      group.tabs.splice(group.tabs.filter((item) => item.pinned).length, 0, tab);
+    });
+    this.renderTabs();
+    this.scheduleSessionSave();
+  }
+
+  keepTabOpen(tab) {
+    if (!tab?.preview) return;
+    tab.preview = false;
+    this.renderTabs();
+    this.scheduleSessionSave();
+  }
+
+  updateGroupLayout() {
+    const container = document.getElementById('editorGroups');
+    container?.classList.toggle('vertical', this.splitDirection === 'vertical');
+  }
+
+  getGroupForView(view) {
+    return this.groups.find((group) => group.view === view) || null;
+  }
+
+  getGroupsForTab(tab) {
+    return this.groups.filter((group) => group.tabs.includes(tab));
+  }
+
+  addTabToGroup(tab, group, index = group.tabs.length, state = tab.state) {
+    if (group.tabs.includes(tab)) return;
+    group.tabs.splice(this.clampTabIndex(group, tab, index), 0, tab);
+    group.mru.push(tab);
+    group.states.set(tab, state);
+    group.scrollTops.set(tab, tab.scrollTop || 0);
+  }
+
+  focusGroup(group) {
+    if (!group || this.activeGroup === group) return;
+    this.activeGroup = group;
+    this.syncCurrentFile();
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
+  }
+
+  syncCurrentFile() {
+    const tab = this.getActiveTab();
+    this.currentFileHandle = tab?.handle || null;
+    this.currentFileName = tab ? tab.name : 'No file open';
+    this.currentLanguage = tab ? tab.language : 'Plain Text';
+    this.currentLanguageExtension = tab ? tab.languageExtension : [];
+    this.dirty = Boolean(tab?.dirty);
+    outline.scheduleRefresh();
+  }
+
+  splitEditor(direction) {
+    if (this.groups.length >= MAX_GROUPS) return;
+
+    const source = this.activeGroup;
+    this.splitDirection = direction;
+    const group = this.createGroup(this.groups.indexOf(source) + 1);
+    const tab = source.activeTab;
+
+    if (tab) {
+      this.addTabToGroup(tab, group, 0, source.states.get(tab));
+      group.scrollTops.set(tab, source.view.scrollDOM.scrollTop);
+      this.setActiveTab(tab.id, group);
+    } else {
+      this.focusGroup(group);
+    }
+    group.view.focus();
+  }
+
+  focusNextGroup() {
+    if (this.groups.length < 2) return;
+    const next = this.groups[(this.groups.indexOf(this.activeGroup) + 1) % this.groups.length];
+    this.focusGroup(next);
+    next.view.focus();
+  }
+
+  moveTabToGroup(tab, source, target, index = target.tabs.length) {
+    if (source === target) return;
+
+    const scrollTop = source.activeTab === tab ? source.view.scrollDOM.scrollTop : source.scrollTops.get(tab);
+    if (!target.tabs.includes(tab)) {
+      this.addTabToGroup(tab, target, index, source.states.get(tab));
+      target.scrollTops.set(tab, scrollTop || 0);
+    }
+    this.removeTab(tab.id, source);
+    this.setActiveTab(tab.id, target);
+    target.view.focus();
+  }
+
+  moveEditorToNextGroup() {
+    const tab = this.getActiveTab();
+    if (!tab || this.groups.length < 2) return;
+    const next = this.groups[(this.groups.indexOf(this.activeGroup) + 1) % this.groups.length];
+    this.moveTabToGroup(tab, this.activeGroup, next);
+  }
+
+  async closeGroup(group = this.activeGroup) {
+    if (this.groups.length < 2) return false;
+
+    const exclusiveTabs = group.tabs.filter((tab) => this.getGroupsForTab(tab).length === 1);
+    if (!(await this.resolveUnsavedTabs(exclusiveTabs))) return false;
+    this.removeGroup(group);
+    return true;
+  }
+
+  removeGroup(group) {
+    const idx = this.groups.indexOf(group);
+    if (idx === -1) return;
+
+    this.groups.splice(idx, 1);
+    group.tabs.forEach((tab) => {
+      if (!this.getGroupsForTab(tab).length) {
+        this.openTabs.splice(this.openTabs.indexOf(tab), 1);
+      }
+    });
+    fileViewer.clear(group.viewerEl);
+    group.view.destroy();
+    group.element.remove();
+
+    if (this.activeGroup === group) {
+      this.activeGroup = this.groups[Math.max(0, idx - 1)];
     }
+    this.updateGroupLayout();
+    this.syncCurrentFile();
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
+  }
+
+  syncTabChanges(tab, sourceGroup, transactions) {
+    this.groups.forEach((group) => {
+      if (group === sourceGroup || !group.states.has(tab)) return;
+
+      transactions.forEach((tr) => {
+        if (!tr.docChanged) return;
+        const spec = {
+          changes: tr.changes,
+          annotations: [syncedChange.of(true), Transaction.addToHistory.of(false)],
+        };
+        if (group.activeTab === tab) {
+          group.view.dispatch(spec);
+        } else {
+          group.states.set(tab, group.states.get(tab).update(spec).state);
+        }
+      });
+    });
+  }
+
+  updateTab(tab, spec) {
+    const groups = this.getGroupsForTab(tab);
+    const visibleGroup = groups.find((group) => group.activeTab === tab);
+    if (visibleGroup) {
+      visibleGroup.view.dispatch(spec);
+      return;
+    }
+
+    const [group] = groups;
+    if (!group) {
+      tab.state = tab.state.update(spec).state;
+      return;
+    }
+
+    const tr = group.states.get(tab).update(spec);
+    group.states.set(tab, tr.state);
+    tab.state = tr.state;
+    this.syncTabChanges(tab, group, [tr]);
+  }
+
+  setTabState(tab, state) {
+    tab.state = state;
+    this.getGroupsForTab(tab).forEach((group) => {
+      group.states.set(tab, state);
+      if (group.activeTab === tab) {
+        group.view.setState(state);
+        this.showViewer(tab, group);
+      }
+    });
+  }
+
+  rebuildEditorState() {
+    if (!this.groups.length) return;
+
+    this.openTabs.forEach((tab) => {
+      tab.state = this.recreateState(tab.state, tab.languageExtension, tab.indentation);
+      this.getGroupsForTab(tab).forEach((group) => {
+        const state = this.recreateState(group.states.get(tab), tab.languageExtension, tab.indentation);
+        group.states.set(tab, state);
+        if (group.activeTab === tab) {
+          group.view.setState(state);
+        }
+      });
+      git.applyToTab(tab);
+    });
+
+    this.groups
+      .filter((group) => !group.activeTab)
+      .forEach((group) => group.view.setState(this.createState('', [])));
 
     this.updateStatusBar();
   }
 
+  recreateState(state, languageExtension, indentation = undefined) {
+    const nextState = this.createState(state.doc.toString(), languageExtension, indentation);
+    const anchor = Math.min(state.selection.main.anchor, nextState.doc.length);
+    return nextState.update({ selection: { anchor } }).state;
+  }
+
   updateThemeUI() {
     document.documentElement.setAttribute('data-theme', this.settings.theme);
     const themeBtn = document.getElementById('themeToggle');
@@ -344,178 +1054,926 @@ class CodeEditor {
     this.rebuildEditorState();
   }
 
-  async openFile(handle, path = handle?.name || '') {
-    const file = await handle.getFile();
+  async toggleExplorerSetting(key) {
+    this.settings[key] = !this.settings[key];
+    chrome.storage.local.set({ settings: this.settings });
+    fileTree.setVisibility({
+      showIgnored: this.settings.explorerShowIgnored,
+      showDotFiles: this.settings.explorerShowDotFiles,
+    });
+    await fileTree.refresh({ preserveExpanded: true });
+  }
+
+  toggleSetting(key) {
+    this.settings[key] = !this.settings[key];
+    chrome.storage.local.set({ settings: this.settings });
+  }
+
+  async openFile(handle, path = handle?.name || '', location = null, { preview = false } = {}) {
     const tabId = path || handle.name;
     const existing = this.openTabs.find((tab) => tab.id === tabId);
+    const tab = existing || await this.createTab(handle, tabId);
+    const group = this.activeGroup;
 
+    // uma única aba de pré-visualização por grupo, substituída a cada clique simples
+    let replacedTab = null;
     if (existing) {
-      this.setActiveTab(existing.id);
-      this.view.focus();
-      await fileSystem.saveSession(existing.path || existing.name);
-      return;
+      if (!preview) {
+        this.keepTabOpen(existing);
+      }
+    } else {
+      tab.preview = preview;
+      this.openTabs.push(tab);
+      replacedTab = preview ? group.tabs.find((item) => item.preview) : null;
+      if (replacedTab) {
+        this.addTabToGroup(tab, group, group.tabs.indexOf(replacedTab));
+      }
     }
+    this.setActiveTab(tab.id, group);
+    if (replacedTab) {
+      this.removeTab(replacedTab.id, group);
+    }
+    this.view.focus();
+    if (location) this.revealLocation(location);
+    if (!existing) {
+      this.saveRecentFile(tab.path);
+    }
+    this.scheduleSessionSave();
+  }
 
-    const language = this.getLanguageFromFileName(file.name);
-    const languageExtension = this.getLanguageExtension(file.name);
-    const state = this.createState(await file.text(), languageExtension);
+  async createTab(handle, path, dirtyContent = null, file = null) {
+    const sourceFile = file || await handle.getFile();
+    const hasDirtyContent = typeof dirtyContent === 'string';
+    const viewer = hasDirtyContent ? null : await fileViewer.sniff(sourceFile);
+    if (viewer) {
+      return this.createViewerTab(handle, path, sourceFile, viewer);
+    }
+
+    const language = this.getLanguageFromFileName(sourceFile.name);
+    const languageExtension = this.getLanguageExtension(sourceFile.name);
+    const { text, encoding, eol } = await readTextFile(sourceFile);
+    const doc = hasDirtyContent ? dirtyContent : text;
+    const config = await editorConfig.resolve(path || sourceFile.name);
+    const indentation = this.getTabIndentation(config);
 
     const tab = {
-      id: tabId,
-      name: file.name,
-      path: path || file.name,
+      id: path || sourceFile.name,
+      name: sourceFile.name,
+      path: path || sourceFile.name,
       handle,
       language,
       languageExtension,
-      state,
+      state: this.createState(doc, languageExtension, indentation),
+      scrollTop: 0,
+      dirty: hasDirtyContent,
+      encoding,
+      eol,
+      editorConfig: config,
+      indentation,
+    };
+    this.applyEditorConfigFormat(tab);
+    fileWatcher.recordDiskState(tab, sourceFile);
+    git.applyToTab(tab);
+    return tab;
+  }
+
+  getTabsUnderPath(path) {
+    const prefix = `${path}/`;
+    return this.openTabs.filter((tab) => tab.path === path || tab.path.startsWith(prefix));
+  }
+
+  // abas de um arquivo ou pasta substituído apontam para handles que não existem mais
+  closeTabsUnderPath(path) {
+    this.getTabsUnderPath(path).forEach((tab) => {
+      this.getGroupsForTab(tab).forEach((group) => this.removeTab(tab.id, group));
+    });
+  }
+
+  async retargetTabs(oldPath, newPath) {
+    const movedTabs = this.getTabsUnderPath(oldPath);
+    if (!movedTabs.length) return;
+
+    let languageChanged = false;
+    for (const tab of movedTabs) {
+      const path = newPath + tab.path.slice(oldPath.length);
+      const handle = await fileIndex.resolveHandle({ path, handle: null });
+      tab.id = path;
+      tab.path = path;
+      tab.name = path.split('/').pop();
+      if (handle) {
+        tab.handle = handle;
+        tab.deletedOnDisk = false;
+      }
+
+      const language = this.getLanguageFromFileName(tab.name);
+      if (!tab.viewer && language !== tab.language) {
+        tab.language = language;
+        tab.languageExtension = this.getLanguageExtension(tab.name);
+        languageChanged = true;
+      }
+      git.applyToTab(tab);
+    }
+
+    this.syncCurrentFile();
+    if (languageChanged) {
+      this.rebuildEditorState();
+    }
+    await this.refreshEditorConfig(movedTabs);
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
+  }
+
+  createViewerTab(handle, path, file, viewer) {
+    const tab = {
+      id: path || file.name,
+      name: file.name,
+      path: path || file.name,
+      handle,
+      language: viewer.label,
+      languageExtension: READ_ONLY,
+      viewer,
+      state: this.createState('', READ_ONLY),
+      scrollTop: 0,
       dirty: false,
     };
+    fileWatcher.recordDiskState(tab, file);
+    return tab;
+  }
 
-    this.openTabs.push(tab);
-    this.setActiveTab(tab.id);
-    this.view.focus();
-    this.saveRecentFile(tab.path);
-    await fileSystem.saveSession(tab.path);
+  async openViewerAsText(tab) {
+    const file = await tab.handle.getFile();
+    const { text, encoding, eol } = await readTextFile(file);
+    tab.viewer = null;
+    tab.language = this.getLanguageFromFileName(tab.name);
+    tab.languageExtension = this.getLanguageExtension(tab.name);
+    tab.encoding = encoding;
+    tab.eol = eol;
+    tab.editorConfig = await editorConfig.resolve(tab.path);
+    tab.indentation = this.getTabIndentation(tab.editorConfig);
+    this.applyEditorConfigFormat(tab);
+    fileWatcher.recordDiskState(tab, file);
+    this.setTabState(tab, this.createState(text, tab.languageExtension, tab.indentation));
+    git.applyToTab(tab);
+    if (tab.id === this.activeTabId) {
+      this.syncCurrentFile();
+      this.updateStatusBar();
+      this.view.focus();
+    }
+  }
+
+  showViewer(tab, group = this.activeGroup) {
+    if (!group) return;
+
+    const hasViewer = Boolean(tab?.viewer);
+    const previewMode = tab && !hasViewer && this.canPreview(tab) ? tab.previewMode : null;
+    group.editorEl.classList.toggle('hidden', hasViewer || previewMode === 'only');
+    group.viewerEl.classList.toggle('hidden', !hasViewer);
+    if (hasViewer) {
+      const showError = (err) => fileViewer.showError(group.viewerEl, err);
+      fileViewer.render(group.viewerEl, tab, {
+        onOpenAnyway: () => this.openViewerAsText(tab).catch(showError),
+      }).catch(showError);
+    } else {
+      fileViewer.clear(group.viewerEl);
+    }
+    markdownPreview.show(group, previewMode && isMarkdownFile(tab.path) ? tab : null);
+    htmlPreview.show(group, previewMode && isHtmlFile(tab.path) ? tab : null);
+  }
+
+  canPreview(tab) {
+    return Boolean(tab && !tab.viewer && (isMarkdownFile(tab.path) || isHtmlFile(tab.path)));
+  }
+
+  // 'side' mostra o preview ao lado do editor; 'only' esconde o editor
+  setPreviewMode(mode) {
+    const tab = this.getActiveTextTab();
+    if (!this.canPreview(tab)) return;
+
+    tab.previewMode = mode;
+    this.getGroupsForTab(tab)
+      .filter((group) => group.activeTab === tab)
+      .forEach((group) => this.showViewer(tab, group));
+    if (mode === 'side') {
+      markdownPreview.syncFromEditor(this.activeGroup);
+    }
+    if (mode !== 'only') {
+      this.view.focus();
+    }
+  }
+
+  getTabState(tab) {
+    return tab.state;
+  }
+
+  async reloadTab(tab, file = null) {
+    const diskFile = file || await tab.handle.getFile();
+    if (tab.viewer) {
+      fileWatcher.recordDiskState(tab, diskFile);
+      this.getGroupsForTab(tab)
+        .filter((group) => group.activeTab === tab)
+        .forEach((group) => this.showViewer(tab, group));
+      this.renderTabs();
+      return;
+    }
+
+    const before = this.getTabState(tab).doc;
+    const { text: content, encoding, eol } = await readTextFile(diskFile);
+    const state = this.getTabState(tab);
+    // edições feitas durante a leitura não são descartadas: a aba fica marcada com conflito
+    if (state.doc !== before) {
+      tab.externallyModified = true;
+      this.renderTabs();
+      return;
+    }
+    tab.encoding = encoding;
+    tab.eol = eol;
+    this.applyEditorConfigFormat(tab);
+    const current = state.doc.toString();
+
+    if (content !== current) {
+      let start = 0;
+      const maxStart = Math.min(content.length, current.length);
+      while (start < maxStart && content[start] === current[start]) {
+        start += 1;
+      }
+      let end = 0;
+      const maxEnd = maxStart - start;
+      while (end < maxEnd && content[content.length - 1 - end] === current[current.length - 1 - end]) {
+        end += 1;
+      }
+
+      this.updateTab(tab, {
+        changes: { from: start, to: current.length - end, insert: content.slice(start, content.length - end) },
+      });
+    }
+
+    tab.dirty = false;
+    if (tab.id === this.activeTabId) {
+      this.dirty = false;
+    }
+    fileWatcher.recordDiskState(tab, diskFile);
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
+  }
+
+  revealLocation({ line, column = 1, length = 0 }) {
+    if (!this.view || !line) return;
+
+    const { doc } = this.view.state;
+    const target = doc.line(Math.min(Math.max(1, line), doc.lines));
+    const from = Math.min(target.from + Math.max(0, column - 1), target.to);
+    const to = Math.min(from + length, target.to);
+    this.revealRange(from, to);
   }
 
   async saveCurrentFile() {
     const activeTab = this.getActiveTab();
     if (!activeTab) return;
+    await this.saveTab(activeTab);
+  }
+
+  async saveAllTabs() {
+    return this.saveTabs(this.openTabs.filter((tab) => tab.dirty));
+  }
+
+  async saveTabs(tabs) {
+    for (const tab of tabs) {
+      try {
+        if (!(await this.saveTab(tab))) return false;
+      } catch (err) {
+        console.error(`Error saving ${tab.path}:`, err);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async resolveUnsavedTabs(tabs) {
+    const dirtyTabs = tabs.filter((tab) => tab.dirty);
+    if (!dirtyTabs.length) return true;
+
+    const choice = await dialog.confirmUnsavedChanges(dirtyTabs);
+    if (choice === 'cancel') return false;
+    if (choice === 'save') return this.saveTabs(dirtyTabs);
+    return true;
+  }
+
+  async saveTab(tab, { force = false } = {}) {
+    if (tab.viewer) return true;
+
+    if (!force) {
+      const choice = await fileWatcher.resolveSaveConflict(tab);
+      if (choice === 'cancel') return false;
+      if (choice === 'reload') {
+        await this.reloadTab(tab);
+        return false;
+      }
+    }
+
+    await this.applySaveActions(tab);
+    const state = this.getTabState(tab);
+    const text = state.doc.sliceString(0, state.doc.length, EOLS[tab.eol] || '\n');
+    let encoded = encodeText(text, tab.encoding);
+    if (encoded.lossy) {
+      const choice = await dialog.show({
+        title: `${tab.name} contains characters that cannot be saved as ${ENCODINGS[tab.encoding]}.`,
+        message: 'Unsupported characters will be replaced with "?".',
+        buttons: [
+          { label: 'Cancel', value: 'cancel' },
+          { label: 'Save as UTF-8', value: 'utf-8' },
+          { label: 'Save Anyway', value: 'save', primary: true },
+        ],
+      });
+      if (choice === 'cancel') return false;
+      if (choice === 'utf-8') {
+        tab.encoding = 'utf-8';
+        encoded = encodeText(text, tab.encoding);
+      }
+    }
+
+    tab.saving = true;
+    try {
+      const writable = await tab.handle.createWritable();
+      await writable.write(encoded.bytes);
+      await writable.close();
+      fileWatcher.recordDiskState(tab, await tab.handle.getFile());
+    } finally {
+      tab.saving = false;
+    }
+
+    // o que foi digitado durante a gravação continua pendente
+    tab.dirty = !this.getTabState(tab).doc.eq(state.doc);
+    if (tab.id === this.activeTabId) {
+      this.dirty = tab.dirty;
+    }
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
+    if (tab.name === '.gitignore' || tab.path === '.git/info/exclude') {
+      fileTree.reloadIgnoreRules();
+    }
+    if (tab.name === '.editorconfig') {
+      editorConfig.clear();
+      this.refreshEditorConfig();
+    }
+    if (!this.settings.refreshPreviewOnType) {
+      htmlPreview.scheduleRefresh(tab.path);
+    }
+    git.scheduleRefresh();
+    if (ESLINT_CONFIG_FILES.has(tab.name)) {
+      eslintConfig.clear();
+      diagnostics.relintAll();
+    }
+    return true;
+  }
+
+  // formatar ao salvar, remover espaços no fim das linhas e garantir a quebra de linha final;
+  // os valores do .editorconfig têm precedência sobre as configurações do editor
+  async applySaveActions(tab) {
+    const config = tab.editorConfig || {};
+
+    if (this.settings.formatOnSave && formatter.canFormat(tab.path)) {
+      try {
+        await this.formatTab(tab);
+      } catch (err) {
+        this.showStatusMessage(`Format on save failed: ${err.message.split('\n')[0]}`);
+      }
+    }
+
+    const trim = config.trim_trailing_whitespace ?? this.settings.trimTrailingWhitespace;
+    const finalNewline = config.insert_final_newline ?? this.settings.insertFinalNewline;
+    const { doc } = this.getTabState(tab);
+    const changes = [];
+
+    if (trim) {
+      for (let i = 1; i <= doc.lines; i++) {
+        const line = doc.line(i);
+        const trailing = /\s+$/.exec(line.text);
+        if (trailing) {
+          changes.push({ from: line.from + trailing.index, to: line.to });
+        }
+      }
+    }
+    if (finalNewline && doc.length && doc.sliceString(doc.length - 1) !== '\n') {
+      changes.push({ from: doc.length, insert: '\n' });
+    }
+    if (changes.length) {
+      this.updateTab(tab, { changes, userEvent: 'input.save' });
+    }
+  }
+
+  getFormattingOptions(tab) {
+    const maxLineLength = tab.editorConfig?.max_line_length;
+    return {
+      tabSize: tab.indentation.size,
+      useTabs: tab.indentation.useTabs,
+      printWidth: typeof maxLineLength === 'number' ? maxLineLength : 80,
+    };
+  }
+
+  async formatTab(tab, range = null) {
+    const { doc } = this.getTabState(tab);
+    const formatted = await formatter.format(doc.toString(), tab.path, { ...this.getFormattingOptions(tab), range });
+    // o usuário pode ter digitado enquanto o Prettier carregava
+    if (this.getTabState(tab).doc !== doc) return false;
+    return this.replaceTabText(tab, formatted, 'input.format');
+  }
+
+  async formatDocument({ selection = false } = {}) {
+    const tab = this.getActiveTextTab();
+    if (!tab) return;
+    if (!formatter.canFormat(tab.path)) {
+      this.showStatusMessage(`No formatter available for ${tab.language}`);
+      return;
+    }
+
+    const { main } = this.getTabState(tab).selection;
+    if (selection && main.empty) {
+      this.showStatusMessage('Select the code to format');
+      return;
+    }
+
+    try {
+      const changed = await this.formatTab(tab, selection ? { from: main.from, to: main.to } : null);
+      if (!changed) this.showStatusMessage('Nothing to format');
+    } catch (err) {
+      this.showStatusMessage(`Format failed: ${err.message.split('\n')[0]}`);
+    }
+  }
+
+  // aplica só o trecho que mudou, preservando cursor e histórico no resto do documento
+  replaceTabText(tab, text, userEvent) {
+    const doc = this.getTabState(tab).doc.toString();
+    if (doc === text) return false;
+
+    const max = Math.min(doc.length, text.length);
+    let start = 0;
+    while (start < max && doc[start] === text[start]) start++;
+    let end = 0;
+    while (end < max - start && doc[doc.length - 1 - end] === text[text.length - 1 - end]) end++;
+
+    this.updateTab(tab, {
+      changes: { from: start, to: doc.length - end, insert: text.slice(start, text.length - end) },
+      userEvent,
+    });
+    return true;
+  }
+
+  replaceTabContent(tab, content) {
+    const state = this.getTabState(tab);
+    this.updateTab(tab, { changes: { from: 0, to: state.doc.length, insert: content } });
+    tab.dirty = true;
+    this.dirty = Boolean(this.getActiveTab()?.dirty);
+    this.renderTabs();
+    this.scheduleSessionSave();
+  }
+
+  duplicateLine() {
+    if (!this.view) return;
+
+    const { from } = this.view.state.selection.main;
+    const line = this.view.state.doc.lineAt(from);
+    const insert = `\n${line.text}`;
+
+    this.view.dispatch({
+      changes: { from: line.to, to: line.to, insert },
+      selection: { anchor: line.to + insert.length },
+    });
+  }
+
+  deleteLine() {
+    if (!this.view) return;
+
+    const { from } = this.view.state.selection.main;
+    const line = this.view.state.doc.lineAt(from);
+
+    let fromPos = line.from;
+    let toPos = line.to;
 
     const content = this.view.state.doc.toString();
-    const writable = await activeTab.handle.createWritable();
-    await writable.write(content);
-    await writable.close();
-    activeTab.dirty = false;
-    activeTab.state = this.view.state;
-    this.dirty = false;
+    if (toPos < content.length && content[toPos] === '\n') {
+      toPos += 1;
+    } else if (fromPos > 0 && content[fromPos - 1] === '\n') {
+      fromPos -= 1;
+    }
+
+    this.view.dispatch({
+      changes: { from: fromPos, to: toPos, insert: '' },
+      selection: { anchor: fromPos },
+    });
+  }
+
+  moveLine(direction) {
+    if (!this.view) return;
+
+    const doc = this.view.state.doc.toString();
+    const lines = doc.split('\n');
+    const { from } = this.view.state.selection.main;
+    const currentLine = this.view.state.doc.lineAt(from);
+    const currentIdx = currentLine.number - 1;
+    const targetIdx = currentIdx + direction;
+
+    if (targetIdx < 0 || targetIdx >= lines.length) return;
+
+    [lines[currentIdx], lines[targetIdx]] = [lines[targetIdx], lines[currentIdx]];
+    const nextDoc = lines.join('\n');
+
+    const anchor = lines.slice(0, targetIdx).join('\n').length + (targetIdx > 0 ? 1 : 0);
+
+    this.view.dispatch({
+      changes: { from: 0, to: this.view.state.doc.length, insert: nextDoc },
+      selection: { anchor },
+    });
+  }
+
+  toggleComment() {
+    if (!this.view) return;
+    toggleComment(this.view);
+  }
+
+  triggerSuggest() {
+    if (!this.view) return;
+    this.view.focus();
+    startCompletion(this.view);
+  }
+
+  pickSnippet() {
+    const tab = this.getActiveTextTab();
+    if (!tab) return;
+
+    const language = getSnippetLanguage(tab.path);
+    const available = snippets.getSnippets(language);
+    if (!available.length) {
+      this.showStatusMessage(`No snippets for ${tab.language}`);
+      return;
+    }
+
+    this.showQuickPick(available.map((entry) => ({
+      type: 'snippet',
+      label: entry.name,
+      meta: [entry.prefixes.join(', '), entry.source].filter(Boolean).join(' · '),
+      icon: '🧩',
+      run: () => {
+        if (this.getActiveTextTab() === tab) snippets.insert(this.view, entry);
+      },
+    })), 'Select a snippet to insert');
+  }
+
+  pickUserSnippetsFile(placeholder, run) {
+    this.showQuickPick(snippets.getUserFileNames().map((fileName) => ({
+      type: 'snippet',
+      label: fileName,
+      icon: '🧩',
+      run: () => run(fileName),
+    })), placeholder);
+  }
+
+  // arquivos no formato do VS Code: <linguagem>.json ou <nome>.code-snippets
+  async importSnippets() {
+    let handles;
+    try {
+      handles = await window.showOpenFilePicker({
+        multiple: true,
+        types: [{ description: 'Snippets', accept: { 'application/json': ['.json', '.code-snippets'] } }],
+      });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Error opening snippets file:', err);
+      return;
+    }
+
+    const files = await Promise.all(handles.map(async (handle) => {
+      const file = await handle.getFile();
+      return { name: file.name, text: await file.text() };
+    }));
+
+    try {
+      const count = await snippets.importFiles(files);
+      this.showStatusMessage(`Imported ${count} snippet${count === 1 ? '' : 's'}`);
+    } catch (err) {
+      await dialog.show({
+        title: 'Could not import snippets.',
+        message: err.message,
+        buttons: [{ label: 'OK', value: 'ok', primary: true }],
+      });
+    }
+  }
+
+  async exportSnippets(fileName) {
+    const text = snippets.userFiles[fileName];
+    if (text === undefined) return;
+
+    try {
+      const handle = await window.showSaveFilePicker({ suggestedName: fileName });
+      const writable = await handle.createWritable();
+      await writable.write(text);
+      await writable.close();
+      this.showStatusMessage(`Exported ${fileName}`);
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Error exporting snippets:', err);
+    }
+  }
+
+  async removeSnippets(fileName) {
+    const choice = await dialog.show({
+      title: `Remove the snippets file "${fileName}"?`,
+      buttons: [
+        { label: 'Cancel', value: 'cancel' },
+        { label: 'Remove', value: 'remove', primary: true },
+      ],
+    });
+    if (choice !== 'remove') return;
+    await snippets.removeFile(fileName);
+    this.showStatusMessage(`Removed ${fileName}`);
+  }
+
+  getActiveTab() {
+    return this.openTabs.find((tab) => tab.id === this.activeTabId) || null;
+  }
+
+  getTabByPath(path) {
+    return this.openTabs.find((tab) => tab.path === path) || null;
+  }
+
+  setActiveTab(tabId, group = this.activeGroup) {
+    const tab = this.openTabs.find((item) => item.id === tabId);
+    if (!tab || !group) return;
+    this.addTabToGroup(tab, group);
+
+    const previousTab = group.activeTab;
+    if (previousTab && previousTab !== tab) {
+      previousTab.scrollTop = group.view.scrollDOM.scrollTop;
+      group.scrollTops.set(previousTab, previousTab.scrollTop);
+    }
+
+    group.activeTab = tab;
+    this.activeGroup = group;
+    this.touchMru(group, tab);
+    this.syncCurrentFile();
+
+    group.view.setState(group.states.get(tab));
+    this.showViewer(tab, group);
+    const scrollTop = group.scrollTops.get(tab) || 0;
+    requestAnimationFrame(() => {
+      if (group.activeTab === tab) {
+        group.view.scrollDOM.scrollTop = scrollTop;
+      }
+    });
     this.renderTabs();
     this.updateStatusBar();
+    this.scheduleSessionSave();
+  }
+
+  async closeTab(tabId, group = this.activeGroup) {
+    const tab = group?.tabs.find((item) => item.id === tabId);
+    if (!tab) return false;
+
+    const openElsewhere = this.getGroupsForTab(tab).length > 1;
+    if (!openElsewhere && !(await this.resolveUnsavedTabs([tab]))) return false;
+    this.removeTab(tabId, group);
+    return true;
+  }
+
+  async closeTabs(tabs, group = this.activeGroup) {
+    const exclusiveTabs = tabs.filter((tab) => this.getGroupsForTab(tab).length === 1);
+    if (!(await this.resolveUnsavedTabs(exclusiveTabs))) return false;
+    tabs.forEach((tab) => this.removeTab(tab.id, group));
+    return true;
+  }
+
+  async closeOtherTabs(tab, group = this.activeGroup) {
+    this.setActiveTab(tab.id, group);
+    return this.closeTabs(group.tabs.filter((item) => item !== tab && !item.pinned), group);
+  }
+
+  async closeTabsToRight(tab, group = this.activeGroup) {
+    const idx = group.tabs.indexOf(tab);
+    if (group.activeTab && group.tabs.indexOf(group.activeTab) > idx) {
+      this.setActiveTab(tab.id, group);
+    }
+    return this.closeTabs(group.tabs.slice(idx + 1).filter((item) => !item.pinned), group);
   }
 
-  duplicateLine() {
-    if (!this.view) return;
+  async closeSavedTabs(group = this.activeGroup) {
+    return this.closeTabs(group.tabs.filter((tab) => !tab.dirty && !tab.pinned), group);
+  }
 
-    const { from } = this.view.state.selection.main;
-    const line = this.view.state.doc.lineAt(from);
-    const insert = `\n${line.text}`;
+  async closeGroupTabs(group = this.activeGroup) {
+    return this.closeTabs(group.tabs.filter((tab) => !tab.pinned), group);
+  }
 
-    this.view.dispatch({
-      changes: { from: line.to, to: line.to, insert },
-      selection: { anchor: line.to + insert.length },
-    });
+  touchMru(group, tab) {
+    group.mru = [tab, ...group.mru.filter((item) => item !== tab)];
   }
 
-  deleteLine() {
-    if (!this.view) return;
+  // Ctrl+Tab é reservado pelo Chrome; a lista começa na aba usada antes da atual,
+  // então o atalho seguido de Enter alterna entre as duas últimas abas
+  showRecentTabs() {
+    const group = this.activeGroup;
+    if (!group?.tabs.length) return;
+
+    const tabs = [...group.mru, ...group.tabs.filter((tab) => !group.mru.includes(tab))];
+    this.showQuickPick(tabs.map((tab) => ({
+      type: 'tab',
+      label: tab.name,
+      meta: tab.path,
+      icon: fileTree.getFileIcon(tab.name),
+      run: () => this.setActiveTab(tab.id, group),
+    })), 'Select an open editor (most recently used first)', { selectedIndex: 1 });
+  }
 
-    const { from } = this.view.state.selection.main;
-    const line = this.view.state.doc.lineAt(from);
+  switchTab(step) {
+    const group = this.activeGroup;
+    if (!group?.tabs.length) return;
+    const idx = group.tabs.indexOf(group.activeTab);
+    const next = group.tabs[(idx + step + group.tabs.length) % group.tabs.length];
+    this.setActiveTab(next.id, group);
+  }
 
-    let fromPos = line.from;
-    let toPos = line.to;
+  initTabMenus() {
+    const contextMenu = document.getElementById('tabContextMenu');
+    const listMenu = document.getElementById('tabListMenu');
 
-    const content = this.view.state.doc.toString();
-    if (toPos < content.length && content[toPos] === '\n') {
-      toPos += 1;
-    } else if (fromPos > 0 && content[fromPos - 1] === '\n') {
-      fromPos -= 1;
-    }
+    document.addEventListener('click', () => {
+      contextMenu.classList.add('hidden');
+      listMenu.classList.add('hidden');
+    });
 
-    this.view.dispatch({
-      changes: { from: fromPos, to: toPos, insert: '' },
-      selection: { anchor: fromPos },
+    contextMenu.querySelectorAll('li').forEach((item) => {
+      item.addEventListener('click', async () => {
+        contextMenu.classList.add('hidden');
+        await this.handleTabContextMenuAction(item.dataset.action);
+      });
+    });
+
+    window.addEventListener('resize', () => {
+      this.groups.forEach((group) => this.updateTabOverflow(group));
     });
   }
 
-  moveLine(direction) {
-    if (!this.view) return;
+  showTabContextMenu(event, tab, group) {
+    const contextMenu = document.getElementById('tabContextMenu');
+    document.getElementById('contextMenu')?.classList.add('hidden');
+    document.getElementById('tabListMenu')?.classList.add('hidden');
+    this.tabContextMenuTarget = { tab, group };
 
-    const doc = this.view.state.doc.toString();
-    const lines = doc.split('\n');
-    const { from } = this.view.state.selection.main;
-    const currentLine = this.view.state.doc.lineAt(from);
-    const currentIdx = currentLine.number - 1;
-    const targetIdx = currentIdx + direction;
+    const idx = group.tabs.indexOf(tab);
+    contextMenu.querySelector('[data-action="pin"]').textContent = tab.pinned ? 'Unpin' : 'Pin';
+    contextMenu.querySelector('[data-action="keepOpen"]').classList.toggle('hidden', !tab.preview);
+    contextMenu.querySelector('[data-action="closeRight"]').classList.toggle('hidden', idx === group.tabs.length - 1);
 
-    if (targetIdx < 0 || targetIdx >= lines.length) return;
+    contextMenu.style.left = `${event.pageX}px`;
+    contextMenu.style.top = `${event.pageY}px`;
+    contextMenu.classList.remove('hidden');
+  }
 
-    [lines[currentIdx], lines[targetIdx]] = [lines[targetIdx], lines[currentIdx]];
-    const nextDoc = lines.join('\n');
+  async handleTabContextMenuAction(action) {
+    const { tab, group } = this.tabContextMenuTarget || {};
+    this.tabContextMenuTarget = null;
+    if (!tab || !group.tabs.includes(tab)) return;
+
+    switch (action) {
+      case 'close':
+        await this.closeTab(tab.id, group);
+        break;
+      case 'closeOthers':
+        await this.closeOtherTabs(tab, group);
+        break;
+      case 'closeRight':
+        await this.closeTabsToRight(tab, group);
+        break;
+      case 'closeSaved':
+        await this.closeSavedTabs(group);
+        break;
+      case 'closeAll':
+        await this.closeGroupTabs(group);
+        break;
+      case 'pin':
+        this.togglePinTab(tab);
+        break;
+      case 'keepOpen':
+        this.keepTabOpen(tab);
+        break;
+    }
+  }
 
-    const anchor = lines.slice(0, targetIdx).join('\n').length + (targetIdx > 0 ? 1 : 0);
+  showTabList(group = this.activeGroup) {
+    const listMenu = document.getElementById('tabListMenu');
+    const list = listMenu.querySelector('ul');
+    document.getElementById('tabContextMenu')?.classList.add('hidden');
+    list.innerHTML = '';
 
-    this.view.dispatch({
-      changes: { from: 0, to: this.view.state.doc.length, insert: nextDoc },
-      selection: { anchor },
+    group.tabs.forEach((tab) => {
+      const item = document.createElement('li');
+      item.classList.toggle('active', tab === group.activeTab);
+      item.classList.toggle('preview', Boolean(tab.preview));
+      item.textContent = `${tab.pinned ? '📌 ' : ''}${tab.name}${tab.dirty ? ' •' : ''}`;
+      item.title = tab.path;
+      item.addEventListener('click', () => {
+        listMenu.classList.add('hidden');
+        this.setActiveTab(tab.id, group);
+        group.view.focus();
+      });
+      list.appendChild(item);
     });
-  }
 
-  toggleComment() {
-    if (!this.view) return;
-    toggleComment(this.view);
+    listMenu.classList.remove('hidden');
+    const rect = group.listBtn.classList.contains('hidden')
+      ? group.tabsEl.getBoundingClientRect()
+      : group.listBtn.getBoundingClientRect();
+    listMenu.style.top = `${rect.bottom}px`;
+    listMenu.style.left = `${Math.max(0, rect.right - listMenu.offsetWidth)}px`;
   }
 
-  getActiveTab() {
-    return this.openTabs.find((tab) => tab.id === this.activeTabId) || null;
+  updateTabOverflow(group) {
+    const { tabsEl } = group;
+    group.listBtn.classList.toggle('hidden', tabsEl.scrollWidth <= tabsEl.clientWidth);
+    tabsEl.querySelector('.tab-item.active')?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
   }
 
-  setActiveTab(tabId) {
-    const tab = this.openTabs.find((item) => item.id === tabId);
-    if (!tab) return;
+  async closeAllTabs({ force = false } = {}) {
+    if (!force && !(await this.resolveUnsavedTabs(this.openTabs))) return false;
 
-    this.activeTabId = tab.id;
-    this.currentFileHandle = tab.handle;
-    this.currentFileName = tab.name;
-    this.currentLanguage = tab.language;
-    this.currentLanguageExtension = tab.languageExtension;
-    this.dirty = Boolean(tab.dirty);
+    this.openTabs = [];
+    this.groups.slice(1).forEach((group) => this.removeGroup(group));
+    const [group] = this.groups;
+    group.tabs = [];
+    group.mru = [];
+    group.states.clear();
+    group.scrollTops.clear();
+    this.showEmptyEditor(group);
+    return true;
+  }
 
-    this.view.setState(tab.state);
+  showEmptyEditor(group = this.activeGroup) {
+    group.activeTab = null;
+    this.activeGroup = group;
+    group.view.setState(this.createState('', []));
+    this.showViewer(null, group);
+    this.syncCurrentFile();
+    this.persistSession();
     this.renderTabs();
     this.updateStatusBar();
   }
 
-  closeTab(tabId) {
-    const idx = this.openTabs.findIndex((tab) => tab.id === tabId);
+  removeTab(tabId, group = this.activeGroup) {
+    const idx = group.tabs.findIndex((tab) => tab.id === tabId);
     if (idx === -1) return;
 
-    const wasActive = this.activeTabId === tabId;
-    this.openTabs.splice(idx, 1);
+    const [tab] = group.tabs.splice(idx, 1);
+    const wasActive = group.activeTab === tab;
+    group.mru = group.mru.filter((item) => item !== tab);
+    group.states.delete(tab);
+    group.scrollTops.delete(tab);
+    if (!this.getGroupsForTab(tab).length) {
+      this.openTabs.splice(this.openTabs.indexOf(tab), 1);
+    }
 
-    if (!this.openTabs.length) {
-      this.activeTabId = null;
-      this.currentFileHandle = null;
-      this.currentFileName = 'No file open';
-      this.currentLanguage = 'Plain Text';
-      this.currentLanguageExtension = [];
-      this.dirty = false;
-      this.view.setState(this.createState('', []));
-      fileSystem.clearSession();
-      this.renderTabs();
-      this.updateStatusBar();
+    if (!group.tabs.length) {
+      if (this.groups.length > 1) {
+        this.removeGroup(group);
+      } else {
+        this.showEmptyEditor(group);
+      }
       return;
     }
 
     if (wasActive) {
-      const nextIdx = Math.max(0, idx - 1);
-      this.setActiveTab(this.openTabs[nextIdx].id);
-      fileSystem.saveSession(this.openTabs[nextIdx].path);
+      group.activeTab = null;
+      this.setActiveTab(group.tabs[Math.max(0, idx - 1)].id, group);
     } else {
       this.renderTabs();
+      this.scheduleSessionSave();
     }
   }
 
   renderTabs() {
-    const tabsEl = document.getElementById('tabs');
-    if (!tabsEl) return;
+    this.groups.forEach((group) => this.renderGroupTabs(group));
+    diagnostics.scheduleRefresh();
+  }
 
+  renderGroupTabs(group) {
+    const tabsEl = group.tabsEl;
     tabsEl.innerHTML = '';
+    group.element.classList.toggle('active-group', this.groups.length > 1 && group === this.activeGroup);
 
-    this.openTabs.forEach((tab) => {
+    group.tabs.forEach((tab) => {
       const item = document.createElement('div');
-      item.className = `tab-item${tab.id === this.activeTabId ? ' active' : ''}`;
+      item.className = `tab-item${tab === group.activeTab ? ' active' : ''}`;
+      item.classList.toggle('pinned', Boolean(tab.pinned));
+      item.classList.toggle('preview', Boolean(tab.preview));
+      item.classList.toggle('external-change', Boolean(tab.externallyModified));
+      item.classList.toggle('deleted', Boolean(tab.deletedOnDisk));
       item.dataset.tabId = tab.id;
+      item.draggable = true;
+      if (tab.deletedOnDisk) {
+        item.title = `${tab.path} (deleted on disk)`;
+      } else if (tab.externallyModified) {
+        item.title = `${tab.path} (changed on disk)`;
+      } else {
+        item.title = tab.path;
+      }
 
       const name = document.createElement('span');
       name.className = 'tab-item-name';
@@ -528,15 +1986,22 @@ class CodeEditor {
       const close = document.createElement('button');
       close.type = 'button';
       close.className = 'tab-item-close';
-      close.textContent = '×';
-      close.title = `Close ${tab.name}`;
-      close.dataset.tabClose = tab.id;
+      if (tab.pinned) {
+        close.textContent = '📌';
+        close.title = `Unpin ${tab.name}`;
+        close.dataset.tabUnpin = tab.id;
+      } else {
+        close.textContent = '×';
+        close.title = `Close ${tab.name}`;
+        close.dataset.tabClose = tab.id;
+      }
 
       item.appendChild(name);
       item.appendChild(dirty);
       item.appendChild(close);
       tabsEl.appendChild(item);
     });
+    this.updateTabOverflow(group);
   }
 
   updateStatusBar() {
@@ -567,6 +2032,46 @@ class CodeEditor {
     if (languageEl) {
       languageEl.textContent = this.currentLanguage;
     }
+
+    const indentationEl = document.getElementById('indentation');
+    const encodingEl = document.getElementById('encoding');
+    const eolEl = document.getElementById('eol');
+    const textTab = activeTab && !activeTab.viewer ? activeTab : null;
+    if (indentationEl) {
+      const indentation = textTab?.indentation;
+      indentationEl.textContent = indentation
+        ? (indentation.useTabs ? `Tab Size: ${indentation.tabWidth}` : `Spaces: ${indentation.size}`)
+        : '';
+      indentationEl.title = indentation?.source === 'editorconfig'
+        ? 'Indentation from .editorconfig (click to change)'
+        : 'Select Indentation';
+      indentationEl.classList.toggle('hidden', !textTab);
+    }
+    if (encodingEl) {
+      encodingEl.textContent = textTab ? ENCODINGS[textTab.encoding] : '';
+      encodingEl.classList.toggle('hidden', !textTab);
+    }
+    if (eolEl) {
+      eolEl.textContent = textTab ? textTab.eol : '';
+      eolEl.classList.toggle('hidden', !textTab);
+    }
+  }
+
+  getActiveTextTab() {
+    const tab = this.getActiveTab();
+    return tab && !tab.viewer ? tab : null;
+  }
+
+  setTabFormat(key, value) {
+    const tab = this.getActiveTextTab();
+    if (!tab || tab[key] === value) return;
+
+    tab[key] = value;
+    tab.dirty = true;
+    this.dirty = true;
+    this.renderTabs();
+    this.updateStatusBar();
+    this.scheduleSessionSave();
   }
 
   renderFileTree(entries, container) {
@@ -583,13 +2088,52 @@ class CodeEditor {
     });
   }
 
-  async quickOpenFile() {
-    await this.openQuickOpen();
+  showSidebarView(viewName, { focus = true } = {}) {
+    const sidebar = document.getElementById('sidebar');
+    sidebar?.classList.remove('collapsed');
+
+    document.querySelectorAll('.sidebar-switch').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.view === viewName);
+    });
+    document.querySelectorAll('.sidebar-view').forEach((view) => {
+      view.classList.toggle('hidden', view.dataset.view !== viewName);
+    });
+
+    if (viewName === 'search' && focus) {
+      projectSearch.focus();
+    }
+    if (viewName === 'outline') {
+      outline.refresh();
+    }
   }
 
   initEventListeners() {
     this.initTopMenus();
 
+    document.querySelectorAll('.sidebar-switch').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.showSidebarView(btn.dataset.view);
+      });
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+      if (this.openTabs.some((tab) => tab.dirty)) {
+        this.persistSession();
+        e.preventDefault();
+        e.returnValue = '';
+      }
+    });
+
+    window.addEventListener('pagehide', () => {
+      this.persistSession();
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.persistSession();
+      }
+    });
+
     document.getElementById('themeToggle')?.addEventListener('click', () => {
       this.toggleTheme();
     });
@@ -607,52 +2151,143 @@ class CodeEditor {
     });
 
     document.getElementById('refreshBtn')?.addEventListener('click', async () => {
-      await fileTree.refresh();
-    });
-
-    document.getElementById('tabs')?.addEventListener('click', (e) => {
-      const closeBtn = e.target.closest('[data-tab-close]');
-      if (closeBtn) {
-        e.stopPropagation();
-        this.closeTab(closeBtn.dataset.tabClose);
-        return;
-      }
-
-      const tabEl = e.target.closest('.tab-item');
-      if (tabEl?.dataset.tabId) {
-        this.setActiveTab(tabEl.dataset.tabId);
-      }
+      fileIndex.rebuild();
+      await fileTree.refresh({ preserveExpanded: true });
     });
 
+    this.initTabMenus();
+    dialog.init();
     shortcuts.init(this);
+    projectSearch.init(this);
+    outline.init(this);
+    workspaceSymbols.init(this);
+    completion.init(this);
+    snippets.init(this);
+    diagnostics.init(this);
+    markdownPreview.init(this);
+    htmlPreview.init(this);
+    git.init(this);
+  }
+
+  registerCommands() {
+    const hasActiveTab = () => Boolean(this.getActiveTab());
+    const hasTabs = () => this.openTabs.length > 0;
+    const hasDirtyTabs = () => this.openTabs.some((tab) => tab.dirty);
+    const hasScriptTab = () => {
+      const tab = this.getActiveTab();
+      return Boolean(tab && !tab.viewer && isScriptFile(tab.path));
+    };
+    const hasPreviewTab = () => this.canPreview(this.getActiveTab());
+
+    [
+      { id: 'file.openFolder', category: 'File', title: 'Open Folder', keybinding: 'Mod-o', icon: '📂', menu: 'file', run: async () => fileTree.openFolder() },
+      { id: 'file.newFile', category: 'File', title: 'New File', keybinding: 'Mod-n', icon: '📄', menu: 'file', run: async () => fileTree.createNewFile() },
+      { id: 'file.newFolder', category: 'File', title: 'New Folder', icon: '📁', menu: 'file', run: async () => fileTree.createNewFolder() },
+      { id: 'file.save', category: 'File', title: 'Save', keybinding: 'Mod-s', icon: '💾', menu: 'file', when: hasActiveTab, run: async () => this.saveCurrentFile() },
+      { id: 'file.saveAll', category: 'File', title: 'Save All', keybinding: 'Mod-Alt-s', icon: '💾', menu: 'file', when: hasDirtyTabs, run: async () => this.saveAllTabs() },
+      { id: 'file.toggleFormatOnSave', category: 'File', title: 'Format on Save', icon: '🪄', menu: 'file', checked: () => this.settings.formatOnSave, run: () => this.toggleSetting('formatOnSave') },
+      { id: 'file.toggleTrimTrailingWhitespace', category: 'File', title: 'Trim Trailing Whitespace on Save', icon: '␣', menu: 'file', checked: () => this.settings.trimTrailingWhitespace, run: () => this.toggleSetting('trimTrailingWhitespace') },
+      { id: 'file.toggleInsertFinalNewline', category: 'File', title: 'Insert Final Newline on Save', icon: '↵', menu: 'file', checked: () => this.settings.insertFinalNewline, run: () => this.toggleSetting('insertFinalNewline') },
+      { id: 'file.closeAllTabs', category: 'File', title: 'Close All Tabs', icon: '🗂️', menu: 'file', when: hasTabs, run: async () => this.closeAllTabs() },
+      { id: 'file.closeOtherTabs', category: 'File', title: 'Close Other Tabs', icon: '🗂️', when: hasActiveTab, run: async () => this.closeOtherTabs(this.getActiveTab()) },
+      { id: 'file.closeTabsToRight', category: 'File', title: 'Close Tabs to the Right', icon: '🗂️', when: hasActiveTab, run: async () => this.closeTabsToRight(this.getActiveTab()) },
+      { id: 'file.closeSavedTabs', category: 'File', title: 'Close Saved Tabs', icon: '🗂️', when: hasTabs, run: async () => this.closeSavedTabs() },
+      { id: 'file.togglePinTab', category: 'File', title: 'Pin/Unpin Tab', icon: '📌', when: hasActiveTab, run: () => this.togglePinTab(this.getActiveTab()) },
+      { id: 'file.keepTabOpen', category: 'File', title: 'Keep Tab Open', icon: '📄', when: () => Boolean(this.getActiveTab()?.preview), run: () => this.keepTabOpen(this.getActiveTab()) },
+      { id: 'edit.duplicateLine', category: 'Edit', title: 'Duplicate Line', keybinding: 'Mod-d', icon: '⧉', menu: 'edit', when: hasActiveTab, run: () => this.duplicateLine() },
+      { id: 'edit.deleteLine', category: 'Edit', title: 'Delete Line', keybinding: 'Mod-Shift-k', icon: '✂️', menu: 'edit', when: hasActiveTab, run: () => this.deleteLine() },
+      { id: 'edit.moveLineUp', category: 'Edit', title: 'Move Line Up', keybinding: 'Alt-ArrowUp', icon: '⬆️', menu: 'edit', when: hasActiveTab, run: () => this.moveLine(-1) },
+      { id: 'edit.moveLineDown', category: 'Edit', title: 'Move Line Down', keybinding: 'Alt-ArrowDown', icon: '⬇️', menu: 'edit', when: hasActiveTab, run: () => this.moveLine(1) },
+      { id: 'edit.triggerSuggest', category: 'Edit', title: 'Trigger Suggest', keybinding: 'Ctrl-Space', icon: '💡', menu: 'edit', when: hasActiveTab, run: () => this.triggerSuggest() },
+      { id: 'snippets.insert', category: 'Snippets', title: 'Insert Snippet...', icon: '🧩', menu: 'edit', when: () => this.getActiveTextTab(), run: () => this.pickSnippet() },
+      { id: 'snippets.import', category: 'Snippets', title: 'Import Snippets File...', icon: '📥', run: async () => this.importSnippets() },
+      { id: 'snippets.export', category: 'Snippets', title: 'Export User Snippets...', icon: '📤', when: () => snippets.getUserFileNames().length > 0, run: () => this.pickUserSnippetsFile('Select a snippets file to export', (fileName) => this.exportSnippets(fileName)) },
+      { id: 'snippets.remove', category: 'Snippets', title: 'Remove User Snippets File...', icon: '🗑️', when: () => snippets.getUserFileNames().length > 0, run: () => this.pickUserSnippetsFile('Select a snippets file to remove', (fileName) => this.removeSnippets(fileName)) },
+      { id: 'edit.formatDocument', category: 'Edit', title: 'Format Document', keybinding: 'Shift-Alt-f', icon: '🪄', menu: 'edit', when: () => this.getActiveTextTab(), run: async () => this.formatDocument() },
+      { id: 'edit.formatSelection', category: 'Edit', title: 'Format Selection', icon: '🪄', menu: 'edit', when: () => this.getActiveTextTab(), run: async () => this.formatDocument({ selection: true }) },
+      { id: 'edit.toggleComment', category: 'Edit', title: 'Toggle Comment', keybinding: 'Mod-/', icon: '💬', menu: 'edit', when: hasActiveTab, run: () => this.toggleComment() },
+      { id: 'search.findInFiles', category: 'Search', title: 'Find in Files', keybinding: 'Mod-Shift-f', icon: '🔍', menu: 'edit', run: () => this.showSidebarView('search') },
+      { id: 'workbench.quickOpen', category: 'Go', title: 'Go to File...', keybinding: 'Mod-p', icon: '🟢', menu: 'view', run: async () => this.openQuickOpen() },
+      { id: 'workbench.goToSymbol', category: 'Go', title: 'Go to Symbol in Editor...', keybinding: 'Mod-Shift-o', icon: '@', menu: 'view', when: hasActiveTab, run: async () => this.openQuickOpen('@') },
+      { id: 'workbench.showAllSymbols', category: 'Go', title: 'Go to Symbol in Workspace...', keybinding: 'Mod-Alt-o', icon: '#', menu: 'view', run: async () => this.openQuickOpen('#') },
+      { id: 'editor.goToDefinition', category: 'Go', title: 'Go to Definition', keybinding: 'F12', icon: '↪', menu: 'edit', when: hasScriptTab, run: async () => this.goToDefinition() },
+      { id: 'editor.nextProblem', category: 'Go', title: 'Go to Next Problem', keybinding: 'F8', icon: '⚠', menu: 'edit', when: () => this.getActiveTextTab(), run: () => nextDiagnostic(this.view) },
+      { id: 'editor.previousProblem', category: 'Go', title: 'Go to Previous Problem', keybinding: 'Shift-F8', icon: '⚠', when: () => this.getActiveTextTab(), run: () => previousDiagnostic(this.view) },
+      { id: 'editor.findReferences', category: 'Go', title: 'Find All References', keybinding: 'Shift-F12', icon: '⇶', menu: 'edit', when: hasScriptTab, run: async () => this.findReferences() },
+      { id: 'workbench.commandPalette', category: 'View', title: 'Command Palette...', keybinding: 'Mod-Shift-p', icon: '⌨️', menu: 'view', run: async () => this.openQuickOpen('>') },
+      { id: 'editor.indentUsingSpaces', category: 'View', title: 'Indent Using Spaces', icon: '␣', menu: 'indentation', when: () => this.getActiveTextTab(), checked: () => this.getActiveTextTab()?.indentation.useTabs === false, run: () => this.setTabIndentation({ useTabs: false }) },
+      { id: 'editor.indentUsingTabs', category: 'View', title: 'Indent Using Tabs', icon: '⇥', menu: 'indentation', when: () => this.getActiveTextTab(), checked: () => this.getActiveTextTab()?.indentation.useTabs === true, run: () => this.setTabIndentation({ useTabs: true }) },
+      ...[2, 4, 8].map((size) => ({
+        id: `editor.indentSize.${size}`,
+        category: 'View',
+        title: `Indentation Size: ${size}`,
+        icon: '⇥',
+        menu: 'indentation',
+        when: () => this.getActiveTextTab(),
+        checked: () => this.getActiveTextTab()?.indentation.size === size,
+        run: () => this.setTabIndentation({ size }),
+      })),
+      { id: 'editor.reloadEditorConfig', category: 'View', title: 'Reapply .editorconfig', icon: '↻', menu: 'indentation', when: () => this.getActiveTextTab(), run: async () => this.reapplyEditorConfig() },
+      ...Object.entries(ENCODINGS).map(([encoding, label]) => ({
+        id: `file.changeEncoding.${encoding}`,
+        category: 'File',
+        title: `Save with Encoding: ${label}`,
+        icon: '🔤',
+        menu: 'encoding',
+        when: () => this.getActiveTextTab(),
+        checked: () => this.getActiveTextTab()?.encoding === encoding,
+        run: () => this.setTabFormat('encoding', encoding),
+      })),
+      ...Object.keys(EOLS).map((eol) => ({
+        id: `file.changeEol.${eol.toLowerCase()}`,
+        category: 'File',
+        title: `Change End of Line Sequence: ${eol}`,
+        icon: '↵',
+        menu: 'eol',
+        when: () => this.getActiveTextTab(),
+        checked: () => this.getActiveTextTab()?.eol === eol,
+        run: () => this.setTabFormat('eol', eol),
+      })),
+      { id: 'view.explorer', category: 'View', title: 'Show Explorer', icon: '📁', menu: 'view', run: () => this.showSidebarView('explorer') },
+      { id: 'view.search', category: 'View', title: 'Show Search', icon: '🔍', menu: 'view', run: () => this.showSidebarView('search') },
+      { id: 'view.outline', category: 'View', title: 'Show Outline', icon: '☰', menu: 'view', run: () => this.showSidebarView('outline') },
+      { id: 'view.problems', category: 'View', title: 'Show Problems', keybinding: 'Mod-Shift-m', icon: '⚠', menu: 'view', run: () => this.showSidebarView('problems') },
+      { id: 'preview.openToSide', category: 'Preview', title: 'Open Preview to the Side', keybinding: 'Mod-Shift-v', icon: '◧', menu: 'view', when: hasPreviewTab, checked: () => this.getActiveTab()?.previewMode === 'side', run: () => this.setPreviewMode('side') },
+      { id: 'preview.open', category: 'Preview', title: 'Open Preview', icon: '👁', menu: 'view', when: hasPreviewTab, checked: () => this.getActiveTab()?.previewMode === 'only', run: () => this.setPreviewMode('only') },
+      { id: 'preview.close', category: 'Preview', title: 'Close Preview', icon: '✕', menu: 'view', when: () => hasPreviewTab() && Boolean(this.getActiveTab().previewMode), run: () => this.setPreviewMode(null) },
+      { id: 'preview.toggleRefreshOnType', category: 'Preview', title: 'Refresh Live Preview While Typing', icon: '⟳', menu: 'view', checked: () => this.settings.refreshPreviewOnType, run: () => this.toggleSetting('refreshPreviewOnType') },
+      { id: 'view.toggleSidebar', category: 'View', title: 'Toggle Sidebar', keybinding: 'Mod-b', icon: '🧭', menu: 'view', run: () => shortcuts.toggleSidebar() },
+      { id: 'view.splitRight', category: 'View', title: 'Split Editor Right', keybinding: 'Mod-\\', icon: '◫', menu: 'view', when: () => this.groups.length < MAX_GROUPS, run: () => this.splitEditor('horizontal') },
+      { id: 'view.splitDown', category: 'View', title: 'Split Editor Down', icon: '⬓', menu: 'view', when: () => this.groups.length < MAX_GROUPS, run: () => this.splitEditor('vertical') },
+      { id: 'view.nextTab', category: 'View', title: 'Open Next Tab', keybinding: 'Alt-PageDown', icon: '→', when: hasActiveTab, run: () => this.switchTab(1) },
+      { id: 'view.previousTab', category: 'View', title: 'Open Previous Tab', keybinding: 'Alt-PageUp', icon: '←', when: hasActiveTab, run: () => this.switchTab(-1) },
+      { id: 'view.showRecentTabs', category: 'View', title: 'Show Recently Used Editors', keybinding: 'Mod-e', icon: '⇆', when: hasActiveTab, run: () => this.showRecentTabs() },
+      { id: 'view.showOpenedTabs', category: 'View', title: 'Show Opened Tabs', icon: '⌄', when: hasTabs, run: () => this.showTabList() },
+      { id: 'view.focusNextGroup', category: 'View', title: 'Focus Next Editor Group', icon: '⇥', when: () => this.groups.length > 1, run: () => this.focusNextGroup() },
+      { id: 'view.moveEditorToNextGroup', category: 'View', title: 'Move Editor into Next Group', icon: '⇢', when: () => this.groups.length > 1 && this.getActiveTab(), run: () => this.moveEditorToNextGroup() },
+      { id: 'view.closeEditorGroup', category: 'View', title: 'Close Editor Group', icon: '✕', menu: 'view', when: () => this.groups.length > 1, run: () => this.closeGroup() },
+      { id: 'view.toggleIgnoredFiles', category: 'View', title: 'Show Ignored Files', icon: '🙈', menu: 'view', checked: () => this.settings.explorerShowIgnored, run: () => this.toggleExplorerSetting('explorerShowIgnored') },
+      { id: 'view.toggleDotFiles', category: 'View', title: 'Show Dot Files', icon: '•', menu: 'view', checked: () => this.settings.explorerShowDotFiles, run: () => this.toggleExplorerSetting('explorerShowDotFiles') },
+      { id: 'view.toggleTheme', category: 'View', title: 'Toggle Theme', icon: '🌓', menu: 'view', run: () => this.toggleTheme() },
+    ].forEach((command) => commands.register(command));
   }
 
   initTopMenus() {
     const menuButtons = document.querySelectorAll('.menu-item');
-    const menuDefs = {
-      file: [
-        { label: 'Open Folder', run: async () => fileTree.openFolder() },
-        { label: 'New File', run: async () => fileTree.createNewFile() },
-        { label: 'New Folder', run: async () => fileTree.createNewFolder() },
-        { label: 'Save', run: async () => this.saveCurrentFile() },
-      ],
-      edit: [
-        { label: 'Duplicate Line', run: () => this.duplicateLine() },
-        { label: 'Delete Line', run: () => this.deleteLine() },
-        { label: 'Toggle Comment', run: () => this.toggleComment() },
-      ],
-      view: [
-        { label: 'Toggle Sidebar', run: () => shortcuts.toggleSidebar() },
-        { label: 'Toggle Theme', run: () => this.toggleTheme() },
-      ],
-    };
 
     menuButtons.forEach((btn) => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
         const menuName = btn.dataset.action;
-        const items = menuDefs[menuName] || [];
-        this.toggleTopMenu(btn, menuName, items);
+        this.toggleTopMenu(btn, menuName, commands.getMenu(menuName));
+      });
+    });
+
+    document.querySelectorAll('[data-status-menu]').forEach((el) => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const menuName = el.dataset.statusMenu;
+        this.toggleTopMenu(el, menuName, commands.getMenu(menuName));
       });
     });
 
@@ -672,15 +2307,28 @@ class CodeEditor {
     const menu = document.createElement('div');
     menu.className = 'top-menu-popup';
 
-    items.forEach((itemDef) => {
+    items.forEach((command) => {
       const item = document.createElement('button');
       item.type = 'button';
       item.className = 'top-menu-item';
-      item.textContent = itemDef.label;
+      item.classList.toggle('checked', commands.isChecked(command));
+      item.disabled = !commands.isEnabled(command);
+
+      const label = document.createElement('span');
+      label.textContent = command.title;
+      item.appendChild(label);
+
+      if (command.keybinding) {
+        const keybinding = document.createElement('span');
+        keybinding.className = 'top-menu-keybinding';
+        keybinding.textContent = commands.formatKeybinding(command.keybinding);
+        item.appendChild(keybinding);
+      }
+
       item.addEventListener('click', async (e) => {
         e.stopPropagation();
-        await itemDef.run();
         this.hideTopMenu();
+        await commands.execute(command.id);
       });
       menu.appendChild(item);
     });
@@ -690,6 +2338,14 @@ class CodeEditor {
     menu.style.top = `${anchorRect.bottom + 4}px`;
     document.body.appendChild(menu);
 
+    const menuRect = menu.getBoundingClientRect();
+    if (menuRect.bottom > window.innerHeight) {
+      menu.style.top = `${Math.max(0, anchorRect.top - menuRect.height - 4)}px`;
+    }
+    if (menuRect.right > window.innerWidth) {
+      menu.style.left = `${Math.max(0, window.innerWidth - menuRect.width - 4)}px`;
+    }
+
     this.activeTopMenu = { name: menuName, element: menu };
   }
 
@@ -709,15 +2365,7 @@ class CodeEditor {
     this.quickOpen.overlay = overlay;
     this.quickOpen.input = input;
     this.quickOpen.list = list;
-
-    this.quickOpen.commands = [
-      { label: 'Open folder', meta: 'Cmd/Ctrl+O', icon: '📂', run: async () => fileTree.openFolder() },
-      { label: 'New file', meta: 'Cmd/Ctrl+N', icon: '📄', run: async () => fileTree.createNewFile() },
-      { label: 'New folder', meta: 'UI', icon: '📁', run: async () => fileTree.createNewFolder() },
-      { label: 'Save file', meta: 'Cmd/Ctrl+S', icon: '💾', run: async () => this.saveCurrentFile() },
-      { label: 'Toggle sidebar', meta: 'Cmd/Ctrl+B', icon: '🧭', run: () => shortcuts.toggleSidebar() },
-      { label: 'Toggle theme', meta: 'UI', icon: '🌓', run: () => this.toggleTheme() },
-    ];
+    this.quickOpen.defaultPlaceholder = input.placeholder;
 
     overlay.addEventListener('click', (e) => {
       if (e.target === overlay) {
@@ -753,14 +2401,15 @@ class CodeEditor {
     });
   }
 
-  async openQuickOpen() {
+  async openQuickOpen(prefix = '') {
     if (!this.quickOpen.overlay || !this.quickOpen.input || !this.quickOpen.list) return;
 
-    this.quickOpen.files = await fileTree.getAllFiles();
+    this.quickOpen.files = prefix === '>' ? [] : await fileTree.getAllFiles();
+    this.quickOpen.recentFiles = await this.loadRecentFiles();
     this.quickOpen.open = true;
     this.quickOpen.overlay.classList.remove('hidden');
-    this.quickOpen.input.value = '';
-    this.updateQuickOpenEntries('');
+    this.quickOpen.input.value = prefix;
+    this.updateQuickOpenEntries(prefix);
     this.renderQuickOpenEntries();
     this.quickOpen.input.focus();
   }
@@ -771,37 +2420,321 @@ class CodeEditor {
     this.quickOpen.overlay.classList.add('hidden');
     this.quickOpen.entries = [];
     this.quickOpen.selectedIndex = 0;
+    this.quickOpen.pick = null;
+    this.quickOpen.symbolsPending = null;
+    this.quickOpen.input.placeholder = this.quickOpen.defaultPlaceholder;
     this.view?.focus();
   }
 
+  // lista fixa de opções no Quick Open (ex.: várias definições possíveis)
+  showQuickPick(entries, placeholder, { selectedIndex = 0 } = {}) {
+    if (!this.quickOpen.overlay) return;
+
+    this.quickOpen.pick = entries;
+    this.quickOpen.open = true;
+    this.quickOpen.overlay.classList.remove('hidden');
+    this.quickOpen.input.value = '';
+    this.quickOpen.input.placeholder = placeholder;
+    this.updateQuickOpenEntries('');
+    this.quickOpen.selectedIndex = Math.max(0, Math.min(selectedIndex, this.quickOpen.entries.length - 1));
+    this.renderQuickOpenEntries();
+    this.quickOpen.input.focus();
+  }
+
   updateQuickOpenEntries(query) {
-    const q = query.trim().toLowerCase();
+    if (this.quickOpen.pick) {
+      this.quickOpen.entries = this.quickOpen.pick
+        .map((entry) => ({ ...entry, match: fuzzyMatch(query.trim(), entry.label) }))
+        .filter((entry) => entry.match)
+        .map(({ match, ...entry }) => ({ ...entry, positions: match.positions }));
+      this.quickOpen.selectedIndex = 0;
+      return;
+    }
 
-    const commandEntries = this.quickOpen.commands
-      .filter((cmd) => !q || cmd.label.toLowerCase().includes(q))
-      .map((cmd) => ({
+    if (query.startsWith('#')) {
+      this.quickOpen.entries = this.getWorkspaceSymbolEntries(query.slice(1).trim());
+      this.quickOpen.selectedIndex = 0;
+      return;
+    }
+
+    if (query.startsWith('>')) {
+      this.quickOpen.entries = commands.search(query.slice(1)).map(({ command, label, positions }) => ({
         type: 'command',
-        label: cmd.label,
-        meta: cmd.meta,
-        icon: cmd.icon,
-        run: cmd.run,
+        label,
+        positions,
+        meta: commands.formatKeybinding(command.keybinding),
+        icon: command.icon,
+        run: async () => commands.execute(command.id),
       }));
+      this.quickOpen.selectedIndex = 0;
+      return;
+    }
+
+    const { filePart, line, column, symbol } = this.parseQuickOpenQuery(query);
+    const location = line ? { line, column: column || 1 } : null;
+
+    if (!filePart && (location || symbol !== null)) {
+      this.quickOpen.entries = location
+        ? this.getGoToLineEntries(location)
+        : this.getSymbolEntries(symbol);
+      this.quickOpen.selectedIndex = 0;
+      return;
+    }
 
-    const fileEntries = this.quickOpen.files
-      .filter((file) => !q || file.path.toLowerCase().includes(q))
-      .slice(0, 80)
-      .map((file) => ({
+    this.quickOpen.entries = this.rankQuickOpenFiles(filePart)
+      .slice(0, 100)
+      .map(({ file, positions }) => ({
         type: 'file',
         label: file.path,
-        meta: 'file',
-        icon: '🟢',
-        run: async () => this.openFile(file.handle, file.path),
+        positions,
+        meta: location ? `${location.line}:${location.column}` : (symbol ? `@${symbol}` : ''),
+        icon: fileTree.getFileIcon(file.name),
+        run: async () => {
+          const handle = await fileIndex.resolveHandle(file);
+          if (!handle) return;
+          await this.openFile(handle, file.path, location);
+          if (symbol) {
+            this.revealSymbol(symbol);
+          }
+        },
       }));
-
-    this.quickOpen.entries = [...commandEntries, ...fileEntries].slice(0, 100);
     this.quickOpen.selectedIndex = 0;
   }
 
+  parseQuickOpenQuery(query) {
+    let rest = query.trim();
+    let symbol = null;
+
+    const symbolIdx = rest.indexOf('@');
+    if (symbolIdx !== -1) {
+      symbol = rest.slice(symbolIdx + 1).trim();
+      rest = rest.slice(0, symbolIdx);
+    }
+
+    const match = /^(.*?)(?::(\d+))?(?::(\d+))?:?$/.exec(rest.trim());
+    return {
+      filePart: match[1].trim(),
+      line: match[2] ? Number(match[2]) : null,
+      column: match[3] ? Number(match[3]) : null,
+      symbol,
+    };
+  }
+
+  rankQuickOpenFiles(filePart) {
+    const { files, recentFiles } = this.quickOpen;
+    const recentRank = new Map(recentFiles.map((path, idx) => [path, idx]));
+
+    if (!filePart) {
+      const recent = files
+        .filter((file) => recentRank.has(file.path))
+        .sort((a, b) => recentRank.get(a.path) - recentRank.get(b.path));
+      const others = files.filter((file) => !recentRank.has(file.path));
+      return [...recent, ...others].map((file) => ({ file, positions: [] }));
+    }
+
+    const query = filePart.replace(/\s+/g, '');
+    const matchPathOnly = query.includes('/');
+    const ranked = [];
+
+    files.forEach((file) => {
+      let best = null;
+
+      if (!matchPathOnly) {
+        const nameMatch = fuzzyMatch(query, file.name);
+        if (nameMatch) {
+          const offset = file.path.length - file.name.length;
+          best = {
+            score: nameMatch.score * 2 + 20,
+            positions: nameMatch.positions.map((pos) => pos + offset),
+          };
+        }
+      }
+
+      const pathMatch = fuzzyMatch(query, file.path);
+      if (pathMatch && (!best || pathMatch.score > best.score)) {
+        best = pathMatch;
+      }
+      if (!best) return;
+
+      const rank = recentRank.get(file.path);
+      const recentBonus = rank === undefined ? 0 : Math.max(0, 20 - rank) * 1.5;
+      ranked.push({
+        file,
+        positions: best.positions,
+        score: best.score + recentBonus - file.path.length * 0.01,
+      });
+    });
+
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  getGoToLineEntries(location) {
+    if (!this.getActiveTab()) return [];
+
+    const lines = this.view.state.doc.lines;
+    const line = Math.min(location.line, lines);
+    return [{
+      type: 'line',
+      label: `Go to line ${line}, column ${location.column}`,
+      meta: `${lines} lines`,
+      icon: '↪',
+      run: () => this.revealLocation({ line, column: location.column }),
+    }];
+  }
+
+  getWorkspaceSymbolEntries(query) {
+    // o índice é atualizado em segundo plano e a lista é redesenhada ao terminar
+    if (!this.quickOpen.symbolsPending) {
+      this.quickOpen.symbolsPending = workspaceSymbols.ensure().then(() => {
+        const value = this.quickOpen.input.value;
+        if (!this.quickOpen.open || !value.startsWith('#')) return;
+        this.updateQuickOpenEntries(value);
+        this.renderQuickOpenEntries();
+      });
+    }
+
+    return workspaceSymbols.search(query).map(({ path, symbol, positions }) => ({
+      type: 'symbol',
+      label: symbol.container ? `${symbol.container}.${symbol.name}` : symbol.name,
+      positions: symbol.container ? positions.map((pos) => pos + symbol.container.length + 1) : positions,
+      meta: `${path}:${symbol.line}`,
+      icon: SYMBOL_ICONS[symbol.kind] || '•',
+      run: () => this.openSymbolLocation({ path, ...symbol }),
+    }));
+  }
+
+  async openSymbolLocation(location) {
+    const activeTab = this.getActiveTab();
+    const target = { line: location.line, column: location.column, length: location.name?.length || 0 };
+    if (activeTab?.path === location.path) {
+      this.revealLocation(target);
+      return;
+    }
+
+    const file = workspaceSymbols.getFile(location.path);
+    const handle = file ? await fileIndex.resolveHandle(file) : null;
+    if (!handle) {
+      this.showStatusMessage(`Cannot open ${location.path}`);
+      return;
+    }
+    await this.openFile(handle, location.path, target);
+  }
+
+  getDefinitionContext() {
+    const tab = this.getActiveTab();
+    if (!tab || tab.viewer || !isScriptFile(tab.path)) return null;
+
+    const { state } = this.view;
+    const tree = ensureSyntaxTree(state, state.doc.length, 500) || syntaxTree(state);
+    return { tab, state, tree, pos: state.selection.main.head };
+  }
+
+  async goToDefinition() {
+    const context = this.getDefinitionContext();
+    if (!context) return;
+
+    const definitions = await workspaceSymbols.findDefinitions(context.tab.path, context.state, context.tree, context.pos);
+    if (!definitions.length) {
+      this.showStatusMessage('No definition found');
+      return;
+    }
+    if (definitions.length === 1) {
+      await this.openSymbolLocation(definitions[0]);
+      return;
+    }
+
+    this.showQuickPick(definitions.map((definition) => ({
+      type: 'symbol',
+      label: definition.container ? `${definition.container}.${definition.name}` : definition.name,
+      meta: `${definition.path}:${definition.line}`,
+      icon: SYMBOL_ICONS[definition.kind] || '•',
+      run: () => this.openSymbolLocation(definition),
+    })), `${definitions.length} definitions found`);
+  }
+
+  async findReferences() {
+    const context = this.getDefinitionContext();
+    if (!context) return;
+
+    const [definition] = await workspaceSymbols.findDefinitions(context.tab.path, context.state, context.tree, context.pos);
+    if (!definition) {
+      this.showStatusMessage('No symbol found at cursor');
+      return;
+    }
+
+    this.showStatusMessage(`Finding references to ${definition.name}...`);
+    const results = await workspaceSymbols.findReferences(definition);
+    const total = results.reduce((sum, result) => sum + result.matches.length, 0);
+    this.showSidebarView('search', { focus: false });
+    projectSearch.showResults(
+      results,
+      total
+        ? `${total} reference${total === 1 ? '' : 's'} to ${definition.name} in ${results.length} file${results.length === 1 ? '' : 's'}`
+        : `No references to ${definition.name} found.`,
+    );
+    this.showStatusMessage('');
+  }
+
+  showStatusMessage(message) {
+    const statusEl = document.getElementById('fileOperationStatus');
+    if (!statusEl) return;
+
+    clearTimeout(this.statusMessageTimer);
+    statusEl.textContent = message;
+    statusEl.classList.toggle('hidden', !message);
+    if (message) {
+      this.statusMessageTimer = setTimeout(() => statusEl.classList.add('hidden'), 3000);
+    }
+  }
+
+  getSymbolEntries(query) {
+    if (!this.getActiveTab()) return [];
+
+    const symbols = extractSymbols(this.view.state);
+    const matched = symbols
+      .map((symbol) => ({ symbol, match: fuzzyMatch(query, symbol.name) }))
+      .filter(({ match }) => match);
+
+    if (query) {
+      matched.sort((a, b) => b.match.score - a.match.score);
+    }
+
+    return matched.map(({ symbol, match }) => ({
+      type: 'symbol',
+      label: symbol.name,
+      positions: match.positions,
+      meta: `${symbol.kind} · Ln ${symbol.line}`,
+      icon: SYMBOL_ICONS[symbol.kind] || '•',
+      run: () => this.revealRange(symbol.from, symbol.to),
+    }));
+  }
+
+  revealSymbol(query) {
+    if (!this.view) return;
+
+    let best = null;
+    extractSymbols(this.view.state).forEach((symbol) => {
+      const match = fuzzyMatch(query, symbol.name);
+      if (match && (!best || match.score > best.score)) {
+        best = { score: match.score, symbol };
+      }
+    });
+
+    if (best) {
+      this.revealRange(best.symbol.from, best.symbol.to);
+    }
+  }
+
+  revealRange(from, to = from) {
+    if (!this.view) return;
+
+    this.view.dispatch({
+      selection: { anchor: from, head: to },
+      effects: EditorView.scrollIntoView(from, { y: 'center' }),
+    });
+    this.view.focus();
+  }
+
   renderQuickOpenEntries() {
     const { list, entries, selectedIndex } = this.quickOpen;
     if (!list) return;
@@ -826,16 +2759,18 @@ class CodeEditor {
 
       const label = document.createElement('span');
       label.className = 'quick-open-label';
-      label.textContent = entry.label;
-
-      const meta = document.createElement('span');
-      meta.className = 'quick-open-meta';
-      meta.textContent = entry.meta;
+      this.appendHighlightedText(label, entry.label, entry.positions);
 
       main.appendChild(icon);
       main.appendChild(label);
       button.appendChild(main);
-      button.appendChild(meta);
+
+      if (entry.meta) {
+        const meta = document.createElement('span');
+        meta.className = 'quick-open-meta';
+        meta.textContent = entry.meta;
+        button.appendChild(meta);
+      }
 
       button.addEventListener('mousemove', () => {
         if (this.quickOpen.selectedIndex !== index) {
@@ -853,6 +2788,38 @@ class CodeEditor {
     });
   }
 
+  appendHighlightedText(element, text, positions = []) {
+    if (!positions || !positions.length) {
+      element.textContent = text;
+      return;
+    }
+
+    const marked = new Set(positions);
+    let buffer = '';
+    let bufferMarked = false;
+    const flush = () => {
+      if (!buffer) return;
+      if (bufferMarked) {
+        const mark = document.createElement('mark');
+        mark.textContent = buffer;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(buffer));
+      }
+      buffer = '';
+    };
+
+    for (let index = 0; index < text.length; index++) {
+      const isMarked = marked.has(index);
+      if (isMarked !== bufferMarked) {
+        flush();
+        bufferMarked = isMarked;
+      }
+      buffer += text[index];
+    }
+    flush();
+  }
+
   moveQuickOpenSelection(direction) {
     const total = this.quickOpen.entries.length;
     if (!total) return;
@@ -870,8 +2837,16 @@ class CodeEditor {
   async confirmQuickOpenSelection() {
     const entry = this.quickOpen.entries[this.quickOpen.selectedIndex];
     if (!entry) return;
-    await entry.run();
     this.closeQuickOpen();
+    await entry.run();
+  }
+
+  loadRecentFiles() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['recentFiles'], (result) => {
+        resolve(Array.isArray(result.recentFiles) ? result.recentFiles : []);
+      });
+    });
   }
 
   saveRecentFile(filePath) {
@@ -0,0 +1,259 @@
+import { fileSystem } from './fileSystem.js';
+
+// propriedades cujo valor não diferencia maiúsculas de minúsculas
+const KNOWN_PROPERTIES = new Set([
+  'indent_style',
+  'indent_size',
+  'tab_width',
+  'end_of_line',
+  'charset',
+  'trim_trailing_whitespace',
+  'insert_final_newline',
+  'max_line_length',
+]);
+const MAX_RANGE_SIZE = 1000;
+
+function escapeRegexChar(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+function findClosingBrace(glob, start) {
+  let depth = 0;
+  for (let i = start; i < glob.length; i++) {
+    if (glob[i] === '\\') {
+      i += 1;
+    } else if (glob[i] === '{') {
+      depth += 1;
+    } else if (glob[i] === '}') {
+      depth -= 1;
+      if (!depth) return i;
+    }
+  }
+  return -1;
+}
+
+function splitAlternatives(body) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      current += char + (body[i + 1] || '');
+      i += 1;
+      continue;
+    }
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (char === ',' && !depth) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// glob do EditorConfig: *, **, ?, [abc], [!abc], {a,b} e {1..3}
+function globSource(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '\\' && i + 1 < glob.length) {
+      source += escapeRegexChar(glob[i + 1]);
+      i += 2;
+    } else if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 3 : 2;
+      } else {
+        source += '[^/]*';
+        i += 1;
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+      i += 1;
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+        i += 1;
+        continue;
+      }
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end + 1;
+    } else if (char === '{') {
+      const end = findClosingBrace(glob, i);
+      if (end === -1) {
+        source += '\\{';
+        i += 1;
+        continue;
+      }
+
+      const body = glob.slice(i + 1, end);
+      const range = /^([+-]?\d+)\.\.([+-]?\d+)$/.exec(body);
+      const alternatives = splitAlternatives(body);
+      if (range) {
+        const [low, high] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+        source += high - low <= MAX_RANGE_SIZE
+          ? `(?:${Array.from({ length: high - low + 1 }, (_, index) => low + index).join('|')})`
+          : '[+-]?\\d+';
+      } else if (alternatives.length > 1) {
+        source += `(?:${alternatives.map(globSource).join('|')})`;
+      } else {
+        source += `\\{${globSource(body)}\\}`;
+      }
+      i = end + 1;
+    } else {
+      source += escapeRegexChar(char);
+      i += 1;
+    }
+  }
+
+  return source;
+}
+
+// sem "/" o padrão vale para o nome do arquivo em qualquer subpasta
+function compileSection(glob) {
+  const pattern = glob.includes('/') ? glob.replace(/^\//, '') : `**/${glob}`;
+  try {
+    return new RegExp(`^${globSource(pattern)}$`);
+  } catch (err) {
+    return null;
+  }
+}
+
+export function parseEditorConfig(text) {
+  const config = { root: false, sections: [] };
+  let section = null;
+
+  text.split(/\r\n?|\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) return;
+
+    const header = /^\[(.*)\]$/.exec(line);
+    if (header) {
+      section = { glob: header[1], matcher: compileSection(header[1]), properties: {} };
+      config.sections.push(section);
+      return;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    let value = line.slice(separator + 1).trim();
+    if (KNOWN_PROPERTIES.has(key)) {
+      value = value.toLowerCase();
+    }
+
+    if (section) {
+      section.properties[key] = value;
+    } else if (key === 'root') {
+      config.root = value.toLowerCase() === 'true';
+    }
+  });
+
+  return config;
+}
+
+// converte os valores para os tipos usados pelo editor
+function normalizeProperties(properties) {
+  const result = { ...properties };
+  Object.entries(result).forEach(([key, value]) => {
+    if (value === 'unset') {
+      delete result[key];
+    } else if (value === 'true' || value === 'false') {
+      result[key] = value === 'true';
+    } else if (/^\d+$/.test(value)) {
+      result[key] = Number(value);
+    }
+  });
+
+  if (result.indent_style === 'tab' && result.indent_size === undefined) {
+    result.indent_size = 'tab';
+  }
+  if (result.indent_size === 'tab' && result.tab_width !== undefined) {
+    result.indent_size = result.tab_width;
+  }
+  if (typeof result.indent_size === 'number' && result.tab_width === undefined) {
+    result.tab_width = result.indent_size;
+  }
+  return result;
+}
+
+class EditorConfig {
+  constructor() {
+    this.rootHandle = null;
+    this.configs = new Map();
+  }
+
+  clear() {
+    this.configs.clear();
+  }
+
+  async readText(directoryPath) {
+    try {
+      let current = fileSystem.rootHandle;
+      for (const part of directoryPath ? directoryPath.split('/') : []) {
+        current = await current.getDirectoryHandle(part);
+      }
+      const fileHandle = await current.getFileHandle('.editorconfig');
+      return await (await fileHandle.getFile()).text();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  getConfig(directoryPath) {
+    if (!this.configs.has(directoryPath)) {
+      this.configs.set(directoryPath, this.readText(directoryPath).then((text) => (
+        text === null ? null : parseEditorConfig(text)
+      )));
+    }
+    return this.configs.get(directoryPath);
+  }
+
+  // junta as seções que casam com o arquivo, da pasta raiz até a pasta do arquivo
+  async resolve(path) {
+    if (!fileSystem.rootHandle || !path) return {};
+    if (this.rootHandle !== fileSystem.rootHandle) {
+      this.rootHandle = fileSystem.rootHandle;
+      this.clear();
+    }
+
+    const parts = path.split('/');
+    const directories = [''];
+    for (let i = 1; i < parts.length; i++) {
+      directories.push(parts.slice(0, i).join('/'));
+    }
+
+    const configs = await Promise.all(directories.map((directory) => this.getConfig(directory)));
+    let start = 0;
+    configs.forEach((config, index) => {
+      if (config?.root) start = index;
+    });
+
+    const properties = {};
+    for (let index = start; index < configs.length; index++) {
+      const config = configs[index];
+      if (!config) continue;
+      const directory = directories[index];
+      const relativePath = directory ? path.slice(directory.length + 1) : path;
+      config.sections.forEach((section) => {
+        if (section.matcher?.test(relativePath)) {
+          Object.assign(properties, section.properties);
+        }
+      });
+    }
+    return normalizeProperties(properties);
+  }
+}
+
+export const editorConfig = new EditorConfig();
@@ -0,0 +1,125 @@
+export const ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'utf-8-bom': 'UTF-8 with BOM',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252',
+  'iso-8859-1': 'ISO-8859-1',
+};
+
+export const EOLS = {
+  LF: '\n',
+  CRLF: '\r\n',
+};
+
+const BOMS = {
+  'utf-8-bom': [0xef, 0xbb, 0xbf],
+  'utf-16le': [0xff, 0xfe],
+  'utf-16be': [0xfe, 0xff],
+};
+
+// bytes 0x80–0x9F do Windows-1252 viram caracteres tipográficos (€, “, ” ...)
+const WINDOWS_1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+let windows1252Table = null;
+
+function getWindows1252Table() {
+  if (!windows1252Table) {
+    windows1252Table = new Map();
+    [...WINDOWS_1252_C1].forEach((char, i) => windows1252Table.set(char.charCodeAt(0), 0x80 + i));
+  }
+  return windows1252Table;
+}
+
+function startsWith(bytes, prefix) {
+  return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+// com `partial`, os bytes são só o começo do arquivo e podem terminar no meio de um caractere
+export function detectEncoding(bytes, { partial = false } = {}) {
+  for (const [encoding, bom] of Object.entries(BOMS)) {
+    if (startsWith(bytes, bom)) return encoding;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: partial });
+    return 'utf-8';
+  } catch (err) {
+    const hasC1 = bytes.some((byte) => byte >= 0x80 && byte <= 0x9f);
+    return hasC1 ? 'windows-1252' : 'iso-8859-1';
+  }
+}
+
+export function getBomLength(encoding) {
+  return BOMS[encoding]?.length || 0;
+}
+
+export function createDecoder(encoding) {
+  return new TextDecoder(encoding === 'utf-8-bom' ? 'utf-8' : encoding, { ignoreBOM: true });
+}
+
+// sem `encoding`, a codificação é detectada pelos próprios bytes
+export function decodeBytes(buffer, encoding = null) {
+  const bytes = new Uint8Array(buffer);
+  const used = encoding || detectEncoding(bytes);
+  const bomLength = BOMS[used] && startsWith(bytes, BOMS[used]) ? BOMS[used].length : 0;
+  const text = createDecoder(used).decode(bytes.subarray(bomLength));
+  return { text, encoding: used };
+}
+
+export function detectEol(text) {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/\n/g) || []).length - crlf;
+  return crlf > lf ? 'CRLF' : 'LF';
+}
+
+export function normalizeEol(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+export async function readTextFile(file) {
+  const { text, encoding } = decodeBytes(await file.arrayBuffer());
+  return { text: normalizeEol(text), encoding, eol: detectEol(text) };
+}
+
+export function encodeText(text, encoding = 'utf-8') {
+  if (encoding === 'utf-8' || encoding === 'utf-8-bom') {
+    const body = new TextEncoder().encode(text);
+    if (encoding === 'utf-8') return { bytes: body, lossy: false };
+    const bytes = new Uint8Array(body.length + 3);
+    bytes.set(BOMS['utf-8-bom']);
+    bytes.set(body, 3);
+    return { bytes, lossy: false };
+  }
+
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const bytes = new Uint8Array(2 + text.length * 2);
+    bytes.set(BOMS[encoding]);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(2 + i * 2, text.charCodeAt(i), encoding === 'utf-16le');
+    }
+    return { bytes, lossy: false };
+  }
+
+  const table = encoding === 'windows-1252' ? getWindows1252Table() : null;
+  const bytes = new Uint8Array(text.length);
+  let length = 0;
+  let lossy = false;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    let byte;
+    if (table?.has(code)) {
+      byte = table.get(code);
+    } else if (code <= 0xff && !(table && code >= 0x80 && code <= 0x9f)) {
+      byte = code;
+    }
+    if (byte === undefined) {
+      byte = 0x3f;
+      lossy = true;
+    }
+    bytes[length] = byte;
+    length += 1;
+  }
+  return { bytes: bytes.subarray(0, length), lossy };
+}
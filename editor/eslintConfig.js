@@ -0,0 +1,309 @@
+import { javascriptLanguage } from '@codemirror/lang-javascript';
+import { fileSystem } from './fileSystem.js';
+import { stripJsonc } from './jsonc.js';
+
+const LEGACY_CONFIG_FILES = ['.eslintrc.json', '.eslintrc'];
+const FLAT_CONFIG_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs'];
+export const ESLINT_CONFIG_FILES = new Set([...LEGACY_CONFIG_FILES, ...FLAT_CONFIG_FILES, 'package.json']);
+
+// ambientes aceitos pelo Linter no modo eslintrc
+const KNOWN_ENVS = new Set([
+  'browser', 'node', 'commonjs', 'shared-node-browser', 'worker', 'serviceworker', 'webextensions',
+  'amd', 'mocha', 'jasmine', 'jest', 'jquery', 'greasemonkey', 'es6', 'es2016', 'es2017', 'es2018',
+  'es2019', 'es2020', 'es2021', 'es2022', 'es2023', 'es2024',
+]);
+
+export const TYPESCRIPT_PARSER = '@typescript-eslint/parser';
+const TYPESCRIPT_FILES = /\.(?:ts|tsx|mts|cts)$/i;
+// regras do eslint:recommended desligadas em TypeScript, como faz o typescript-eslint: o compilador
+// já cobre essas verificações ou elas acusam falsos positivos com tipos
+const TYPESCRIPT_OFF_RULES = new Set([
+  'constructor-super', 'getter-return', 'no-class-assign', 'no-const-assign', 'no-dupe-args',
+  'no-dupe-class-members', 'no-dupe-keys', 'no-func-assign', 'no-import-assign',
+  'no-new-native-nonconstructor', 'no-obj-calls', 'no-redeclare', 'no-setter-return',
+  'no-this-before-super', 'no-undef', 'no-unreachable', 'no-unsafe-negation', 'no-unused-vars', 'no-with',
+]);
+// opções que pedem um programa do TypeScript lido do disco, o que não existe aqui
+const TYPE_AWARE_OPTIONS = ['project', 'projectService', 'programs', 'tsconfigRootDir'];
+
+// usado quando o projeto não tem configuração do ESLint
+const DEFAULT_CONFIG = {
+  env: { browser: true, node: true, es2024: true },
+  globals: {},
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module' },
+  rules: {},
+  recommended: true,
+};
+
+function emptyConfig() {
+  return { root: false, env: {}, globals: {}, parserOptions: {}, rules: {}, recommended: false };
+}
+
+function unquote(raw) {
+  const body = raw.slice(1, -1);
+  if (raw.startsWith('"')) {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      return body;
+    }
+  }
+  try {
+    return JSON.parse(`"${body.replace(/\\'/g, "'").replace(/"/g, '\\"')}"`);
+  } catch (err) {
+    return body;
+  }
+}
+
+function propertyKey(node, text) {
+  const key = node.firstChild;
+  if (!key) return null;
+  const raw = text.slice(key.from, key.to);
+  if (key.name === 'String') return unquote(raw);
+  if (key.name === 'PropertyDefinition' || key.name === 'Number') return raw;
+  return null;
+}
+
+// avalia só literais; o resto (variáveis, chamadas) vira undefined
+function evaluateLiteral(node, text) {
+  const raw = text.slice(node.from, node.to);
+  switch (node.name) {
+    case 'String':
+      return unquote(raw);
+    case 'Number':
+      return Number(raw.replace(/_/g, ''));
+    case 'BooleanLiteral':
+      return raw === 'true';
+    case 'null':
+      return null;
+    case 'UnaryExpression': {
+      const operand = node.lastChild;
+      const value = operand ? evaluateLiteral(operand, text) : undefined;
+      return raw.startsWith('-') && typeof value === 'number' ? -value : undefined;
+    }
+    case 'ArrayExpression': {
+      const values = [];
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.isError || ['[', ']', ','].includes(child.name)) continue;
+        values.push(evaluateLiteral(child, text));
+      }
+      return values;
+    }
+    case 'ObjectExpression': {
+      const object = {};
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.name !== 'Property') continue;
+        const key = propertyKey(child, text);
+        const value = child.lastChild;
+        if (key === null || !value || value === child.firstChild) continue;
+        object[key] = evaluateLiteral(value, text);
+      }
+      return object;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function readGlobals(node, text, config) {
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.name !== 'Property') continue;
+    if (child.firstChild?.name === 'Spread') {
+      const env = /^\.\.\.\s*globals\.([\w-]+)$/.exec(text.slice(child.from, child.to));
+      if (env) config.env[env[1]] = true;
+    } else {
+      const key = propertyKey(child, text);
+      const value = evaluateLiteral(child.lastChild, text);
+      if (key !== null && value !== undefined) config.globals[key] = value;
+    }
+  }
+}
+
+// o eslint.config.js não pode ser executado aqui: lê do código só as partes literais
+export function parseFlatConfig(text) {
+  const config = emptyConfig();
+  config.root = true;
+  config.recommended = /\bconfigs\.recommended\b|["']eslint:recommended["']/.test(text);
+
+  const tree = javascriptLanguage.parser.parse(text);
+  tree.iterate({
+    enter: (ref) => {
+      if (ref.name !== 'Property') return undefined;
+      const node = ref.node;
+      const key = propertyKey(node, text);
+      const value = node.lastChild;
+      if (!value || value === node.firstChild) return undefined;
+
+      if (key === 'rules' && value.name === 'ObjectExpression') {
+        Object.assign(config.rules, evaluateLiteral(value, text));
+        return false;
+      }
+      if (key === 'globals' && value.name === 'ObjectExpression') {
+        readGlobals(value, text, config);
+        return false;
+      }
+      if (key === 'ecmaVersion' || key === 'sourceType') {
+        const literal = evaluateLiteral(value, text);
+        if (literal !== undefined) config.parserOptions[key] = literal;
+      }
+      return undefined;
+    },
+  });
+  return config;
+}
+
+export function parseLegacyConfig(data) {
+  const config = emptyConfig();
+  if (!data || typeof data !== 'object') return config;
+  const extendsList = [].concat(data.extends || []);
+  config.root = data.root === true;
+  config.env = { ...data.env };
+  config.globals = { ...data.globals };
+  config.parserOptions = { ...data.parserOptions };
+  config.rules = { ...data.rules };
+  config.recommended = extendsList.includes('eslint:recommended');
+  return config;
+}
+
+function mergeConfigs(configs) {
+  const merged = emptyConfig();
+  configs.forEach((config) => {
+    Object.assign(merged.env, config.env);
+    Object.assign(merged.globals, config.globals);
+    merged.parserOptions = {
+      ...merged.parserOptions,
+      ...config.parserOptions,
+      ecmaFeatures: { ...merged.parserOptions.ecmaFeatures, ...config.parserOptions.ecmaFeatures },
+    };
+    Object.assign(merged.rules, config.rules);
+    merged.recommended = merged.recommended || config.recommended;
+  });
+  return merged;
+}
+
+class EslintConfig {
+  constructor() {
+    this.rootHandle = null;
+    this.directories = new Map();
+  }
+
+  clear() {
+    this.directories.clear();
+  }
+
+  async readText(directoryPath, fileName) {
+    try {
+      let current = fileSystem.rootHandle;
+      for (const part of directoryPath ? directoryPath.split('/') : []) {
+        current = await current.getDirectoryHandle(part);
+      }
+      const fileHandle = await current.getFileHandle(fileName);
+      return await (await fileHandle.getFile()).text();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async readDirectory(directoryPath) {
+    for (const fileName of FLAT_CONFIG_FILES) {
+      const text = await this.readText(directoryPath, fileName);
+      if (text !== null) return { flat: parseFlatConfig(text) };
+    }
+
+    for (const fileName of LEGACY_CONFIG_FILES) {
+      const text = await this.readText(directoryPath, fileName);
+      if (text === null) continue;
+      try {
+        return { legacy: parseLegacyConfig(JSON.parse(stripJsonc(text))) };
+      } catch (err) {
+        console.warn(`Invalid ESLint config ${fileName}:`, err);
+      }
+    }
+
+    const packageText = await this.readText(directoryPath, 'package.json');
+    if (packageText !== null) {
+      try {
+        const { eslintConfig } = JSON.parse(packageText);
+        if (eslintConfig) return { legacy: parseLegacyConfig(eslintConfig) };
+      } catch (err) {
+        // package.json inválido: ignorado
+      }
+    }
+    return {};
+  }
+
+  getDirectoryConfig(directoryPath) {
+    if (!this.directories.has(directoryPath)) {
+      this.directories.set(directoryPath, this.readDirectory(directoryPath));
+    }
+    return this.directories.get(directoryPath);
+  }
+
+  // o eslint.config.* mais próximo vale sozinho; os .eslintrc se acumulam até um root: true
+  async resolve(path) {
+    if (!fileSystem.rootHandle || !path) return DEFAULT_CONFIG;
+    if (this.rootHandle !== fileSystem.rootHandle) {
+      this.rootHandle = fileSystem.rootHandle;
+      this.clear();
+    }
+
+    const parts = path.split('/');
+    const directories = [''];
+    for (let i = 1; i < parts.length; i++) {
+      directories.push(parts.slice(0, i).join('/'));
+    }
+    const found = await Promise.all(directories.map((directory) => this.getDirectoryConfig(directory)));
+
+    const legacy = [];
+    for (let index = found.length - 1; index >= 0; index--) {
+      const { flat, legacy: config } = found[index];
+      if (flat) return legacy.length ? mergeConfigs(legacy.reverse()) : flat;
+      if (config) {
+        legacy.push(config);
+        if (config.root) break;
+      }
+    }
+    return legacy.length ? mergeConfigs(legacy.reverse()) : DEFAULT_CONFIG;
+  }
+
+  // monta a configuração do Linter, descartando plugins e regras desconhecidas
+  async getLinterConfig(path, knownRules) {
+    const config = await this.resolve(path);
+    const typescript = TYPESCRIPT_FILES.test(path);
+    const rules = {};
+    if (config.recommended) {
+      knownRules.forEach((rule, name) => {
+        if (!rule.meta?.docs?.recommended || rule.meta.deprecated) return;
+        if (!(typescript && TYPESCRIPT_OFF_RULES.has(name))) rules[name] = 'error';
+      });
+    }
+    Object.entries(config.rules).forEach(([name, value]) => {
+      if (knownRules.has(name)) rules[name] = value;
+    });
+
+    const env = {};
+    Object.entries(config.env).forEach(([name, value]) => {
+      if (KNOWN_ENVS.has(name)) env[name] = value;
+    });
+    const jsx = /\.[jt]sx$/i.test(path) || Boolean(config.parserOptions.ecmaFeatures?.jsx);
+    const parserOptions = {
+      ecmaVersion: 'latest',
+      sourceType: /\.c[jt]s$/i.test(path) ? 'script' : 'module',
+      ...config.parserOptions,
+      ecmaFeatures: { ...config.parserOptions.ecmaFeatures, jsx },
+    };
+    if (typescript) {
+      TYPE_AWARE_OPTIONS.forEach((option) => delete parserOptions[option]);
+    }
+
+    return {
+      ...(typescript ? { parser: TYPESCRIPT_PARSER } : {}),
+      env,
+      globals: config.globals,
+      parserOptions,
+      rules,
+    };
+  }
+}
+
+export const eslintConfig = new EslintConfig();
@@ -0,0 +1,224 @@
+import { fileSystem } from './fileSystem.js';
+
+const CACHE_KEY = 'fileIndexCache';
+const MAX_CACHED_ROOTS = 5;
+const YIELD_EVERY = 25;
+
+class FileIndex {
+  constructor() {
+    this.rootHandle = null;
+    this.files = new Map();
+    // handles ficam fora das entradas: o cache persistido só guarda caminhos,
+    // então quem precisa do handle passa sempre por resolveHandle
+    this.handles = new Map();
+    this.ready = null;
+    this.building = null;
+    this.rebuildTimer = null;
+    this.ignoreRules = null;
+    this.generation = 0;
+  }
+
+  setIgnoreRules(rules) {
+    this.ignoreRules = rules;
+  }
+
+  isIgnored(path, isDirectory) {
+    return this.ignoreRules ? this.ignoreRules.isIgnored(path, isDirectory) : false;
+  }
+
+  async setRoot(rootHandle) {
+    this.generation += 1;
+    this.rootHandle = rootHandle;
+    this.files = new Map();
+    this.handles = new Map();
+    this.building = null;
+    if (!rootHandle) {
+      this.ready = Promise.resolve();
+      return;
+    }
+
+    const cached = await this.loadCache(rootHandle);
+    if (cached) {
+      cached.forEach((path) => this.files.set(path, this.createEntry(path)));
+      this.ready = Promise.resolve();
+      this.rebuild();
+    } else {
+      this.ready = this.rebuild();
+    }
+  }
+
+  createEntry(path) {
+    return { name: path.split('/').pop(), path };
+  }
+
+  async getFiles() {
+    if (!this.rootHandle) return [];
+    await this.ready;
+    return [...this.files.values()];
+  }
+
+  rebuild() {
+    if (this.building) return this.building;
+
+    const generation = this.generation;
+    const rootHandle = this.rootHandle;
+    this.building = (async () => {
+      const collected = new Map();
+      const handles = new Map();
+      try {
+        await this.walk(rootHandle, '', { collected, handles, visited: 0 });
+      } catch (err) {
+        console.warn('Cannot build file index:', err);
+        return;
+      } finally {
+        if (generation === this.generation) {
+          this.building = null;
+        }
+      }
+
+      if (generation !== this.generation) return;
+      this.files = collected;
+      this.handles = handles;
+      await this.saveCache();
+    })();
+
+    return this.building;
+  }
+
+  scheduleRebuild() {
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => this.rebuild(), 500);
+  }
+
+  // a varredura roda na thread principal e cede o controle a cada YIELD_EVERY pastas,
+  // para a interface continuar respondendo em pastas grandes
+  async walk(directoryHandle, parentPath, progress) {
+    await this.ignoreRules?.prepareDirectory(directoryHandle, parentPath);
+    const entries = await fileSystem.readDirectoryLevel(directoryHandle, parentPath);
+
+    for (const entry of entries) {
+      if (entry.kind === 'file') {
+        if (!this.isIgnored(entry.path, false)) {
+          progress.collected.set(entry.path, this.createEntry(entry.path));
+          progress.handles.set(entry.path, entry.handle);
+        }
+      } else if (entry.kind === 'directory' && !this.isIgnored(entry.path, true)) {
+        progress.visited += 1;
+        if (progress.visited % YIELD_EVERY === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        try {
+          await this.walk(entry.handle, entry.path, progress);
+        } catch (err) {
+          console.warn(`Cannot index directory ${entry.path}:`, err);
+        }
+      }
+    }
+  }
+
+  async resolveHandle(file) {
+    if (file.handle) return file.handle;
+    if (this.handles.has(file.path)) return this.handles.get(file.path);
+
+    const parts = file.path.split('/');
+    let current = this.rootHandle;
+    try {
+      for (let i = 0; i < parts.length - 1; i++) {
+        current = await current.getDirectoryHandle(parts[i]);
+      }
+      const handle = await current.getFileHandle(parts[parts.length - 1]);
+      this.handles.set(file.path, handle);
+      return handle;
+    } catch (err) {
+      this.removePath(file.path);
+      return null;
+    }
+  }
+
+  addFile(path, handle = null) {
+    if (!this.rootHandle || this.isIgnored(path, false)) return;
+    this.files.set(path, this.createEntry(path));
+    if (handle) {
+      this.handles.set(path, handle);
+    }
+    this.commitChange();
+  }
+
+  removePath(path) {
+    const prefix = `${path}/`;
+    [...this.files.keys()].forEach((filePath) => {
+      if (filePath === path || filePath.startsWith(prefix)) {
+        this.files.delete(filePath);
+      }
+    });
+    this.forgetHandles(path);
+    this.commitChange();
+  }
+
+  renamePath(oldPath, newPath) {
+    const prefix = `${oldPath}/`;
+    const renamed = [];
+    [...this.files.keys()].forEach((filePath) => {
+      if (filePath === oldPath || filePath.startsWith(prefix)) {
+        this.files.delete(filePath);
+        renamed.push(newPath + filePath.slice(oldPath.length));
+      }
+    });
+    this.forgetHandles(oldPath);
+    renamed.forEach((filePath) => {
+      if (!this.isIgnored(filePath, false)) {
+        this.files.set(filePath, this.createEntry(filePath));
+      }
+    });
+    this.commitChange();
+  }
+
+  forgetHandles(path) {
+    const prefix = `${path}/`;
+    [...this.handles.keys()].forEach((filePath) => {
+      if (filePath === path || filePath.startsWith(prefix)) {
+        this.handles.delete(filePath);
+      }
+    });
+  }
+
+  commitChange() {
+    if (this.building) {
+      this.scheduleRebuild();
+      return;
+    }
+    this.saveCache();
+  }
+
+  async findCacheIndex(cache, rootHandle) {
+    for (let i = 0; i < cache.length; i++) {
+      try {
+        if (await cache[i].rootHandle.isSameEntry(rootHandle)) return i;
+      } catch (err) {
+        // handle antigo sem permissão ou inválido
+      }
+    }
+    return -1;
+  }
+
+  async loadCache(rootHandle) {
+    const cache = (await fileSystem.getPersistedValue(CACHE_KEY)) || [];
+    const idx = await this.findCacheIndex(cache, rootHandle);
+    return idx === -1 ? null : cache[idx].paths;
+  }
+
+  async saveCache() {
+    const rootHandle = this.rootHandle;
+    if (!rootHandle) return;
+
+    const cache = (await fileSystem.getPersistedValue(CACHE_KEY)) || [];
+    const idx = await this.findCacheIndex(cache, rootHandle);
+    if (idx !== -1) {
+      cache.splice(idx, 1);
+    }
+    cache.unshift({ rootHandle, paths: [...this.files.keys()], timestamp: Date.now() });
+    await fileSystem.persistValue(CACHE_KEY, cache.slice(0, MAX_CACHED_ROOTS));
+  }
+}
+
+export const fileIndex = new FileIndex();
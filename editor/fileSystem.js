@@ -4,12 +4,17 @@ class FileSystem {
     this.dbName = 'codesnip-editor-db';
     this.storeName = 'kv';
     this.lastFolderKey = 'lastFolderHandle';
+    this.dirtyBuffersKey = 'dirtyBuffers';
   }
 
-  async saveSession(currentFilePath) {
+  async saveSession({ tabs = [], activePath = null, groups = [], activeGroup = 0, splitDirection = 'horizontal' } = {}) {
     const session = {
       folderName: this.rootHandle?.name || null,
-      currentFilePath: currentFilePath || null,
+      tabs,
+      activePath,
+      groups,
+      activeGroup,
+      splitDirection,
       timestamp: Date.now(),
     };
     chrome.storage.local.set({ editorSession: session });
@@ -25,6 +30,15 @@ class FileSystem {
 
   async clearSession() {
     chrome.storage.local.remove(['editorSession']);
+    await this.persistValue(this.dirtyBuffersKey, {});
+  }
+
+  async saveDirtyBuffers(buffers) {
+    await this.persistValue(this.dirtyBuffersKey, buffers);
+  }
+
+  async loadDirtyBuffers() {
+    return (await this.getPersistedValue(this.dirtyBuffersKey)) || {};
   }
 
   async openDirectory() {
@@ -140,30 +154,117 @@ class FileSystem {
     }
   }
 
-  async renameEntry(handle, newName, parentHandle = null) {
+  // { ok: true, leftover: true } indica que a cópia foi criada mas a origem não pôde ser removida
+  async renameEntry(handle, newName, parentHandle = null, { onProgress = null } = {}) {
     try {
       const parent = parentHandle || await this.getParentHandle(handle);
-      if (!parent) return false;
+      if (!parent) return { ok: false };
+      if (await this.findChild(parent, newName)) {
+        console.error(`Cannot rename "${handle.name}": "${newName}" already exists.`);
+        return { ok: false };
+      }
 
-      if (handle.kind === 'directory') {
-        const targetDir = await parent.getDirectoryHandle(newName, { create: true });
-        await this.copyDirectoryContents(handle, targetDir);
-      } else {
-        const sourceFile = await handle.getFile();
-        const targetFile = await parent.getFileHandle(newName, { create: true });
-        const writable = await targetFile.createWritable();
-        await writable.write(await sourceFile.text());
-        await writable.close();
+      if (typeof handle.move === 'function') {
+        try {
+          await handle.move(newName);
+          return { ok: true, leftover: false };
+        } catch (err) {
+          // sem suporte nativo para este tipo de entrada; copia e remove a origem
+        }
       }
 
-      await parent.removeEntry(handle.name, { recursive: true });
-      return true;
+      const copied = await this.copyEntry(handle, parent, newName, { onProgress });
+      if (!copied) return { ok: false };
+      return { ok: true, leftover: !(await this.deleteEntry(handle, parent)) };
     } catch (err) {
       console.error('Error renaming entry:', err);
-      return false;
+      return { ok: false };
     }
   }
 
+  async findChild(parentHandle, name) {
+    for await (const entry of parentHandle.values()) {
+      if (entry.name === name) return entry;
+    }
+    return null;
+  }
+
+  async copyFile(fileHandle, targetDirHandle, name = fileHandle.name) {
+    const sourceFile = await fileHandle.getFile();
+    return this.importFile(targetDirHandle, sourceFile, name);
+  }
+
+  async importFile(targetDirHandle, file, name = file.name) {
+    const targetFile = await targetDirHandle.getFileHandle(name, { create: true });
+    const writable = await targetFile.createWritable();
+    await file.stream().pipeTo(writable);
+    return targetFile;
+  }
+
+  async countFiles(handle) {
+    if (handle.kind === 'file') return 1;
+    let count = 0;
+    for await (const entry of handle.values()) {
+      count += await this.countFiles(entry);
+    }
+    return count;
+  }
+
+  reportProgress(progress, path) {
+    if (!progress) return;
+    progress.copied += 1;
+    progress.onProgress?.({ copied: progress.copied, total: progress.total, path });
+  }
+
+  async copyEntry(handle, targetDirHandle, name = handle.name, { onProgress = null } = {}) {
+    const existed = Boolean(await this.findChild(targetDirHandle, name));
+    const progress = onProgress
+      ? { copied: 0, total: await this.countFiles(handle), onProgress }
+      : null;
+
+    try {
+      if (handle.kind === 'directory') {
+        const targetDir = await targetDirHandle.getDirectoryHandle(name, { create: true });
+        await this.copyDirectoryContents(handle, targetDir, progress, name);
+        return targetDir;
+      }
+      const targetFile = await this.copyFile(handle, targetDirHandle, name);
+      this.reportProgress(progress, name);
+      return targetFile;
+    } catch (err) {
+      console.error('Error copying entry:', err);
+      // desfaz a cópia parcial para não deixar uma pasta pela metade
+      if (!existed) {
+        await this.removeQuietly(targetDirHandle, name);
+      }
+      return null;
+    }
+  }
+
+  async removeQuietly(parentHandle, name) {
+    try {
+      await parentHandle.removeEntry(name, { recursive: true });
+    } catch (err) {
+      console.warn(`Cannot roll back "${name}":`, err);
+    }
+  }
+
+  // mesmo formato de renameEntry, com o handle da entrada no destino
+  async moveEntry(handle, sourceParentHandle, targetDirHandle, { onProgress = null } = {}) {
+    if (typeof handle.move === 'function') {
+      try {
+        await handle.move(targetDirHandle);
+        return { ok: true, handle, leftover: false };
+      } catch (err) {
+        // move() nativo ainda não suporta todos os tipos de entrada; cai para copiar + remover
+      }
+    }
+
+    const copied = await this.copyEntry(handle, targetDirHandle, handle.name, { onProgress });
+    if (!copied) return { ok: false };
+    return { ok: true, handle: copied, leftover: !(await this.deleteEntry(handle, sourceParentHandle)) };
+  }
+
   async getParentHandle(targetHandle, currentHandle = this.rootHandle) {
     if (!currentHandle) return null;
 
@@ -241,17 +342,15 @@ class FileSystem {
     return null;
   }
 
-  async copyDirectoryContents(sourceDirHandle, targetDirHandle) {
+  async copyDirectoryContents(sourceDirHandle, targetDirHandle, progress = null, parentPath = '') {
     for await (const entry of sourceDirHandle.values()) {
+      const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
       if (entry.kind === 'file') {
-        const sourceFile = await entry.getFile();
-        const targetFile = await targetDirHandle.getFileHandle(entry.name, { create: true });
-        const writable = await targetFile.createWritable();
-        await writable.write(await sourceFile.text());
-        await writable.close();
+        await this.copyFile(entry, targetDirHandle);
+        this.reportProgress(progress, path);
       } else if (entry.kind === 'directory') {
         const nestedTarget = await targetDirHandle.getDirectoryHandle(entry.name, { create: true });
-        await this.copyDirectoryContents(entry, nestedTarget);
+        await this.copyDirectoryContents(entry, nestedTarget, progress, path);
       }
     }
   }
@@ -272,19 +371,27 @@ class FileSystem {
   }
 
   async persistHandle(key, handle) {
+    await this.persistValue(key, handle);
+  }
+
+  async getPersistedHandle(key) {
+    return this.getPersistedValue(key);
+  }
+
+  async persistValue(key, value) {
     const db = await this.openDatabase();
     if (!db) return;
 
     await new Promise((resolve) => {
       const tx = db.transaction(this.storeName, 'readwrite');
-      tx.objectStore(this.storeName).put(handle, key);
+      tx.objectStore(this.storeName).put(value, key);
       tx.oncomplete = () => resolve();
       tx.onerror = () => resolve();
     });
     db.close();
   }
 
-  async getPersistedHandle(key) {
+  async getPersistedValue(key) {
     const db = await this.openDatabase();
     if (!db) return null;
 
@@ -1,4 +1,18 @@
 import { fileSystem } from './fileSystem.js';
+import { fileIndex } from './fileIndex.js';
+import { IgnoreRules } from './gitignore.js';
+import { dialog } from './dialog.js';
+
+const PROGRESS_MIN_FILES = 20;
+const GIT_STATUS_CLASSES = ['git-modified', 'git-added', 'git-untracked', 'git-changed'];
+
+function parentPathOf(path) {
+  return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+}
+
+function joinPath(parentPath, name) {
+  return parentPath ? `${parentPath}/${name}` : name;
+}
 
 class FileTree {
   constructor() {
@@ -6,92 +20,89 @@ class FileTree {
     this.renderCallback = null;
     this.selectedHandle = null;
     this.contextMenuTarget = null;
-    this.gitignorePatterns = [];
+    this.ignoreRules = new IgnoreRules();
+    this.beforeFolderChange = null;
+    this.onFolderChange = null;
+    this.onEntryMoved = null;
+    this.beforeEntryReplaced = null;
+    this.onEntryReplaced = null;
+    this.folderItems = new Map();
+    this.dragEntry = null;
+    this.dropTargetElement = null;
+    this.showIgnored = true;
+    this.showDotFiles = true;
+    this.gitStatuses = new Map();
+    this.gitFolders = new Set();
   }
 
-  async loadGitignore(rootHandle) {
-    this.gitignorePatterns = [];
-    try {
-      const gitignoreHandle = await rootHandle.getFileHandle('.gitignore');
-      const file = await gitignoreHandle.getFile();
-      const content = await file.text();
-      this.gitignorePatterns = this.parseGitignore(content);
-    } catch (err) {
-      // .gitignore não existe ou não pode ser lido
-    }
+  async loadIgnoreRules(rootHandle) {
+    await this.ignoreRules.load(rootHandle);
   }
 
-  parseGitignore(content) {
-    const patterns = [];
-    const lines = content.split('\n');
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-      const negated = trimmed.startsWith('!');
-      const rawPattern = negated ? trimmed.slice(1).trim() : trimmed;
-      if (!rawPattern) continue;
-      patterns.push({ pattern: rawPattern, negated });
-    }
-    return patterns;
+  async reloadIgnoreRules() {
+    const rootHandle = fileSystem.getRootHandle();
+    if (!rootHandle) return;
+    await this.loadIgnoreRules(rootHandle);
+    fileIndex.scheduleRebuild();
+    await this.refresh({ preserveExpanded: true });
   }
 
   matchesGitignore(filePath, isDirectory = false) {
-    const normalizedPath = filePath.replace(/^\.?\//, '').replace(/\/+$/, '');
-    const fileName = normalizedPath.split('/').pop();
-    let ignored = false;
-
-    for (const rule of this.gitignorePatterns) {
-      if (this.ruleMatchesPath(rule.pattern, normalizedPath, fileName, isDirectory)) {
-        ignored = !rule.negated;
-      }
-    }
-
-    return ignored;
+    return this.ignoreRules.isIgnored(filePath, isDirectory);
   }
 
-  ruleMatchesPath(pattern, normalizedPath, fileName, isDirectory) {
-    const directoryOnly = pattern.endsWith('/');
-    const cleanPattern = directoryOnly ? pattern.slice(0, -1) : pattern;
-    const anchored = cleanPattern.startsWith('/');
-    const relativePattern = anchored ? cleanPattern.slice(1) : cleanPattern;
-
-    if (directoryOnly && !isDirectory) {
-      return false;
-    }
-
-    const wildcardRegex = this.buildWildcardRegex(relativePattern);
-    const basenameRegex = this.buildWildcardRegex(fileName ? relativePattern : '');
-
-    if (anchored) {
-      return wildcardRegex.test(normalizedPath);
-    }
-
-    if (!relativePattern.includes('/')) {
-      return basenameRegex.test(fileName);
-    }
+  setFilesExclude(patterns) {
+    this.ignoreRules.setExcludes(patterns);
+  }
 
-    return wildcardRegex.test(normalizedPath) || wildcardRegex.test(`/${normalizedPath}`);
+  setVisibility({ showIgnored = this.showIgnored, showDotFiles = this.showDotFiles } = {}) {
+    this.showIgnored = showIgnored;
+    this.showDotFiles = showDotFiles;
   }
 
-  buildWildcardRegex(pattern) {
-    const escaped = pattern
-      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-      .replace(/\*/g, '.*')
-      .replace(/\?/g, '.');
-    return new RegExp(`^${escaped}$`);
+  getVisibleEntries(entries) {
+    return entries.filter((entry) => {
+      const isDirectory = entry.kind === 'directory';
+      if (this.ignoreRules.isExcluded(entry.path, isDirectory)) return false;
+      if (!this.showDotFiles && entry.name.startsWith('.')) return false;
+
+      entry.ignored = this.ignoreRules.isGitignored(entry.path, isDirectory);
+      return this.showIgnored || !entry.ignored;
+    });
   }
 
-  async init(renderCallback) {
+  async init(renderCallback, {
+    beforeFolderChange = null,
+    onFolderChange = null,
+    onEntryMoved = null,
+    beforeEntryReplaced = null,
+    onEntryReplaced = null,
+  } = {}) {
     this.renderCallback = renderCallback;
+    fileIndex.setIgnoreRules(this.ignoreRules);
+    this.beforeFolderChange = beforeFolderChange;
+    this.onFolderChange = onFolderChange;
+    this.onEntryMoved = onEntryMoved;
+    this.beforeEntryReplaced = beforeEntryReplaced;
+    this.onEntryReplaced = onEntryReplaced;
     this.initContextMenu();
+    this.initDragAndDrop();
   }
 
   async openFolder() {
+    if (this.beforeFolderChange && !(await this.beforeFolderChange())) {
+      return null;
+    }
+
     const handle = await fileSystem.openDirectory();
     if (handle) {
-      await this.loadGitignore(handle);
+      await this.loadIgnoreRules(handle);
+      await fileIndex.setRoot(handle);
       await this.refresh();
       await fileSystem.clearSession();
+      if (this.onFolderChange) {
+        await this.onFolderChange(handle);
+      }
     }
     return handle;
   }
@@ -99,28 +110,73 @@ class FileTree {
   async restoreLastFolder() {
     const handle = await fileSystem.loadLastOpenedFolder();
     if (handle) {
-      await this.loadGitignore(handle);
+      await this.loadIgnoreRules(handle);
+      await fileIndex.setRoot(handle);
       await this.refresh();
     }
     return handle;
   }
 
-  async refresh() {
+  async refresh({ preserveExpanded = false } = {}) {
+    const container = document.getElementById('fileTree');
+    const expandedPaths = preserveExpanded
+      ? [...container.querySelectorAll('.tree-folder.expanded')].map((el) => el.dataset.path)
+      : [];
+    this.folderItems.clear();
+
     const rootHandle = fileSystem.getRootHandle();
     if (!rootHandle) {
-      this.renderCallback([], document.getElementById('fileTree'));
+      this.renderCallback([], container);
       return;
     }
 
-    const entries = await fileSystem.readDirectoryLevel(rootHandle, '');
+    const entries = this.getVisibleEntries(await fileSystem.readDirectoryLevel(rootHandle, ''));
     this.entries = entries;
-    this.renderCallback(entries, document.getElementById('fileTree'));
+    this.renderCallback(entries, container);
+
+    for (const path of expandedPaths) {
+      const folder = this.folderItems.get(path);
+      if (folder) {
+        await this.toggleFolder(folder.element, folder.entry, folder.currentFileHandle, folder.onFileClick);
+      }
+    }
+  }
+
+  // status do Git por caminho; pastas com alterações dentro também ficam marcadas
+  setGitStatuses(statuses) {
+    this.gitStatuses = statuses;
+    this.gitFolders = new Set();
+    statuses.forEach((status, path) => {
+      if (status === 'deleted') return;
+      let parent = parentPathOf(path);
+      while (parent && !this.gitFolders.has(parent)) {
+        this.gitFolders.add(parent);
+        parent = parentPathOf(parent);
+      }
+    });
+    document.querySelectorAll('#fileTree [data-path]').forEach((item) => this.applyGitStatus(item));
+  }
+
+  applyGitStatus(item) {
+    const { path } = item.dataset;
+    const status = item.classList.contains('tree-folder')
+      ? (this.gitFolders.has(path) ? 'changed' : null)
+      : this.gitStatuses.get(path);
+    item.classList.remove(...GIT_STATUS_CLASSES);
+    if (status && status !== 'deleted') {
+      item.classList.add(`git-${status}`);
+    }
   }
 
   createTreeItem(entry, currentFileHandle, onFileClick) {
     const item = document.createElement('div');
     item.className = entry.kind === 'directory' ? 'tree-folder' : 'tree-file';
+    if (entry.ignored) {
+      item.classList.add('ignored');
+    }
     item.dataset.handleId = entry.handle.name;
+    item.dataset.path = entry.path;
+    this.applyGitStatus(item);
     
     const itemContent = document.createElement('div');
     itemContent.className = 'tree-item';
@@ -136,6 +192,13 @@ class FileTree {
     itemContent.appendChild(icon);
     itemContent.appendChild(name);
     item.appendChild(itemContent);
+
+    itemContent.draggable = true;
+    itemContent.addEventListener('dragstart', (e) => {
+      this.dragEntry = entry;
+      e.dataTransfer.effectAllowed = 'copyMove';
+      e.dataTransfer.setData('text/plain', entry.path);
+    });
     
     if (entry.kind === 'file') {
       itemContent.addEventListener('click', async () => {
@@ -144,7 +207,14 @@ class FileTree {
         }
         this.selectItem(itemContent);
         if (onFileClick) {
-          await onFileClick(entry.handle, entry.path);
+          await onFileClick(entry.handle, entry.path, null, { preview: true });
+        }
+      });
+
+      // clique duplo mantém a aba aberta em vez de pré-visualizar
+      itemContent.addEventListener('dblclick', async () => {
+        if (onFileClick) {
+          await onFileClick(entry.handle, entry.path, null, { preview: false });
         }
       });
       
@@ -163,6 +233,7 @@ class FileTree {
       childrenContainer.className = 'tree-children';
       childrenContainer.style.display = 'none';
       item.appendChild(childrenContainer);
+      this.folderItems.set(entry.path, { element: item, entry, currentFileHandle, onFileClick });
     }
     
     return item;
@@ -205,7 +276,8 @@ class FileTree {
 
     if (!entry.childrenLoaded) {
       children.innerHTML = '';
-      const childEntries = await fileSystem.readDirectoryLevel(entry.handle, entry.path);
+      await this.ignoreRules.prepareDirectory(entry.handle, entry.path);
+      const childEntries = this.getVisibleEntries(await fileSystem.readDirectoryLevel(entry.handle, entry.path));
       entry.children = childEntries;
       entry.childrenLoaded = true;
 
@@ -245,6 +317,7 @@ class FileTree {
   showContextMenu(event, entry) {
     const contextMenu = document.getElementById('contextMenu');
     this.contextMenuTarget = entry;
+    document.getElementById('tabContextMenu')?.classList.add('hidden');
     
     contextMenu.style.left = `${event.pageX}px`;
     contextMenu.style.top = `${event.pageY}px`;
@@ -267,16 +340,308 @@ class FileTree {
   async renameEntry(entry) {
     const newName = prompt('Enter new name:', entry.name);
     if (newName && newName !== entry.name) {
-      await fileSystem.renameEntry(entry.handle, newName, entry.parentHandle);
-      await this.refresh();
+      let renamed;
+      try {
+        renamed = await fileSystem.renameEntry(entry.handle, newName, entry.parentHandle, {
+          onProgress: this.createProgressReporter(`Renaming ${entry.name}`),
+        });
+      } finally {
+        this.clearProgress();
+      }
+      const newPath = joinPath(parentPathOf(entry.path), newName);
+      if (!renamed.ok) {
+        await this.showTransferError('rename', [entry.name]);
+      } else if (renamed.leftover) {
+        // as abas continuam no original, que ainda existe
+        fileIndex.scheduleRebuild();
+        await this.showLeftoverWarning(entry, newPath);
+      } else {
+        fileIndex.renamePath(entry.path, newPath);
+        await this.onEntryMoved?.(entry.path, newPath);
+      }
+      await this.refresh({ preserveExpanded: true });
+    }
+  }
+
+  initDragAndDrop() {
+    const container = document.getElementById('fileTree');
+    if (!container) return;
+
+    container.addEventListener('dragover', (e) => this.handleDragOver(e));
+    container.addEventListener('dragleave', (e) => {
+      if (!container.contains(e.relatedTarget)) {
+        this.setDropTarget(null);
+      }
+    });
+    container.addEventListener('drop', (e) => this.handleDrop(e));
+    container.addEventListener('dragend', () => {
+      this.dragEntry = null;
+      this.setDropTarget(null);
+    });
+  }
+
+  getDropTarget(element) {
+    const rootHandle = fileSystem.getRootHandle();
+    if (!rootHandle) return null;
+
+    const item = element.closest?.('.tree-folder, .tree-file');
+    const path = !item ? '' : item.classList.contains('tree-folder') ? item.dataset.path : parentPathOf(item.dataset.path);
+    if (!path) {
+      return { path: '', handle: rootHandle, element: document.getElementById('fileTree') };
+    }
+
+    const folder = this.folderItems.get(path);
+    return folder ? { path, handle: folder.entry.handle, element: folder.element } : null;
+  }
+
+  canDropEntry(entry, target) {
+    if (entry.kind !== 'directory') return true;
+    return target.path !== entry.path && !target.path.startsWith(`${entry.path}/`);
+  }
+
+  isCopyDrag(event) {
+    return event.altKey || event.ctrlKey;
+  }
+
+  setDropTarget(element) {
+    if (this.dropTargetElement === element) return;
+    this.dropTargetElement?.classList.remove('drop-target');
+    this.dropTargetElement = element;
+    element?.classList.add('drop-target');
+  }
+
+  handleDragOver(e) {
+    const external = !this.dragEntry && e.dataTransfer.types.includes('Files');
+    if (!this.dragEntry && !external) return;
+
+    const target = this.getDropTarget(e.target);
+    if (!target || (this.dragEntry && !this.canDropEntry(this.dragEntry, target))) {
+      e.dataTransfer.dropEffect = 'none';
+      this.setDropTarget(null);
+      return;
+    }
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = external || this.isCopyDrag(e) ? 'copy' : 'move';
+    this.setDropTarget(target.element);
+  }
+
+  async handleDrop(e) {
+    const target = this.getDropTarget(e.target);
+    const entry = this.dragEntry;
+    this.dragEntry = null;
+    this.setDropTarget(null);
+    if (!target) return;
+
+    e.preventDefault();
+    if (entry) {
+      if (this.canDropEntry(entry, target)) {
+        await this.transferEntry(entry, target, { copy: this.isCopyDrag(e) });
+      }
+      return;
+    }
+
+    // os handles precisam ser pedidos ainda dentro do evento de drop
+    const items = [...e.dataTransfer.items].filter((item) => item.kind === 'file');
+    const pendingHandles = items.map((item) => (
+      typeof item.getAsFileSystemHandle === 'function' ? item.getAsFileSystemHandle() : Promise.resolve(null)
+    ));
+    const files = [...e.dataTransfer.files];
+    await this.importDroppedItems(pendingHandles, files, target);
+  }
+
+  async getAvailableName(directoryHandle, name) {
+    if (!(await fileSystem.findChild(directoryHandle, name))) return name;
+
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    for (let i = 1; ; i++) {
+      const candidate = `${base} copy${i > 1 ? ` ${i}` : ''}${ext}`;
+      if (!(await fileSystem.findChild(directoryHandle, candidate))) return candidate;
+    }
+  }
+
+  // devolve a entrada que será substituída, null se o nome está livre ou false se o usuário cancelou
+  async confirmReplace(name, target) {
+    const existing = await fileSystem.findChild(target.handle, name);
+    if (!existing) return null;
+
+    const choice = await dialog.show({
+      title: `"${name}" already exists in ${target.path || target.handle.name}.`,
+      message: 'Do you want to replace it?',
+      buttons: [
+        { label: 'Cancel', value: 'cancel' },
+        { label: 'Replace', value: 'replace', primary: true },
+      ],
+    });
+    if (choice !== 'replace') return false;
+    if (this.beforeEntryReplaced && !(await this.beforeEntryReplaced(joinPath(target.path, name)))) return false;
+    return existing;
+  }
+
+  async transferEntry(entry, target, { copy = false } = {}) {
+    const sameFolder = parentPathOf(entry.path) === target.path;
+    if (sameFolder && !copy) return;
+
+    let name = entry.name;
+    let existing = null;
+    if (sameFolder) {
+      name = await this.getAvailableName(target.handle, entry.name);
+    } else {
+      existing = await this.confirmReplace(name, target);
+      if (existing === false) return;
+    }
+
+    const newPath = joinPath(target.path, name);
+    const onProgress = this.createProgressReporter(`${copy ? 'Copying' : 'Moving'} ${entry.name}`);
+    let result;
+    try {
+      if (existing) {
+        result = await this.replaceEntry(entry, target, existing, { copy, onProgress });
+      } else if (copy) {
+        const copied = await fileSystem.copyEntry(entry.handle, target.handle, name, { onProgress });
+        result = { ok: Boolean(copied), leftover: false };
+      } else {
+        result = await fileSystem.moveEntry(entry.handle, entry.parentHandle, target.handle, { onProgress });
+      }
+    } finally {
+      this.clearProgress();
+    }
+
+    if (existing && result.ok) {
+      fileIndex.removePath(newPath);
+      await this.onEntryReplaced?.(newPath);
+    }
+    if (!result.ok) {
+      if (!result.reported) {
+        await this.showTransferError(copy ? 'copy' : 'move', [entry.name]);
+      }
+    } else if (copy || result.leftover) {
+      fileIndex.scheduleRebuild();
+      if (result.leftover) {
+        await this.showLeftoverWarning(entry, newPath);
+      }
+    } else {
+      fileIndex.renamePath(entry.path, newPath);
+      await this.onEntryMoved?.(entry.path, newPath);
+    }
+
+    await this.refresh({ preserveExpanded: true });
+  }
+
+  // o destino só é apagado depois que a cópia com um nome temporário terminou; se algo falhar
+  // antes disso, o arquivo ou a pasta existente continua intacto
+  async replaceEntry(entry, target, existing, { copy, onProgress }) {
+    const stagingName = await this.getAvailableName(target.handle, `${entry.name}.replacing`);
+    const staged = await fileSystem.copyEntry(entry.handle, target.handle, stagingName, { onProgress });
+    if (!staged) return { ok: false };
+
+    if (!(await fileSystem.deleteEntry(existing, target.handle))) {
+      await fileSystem.removeQuietly(target.handle, stagingName);
+      return { ok: false };
+    }
+    const renamed = await fileSystem.renameEntry(staged, entry.name, target.handle);
+    if (!renamed.ok) {
+      await dialog.show({
+        title: `Could not finish replacing "${entry.name}".`,
+        message: `The new version was kept as "${stagingName}" in ${target.path || target.handle.name}.`,
+        buttons: [{ label: 'OK', value: 'ok', primary: true }],
+      });
+      fileIndex.scheduleRebuild();
+      return { ok: false, reported: true };
+    }
+    if (renamed.leftover) {
+      await fileSystem.removeQuietly(target.handle, stagingName);
+    }
+
+    const leftover = !copy && !(await fileSystem.deleteEntry(entry.handle, entry.parentHandle));
+    return { ok: true, leftover };
+  }
+
+  createProgressReporter(label) {
+    return ({ copied, total }) => {
+      const statusEl = document.getElementById('fileOperationStatus');
+      if (!statusEl || total < PROGRESS_MIN_FILES) return;
+      statusEl.textContent = `${label}… ${copied}/${total} files`;
+      statusEl.classList.remove('hidden');
+    };
+  }
+
+  clearProgress() {
+    const statusEl = document.getElementById('fileOperationStatus');
+    if (!statusEl) return;
+    statusEl.textContent = '';
+    statusEl.classList.add('hidden');
+  }
+
+  async showLeftoverWarning(entry, newPath) {
+    await dialog.show({
+      title: `"${entry.name}" was copied to "${newPath}", but the original could not be removed.`,
+      message: 'Both copies now exist. Delete the original manually if you no longer need it.',
+      buttons: [{ label: 'OK', value: 'ok', primary: true }],
+    });
+  }
+
+  async showTransferError(verb, names) {
+    const quoted = names.map((name) => `"${name}"`).join(', ');
+    await dialog.show({
+      title: names.length === 1 ? `Could not ${verb} ${quoted}.` : `Could not ${verb} ${names.length} items: ${quoted}.`,
+      message: 'See the console for details.',
+      buttons: [{ label: 'OK', value: 'ok', primary: true }],
+    });
+  }
+
+  async importDroppedItems(pendingHandles, files, target) {
+    const handles = (await Promise.all(pendingHandles.map((pending) => pending.catch(() => null)))).filter(Boolean);
+    const failed = [];
+
+    if (handles.length) {
+      for (const handle of handles) {
+        const onProgress = this.createProgressReporter(`Importing ${handle.name}`);
+        try {
+          const name = await this.getAvailableName(target.handle, handle.name);
+          if (!(await fileSystem.copyEntry(handle, target.handle, name, { onProgress }))) {
+            failed.push(handle.name);
+          }
+        } catch (err) {
+          console.error(`Error importing ${handle.name}:`, err);
+          failed.push(handle.name);
+        } finally {
+          this.clearProgress();
+        }
+      }
+    } else {
+      for (const file of files) {
+        let name = null;
+        try {
+          name = await this.getAvailableName(target.handle, file.name);
+          await fileSystem.importFile(target.handle, file, name);
+        } catch (err) {
+          console.error(`Error importing ${file.name}:`, err);
+          failed.push(file.name);
+          if (name) {
+            await fileSystem.removeQuietly(target.handle, name);
+          }
+        }
+      }
+    }
+
+    fileIndex.scheduleRebuild();
+    await this.refresh({ preserveExpanded: true });
+    if (failed.length) {
+      await this.showTransferError('import', failed);
     }
   }
 
   async deleteEntry(entry) {
     const confirmed = confirm(`Are you sure you want to delete "${entry.name}"?`);
     if (confirmed) {
-      await fileSystem.deleteEntry(entry.handle, entry.parentHandle);
-      await this.refresh();
+      const deleted = await fileSystem.deleteEntry(entry.handle, entry.parentHandle);
+      if (deleted) {
+        fileIndex.removePath(entry.path);
+      }
+      await this.refresh({ preserveExpanded: true });
     }
   }
 
@@ -289,8 +654,11 @@ class FileTree {
     
     const fileName = prompt('Enter file name:');
     if (fileName) {
-      await fileSystem.createFile(rootHandle, fileName);
-      await this.refresh();
+      const fileHandle = await fileSystem.createFile(rootHandle, fileName);
+      if (fileHandle) {
+        fileIndex.addFile(fileName, fileHandle);
+      }
+      await this.refresh({ preserveExpanded: true });
     }
   }
 
@@ -304,37 +672,13 @@ class FileTree {
     const dirName = prompt('Enter folder name:');
     if (dirName) {
       await fileSystem.createDirectory(rootHandle, dirName);
-      await this.refresh();
+      fileIndex.scheduleRebuild();
+      await this.refresh({ preserveExpanded: true });
     }
   }
 
   async getAllFiles() {
-    const rootHandle = fileSystem.getRootHandle();
-    if (!rootHandle) return [];
-    if (this.gitignorePatterns.length === 0) {
-      await this.loadGitignore(rootHandle);
-    }
-    return this.collectAllFiles(rootHandle, '');
-  }
-
-  async collectAllFiles(directoryHandle, parentPath) {
-    const files = [];
-    const entries = await fileSystem.readDirectoryLevel(directoryHandle, parentPath);
-
-    for (const entry of entries) {
-      if (entry.kind === 'file') {
-        if (!this.matchesGitignore(entry.path, false)) {
-          files.push({ name: entry.name, path: entry.path, handle: entry.handle });
-        }
-      } else if (entry.kind === 'directory') {
-        if (!this.matchesGitignore(entry.path, true)) {
-          const nestedFiles = await this.collectAllFiles(entry.handle, entry.path);
-          files.push(...nestedFiles);
-        }
-      }
-    }
-
-    return files;
+    return fileIndex.getFiles();
   }
 }
 
@@ -0,0 +1,286 @@
+import { detectEncoding, createDecoder, getBomLength } from './encoding.js';
+
+const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'ico', 'avif']);
+const SNIFF_BYTES = 8192;
+const LARGE_FILE_SIZE = 5 * 1024 * 1024;
+const TEXT_CHUNK_SIZE = 256 * 1024;
+const HEX_CHUNK_SIZE = 16 * 1024;
+const BYTES_PER_ROW = 16;
+const LOAD_MORE_THRESHOLD = 400;
+// trechos mantidos no DOM; os que saem da janela são descartados e relidos do arquivo se preciso
+const MAX_RENDERED_CHUNKS = 4;
+const NEWLINE = 0x0a;
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function hexRow(bytes, offset) {
+  const hex = [];
+  let ascii = '';
+  for (let i = 0; i < BYTES_PER_ROW; i++) {
+    if (i < bytes.length) {
+      hex.push(bytes[i].toString(16).padStart(2, '0'));
+      ascii += bytes[i] >= 32 && bytes[i] < 127 ? String.fromCharCode(bytes[i]) : '.';
+    } else {
+      hex.push('  ');
+    }
+  }
+  const columns = `${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}`;
+  return `${offset.toString(16).padStart(8, '0')}  ${columns}  |${ascii}|`;
+}
+
+// fim do trecho de texto numa quebra de linha ou, sem ela, antes de um caractere incompleto,
+// para cada trecho poder ser decodificado sozinho
+function textChunkLength(bytes, encoding) {
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const unit = (i) => (encoding === 'utf-16le' ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+    const length = bytes.length - (bytes.length % 2);
+    for (let i = length - 2; i >= 0; i -= 2) {
+      if (unit(i) === NEWLINE) return i + 2;
+    }
+    // não separa um par substituto
+    const highSurrogate = length >= 2 && unit(length - 2) >= 0xd800 && unit(length - 2) <= 0xdbff;
+    return highSurrogate && length > 2 ? length - 2 : length;
+  }
+
+  const newline = bytes.lastIndexOf(NEWLINE);
+  if (newline !== -1) return newline + 1;
+  if (encoding !== 'utf-8' && encoding !== 'utf-8-bom') return bytes.length;
+
+  let lead = bytes.length - 1;
+  while (lead > 0 && bytes.length - lead < 4 && (bytes[lead] & 0xc0) === 0x80) {
+    lead -= 1;
+  }
+  const byte = bytes[lead];
+  const needed = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+  return bytes.length - lead < needed && lead > 0 ? lead : bytes.length;
+}
+
+class FileViewer {
+  constructor() {
+    this.viewers = new WeakMap();
+  }
+
+  async sniff(file) {
+    const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    if (IMAGE_EXTENSIONS.has(ext)) {
+      return { kind: 'image', label: 'Image' };
+    }
+
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+    if (this.looksBinary(bytes)) {
+      return { kind: 'binary', label: 'Binary' };
+    }
+    if (file.size > LARGE_FILE_SIZE) {
+      return { kind: 'large', label: 'Large File' };
+    }
+    return null;
+  }
+
+  looksBinary(bytes) {
+    if (!bytes.length) return false;
+
+    // BOM de UTF-16 contém bytes nulos, mas o arquivo é texto
+    const utf16 = (bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff);
+    if (utf16) return false;
+
+    let control = 0;
+    for (const byte of bytes) {
+      if (byte === 0) return true;
+      if (byte < 7 || (byte > 13 && byte < 32 && byte !== 27)) {
+        control += 1;
+      }
+    }
+    return control / bytes.length > 0.1;
+  }
+
+  clear(container) {
+    const current = this.viewers.get(container);
+    if (current?.objectUrl) {
+      URL.revokeObjectURL(current.objectUrl);
+    }
+    this.viewers.delete(container);
+    container.innerHTML = '';
+    container.onscroll = null;
+  }
+
+  async render(container, tab, { onOpenAnyway = null } = {}) {
+    this.clear(container);
+    const current = {
+      container,
+      tab,
+      file: null,
+      starts: [0],
+      chunks: [],
+      loading: false,
+      body: null,
+      encoding: null,
+      decoder: null,
+      objectUrl: null,
+    };
+    this.viewers.set(container, current);
+
+    const file = await tab.handle.getFile();
+    if (!this.isCurrent(current)) return;
+    current.file = file;
+
+    const header = document.createElement('div');
+    header.className = 'file-viewer-header';
+
+    const info = document.createElement('span');
+    info.className = 'file-viewer-info';
+    info.textContent = this.describe(tab.viewer.kind, file);
+    header.appendChild(info);
+
+    if (tab.viewer.kind !== 'image' && onOpenAnyway) {
+      const openBtn = document.createElement('button');
+      openBtn.type = 'button';
+      openBtn.className = 'file-viewer-open';
+      openBtn.textContent = 'Open Anyway';
+      openBtn.title = 'Open in the text editor (may be slow or show garbled text)';
+      openBtn.addEventListener('click', () => onOpenAnyway());
+      header.appendChild(openBtn);
+    }
+
+    container.appendChild(header);
+
+    if (tab.viewer.kind === 'image') {
+      this.renderImage(container, current, info);
+      return;
+    }
+
+    const body = document.createElement('pre');
+    body.className = tab.viewer.kind === 'binary' ? 'file-viewer-hex' : 'file-viewer-text';
+    container.appendChild(body);
+    current.body = body;
+    if (tab.viewer.kind !== 'binary') {
+      const sample = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+      if (!this.isCurrent(current)) return;
+      current.encoding = detectEncoding(sample, { partial: sample.length < file.size });
+      current.decoder = createDecoder(current.encoding);
+      current.starts = [getBomLength(current.encoding)];
+    }
+
+    container.onscroll = () => {
+      let pending = null;
+      if (container.scrollTop + container.clientHeight >= container.scrollHeight - LOAD_MORE_THRESHOLD) {
+        pending = this.loadNextChunk(current);
+      } else if (container.scrollTop <= header.offsetHeight + LOAD_MORE_THRESHOLD) {
+        pending = this.loadPreviousChunk(current);
+      }
+      pending?.catch((err) => this.showError(container, err));
+    };
+    await this.loadNextChunk(current);
+  }
+
+  showError(container, err) {
+    console.error('Cannot display file:', err);
+    const message = document.createElement('div');
+    message.className = 'file-viewer-error';
+    message.textContent = `Cannot read file: ${err.message}`;
+    container.onscroll = null;
+    container.appendChild(message);
+  }
+
+  isCurrent(current) {
+    return this.viewers.get(current.container) === current;
+  }
+
+  describe(kind, file) {
+    const size = formatSize(file.size);
+    if (kind === 'image') return `${file.name} · ${size}`;
+    if (kind === 'binary') return `${file.name} · ${size} · binary file shown as hex (read-only)`;
+    return `${file.name} · ${size} · large file shown read-only`;
+  }
+
+  renderImage(container, current, info) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'file-viewer-image';
+
+    const img = document.createElement('img');
+    current.objectUrl = URL.createObjectURL(current.file);
+    img.src = current.objectUrl;
+    img.alt = current.file.name;
+    img.addEventListener('load', () => {
+      info.textContent = `${current.file.name} · ${img.naturalWidth}×${img.naturalHeight} · ${formatSize(current.file.size)}`;
+    });
+    img.addEventListener('error', () => {
+      info.textContent = `${current.file.name} · cannot be displayed as an image`;
+    });
+
+    wrapper.appendChild(img);
+    container.appendChild(wrapper);
+  }
+
+  // lê o trecho `index`; os inícios dos trechos são descobertos na primeira leitura em ordem
+  async readChunk(current, index) {
+    const binary = !current.decoder;
+    const start = current.starts[index];
+    const end = Math.min(start + (binary ? HEX_CHUNK_SIZE : TEXT_CHUNK_SIZE), current.file.size);
+    let bytes = new Uint8Array(await current.file.slice(start, end).arrayBuffer());
+    if (!binary && end < current.file.size) {
+      bytes = bytes.subarray(0, textChunkLength(bytes, current.encoding));
+    }
+    current.starts[index + 1] = start + bytes.length;
+
+    const node = document.createElement('div');
+    if (binary) {
+      const rows = [];
+      for (let i = 0; i < bytes.length; i += BYTES_PER_ROW) {
+        rows.push(hexRow(bytes.subarray(i, i + BYTES_PER_ROW), start + i));
+      }
+      node.textContent = rows.join('\n');
+    } else {
+      node.textContent = current.decoder.decode(bytes);
+    }
+    return { index, node };
+  }
+
+  async loadNextChunk(current) {
+    const last = current.chunks[current.chunks.length - 1];
+    const index = last ? last.index + 1 : 0;
+    if (current.loading || !this.isCurrent(current) || current.starts[index] >= current.file.size) return;
+    current.loading = true;
+
+    try {
+      const chunk = await this.readChunk(current, index);
+      if (!this.isCurrent(current)) return;
+      current.body.appendChild(chunk.node);
+      current.chunks.push(chunk);
+
+      if (current.chunks.length > MAX_RENDERED_CHUNKS) {
+        const { node } = current.chunks.shift();
+        const height = node.offsetHeight;
+        node.remove();
+        current.container.scrollTop -= height;
+      }
+    } finally {
+      current.loading = false;
+    }
+  }
+
+  async loadPreviousChunk(current) {
+    const first = current.chunks[0];
+    if (current.loading || !this.isCurrent(current) || !first || first.index === 0) return;
+    current.loading = true;
+
+    try {
+      const chunk = await this.readChunk(current, first.index - 1);
+      if (!this.isCurrent(current)) return;
+      current.body.insertBefore(chunk.node, first.node);
+      current.chunks.unshift(chunk);
+      current.container.scrollTop += chunk.node.offsetHeight;
+
+      if (current.chunks.length > MAX_RENDERED_CHUNKS) {
+        current.chunks.pop().node.remove();
+      }
+    } finally {
+      current.loading = false;
+    }
+  }
+}
+
+export const fileViewer = new FileViewer();
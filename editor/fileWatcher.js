@@ -0,0 +1,183 @@
+import { fileTree } from './fileTree.js';
+import { fileIndex } from './fileIndex.js';
+import { git } from './git.js';
+import { dialog } from './dialog.js';
+import { diffLines, createDiffView } from './diff.js';
+import { readTextFile } from './encoding.js';
+
+const POLL_INTERVAL = 2000;
+
+class FileWatcher {
+  constructor() {
+    this.editor = null;
+    this.pollTimer = null;
+    this.polling = false;
+    this.observer = null;
+    this.treeRefreshTimer = null;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+
+    this.pollTimer = setInterval(() => {
+      if (document.visibilityState === 'visible') {
+        this.checkOpenTabs();
+      }
+    }, POLL_INTERVAL);
+
+    window.addEventListener('focus', () => {
+      this.checkOpenTabs();
+      if (!this.observer) {
+        this.scheduleTreeRefresh();
+        git.scheduleRefresh();
+      }
+    });
+  }
+
+  async watchRoot(rootHandle) {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    if (!rootHandle || typeof globalThis.FileSystemObserver !== 'function') return;
+
+    try {
+      const observer = new globalThis.FileSystemObserver((records) => {
+        this.handleObserverRecords(records);
+      });
+      await observer.observe(rootHandle, { recursive: true });
+      this.observer = observer;
+    } catch (err) {
+      console.warn('FileSystemObserver unavailable, falling back to polling:', err);
+    }
+  }
+
+  handleObserverRecords(records) {
+    const structural = records.some((record) => record.type !== 'modified');
+    if (structural) {
+      this.scheduleTreeRefresh();
+      fileIndex.scheduleRebuild();
+    }
+    const paths = records.flatMap((record) => [record.relativePathComponents, record.relativePathMovedFrom])
+      .filter(Boolean)
+      .map((parts) => parts.join('/'));
+    if (paths.some((path) => git.affectsStatus(path))) {
+      git.scheduleRefresh();
+    }
+    this.checkOpenTabs();
+  }
+
+  scheduleTreeRefresh() {
+    clearTimeout(this.treeRefreshTimer);
+    this.treeRefreshTimer = setTimeout(() => {
+      fileTree.refresh({ preserveExpanded: true });
+    }, 300);
+  }
+
+  recordDiskState(tab, file) {
+    tab.diskLastModified = file.lastModified;
+    tab.diskSize = file.size;
+    tab.externallyModified = false;
+    tab.deletedOnDisk = false;
+  }
+
+  hasChanged(tab, file) {
+    return file.lastModified !== tab.diskLastModified || file.size !== tab.diskSize;
+  }
+
+  async readDiskFile(tab) {
+    try {
+      return await tab.handle.getFile();
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+  }
+
+  async checkOpenTabs() {
+    if (this.polling || !this.editor) return;
+    this.polling = true;
+
+    try {
+      for (const tab of [...this.editor.openTabs]) {
+        if (tab.saving) continue;
+        await this.checkTab(tab);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkTab(tab) {
+    let file;
+    try {
+      file = await this.readDiskFile(tab);
+    } catch (err) {
+      console.warn(`Cannot check ${tab.path} for changes:`, err);
+      return;
+    }
+
+    if (!file) {
+      if (!tab.deletedOnDisk) {
+        tab.deletedOnDisk = true;
+        this.editor.renderTabs();
+      }
+      return;
+    }
+
+    if (!this.hasChanged(tab, file) && !tab.deletedOnDisk) return;
+
+    if (tab.dirty) {
+      if (!tab.externallyModified || tab.deletedOnDisk) {
+        tab.externallyModified = true;
+        tab.deletedOnDisk = false;
+        this.editor.renderTabs();
+      }
+      return;
+    }
+
+    await this.editor.reloadTab(tab, file);
+  }
+
+  async resolveSaveConflict(tab) {
+    let file;
+    try {
+      file = await this.readDiskFile(tab);
+    } catch (err) {
+      return 'overwrite';
+    }
+    if (!file || !this.hasChanged(tab, file)) return 'overwrite';
+
+    const choice = await dialog.show({
+      title: `${tab.name} has been changed on disk.`,
+      message: 'Saving will overwrite the version on disk with your changes.',
+      buttons: [
+        { label: 'Compare', value: 'compare' },
+        { label: 'Reload', value: 'reload' },
+        { label: 'Cancel', value: 'cancel' },
+        { label: 'Overwrite', value: 'overwrite', primary: true },
+      ],
+    });
+
+    if (choice !== 'compare') return choice;
+    return this.showConflictDiff(tab, file);
+  }
+
+  async showConflictDiff(tab, file) {
+    const { text: diskContent } = await readTextFile(file);
+    const bufferContent = this.editor.getTabState(tab).doc.toString();
+
+    return dialog.show({
+      title: `${tab.name}: disk ↔ editor`,
+      message: 'Lines marked − are on disk, lines marked + are in the editor.',
+      body: createDiffView(diffLines(diskContent, bufferContent)),
+      buttons: [
+        { label: 'Reload from Disk', value: 'reload' },
+        { label: 'Cancel', value: 'cancel' },
+        { label: 'Overwrite', value: 'overwrite', primary: true },
+      ],
+    });
+  }
+}
+
+export const fileWatcher = new FileWatcher();
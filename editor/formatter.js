@@ -0,0 +1,82 @@
+// Formatadores embutidos. O Prettier e seus plugins só são carregados no primeiro uso.
+
+const PARSERS = {
+  js: 'babel',
+  jsx: 'babel',
+  mjs: 'babel',
+  cjs: 'babel',
+  ts: 'typescript',
+  tsx: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  html: 'html',
+  htm: 'html',
+  json: 'json',
+};
+
+const PLUGIN_LOADERS = {
+  babel: () => [import('prettier/plugins/babel'), import('prettier/plugins/estree')],
+  typescript: () => [import('prettier/plugins/typescript'), import('prettier/plugins/estree')],
+  css: () => [import('prettier/plugins/postcss')],
+  scss: () => [import('prettier/plugins/postcss')],
+  less: () => [import('prettier/plugins/postcss')],
+  html: () => [
+    import('prettier/plugins/html'),
+    import('prettier/plugins/babel'),
+    import('prettier/plugins/estree'),
+    import('prettier/plugins/postcss'),
+  ],
+  json: () => [import('prettier/plugins/babel'), import('prettier/plugins/estree')],
+};
+
+export function getFormatterParser(path) {
+  const ext = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return PARSERS[ext] || null;
+}
+
+class Formatter {
+  constructor() {
+    this.loaded = new Map();
+  }
+
+  canFormat(path) {
+    return Boolean(getFormatterParser(path));
+  }
+
+  load(parser) {
+    if (!this.loaded.has(parser)) {
+      const pending = Promise.all([import('prettier/standalone'), ...PLUGIN_LOADERS[parser]()])
+        .then(([prettier, ...plugins]) => ({ prettier, plugins }));
+      pending.catch(() => this.loaded.delete(parser));
+      this.loaded.set(parser, pending);
+    }
+    return this.loaded.get(parser);
+  }
+
+  async format(text, path, { tabSize = 2, useTabs = false, printWidth = 80, range = null } = {}) {
+    const parser = getFormatterParser(path);
+    if (!parser) {
+      throw new Error('No formatter for this file type');
+    }
+
+    const { prettier, plugins } = await this.load(parser);
+    const options = {
+      parser,
+      plugins,
+      tabWidth: tabSize,
+      useTabs,
+      printWidth,
+      endOfLine: 'lf',
+    };
+    if (range) {
+      options.rangeStart = range.from;
+      options.rangeEnd = range.to;
+    }
+    return prettier.format(text, options);
+  }
+}
+
+export const formatter = new Formatter();
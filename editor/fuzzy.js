@@ -0,0 +1,81 @@
+const SEPARATORS = new Set(['/', '\\', '_', '-', '.', ' ', ':']);
+
+function charBonus(target, index) {
+  if (index === 0) return 8;
+  const prev = target[index - 1];
+  const current = target[index];
+  if (SEPARATORS.has(prev)) return prev === '/' || prev === '\\' ? 9 : 7;
+  if (prev === prev.toLowerCase() && current !== current.toLowerCase()) return 6;
+  return 0;
+}
+
+export function fuzzyMatch(query, target) {
+  const n = query.length;
+  const m = target.length;
+  if (!n) return { score: 0, positions: [] };
+  if (n > m) return null;
+
+  const queryLower = query.toLowerCase();
+  const targetLower = target.toLowerCase();
+
+  let probe = 0;
+  for (let j = 0; j < m && probe < n; j++) {
+    if (queryLower[probe] === targetLower[j]) probe += 1;
+  }
+  if (probe < n) return null;
+
+  const scores = [];
+  const from = [];
+
+  for (let i = 0; i < n; i++) {
+    const row = new Array(m).fill(-Infinity);
+    const back = new Array(m).fill(-1);
+    let bestPrev = -Infinity;
+    let bestPrevIndex = -1;
+
+    for (let j = i; j < m; j++) {
+      if (i > 0 && j > 0 && scores[i - 1][j - 1] > bestPrev) {
+        bestPrev = scores[i - 1][j - 1];
+        bestPrevIndex = j - 1;
+      }
+      if (queryLower[i] !== targetLower[j]) continue;
+
+      const bonus = 1 + charBonus(target, j) + (query[i] === target[j] ? 1 : 0);
+      if (i === 0) {
+        row[j] = bonus - Math.min(j, 10) * 0.1;
+        continue;
+      }
+
+      const consecutive = j > 0 ? scores[i - 1][j - 1] + bonus + 5 : -Infinity;
+      const gapped = bestPrev + bonus;
+      if (consecutive >= gapped && consecutive > -Infinity) {
+        row[j] = consecutive;
+        back[j] = j - 1;
+      } else if (gapped > -Infinity) {
+        row[j] = gapped;
+        back[j] = bestPrevIndex;
+      }
+    }
+
+    scores.push(row);
+    from.push(back);
+  }
+
+  let end = -1;
+  let score = -Infinity;
+  scores[n - 1].forEach((value, j) => {
+    if (value > score) {
+      score = value;
+      end = j;
+    }
+  });
+  if (end === -1) return null;
+
+  const positions = new Array(n);
+  for (let i = n - 1, j = end; i >= 0; i--) {
+    positions[i] = j;
+    j = from[i][j];
+  }
+
+  return { score, positions };
+}
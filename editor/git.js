@@ -0,0 +1,448 @@
+import { StateField, StateEffect, RangeSetBuilder, RangeSet } from '@codemirror/state';
+import { ViewPlugin, GutterMarker, gutter } from '@codemirror/view';
+import { fileSystem } from './fileSystem.js';
+import { fileTree } from './fileTree.js';
+import { diffLines } from './diff.js';
+import { decodeBytes, normalizeEol } from './encoding.js';
+
+const DIR = '/';
+const REFRESH_DELAY = 500;
+const MARKERS_DELAY = 300;
+// dentro do .git, só o HEAD, o índice e as refs mudam o status dos arquivos
+const GIT_STATE_PATH = /^\.git\/(HEAD|index|packed-refs)$|^\.git\/refs(\/|$)/;
+
+function fsError(code, path) {
+  const err = new Error(`${code}: ${path}`);
+  err.code = code;
+  return err;
+}
+
+function createStats(handle, file) {
+  const isFile = handle.kind === 'file';
+  const time = file ? file.lastModified : 0;
+  return {
+    type: isFile ? 'file' : 'dir',
+    mode: isFile ? 0o100644 : 0o40000,
+    size: file ? file.size : 0,
+    ino: 0,
+    dev: 0,
+    uid: 0,
+    gid: 0,
+    mtimeMs: time,
+    ctimeMs: time,
+    isFile: () => isFile,
+    isDirectory: () => !isFile,
+    isSymbolicLink: () => false,
+  };
+}
+
+// fs somente leitura sobre o handle da pasta aberta, no formato que o isomorphic-git espera
+export function createHandleFs(rootHandle) {
+  const directories = new Map([['', Promise.resolve(rootHandle)]]);
+
+  const getDirectory = (path) => {
+    if (!directories.has(path)) {
+      const index = path.lastIndexOf('/');
+      const parent = index === -1 ? '' : path.slice(0, index);
+      const pending = getDirectory(parent).then((handle) => handle.getDirectoryHandle(path.slice(index + 1)));
+      pending.catch(() => directories.delete(path));
+      directories.set(path, pending);
+    }
+    return directories.get(path);
+  };
+
+  const resolve = async (path) => {
+    const normalized = path.split('/').filter((part) => part && part !== '.').join('/');
+    if (!normalized) return rootHandle;
+    const index = normalized.lastIndexOf('/');
+    const name = normalized.slice(index + 1);
+    try {
+      const parent = await getDirectory(index === -1 ? '' : normalized.slice(0, index));
+      try {
+        return await parent.getFileHandle(name);
+      } catch (err) {
+        if (err.name !== 'TypeMismatchError') throw err;
+        return await getDirectory(normalized);
+      }
+    } catch (err) {
+      throw fsError(err.name === 'TypeMismatchError' ? 'ENOTDIR' : 'ENOENT', path);
+    }
+  };
+
+  // o isomorphic-git pode tentar regravar o índice; nada é escrito no .git
+  const discard = async () => {};
+
+  return {
+    promises: {
+      async readFile(path, options) {
+        const handle = await resolve(path);
+        if (handle.kind !== 'file') throw fsError('EISDIR', path);
+        const file = await handle.getFile();
+        const encoding = typeof options === 'string' ? options : options?.encoding;
+        return encoding ? file.text() : new Uint8Array(await file.arrayBuffer());
+      },
+      async readdir(path) {
+        const handle = await resolve(path);
+        if (handle.kind !== 'directory') throw fsError('ENOTDIR', path);
+        const names = [];
+        for await (const name of handle.keys()) {
+          names.push(name);
+        }
+        return names;
+      },
+      async stat(path) {
+        const handle = await resolve(path);
+        return createStats(handle, handle.kind === 'file' ? await handle.getFile() : null);
+      },
+      async lstat(path) {
+        return this.stat(path);
+      },
+      async readlink(path) {
+        throw fsError('ENOENT', path);
+      },
+      writeFile: discard,
+      unlink: discard,
+      mkdir: discard,
+      rmdir: discard,
+      symlink: discard,
+      chmod: discard,
+    },
+  };
+}
+
+// linha -> tipo de mudança em relação ao HEAD
+function computeLineChanges(base, text) {
+  const changes = new Map();
+  const ops = diffLines(base, text);
+  let added = [];
+  let removed = 0;
+
+  const flush = (nextLine) => {
+    if (added.length) {
+      added.forEach((line) => changes.set(line, removed ? 'modified' : 'added'));
+    } else if (removed) {
+      changes.set(Math.max(1, nextLine), 'deleted');
+    }
+    added = [];
+    removed = 0;
+  };
+
+  ops.forEach((op) => {
+    if (op.type === 'added') {
+      added.push(op.newLine);
+    } else if (op.type === 'removed') {
+      removed += 1;
+    } else {
+      flush(op.newLine);
+    }
+  });
+  flush(text.split('\n').length);
+  return changes;
+}
+
+class ChangeMarker extends GutterMarker {
+  constructor(kind) {
+    super();
+    this.kind = kind;
+  }
+
+  eq(other) {
+    return other.kind === this.kind;
+  }
+
+  toDOM() {
+    const marker = document.createElement('div');
+    marker.className = `cm-git-${this.kind}`;
+    return marker;
+  }
+}
+
+const CHANGE_MARKERS = {
+  added: new ChangeMarker('added'),
+  modified: new ChangeMarker('modified'),
+  deleted: new ChangeMarker('deleted'),
+};
+
+const setGitBase = StateEffect.define();
+const refreshGitMarkers = StateEffect.define();
+
+function buildMarkers(base, doc) {
+  if (base === null) return RangeSet.empty;
+  const builder = new RangeSetBuilder();
+  const changes = computeLineChanges(base, doc.toString());
+  [...changes.entries()]
+    .sort(([a], [b]) => a - b)
+    .forEach(([line, kind]) => {
+      if (line <= doc.lines) {
+        const { from } = doc.line(line);
+        builder.add(from, from, CHANGE_MARKERS[kind]);
+      }
+    });
+  return builder.finish();
+}
+
+const gitChanges = StateField.define({
+  create: () => ({ base: null, markers: RangeSet.empty }),
+  update(value, tr) {
+    let { base, markers } = value;
+    let rebuild = false;
+    tr.effects.forEach((effect) => {
+      if (effect.is(setGitBase)) {
+        base = effect.value;
+        rebuild = true;
+      } else if (effect.is(refreshGitMarkers)) {
+        rebuild = true;
+      }
+    });
+    if (rebuild) return { base, markers: buildMarkers(base, tr.state.doc) };
+    if (tr.docChanged) return { base, markers: markers.map(tr.changes) };
+    return value;
+  },
+});
+
+// recalcula as marcações pouco depois da última edição
+const gitMarkersUpdater = ViewPlugin.fromClass(class {
+  constructor(view) {
+    this.view = view;
+    this.timer = null;
+  }
+
+  update(update) {
+    if (!update.docChanged || update.state.field(gitChanges).base === null) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.view.dispatch({ effects: refreshGitMarkers.of(null) });
+    }, MARKERS_DELAY);
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+  }
+});
+
+class Git {
+  constructor() {
+    this.editor = null;
+    this.library = null;
+    this.rootHandle = null;
+    this.fs = null;
+    this.available = false;
+    this.branch = null;
+    this.head = null;
+    this.statuses = new Map();
+    this.headBlobs = new Map();
+    this.blobIds = new Map();
+    this.refreshTimer = null;
+    this.refreshing = null;
+    this.refreshAgain = false;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+    document.getElementById('gitBranch')?.addEventListener('click', () => this.refresh());
+  }
+
+  getExtensions() {
+    return [
+      gitChanges,
+      gitMarkersUpdater,
+      gutter({
+        class: 'cm-git-gutter',
+        markers: (view) => view.state.field(gitChanges).markers,
+      }),
+    ];
+  }
+
+  // o isomorphic-git usa o Buffer do Node; o polyfill só é carregado junto com ele
+  async loadLibrary() {
+    if (!this.library) {
+      this.library = import('buffer')
+        .then(({ Buffer }) => {
+          globalThis.Buffer = globalThis.Buffer || Buffer;
+          return import('isomorphic-git');
+        });
+      this.library.catch(() => {
+        this.library = null;
+      });
+    }
+    return this.library;
+  }
+
+  affectsStatus(path) {
+    if (path === '.git' || path.startsWith('.git/')) return GIT_STATE_PATH.test(path);
+    return !fileTree.ignoreRules.isGitignored(path);
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+  }
+
+  async refresh() {
+    clearTimeout(this.refreshTimer);
+    if (this.refreshing) {
+      this.refreshAgain = true;
+      return this.refreshing;
+    }
+
+    this.refreshing = this.readRepository()
+      .catch((err) => {
+        console.warn('Cannot read Git repository:', err);
+        this.reset(fileSystem.getRootHandle());
+      })
+      .finally(() => {
+        this.refreshing = null;
+        this.render();
+        if (this.refreshAgain) {
+          this.refreshAgain = false;
+          this.scheduleRefresh();
+        }
+      });
+    return this.refreshing;
+  }
+
+  reset(rootHandle) {
+    this.rootHandle = rootHandle;
+    this.fs = rootHandle ? createHandleFs(rootHandle) : null;
+    this.available = false;
+    this.branch = null;
+    this.head = null;
+    this.statuses = new Map();
+    this.headBlobs.clear();
+    this.blobIds = new Map();
+  }
+
+  async readRepository() {
+    const rootHandle = fileSystem.getRootHandle();
+    if (rootHandle !== this.rootHandle) {
+      this.reset(rootHandle);
+    }
+    if (!rootHandle || !(await this.hasGitDirectory(rootHandle))) {
+      this.reset(rootHandle);
+      return;
+    }
+
+    const git = await this.loadLibrary();
+    // o cache dos diretórios é refeito a cada leitura, pois o .git muda por fora do editor
+    this.fs = createHandleFs(rootHandle);
+    const { fs } = this;
+
+    this.available = true;
+    const head = await git.resolveRef({ fs, dir: DIR, ref: 'HEAD' }).catch(() => null);
+    this.branch = await git.currentBranch({ fs, dir: DIR, fullname: false }).catch(() => null)
+      || (head ? head.slice(0, 7) : null);
+    if (head !== this.head) {
+      this.head = head;
+      this.headBlobs.clear();
+      this.editor.openTabs.forEach((tab) => this.applyToTab(tab));
+    }
+
+    const { statuses, blobIds } = await this.readStatuses(git, fs);
+    if (rootHandle === fileSystem.getRootHandle()) {
+      this.statuses = statuses;
+      this.blobIds = blobIds;
+    }
+  }
+
+  // mesma comparação do statusMatrix, mas o hash de cada arquivo do workspace é guardado
+  // por tamanho e data: os stats daqui nunca batem com os do índice, e sem isso todo
+  // arquivo versionado seria lido e hasheado a cada atualização
+  async readStatuses(git, fs) {
+    const statuses = new Map();
+    const blobIds = new Map();
+
+    const readWorkdirOid = async (path, workdir) => {
+      const { mtimeSeconds, mtimeNanoseconds, size } = await workdir.stat();
+      const key = `${mtimeSeconds}.${mtimeNanoseconds}:${size}`;
+      const cached = this.blobIds.get(path);
+      const oid = cached?.key === key ? cached.oid : await workdir.oid();
+      blobIds.set(path, { key, oid });
+      return oid;
+    };
+
+    await git.walk({
+      fs,
+      dir: DIR,
+      cache: {},
+      trees: [git.TREE({ ref: 'HEAD' }), git.WORKDIR({ refresh: false }), git.STAGE()],
+      map: async (path, [head, workdir, stage]) => {
+        if (!head && !stage && workdir && await git.isIgnored({ fs, dir: DIR, filepath: path })) {
+          return null;
+        }
+        const [headType, workdirType, stageType] = await Promise.all([
+          head?.type(),
+          workdir?.type(),
+          stage?.type(),
+        ]);
+        if (headType === 'commit' || stageType === 'commit') return null;
+
+        if (headType !== 'blob') {
+          if (workdirType === 'blob') {
+            statuses.set(path, stageType === 'blob' ? 'added' : 'untracked');
+          }
+        } else if (workdirType !== 'blob') {
+          statuses.set(path, 'deleted');
+        } else {
+          const headOid = await head.oid();
+          const stageOid = stageType === 'blob' ? await stage.oid() : undefined;
+          if (stageOid !== headOid || await readWorkdirOid(path, workdir) !== headOid) {
+            statuses.set(path, 'modified');
+          }
+        }
+        return undefined;
+      },
+    });
+    return { statuses, blobIds };
+  }
+
+  async hasGitDirectory(rootHandle) {
+    try {
+      await rootHandle.getDirectoryHandle('.git');
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  getHeadBlob(path) {
+    if (!this.headBlobs.has(path)) {
+      const pending = this.readHeadBlob(path);
+      this.headBlobs.set(path, pending);
+    }
+    return this.headBlobs.get(path);
+  }
+
+  async readHeadBlob(path) {
+    if (!this.available || !this.head) return null;
+    const git = await this.loadLibrary();
+    try {
+      const { blob } = await git.readBlob({ fs: this.fs, dir: DIR, oid: this.head, filepath: path });
+      return blob;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // compara a aba com a versão do arquivo no HEAD, lida na mesma codificação da aba
+  // (arquivos fora do HEAD ficam sem marcações)
+  async applyToTab(tab) {
+    if (!tab || tab.viewer || !this.available) return;
+    const blob = await this.getHeadBlob(tab.path);
+    if (tab.viewer) return;
+    const base = blob ? normalizeEol(decodeBytes(blob, tab.encoding).text) : null;
+    this.editor.updateTab(tab, { effects: setGitBase.of(base) });
+  }
+
+  render() {
+    fileTree.setGitStatuses(this.statuses);
+    const branchEl = document.getElementById('gitBranch');
+    if (branchEl) {
+      const changes = this.statuses.size;
+      branchEl.textContent = this.branch ? `⎇ ${this.branch}` : '';
+      branchEl.title = `${changes} changed file${changes === 1 ? '' : 's'} (click to refresh)`;
+      branchEl.classList.toggle('hidden', !this.available || !this.branch);
+    }
+  }
+}
+
+export const git = new Git();
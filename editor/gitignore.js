@@ -0,0 +1,259 @@
+export const DEFAULT_FILES_EXCLUDE = [
+  '**/.git',
+  '**/.svn',
+  '**/.hg',
+  '**/CVS',
+  '**/.DS_Store',
+  '**/Thumbs.db',
+];
+
+function escapeRegexChar(char) {
+  return /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+}
+
+function compileCharacterClass(pattern, start) {
+  let i = start + 1;
+  let body = '';
+
+  if (pattern[i] === '!' || pattern[i] === '^') {
+    body += '^';
+    i += 1;
+  }
+  if (pattern[i] === ']') {
+    body += '\\]';
+    i += 1;
+  }
+
+  while (i < pattern.length && pattern[i] !== ']') {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      body += escapeRegexChar(pattern[i + 1]);
+      i += 2;
+      continue;
+    }
+    body += char === '[' || char === '\\' ? `\\${char}` : char;
+    i += 1;
+  }
+
+  if (i >= pattern.length) return null;
+  return { source: `[${body}]`, end: i };
+}
+
+export function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '\\') {
+      if (i + 1 < glob.length) {
+        source += escapeRegexChar(glob[i + 1]);
+        i += 1;
+      }
+      continue;
+    }
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        const next = glob[i + 2];
+        if (atSegmentStart && next === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+          continue;
+        }
+        if (atSegmentStart && next === undefined) {
+          source += '.*';
+          i += 1;
+          continue;
+        }
+      }
+      source += '[^/]*';
+      continue;
+    }
+
+    if (char === '?') {
+      source += '[^/]';
+      continue;
+    }
+
+    if (char === '[') {
+      const charClass = compileCharacterClass(glob, i);
+      if (charClass) {
+        source += charClass.source;
+        i = charClass.end;
+        continue;
+      }
+    }
+
+    source += escapeRegexChar(char);
+  }
+
+  return source;
+}
+
+export function compileIgnorePattern(line) {
+  let pattern = line.replace(/\r$/, '');
+
+  // espaços finais são ignorados, exceto quando escapados com "\"
+  pattern = pattern.replace(/(?<!\\)\s+$/, '');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const directoryOnly = pattern.endsWith('/') && !pattern.endsWith('\\/');
+  if (directoryOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+  if (!pattern) return null;
+
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  }
+
+  const body = globToRegexSource(pattern);
+  const source = anchored ? `^${body}$` : `^(?:.*/)?${body}$`;
+
+  try {
+    return { regex: new RegExp(source), negated, directoryOnly };
+  } catch (err) {
+    return null;
+  }
+}
+
+export function parseIgnoreFile(content) {
+  return content
+    .split('\n')
+    .map((line) => compileIgnorePattern(line))
+    .filter(Boolean);
+}
+
+// .git nunca aparece, mesmo que o usuário remova o padrão de files.exclude
+const ALWAYS_EXCLUDED = parseIgnoreFile('**/.git');
+
+function compileExcludes(patterns) {
+  return [...parseIgnoreFile(patterns.join('\n')), ...ALWAYS_EXCLUDED];
+}
+
+function normalizePath(path) {
+  return path.replace(/^\.?\//, '').replace(/\/+$/, '');
+}
+
+export class IgnoreRules {
+  constructor() {
+    this.scopes = new Map();
+    this.excludeRules = compileExcludes(DEFAULT_FILES_EXCLUDE);
+    this.excludedDirectories = new Map();
+    this.ignoredDirectories = new Map();
+  }
+
+  setExcludes(patterns = DEFAULT_FILES_EXCLUDE) {
+    this.excludeRules = compileExcludes(patterns);
+    this.excludedDirectories.clear();
+  }
+
+  async readTextFile(directoryHandle, path) {
+    try {
+      const parts = path.split('/');
+      let current = directoryHandle;
+      for (let i = 0; i < parts.length - 1; i++) {
+        current = await current.getDirectoryHandle(parts[i]);
+      }
+      const fileHandle = await current.getFileHandle(parts[parts.length - 1]);
+      const file = await fileHandle.getFile();
+      return await file.text();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async load(rootHandle) {
+    this.scopes.clear();
+    this.ignoredDirectories.clear();
+    if (!rootHandle) return;
+
+    const exclude = await this.readTextFile(rootHandle, '.git/info/exclude');
+    const gitignore = await this.readTextFile(rootHandle, '.gitignore');
+    this.scopes.set('', [
+      ...parseIgnoreFile(exclude || ''),
+      ...parseIgnoreFile(gitignore || ''),
+    ]);
+  }
+
+  async prepareDirectory(directoryHandle, directoryPath) {
+    if (!directoryPath || this.scopes.has(directoryPath)) return;
+
+    const content = await this.readTextFile(directoryHandle, '.gitignore');
+    this.scopes.set(directoryPath, content ? parseIgnoreFile(content) : []);
+    if (content) {
+      this.ignoredDirectories.clear();
+    }
+  }
+
+  matchRules(rules, relativePath, isDirectory, initial = false) {
+    let ignored = initial;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) {
+        ignored = !rule.negated;
+      }
+    }
+    return ignored;
+  }
+
+  matchScopes(path, isDirectory) {
+    let ignored = false;
+    const parts = path.split('/');
+
+    for (let depth = 0; depth < parts.length; depth++) {
+      const rules = this.scopes.get(parts.slice(0, depth).join('/'));
+      if (!rules || !rules.length) continue;
+      ignored = this.matchRules(rules, parts.slice(depth).join('/'), isDirectory, ignored);
+    }
+
+    return ignored;
+  }
+
+  checkPath(path, isDirectory, matcher, directoryCache) {
+    const parts = normalizePath(path).split('/');
+
+    for (let i = 1; i < parts.length; i++) {
+      const directory = parts.slice(0, i).join('/');
+      if (!directoryCache.has(directory)) {
+        directoryCache.set(directory, matcher(directory, true));
+      }
+      if (directoryCache.get(directory)) return true;
+    }
+
+    return matcher(parts.join('/'), isDirectory);
+  }
+
+  isExcluded(path, isDirectory = false) {
+    return this.checkPath(
+      path,
+      isDirectory,
+      (target, isDir) => this.matchRules(this.excludeRules, target, isDir),
+      this.excludedDirectories,
+    );
+  }
+
+  isGitignored(path, isDirectory = false) {
+    return this.checkPath(
+      path,
+      isDirectory,
+      (target, isDir) => this.matchScopes(target, isDir),
+      this.ignoredDirectories,
+    );
+  }
+
+  isIgnored(path, isDirectory = false) {
+    return this.isExcluded(path, isDirectory) || this.isGitignored(path, isDirectory);
+  }
+}
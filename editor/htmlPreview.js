@@ -0,0 +1,288 @@
+import { fileIndex } from './fileIndex.js';
+import { resolveRelativePath, getDirectory } from './paths.js';
+
+const FRAME_PAGE = 'htmlPreviewFrame.html';
+const FRAME_SANDBOX = 'allow-scripts allow-forms allow-modals allow-popups';
+const REFRESH_DELAY = 400;
+const MAX_FILES = 300;
+const MAX_CONSOLE_ENTRIES = 500;
+const ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const HTML_EXTENSIONS = new Set(['html', 'htm']);
+
+const MIME_TYPES = {
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  cjs: 'text/javascript',
+  json: 'application/json',
+  svg: 'image/svg+xml',
+  xml: 'application/xml',
+  txt: 'text/plain',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+};
+const TEXT_EXTENSIONS = new Set(['html', 'htm', 'css', 'js', 'mjs', 'cjs', 'json', 'svg', 'xml', 'txt']);
+
+// referências relativas: atributos do HTML, url()/@import do CSS e imports de módulos JS
+const HTML_REFERENCE = /<(?:script|link|img|source|audio|video|iframe|embed|track|input|use|image)\b[^>]*?\s(?:src|href|poster)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gid;
+const CSS_REFERENCE = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]+))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/gid;
+const JS_REFERENCE = /\b(?:import|export)\s*(?:[\w*{}\s,$]*?\bfrom\s*)?(?:"([^"\n]+)"|'([^'\n]+)')|\bimport\s*\(\s*(?:"([^"\n]+)"|'([^'\n]+)')\s*\)/gid;
+
+const REFERENCE_PATTERNS = {
+  html: [HTML_REFERENCE, CSS_REFERENCE, JS_REFERENCE],
+  htm: [HTML_REFERENCE, CSS_REFERENCE, JS_REFERENCE],
+  css: [CSS_REFERENCE],
+  js: [JS_REFERENCE],
+  mjs: [JS_REFERENCE],
+};
+
+function getExtension(path) {
+  const name = path.split('/').pop();
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+export function isHtmlFile(path) {
+  return HTML_EXTENSIONS.has(getExtension(path));
+}
+
+export function findReferences(text, path) {
+  const directory = getDirectory(path);
+  const references = [];
+  const seen = new Set();
+
+  (REFERENCE_PATTERNS[getExtension(path)] || []).forEach((pattern) => {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+      if (group === -1) continue;
+      const value = match[group];
+      const [from, to] = match.indices[group];
+      if (!value.trim() || seen.has(from) || ABSOLUTE_URL.test(value) || value.startsWith('#')) continue;
+      // nomes de pacotes (import 'react') não são arquivos do projeto
+      if (pattern === JS_REFERENCE && !/^\.{0,2}\//.test(value)) continue;
+
+      const [target] = value.split(/[?#]/);
+      const hashIndex = value.indexOf('#');
+      seen.add(from);
+      references.push({
+        from,
+        to,
+        path: resolveRelativePath(directory, target),
+        hash: hashIndex === -1 ? '' : value.slice(hashIndex),
+      });
+    }
+  });
+  return references.sort((a, b) => a.from - b.from);
+}
+
+class HtmlPreview {
+  constructor() {
+    this.editor = null;
+    this.previews = new WeakMap();
+    this.active = new Set();
+    this.refreshTimer = null;
+    this.changedPaths = new Set();
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+    window.addEventListener('message', (e) => {
+      if (e.data?.source !== 'html-preview') return;
+      const preview = [...this.active].find((item) => item.frame?.contentWindow === e.source);
+      if (!preview) return;
+
+      if (e.data.type === 'ready') {
+        this.sendPage(preview, e.source);
+      } else if (e.data.type === 'console') {
+        this.appendConsole(preview, e.data.level, String(e.data.message));
+      }
+    });
+  }
+
+  getPreview(group) {
+    let preview = this.previews.get(group);
+    if (!preview) {
+      const container = group.livePreviewEl;
+      container.innerHTML = `
+        <div class="html-preview-toolbar">
+          <span class="html-preview-title"></span>
+          <button type="button" class="icon-btn-small" data-preview-action="reload" title="Reload">↻</button>
+          <button type="button" class="icon-btn-small" data-preview-action="toggleConsole" title="Toggle Console">⌨</button>
+          <button type="button" class="icon-btn-small" data-preview-action="clearConsole" title="Clear Console">⌫</button>
+        </div>
+        <div class="html-preview-frame-container"></div>
+        <div class="html-preview-console"></div>
+      `;
+      preview = {
+        group,
+        tab: null,
+        frame: null,
+        dependencies: new Set(),
+        title: container.querySelector('.html-preview-title'),
+        frameContainer: container.querySelector('.html-preview-frame-container'),
+        console: container.querySelector('.html-preview-console'),
+      };
+      container.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-preview-action]')?.dataset.previewAction;
+        if (action === 'reload') this.reload(preview);
+        if (action === 'toggleConsole') container.classList.toggle('console-hidden');
+        if (action === 'clearConsole') preview.console.innerHTML = '';
+      });
+      this.previews.set(group, preview);
+    }
+    return preview;
+  }
+
+  show(group, tab) {
+    group.livePreviewEl.classList.toggle('hidden', !tab);
+    if (!tab) {
+      this.clear(group);
+      return;
+    }
+
+    const preview = this.getPreview(group);
+    if (preview.tab === tab && preview.frame) return;
+    preview.tab = tab;
+    this.active.add(preview);
+    this.reload(preview);
+  }
+
+  clear(group) {
+    const preview = this.previews.get(group);
+    if (!preview) return;
+    preview.frame?.remove();
+    preview.frame = null;
+    preview.tab = null;
+    preview.console.innerHTML = '';
+    this.active.delete(preview);
+  }
+
+  // cada recarga usa um iframe novo: o documento anterior e seus blob URLs são descartados
+  reload(preview) {
+    if (!preview.tab) return;
+    preview.title.textContent = preview.tab.path;
+    preview.title.title = preview.tab.path;
+    preview.console.innerHTML = '';
+    preview.dependencies.add(preview.tab.path);
+
+    const frame = document.createElement('iframe');
+    frame.className = 'html-preview-frame';
+    frame.setAttribute('sandbox', FRAME_SANDBOX);
+    frame.src = FRAME_PAGE;
+    preview.frame?.remove();
+    preview.frame = frame;
+    preview.frameContainer.appendChild(frame);
+  }
+
+  // recarrega os previews que usam algum dos arquivos alterados
+  scheduleRefresh(path) {
+    if (!this.active.size) return;
+    this.changedPaths.add(path);
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      const changed = this.changedPaths;
+      this.changedPaths = new Set();
+      this.active.forEach((preview) => {
+        if ([...changed].some((item) => preview.dependencies.has(item))) {
+          this.reload(preview);
+        }
+      });
+    }, REFRESH_DELAY);
+  }
+
+  async readFile(path) {
+    const tab = this.editor.openTabs.find((item) => item.path === path && !item.viewer);
+    if (tab && TEXT_EXTENSIONS.has(getExtension(path))) {
+      return { text: tab.state.doc.toString() };
+    }
+
+    const handle = await fileIndex.resolveHandle({ path, handle: null });
+    if (!handle) return null;
+    try {
+      const file = await handle.getFile();
+      return TEXT_EXTENSIONS.has(getExtension(path))
+        ? { text: await file.text() }
+        : { buffer: await file.arrayBuffer() };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // lê o HTML e, recursivamente, os arquivos que ele referencia (abas abertas usam o texto não salvo)
+  async collectFiles(entryPath) {
+    const files = {};
+    const pending = [entryPath];
+    let count = 0;
+
+    while (pending.length && count < MAX_FILES) {
+      const path = pending.shift();
+      if (path in files) continue;
+      files[path] = null;
+      count += 1;
+
+      const content = await this.readFile(path);
+      if (!content) {
+        delete files[path];
+        continue;
+      }
+      const type = MIME_TYPES[getExtension(path)] || 'application/octet-stream';
+      if (content.text === undefined) {
+        files[path] = { buffer: content.buffer, type };
+        continue;
+      }
+      const references = findReferences(content.text, path);
+      files[path] = { text: content.text, references, type };
+      references.forEach((reference) => {
+        if (!(reference.path in files)) pending.push(reference.path);
+      });
+    }
+
+    Object.keys(files).forEach((path) => {
+      if (!files[path]) delete files[path];
+    });
+    return files;
+  }
+
+  async sendPage(preview, target) {
+    const path = preview.tab.path;
+    const files = await this.collectFiles(path);
+    if (preview.frame?.contentWindow !== target || preview.tab?.path !== path) return;
+    if (!files[path]) {
+      this.appendConsole(preview, 'error', `Cannot read ${path}`);
+      return;
+    }
+
+    preview.dependencies = new Set(Object.keys(files));
+    target.postMessage({ type: 'render', entry: path, files }, '*');
+  }
+
+  appendConsole(preview, level, message) {
+    const entry = document.createElement('div');
+    entry.className = `html-preview-log ${level}`;
+    entry.textContent = message;
+    preview.console.appendChild(entry);
+    while (preview.console.childElementCount > MAX_CONSOLE_ENTRIES) {
+      preview.console.firstElementChild.remove();
+    }
+    preview.console.scrollTop = preview.console.scrollHeight;
+  }
+}
+
+export const htmlPreview = new HtmlPreview();
@@ -0,0 +1,88 @@
+// Página sandbox do Live Preview. Recebe do editor o HTML e os arquivos referenciados,
+// troca as referências relativas por blob URLs criadas aqui e escreve o documento.
+
+// roda dentro do documento do usuário, antes dos scripts dele
+function installConsoleHook() {
+  const format = (value) => {
+    if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}()`;
+    if (value instanceof Node) return `<${value.nodeName.toLowerCase()}>`;
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch (err) {
+      return String(value);
+    }
+  };
+  const send = (level, args) => {
+    parent.postMessage({ source: 'html-preview', type: 'console', level, message: args.map(format).join(' ') }, '*');
+  };
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+    const original = console[level].bind(console);
+    console[level] = (...args) => {
+      send(level, args);
+      original(...args);
+    };
+  });
+  window.addEventListener('error', (e) => {
+    send('error', [e.error || e.message]);
+  });
+  window.addEventListener('unhandledrejection', (e) => {
+    send('error', ['Uncaught (in promise)', e.reason]);
+  });
+}
+
+function createUrls(files) {
+  const urls = new Map();
+  const building = new Set();
+
+  const substitute = (text, references) => {
+    let out = '';
+    let last = 0;
+    references.forEach((reference) => {
+      const url = urlFor(reference.path);
+      out += text.slice(last, reference.from) + (url ? url + reference.hash : text.slice(reference.from, reference.to));
+      last = reference.to;
+    });
+    return out + text.slice(last);
+  };
+
+  // imports circulares ficam com o caminho original
+  const urlFor = (path) => {
+    if (urls.has(path)) return urls.get(path);
+    const file = files[path];
+    if (!file || building.has(path)) return null;
+
+    building.add(path);
+    const content = file.text !== undefined ? substitute(file.text, file.references) : file.buffer;
+    const url = URL.createObjectURL(new Blob([content], { type: file.type }));
+    building.delete(path);
+    urls.set(path, url);
+    return url;
+  };
+
+  return { substitute };
+}
+
+function injectHook(html) {
+  const hook = `<script>(${installConsoleHook.toString()})();</script>`;
+  const anchor = /<head\b[^>]*>/i.exec(html) || /<html\b[^>]*>/i.exec(html) || /<!doctype[^>]*>/i.exec(html);
+  if (!anchor) return hook + html;
+  const index = anchor.index + anchor[0].length;
+  return html.slice(0, index) + hook + html.slice(index);
+}
+
+window.addEventListener('message', (e) => {
+  if (e.source !== parent || e.data?.type !== 'render') return;
+
+  const { entry, files } = e.data;
+  const page = files[entry];
+  const html = createUrls(files).substitute(page.text, page.references);
+  document.open();
+  document.write(injectHook(html));
+  document.close();
+});
+
+parent.postMessage({ source: 'html-preview', type: 'ready' }, '*');
@@ -0,0 +1,205 @@
+// Esquemas resumidos usados pelo autocompletar de arquivos JSON conhecidos.
+// "values" lista os valores sugeridos; "items" descreve os elementos de um array.
+
+const string = (description, values) => ({ type: 'string', description, values });
+const boolean = (description) => ({ type: 'boolean', description, values: [true, false] });
+const object = (description, properties = null) => ({ type: 'object', description, properties });
+const array = (description, items = null) => ({ type: 'array', description, items });
+
+const PERSON = object('A person, or a "Name <email> (url)" string', {
+  name: string('Full name'),
+  email: string('Email address'),
+  url: string('Homepage'),
+});
+
+const PACKAGE_JSON = object('package.json', {
+  name: string('The name of the package'),
+  version: string('Version, parseable by node-semver'),
+  description: string('Short description shown in package search'),
+  keywords: array('Keywords that help people discover the package'),
+  homepage: string('URL of the project homepage'),
+  bugs: object('Where to report issues', {
+    url: string('Issue tracker URL'),
+    email: string('Email address for issues'),
+  }),
+  license: string('SPDX license identifier', ['MIT', 'ISC', 'Apache-2.0', 'BSD-2-Clause', 'BSD-3-Clause', 'GPL-3.0-only', 'UNLICENSED']),
+  author: PERSON,
+  contributors: array('People who contributed to the package', PERSON),
+  funding: string('URL with ways to fund the project'),
+  files: array('Files included when the package is published'),
+  main: string('Entry point when the package is required'),
+  module: string('ES module entry point used by bundlers'),
+  types: string('Bundled TypeScript declaration file'),
+  type: string('How .js files are interpreted', ['module', 'commonjs']),
+  exports: object('Package entry points per condition'),
+  imports: object('Private import mappings starting with #'),
+  browser: string('Entry point for browser bundles'),
+  bin: object('Executables installed into PATH'),
+  man: array('Man pages for the package'),
+  directories: object('Package directory layout'),
+  repository: object('Where the code lives', {
+    type: string('Version control system', ['git']),
+    url: string('Repository URL'),
+    directory: string('Package directory inside a monorepo'),
+  }),
+  scripts: object('Commands run with npm run <name>', {
+    build: string('Build the project'),
+    start: string('Start the project'),
+    test: string('Run the tests'),
+    lint: string('Run the linter'),
+    dev: string('Start a development server'),
+    prepare: string('Run on local install and before publishing'),
+    prepublishOnly: string('Run before the package is published'),
+  }),
+  config: object('Configuration available to scripts as npm_package_config_*'),
+  dependencies: object('Packages required at runtime'),
+  devDependencies: object('Packages needed only for development'),
+  peerDependencies: object('Packages the host project must provide'),
+  peerDependenciesMeta: object('Extra information about peer dependencies'),
+  optionalDependencies: object('Packages that may fail to install'),
+  bundleDependencies: array('Packages bundled when publishing'),
+  overrides: object('Override versions of nested dependencies'),
+  engines: object('Supported runtime versions', {
+    node: string('Supported Node.js versions'),
+    npm: string('Supported npm versions'),
+  }),
+  os: array('Supported operating systems', { values: ['darwin', 'linux', 'win32'] }),
+  cpu: array('Supported CPU architectures', { values: ['x64', 'arm64', 'ia32'] }),
+  private: boolean('Prevent the package from being published'),
+  publishConfig: object('Settings used when publishing', {
+    access: string('Package visibility', ['public', 'restricted']),
+    registry: string('Registry URL'),
+    tag: string('Dist-tag for the release'),
+  }),
+  workspaces: array('Folders that contain workspace packages'),
+  sideEffects: boolean('Whether modules have side effects (for tree shaking)'),
+  packageManager: string('Package manager and version used by the project'),
+});
+
+const TS_TARGETS = ['ES5', 'ES2015', 'ES2016', 'ES2017', 'ES2018', 'ES2019', 'ES2020', 'ES2021', 'ES2022', 'ES2023', 'ESNext'];
+
+const COMPILER_OPTIONS = object('Options passed to the TypeScript compiler', {
+  target: string('ECMAScript version of the emitted JavaScript', TS_TARGETS),
+  module: string('Module system of the emitted code', ['CommonJS', 'ES2015', 'ES2020', 'ES2022', 'ESNext', 'Node16', 'NodeNext', 'Preserve']),
+  moduleResolution: string('How imports are resolved', ['node10', 'node16', 'nodenext', 'bundler', 'classic']),
+  lib: array('Bundled library declaration files', { values: ['DOM', 'DOM.Iterable', 'WebWorker', 'ES2015', 'ES2020', 'ES2022', 'ESNext'] }),
+  jsx: string('How JSX is emitted', ['preserve', 'react', 'react-jsx', 'react-jsxdev', 'react-native']),
+  strict: boolean('Enable all strict type-checking options'),
+  noImplicitAny: boolean('Error on expressions with an implied any type'),
+  strictNullChecks: boolean('Take null and undefined into account'),
+  noUnusedLocals: boolean('Report unused local variables'),
+  noUnusedParameters: boolean('Report unused parameters'),
+  noImplicitReturns: boolean('Report code paths that do not return'),
+  noFallthroughCasesInSwitch: boolean('Report fallthrough cases in switch'),
+  esModuleInterop: boolean('Emit helpers for CommonJS default imports'),
+  allowSyntheticDefaultImports: boolean('Allow default imports from modules without a default export'),
+  allowJs: boolean('Allow JavaScript files to be compiled'),
+  checkJs: boolean('Report errors in JavaScript files'),
+  resolveJsonModule: boolean('Allow importing .json files'),
+  isolatedModules: boolean('Ensure each file can be transpiled on its own'),
+  skipLibCheck: boolean('Skip type checking of declaration files'),
+  forceConsistentCasingInFileNames: boolean('Require consistent casing in imports'),
+  declaration: boolean('Generate .d.ts files'),
+  declarationMap: boolean('Generate source maps for .d.ts files'),
+  sourceMap: boolean('Generate .map files'),
+  noEmit: boolean('Do not emit output files'),
+  outDir: string('Output directory'),
+  rootDir: string('Root directory of the input files'),
+  baseUrl: string('Base directory for non-relative imports'),
+  paths: object('Import path aliases relative to baseUrl'),
+  types: array('Type packages included without being imported'),
+  typeRoots: array('Folders containing type declarations'),
+  incremental: boolean('Save build information to speed up later builds'),
+  composite: boolean('Enable project references'),
+  experimentalDecorators: boolean('Enable legacy decorators'),
+  useDefineForClassFields: boolean('Emit standard class fields'),
+  verbatimModuleSyntax: boolean('Keep import/export statements as written'),
+});
+
+const TSCONFIG_JSON = object('tsconfig.json', {
+  extends: string('Base configuration file to inherit from'),
+  compilerOptions: COMPILER_OPTIONS,
+  include: array('Glob patterns of files to include'),
+  exclude: array('Glob patterns of files to skip'),
+  files: array('Explicit list of files to include'),
+  references: array('Referenced TypeScript projects', object('Project reference', {
+    path: string('Path to the referenced project'),
+  })),
+});
+
+const CHROME_PERMISSIONS = [
+  'activeTab', 'alarms', 'bookmarks', 'clipboardRead', 'clipboardWrite', 'contextMenus', 'cookies',
+  'declarativeNetRequest', 'downloads', 'history', 'identity', 'idle', 'notifications', 'offscreen',
+  'scripting', 'sidePanel', 'storage', 'tabGroups', 'tabs', 'unlimitedStorage', 'webNavigation', 'webRequest',
+];
+
+const MANIFEST_JSON = object('Chrome extension manifest', {
+  manifest_version: { type: 'number', description: 'Manifest format version', values: [3] },
+  name: string('Extension name'),
+  short_name: string('Short name shown where space is limited'),
+  version: string('Extension version (1 to 4 dot-separated integers)'),
+  description: string('Description shown in the Chrome Web Store'),
+  default_locale: string('Default locale folder under _locales'),
+  icons: object('Extension icons by size', {
+    16: string('16×16 icon'),
+    32: string('32×32 icon'),
+    48: string('48×48 icon'),
+    128: string('128×128 icon'),
+  }),
+  action: object('Toolbar button', {
+    default_popup: string('HTML page shown when the button is clicked'),
+    default_title: string('Tooltip of the button'),
+    default_icon: object('Button icons by size'),
+  }),
+  background: object('Background service worker', {
+    service_worker: string('Service worker script'),
+    type: string('Script type', ['module']),
+  }),
+  permissions: array('API permissions', { values: CHROME_PERMISSIONS }),
+  optional_permissions: array('Permissions requested at runtime', { values: CHROME_PERMISSIONS }),
+  host_permissions: array('Match patterns of hosts the extension can access', { values: ['<all_urls>', 'https://*/*', 'http://*/*'] }),
+  content_scripts: array('Scripts injected into matching pages', object('Content script', {
+    matches: array('Pages the script is injected into', { values: ['<all_urls>', 'https://*/*'] }),
+    js: array('Scripts to inject'),
+    css: array('Stylesheets to inject'),
+    run_at: string('When the script is injected', ['document_start', 'document_end', 'document_idle']),
+    all_frames: boolean('Inject into all frames'),
+    world: string('JavaScript world of the script', ['ISOLATED', 'MAIN']),
+  })),
+  web_accessible_resources: array('Files that web pages may load', object('Resource group', {
+    resources: array('Files made accessible'),
+    matches: array('Pages allowed to load the resources'),
+  })),
+  options_page: string('Options page'),
+  options_ui: object('Embedded options page', {
+    page: string('Options page'),
+    open_in_tab: boolean('Open the options page in a new tab'),
+  }),
+  chrome_url_overrides: object('Pages that replace Chrome pages', {
+    newtab: string('New Tab page'),
+    history: string('History page'),
+    bookmarks: string('Bookmarks page'),
+  }),
+  side_panel: object('Side panel', {
+    default_path: string('HTML page shown in the side panel'),
+  }),
+  commands: object('Keyboard shortcuts'),
+  content_security_policy: object('Content Security Policy', {
+    extension_pages: string('Policy for extension pages'),
+    sandbox: string('Policy for sandboxed pages'),
+  }),
+  devtools_page: string('DevTools extension page'),
+  omnibox: object('Address bar keyword', {
+    keyword: string('Keyword that activates the extension'),
+  }),
+  incognito: string('Behavior in incognito windows', ['spanning', 'split', 'not_allowed']),
+  minimum_chrome_version: string('Oldest supported Chrome version'),
+  homepage_url: string('Extension homepage'),
+});
+
+export const JSON_SCHEMAS = {
+  'package.json': PACKAGE_JSON,
+  'tsconfig.json': TSCONFIG_JSON,
+  'jsconfig.json': TSCONFIG_JSON,
+  'manifest.json': MANIFEST_JSON,
+};
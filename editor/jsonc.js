@@ -0,0 +1,36 @@
+// JSON com comentários e vírgulas finais (tsconfig.json, .eslintrc.json, snippets do VS Code).
+// Troca comentários e vírgulas finais por espaços, mantendo as posições e as quebras de linha.
+export function stripJsonc(text) {
+  const blank = (value) => value.replace(/[^\n]/g, ' ');
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"' && text[end] !== '\n') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      out += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      out += blank(text.slice(i, stop));
+      i = stop;
+    } else if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      out += blank(text.slice(i, stop));
+      i = stop;
+    } else if (ch === ',' && /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[}\]]/.test(text.slice(i + 1))) {
+      out += ' ';
+      i += 1;
+    } else {
+      out += ch;
+      i += 1;
+    }
+  }
+  return out;
+}
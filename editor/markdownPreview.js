@@ -0,0 +1,310 @@
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { highlightCode, classHighlighter } from '@lezer/highlight';
+import { javascriptLanguage, typescriptLanguage, jsxLanguage, tsxLanguage } from '@codemirror/lang-javascript';
+import { htmlLanguage } from '@codemirror/lang-html';
+import { cssLanguage } from '@codemirror/lang-css';
+import { pythonLanguage } from '@codemirror/lang-python';
+import { jsonLanguage } from '@codemirror/lang-json';
+import { markdownLanguage } from '@codemirror/lang-markdown';
+import { StandardSQL } from '@codemirror/lang-sql';
+import { fileIndex } from './fileIndex.js';
+import { resolveRelativePath, getDirectory } from './paths.js';
+
+const RENDER_DELAY = 200;
+// tempo em que o scroll provocado pela sincronização é ignorado pelo outro lado
+const SCROLL_SYNC_LOCK = 120;
+const ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const MARKDOWN_EXTENSIONS = new Set(['md', 'mdx', 'markdown']);
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const FENCE_LANGUAGES = {
+  js: javascriptLanguage,
+  javascript: javascriptLanguage,
+  mjs: javascriptLanguage,
+  cjs: javascriptLanguage,
+  jsx: jsxLanguage,
+  ts: typescriptLanguage,
+  typescript: typescriptLanguage,
+  tsx: tsxLanguage,
+  html: htmlLanguage,
+  css: cssLanguage,
+  scss: cssLanguage,
+  less: cssLanguage,
+  py: pythonLanguage,
+  python: pythonLanguage,
+  json: jsonLanguage,
+  jsonc: jsonLanguage,
+  sql: StandardSQL.language,
+  md: markdownLanguage,
+  markdown: markdownLanguage,
+};
+
+export function isMarkdownFile(path) {
+  const ext = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return MARKDOWN_EXTENSIONS.has(ext);
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+}
+
+function highlightFence(code, lang) {
+  const language = FENCE_LANGUAGES[lang];
+  if (!language) return escapeHtml(code);
+
+  let html = '';
+  highlightCode(code, language.parser.parse(code), classHighlighter, (text, classes) => {
+    html += classes ? `<span class="${classes}">${escapeHtml(text)}</span>` : escapeHtml(text);
+  }, () => {
+    html += '\n';
+  });
+  return html;
+}
+
+// âncoras no mesmo formato do GitHub, para links como [Atalhos](#atalhos)
+function slugify(text) {
+  return text.toLowerCase().trim().replace(/<[^>]*>/g, '').replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+}
+
+const markdownParser = new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const name = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+      const className = name ? ` class="language-${escapeHtml(name)}"` : '';
+      return `<pre><code${className}>${highlightFence(text, name)}</code></pre>\n`;
+    },
+    heading({ tokens, depth, text }) {
+      return `<h${depth} id="${escapeHtml(slugify(text))}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+    },
+  },
+});
+
+const purify = DOMPurify(window);
+// imagens e links relativos são resolvidos depois, pelos handles da pasta aberta
+purify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'IMG') {
+    const src = node.getAttribute('src');
+    if (src && !ABSOLUTE_URL.test(src)) {
+      node.setAttribute('data-src', src);
+      node.removeAttribute('src');
+    }
+  }
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('data-href', node.getAttribute('href'));
+  }
+});
+
+// cada bloco de primeiro nível guarda as linhas de origem, usadas na sincronização do scroll
+export function renderMarkdown(text) {
+  const tokens = markdownParser.lexer(text);
+  let line = 1;
+  let html = '';
+
+  tokens.forEach((token) => {
+    const lines = (token.raw.match(/\n/g) || []).length;
+    if (token.type !== 'space' && token.type !== 'def') {
+      const endLine = line + (token.raw.replace(/\n+$/, '').match(/\n/g) || []).length + 1;
+      html += `<div class="markdown-block" data-line="${line}" data-line-end="${endLine}">`;
+      html += markdownParser.parser([token]);
+      html += '</div>';
+    }
+    line += lines;
+  });
+  return purify.sanitize(html);
+}
+
+class MarkdownPreview {
+  constructor() {
+    this.editor = null;
+    this.previews = new WeakMap();
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+  }
+
+  getPreview(group) {
+    let preview = this.previews.get(group);
+    if (!preview) {
+      preview = {
+        group,
+        tab: null,
+        images: new Map(),
+        renderTimer: null,
+        ignoreEditorScrollUntil: 0,
+        ignorePreviewScrollUntil: 0,
+      };
+      group.previewEl.addEventListener('scroll', () => this.syncFromPreview(preview));
+      group.previewEl.addEventListener('click', (e) => this.handleClick(preview, e));
+      this.previews.set(group, preview);
+    }
+    return preview;
+  }
+
+  show(group, tab) {
+    const preview = this.getPreview(group);
+    group.previewEl.classList.toggle('hidden', !tab);
+    if (!tab) {
+      this.clear(group);
+      return;
+    }
+    if (preview.tab !== tab) {
+      this.releaseImages(preview);
+      preview.tab = tab;
+      group.previewEl.scrollTop = 0;
+    }
+    this.render(preview);
+  }
+
+  clear(group) {
+    const preview = this.previews.get(group);
+    if (!preview) return;
+    clearTimeout(preview.renderTimer);
+    this.releaseImages(preview);
+    preview.tab = null;
+    group.previewEl.innerHTML = '';
+  }
+
+  releaseImages(preview) {
+    preview.images.forEach((pending) => {
+      pending.then((url) => url && URL.revokeObjectURL(url));
+    });
+    preview.images.clear();
+  }
+
+  scheduleRender(group) {
+    const preview = this.previews.get(group);
+    if (!preview?.tab) return;
+    clearTimeout(preview.renderTimer);
+    preview.renderTimer = setTimeout(() => this.render(preview), RENDER_DELAY);
+  }
+
+  render(preview) {
+    clearTimeout(preview.renderTimer);
+    const { group, tab } = preview;
+    const container = group.previewEl;
+    const scrollTop = container.scrollTop;
+
+    const body = document.createElement('div');
+    body.className = 'markdown-body';
+    try {
+      body.innerHTML = renderMarkdown(tab.state.doc.toString());
+    } catch (err) {
+      console.error('Markdown preview failed:', err);
+      body.textContent = `Cannot render preview: ${err.message}`;
+    }
+    container.replaceChildren(body);
+    this.loadImages(preview, body);
+
+    preview.ignorePreviewScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+    container.scrollTop = scrollTop;
+  }
+
+  loadImages(preview, body) {
+    const base = getDirectory(preview.tab.path);
+    body.querySelectorAll('img[data-src]').forEach((img) => {
+      const path = resolveRelativePath(base, img.dataset.src.split(/[?#]/)[0]);
+      if (!preview.images.has(path)) {
+        preview.images.set(path, this.readImage(path));
+      }
+      preview.images.get(path).then((url) => {
+        if (url) img.src = url;
+        else img.classList.add('missing');
+      });
+    });
+  }
+
+  async readImage(path) {
+    const handle = await fileIndex.resolveHandle({ path, handle: null });
+    if (!handle) return null;
+    try {
+      return URL.createObjectURL(await handle.getFile());
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async handleClick(preview, e) {
+    const link = e.target.closest('a[data-href]');
+    if (!link) return;
+    e.preventDefault();
+
+    const href = link.dataset.href;
+    if (href.startsWith('#')) {
+      const target = preview.group.previewEl.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)))}"]`);
+      target?.scrollIntoView({ block: 'start' });
+      return;
+    }
+    if (ABSOLUTE_URL.test(href)) {
+      window.open(href, '_blank', 'noopener');
+      return;
+    }
+
+    const path = resolveRelativePath(getDirectory(preview.tab.path), href.split(/[?#]/)[0]);
+    const handle = await fileIndex.resolveHandle({ path, handle: null });
+    if (handle) {
+      await this.editor.openFile(handle, path);
+    } else {
+      this.editor.showStatusMessage(`File not found: ${path}`);
+    }
+  }
+
+  getBlocks(container) {
+    return [...container.querySelectorAll('.markdown-block')].map((element) => ({
+      element,
+      line: Number(element.dataset.line),
+      endLine: Number(element.dataset.lineEnd),
+    }));
+  }
+
+  // linha (fracionária) no topo do editor -> posição no preview
+  syncFromEditor(group) {
+    const preview = this.previews.get(group);
+    if (!preview?.tab || group.previewEl.classList.contains('hidden')) return;
+    if (group.editorEl.classList.contains('hidden') || Date.now() < preview.ignoreEditorScrollUntil) return;
+
+    const { view } = group;
+    const height = view.scrollDOM.getBoundingClientRect().top - view.documentTop;
+    const block = view.lineBlockAtHeight(Math.max(0, height));
+    const line = view.state.doc.lineAt(block.from).number
+      + Math.max(0, Math.min(1, (height - block.top) / Math.max(block.height, 1)));
+
+    let top = 0;
+    for (const item of this.getBlocks(group.previewEl)) {
+      if (item.line > line) break;
+      const { offsetTop, offsetHeight } = item.element;
+      const fraction = Math.min(1, (line - item.line) / Math.max(item.endLine - item.line, 1));
+      top = offsetTop + fraction * offsetHeight;
+    }
+
+    preview.ignorePreviewScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+    group.previewEl.scrollTop = top;
+  }
+
+  syncFromPreview(preview) {
+    const { group, tab } = preview;
+    if (!tab || group.editorEl.classList.contains('hidden') || Date.now() < preview.ignorePreviewScrollUntil) return;
+
+    const scrollTop = group.previewEl.scrollTop;
+    let line = 1;
+    for (const item of this.getBlocks(group.previewEl)) {
+      const { offsetTop, offsetHeight } = item.element;
+      if (offsetTop > scrollTop) break;
+      const fraction = Math.min(1, (scrollTop - offsetTop) / Math.max(offsetHeight, 1));
+      line = item.line + fraction * (item.endLine - item.line);
+    }
+
+    const { view } = group;
+    const { doc } = view.state;
+    const lineNumber = Math.min(Math.floor(line), doc.lines);
+    const block = view.lineBlockAt(doc.line(lineNumber).from);
+    const documentOffset = view.documentTop - view.scrollDOM.getBoundingClientRect().top + view.scrollDOM.scrollTop;
+
+    preview.ignoreEditorScrollUntil = Date.now() + SCROLL_SYNC_LOCK;
+    view.scrollDOM.scrollTop = documentOffset + block.top + (line - lineNumber) * block.height;
+  }
+}
+
+export const markdownPreview = new MarkdownPreview();
@@ -0,0 +1,106 @@
+import { extractSymbols, SYMBOL_ICONS } from './symbols.js';
+
+const REFRESH_DELAY = 300;
+
+class Outline {
+  constructor() {
+    this.editor = null;
+    this.symbols = [];
+    this.activeIndex = -1;
+    this.refreshTimer = null;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+
+    const list = document.getElementById('outlineList');
+    list?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-symbol-index]');
+      const symbol = this.symbols[Number(item?.dataset.symbolIndex)];
+      if (symbol) {
+        this.editor.revealRange(symbol.from, symbol.to);
+      }
+    });
+  }
+
+  isVisible() {
+    const view = document.getElementById('outlineView');
+    const sidebar = document.getElementById('sidebar');
+    return Boolean(view && !view.classList.contains('hidden') && !sidebar?.classList.contains('collapsed'));
+  }
+
+  scheduleRefresh() {
+    if (!this.isVisible()) return;
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+  }
+
+  refresh() {
+    clearTimeout(this.refreshTimer);
+    const list = document.getElementById('outlineList');
+    if (!list || !this.editor) return;
+
+    const tab = this.editor.getActiveTab();
+    const state = tab && !tab.viewer ? this.editor.view.state : null;
+    this.symbols = state ? extractSymbols(state) : [];
+    this.activeIndex = -1;
+    list.innerHTML = '';
+
+    if (!this.symbols.length) {
+      const empty = document.createElement('div');
+      empty.className = 'outline-empty';
+      empty.textContent = state ? 'No symbols found in this file.' : 'No file open.';
+      list.appendChild(empty);
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    this.symbols.forEach((symbol, index) => {
+      const item = document.createElement('div');
+      item.className = 'outline-item';
+      item.dataset.symbolIndex = String(index);
+      item.style.paddingLeft = `${8 + symbol.depth * 12}px`;
+      item.title = `${symbol.name} · Ln ${symbol.line}`;
+
+      const icon = document.createElement('span');
+      icon.className = `outline-icon outline-${symbol.kind}`;
+      icon.textContent = SYMBOL_ICONS[symbol.kind] || '•';
+
+      const name = document.createElement('span');
+      name.className = 'outline-name';
+      name.textContent = symbol.name;
+
+      const line = document.createElement('span');
+      line.className = 'outline-line';
+      line.textContent = String(symbol.line);
+
+      item.appendChild(icon);
+      item.appendChild(name);
+      item.appendChild(line);
+      fragment.appendChild(item);
+    });
+    list.appendChild(fragment);
+    this.highlightActive();
+  }
+
+  // destaca o último símbolo que começa antes do cursor
+  highlightActive() {
+    if (!this.isVisible() || !this.symbols.length || !this.editor.view) return;
+
+    const head = this.editor.view.state.selection.main.head;
+    let index = -1;
+    this.symbols.forEach((symbol, i) => {
+      if (symbol.from <= head) index = i;
+    });
+    if (index === this.activeIndex) return;
+
+    const list = document.getElementById('outlineList');
+    list.querySelector('.outline-item.active')?.classList.remove('active');
+    this.activeIndex = index;
+    const item = list.querySelector(`[data-symbol-index="${index}"]`);
+    item?.classList.add('active');
+    item?.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+export const outline = new Outline();
@@ -0,0 +1,20 @@
+// resolve um caminho relativo (de um link, src ou import) a partir de uma pasta do projeto;
+// caminhos começando com "/" partem da raiz da pasta aberta
+export function resolveRelativePath(baseDirectory, target) {
+  const parts = target.startsWith('/') ? [] : baseDirectory.split('/').filter(Boolean);
+  let decoded = target;
+  try {
+    decoded = decodeURIComponent(target);
+  } catch (err) {
+    // mantém o caminho como está
+  }
+  decoded.split('/').forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+export function getDirectory(path) {
+  return path.split('/').slice(0, -1).join('/');
+}
@@ -0,0 +1,461 @@
+import { fileTree } from './fileTree.js';
+import { fileIndex } from './fileIndex.js';
+import { createDiffLine } from './diff.js';
+import { decodeBytes, encodeText } from './encoding.js';
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_MATCHES = 5000;
+const PREVIEW_LENGTH = 160;
+
+class ProjectSearch {
+  constructor() {
+    this.editor = null;
+    this.results = [];
+    this.options = {
+      caseSensitive: false,
+      wholeWord: false,
+      regex: false,
+    };
+    this.searchToken = 0;
+    this.debounceTimer = null;
+    this.pendingReplace = null;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+    this.initPanel();
+    this.initReplacePreview();
+  }
+
+  initPanel() {
+    const queryInput = document.getElementById('searchQuery');
+    const replaceInput = document.getElementById('searchReplace');
+    const replaceAllBtn = document.getElementById('searchReplaceAllBtn');
+    const results = document.getElementById('searchResults');
+
+    if (!queryInput || !results) return;
+
+    queryInput.addEventListener('input', () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(() => this.run(), 300);
+    });
+
+    queryInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(this.debounceTimer);
+        this.run();
+      }
+    });
+
+    document.querySelectorAll('[data-search-option]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const option = btn.dataset.searchOption;
+        this.options[option] = !this.options[option];
+        btn.classList.toggle('active', this.options[option]);
+        this.run();
+      });
+    });
+
+    replaceInput?.addEventListener('keydown', async (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        await this.previewReplaceAll();
+      }
+    });
+
+    replaceAllBtn?.addEventListener('click', async () => {
+      await this.previewReplaceAll();
+    });
+
+    results.addEventListener('click', async (e) => {
+      const matchEl = e.target.closest('[data-match-index]');
+      if (matchEl) {
+        const fileResult = this.results[Number(matchEl.dataset.fileIndex)];
+        const match = fileResult?.matches[Number(matchEl.dataset.matchIndex)];
+        const handle = fileResult && match ? await fileIndex.resolveHandle(fileResult) : null;
+        if (handle) {
+          await this.editor.openFile(handle, fileResult.path, {
+            line: match.line,
+            column: match.column,
+            length: match.length,
+          });
+        }
+        return;
+      }
+
+      const headerEl = e.target.closest('.search-file-header');
+      if (headerEl) {
+        headerEl.parentElement.classList.toggle('collapsed');
+      }
+    });
+  }
+
+  showResults(results, summary) {
+    clearTimeout(this.debounceTimer);
+    this.searchToken += 1;
+    this.results = results;
+    this.renderResults();
+    this.renderSummary(summary);
+  }
+
+  focus() {
+    const queryInput = document.getElementById('searchQuery');
+    if (!queryInput) return;
+
+    const selection = this.editor?.view?.state.selection.main;
+    if (selection && !selection.empty) {
+      const text = this.editor.view.state.sliceDoc(selection.from, selection.to);
+      if (!text.includes('\n')) {
+        queryInput.value = text;
+      }
+    }
+
+    queryInput.focus();
+    queryInput.select();
+    if (queryInput.value) {
+      this.run();
+    }
+  }
+
+  buildMatcher(query, { caseSensitive, wholeWord, regex } = this.options) {
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  }
+
+  findMatchesInLine(lineText, matcher) {
+    const matches = [];
+    matcher.lastIndex = 0;
+
+    let result = matcher.exec(lineText);
+    while (result) {
+      if (result[0].length === 0) {
+        matcher.lastIndex += 1;
+      } else {
+        matches.push({ index: result.index, length: result[0].length });
+      }
+      if (matcher.lastIndex > lineText.length) break;
+      result = matcher.exec(lineText);
+    }
+
+    return matches;
+  }
+
+  async readFileContent(fileEntry) {
+    const openTab = this.editor?.getTabByPath(fileEntry.path);
+    if (openTab && !openTab.viewer) {
+      return openTab.state.doc.toString();
+    }
+
+    const handle = await fileIndex.resolveHandle(fileEntry);
+    if (!handle) return null;
+
+    const file = await handle.getFile();
+    if (file.size > MAX_FILE_SIZE) return null;
+
+    const { text: content } = decodeBytes(await file.arrayBuffer());
+    if (content.slice(0, 8000).includes('\u0000')) return null;
+    return content;
+  }
+
+  async searchFiles(query, options = this.options, token = this.searchToken) {
+    const matcher = this.buildMatcher(query, options);
+    const files = await fileTree.getAllFiles();
+    const results = [];
+    let total = 0;
+
+    for (const fileEntry of files) {
+      if (token !== this.searchToken || total >= MAX_MATCHES) break;
+
+      let content;
+      try {
+        content = await this.readFileContent(fileEntry);
+      } catch (err) {
+        console.warn(`Cannot search ${fileEntry.path}:`, err);
+        continue;
+      }
+      if (content === null) continue;
+
+      const matches = [];
+      content.split('\n').forEach((rawLine, lineIdx) => {
+        const lineText = rawLine.replace(/\r$/, '');
+        this.findMatchesInLine(lineText, matcher).forEach((match) => {
+          matches.push({
+            line: lineIdx + 1,
+            column: match.index + 1,
+            length: match.length,
+            preview: lineText,
+          });
+        });
+      });
+
+      // entradas vindas do cache do índice não têm handle; o texto pode ter vindo de uma aba aberta
+      const handle = matches.length ? await fileIndex.resolveHandle(fileEntry) : null;
+      if (handle) {
+        total += matches.length;
+        results.push({ path: fileEntry.path, name: fileEntry.name, handle, matches });
+      }
+    }
+
+    return { results, total, truncated: total >= MAX_MATCHES };
+  }
+
+  async run() {
+    const queryInput = document.getElementById('searchQuery');
+    const query = queryInput?.value || '';
+    const token = ++this.searchToken;
+
+    if (!query) {
+      this.results = [];
+      this.renderResults();
+      this.renderSummary('');
+      return;
+    }
+
+    let outcome;
+    try {
+      this.renderSummary('Searching...');
+      outcome = await this.searchFiles(query, this.options, token);
+    } catch (err) {
+      if (token !== this.searchToken) return;
+      this.results = [];
+      this.renderResults();
+      this.renderSummary(err instanceof SyntaxError ? `Invalid regular expression: ${err.message}` : 'Search failed.');
+      return;
+    }
+
+    if (token !== this.searchToken) return;
+
+    this.results = outcome.results;
+    this.renderResults();
+
+    if (!outcome.total) {
+      this.renderSummary('No results found.');
+      return;
+    }
+
+    const fileCount = outcome.results.length;
+    const summary = `${outcome.total} result${outcome.total === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}`;
+    this.renderSummary(outcome.truncated ? `${summary} (truncated)` : summary);
+  }
+
+  renderSummary(text) {
+    const summaryEl = document.getElementById('searchSummary');
+    if (summaryEl) {
+      summaryEl.textContent = text;
+    }
+  }
+
+  renderResults() {
+    const container = document.getElementById('searchResults');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    this.results.forEach((fileResult, fileIndex) => {
+      const group = document.createElement('div');
+      group.className = 'search-file';
+
+      const header = document.createElement('div');
+      header.className = 'search-file-header';
+      header.title = fileResult.path;
+
+      const name = document.createElement('span');
+      name.className = 'search-file-name';
+      name.textContent = fileResult.name;
+
+      const dir = document.createElement('span');
+      dir.className = 'search-file-dir';
+      dir.textContent = fileResult.path.includes('/')
+        ? fileResult.path.slice(0, fileResult.path.lastIndexOf('/'))
+        : '';
+
+      const count = document.createElement('span');
+      count.className = 'search-file-count';
+      count.textContent = String(fileResult.matches.length);
+
+      header.appendChild(name);
+      header.appendChild(dir);
+      header.appendChild(count);
+      group.appendChild(header);
+
+      const list = document.createElement('div');
+      list.className = 'search-matches';
+
+      fileResult.matches.forEach((match, matchIndex) => {
+        const item = document.createElement('div');
+        item.className = 'search-match';
+        item.dataset.fileIndex = String(fileIndex);
+        item.dataset.matchIndex = String(matchIndex);
+        item.title = `${fileResult.path}:${match.line}:${match.column}`;
+        this.appendPreview(item, match);
+        list.appendChild(item);
+      });
+
+      group.appendChild(list);
+      container.appendChild(group);
+    });
+  }
+
+  appendPreview(item, match) {
+    const start = Math.max(0, match.column - 1 - 40);
+    const before = match.preview.slice(start, match.column - 1);
+    const hit = match.preview.slice(match.column - 1, match.column - 1 + match.length);
+    const after = match.preview.slice(match.column - 1 + match.length, start + PREVIEW_LENGTH);
+
+    const lineNumber = document.createElement('span');
+    lineNumber.className = 'search-match-line';
+    lineNumber.textContent = String(match.line);
+
+    const highlight = document.createElement('mark');
+    highlight.textContent = hit;
+
+    item.appendChild(lineNumber);
+    item.appendChild(document.createTextNode(`${start > 0 ? '…' : ''}${before.trimStart()}`));
+    item.appendChild(highlight);
+    item.appendChild(document.createTextNode(after));
+  }
+
+  computeReplacement(content, matcher, replacement, regex = this.options.regex) {
+    const replaceWith = regex ? replacement : replacement.replace(/\$/g, '$$$$');
+    const changes = [];
+    const lines = content.split('\n').map((rawLine, lineIdx) => {
+      const hasCarriageReturn = rawLine.endsWith('\r');
+      const lineText = hasCarriageReturn ? rawLine.slice(0, -1) : rawLine;
+      matcher.lastIndex = 0;
+      const nextLine = lineText.replace(matcher, replaceWith);
+      if (nextLine !== lineText) {
+        changes.push({ line: lineIdx + 1, before: lineText, after: nextLine });
+      }
+      return hasCarriageReturn ? `${nextLine}\r` : nextLine;
+    });
+
+    return { content: lines.join('\n'), changes };
+  }
+
+  async previewReplaceAll() {
+    const query = document.getElementById('searchQuery')?.value || '';
+    const replacement = document.getElementById('searchReplace')?.value || '';
+    if (!query || !this.results.length) return;
+
+    let matcher;
+    try {
+      matcher = this.buildMatcher(query, this.options);
+    } catch (err) {
+      this.renderSummary(`Invalid regular expression: ${err.message}`);
+      return;
+    }
+
+    const edits = [];
+    for (const fileResult of this.results) {
+      try {
+        const original = await this.readFileContent(fileResult);
+        if (original === null) continue;
+        const { content, changes } = this.computeReplacement(original, matcher, replacement);
+        if (changes.length) {
+          edits.push({ ...fileResult, content, changes });
+        }
+      } catch (err) {
+        console.warn(`Cannot prepare replace for ${fileResult.path}:`, err);
+      }
+    }
+
+    if (!edits.length) return;
+
+    this.pendingReplace = edits;
+    this.renderReplacePreview(edits);
+    document.getElementById('replacePreviewOverlay')?.classList.remove('hidden');
+  }
+
+  initReplacePreview() {
+    const overlay = document.getElementById('replacePreviewOverlay');
+    if (!overlay) return;
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.closeReplacePreview();
+      }
+    });
+
+    document.getElementById('replacePreviewCancel')?.addEventListener('click', () => {
+      this.closeReplacePreview();
+    });
+
+    document.getElementById('replacePreviewConfirm')?.addEventListener('click', async () => {
+      const edits = this.pendingReplace || [];
+      this.closeReplacePreview();
+      await this.applyReplaceAll(edits);
+    });
+  }
+
+  renderReplacePreview(edits) {
+    const title = document.getElementById('replacePreviewTitle');
+    const body = document.getElementById('replacePreviewBody');
+    if (!body) return;
+
+    const changeCount = edits.reduce((sum, edit) => sum + edit.changes.length, 0);
+    if (title) {
+      title.textContent = `Replace ${changeCount} line${changeCount === 1 ? '' : 's'} in ${edits.length} file${edits.length === 1 ? '' : 's'}?`;
+    }
+
+    body.innerHTML = '';
+    edits.forEach((edit) => {
+      const fileEl = document.createElement('div');
+      fileEl.className = 'diff-file';
+
+      const header = document.createElement('div');
+      header.className = 'diff-file-header';
+      header.textContent = edit.path;
+      fileEl.appendChild(header);
+
+      edit.changes.forEach((change) => {
+        fileEl.appendChild(createDiffLine('removed', change.line, change.before));
+        fileEl.appendChild(createDiffLine('added', change.line, change.after));
+      });
+
+      body.appendChild(fileEl);
+    });
+  }
+
+  closeReplacePreview() {
+    this.pendingReplace = null;
+    document.getElementById('replacePreviewOverlay')?.classList.add('hidden');
+  }
+
+  async applyReplaceAll(edits) {
+    let failed = 0;
+
+    for (const edit of edits) {
+      try {
+        const openTab = this.editor?.getTabByPath(edit.path);
+        if (openTab) {
+          const wasDirty = openTab.dirty;
+          this.editor.replaceTabContent(openTab, edit.content);
+          if (!wasDirty) {
+            await this.editor.saveTab(openTab);
+          }
+        } else {
+          const handle = await fileIndex.resolveHandle(edit);
+          if (!handle) throw new Error(`File not found: ${edit.path}`);
+          const { encoding } = decodeBytes(await (await handle.getFile()).arrayBuffer());
+          const writable = await handle.createWritable();
+          await writable.write(encodeText(edit.content, encoding).bytes);
+          await writable.close();
+        }
+      } catch (err) {
+        failed += 1;
+        console.error(`Error replacing in ${edit.path}:`, err);
+      }
+    }
+
+    await this.run();
+    if (failed) {
+      this.renderSummary(`Replace failed in ${failed} file${failed === 1 ? '' : 's'}.`);
+    }
+  }
+}
+
+export const projectSearch = new ProjectSearch();
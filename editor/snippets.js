@@ -0,0 +1,494 @@
+import { EditorState, StateEffect, StateField } from '@codemirror/state';
+import { ViewPlugin } from '@codemirror/view';
+import { indentUnit } from '@codemirror/language';
+import { snippet, startCompletion, hasNextSnippetField, hasPrevSnippetField } from '@codemirror/autocomplete';
+import { fileSystem } from './fileSystem.js';
+import { stripJsonc } from './jsonc.js';
+import { BUILTIN_SNIPPETS } from './builtinSnippets.js';
+
+// mesmas extensões de LANGUAGE_EXTENSIONS, com os ids de linguagem do VS Code
+const SNIPPET_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascriptreact',
+  ts: 'typescript',
+  tsx: 'typescriptreact',
+  html: 'html',
+  htm: 'html',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  py: 'python',
+  python: 'python',
+  json: 'json',
+  md: 'markdown',
+  mdx: 'markdown',
+  sql: 'sql',
+};
+
+// linguagens que também recebem os snippets de outra
+const INHERITED_LANGUAGES = {
+  javascriptreact: ['javascript'],
+  typescript: ['javascript'],
+  typescriptreact: ['javascript', 'typescript', 'javascriptreact'],
+  scss: ['css'],
+  less: ['css'],
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export function getSnippetLanguage(path) {
+  const ext = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+  return SNIPPET_LANGUAGES[ext] || null;
+}
+
+export function parseSnippetFile(fileName, text) {
+  const data = JSON.parse(stripJsonc(text));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('A snippets file must contain a JSON object');
+  }
+  return readSnippetDefinitions(fileName, data);
+}
+
+function readSnippetDefinitions(fileName, data) {
+  const fileLanguage = fileName.endsWith('.code-snippets') ? null : fileName.replace(/\.json$/i, '');
+  return Object.entries(data)
+    .filter(([, definition]) => definition && definition.body !== undefined)
+    .map(([name, definition]) => {
+      const prefixes = [].concat(definition.prefix ?? []).filter((prefix) => typeof prefix === 'string' && prefix);
+      const scope = typeof definition.scope === 'string'
+        ? definition.scope.split(',').map((language) => language.trim()).filter(Boolean)
+        : [];
+      return {
+        name,
+        prefixes,
+        body: [].concat(definition.body).join('\n'),
+        description: definition.description || '',
+        languages: fileLanguage ? [fileLanguage] : scope,
+        source: fileName,
+      };
+    });
+}
+
+// Converte a sintaxe do VS Code (tab-stops, placeholders, escolhas e variáveis)
+// em texto puro mais a lista de campos com suas posições nesse texto.
+export function parseSnippetBody(body, resolveVariable) {
+  const source = body.replace(/\r\n?/g, '\n');
+  const fields = [];
+  let text = '';
+  let pos = 0;
+  let depth = 0;
+
+  const skipTransform = () => {
+    let depth = 0;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (ch === '{') depth += 1;
+      if (ch === '}') {
+        if (!depth) {
+          pos += 1;
+          return;
+        }
+        depth -= 1;
+      }
+      pos += 1;
+    }
+  };
+
+  const parseDollar = () => {
+    const rest = source.slice(pos);
+    let m = /^\$(\d+)/.exec(rest) || /^\$\{(\d+)\}/.exec(rest);
+    if (m) {
+      fields.push({ index: Number(m[1]), from: text.length, to: text.length, depth });
+      pos += m[0].length;
+      return true;
+    }
+
+    if ((m = /^\$\{(\d+):/.exec(rest))) {
+      pos += m[0].length;
+      const field = { index: Number(m[1]), from: text.length, to: text.length, depth };
+      fields.push(field);
+      depth += 1;
+      parseText(true);
+      depth -= 1;
+      pos += 1;
+      field.to = text.length;
+      return true;
+    }
+
+    if ((m = /^\$\{(\d+)\|((?:\\.|[^|\\])*)\|\}/.exec(rest))) {
+      const options = m[2].split(/(?<!\\),/).map((option) => option.replace(/\\(.)/g, '$1'));
+      fields.push({ index: Number(m[1]), from: text.length, to: text.length + options[0].length, depth, options });
+      text += options[0];
+      pos += m[0].length;
+      return true;
+    }
+
+    // transformações com regex não são suportadas: viram espelho do campo
+    if ((m = /^\$\{(\d+)\//.exec(rest))) {
+      pos += m[0].length;
+      skipTransform();
+      fields.push({ index: Number(m[1]), from: text.length, to: text.length, depth });
+      return true;
+    }
+
+    if ((m = /^\$([A-Za-z_]\w*)/.exec(rest) || /^\$\{([A-Za-z_]\w*)\}/.exec(rest))) {
+      text += resolveVariable(m[1]) ?? m[1];
+      pos += m[0].length;
+      return true;
+    }
+
+    if ((m = /^\$\{([A-Za-z_]\w*):/.exec(rest))) {
+      pos += m[0].length;
+      const value = resolveVariable(m[1]);
+      const start = text.length;
+      const fieldCount = fields.length;
+      parseText(true);
+      pos += 1;
+      if (value) {
+        text = text.slice(0, start) + value;
+        fields.length = fieldCount;
+      }
+      return true;
+    }
+
+    if ((m = /^\$\{([A-Za-z_]\w*)\//.exec(rest))) {
+      pos += m[0].length;
+      skipTransform();
+      text += resolveVariable(m[1]) ?? '';
+      return true;
+    }
+
+    return false;
+  };
+
+  const parseText = (nested) => {
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\\' && /[$}\\]/.test(source[pos + 1] || '')) {
+        text += source[pos + 1];
+        pos += 2;
+        continue;
+      }
+      if (nested && ch === '}') return;
+      if (ch === '$' && parseDollar()) continue;
+      text += ch;
+      pos += 1;
+    }
+  };
+
+  parseText(false);
+  return { text, fields };
+}
+
+// Monta o template do CodeMirror. Campos aninhados não existem lá, então só os
+// externos viram campos; $0 vira o último campo, como no VS Code.
+function toTemplate({ text, fields }) {
+  const outer = fields.filter((field) => !field.depth).sort((a, b) => a.from - b.from);
+
+  const last = Math.max(0, ...fields.map((field) => field.index));
+  const defaults = new Map();
+  fields.forEach((field) => {
+    if (field.to > field.from && !defaults.has(field.index)) {
+      defaults.set(field.index, text.slice(field.from, field.to));
+    }
+  });
+
+  const escape = (value) => value.replace(/[{}]/g, '\\$&');
+  const choices = [];
+  let template = '';
+  let plain = '';
+  let cursor = 0;
+
+  outer.forEach((field) => {
+    const segment = text.slice(cursor, field.from);
+    template += escape(segment);
+    plain += segment;
+
+    const raw = field.to > field.from ? text.slice(field.from, field.to) : defaults.get(field.index) || '';
+    const value = raw.replace(/[{}]/g, '').replace(/\n/g, ' ');
+    if (field.options) {
+      const lineStart = plain.lastIndexOf('\n') + 1;
+      choices.push({
+        line: plain.split('\n').length - 1,
+        from: plain.length - lineStart,
+        to: plain.length - lineStart + value.length,
+        options: field.options,
+      });
+    }
+
+    const seq = field.index === 0 ? last + 1 : field.index;
+    template += value ? `\${${seq}:${value}}` : `\${${seq}}`;
+    plain += value;
+    cursor = field.to;
+  });
+
+  template += escape(text.slice(cursor));
+  plain += text.slice(cursor);
+  if (outer.length && !fields.some((field) => field.index === 0)) {
+    template += `\${${last + 1}}`;
+  }
+
+  return { template, lines: plain.split('\n'), choices };
+}
+
+// reproduz a indentação aplicada pelo snippet() para achar os campos de escolha no documento
+function placeChoices(state, from, lines, choices) {
+  const baseIndent = /^\s*/.exec(state.doc.lineAt(from).text)[0];
+  const unit = state.facet(indentUnit);
+  const lineStarts = [from];
+  let pos = from;
+
+  lines.forEach((line, index) => {
+    let text = line;
+    if (index > 0) {
+      const tabs = /^\t*/.exec(line)[0].length;
+      const indent = baseIndent + unit.repeat(tabs);
+      lineStarts.push(pos + indent.length - tabs);
+      text = indent + line.slice(tabs);
+    }
+    pos += text.length + 1;
+  });
+
+  return choices.map((choice) => ({
+    from: lineStarts[choice.line] + choice.from,
+    to: lineStarts[choice.line] + choice.to,
+    options: choice.options,
+  }));
+}
+
+const setChoiceFields = StateEffect.define();
+
+const choiceFields = StateField.define({
+  create: () => [],
+  update(fields, tr) {
+    for (const effect of tr.effects) {
+      if (effect.is(setChoiceFields)) return effect.value;
+    }
+    if (!fields.length) return fields;
+    if (!hasNextSnippetField(tr.state) && !hasPrevSnippetField(tr.state)) return [];
+    if (!tr.docChanged) return fields;
+    return fields.map((field) => ({
+      ...field,
+      from: tr.changes.mapPos(field.from, -1),
+      to: tr.changes.mapPos(field.to, 1),
+    }));
+  },
+});
+
+function findChoiceField(state) {
+  const { main } = state.selection;
+  return state.field(choiceFields, false)?.find((field) => field.from === main.from && field.to === main.to) || null;
+}
+
+// abre a lista de escolhas quando o Tab chega a um campo ${1|a,b|}
+const choicePopup = ViewPlugin.fromClass(class {
+  update(update) {
+    const placed = update.transactions.some((tr) => tr.effects.some((effect) => effect.is(setChoiceFields)));
+    if ((!update.selectionSet && !placed) || !findChoiceField(update.state)) return;
+    setTimeout(() => startCompletion(update.view));
+  }
+});
+
+function completeChoices(context) {
+  const field = findChoiceField(context.state);
+  if (!field) return null;
+  return {
+    from: field.from,
+    to: field.to,
+    filter: false,
+    options: field.options.map((option, index) => ({ label: option || '(empty)', apply: option, type: 'enum', boost: 99 - index })),
+  };
+}
+
+class Snippets {
+  constructor() {
+    this.editor = null;
+    this.builtin = Object.entries(BUILTIN_SNIPPETS)
+      .flatMap(([language, definitions]) => readSnippetDefinitions(`${language}.json`, definitions))
+      .map((entry) => ({ ...entry, source: 'built-in' }));
+    this.userFiles = {};
+    this.user = [];
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+    this.load();
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.userSnippets) {
+        this.setUserFiles(changes.userSnippets.newValue || {});
+      }
+    });
+  }
+
+  load() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['userSnippets'], (result) => {
+        this.setUserFiles(result.userSnippets || {});
+        resolve();
+      });
+    });
+  }
+
+  setUserFiles(files) {
+    this.userFiles = files;
+    this.user = Object.entries(files).flatMap(([fileName, text]) => {
+      try {
+        return parseSnippetFile(fileName, text);
+      } catch (err) {
+        console.warn(`Invalid snippets file ${fileName}:`, err);
+        return [];
+      }
+    });
+  }
+
+  saveUserFiles(files) {
+    this.setUserFiles(files);
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ userSnippets: files }, resolve);
+    });
+  }
+
+  getUserFileNames() {
+    return Object.keys(this.userFiles).sort();
+  }
+
+  // valida e guarda arquivos .json/.code-snippets; devolve quantos snippets foram lidos
+  async importFiles(files) {
+    const next = { ...this.userFiles };
+    let count = 0;
+    for (const { name, text } of files) {
+      count += parseSnippetFile(name, text).length;
+      next[name] = text;
+    }
+    await this.saveUserFiles(next);
+    return count;
+  }
+
+  async removeFile(fileName) {
+    const next = { ...this.userFiles };
+    delete next[fileName];
+    await this.saveUserFiles(next);
+  }
+
+  getSnippets(language) {
+    const languages = language ? [language, ...(INHERITED_LANGUAGES[language] || [])] : [];
+    const matches = (entry) => !entry.languages.length || entry.languages.some((id) => languages.includes(id));
+    // snippets do usuário vêm primeiro e substituem os embutidos com o mesmo prefixo
+    const user = this.user.filter(matches);
+    const userPrefixes = new Set(user.flatMap((entry) => entry.prefixes));
+    const builtin = this.builtin.filter((entry) => matches(entry) && !entry.prefixes.some((prefix) => userPrefixes.has(prefix)));
+    return [...user, ...builtin];
+  }
+
+  getExtensions() {
+    return [
+      choiceFields,
+      choicePopup,
+      EditorState.languageData.of(() => [
+        { autocomplete: completeChoices },
+        { autocomplete: (context) => this.completeSnippets(context) },
+      ]),
+    ];
+  }
+
+  getTab(view) {
+    return this.editor?.getGroupForView(view)?.activeTab || null;
+  }
+
+  completeSnippets(context) {
+    const tab = context.view && this.getTab(context.view);
+    const word = context.matchBefore(/[\w$!-]+/);
+    if (!tab || (!word && !context.explicit) || findChoiceField(context.state)) return null;
+
+    const options = [];
+    this.getSnippets(getSnippetLanguage(tab.path)).forEach((entry) => {
+      entry.prefixes.forEach((prefix) => {
+        options.push({
+          label: prefix,
+          detail: entry.name,
+          info: entry.description || entry.body,
+          type: 'snippet',
+          apply: (view, completion, from, to) => this.insert(view, entry, { from, to, completion }),
+        });
+      });
+    });
+    if (!options.length) return null;
+
+    return { from: word ? word.from : context.pos, options, validFor: /^[\w$!-]*$/ };
+  }
+
+  resolveVariable(name, { state, tab, from, selection }) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const line = state.doc.lineAt(from);
+    const comments = state.languageDataAt('commentTokens', from)[0] || {};
+    const fileName = tab?.name || '';
+    const path = tab?.path || '';
+
+    switch (name) {
+      case 'TM_SELECTED_TEXT': return selection;
+      case 'TM_CURRENT_LINE': return line.text;
+      case 'TM_CURRENT_WORD': {
+        const word = state.wordAt(from);
+        return word ? state.sliceDoc(word.from, word.to) : '';
+      }
+      case 'TM_LINE_INDEX': return String(line.number - 1);
+      case 'TM_LINE_NUMBER': return String(line.number);
+      case 'TM_FILENAME': return fileName;
+      case 'TM_FILENAME_BASE': return fileName.includes('.') ? fileName.slice(0, fileName.lastIndexOf('.')) : fileName;
+      case 'TM_DIRECTORY': return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+      case 'TM_FILEPATH':
+      case 'RELATIVE_FILEPATH': return path;
+      case 'WORKSPACE_NAME': return fileSystem.rootHandle?.name || '';
+      case 'CLIPBOARD': return '';
+      case 'CURRENT_YEAR': return String(now.getFullYear());
+      case 'CURRENT_YEAR_SHORT': return String(now.getFullYear()).slice(-2);
+      case 'CURRENT_MONTH': return pad(now.getMonth() + 1);
+      case 'CURRENT_MONTH_NAME': return MONTH_NAMES[now.getMonth()];
+      case 'CURRENT_MONTH_NAME_SHORT': return MONTH_NAMES[now.getMonth()].slice(0, 3);
+      case 'CURRENT_DATE': return pad(now.getDate());
+      case 'CURRENT_DAY_NAME': return DAY_NAMES[now.getDay()];
+      case 'CURRENT_DAY_NAME_SHORT': return DAY_NAMES[now.getDay()].slice(0, 3);
+      case 'CURRENT_HOUR': return pad(now.getHours());
+      case 'CURRENT_MINUTE': return pad(now.getMinutes());
+      case 'CURRENT_SECOND': return pad(now.getSeconds());
+      case 'CURRENT_SECONDS_UNIX': return String(Math.floor(now.getTime() / 1000));
+      case 'RANDOM': return String(Math.floor(Math.random() * 1e6)).padStart(6, '0');
+      case 'RANDOM_HEX': return Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0');
+      case 'UUID': return crypto.randomUUID();
+      case 'LINE_COMMENT': return comments.line || '';
+      case 'BLOCK_COMMENT_START': return comments.block?.open || '';
+      case 'BLOCK_COMMENT_END': return comments.block?.close || '';
+      default: return undefined;
+    }
+  }
+
+  // sem from/to, substitui a seleção atual (que vira $TM_SELECTED_TEXT)
+  insert(view, entry, { from = null, to = null, completion = null } = {}) {
+    const { main } = view.state.selection;
+    const start = from ?? main.from;
+    const end = to ?? main.to;
+    const context = {
+      state: view.state,
+      tab: this.getTab(view),
+      from: start,
+      selection: from === null ? view.state.sliceDoc(main.from, main.to) : '',
+    };
+
+    const parsed = parseSnippetBody(entry.body, (name) => this.resolveVariable(name, context));
+    const { template, lines, choices } = toTemplate(parsed);
+    const state = view.state;
+    snippet(template)(view, completion, start, end);
+
+    if (choices.length) {
+      view.dispatch({ effects: setChoiceFields.of(placeChoices(state, start, lines, choices)) });
+    }
+  }
+}
+
+export const snippets = new Snippets();
@@ -0,0 +1,143 @@
+import { syntaxTree, ensureSyntaxTree } from '@codemirror/language';
+
+const MAX_SYMBOLS = 5000;
+
+export const SYMBOL_ICONS = {
+  function: 'ƒ',
+  method: 'ƒ',
+  class: '◆',
+  interface: '◇',
+  type: 'T',
+  enum: 'E',
+  property: '▪',
+  variable: '▫',
+  selector: '#',
+  atRule: '@',
+  heading: '¶',
+  key: '▸',
+};
+
+const JS_DECLARATIONS = {
+  FunctionDeclaration: { nameNode: 'VariableDefinition', kind: 'function' },
+  ClassDeclaration: { nameNode: 'VariableDefinition', kind: 'class', container: true },
+  MethodDeclaration: { nameNode: 'PropertyDefinition', kind: 'method' },
+  PropertyDeclaration: { nameNode: 'PropertyDefinition', kind: 'property' },
+  InterfaceDeclaration: { nameNode: 'TypeDefinition', kind: 'interface', container: true },
+  TypeAliasDeclaration: { nameNode: 'TypeDefinition', kind: 'type' },
+  EnumDeclaration: { nameNode: 'TypeDefinition', kind: 'enum' },
+};
+
+const PYTHON_DECLARATIONS = {
+  ClassDefinition: { kind: 'class', container: true },
+  FunctionDefinition: { kind: 'function', container: true },
+};
+
+const TOP_LEVEL_PARENTS = new Set(['Script', 'ExportDeclaration']);
+const FUNCTION_VALUES = new Set(['ArrowFunction', 'FunctionExpression']);
+
+function text(state, node) {
+  return state.sliceDoc(node.from, node.to);
+}
+
+function describeNode(node, state, parentKind) {
+  const { name } = node.type;
+
+  const jsDecl = JS_DECLARATIONS[name];
+  if (jsDecl) {
+    const nameNode = node.getChild(jsDecl.nameNode);
+    return [{
+      name: nameNode ? text(state, nameNode) : 'default',
+      kind: jsDecl.kind,
+      node: nameNode || node,
+      container: Boolean(jsDecl.container),
+    }];
+  }
+
+  if (name === 'VariableDeclaration' && TOP_LEVEL_PARENTS.has(node.parent?.type.name)) {
+    const symbols = [];
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.type.name !== 'VariableDefinition') continue;
+      const value = child.nextSibling?.type.name === 'Equals' ? child.nextSibling.nextSibling : null;
+      symbols.push({
+        name: text(state, child),
+        kind: value && FUNCTION_VALUES.has(value.type.name) ? 'function' : 'variable',
+        node: child,
+      });
+    }
+    return symbols;
+  }
+
+  const pyDecl = PYTHON_DECLARATIONS[name];
+  if (pyDecl && node.getChild('Body')) {
+    const nameNode = node.getChild('VariableName');
+    if (!nameNode) return [];
+    return [{
+      name: text(state, nameNode),
+      kind: pyDecl.kind === 'function' && parentKind === 'class' ? 'method' : pyDecl.kind,
+      node: nameNode,
+      container: pyDecl.container,
+    }];
+  }
+
+  if (name === 'AssignStatement' && node.parent?.type.name === 'Script') {
+    const target = node.firstChild;
+    if (target?.type.name !== 'VariableName') return [];
+    return [{ name: text(state, target), kind: 'variable', node: target }];
+  }
+
+  const isAtRule = name.endsWith('Statement') && node.getChild('Block') && state.sliceDoc(node.from, node.from + 1) === '@';
+  if (name === 'RuleSet' || isAtRule) {
+    const block = node.getChild('Block');
+    const label = state.sliceDoc(node.from, block ? block.from : node.to).replace(/\s+/g, ' ').trim();
+    if (!label) return [];
+    return [{ name: label, kind: name === 'RuleSet' ? 'selector' : 'atRule', node, container: name !== 'RuleSet' }];
+  }
+
+  const heading = /^(?:ATXHeading(\d)|SetextHeading(\d))$/.exec(name);
+  if (heading) {
+    const level = Number(heading[1] || heading[2]);
+    const label = text(state, node)
+      .replace(/^#+\s*/, '')
+      .replace(/\s*#*\s*$/, '')
+      .replace(/\n[=-]+\s*$/, '')
+      .trim();
+    return [{ name: label, kind: 'heading', node, level }];
+  }
+
+  if (name === 'Property' && node.parent?.type.name === 'Object') {
+    const key = node.getChild('PropertyName');
+    if (!key) return [];
+    return [{ name: text(state, key).replace(/^"|"$/g, ''), kind: 'key', node: key, container: true }];
+  }
+
+  return [];
+}
+
+export function extractSymbols(state, { timeout = 200 } = {}) {
+  const tree = ensureSyntaxTree(state, state.doc.length, timeout) || syntaxTree(state);
+  const symbols = [];
+
+  const walk = (node, depth, parentKind) => {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (symbols.length >= MAX_SYMBOLS) return;
+
+      const described = describeNode(child, state, parentKind);
+      described.forEach((symbol) => {
+        symbols.push({
+          name: symbol.name,
+          kind: symbol.kind,
+          from: symbol.node.from,
+          to: symbol.node.to,
+          line: state.doc.lineAt(symbol.node.from).number,
+          depth: symbol.level ? symbol.level - 1 : depth,
+        });
+      });
+
+      const container = described.find((symbol) => symbol.container);
+      walk(child, container ? depth + 1 : depth, container ? container.kind : parentKind);
+    }
+  };
+
+  walk(tree.topNode, 0, null);
+  return symbols;
+}
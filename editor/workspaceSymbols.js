@@ -0,0 +1,673 @@
+import { jsxLanguage, typescriptLanguage, tsxLanguage } from '@codemirror/lang-javascript';
+import { fileTree } from './fileTree.js';
+import { fileIndex } from './fileIndex.js';
+import { fileSystem } from './fileSystem.js';
+import { decodeBytes } from './encoding.js';
+import { fuzzyMatch } from './fuzzy.js';
+
+const MAX_FILE_SIZE = 1024 * 1024;
+const RECHECK_INTERVAL = 5000;
+const YIELD_EVERY = 25;
+const MAX_RESULTS = 200;
+const MAX_REEXPORT_DEPTH = 8;
+
+const PARSERS = {
+  js: jsxLanguage.parser,
+  jsx: jsxLanguage.parser,
+  mjs: jsxLanguage.parser,
+  cjs: jsxLanguage.parser,
+  ts: typescriptLanguage.parser,
+  mts: typescriptLanguage.parser,
+  cts: typescriptLanguage.parser,
+  tsx: tsxLanguage.parser,
+};
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+const DECLARATIONS = {
+  FunctionDeclaration: { nameNode: 'VariableDefinition', kind: 'function' },
+  ClassDeclaration: { nameNode: 'VariableDefinition', kind: 'class' },
+  InterfaceDeclaration: { nameNode: 'TypeDefinition', kind: 'interface' },
+  TypeAliasDeclaration: { nameNode: 'TypeDefinition', kind: 'type' },
+  EnumDeclaration: { nameNode: 'TypeDefinition', kind: 'enum' },
+};
+
+const MEMBER_DECLARATIONS = {
+  MethodDeclaration: 'method',
+  PropertyDeclaration: 'property',
+};
+
+const IDENTIFIERS = new Set(['VariableName', 'VariableDefinition', 'TypeName', 'TypeDefinition']);
+const MEMBER_IDENTIFIERS = new Set(['PropertyName', 'PropertyDefinition']);
+const SCOPES = new Set([
+  'Script',
+  'Block',
+  'ArrowFunction',
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'MethodDeclaration',
+  'ClassBody',
+  'ForStatement',
+  'CatchClause',
+]);
+const FUNCTION_VALUES = new Set(['ArrowFunction', 'FunctionExpression']);
+
+function getExtension(path) {
+  const name = path.split('/').pop();
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+export function isScriptFile(path) {
+  return Boolean(PARSERS[getExtension(path)]);
+}
+
+export function parseScript(path, text) {
+  const parser = PARSERS[getExtension(path)] || jsxLanguage.parser;
+  return parser.parse(text);
+}
+
+function normalizePath(path) {
+  const parts = [];
+  path.split('/').forEach((part) => {
+    if (!part || part === '.') return;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+function unquote(value) {
+  return value.replace(/^['"`]|['"`]$/g, '');
+}
+
+function createLineIndex(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+function locate(lineStarts, pos) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= pos) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return { line: low + 1, column: pos - lineStarts[low] + 1 };
+}
+
+function hasKeyword(node, keyword) {
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.type.name === keyword) return true;
+  }
+  return false;
+}
+
+// pares "nome [as alias]" de ImportGroup/ExportGroup
+function readSpecifiers(group, slice) {
+  const specifiers = [];
+  for (let child = group.firstChild; child; child = child.nextSibling) {
+    if (!IDENTIFIERS.has(child.type.name)) continue;
+    const next = child.nextSibling;
+    if (next?.type.name === 'as' && next.nextSibling) {
+      specifiers.push({ name: slice(child), alias: slice(next.nextSibling), node: next.nextSibling });
+      child = next.nextSibling;
+    } else {
+      specifiers.push({ name: slice(child), alias: slice(child), node: child });
+    }
+  }
+  return specifiers;
+}
+
+export function parseModule(path, text) {
+  const tree = parseScript(path, text);
+  const lineStarts = createLineIndex(text);
+  const slice = (node) => text.slice(node.from, node.to);
+  const at = (node) => ({ from: node.from, ...locate(lineStarts, node.from) });
+
+  const declarations = [];
+  const exports = [];
+  const imports = [];
+  const starExports = [];
+
+  const declare = (node) => {
+    const decl = DECLARATIONS[node.type.name];
+    if (decl) {
+      const nameNode = node.getChild(decl.nameNode);
+      if (!nameNode) return [];
+      const symbol = { name: slice(nameNode), kind: decl.kind, ...at(nameNode) };
+      declarations.push(symbol);
+
+      const body = node.type.name === 'ClassDeclaration' ? node.getChild('ClassBody') : null;
+      for (let member = body?.firstChild; member; member = member.nextSibling) {
+        const kind = MEMBER_DECLARATIONS[member.type.name];
+        const memberName = kind ? member.getChild('PropertyDefinition') : null;
+        if (memberName) {
+          declarations.push({ name: slice(memberName), kind, container: symbol.name, ...at(memberName) });
+        }
+      }
+      return [symbol];
+    }
+
+    if (node.type.name === 'VariableDeclaration') {
+      const symbols = [];
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.name !== 'VariableDefinition') continue;
+        const value = child.nextSibling?.type.name === 'Equals' ? child.nextSibling.nextSibling : null;
+        symbols.push({
+          name: slice(child),
+          kind: value && FUNCTION_VALUES.has(value.type.name) ? 'function' : 'variable',
+          ...at(child),
+        });
+      }
+      declarations.push(...symbols);
+      return symbols;
+    }
+
+    return [];
+  };
+
+  for (let node = tree.topNode.firstChild; node; node = node.nextSibling) {
+    const { name } = node.type;
+
+    if (name === 'ImportDeclaration') {
+      const source = node.getChild('String');
+      if (!source) continue;
+      const from = unquote(slice(source));
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.type.name === 'VariableDefinition') {
+          const namespace = child.prevSibling?.type.name === 'as';
+          imports.push({ local: slice(child), imported: namespace ? '*' : 'default', source: from, ...at(child) });
+        } else if (child.type.name === 'ImportGroup') {
+          readSpecifiers(child, slice).forEach((spec) => {
+            imports.push({ local: spec.alias, imported: spec.name, source: from, ...at(spec.node) });
+          });
+        }
+      }
+      continue;
+    }
+
+    if (name === 'ExportDeclaration') {
+      const source = node.getChild('String');
+      const from = source ? unquote(slice(source)) : null;
+      const isDefault = hasKeyword(node, 'default');
+
+      if (node.getChild('Star') && from) {
+        starExports.push(from);
+        continue;
+      }
+
+      const group = node.getChild('ExportGroup');
+      if (group) {
+        readSpecifiers(group, slice).forEach((spec) => {
+          exports.push({ exported: spec.alias, local: spec.name, source: from, ...at(spec.node) });
+        });
+        continue;
+      }
+
+      const declaration = node.firstChild?.nextSibling?.type.name === 'default'
+        ? node.firstChild.nextSibling.nextSibling
+        : node.firstChild?.nextSibling;
+      if (!declaration) continue;
+
+      const symbols = declare(declaration);
+      symbols.forEach((symbol) => {
+        exports.push({ exported: isDefault ? 'default' : symbol.name, local: symbol.name, source: null, from: symbol.from, line: symbol.line, column: symbol.column });
+      });
+      if (isDefault && !symbols.length) {
+        const local = declaration.type.name === 'VariableName' ? slice(declaration) : null;
+        exports.push({ exported: 'default', local, source: null, ...at(declaration) });
+      }
+      continue;
+    }
+
+    declare(node);
+  }
+
+  return { path, declarations, exports, imports, starExports };
+}
+
+function getScopeNode(definition) {
+  let node = definition.parent;
+  // o nome de uma função/classe pertence ao escopo externo
+  if (node && DECLARATIONS[node.type.name]) {
+    node = node.parent;
+  }
+  while (node && !SCOPES.has(node.type.name)) {
+    node = node.parent;
+  }
+  return node;
+}
+
+function isInside(node, type) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type.name === type) return true;
+  }
+  return false;
+}
+
+export function identifierAt(tree, pos) {
+  for (const side of [-1, 1]) {
+    const node = tree.resolveInner(pos, side);
+    if (IDENTIFIERS.has(node.type.name) || MEMBER_IDENTIFIERS.has(node.type.name)) return node;
+  }
+  return null;
+}
+
+// definição visível em "pos" para o nome dado, considerando escopos aninhados
+export function findLocalDefinition(tree, text, name, pos) {
+  let best = null;
+  tree.iterate({
+    enter: (node) => {
+      if (node.type.name !== 'VariableDefinition' && node.type.name !== 'TypeDefinition') return;
+      if (text.slice(node.from, node.to) !== name) return;
+
+      const scope = getScopeNode(node.node);
+      if (!scope || pos < scope.from || pos > scope.to) return;
+      if (!best || scope.to - scope.from < best.scope.to - best.scope.from) {
+        best = { node: node.node, scope };
+      }
+    },
+  });
+  if (!best) return null;
+  return { ...best, imported: isInside(best.node, 'ImportDeclaration') };
+}
+
+function collectIdentifiers(tree, text, name, { scope = null, member = false } = {}) {
+  const found = [];
+  const shadows = [];
+  const types = member ? MEMBER_IDENTIFIERS : IDENTIFIERS;
+  tree.iterate({
+    from: scope ? scope.from : 0,
+    to: scope ? scope.to : text.length,
+    enter: (node) => {
+      if (!types.has(node.type.name) || text.slice(node.from, node.to) !== name) return;
+      found.push({ from: node.from, to: node.to });
+
+      // variáveis locais com o mesmo nome escondem a declaração procurada
+      if (!member && (node.type.name === 'VariableDefinition' || node.type.name === 'TypeDefinition')) {
+        const shadow = getScopeNode(node.node);
+        if (shadow && shadow.type.name !== 'Script' && (!scope || shadow.from > scope.from || shadow.to < scope.to)) {
+          shadows.push(shadow);
+        }
+      }
+    },
+  });
+  return found.filter((range) => !shadows.some((shadow) => range.from >= shadow.from && range.to <= shadow.to));
+}
+
+// acessos "ns.nome" para imports de namespace
+function collectNamespaceMembers(tree, text, namespace, name) {
+  const found = [];
+  tree.iterate({
+    enter: (node) => {
+      if (node.type.name !== 'MemberExpression') return;
+      const object = node.node.firstChild;
+      const property = node.node.getChild('PropertyName');
+      if (object?.type.name === 'VariableName' && property
+        && text.slice(object.from, object.to) === namespace
+        && text.slice(property.from, property.to) === name) {
+        found.push({ from: property.from, to: property.to });
+      }
+    },
+  });
+  return found;
+}
+
+class WorkspaceSymbols {
+  constructor() {
+    this.editor = null;
+    this.rootHandle = null;
+    this.modules = new Map();
+    this.files = new Map();
+    this.checkedAt = 0;
+    this.building = null;
+  }
+
+  init(editorInstance) {
+    this.editor = editorInstance;
+  }
+
+  ensure({ force = false } = {}) {
+    if (this.building) return this.building;
+    if (this.rootHandle !== fileSystem.getRootHandle()) {
+      this.rootHandle = fileSystem.getRootHandle();
+      this.modules.clear();
+      this.files.clear();
+      this.checkedAt = 0;
+    }
+    if (!force && Date.now() - this.checkedAt < RECHECK_INTERVAL) return Promise.resolve();
+
+    this.building = this.sync().finally(() => {
+      this.building = null;
+    });
+    return this.building;
+  }
+
+  async sync() {
+    const files = (await fileTree.getAllFiles()).filter((file) => isScriptFile(file.path));
+    const seen = new Set();
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      seen.add(file.path);
+      this.files.set(file.path, file);
+      if (i % YIELD_EVERY === YIELD_EVERY - 1) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      try {
+        await this.syncFile(file);
+      } catch (err) {
+        console.warn(`Cannot index symbols in ${file.path}:`, err);
+        this.modules.delete(file.path);
+      }
+    }
+
+    [...this.modules.keys()].forEach((path) => {
+      if (!seen.has(path)) {
+        this.modules.delete(path);
+        this.files.delete(path);
+      }
+    });
+    this.checkedAt = Date.now();
+  }
+
+  async syncFile(file) {
+    const current = this.modules.get(file.path);
+    const tab = this.editor?.getTabByPath(file.path);
+    if (tab && !tab.viewer) {
+      const { doc } = tab.state;
+      if (current?.doc !== doc) {
+        this.modules.set(file.path, { ...parseModule(file.path, doc.toString()), doc });
+      }
+      return;
+    }
+
+    const handle = await fileIndex.resolveHandle(file);
+    if (!handle) return;
+    const diskFile = await handle.getFile();
+    if (current && !current.doc && current.lastModified === diskFile.lastModified && current.size === diskFile.size) return;
+    if (diskFile.size > MAX_FILE_SIZE) {
+      this.modules.delete(file.path);
+      return;
+    }
+
+    const { text } = decodeBytes(await diskFile.arrayBuffer());
+    this.modules.set(file.path, {
+      ...parseModule(file.path, text),
+      lastModified: diskFile.lastModified,
+      size: diskFile.size,
+    });
+  }
+
+  // atualiza o módulo a partir do texto do editor, sem esperar a próxima varredura
+  updateFromState(path, state) {
+    if (!isScriptFile(path)) return;
+    const current = this.modules.get(path);
+    if (current?.doc === state.doc) return;
+    this.modules.set(path, { ...parseModule(path, state.doc.toString()), doc: state.doc });
+  }
+
+  async readText(path) {
+    const tab = this.editor?.getTabByPath(path);
+    if (tab && !tab.viewer) return tab.state.doc.toString();
+
+    const file = this.files.get(path);
+    const handle = file ? await fileIndex.resolveHandle(file) : null;
+    if (!handle) return null;
+    const diskFile = await handle.getFile();
+    if (diskFile.size > MAX_FILE_SIZE) return null;
+    return decodeBytes(await diskFile.arrayBuffer()).text;
+  }
+
+  resolveImport(fromPath, source) {
+    if (!source.startsWith('.')) return null;
+
+    const dir = fromPath.includes('/') ? fromPath.slice(0, fromPath.lastIndexOf('/')) : '';
+    const base = normalizePath(`${dir}/${source}`);
+    const candidates = [base];
+    // em TypeScript, "./x.js" costuma apontar para x.ts
+    const withoutJs = base.replace(/\.(m|c)?jsx?$/, '');
+    RESOLVE_EXTENSIONS.forEach((ext) => candidates.push(`${withoutJs}${ext}`));
+    RESOLVE_EXTENSIONS.forEach((ext) => candidates.push(`${base}/index${ext}`));
+
+    return candidates.find((candidate) => this.modules.has(candidate)) || null;
+  }
+
+  resolveExport(path, exportedName, depth = 0) {
+    const module = this.modules.get(path);
+    if (!module || depth > MAX_REEXPORT_DEPTH) return null;
+
+    const entry = module.exports.find((item) => item.exported === exportedName);
+    if (entry) {
+      if (entry.source) {
+        const target = this.resolveImport(path, entry.source);
+        return target ? this.resolveExport(target, entry.local, depth + 1) : null;
+      }
+      if (entry.local) {
+        return this.resolveLocal(path, entry.local, depth) || { path, ...entry, name: entry.local };
+      }
+      return { path, ...entry, name: exportedName };
+    }
+
+    for (const source of module.starExports) {
+      const target = this.resolveImport(path, source);
+      const found = target ? this.resolveExport(target, exportedName, depth + 1) : null;
+      if (found) return found;
+    }
+    return null;
+  }
+
+  resolveLocal(path, name, depth = 0) {
+    const module = this.modules.get(path);
+    if (!module) return null;
+
+    const declaration = module.declarations.find((item) => item.name === name && !item.container);
+    if (declaration) return { path, ...declaration };
+
+    const imported = module.imports.find((item) => item.local === name);
+    if (!imported) return null;
+
+    const target = this.resolveImport(path, imported.source);
+    if (!target) return null;
+    if (imported.imported === '*') return { path: target, name, from: 0, line: 1, column: 1 };
+    return this.resolveExport(target, imported.imported, depth + 1);
+  }
+
+  findDeclarations(name, { members = false } = {}) {
+    const results = [];
+    this.modules.forEach((module, path) => {
+      module.declarations.forEach((declaration) => {
+        if (declaration.name === name && Boolean(declaration.container) === members) {
+          results.push({ path, ...declaration });
+        }
+      });
+    });
+    return results;
+  }
+
+  // retorna os candidatos a definição do identificador em "pos"
+  async findDefinitions(path, state, tree, pos) {
+    await this.ensure();
+    this.updateFromState(path, state);
+
+    const node = identifierAt(tree, pos);
+    if (!node) return [];
+    const text = state.doc.toString();
+    const name = text.slice(node.from, node.to);
+
+    if (MEMBER_IDENTIFIERS.has(node.type.name)) {
+      const object = node.parent?.type.name === 'MemberExpression' ? node.parent.firstChild : null;
+      if (object?.type.name === 'VariableName') {
+        const objectName = text.slice(object.from, object.to);
+        const local = findLocalDefinition(tree, text, objectName, pos);
+        const imported = local?.imported
+          ? this.modules.get(path)?.imports.find((item) => item.local === objectName)
+          : null;
+        if (imported?.imported === '*') {
+          const target = this.resolveImport(path, imported.source);
+          const found = target ? this.resolveExport(target, name) : null;
+          if (found) return [found];
+        }
+      }
+      return this.findDeclarations(name, { members: true });
+    }
+
+    const local = findLocalDefinition(tree, text, name, pos);
+    if (local && !local.imported) {
+      const { line, column } = locate(createLineIndex(text), local.node.from);
+      const topLevel = local.scope.type.name === 'Script';
+      return [{ path, name, from: local.node.from, line, column, local: topLevel ? null : local }];
+    }
+    if (local?.imported) {
+      const found = this.resolveLocal(path, name);
+      return found ? [found] : [];
+    }
+
+    return this.findDeclarations(name);
+  }
+
+  // pares (módulo, nome exportado) que apontam para a definição, seguindo reexportações
+  collectExportAliases(definition) {
+    const module = this.modules.get(definition.path);
+    const aliases = [];
+    const queue = (module?.exports || [])
+      .filter((item) => !item.source && item.local === definition.name)
+      .map((item) => ({ path: definition.path, exported: item.exported }));
+    const seen = new Set();
+
+    while (queue.length) {
+      const alias = queue.shift();
+      const key = `${alias.path}\u0000${alias.exported}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      aliases.push(alias);
+
+      this.modules.forEach((other, otherPath) => {
+        other.exports.forEach((item) => {
+          if (item.source && item.local === alias.exported && this.resolveImport(otherPath, item.source) === alias.path) {
+            queue.push({ path: otherPath, exported: item.exported });
+          }
+        });
+        other.starExports.forEach((source) => {
+          if (this.resolveImport(otherPath, source) === alias.path) {
+            queue.push({ path: otherPath, exported: alias.exported });
+          }
+        });
+      });
+    }
+    return aliases;
+  }
+
+  async findReferences(definition) {
+    await this.ensure();
+    const targets = new Map();
+    const addTarget = (path, entry) => {
+      if (!targets.has(path)) targets.set(path, []);
+      targets.get(path).push(entry);
+    };
+
+    if (definition.local) {
+      addTarget(definition.path, { name: definition.name, scope: definition.local.scope });
+    } else if (definition.container) {
+      this.modules.forEach((module, path) => addTarget(path, { name: definition.name, member: true }));
+    } else {
+      addTarget(definition.path, { name: definition.name });
+      const aliases = this.collectExportAliases(definition);
+      this.modules.forEach((module, path) => {
+        module.imports.forEach((item) => {
+          const resolved = this.resolveImport(path, item.source);
+          if (!resolved) return;
+          aliases.forEach((alias) => {
+            if (resolved !== alias.path) return;
+            if (item.imported === alias.exported) {
+              addTarget(path, { name: item.local });
+            } else if (item.imported === '*') {
+              addTarget(path, { name: alias.exported, namespace: item.local });
+            }
+          });
+        });
+        module.exports.forEach((item) => {
+          if (item.source && aliases.some((alias) => alias.exported === item.local && this.resolveImport(path, item.source) === alias.path)) {
+            addTarget(path, { name: item.local, reexport: item });
+          }
+        });
+      });
+    }
+
+    const results = [];
+    for (const [path, entries] of targets) {
+      const text = await this.readText(path);
+      if (text === null) continue;
+
+      const tree = parseScript(path, text);
+      const lineStarts = createLineIndex(text);
+      const ranges = new Map();
+      entries.forEach((entry) => {
+        let found;
+        if (entry.namespace) {
+          found = collectNamespaceMembers(tree, text, entry.namespace, entry.name);
+        } else if (entry.reexport) {
+          found = [{ from: entry.reexport.from, to: entry.reexport.from + entry.reexport.exported.length }];
+        } else {
+          found = collectIdentifiers(tree, text, entry.name, { scope: entry.scope, member: entry.member });
+        }
+        found.forEach((range) => ranges.set(range.from, range));
+      });
+      if (!ranges.size) continue;
+
+      const matches = [...ranges.values()]
+        .sort((a, b) => a.from - b.from)
+        .map((range) => {
+          const { line, column } = locate(lineStarts, range.from);
+          const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : text.length;
+          return {
+            line,
+            column,
+            length: range.to - range.from,
+            preview: text.slice(lineStarts[line - 1], lineEnd).replace(/\r$/, ''),
+          };
+        });
+
+      const file = this.files.get(path);
+      results.push({
+        path,
+        name: path.split('/').pop(),
+        handle: file ? await fileIndex.resolveHandle(file) : null,
+        matches,
+      });
+    }
+    return results.filter((result) => result.handle);
+  }
+
+  search(query) {
+    const results = [];
+    this.modules.forEach((module, path) => {
+      module.declarations.forEach((declaration) => {
+        const match = fuzzyMatch(query, declaration.name);
+        if (match) {
+          results.push({ path, symbol: declaration, positions: match.positions, score: match.score });
+        }
+      });
+    });
+    return results
+      .sort((a, b) => b.score - a.score || a.symbol.name.localeCompare(b.symbol.name))
+      .slice(0, MAX_RESULTS);
+  }
+
+  getFile(path) {
+    return this.files.get(path) || null;
+  }
+}
+
+export const workspaceSymbols = new WorkspaceSymbols();
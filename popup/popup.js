@@ -1,14 +1,18 @@
+const DEFAULT_FILES_EXCLUDE = ['**/.git', '**/.svn', '**/.hg', '**/CVS', '**/.DS_Store', '**/Thumbs.db'];
+
 document.addEventListener('DOMContentLoaded', () => {
   const openEditorBtn = document.getElementById('openEditor');
   const themeSelect = document.getElementById('themeSelect');
   const fontSizeInput = document.getElementById('fontSizeInput');
   const tabSizeInput = document.getElementById('tabSizeInput');
+  const filesExcludeInput = document.getElementById('filesExcludeInput');
 
   chrome.storage.local.get(['settings'], (result) => {
     const settings = result.settings || { theme: 'dark', fontSize: 14, tabSize: 2 };
     themeSelect.value = settings.theme;
     fontSizeInput.value = settings.fontSize;
     tabSizeInput.value = settings.tabSize;
+    filesExcludeInput.value = (settings.filesExclude || DEFAULT_FILES_EXCLUDE).join('\n');
   });
 
   openEditorBtn.addEventListener('click', () => {
@@ -31,6 +35,14 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!Number.isFinite(tabSize)) return;
     updateSettings({ tabSize: Math.min(8, Math.max(1, tabSize)) });
   });
+
+  filesExcludeInput.addEventListener('change', (e) => {
+    const filesExclude = e.target.value
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean);
+    updateSettings({ filesExclude });
+  });
 });
 
 function updateSettings(partial) {